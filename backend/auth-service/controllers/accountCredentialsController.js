@@ -0,0 +1,218 @@
+// backend/auth-service/controllers/accountCredentialsController.js
+//
+// Password and email changes for a signed-in auth-service account. The routes sit
+// behind protect / protectAdmin / protectDelivery / protectRestaurantAdmin, which
+// all set req.userId, req.userRole and req.sessionId.
+
+const { getModelForRole } = require("../utils/accountModels");
+const { generateToken, hashToken } = require("../utils/oneTimeTokens");
+const { sendEmailNotification } = require("../utils/emailService");
+const { escapeHtml } = require("../utils/html");
+const { revokeAllSessions } = require("../utils/sessions");
+const { validatePassword, weakPasswordResponse } = require("../utils/passwordPolicy");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const emailChangeTtlMinutes = () => Number(process.env.EMAIL_CHANGE_TTL_MINUTES || 60);
+
+const normalizeEmail = (email) => String(email || "").toLowerCase().trim();
+
+// The caller's own account document, with its password hash for re-authentication
+const findCaller = (req) => {
+  const Model = getModelForRole(req.userRole);
+  return Model ? Model.findById(req.userId).select("+password") : null;
+};
+
+// Security notices go to the address on file; a mail outage must not undo the change
+const notify = async (email, subject, html, text) => {
+  try {
+    await sendEmailNotification(email, subject, html, text);
+  } catch (mailErr) {
+    console.error("❌ Could not send security notice:", mailErr.message);
+  }
+};
+
+// @desc    Change the password; every other device is signed out
+// @route   PATCH /api/auth/customer/password, /api/auth/{admin,delivery,restaurant-admin}/me/password
+// @access  Private (confirmed with { currentPassword })
+exports.changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+
+    // 1) Validate input
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: "Current password and new password are required." });
+    }
+
+    // 2) Re-authenticate
+    const user = await findCaller(req);
+    if (!user) {
+      return res.status(404).json({ message: "Account not found." });
+    }
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({ message: "Current password is incorrect." });
+    }
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ message: "New password must be different from the current one." });
+    }
+
+    // 3) Apply the password policy
+    const passwordErrors = validatePassword(newPassword, user);
+    if (passwordErrors.length) {
+      return res.status(400).json(weakPasswordResponse(passwordErrors));
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // 4) Keep this device signed in, end the others
+    await revokeAllSessions(
+      { source: "auth", id: user._id, role: req.userRole },
+      { except: req.sessionId, revokedBy: user._id }
+    );
+
+    await notify(
+      user.email,
+      "Your SkyDish password was changed",
+      `<p>Hi ${escapeHtml(user.firstName)},</p>
+       <p>Your password was just changed and your other devices were signed out.</p>
+       <p>If this was not you, reset your password right away.</p>`,
+      `Hi ${user.firstName}, your SkyDish password was just changed. If this was not you, reset your password right away.`
+    );
+
+    res.json({
+      status: "success",
+      message: "Password changed. Your other devices have been signed out.",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Start an email change; the new address must confirm it before it is used
+// @route   POST /api/auth/customer/email, /api/auth/{admin,delivery,restaurant-admin}/me/email
+// @access  Private (confirmed with { currentPassword })
+exports.requestEmailChange = async (req, res, next) => {
+  try {
+    const { email, currentPassword } = req.body || {};
+    const newEmail = normalizeEmail(email);
+
+    // 1) Validate input
+    if (!newEmail || !currentPassword) {
+      return res.status(400).json({ message: "New email and current password are required." });
+    }
+    if (!EMAIL_PATTERN.test(newEmail)) {
+      return res.status(400).json({ message: "Please provide a valid email address." });
+    }
+
+    // 2) Re-authenticate
+    const user = await findCaller(req);
+    if (!user) {
+      return res.status(404).json({ message: "Account not found." });
+    }
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({ message: "Current password is incorrect." });
+    }
+    if (newEmail === user.email) {
+      return res.status(400).json({ message: "That is already your email address." });
+    }
+
+    // 3) The address must be free among accounts of the same type
+    if (await getModelForRole(req.userRole).exists({ email: newEmail })) {
+      return res.status(409).json({ message: "Email already in use." });
+    }
+
+    // 4) Store only the hash of a fresh single-use token; the current email stays in use
+    const { token, hash, expiresAt } = generateToken(emailChangeTtlMinutes());
+    user.pendingEmail = newEmail;
+    user.emailChangeToken = hash;
+    user.emailChangeExpires = expiresAt;
+    await user.save({ validateBeforeSave: false });
+
+    // 5) Email the confirmation link to the new address
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+    const link = `${frontendUrl}/auth/confirm-email-change?token=${token}&role=${encodeURIComponent(req.userRole)}`;
+    try {
+      await sendEmailNotification(
+        newEmail,
+        "Confirm your new SkyDish email address",
+        `<p>Hi ${escapeHtml(user.firstName)},</p>
+         <p>Confirm that you want to use this address for your SkyDish account. This link expires in ${emailChangeTtlMinutes()} minutes and can be used once.</p>
+         <p><a href="${link}">Use this email address</a></p>
+         <p>Until you confirm, you keep logging in with ${escapeHtml(user.email)}.</p>`,
+        `Hi ${user.firstName}, confirm your new SkyDish email address within ${emailChangeTtlMinutes()} minutes: ${link}`
+      );
+    } catch (mailErr) {
+      user.pendingEmail = undefined;
+      user.emailChangeToken = undefined;
+      user.emailChangeExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+      return res.status(502).json({ message: "Could not send confirmation email. Please try again later." });
+    }
+
+    await notify(
+      user.email,
+      "Your SkyDish email address is being changed",
+      `<p>Hi ${escapeHtml(user.firstName)},</p>
+       <p>Someone asked to move your account to ${escapeHtml(newEmail)}. Nothing changes until that address confirms.</p>
+       <p>If this was not you, change your password.</p>`,
+      `Hi ${user.firstName}, someone asked to move your SkyDish account to ${newEmail}. If this was not you, change your password.`
+    );
+
+    res.json({
+      status: "success",
+      message: `We sent a confirmation link to ${newEmail}.`,
+      data: { pendingEmail: newEmail, expiresAt },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Switch to the new email address using the emailed token
+// @route   POST /api/auth/confirm-email-change
+// @access  Public (requires a valid email-change token)
+exports.confirmEmailChange = async (req, res, next) => {
+  try {
+    const { token, role = "customer" } = req.body || {};
+
+    // 1) Validate input
+    if (!token) {
+      return res.status(400).json({ message: "Confirmation token is required." });
+    }
+    const Model = getModelForRole(role);
+    if (!Model) {
+      return res.status(400).json({ message: "Invalid account type." });
+    }
+
+    // 2) Find the account holding this unexpired token
+    const user = await Model.findOne({
+      emailChangeToken: hashToken(token),
+      emailChangeExpires: { $gt: new Date() },
+    }).select("+emailChangeToken +emailChangeExpires");
+    if (!user || !user.pendingEmail) {
+      return res.status(400).json({ message: "Confirmation link is invalid or has expired." });
+    }
+
+    // 3) Someone may have registered the address since the link was sent
+    if (await Model.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+      return res.status(409).json({ message: "Email already in use." });
+    }
+
+    // 4) Switch and burn the token; following the link proved the new address
+    user.email = user.pendingEmail;
+    user.emailVerified = true;
+    user.pendingEmail = undefined;
+    user.emailChangeToken = undefined;
+    user.emailChangeExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      status: "success",
+      message: "Email address changed. Use it the next time you log in.",
+      data: { email: user.email, emailVerified: true },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
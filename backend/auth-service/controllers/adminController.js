@@ -1,20 +1,32 @@
 // backend/auth-service/controllers/adminController.js
 
-const jwt = require("jsonwebtoken");
 const Admin = require("../models/Admin");
-
-// Helper to sign a JWT for a given user ID (and role)
-const signToken = (userId) => {
-  return jwt.sign(
-    { id: userId, role: "admin" },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || "7d" }
+const { openSession } = require("../utils/sessions");
+const { validatePassword, weakPasswordResponse } = require("../utils/passwordPolicy");
+const { sendVerificationEmail } = require("../utils/emailVerification");
+const { effectivePermissions } = require("../utils/permissions");
+const { buildClaims } = require("../utils/claims");
+const { startLoginChallenge } = require("../utils/twoFactor");
+
+// Helper to open a session for a given admin or super-admin and sign its tokens
+// with the standard claims /api/auth/token issues (sub, role, permissions, ...)
+const signTokens = (user, req) => {
+  const role = user.role || "admin";
+  return openSession(
+    { source: "auth", id: user._id, role },
+    buildClaims({
+      id: user._id,
+      role,
+      permissions: effectivePermissions({ role, permissions: user.permissions }),
+      emailVerified: user.emailVerified,
+    }),
+    req
   );
 };
 
 // @desc    Register a new admin
 // @route   POST /api/auth/register/admin
-// @access  Public (or should be restricted in production)
+// @access  Public; the new admin holds no permissions until a super-admin grants them
 exports.register = async (req, res, next) => {
   try {
     const { firstName, lastName, email, phone, password, role, permissions } = req.body;
@@ -24,6 +36,21 @@ exports.register = async (req, res, next) => {
       return res.status(400).json({ message: "Please provide all required fields." });
     }
 
+    // Role and permissions are never chosen by the caller: super-admins are created
+    // out of band, and grants come from a super-admin via /admin/admins/:id/permissions
+    if (role !== undefined && role !== "admin") {
+      return res.status(403).json({ message: "Super-admin accounts cannot be self-registered." });
+    }
+    if (permissions !== undefined) {
+      return res.status(403).json({ message: "Permissions are granted by a super-admin." });
+    }
+
+    // Reject passwords that break the policy (length, character classes, name/email, common list)
+    const passwordErrors = validatePassword(password, { firstName, lastName, email });
+    if (passwordErrors.length) {
+      return res.status(400).json(weakPasswordResponse(passwordErrors));
+    }
+
     // 2) Prevent duplicate emails
     const existing = await Admin.findOne({ email });
     if (existing) {
@@ -37,17 +64,25 @@ exports.register = async (req, res, next) => {
       email,
       phone,
       password,
-      role: role || "admin",
-      permissions: permissions || ["manage-users", "manage-restaurants", "manage-orders"],
+      role: "admin",
+      permissions: [],
     });
 
-    // 4) Sign JWT
-    const token = signToken(newAdmin._id);
+    // 4) Sign JWT, unless the two-factor policy covers this role: then the first
+    //    session also starts with enrollment (finished at /api/auth/2fa/challenge/enroll)
+    const challenge = await startLoginChallenge({ source: "auth", id: newAdmin._id, role: newAdmin.role });
+    const { token, refreshToken } = challenge ? {} : await signTokens(newAdmin, req);
+
+    // Send the verification link (registration still succeeds if mail fails)
+    try {
+      await sendVerificationEmail(newAdmin, "admin");
+    } catch (mailErr) {
+      console.error("❌ Could not send verification email:", mailErr.message);
+    }
 
     // 5) Respond
     res.status(201).json({
-      status: "success",
-      token,
+      ...(challenge || { status: "success", token, refreshToken }),
       data: {
         admin: {
           id: newAdmin._id,
@@ -55,6 +90,7 @@ exports.register = async (req, res, next) => {
           lastName: newAdmin.lastName,
           email: newAdmin.email,
           phone: newAdmin.phone,
+          emailVerified: newAdmin.emailVerified,
           role: newAdmin.role,
           permissions: newAdmin.permissions,
         },
@@ -88,14 +124,24 @@ exports.login = async (req, res, next) => {
     if (!valid) {
       return res.status(401).json({ message: "Invalid credentials." });
     }
+    if (admin.suspended) {
+      return res.status(403).json({ message: "Your account has been suspended. Please contact support." });
+    }
+
+    // Second factor, when enrolled or required (finished at /api/auth/2fa/challenge)
+    const challenge = await startLoginChallenge({ source: "auth", id: admin._id, role: admin.role || "admin" });
+    if (challenge) {
+      return res.json(challenge);
+    }
 
     // 4) Generate token
-    const token = signToken(admin._id);
+    const { token, refreshToken } = await signTokens(admin, req);
 
     // 5) Respond
     res.json({
       status: "success",
       token,
+      refreshToken,
       data: {
         admin: {
           id: admin._id,
@@ -103,6 +149,7 @@ exports.login = async (req, res, next) => {
           lastName: admin.lastName,
           email: admin.email,
           phone: admin.phone,
+          emailVerified: admin.emailVerified,
           role: admin.role,
           permissions: admin.permissions,
         },
@@ -132,6 +179,7 @@ exports.getMe = async (req, res, next) => {
           lastName: admin.lastName,
           email: admin.email,
           phone: admin.phone,
+          emailVerified: admin.emailVerified,
           role: admin.role,
           permissions: admin.permissions,
           createdAt: admin.createdAt,
@@ -169,6 +217,7 @@ exports.updateMe = async (req, res, next) => {
           lastName: updatedAdmin.lastName,
           email: updatedAdmin.email,
           phone: updatedAdmin.phone,
+          emailVerified: updatedAdmin.emailVerified,
           role: updatedAdmin.role,
           permissions: updatedAdmin.permissions,
         },
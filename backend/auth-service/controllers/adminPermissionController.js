@@ -0,0 +1,125 @@
+// backend/auth-service/controllers/adminPermissionController.js
+
+const mongoose = require("mongoose");
+const Admin = require("../models/Admin");
+const { PERMISSIONS, isPermission, effectivePermissions } = require("../utils/permissions");
+const { recordAudit } = require("../utils/audit");
+
+const formatAdmin = (admin) => ({
+  id: admin._id,
+  firstName: admin.firstName,
+  lastName: admin.lastName,
+  email: admin.email,
+  role: admin.role,
+  permissions: effectivePermissions(admin),
+});
+
+// Resolves :id to a plain admin, or answers 4xx itself and returns null
+const findGrantee = async (req, res) => {
+  const admin = mongoose.isValidObjectId(req.params.id) ? await Admin.findById(req.params.id) : null;
+  if (!admin) {
+    res.status(404).json({ message: "Admin not found." });
+    return null;
+  }
+  if (admin.role === "super-admin") {
+    res.status(400).json({ message: "Super-admins hold every permission." });
+    return null;
+  }
+  return admin;
+};
+
+const unknownPermission = (res, permission) =>
+  res.status(400).json({
+    message: `Unknown permission "${permission}". Use one of: ${Object.keys(PERMISSIONS).join(", ")}.`,
+  });
+
+const auditGrant = (req, action, admin, before) =>
+  recordAudit({
+    action,
+    req,
+    target: { type: "admin", id: String(admin._id) },
+    before: { permissions: before },
+    after: { permissions: [...admin.permissions] },
+  });
+
+// @desc    The permission catalogue
+// @route   GET /api/auth/admin/permissions
+// @access  Private (admin)
+exports.listPermissions = (req, res) => {
+  res.json({
+    status: "success",
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+    },
+  });
+};
+
+// @desc    Every admin with the permissions they hold
+// @route   GET /api/auth/admin/admins
+// @access  Private (super-admin)
+exports.listAdmins = async (req, res, next) => {
+  try {
+    const admins = await Admin.find().sort({ createdAt: 1 });
+    res.json({
+      status: "success",
+      results: admins.length,
+      data: { admins: admins.map(formatAdmin) },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Grant one permission to an admin
+// @route   POST /api/auth/admin/admins/:id/permissions   { permission }
+// @access  Private (super-admin)
+exports.grantPermission = async (req, res, next) => {
+  try {
+    const { permission } = req.body || {};
+    if (!isPermission(permission)) {
+      return unknownPermission(res, permission);
+    }
+
+    const admin = await findGrantee(req, res);
+    if (!admin) return;
+
+    // Granting twice is harmless; the answer is the same either way
+    if (!admin.permissions.includes(permission)) {
+      const before = [...admin.permissions];
+      admin.permissions.push(permission);
+      await admin.save({ validateModifiedOnly: true });
+      auditGrant(req, "admin.permission.grant", admin, before);
+    }
+
+    res.json({ status: "success", data: { admin: formatAdmin(admin) } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Revoke one permission from an admin
+// @route   DELETE /api/auth/admin/admins/:id/permissions/:permission
+// @access  Private (super-admin)
+exports.revokePermission = async (req, res, next) => {
+  try {
+    const { permission } = req.params;
+    if (!isPermission(permission)) {
+      return unknownPermission(res, permission);
+    }
+
+    const admin = await findGrantee(req, res);
+    if (!admin) return;
+
+    // Takes effect here at once; other services see it when the access token is renewed
+    if (admin.permissions.includes(permission)) {
+      const before = [...admin.permissions];
+      admin.permissions.pull(permission);
+      await admin.save({ validateModifiedOnly: true });
+      auditGrant(req, "admin.permission.revoke", admin, before);
+    }
+
+    res.json({ status: "success", data: { admin: formatAdmin(admin) } });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,207 @@
+// backend/auth-service/controllers/auditController.js
+
+const AuditEvent = require("../models/AuditEvent");
+const { recordAudit } = require("../utils/audit");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const DEFAULT_EXPORT_MAX_ROWS = 10000;
+const ACTION = /^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/i;
+const MAX_ACTION_LENGTH = 100;
+const OUTCOMES = ["success", "failure"];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Date-only bounds cover the whole day: to=2024-05-31 includes the 31st
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const parseBound = (value, isUpperBound) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (isUpperBound && DATE_ONLY.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+};
+
+/**
+ * Turns the query string into a Mongo filter.
+ * @returns {{ filter: object } | { error: string }}
+ */
+const buildFilter = ({ action, service, outcome, actorId, actorEmail, targetType, targetId, from, to }) => {
+  const filter = {};
+
+  // "restaurant-admin.*" matches every action under that prefix
+  if (action) {
+    filter.action = action.endsWith(".*")
+      ? new RegExp(`^${escapeRegex(action.slice(0, -1))}`)
+      : action;
+  }
+  if (service) filter.service = service;
+  if (outcome) {
+    if (!OUTCOMES.includes(outcome)) {
+      return { error: `outcome must be one of: ${OUTCOMES.join(", ")}.` };
+    }
+    filter.outcome = outcome;
+  }
+  if (actorId) filter["actor.id"] = actorId;
+  if (actorEmail) filter["actor.email"] = String(actorEmail).trim().toLowerCase();
+  if (targetType) filter["target.type"] = targetType;
+  if (targetId) filter["target.id"] = targetId;
+
+  for (const [value, isUpperBound] of [[from, false], [to, true]]) {
+    if (!value) continue;
+    const date = parseBound(value, isUpperBound);
+    if (!date) {
+      return { error: `Invalid date "${value}"; use YYYY-MM-DD or an ISO timestamp.` };
+    }
+    filter.at = { ...filter.at, [isUpperBound ? "$lt" : "$gte"]: date };
+  }
+
+  return { filter };
+};
+
+const parsePagination = ({ page, limit }) => {
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  return { page: pageNumber, limit: pageSize, skip: (pageNumber - 1) * pageSize };
+};
+
+const formatEvent = (event) => ({
+  id: event._id,
+  at: event.at,
+  service: event.service,
+  action: event.action,
+  outcome: event.outcome,
+  actor: event.actor || {},
+  target: event.target || null,
+  ip: event.ip || null,
+  userAgent: event.userAgent || null,
+  changes: event.changes || [],
+  details: event.details === undefined ? null : event.details,
+});
+
+const CSV_COLUMNS = [
+  ["at", (e) => (e.at ? new Date(e.at).toISOString() : "")],
+  ["service", (e) => e.service],
+  ["action", (e) => e.action],
+  ["outcome", (e) => e.outcome],
+  ["actor_id", (e) => e.actor && e.actor.id],
+  ["actor_role", (e) => e.actor && e.actor.role],
+  ["actor_email", (e) => e.actor && e.actor.email],
+  ["target_type", (e) => e.target && e.target.type],
+  ["target_id", (e) => e.target && e.target.id],
+  ["ip", (e) => e.ip],
+  ["user_agent", (e) => e.userAgent],
+  ["changes", (e) => (e.changes && e.changes.length ? JSON.stringify(e.changes) : "")],
+  ["details", (e) => (e.details === undefined || e.details === null ? "" : JSON.stringify(e.details))],
+];
+
+// Quotes when needed; a leading = + - @ is defused so spreadsheets do not run it
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (events) =>
+  [CSV_COLUMNS.map(([name]) => name), ...events.map((event) => CSV_COLUMNS.map(([, get]) => get(event)))]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\r\n") + "\r\n";
+
+const exportMaxRows = () => Number(process.env.AUDIT_EXPORT_MAX_ROWS) || DEFAULT_EXPORT_MAX_ROWS;
+
+// @desc    Search the audit log, newest first
+// @route   GET /api/auth/admin/audit?action=&service=&outcome=&actorId=&actorEmail=&targetType=&targetId=&from=&to=&page=&limit=
+// @access  Private (admin with view-audit-log)
+exports.listAuditEvents = async (req, res, next) => {
+  try {
+    const built = buildFilter(req.query);
+    if (built.error) {
+      return res.status(400).json({ message: built.error });
+    }
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [total, events] = await Promise.all([
+      AuditEvent.countDocuments(built.filter),
+      AuditEvent.find(built.filter).sort({ at: -1, _id: -1 }).skip(skip).limit(limit).lean(),
+    ]);
+
+    res.json({
+      status: "success",
+      results: events.length,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      data: { events: events.map(formatEvent) },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Download the matching audit events as CSV (capped at AUDIT_EXPORT_MAX_ROWS)
+// @route   GET /api/auth/admin/audit/export?<same filters as the search>
+// @access  Private (admin with view-audit-log)
+exports.exportAuditEvents = async (req, res, next) => {
+  try {
+    const built = buildFilter(req.query);
+    if (built.error) {
+      return res.status(400).json({ message: built.error });
+    }
+
+    const maxRows = exportMaxRows();
+    const events = await AuditEvent.find(built.filter).sort({ at: -1, _id: -1 }).limit(maxRows + 1).lean();
+    const truncated = events.length > maxRows;
+
+    // Exporting the log is itself worth knowing about
+    recordAudit({ action: "audit.export", req, details: { filters: req.query, rows: Math.min(events.length, maxRows) } });
+
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.set("X-Export-Truncated", String(truncated));
+    res.send(toCsv(events.slice(0, maxRows)));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Record an event sent by another service
+// @route   POST /api/auth/internal/audit
+//          { action, outcome?, actor?, target?, before?, after?, details?, at?, client?: { ip, userAgent } }
+// @access  Service clients (Basic credentials)
+exports.ingestAuditEvent = async (req, res) => {
+  const { action, outcome = "success", actor, target, before, after, details, at } = req.body || {};
+  if (typeof action !== "string" || !ACTION.test(action) || action.length > MAX_ACTION_LENGTH) {
+    return res.status(400).json({ message: "action must be a dotted name such as restaurant.update." });
+  }
+  if (!OUTCOMES.includes(outcome)) {
+    return res.status(400).json({ message: `outcome must be one of: ${OUTCOMES.join(", ")}.` });
+  }
+  const when = at ? new Date(at) : new Date();
+  if (Number.isNaN(when.getTime())) {
+    return res.status(400).json({ message: "at must be an ISO timestamp." });
+  }
+
+  // The service is the authenticated client, never what the body claims;
+  // the end user's device arrives as body.client, which clientInfo reads
+  const pick = (value, keys) =>
+    value && typeof value === "object"
+      ? Object.fromEntries(keys.filter((key) => value[key] !== undefined).map((key) => [key, String(value[key])]))
+      : undefined;
+  const event = await recordAudit({
+    action,
+    outcome,
+    req,
+    service: req.serviceClient,
+    actor: pick(actor, ["id", "role", "email"]),
+    target: pick(target, ["type", "id"]),
+    before,
+    after,
+    details,
+    at: when,
+  });
+
+  if (!event) {
+    return res.status(503).json({ message: "Could not record the audit event." });
+  }
+  res.status(201).json({ status: "success", data: { id: event._id } });
+};
@@ -0,0 +1,206 @@
+// backend/auth-service/controllers/customerAddressController.js
+
+const mongoose = require("mongoose");
+const Customer = require("../models/Customer");
+const { geocodeAddress } = require("../utils/geocoder");
+
+const MAX_ADDRESSES = 20;
+
+// Structured fields a customer may set on an address
+const ADDRESS_FIELDS = [
+  "label",
+  "recipientName",
+  "phone",
+  "line1",
+  "line2",
+  "ward",
+  "district",
+  "city",
+  "postalCode",
+  "country",
+  "instructions",
+];
+
+// Fields that change where the address is, so coordinates must be refreshed
+const PLACE_FIELDS = ["line1", "line2", "ward", "district", "city", "postalCode", "country"];
+
+const pickAddressFields = (body = {}) =>
+  ADDRESS_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+// Accepts a GeoJSON Point or null (clear). Returns undefined when not supplied.
+const parseLocation = (location) => {
+  if (location === undefined) return { location: undefined };
+  if (location === null) return { location: null };
+
+  const coordinates = location && location.coordinates;
+  const valid =
+    location.type === "Point" &&
+    Array.isArray(coordinates) &&
+    coordinates.length === 2 &&
+    Number.isFinite(coordinates[0]) && Math.abs(coordinates[0]) <= 180 &&
+    Number.isFinite(coordinates[1]) && Math.abs(coordinates[1]) <= 90;
+
+  return valid
+    ? { location: { type: "Point", coordinates: [coordinates[0], coordinates[1]] } }
+    : { error: 'Location must be { type: "Point", coordinates: [longitude, latitude] }.' };
+};
+
+const toPoint = (coordinates) => (coordinates ? { type: "Point", coordinates } : undefined);
+
+const formatAddress = (address) => ({
+  id: address._id,
+  ...ADDRESS_FIELDS.reduce((fields, key) => ({ ...fields, [key]: address[key] }), {}),
+  isDefault: address.isDefault,
+  location: address.location
+    ? { type: "Point", coordinates: [...address.location.coordinates] }
+    : null,
+  createdAt: address.createdAt,
+  updatedAt: address.updatedAt,
+});
+
+const validationMessage = (err) =>
+  Object.values(err.errors).map((e) => e.message).join(" ");
+
+const findAddress = (customer, addressId) =>
+  mongoose.isValidObjectId(addressId) ? customer.addresses.id(addressId) : null;
+
+// @desc    List the customer's saved addresses (default first)
+// @route   GET /api/auth/customer/addresses
+// @access  Private (customer)
+exports.listAddresses = async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.userId);
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found." });
+    }
+
+    const addresses = [...customer.addresses].sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+
+    res.json({
+      status: "success",
+      results: addresses.length,
+      data: { addresses: addresses.map(formatAddress) },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Save a new address; the first one becomes the default
+// @route   POST /api/auth/customer/addresses
+// @access  Private (customer)
+exports.createAddress = async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.userId);
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found." });
+    }
+    if (customer.addresses.length >= MAX_ADDRESSES) {
+      return res.status(400).json({ message: `You can save up to ${MAX_ADDRESSES} addresses.` });
+    }
+
+    // 1) Structured fields and optional client-side coordinates
+    const fields = pickAddressFields(req.body);
+    const parsed = parseLocation(req.body.location);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    // 2) Geocode when the client did not place the address itself
+    const location = parsed.location || toPoint(await geocodeAddress(fields));
+
+    // 3) Only one default at a time
+    const isDefault = req.body.isDefault === true || customer.addresses.length === 0;
+    if (isDefault) {
+      customer.addresses.forEach((address) => { address.isDefault = false; });
+    }
+
+    customer.addresses.push({ ...fields, location, isDefault });
+    await customer.save();
+
+    res.status(201).json({
+      status: "success",
+      data: { address: formatAddress(customer.addresses[customer.addresses.length - 1]) },
+    });
+  } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: validationMessage(err) });
+    }
+    next(err);
+  }
+};
+
+// @desc    Update an address, or make it the default with { isDefault: true }
+// @route   PATCH /api/auth/customer/addresses/:addressId
+// @access  Private (customer)
+exports.updateAddress = async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.userId);
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found." });
+    }
+    const address = findAddress(customer, req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ message: "Address not found." });
+    }
+
+    const fields = pickAddressFields(req.body);
+    const parsed = parseLocation(req.body.location);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    address.set(fields);
+
+    // Explicit coordinates win; otherwise a moved address is geocoded again
+    if (parsed.location !== undefined) {
+      address.location = parsed.location || undefined;
+    } else if (PLACE_FIELDS.some((key) => key in fields)) {
+      address.location = toPoint(await geocodeAddress(address));
+    }
+
+    // The default can be moved to another address but not simply switched off
+    if (req.body.isDefault === true) {
+      customer.addresses.forEach((other) => { other.isDefault = other === address; });
+    }
+
+    await customer.save();
+
+    res.json({ status: "success", data: { address: formatAddress(address) } });
+  } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: validationMessage(err) });
+    }
+    next(err);
+  }
+};
+
+// @desc    Delete an address; the oldest remaining one takes over as default
+// @route   DELETE /api/auth/customer/addresses/:addressId
+// @access  Private (customer)
+exports.deleteAddress = async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.userId);
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found." });
+    }
+    const address = findAddress(customer, req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ message: "Address not found." });
+    }
+
+    const wasDefault = address.isDefault;
+    customer.addresses.pull(address._id);
+    if (wasDefault && customer.addresses.length > 0) {
+      customer.addresses[0].isDefault = true;
+    }
+    await customer.save();
+
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,16 +1,10 @@
 // backend/auth-service/controllers/customerController.js
 
-const jwt        = require("jsonwebtoken");
 const Customer   = require("../models/Customer");
-
-// Helper to sign a JWT for a given user ID (and role)
-const signToken = (payload) => {
-  return jwt.sign(
-    payload,
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || "7d" }
-  );
-};
+const { openSession } = require("../utils/sessions");
+const { validatePassword, weakPasswordResponse } = require("../utils/passwordPolicy");
+const { sendVerificationEmail } = require("../utils/emailVerification");
+const { claimsForUser } = require("../utils/claims");
 
 // @desc    Register a new customer
 // @route   POST /api/auth/register/customer
@@ -24,6 +18,12 @@ exports.register = async (req, res, next) => {
       return res.status(400).json({ message: "Please provide all required fields." });
     }
 
+    // Reject passwords that break the policy (length, character classes, name/email, common list)
+    const passwordErrors = validatePassword(password, { firstName, lastName, email });
+    if (passwordErrors.length) {
+      return res.status(400).json(weakPasswordResponse(passwordErrors));
+    }
+
     // 2) Prevent duplicate emails
     const existing = await Customer.findOne({ email });
     if (existing) {
@@ -40,16 +40,25 @@ exports.register = async (req, res, next) => {
       location,
     });
 
-    // 4) Sign JWT with role
-    const token = signToken({
-      id: newCustomer._id,
-      role: 'customer'
-    });
+    // 4) Sign JWT with the standard claims
+    const { token, refreshToken } = await openSession(
+      { source: "auth", id: newCustomer._id, role: "customer" },
+      claimsForUser(newCustomer, "customer"),
+      req
+    );
+
+    // Send the verification link (registration still succeeds if mail fails)
+    try {
+      await sendVerificationEmail(newCustomer, "customer");
+    } catch (mailErr) {
+      console.error("❌ Could not send verification email:", mailErr.message);
+    }
 
     // 5) Respond
     res.status(201).json({
       status: "success",
       token,
+      refreshToken,
       data: {
         customer: {
           id: newCustomer._id,
@@ -57,6 +66,7 @@ exports.register = async (req, res, next) => {
           lastName: newCustomer.lastName,
           email: newCustomer.email,
           phone: newCustomer.phone,
+          emailVerified: newCustomer.emailVerified,
           location: newCustomer.location,
         },
       },
@@ -89,17 +99,22 @@ exports.login = async (req, res, next) => {
     if (!valid) {
       return res.status(401).json({ message: "Invalid credentials." });
     }
+    if (customer.suspended) {
+      return res.status(403).json({ message: "Your account has been suspended. Please contact support." });
+    }
 
-    // 4) Generate token with role
-    const token = signToken({
-      id: customer._id,
-      role: 'customer'
-    });
+    // 4) Generate token with the standard claims
+    const { token, refreshToken } = await openSession(
+      { source: "auth", id: customer._id, role: "customer" },
+      claimsForUser(customer, "customer"),
+      req
+    );
 
     // 5) Respond
     res.json({
       status: "success",
       token,
+      refreshToken,
       data: {
         customer: {
           id: customer._id,
@@ -107,6 +122,7 @@ exports.login = async (req, res, next) => {
           lastName: customer.lastName,
           email: customer.email,
           phone: customer.phone,
+          emailVerified: customer.emailVerified,
           location: customer.location,
         },
       },
@@ -136,6 +152,7 @@ exports.getProfile = async (req, res, next) => {
           lastName: customer.lastName,
           email: customer.email,
           phone: customer.phone,
+          emailVerified: customer.emailVerified,
           location: customer.location,
         },
       },
@@ -153,7 +170,7 @@ exports.updateProfile = async (req, res, next) => {
     const updates = (({ firstName, lastName, phone, location }) =>
       ({ firstName, lastName, phone, location }))(req.body);
 
-    // Prevent email/password update here (use separate endpoints)
+    // Email and password have their own re-authenticated endpoints (accountCredentialsController)
     delete updates.email;
     delete updates.password;
 
@@ -176,6 +193,7 @@ exports.updateProfile = async (req, res, next) => {
           lastName: customer.lastName,
           email: customer.email,
           phone: customer.phone,
+          emailVerified: customer.emailVerified,
           location: customer.location,
         },
       },
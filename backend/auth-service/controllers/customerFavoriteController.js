@@ -0,0 +1,198 @@
+// backend/auth-service/controllers/customerFavoriteController.js
+
+const Customer = require("../models/Customer");
+const { lookupCatalog } = require("../utils/restaurantService");
+
+const MAX_FAVORITES = 200;
+
+// restaurant-service ids, stored in the lowercase form it answers with
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+const KINDS = {
+  restaurant: { label: "Restaurant", catalog: "restaurants", ids: "restaurantIds" },
+  "food-item": { label: "Food item", catalog: "foodItems", ids: "foodItemIds" },
+};
+
+// Ids per kind, in the shape restaurant-service's catalog lookup expects
+const catalogIds = (favorites) =>
+  Object.entries(KINDS).reduce((ids, [kind, { ids: key }]) => ({
+    ...ids,
+    [key]: favorites.filter((favorite) => favorite.kind === kind).map((favorite) => favorite.ref),
+  }), {});
+
+const restaurantSummary = (restaurant) => ({
+  id: String(restaurant.id),
+  name: restaurant.name,
+  available: restaurant.availability !== false,
+});
+
+/**
+ * Why a favorite cannot be ordered right now, or null when it can:
+ * "removed" (gone from the catalogue), "restaurant-closed" or "item-unavailable".
+ */
+const unavailableReason = (kind, details) => {
+  if (!details) return "removed";
+  if (kind === "restaurant") return details.availability === false ? "restaurant-closed" : null;
+  if (!details.restaurant) return "removed";
+  if (details.restaurant.availability === false) return "restaurant-closed";
+  return details.availability === false ? "item-unavailable" : null;
+};
+
+const formatDetails = (kind, details) => {
+  if (kind === "restaurant") {
+    return { name: details.name, location: details.location, image: details.profilePicture || null };
+  }
+  return {
+    name: details.name,
+    price: details.price,
+    image: details.image || null,
+    category: details.category,
+    restaurant: details.restaurant ? restaurantSummary(details.restaurant) : null,
+  };
+};
+
+const formatReference = (favorite) => ({ kind: favorite.kind, id: favorite.ref, addedAt: favorite.addedAt });
+
+const findDetails = (catalog, favorite) =>
+  (catalog[KINDS[favorite.kind].catalog] || []).find((item) => String(item.id) === favorite.ref);
+
+// `catalog` is restaurant-service's answer, or null when it could not be reached
+const formatFavorite = (favorite, catalog) => {
+  if (!catalog) {
+    return { ...formatReference(favorite), details: null, available: null, unavailableReason: null };
+  }
+
+  const details = findDetails(catalog, favorite);
+  const reason = unavailableReason(favorite.kind, details);
+  return {
+    ...formatReference(favorite),
+    details: details ? formatDetails(favorite.kind, details) : null,
+    available: reason === null,
+    unavailableReason: reason,
+  };
+};
+
+const findFavorite = (customer, kind, ref) =>
+  customer.favorites.find((favorite) => favorite.kind === kind && favorite.ref === ref);
+
+// Shared checks for the :kind/:id routes
+const parseTarget = ({ kind, id }) => {
+  if (!KINDS[kind]) {
+    return { error: 'Favorites are of kind "restaurant" or "food-item".' };
+  }
+  if (!OBJECT_ID.test(id)) {
+    return { error: `${KINDS[kind].label} not found.`, status: 404 };
+  }
+  return { kind, ref: id.toLowerCase() };
+};
+
+// @desc    List the customer's favorites (newest first) with current details;
+//          unavailable ones are flagged with the reason
+// @route   GET /api/auth/customer/favorites
+// @access  Private (customer)
+exports.listFavorites = async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.userId);
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found." });
+    }
+
+    const favorites = [...customer.favorites].sort((a, b) => b.addedAt - a.addedAt);
+
+    // The references are still worth showing when restaurant-service is down
+    let catalog = { restaurants: [], foodItems: [] };
+    if (favorites.length) {
+      try {
+        catalog = await lookupCatalog(catalogIds(favorites));
+      } catch (err) {
+        console.error("❌ Could not look up favorites:", err.message);
+        catalog = null;
+      }
+    }
+
+    res.json({
+      status: "success",
+      results: favorites.length,
+      data: {
+        favorites: favorites.map((favorite) => formatFavorite(favorite, catalog)),
+        detailsAvailable: catalog !== null,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Save a restaurant or food item as a favorite; saving it again is a no-op
+// @route   PUT /api/auth/customer/favorites/:kind/:id   (restaurant | food-item)
+// @access  Private (customer)
+exports.addFavorite = async (req, res, next) => {
+  try {
+    const target = parseTarget(req.params);
+    if (target.error) {
+      return res.status(target.status || 400).json({ message: target.error });
+    }
+
+    const customer = await Customer.findById(req.userId);
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found." });
+    }
+
+    const existing = findFavorite(customer, target.kind, target.ref);
+    if (existing) {
+      return res.json({ status: "success", data: { favorite: formatReference(existing) } });
+    }
+    if (customer.favorites.length >= MAX_FAVORITES) {
+      return res.status(400).json({ message: `You can save up to ${MAX_FAVORITES} favorites.` });
+    }
+
+    // Only things that exist in the catalogue; an unavailable one may still be saved
+    let catalog;
+    try {
+      catalog = await lookupCatalog(catalogIds([target]));
+    } catch (err) {
+      console.error("❌ Could not look up favorite:", err.message);
+      return res.status(502).json({ message: "Could not reach the restaurant catalogue. Please try again later." });
+    }
+    const favorite = { kind: target.kind, ref: target.ref, addedAt: new Date() };
+    if (!findDetails(catalog, favorite)) {
+      return res.status(404).json({ message: `${KINDS[target.kind].label} not found.` });
+    }
+
+    customer.favorites.push(favorite);
+    await customer.save();
+
+    res.status(201).json({ status: "success", data: { favorite: formatReference(favorite) } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Remove a favorite
+// @route   DELETE /api/auth/customer/favorites/:kind/:id
+// @access  Private (customer)
+exports.removeFavorite = async (req, res, next) => {
+  try {
+    const target = parseTarget(req.params);
+    if (target.error) {
+      return res.status(target.status || 400).json({ message: target.error });
+    }
+
+    const customer = await Customer.findById(req.userId);
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found." });
+    }
+
+    const favorite = findFavorite(customer, target.kind, target.ref);
+    if (!favorite) {
+      return res.status(404).json({ message: "Favorite not found." });
+    }
+
+    customer.favorites = customer.favorites.filter((other) => other !== favorite);
+    await customer.save();
+
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,207 @@
+// backend/auth-service/controllers/customerPrivacyController.js
+
+const crypto = require("crypto");
+const Customer = require("../models/Customer");
+const { revokeAllSessions } = require("../utils/sessions");
+const { createZip } = require("../utils/zip");
+const { hashToken } = require("../utils/oneTimeTokens");
+const { sendEmailNotification } = require("../utils/emailService");
+const { escapeHtml } = require("../utils/html");
+const {
+  ServiceRequestError,
+  exportOrders,
+  exportPayments,
+  anonymizeOrders,
+  anonymizePayments,
+} = require("../utils/privacyServices");
+
+const EXPORT_FORMATS = ["json", "zip"];
+
+// Social-only customers confirm a deletion with a six-digit code sent to their email
+const DELETION_CODE_TTL_MINUTES = 15;
+const DELETION_CODE_MAX_ATTEMPTS = 5;
+
+const EXPORT_README = [
+  "SkyDish personal data export",
+  "",
+  "profile.json   - your account details, saved addresses and favorites",
+  "orders.json    - every order placed from this account",
+  "payments.json  - payments for those orders (card details are never stored by SkyDish)",
+  "",
+].join("\n");
+
+// Account data without credentials or one-time tokens
+const formatProfile = (customer) => ({
+  id: customer._id,
+  firstName: customer.firstName,
+  lastName: customer.lastName,
+  email: customer.email,
+  phone: customer.phone,
+  location: customer.location,
+  emailVerified: customer.emailVerified,
+  addresses: customer.addresses.map((address) => address.toObject()),
+  favorites: customer.favorites.map(({ kind, ref, addedAt }) => ({ kind, ref, addedAt })),
+});
+
+const subjectOf = (customer) => ({
+  customerId: String(customer._id),
+  email: customer.email,
+});
+
+const downstreamFailure = (res, err, action) =>
+  res.status(502).json({
+    message: `Could not ${action} because ${err.service} is unavailable. Please try again later.`,
+  });
+
+// @desc    Download everything SkyDish stores about the customer
+// @route   GET /api/auth/customer/export?format=json|zip
+// @access  Private (customer)
+exports.exportData = async (req, res, next) => {
+  try {
+    const format = req.query.format || "json";
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: 'Format must be "json" or "zip".' });
+    }
+
+    const customer = await Customer.findById(req.userId);
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found." });
+    }
+
+    // 1) Orders first: payments are matched on their order ids too
+    const subject = subjectOf(customer);
+    const { orders = [] } = await exportOrders(subject);
+    const { payments = [] } = await exportPayments(subject, orders.map((order) => String(order._id)));
+
+    const exportedAt = new Date();
+    const profile = formatProfile(customer);
+    const filename = `skydish-data-${exportedAt.toISOString().slice(0, 10)}`;
+
+    // 2) One JSON document, or one file per section in a ZIP
+    if (format === "zip") {
+      const archive = createZip(
+        [
+          { name: "README.txt", data: EXPORT_README },
+          { name: "profile.json", data: JSON.stringify(profile, null, 2) },
+          { name: "orders.json", data: JSON.stringify(orders, null, 2) },
+          { name: "payments.json", data: JSON.stringify(payments, null, 2) },
+        ],
+        exportedAt
+      );
+      res.set("Content-Type", "application/zip");
+      res.set("Content-Disposition", `attachment; filename="${filename}.zip"`);
+      return res.send(archive);
+    }
+
+    res.set("Content-Disposition", `attachment; filename="${filename}.json"`);
+    res.json({ exportedAt, profile, orders, payments });
+  } catch (err) {
+    if (err instanceof ServiceRequestError) {
+      return downstreamFailure(res, err, "export your data");
+    }
+    next(err);
+  }
+};
+
+// Email a fresh deletion code, replacing any earlier one
+const sendDeletionCode = async (customer) => {
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  customer.deletionCode = hashToken(`${customer._id}:${code}`);
+  customer.deletionCodeExpires = new Date(Date.now() + DELETION_CODE_TTL_MINUTES * 60 * 1000);
+  customer.deletionCodeAttempts = 0;
+  await customer.save({ validateBeforeSave: false });
+
+  try {
+    await sendEmailNotification(
+      customer.email,
+      "Confirm deleting your SkyDish account",
+      `<p>Hi ${escapeHtml(customer.firstName)},</p>
+       <p>Your code to confirm deleting your SkyDish account is <strong>${code}</strong>. It expires in ${DELETION_CODE_TTL_MINUTES} minutes.</p>
+       <p>If this was not you, ignore this email and sign out your other devices.</p>`,
+      `Hi ${customer.firstName}, your code to confirm deleting your SkyDish account is ${code}. It expires in ${DELETION_CODE_TTL_MINUTES} minutes.`
+    );
+  } catch (err) {
+    customer.deletionCode = undefined;
+    customer.deletionCodeExpires = undefined;
+    await customer.save({ validateBeforeSave: false });
+    throw err;
+  }
+};
+
+// Use up the code if it matches; each wrong guess counts against it
+const consumeDeletionCode = async (customer, code) => {
+  const live = {
+    _id: customer._id,
+    deletionCodeExpires: { $gt: new Date() },
+    deletionCodeAttempts: { $lt: DELETION_CODE_MAX_ATTEMPTS },
+  };
+  const used = await Customer.findOneAndUpdate(
+    { ...live, deletionCode: hashToken(`${customer._id}:${code}`) },
+    { $unset: { deletionCode: 1, deletionCodeExpires: 1, deletionCodeAttempts: 1 } }
+  );
+  if (!used) {
+    await Customer.updateOne(live, { $inc: { deletionCodeAttempts: 1 } });
+  }
+  return Boolean(used);
+};
+
+// @desc    Delete the account; orders and payments are anonymized, totals kept
+// @route   POST /api/auth/customer/delete
+// @access  Private (customer, confirmed with { password }; social-only accounts
+//          first get a code by email and confirm with { code })
+exports.deleteAccount = async (req, res, next) => {
+  try {
+    const { password, code } = req.body || {};
+
+    const customer = await Customer.findById(req.userId);
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found." });
+    }
+
+    if (customer.password) {
+      if (!password) {
+        return res.status(400).json({ message: "Please confirm with your password." });
+      }
+      if (!(await customer.comparePassword(password))) {
+        return res.status(401).json({ message: "Incorrect password." });
+      }
+    } else if (!code) {
+      // No password to re-enter: prove control of the account's email instead
+      try {
+        await sendDeletionCode(customer);
+      } catch (mailErr) {
+        console.error("❌ Could not send account deletion code:", mailErr.message);
+        return res.status(502).json({ message: "Could not send the confirmation code. Please try again later." });
+      }
+      return res.status(202).json({
+        status: "success",
+        message: `We emailed you a confirmation code. Send it as { code } within ${DELETION_CODE_TTL_MINUTES} minutes to delete your account.`,
+        data: { confirmWith: "code" },
+      });
+    } else if (!(await consumeDeletionCode(customer, String(code).trim()))) {
+      return res.status(401).json({ message: "Incorrect or expired confirmation code." });
+    }
+
+    // 1) Scrub other services first; if one is down the account is left intact
+    //    and the customer can simply retry
+    const subject = subjectOf(customer);
+    const pseudonym = `deleted-${crypto.randomBytes(6).toString("hex")}`;
+    const { orderIds = [] } = await anonymizeOrders(subject, pseudonym);
+    const { anonymized: paymentsAnonymized = 0 } = await anonymizePayments(subject, orderIds, pseudonym);
+
+    // 2) End every session, then remove the account itself
+    await revokeAllSessions({ source: "auth", id: customer._id, role: "customer" });
+    await Customer.deleteOne({ _id: customer._id });
+
+    res.json({
+      status: "success",
+      message: "Your account has been deleted.",
+      data: { ordersAnonymized: orderIds.length, paymentsAnonymized },
+    });
+  } catch (err) {
+    if (err instanceof ServiceRequestError) {
+      return downstreamFailure(res, err, "delete your account");
+    }
+    next(err);
+  }
+};
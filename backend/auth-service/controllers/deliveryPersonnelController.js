@@ -1,16 +1,32 @@
 // backend/auth-service/controllers/deliveryPersonnelController.js
 
-const jwt = require("jsonwebtoken");
 const DeliveryPersonnel = require("../models/DeliveryPersonnel");
+const { openSession } = require("../utils/sessions");
+const { validatePassword, weakPasswordResponse } = require("../utils/passwordPolicy");
+const { sendVerificationEmail } = require("../utils/emailVerification");
+const { claimsForUser } = require("../utils/claims");
+const driverSearch = require("../utils/driverSearch");
+const availability = require("../utils/driverAvailability");
 
-// Helper to sign a JWT for a given user ID (and role)
-const signToken = (userId) => {
-  return jwt.sign(
-    { id: userId, role: "delivery" },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || "7d" }
+const { ShiftError } = availability;
+
+const formatAvailability = (driver, state) => ({
+  available: state.available,
+  online: state.online,
+  onShift: state.onShift,
+  override: state.override,
+  documentsVerified: state.documentsVerified,
+  lastSeenAt: driver.lastSeenAt,
+});
+
+// Helper to open a session for a given user and sign its tokens with the
+// standard claims /api/auth/token issues (sub, role, permissions, ...)
+const signTokens = (user, req) =>
+  openSession(
+    { source: "auth", id: user._id, role: "delivery" },
+    claimsForUser(user, "delivery"),
+    req
   );
-};
 
 // @desc    Register a new delivery personnel
 // @route   POST /api/auth/register/delivery
@@ -24,6 +40,12 @@ exports.register = async (req, res, next) => {
       return res.status(400).json({ message: "Please provide all required fields." });
     }
 
+    // Reject passwords that break the policy (length, character classes, name/email, common list)
+    const passwordErrors = validatePassword(password, { firstName, lastName, email });
+    if (passwordErrors.length) {
+      return res.status(400).json(weakPasswordResponse(passwordErrors));
+    }
+
     // 2) Prevent duplicate emails
     const existing = await DeliveryPersonnel.findOne({ email });
     if (existing) {
@@ -48,12 +70,20 @@ exports.register = async (req, res, next) => {
     });
 
     // 5) Sign JWT
-    const token = signToken(newDeliveryPersonnel._id);
+    const { token, refreshToken } = await signTokens(newDeliveryPersonnel, req);
+
+    // Send the verification link (registration still succeeds if mail fails)
+    try {
+      await sendVerificationEmail(newDeliveryPersonnel, "delivery");
+    } catch (mailErr) {
+      console.error("❌ Could not send verification email:", mailErr.message);
+    }
 
     // 6) Respond
     res.status(201).json({
       status: "success",
       token,
+      refreshToken,
       data: {
         deliveryPersonnel: {
           id: newDeliveryPersonnel._id,
@@ -61,6 +91,7 @@ exports.register = async (req, res, next) => {
           lastName: newDeliveryPersonnel.lastName,
           email: newDeliveryPersonnel.email,
           phone: newDeliveryPersonnel.phone,
+          emailVerified: newDeliveryPersonnel.emailVerified,
           vehicleType: newDeliveryPersonnel.vehicleType,
           licenseNumber: newDeliveryPersonnel.licenseNumber,
           isAvailable: newDeliveryPersonnel.isAvailable,
@@ -96,14 +127,18 @@ exports.login = async (req, res, next) => {
     if (!valid) {
       return res.status(401).json({ message: "Invalid credentials." });
     }
+    if (deliveryPersonnel.suspended) {
+      return res.status(403).json({ message: "Your account has been suspended. Please contact support." });
+    }
 
     // 4) Generate token
-    const token = signToken(deliveryPersonnel._id);
+    const { token, refreshToken } = await signTokens(deliveryPersonnel, req);
 
     // 5) Respond
     res.json({
       status: "success",
       token,
+      refreshToken,
       data: {
         deliveryPersonnel: {
           id: deliveryPersonnel._id,
@@ -111,6 +146,7 @@ exports.login = async (req, res, next) => {
           lastName: deliveryPersonnel.lastName,
           email: deliveryPersonnel.email,
           phone: deliveryPersonnel.phone,
+          emailVerified: deliveryPersonnel.emailVerified,
           vehicleType: deliveryPersonnel.vehicleType,
           licenseNumber: deliveryPersonnel.licenseNumber,
           isAvailable: deliveryPersonnel.isAvailable,
@@ -143,6 +179,7 @@ exports.getMe = async (req, res, next) => {
           lastName: deliveryPersonnel.lastName,
           email: deliveryPersonnel.email,
           phone: deliveryPersonnel.phone,
+          emailVerified: deliveryPersonnel.emailVerified,
           vehicleType: deliveryPersonnel.vehicleType,
           licenseNumber: deliveryPersonnel.licenseNumber,
           currentLocation: deliveryPersonnel.currentLocation,
@@ -165,15 +202,22 @@ exports.updateMe = async (req, res, next) => {
   try {
     const { firstName, lastName, phone, isAvailable } = req.body;
 
+    // isAvailable is computed now; the old toggle sets the manual override
+    const update = { firstName, lastName, phone };
+    if (typeof isAvailable === "boolean") {
+      update.availabilityOverride = isAvailable ? "available" : "unavailable";
+    }
+
     const updatedDeliveryPersonnel = await DeliveryPersonnel.findByIdAndUpdate(
       req.user.id,
-      { firstName, lastName, phone, isAvailable },
+      update,
       { new: true, runValidators: true }
     );
 
     if (!updatedDeliveryPersonnel) {
       return res.status(404).json({ message: "Delivery personnel not found." });
     }
+    await availability.refreshAvailability(updatedDeliveryPersonnel);
 
     res.json({
       status: "success",
@@ -184,6 +228,7 @@ exports.updateMe = async (req, res, next) => {
           lastName: updatedDeliveryPersonnel.lastName,
           email: updatedDeliveryPersonnel.email,
           phone: updatedDeliveryPersonnel.phone,
+          emailVerified: updatedDeliveryPersonnel.emailVerified,
           vehicleType: updatedDeliveryPersonnel.vehicleType,
           isAvailable: updatedDeliveryPersonnel.isAvailable,
           rating: updatedDeliveryPersonnel.rating,
@@ -207,28 +252,156 @@ exports.updateLocation = async (req, res, next) => {
       return res.status(400).json({ message: "Longitude and latitude are required." });
     }
 
-    const updatedDeliveryPersonnel = await DeliveryPersonnel.findByIdAndUpdate(
-      req.user.id,
-      {
-        currentLocation: {
-          type: "Point",
-          coordinates: [longitude, latitude],
-        },
+    // A location update doubles as the app's heartbeat
+    const result = await availability.recordHeartbeat(req.user.id, {
+      type: "Point",
+      coordinates: [longitude, latitude],
+    });
+
+    if (!result) {
+      return res.status(404).json({ message: "Delivery personnel not found." });
+    }
+
+    res.json({
+      status: "success",
+      data: {
+        currentLocation: result.driver.currentLocation,
+        availability: formatAvailability(result.driver, result.state),
       },
-      { new: true }
-    );
+    });
+  } catch (err) {
+    next(err);
+  }
+};
 
-    if (!updatedDeliveryPersonnel) {
+// @desc    Driver app is still running (no new location)
+// @route   POST /api/auth/delivery/heartbeat
+// @access  Private (Delivery only)
+exports.heartbeat = async (req, res, next) => {
+  try {
+    const result = await availability.recordHeartbeat(req.user.id);
+    if (!result) {
       return res.status(404).json({ message: "Delivery personnel not found." });
     }
+    res.json({ status: "success", data: { availability: formatAvailability(result.driver, result.state) } });
+  } catch (err) {
+    next(err);
+  }
+};
 
+// @desc    Whether dispatch currently sees the driver as available, and why
+// @route   GET /api/auth/delivery/me/availability
+// @access  Private (Delivery only)
+exports.getAvailability = async (req, res, next) => {
+  try {
+    const state = await availability.refreshAvailability(req.account);
+    res.json({ status: "success", data: { availability: formatAvailability(req.account, state) } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Override the shift schedule: { override: "available" | "unavailable" | null }
+// @route   PUT /api/auth/delivery/me/availability
+// @access  Private (Delivery only)
+exports.setAvailability = async (req, res, next) => {
+  try {
+    const { override = null } = req.body || {};
+    const result = await availability.setOverride(req.user.id, override);
+    if (!result) {
+      return res.status(404).json({ message: "Delivery personnel not found." });
+    }
+    res.json({ status: "success", data: { availability: formatAvailability(result.driver, result.state) } });
+  } catch (err) {
+    if (err instanceof ShiftError) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// @desc    The driver's weekly shifts and upcoming one-off shifts
+// @route   GET /api/auth/delivery/me/shifts
+// @access  Private (Delivery only)
+exports.listShifts = async (req, res, next) => {
+  try {
+    const shifts = await availability.listShifts(req.user.id);
     res.json({
       status: "success",
+      results: shifts.length,
+      data: { shifts: shifts.map(availability.formatShift) },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Publish a weekly or one-off shift
+// @route   POST /api/auth/delivery/me/shifts
+// @access  Private (Delivery only)
+exports.createShift = async (req, res, next) => {
+  try {
+    const shift = await availability.createShift(req.account, req.body);
+    res.status(201).json({ status: "success", data: { shift: availability.formatShift(shift) } });
+  } catch (err) {
+    if (err instanceof ShiftError) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// @desc    Remove one of the driver's shifts
+// @route   DELETE /api/auth/delivery/me/shifts/:shiftId
+// @access  Private (Delivery only)
+exports.deleteShift = async (req, res, next) => {
+  try {
+    await availability.deleteShift(req.account, req.params.shiftId);
+    res.json({ status: "success", message: "Shift removed." });
+  } catch (err) {
+    if (err instanceof ShiftError) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// @desc    Drivers scheduled per hour of a day (SHIFT_TIMEZONE)
+// @route   GET /api/auth/admin/drivers/roster?date=YYYY-MM-DD&vehicleType=
+// @access  Private (admin with manage-users)
+exports.getRoster = async (req, res, next) => {
+  try {
+    const { date, vehicleType } = req.query;
+    const roster = await availability.buildRoster(date, { vehicleType });
+    res.json({ status: "success", data: { roster } });
+  } catch (err) {
+    if (err instanceof ShiftError) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// @desc    Available drivers near a point, closest first (dispatch candidates)
+// @route   GET /api/auth/internal/drivers/nearby?lng=&lat=&radius=&vehicleType=&minRating=&limit=
+// @access  Internal (service client)
+exports.findNearbyDrivers = async (req, res, next) => {
+  try {
+    const search = driverSearch.parseSearch(req.query);
+    const drivers = await driverSearch.findNearbyDrivers(search);
+
+    res.json({
+      status: "success",
+      results: drivers.length,
       data: {
-        currentLocation: updatedDeliveryPersonnel.currentLocation,
+        radiusMeters: search.radiusMeters,
+        drivers: drivers.map(driverSearch.formatDriver),
       },
     });
   } catch (err) {
+    if (err instanceof driverSearch.DriverSearchError) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
     next(err);
   }
 };
@@ -0,0 +1,116 @@
+// backend/auth-service/controllers/driverDocumentController.js
+
+const documents = require("../utils/driverDocuments");
+const { recordAudit } = require("../utils/audit");
+
+const { DriverDocumentError } = documents;
+
+const sendError = (err, res, next) => {
+  if (err instanceof DriverDocumentError) {
+    return res.status(err.statusCode).json({ message: err.message });
+  }
+  next(err);
+};
+
+// @desc    Upload a document image: multipart "file" plus { expiresAt }
+// @route   PUT /api/auth/delivery/me/documents/:type   (license | national-id | vehicle-registration)
+// @access  Private (Delivery only)
+exports.uploadDocument = async (req, res, next) => {
+  try {
+    const { document, replaced } = await documents.submitDocument(
+      req.account,
+      req.params.type,
+      req.file,
+      req.body || {}
+    );
+    recordAudit({
+      action: "driver.document.upload",
+      req,
+      target: { type: "delivery", id: String(req.account._id) },
+      after: { type: document.type, status: document.status, expiresAt: document.expiresAt },
+      details: { replaced },
+    });
+    res.status(replaced ? 200 : 201).json({
+      status: "success",
+      data: {
+        document: documents.formatDocument(document),
+        verification: documents.formatVerification(req.account),
+      },
+    });
+  } catch (err) {
+    sendError(err, res, next);
+  }
+};
+
+// @desc    The driver's documents, their review status and what is missing
+// @route   GET /api/auth/delivery/me/documents
+// @access  Private (Delivery only)
+exports.getMyDocuments = async (req, res, next) => {
+  try {
+    res.json({ status: "success", data: { verification: documents.formatVerification(req.account) } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Documents waiting for review (or verified, rejected, expiring, expired)
+// @route   GET /api/auth/admin/drivers/documents?status=pending&days=30
+// @access  Private (admin with manage-users)
+exports.getReviewQueue = async (req, res, next) => {
+  try {
+    const entries = await documents.listQueue({ status: req.query.status || undefined, days: req.query.days });
+    res.json({ status: "success", results: entries.length, data: { documents: entries } });
+  } catch (err) {
+    sendError(err, res, next);
+  }
+};
+
+// @desc    The uploaded image of one of a driver's documents
+// @route   GET /api/auth/admin/drivers/:id/documents/:type/file
+// @access  Private (admin with manage-users)
+exports.getDocumentFile = async (req, res, next) => {
+  try {
+    const file = await documents.documentFile(req.params.id, req.params.type);
+    res.set("Cache-Control", "private, no-store");
+    res.set("X-Content-Type-Options", "nosniff");
+    res.type(file.mimeType || "application/octet-stream");
+    res.sendFile(file.path, (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ message: "The document file is missing." });
+      }
+    });
+  } catch (err) {
+    sendError(err, res, next);
+  }
+};
+
+// @desc    Verify or reject a driver's document: { decision: "verify" | "reject", expiresAt?, note? }
+// @route   POST /api/auth/admin/drivers/:id/documents/:type/review
+// @access  Private (admin with manage-users)
+exports.reviewDocument = async (req, res, next) => {
+  try {
+    const { driver, document, before } = await documents.reviewDocument(
+      req.params.id,
+      req.params.type,
+      req.user.id,
+      req.body || {}
+    );
+    recordAudit({
+      action: `driver.document.${req.body.decision}`,
+      req,
+      target: { type: "delivery", id: String(driver._id) },
+      before: { type: document.type, status: before },
+      after: { type: document.type, status: document.status, expiresAt: document.expiresAt },
+      details: { note: document.note },
+    });
+    res.json({
+      status: "success",
+      data: {
+        document: documents.formatDocument(document),
+        verification: documents.formatVerification(driver),
+      },
+    });
+  } catch (err) {
+    sendError(err, res, next);
+  }
+};
@@ -0,0 +1,77 @@
+// backend/auth-service/controllers/emailVerificationController.js
+
+const { getModelForRole } = require("../utils/accountModels");
+const { hashToken } = require("../utils/oneTimeTokens");
+const { sendVerificationEmail } = require("../utils/emailVerification");
+
+// @desc    Confirm an email address using the emailed token
+// @route   POST /api/auth/verify-email
+// @access  Public (requires a valid verification token)
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const { token, role = "customer" } = req.body;
+
+    // 1) Validate input
+    if (!token) {
+      return res.status(400).json({ message: "Verification token is required." });
+    }
+    const Model = getModelForRole(role);
+    if (!Model) {
+      return res.status(400).json({ message: "Invalid account type." });
+    }
+
+    // 2) Find the account holding this unexpired token
+    const user = await Model.findOne({
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() },
+    }).select("+emailVerificationToken +emailVerificationExpires");
+    if (!user) {
+      return res.status(400).json({ message: "Verification link is invalid or has expired." });
+    }
+
+    // 3) Mark verified and burn the token
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      status: "success",
+      message: "Email address verified.",
+      data: { email: user.email, emailVerified: true },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Send a new verification link
+// @route   POST /api/auth/verify-email/resend
+// @access  Public
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const { email, role = "customer" } = req.body;
+
+    // 1) Validate input
+    if (!email) {
+      return res.status(400).json({ message: "Email is required." });
+    }
+    const Model = getModelForRole(role);
+    if (!Model) {
+      return res.status(400).json({ message: "Invalid account type." });
+    }
+
+    // 2) Only unverified accounts get a new link; the response never reveals which
+    const user = await Model.findOne({ email: String(email).toLowerCase().trim() });
+    if (user && !user.emailVerified) {
+      await sendVerificationEmail(user, role);
+    }
+
+    res.json({
+      status: "success",
+      message: "If that account still needs verification, a new link has been sent.",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,78 @@
+// backend/auth-service/controllers/oidcController.js
+
+const oidc = require("../utils/oidc");
+const { OidcError } = oidc;
+const { buildLoginResponse } = require("../utils/loginResponse");
+const { recordAudit } = require("../utils/audit");
+
+// Page of the frontend that finishes a social sign-in
+const frontendCallback = (params) => {
+  const url = new URL("/auth/oidc/callback", process.env.FRONTEND_URL || "http://localhost:3000");
+  for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+  return url.toString();
+};
+
+// The start and callback steps are browser navigations, so failures go back to
+// the frontend as ?error= rather than as JSON
+const redirectWithError = (err, req, res) => {
+  const provider = req.params.provider;
+  if (!(err instanceof OidcError)) {
+    console.error(`❌ ${provider} sign-in failed:`, err.message);
+  }
+  const statusCode = err instanceof OidcError ? err.statusCode : 500;
+  recordAudit({
+    action: "auth.login",
+    outcome: "failure",
+    req,
+    details: { endpoint: "oidc", provider, statusCode },
+  });
+  const message = err instanceof OidcError ? err.message : "Sign-in failed. Please try again.";
+  res.redirect(frontendCallback({ error: message }));
+};
+
+// @desc    Social login providers to show as buttons
+// @route   GET /api/auth/oidc/providers
+// @access  Public
+exports.listProviders = (req, res) => {
+  res.json({ status: "success", data: { providers: oidc.listProviders() } });
+};
+
+// @desc    Send the browser to the provider's sign-in page
+// @route   GET /api/auth/oidc/:provider/start?returnTo=/path
+// @access  Public
+exports.startLogin = async (req, res) => {
+  try {
+    res.redirect(await oidc.beginLogin(req.params.provider, { returnTo: req.query.returnTo }));
+  } catch (err) {
+    redirectWithError(err, req, res);
+  }
+};
+
+// @desc    Provider redirect target: find, link or create the customer, then hand
+//          the frontend a one-time code for the session tokens
+// @route   GET /api/auth/oidc/:provider/callback?code=&state=   (or ?error=&state=)
+// @access  Public (requires the state from /start)
+exports.callback = async (req, res) => {
+  try {
+    const { code } = await oidc.completeLogin(req.params.provider, req.query, req);
+    res.redirect(frontendCallback({ code }));
+  } catch (err) {
+    redirectWithError(err, req, res);
+  }
+};
+
+// @desc    Trade the one-time code for access and refresh tokens
+// @route   POST /api/auth/oidc/exchange   { code }
+// @access  Public (requires a code from the callback, valid for two minutes)
+exports.exchangeCode = async (req, res, next) => {
+  try {
+    const { account, returnTo } = await oidc.redeemExchangeCode((req.body || {}).code);
+    const login = await buildLoginResponse(account, req);
+    res.json({ ...login, data: { ...login.data, returnTo } });
+  } catch (err) {
+    if (err instanceof OidcError) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
@@ -0,0 +1,156 @@
+// backend/auth-service/controllers/passwordResetController.js
+
+const Customer = require("../models/Customer");
+const DeliveryPersonnel = require("../models/DeliveryPersonnel");
+const RestaurantAdmin = require("../models/RestaurantAdmin");
+const { generateToken, hashToken } = require("../utils/oneTimeTokens");
+const { sendEmailNotification } = require("../utils/emailService");
+const { escapeHtml } = require("../utils/html");
+const { revokeAllSessions } = require("../utils/sessions");
+const { getPolicy, validatePassword, weakPasswordResponse } = require("../utils/passwordPolicy");
+
+// Account types that can recover their password through email
+const resettableModels = {
+  customer: Customer,
+  delivery: DeliveryPersonnel,
+  "restaurant-admin": RestaurantAdmin,
+};
+
+const GENERIC_RESPONSE = {
+  status: "success",
+  message: "If an account exists for that email, a reset link has been sent.",
+};
+
+const resetTtlMinutes = () => Number(process.env.PASSWORD_RESET_TTL_MINUTES || 30);
+
+// @desc    Request a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { email, role = "customer" } = req.body;
+
+    // 1) Validate input
+    if (!email) {
+      return res.status(400).json({ message: "Email is required." });
+    }
+    const Model = resettableModels[role];
+    if (!Model) {
+      return res.status(400).json({ message: "Invalid account type." });
+    }
+
+    // 2) Look up the account (respond the same way whether or not it exists)
+    const user = await Model.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user) {
+      return res.json(GENERIC_RESPONSE);
+    }
+
+    // 3) Store only the hash of a fresh single-use token
+    const { token, hash, expiresAt } = generateToken(resetTtlMinutes());
+    user.passwordResetToken = hash;
+    user.passwordResetExpires = expiresAt;
+    await user.save({ validateBeforeSave: false });
+
+    // 4) Email the link
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+    const link = `${frontendUrl}/auth/reset-password?token=${token}&role=${encodeURIComponent(role)}`;
+    try {
+      await sendEmailNotification(
+        user.email,
+        "Reset your SkyDish password",
+        `<p>Hi ${escapeHtml(user.firstName)},</p>
+         <p>We received a request to reset your password. This link expires in ${resetTtlMinutes()} minutes and can be used once.</p>
+         <p><a href="${link}">Reset my password</a></p>
+         <p>If you did not ask for this, you can ignore this email.</p>`,
+        `Hi ${user.firstName}, reset your SkyDish password within ${resetTtlMinutes()} minutes: ${link}`
+      );
+    } catch (mailErr) {
+      // Do not leave a usable token behind if the link never went out. The answer
+      // stays the generic one: a 502 only for registered emails would reveal them.
+      console.error("❌ Could not send password reset email:", mailErr.message);
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.json(GENERIC_RESPONSE);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Set a new password using a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public (requires a valid reset token)
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, password, role = "customer" } = req.body;
+
+    // 1) Validate input
+    if (!token || !password) {
+      return res.status(400).json({ message: "Token and new password are required." });
+    }
+    const Model = resettableModels[role];
+    if (!Model) {
+      return res.status(400).json({ message: "Invalid account type." });
+    }
+
+    // 2) Find the account holding this unexpired token
+    const user = await Model.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    }).select("+passwordResetToken +passwordResetExpires");
+    if (!user) {
+      return res.status(400).json({ message: "Reset link is invalid or has expired." });
+    }
+
+    // Enforce the password policy (the token stays valid so the user can retry)
+    const passwordErrors = validatePassword(password, user);
+    if (passwordErrors.length) {
+      return res.status(400).json(weakPasswordResponse(passwordErrors));
+    }
+
+    // 3) Set the new password and burn the token
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // 4) Sign out every existing session
+    await revokeAllSessions({ source: "auth", id: user._id, role });
+
+    res.json({
+      status: "success",
+      message: "Password has been reset. Please log in with your new password.",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Current password requirements (for client-side hints)
+// @route   GET /api/auth/password-policy
+// @access  Public
+exports.getPasswordPolicy = (req, res) => {
+  res.json({ status: "success", data: { policy: getPolicy() } });
+};
+
+// @desc    Check a password against the platform policy for another service
+//          (restaurant-service registers restaurant admins and super admins)
+// @route   POST /api/auth/internal/password-policy/check   body { password, user? }
+// @access  Service clients
+exports.checkPassword = (req, res) => {
+  const { password, user } = req.body || {};
+  // Only the fields the personal-info rule reads, and only as strings
+  const profile = Object.fromEntries(
+    ["firstName", "lastName", "name", "ownerName", "email"]
+      .filter((key) => user && typeof user[key] === "string")
+      .map((key) => [key, user[key]])
+  );
+
+  const errors = validatePassword(password, profile);
+  if (errors.length) {
+    return res.status(400).json(weakPasswordResponse(errors));
+  }
+  res.json({ status: "success" });
+};
@@ -0,0 +1,42 @@
+// backend/auth-service/controllers/phoneLoginController.js
+
+const { OtpError, requestCode, verifyCode } = require("../utils/phoneOtp");
+const { buildLoginResponse } = require("../utils/loginResponse");
+
+const sendError = (err, res, next) => {
+  if (!(err instanceof OtpError)) return next(err);
+  if (err.retryAfter) {
+    res.set("Retry-After", String(err.retryAfter));
+    return res.status(err.statusCode).json({ message: err.message, retryAfter: err.retryAfter });
+  }
+  res.status(err.statusCode).json({ message: err.message });
+};
+
+// @desc    Text a six-digit login code to a customer's phone
+// @route   POST /api/auth/otp/request   { phone }
+// @access  Public
+exports.requestOtp = async (req, res, next) => {
+  try {
+    const { expiresAt, resendAfter } = await requestCode((req.body || {}).phone);
+    res.json({
+      status: "success",
+      message: "If this number belongs to an account, a login code is on its way.",
+      data: { expiresAt, resendAfter },
+    });
+  } catch (err) {
+    sendError(err, res, next);
+  }
+};
+
+// @desc    Log in with the code; answers like /api/auth/token
+// @route   POST /api/auth/otp/verify   { phone, code }
+// @access  Public
+exports.verifyOtp = async (req, res, next) => {
+  try {
+    const { phone, code } = req.body || {};
+    const account = await verifyCode(phone, code);
+    res.json(await buildLoginResponse(account, req));
+  } catch (err) {
+    sendError(err, res, next);
+  }
+};
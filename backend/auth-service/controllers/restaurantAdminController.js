@@ -1,15 +1,38 @@
 // backend/auth-service/controllers/restaurantAdminController.js
 
-const jwt = require("jsonwebtoken");
 const RestaurantAdmin = require("../models/RestaurantAdmin");
+const { openSession } = require("../utils/sessions");
+const { validatePassword, weakPasswordResponse } = require("../utils/passwordPolicy");
+const { sendVerificationEmail } = require("../utils/emailVerification");
+const { claimsForUser } = require("../utils/claims");
+const { startLoginChallenge } = require("../utils/twoFactor");
+const onboarding = require("../utils/restaurantOnboarding");
+const { RestaurantServiceError } = require("../utils/restaurantService");
+const { recordAudit } = require("../utils/audit");
 
-// Helper to sign a JWT for a given user ID (and role)
-const signToken = (userId) => {
-  return jwt.sign(
-    { id: userId, role: "restaurant-admin" },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || "7d" }
+const { OnboardingError } = onboarding;
+
+// Helper to open a session for a given user and sign its tokens with the
+// standard claims /api/auth/token issues (sub, role, restaurantId, ...)
+const signTokens = (user, req) =>
+  openSession(
+    { source: "auth", id: user._id, role: "restaurant-admin" },
+    claimsForUser(user, "restaurant-admin"),
+    req
   );
+
+// Audit a reviewer's step. `since` is when the request started: a decision on a
+// submitted application records two steps, and `before` is where the first began.
+const auditDecision = (req, action, admin, since, details) => {
+  const steps = (admin.onboardingHistory || []).filter((step) => step.at >= since);
+  recordAudit({
+    action,
+    req,
+    target: { type: "restaurant-admin", id: String(admin._id) },
+    before: { onboardingStatus: steps.length ? steps[0].from : undefined },
+    after: { onboardingStatus: onboarding.statusOf(admin), restaurantId: admin.restaurantId },
+    details,
+  });
 };
 
 // @desc    Register a new restaurant admin
@@ -17,13 +40,19 @@ const signToken = (userId) => {
 // @access  Public
 exports.register = async (req, res, next) => {
   try {
-    const { firstName, lastName, email, phone, password, businessLicense } = req.body;
+    const { firstName, lastName, email, phone, password, businessLicense, restaurantName, restaurantLocation } = req.body;
 
     // 1) Check all required fields
     if (!firstName || !lastName || !email || !phone || !password || !businessLicense) {
       return res.status(400).json({ message: "Please provide all required fields." });
     }
 
+    // Reject passwords that break the policy (length, character classes, name/email, common list)
+    const passwordErrors = validatePassword(password, { firstName, lastName, email });
+    if (passwordErrors.length) {
+      return res.status(400).json(weakPasswordResponse(passwordErrors));
+    }
+
     // 2) Prevent duplicate emails
     const existing = await RestaurantAdmin.findOne({ email });
     if (existing) {
@@ -44,15 +73,25 @@ exports.register = async (req, res, next) => {
       phone,
       password,
       businessLicense,
+      restaurantName,
+      restaurantLocation,
     });
 
-    // 5) Sign JWT
-    const token = signToken(newRestaurantAdmin._id);
+    // 5) Sign JWT, unless the two-factor policy covers this role: then the first
+    //    session also starts with enrollment (finished at /api/auth/2fa/challenge/enroll)
+    const challenge = await startLoginChallenge({ source: "auth", id: newRestaurantAdmin._id, role: "restaurant-admin" });
+    const { token, refreshToken } = challenge ? {} : await signTokens(newRestaurantAdmin, req);
+
+    // Send the verification link (registration still succeeds if mail fails)
+    try {
+      await sendVerificationEmail(newRestaurantAdmin, "restaurant-admin");
+    } catch (mailErr) {
+      console.error("❌ Could not send verification email:", mailErr.message);
+    }
 
     // 6) Respond
     res.status(201).json({
-      status: "success",
-      token,
+      ...(challenge || { status: "success", token, refreshToken }),
       data: {
         restaurantAdmin: {
           id: newRestaurantAdmin._id,
@@ -60,8 +99,10 @@ exports.register = async (req, res, next) => {
           lastName: newRestaurantAdmin.lastName,
           email: newRestaurantAdmin.email,
           phone: newRestaurantAdmin.phone,
+          emailVerified: newRestaurantAdmin.emailVerified,
           businessLicense: newRestaurantAdmin.businessLicense,
           isApproved: newRestaurantAdmin.isApproved,
+          onboardingStatus: newRestaurantAdmin.onboardingStatus,
         },
       },
     });
@@ -88,8 +129,13 @@ exports.login = async (req, res, next) => {
       return res.status(401).json({ message: "Invalid credentials." });
     }
 
-    // 3) Check if account is approved
-    if (!restaurantAdmin.isApproved) {
+    // 3) Check the application: approved accounts sign in, and so do applicants
+    //    asked for more information, so they can update and resubmit it
+    const onboardingStatus = onboarding.statusOf(restaurantAdmin);
+    if (onboardingStatus === "rejected") {
+      return res.status(403).json({ message: "Your restaurant application was not approved. Please contact support." });
+    }
+    if (onboardingStatus !== "approved" && onboardingStatus !== "needs-info") {
       return res.status(403).json({ message: "Account is pending approval by an administrator." });
     }
 
@@ -98,14 +144,24 @@ exports.login = async (req, res, next) => {
     if (!valid) {
       return res.status(401).json({ message: "Invalid credentials." });
     }
+    if (restaurantAdmin.suspended) {
+      return res.status(403).json({ message: "Your account has been suspended. Please contact support." });
+    }
+
+    // Second factor, when enrolled or required (finished at /api/auth/2fa/challenge)
+    const challenge = await startLoginChallenge({ source: "auth", id: restaurantAdmin._id, role: "restaurant-admin" });
+    if (challenge) {
+      return res.json(challenge);
+    }
 
     // 5) Generate token
-    const token = signToken(restaurantAdmin._id);
+    const { token, refreshToken } = await signTokens(restaurantAdmin, req);
 
     // 6) Respond
     res.json({
       status: "success",
       token,
+      refreshToken,
       data: {
         restaurantAdmin: {
           id: restaurantAdmin._id,
@@ -113,9 +169,11 @@ exports.login = async (req, res, next) => {
           lastName: restaurantAdmin.lastName,
           email: restaurantAdmin.email,
           phone: restaurantAdmin.phone,
+          emailVerified: restaurantAdmin.emailVerified,
           businessLicense: restaurantAdmin.businessLicense,
           restaurantId: restaurantAdmin.restaurantId,
           isApproved: restaurantAdmin.isApproved,
+          onboardingStatus: restaurantAdmin.onboardingStatus,
         },
       },
     });
@@ -129,7 +187,7 @@ exports.login = async (req, res, next) => {
 // @access  Private (Restaurant Admin only)
 exports.getMe = async (req, res, next) => {
   try {
-    const restaurantAdmin = await RestaurantAdmin.findById(req.user.id).populate('restaurantId');
+    const restaurantAdmin = await RestaurantAdmin.findById(req.user.id);
     if (!restaurantAdmin) {
       return res.status(404).json({ message: "Restaurant admin not found." });
     }
@@ -143,9 +201,11 @@ exports.getMe = async (req, res, next) => {
           lastName: restaurantAdmin.lastName,
           email: restaurantAdmin.email,
           phone: restaurantAdmin.phone,
+          emailVerified: restaurantAdmin.emailVerified,
           businessLicense: restaurantAdmin.businessLicense,
           restaurantId: restaurantAdmin.restaurantId,
           isApproved: restaurantAdmin.isApproved,
+          onboardingStatus: onboarding.statusOf(restaurantAdmin),
           approvedAt: restaurantAdmin.approvedAt,
           createdAt: restaurantAdmin.createdAt,
         },
@@ -182,6 +242,7 @@ exports.updateMe = async (req, res, next) => {
           lastName: updatedRestaurantAdmin.lastName,
           email: updatedRestaurantAdmin.email,
           phone: updatedRestaurantAdmin.phone,
+          emailVerified: updatedRestaurantAdmin.emailVerified,
           businessLicense: updatedRestaurantAdmin.businessLicense,
           restaurantId: updatedRestaurantAdmin.restaurantId,
           isApproved: updatedRestaurantAdmin.isApproved,
@@ -193,49 +254,154 @@ exports.updateMe = async (req, res, next) => {
   }
 };
 
-// @desc    Approve restaurant admin (Admin only)
-// @route   PATCH /api/auth/restaurant-admin/:id/approve
-// @access  Private (Admin only)
-exports.approveRestaurantAdmin = async (req, res, next) => {
+// @desc    Get the signed-in applicant's application and its history
+// @route   GET /api/auth/restaurant-admin/me/application
+// @access  Private (Restaurant Admin only)
+exports.getMyApplication = async (req, res) => {
+  res.json({ status: "success", data: { application: onboarding.formatApplication(req.account) } });
+};
+
+// @desc    Answer a request for more information and submit the application again
+// @route   PUT /api/auth/restaurant-admin/me/application
+// @access  Private (Restaurant Admin only)
+exports.resubmitApplication = async (req, res, next) => {
   try {
-    const restaurantAdmin = await RestaurantAdmin.findByIdAndUpdate(
-      req.params.id,
-      {
-        isApproved: true,
-        approvedBy: req.user.id,
-        approvedAt: new Date(),
-      },
-      { new: true }
-    );
+    const admin = await onboarding.resubmit(req.account, req.body || {});
+    res.json({ status: "success", data: { application: onboarding.formatApplication(admin) } });
+  } catch (err) {
+    if (err instanceof OnboardingError) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
 
-    if (!restaurantAdmin) {
-      return res.status(404).json({ message: "Restaurant admin not found." });
+// @desc    One application with its full history (Admin only)
+// @route   GET /api/auth/restaurant-admin/:id/application
+// @access  Private (admin with manage-restaurants)
+exports.getApplication = async (req, res, next) => {
+  try {
+    const admin = await onboarding.findApplication(req.params.id);
+    res.json({
+      status: "success",
+      data: { application: onboarding.formatApplication(admin, { forReviewer: true }) },
+    });
+  } catch (err) {
+    if (err instanceof OnboardingError) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// @desc    Take a submitted application into review (Admin only)
+// @route   POST /api/auth/restaurant-admin/:id/review
+// @access  Private (admin with manage-restaurants)
+exports.startReview = async (req, res, next) => {
+  try {
+    const since = new Date();
+    const admin = await onboarding.startReview(req.params.id, req.user.id);
+    auditDecision(req, "restaurant-admin.review", admin, since);
+    res.json({
+      status: "success",
+      data: { application: onboarding.formatApplication(admin, { forReviewer: true }) },
+    });
+  } catch (err) {
+    if (err instanceof OnboardingError) {
+      return res.status(err.statusCode).json({ message: err.message });
     }
+    next(err);
+  }
+};
+
+// @desc    Approve restaurant admin and create or link their restaurant (Admin only)
+// @route   PATCH /api/auth/restaurant-admin/:id/approve — body { restaurantId?, note?, overrideOwnership? }
+// @access  Private (admin with manage-restaurants)
+exports.approveRestaurantAdmin = async (req, res, next) => {
+  try {
+    const { restaurantId, note } = req.body || {};
+    const overrideOwnership = req.body?.overrideOwnership === true;
+    const since = new Date();
+    const { admin, restaurant, linked } = await onboarding.approve(req.params.id, req.user.id, {
+      restaurantId,
+      note,
+      overrideOwnership,
+    });
+    auditDecision(req, "restaurant-admin.approve", admin, since, { linked, note, overrideOwnership });
 
     res.json({
       status: "success",
       data: {
         restaurantAdmin: {
-          id: restaurantAdmin._id,
-          firstName: restaurantAdmin.firstName,
-          lastName: restaurantAdmin.lastName,
-          email: restaurantAdmin.email,
-          isApproved: restaurantAdmin.isApproved,
-          approvedAt: restaurantAdmin.approvedAt,
+          id: admin._id,
+          firstName: admin.firstName,
+          lastName: admin.lastName,
+          email: admin.email,
+          isApproved: admin.isApproved,
+          approvedAt: admin.approvedAt,
+          restaurantId: admin.restaurantId,
+          onboardingStatus: admin.onboardingStatus,
         },
+        restaurant,
+        linked,
       },
     });
   } catch (err) {
+    if (err instanceof OnboardingError || err instanceof RestaurantServiceError) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// @desc    Reject an application with a reason (Admin only)
+// @route   PATCH /api/auth/restaurant-admin/:id/reject — body { reason }
+// @access  Private (admin with manage-restaurants)
+exports.rejectRestaurantAdmin = async (req, res, next) => {
+  try {
+    const since = new Date();
+    const { reason } = req.body || {};
+    const admin = await onboarding.reject(req.params.id, req.user.id, reason);
+    auditDecision(req, "restaurant-admin.reject", admin, since, { reason });
+    res.json({
+      status: "success",
+      data: { application: onboarding.formatApplication(admin, { forReviewer: true }) },
+    });
+  } catch (err) {
+    if (err instanceof OnboardingError) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// @desc    Send an application back to the applicant for more information (Admin only)
+// @route   PATCH /api/auth/restaurant-admin/:id/request-info — body { note }
+// @access  Private (admin with manage-restaurants)
+exports.requestMoreInfo = async (req, res, next) => {
+  try {
+    const since = new Date();
+    const { note } = req.body || {};
+    const admin = await onboarding.requestInfo(req.params.id, req.user.id, note);
+    auditDecision(req, "restaurant-admin.request-info", admin, since, { note });
+    res.json({
+      status: "success",
+      data: { application: onboarding.formatApplication(admin, { forReviewer: true }) },
+    });
+  } catch (err) {
+    if (err instanceof OnboardingError) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
     next(err);
   }
 };
 
-// @desc    Get all pending restaurant admins (Admin only)
-// @route   GET /api/auth/restaurant-admin/pending
-// @access  Private (Admin only)
+// @desc    Restaurant admin applications awaiting a decision (Admin only)
+// @route   GET /api/auth/restaurant-admin/pending?status=submitted,under-review,needs-info
+// @access  Private (admin with manage-restaurants)
 exports.getPendingRestaurantAdmins = async (req, res, next) => {
   try {
-    const pendingAdmins = await RestaurantAdmin.find({ isApproved: false });
+    const pendingAdmins = await onboarding.listApplications(req.query.status);
 
     res.json({
       status: "success",
@@ -247,12 +413,19 @@ exports.getPendingRestaurantAdmins = async (req, res, next) => {
           lastName: admin.lastName,
           email: admin.email,
           phone: admin.phone,
+          emailVerified: admin.emailVerified,
           businessLicense: admin.businessLicense,
+          restaurantName: admin.restaurantName,
+          restaurantLocation: admin.restaurantLocation,
+          onboardingStatus: onboarding.statusOf(admin),
           createdAt: admin.createdAt,
         })),
       },
     });
   } catch (err) {
+    if (err instanceof OnboardingError) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
     next(err);
   }
 };
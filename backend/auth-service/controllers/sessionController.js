@@ -0,0 +1,51 @@
+// backend/auth-service/controllers/sessionController.js
+
+const sessions = require("../utils/sessions");
+
+const { SessionError } = sessions;
+
+// @desc    Devices the signed-in account is logged in on, most recently seen first
+// @route   GET /api/auth/sessions
+// @access  Private (any account)
+exports.listMySessions = async (req, res, next) => {
+  try {
+    const list = await sessions.listSessions(req.identity);
+    res.json({
+      status: "success",
+      results: list.length,
+      data: { sessions: list.map((session) => sessions.formatSession(session, req.sessionId)) },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Sign one of your devices out
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private (any account)
+exports.revokeMySession = async (req, res, next) => {
+  try {
+    await sessions.revokeSession(req.identity, req.params.sessionId, req.user.id);
+    res.json({ status: "success", message: "Session revoked." });
+  } catch (err) {
+    if (err instanceof SessionError) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// @desc    Sign out every device except the one making the request
+// @route   POST /api/auth/sessions/revoke-others
+// @access  Private (any account)
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revoked = await sessions.revokeAllSessions(req.identity, {
+      except: req.sessionId,
+      revokedBy: req.user.id,
+    });
+    res.json({ status: "success", data: { revoked } });
+  } catch (err) {
+    next(err);
+  }
+};
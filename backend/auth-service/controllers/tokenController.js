@@ -0,0 +1,181 @@
+// backend/auth-service/controllers/tokenController.js
+
+const { JsonWebTokenError } = require("jsonwebtoken");
+const { signToken, verifyToken } = require("../utils/jwt");
+const { getJwks } = require("../utils/signingKeys");
+const { getModelForRole, modelsByRole } = require("../utils/accountModels");
+const { claimsForUser } = require("../utils/claims");
+const { buildLoginResponse } = require("../utils/loginResponse");
+const { startLoginChallenge } = require("../utils/twoFactor");
+const { renewSession, revokeSessionByFamily, touchSession } = require("../utils/sessions");
+const {
+  IdentityError,
+  resolveAccount,
+  findAccountById,
+} = require("../utils/identityResolver");
+const {
+  RefreshTokenError,
+  rotateRefreshToken,
+  revokeRefreshToken,
+} = require("../utils/refreshTokens");
+
+// @desc    Log in with any account type and receive a standard-claim token
+// @route   POST /api/auth/token
+// @access  Public
+exports.issueToken = async (req, res, next) => {
+  try {
+    const { email, password, role } = req.body || {};
+
+    // 1) Check email & password (role is an optional hint)
+    if (!email || !password) {
+      return res.status(400).json({ message: "Email and password are required." });
+    }
+    if (role && !modelsByRole[role]) {
+      return res.status(400).json({ message: "Invalid account type." });
+    }
+
+    // 2) Find the account in whichever identity collection holds it
+    const account = await resolveAccount(email, password, role);
+
+    // 3) Admins and restaurant owners may owe a second factor first
+    const challenge = await startLoginChallenge(account);
+    if (challenge) {
+      return res.json(challenge);
+    }
+
+    // 4) Sign the standard claims; refresh tokens only cover accounts stored here
+    res.json(await buildLoginResponse(account, req));
+  } catch (err) {
+    if (err instanceof IdentityError) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// @desc    Exchange a refresh token for a new access + refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public (requires a valid refresh token)
+exports.refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    // 1) Rotate the refresh token (revokes the family on reuse)
+    const rotated = await rotateRefreshToken(refreshToken);
+
+    // 2) Make sure the account still exists and may still sign in
+    const Model = getModelForRole(rotated.role);
+    const user = Model && (await Model.findById(rotated.userId));
+    if (!user) {
+      return res
+        .status(401)
+        .json({ message: "The user belonging to this token no longer exists." });
+    }
+    if (user.suspended) {
+      return res.status(403).json({ message: "Your account has been suspended. Please contact support." });
+    }
+
+    // 3) Keep the session alive (tokens from before sessions have none)
+    const session = await renewSession(rotated.family, req.ip);
+    if (session === null) {
+      return res.status(401).json({ message: "Your session has ended. Please log in again." });
+    }
+
+    // 4) Sign a fresh access token with the standard claim set
+    const claims = claimsForUser(user, rotated.role);
+    const token = signToken(session ? { ...claims, sid: session.id } : claims);
+
+    res.json({
+      status: "success",
+      token,
+      refreshToken: rotated.refreshToken,
+    });
+  } catch (err) {
+    if (err instanceof RefreshTokenError) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// @desc    Log out by revoking the refresh token (its rotation family and session)
+// @route   POST /api/auth/logout
+// @access  Public (requires the refresh token being revoked)
+exports.logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required." });
+    }
+
+    const family = await revokeRefreshToken(refreshToken);
+    if (family) {
+      await revokeSessionByFamily(family);
+    }
+
+    // Always succeed so the endpoint does not reveal which tokens exist
+    res.json({ status: "success", message: "Logged out." });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Publish the public signing keys so other services can verify tokens
+// @route   GET /.well-known/jwks.json
+// @access  Public
+exports.jwks = (req, res) => {
+  // Short cache: verifiers refetch on an unknown kid anyway
+  res.set("Cache-Control", "public, max-age=300");
+  res.json(getJwks());
+};
+
+// @desc    Tell another service whether an access token is still usable
+// @route   POST /api/auth/introspect
+// @access  Service clients (HTTP Basic, see INTROSPECTION_CLIENTS)
+exports.introspect = async (req, res, next) => {
+  try {
+    const { token } = req.body || {};
+    if (!token) {
+      return res.status(400).json({ message: "Token is required." });
+    }
+    res.set("Cache-Control", "no-store");
+
+    // 1) Signature and expiry; any failure just means "not active"
+    let claims;
+    try {
+      claims = verifyToken(token);
+    } catch (err) {
+      if (err instanceof JsonWebTokenError) {
+        return res.json({ active: false });
+      }
+      throw err;
+    }
+
+    // 2) The account must still exist (deleted accounts keep valid signatures)
+    const account = await findAccountById(claims.sub || claims.id, claims.role || "customer");
+    if (!account) {
+      return res.json({ active: false });
+    }
+
+    // 3) So must its session, if the token names one (signed-out devices are not active)
+    if (claims.sid && !(await touchSession(claims.sid))) {
+      return res.json({ active: false });
+    }
+
+    // 4) Suspended accounts are reported, but not active
+    res.json({
+      active: !account.suspended,
+      suspended: account.suspended,
+      sub: String(account.id),
+      role: account.role,
+      restaurantId: account.restaurantId ? String(account.restaurantId) : null,
+      email: account.email,
+      name: account.name,
+      source: account.source,
+      iat: claims.iat,
+      exp: claims.exp,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
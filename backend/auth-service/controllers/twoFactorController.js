@@ -0,0 +1,188 @@
+// backend/auth-service/controllers/twoFactorController.js
+
+const { findAccountById } = require("../utils/identityResolver");
+const { buildLoginResponse } = require("../utils/loginResponse");
+const twoFactor = require("../utils/twoFactor");
+const { recordAudit } = require("../utils/audit");
+
+const { TwoFactorError, TWO_FACTOR_ROLES } = twoFactor;
+
+const sendError = (err, res, next) =>
+  err instanceof TwoFactorError
+    ? res.status(err.statusCode).json({ message: err.message })
+    : next(err);
+
+// The account a login challenge was issued for, if it may still sign in
+const accountForChallenge = async (challenge) => {
+  const account = await findAccountById(challenge.accountId, challenge.role);
+  if (!account || account.source !== challenge.source || account.suspended) {
+    await twoFactor.closeChallenge(challenge);
+    throw new TwoFactorError("Login challenge is invalid or has expired. Please log in again.", 401);
+  }
+  return account;
+};
+
+// @desc    Two-factor state of the signed-in account
+// @route   GET /api/auth/2fa
+// @access  Private (admin, super-admin, restaurant-admin)
+exports.getStatus = async (req, res, next) => {
+  try {
+    res.json({ status: "success", data: { twoFactor: await twoFactor.getStatus(req.identity) } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Start TOTP enrollment: a new secret and its otpauth:// URI
+// @route   POST /api/auth/2fa/enroll
+// @access  Private (admin, super-admin, restaurant-admin)
+exports.startEnrollment = async (req, res, next) => {
+  try {
+    const enrollment = await twoFactor.beginEnrollment(req.identity);
+    res.json({ status: "success", data: enrollment });
+  } catch (err) {
+    sendError(err, res, next);
+  }
+};
+
+// @desc    Confirm enrollment with a code from the app; returns recovery codes once
+// @route   POST /api/auth/2fa/enroll/verify   { code }
+// @access  Private (admin, super-admin, restaurant-admin)
+exports.confirmEnrollment = async (req, res, next) => {
+  try {
+    const recoveryCodes = await twoFactor.confirmEnrollment(req.identity, (req.body || {}).code);
+    res.json({ status: "success", data: { recoveryCodes } });
+  } catch (err) {
+    sendError(err, res, next);
+  }
+};
+
+// @desc    Replace all recovery codes
+// @route   POST /api/auth/2fa/recovery-codes   { code }
+// @access  Private (admin, super-admin, restaurant-admin)
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    if (!(await twoFactor.verifySecondFactor(req.identity, { code: (req.body || {}).code }))) {
+      return res.status(400).json({ message: "Invalid code." });
+    }
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.identity);
+    res.json({ status: "success", data: { recoveryCodes } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Turn two-factor login off (not allowed when the role requires it)
+// @route   POST /api/auth/2fa/disable   { code }
+// @access  Private (admin, super-admin, restaurant-admin)
+exports.disable = async (req, res, next) => {
+  try {
+    if (await twoFactor.isRequiredForRole(req.identity.role)) {
+      return res.status(403).json({ message: "Two-factor authentication is required for your role." });
+    }
+    if (!(await twoFactor.verifySecondFactor(req.identity, { code: (req.body || {}).code }))) {
+      return res.status(400).json({ message: "Invalid code." });
+    }
+    await twoFactor.disableTwoFactor(req.identity);
+    res.json({ status: "success", message: "Two-factor authentication disabled." });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Finish a login with a TOTP code or a recovery code
+// @route   POST /api/auth/2fa/challenge   { challengeToken, code | recoveryCode }
+// @access  Public (requires a challenge from a password login)
+exports.verifyChallenge = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: "A code or a recovery code is required." });
+    }
+
+    const challenge = await twoFactor.openChallenge(challengeToken, "verify");
+    const account = await accountForChallenge(challenge);
+    if (!(await twoFactor.verifySecondFactor(account, { code, recoveryCode }))) {
+      return res.status(401).json({ message: "Invalid code." });
+    }
+
+    await twoFactor.closeChallenge(challenge);
+    res.json(await buildLoginResponse(account, req));
+  } catch (err) {
+    sendError(err, res, next);
+  }
+};
+
+// @desc    Start the enrollment a role policy requires, before the first login completes
+// @route   POST /api/auth/2fa/challenge/enroll   { challengeToken }
+// @access  Public (requires an enrollment challenge from a password login)
+exports.startChallengeEnrollment = async (req, res, next) => {
+  try {
+    const challenge = await twoFactor.openChallenge((req.body || {}).challengeToken, "enroll");
+    const account = await accountForChallenge(challenge);
+    res.json({ status: "success", data: await twoFactor.beginEnrollment(account) });
+  } catch (err) {
+    sendError(err, res, next);
+  }
+};
+
+// @desc    Confirm that enrollment and finish the login; returns tokens and recovery codes
+// @route   POST /api/auth/2fa/challenge/enroll/verify   { challengeToken, code }
+// @access  Public (requires an enrollment challenge from a password login)
+exports.confirmChallengeEnrollment = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body || {};
+    const challenge = await twoFactor.openChallenge(challengeToken, "enroll");
+    const account = await accountForChallenge(challenge);
+    const recoveryCodes = await twoFactor.confirmEnrollment(account, code);
+
+    await twoFactor.closeChallenge(challenge);
+    const login = await buildLoginResponse(account, req);
+    res.json({ ...login, data: { ...login.data, recoveryCodes } });
+  } catch (err) {
+    sendError(err, res, next);
+  }
+};
+
+// @desc    Which roles must use two-factor login
+// @route   GET /api/auth/admin/2fa-policy
+// @access  Private (super-admin)
+exports.getPolicies = async (req, res, next) => {
+  try {
+    res.json({ status: "success", data: { policies: await twoFactor.listPolicies() } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Require (or stop requiring) two-factor login for a role
+// @route   PUT /api/auth/admin/2fa-policy/:role   { required }
+// @access  Private (super-admin)
+exports.updatePolicy = async (req, res, next) => {
+  try {
+    const { role } = req.params;
+    const { required } = req.body || {};
+    if (!TWO_FACTOR_ROLES.includes(role)) {
+      return res.status(400).json({ message: `role must be one of: ${TWO_FACTOR_ROLES.join(", ")}.` });
+    }
+    if (typeof required !== "boolean") {
+      return res.status(400).json({ message: "required must be true or false." });
+    }
+
+    const wasRequired = await twoFactor.isRequiredForRole(role);
+    const policy = await twoFactor.setPolicy(role, required, req.user.id);
+    recordAudit({
+      action: "2fa.policy.update",
+      req,
+      target: { type: "2fa-policy", id: role },
+      before: { required: wasRequired },
+      after: { required: policy.required },
+    });
+    res.json({
+      status: "success",
+      data: { policy: { role: policy.role, required: policy.required, updatedAt: policy.updatedAt } },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,335 @@
+// backend/auth-service/controllers/userManagementController.js
+
+const mongoose = require("mongoose");
+const Customer = require("../models/Customer");
+const DeliveryPersonnel = require("../models/DeliveryPersonnel");
+const RestaurantAdmin = require("../models/RestaurantAdmin");
+const sessions = require("../utils/sessions");
+const { recordAudit } = require("../utils/audit");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_REASON_LENGTH = 500;
+
+// Account types admins can moderate, as they appear in the URL
+const accountTypes = {
+  customer: { Model: Customer, role: "customer" },
+  delivery: { Model: DeliveryPersonnel, role: "delivery" },
+  "restaurant-admin": { Model: RestaurantAdmin, role: "restaurant-admin" },
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const contains = (value) => new RegExp(escapeRegex(String(value).trim()), "i");
+const words = (value) => String(value).trim().split(/\s+/).filter(Boolean);
+
+// Customers have no createdAt; an ObjectId carries its creation second in every collection
+const createdAtOf = (doc) => doc.createdAt || doc._id.getTimestamp();
+
+// Date-only bounds cover the whole day: createdTo=2024-05-31 includes the 31st
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const parseBound = (value, isUpperBound) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (isUpperBound && DATE_ONLY.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+};
+const objectIdAt = (date) => mongoose.Types.ObjectId.createFromTime(Math.floor(date.getTime() / 1000));
+
+/**
+ * Turns the search query string into one Mongo filter shared by every collection.
+ * @returns {{ filter: object } | { error: string }}
+ */
+const buildFilter = ({ q, name, email, phone, suspended, createdFrom, createdTo }) => {
+  const conditions = [];
+
+  // Free text: every word must appear in the name, email or phone
+  if (q) {
+    words(q).forEach((word) => {
+      const pattern = contains(word);
+      conditions.push({
+        $or: [{ firstName: pattern }, { lastName: pattern }, { email: pattern }, { phone: pattern }],
+      });
+    });
+  }
+  if (name) {
+    words(name).forEach((word) => {
+      conditions.push({ $or: [{ firstName: contains(word) }, { lastName: contains(word) }] });
+    });
+  }
+  if (email) conditions.push({ email: contains(email) });
+  if (phone) conditions.push({ phone: contains(phone) });
+
+  if (suspended !== undefined) {
+    if (!["true", "false"].includes(suspended)) {
+      return { error: 'suspended must be "true" or "false".' };
+    }
+    // Accounts created before the flag existed have no field at all
+    conditions.push({ suspended: suspended === "true" ? true : { $ne: true } });
+  }
+
+  for (const [value, isUpperBound] of [[createdFrom, false], [createdTo, true]]) {
+    if (!value) continue;
+    const date = parseBound(value, isUpperBound);
+    if (!date) {
+      return { error: `Invalid date "${value}"; use YYYY-MM-DD or an ISO timestamp.` };
+    }
+    conditions.push({ _id: { [isUpperBound ? "$lt" : "$gte"]: objectIdAt(date) } });
+  }
+
+  return { filter: conditions.length ? { $and: conditions } : {} };
+};
+
+const parsePagination = ({ page, limit }) => {
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  return { page: pageNumber, limit: pageSize, skip: (pageNumber - 1) * pageSize };
+};
+
+const formatUser = (doc, type, { withHistory = false } = {}) => ({
+  id: doc._id,
+  type,
+  role: accountTypes[type].role,
+  firstName: doc.firstName,
+  lastName: doc.lastName,
+  email: doc.email,
+  phone: doc.phone,
+  emailVerified: Boolean(doc.emailVerified),
+  suspended: Boolean(doc.suspended),
+  suspendedAt: doc.suspendedAt || null,
+  suspensionReason: doc.suspensionReason || null,
+  createdAt: createdAtOf(doc),
+  ...(type === "delivery" && { vehicleType: doc.vehicleType, isAvailable: doc.isAvailable }),
+  ...(type === "restaurant-admin" && { restaurantId: doc.restaurantId || null, isApproved: doc.isApproved }),
+  ...(withHistory && { moderationHistory: (doc.moderationHistory || []).map((event) => ({
+    action: event.action,
+    reason: event.reason,
+    by: event.by,
+    at: event.at,
+  })) }),
+});
+
+// Session key of a moderated account (all of them are stored here)
+const accountOf = (user, type) => ({ source: "auth", id: user._id, role: accountTypes[type].role });
+
+const parseReason = (body = {}) => {
+  const reason = typeof body.reason === "string" ? body.reason.trim() : "";
+  return reason && reason.length <= MAX_REASON_LENGTH ? reason : null;
+};
+
+const auditModeration = (req, action, user, reason) =>
+  recordAudit({
+    action,
+    req,
+    target: { type: req.params.type, id: String(user._id) },
+    before: { suspended: !user.suspended },
+    after: { suspended: user.suspended },
+    details: { reason },
+  });
+
+// Resolves :type/:id to a document, or answers 404 itself and returns null
+const findTarget = async (req, res) => {
+  const entry = accountTypes[req.params.type];
+  if (!entry) {
+    res.status(404).json({ message: "Unknown account type." });
+    return null;
+  }
+  const user = mongoose.isValidObjectId(req.params.id) ? await entry.Model.findById(req.params.id) : null;
+  if (!user) {
+    res.status(404).json({ message: "User not found." });
+    return null;
+  }
+  return user;
+};
+
+// @desc    Search customers, delivery personnel and restaurant admins
+// @route   GET /api/auth/admin/users?type=&q=&name=&email=&phone=&suspended=&createdFrom=&createdTo=&page=&limit=
+// @access  Private (admin with manage-users)
+exports.searchUsers = async (req, res, next) => {
+  try {
+    const { type } = req.query;
+    if (type && !accountTypes[type]) {
+      return res.status(400).json({
+        message: `type must be one of: ${Object.keys(accountTypes).join(", ")}.`,
+      });
+    }
+
+    const built = buildFilter(req.query);
+    if (built.error) {
+      return res.status(400).json({ message: built.error });
+    }
+    const { page, limit, skip } = parsePagination(req.query);
+    const types = type ? [type] : Object.keys(accountTypes);
+
+    // One collection pages in the database; across all three, each collection
+    // returns its newest skip + limit matches and the merged list is paged here
+    const single = types.length === 1;
+    const perType = await Promise.all(types.map(async (key) => {
+      const { Model } = accountTypes[key];
+      const [total, docs] = await Promise.all([
+        Model.countDocuments(built.filter),
+        Model.find(built.filter)
+          .sort({ _id: -1 })
+          .skip(single ? skip : 0)
+          .limit(single ? limit : skip + limit),
+      ]);
+      return { total, users: docs.map((doc) => formatUser(doc, key)) };
+    }));
+
+    const total = perType.reduce((sum, { total: count }) => sum + count, 0);
+    const users = single
+      ? perType[0].users
+      : perType
+        .flatMap(({ users: list }) => list)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(skip, skip + limit);
+
+    res.json({
+      status: "success",
+      results: users.length,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      data: { users },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    One account with its moderation history
+// @route   GET /api/auth/admin/users/:type/:id
+// @access  Private (admin with manage-users)
+exports.getUser = async (req, res, next) => {
+  try {
+    const user = await findTarget(req, res);
+    if (!user) return;
+
+    res.json({
+      status: "success",
+      data: { user: formatUser(user, req.params.type, { withHistory: true }) },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Suspend an account and end its sessions
+// @route   POST /api/auth/admin/users/:type/:id/suspend
+// @access  Private (admin with manage-users)
+exports.suspendUser = async (req, res, next) => {
+  try {
+    const reason = parseReason(req.body);
+    if (!reason) {
+      return res.status(400).json({ message: `A reason of up to ${MAX_REASON_LENGTH} characters is required.` });
+    }
+
+    const user = await findTarget(req, res);
+    if (!user) return;
+    if (user.suspended) {
+      return res.status(409).json({ message: "Account is already suspended." });
+    }
+
+    user.suspended = true;
+    user.suspendedAt = new Date();
+    user.suspensionReason = reason;
+    user.moderationHistory.push({ action: "suspend", reason, by: req.user.id });
+    // Older accounts may predate newer required fields; only check what changed
+    await user.save({ validateModifiedOnly: true });
+
+    // Every device is signed out; outstanding access tokens fail protect and introspection
+    await sessions.revokeAllSessions(accountOf(user, req.params.type), { revokedBy: req.user.id });
+    auditModeration(req, "user.suspend", user, reason);
+
+    res.json({
+      status: "success",
+      data: { user: formatUser(user, req.params.type, { withHistory: true }) },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Lift a suspension
+// @route   POST /api/auth/admin/users/:type/:id/reinstate
+// @access  Private (admin with manage-users)
+exports.reinstateUser = async (req, res, next) => {
+  try {
+    const reason = parseReason(req.body);
+    if (!reason) {
+      return res.status(400).json({ message: `A reason of up to ${MAX_REASON_LENGTH} characters is required.` });
+    }
+
+    const user = await findTarget(req, res);
+    if (!user) return;
+    if (!user.suspended) {
+      return res.status(409).json({ message: "Account is not suspended." });
+    }
+
+    user.suspended = false;
+    user.suspendedAt = undefined;
+    user.suspensionReason = undefined;
+    user.moderationHistory.push({ action: "reinstate", reason, by: req.user.id });
+    await user.save({ validateModifiedOnly: true });
+    auditModeration(req, "user.reinstate", user, reason);
+
+    res.json({
+      status: "success",
+      data: { user: formatUser(user, req.params.type, { withHistory: true }) },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Devices an account is logged in on
+// @route   GET /api/auth/admin/users/:type/:id/sessions
+// @access  Private (admin with manage-users)
+exports.listUserSessions = async (req, res, next) => {
+  try {
+    const user = await findTarget(req, res);
+    if (!user) return;
+
+    const list = await sessions.listSessions(accountOf(user, req.params.type));
+    res.json({
+      status: "success",
+      results: list.length,
+      data: { sessions: list.map((session) => sessions.formatSession(session)) },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Sign one of an account's devices out
+// @route   DELETE /api/auth/admin/users/:type/:id/sessions/:sessionId
+// @access  Private (admin with manage-users)
+exports.revokeUserSession = async (req, res, next) => {
+  try {
+    const user = await findTarget(req, res);
+    if (!user) return;
+
+    await sessions.revokeSession(accountOf(user, req.params.type), req.params.sessionId, req.user.id);
+    res.json({ status: "success", message: "Session revoked." });
+  } catch (err) {
+    if (err instanceof sessions.SessionError) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// @desc    Sign an account out everywhere
+// @route   DELETE /api/auth/admin/users/:type/:id/sessions
+// @access  Private (admin with manage-users)
+exports.revokeUserSessions = async (req, res, next) => {
+  try {
+    const user = await findTarget(req, res);
+    if (!user) return;
+
+    const revoked = await sessions.revokeAllSessions(accountOf(user, req.params.type), { revokedBy: req.user.id });
+    res.json({ status: "success", data: { revoked } });
+  } catch (err) {
+    next(err);
+  }
+};
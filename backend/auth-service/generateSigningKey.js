@@ -0,0 +1,16 @@
+// Generate a new access-token signing key for auth-service (key rotation)
+//   node generateSigningKey.js [RS256|ES256]
+// Writes <kid>.pem into JWT_KEYS_DIR. Restart auth-service to start signing
+// with it; delete the previous file once tokens it signed have expired.
+require('dotenv').config();
+const { generatePrivateKey, writePrivateKey } = require('./utils/signingKeys');
+
+const dir = process.env.JWT_KEYS_DIR;
+if (!dir) {
+  console.error('❌ Set JWT_KEYS_DIR to the directory auth-service loads signing keys from');
+  process.exit(1);
+}
+
+const alg = process.argv[2] || process.env.JWT_ALGORITHM || 'RS256';
+const kid = writePrivateKey(dir, generatePrivateKey(alg));
+console.log(`✅ Created ${alg} signing key ${kid} in ${dir}`);
@@ -5,6 +5,9 @@ const connectDB = require('./config/db');
 const { register, metricsMiddleware } = require('./metrics');
 
 const authRoutes = require('./routes/authRoutes');
+const { jwks } = require('./controllers/tokenController');
+const { loadKeys } = require('./utils/signingKeys');
+const { startAvailabilitySweep } = require('./utils/driverAvailability');
 
 const app = express();
 
@@ -38,8 +41,17 @@ app.use(metricsMiddleware);
 
 // Connect DB then start
 connectDB().then(() => {
+  // Fail fast on a bad JWT_KEYS_DIR / JWT_ACTIVE_KID instead of on first login
+  loadKeys();
+
+  // Drivers go offline when their app stops reporting and on/off shift on the hour
+  startAvailabilitySweep();
+
   app.use('/api/auth', authRoutes);
 
+  // Public keys for order-service / restaurant-service token verification
+  app.get('/.well-known/jwks.json', jwks);
+
   // Metrics endpoint
   app.get('/metrics', async (req, res) => {
     res.set('Content-Type', register.contentType);
@@ -0,0 +1,33 @@
+// backend/auth-service/middlewares/audit.js
+//
+// Failed sign-ins for the audit log. Successful ones are recorded when the
+// session opens (utils/sessions.js), so this only looks at refusals.
+const { recordAudit } = require("../utils/audit");
+
+// Wrong credentials, blocked accounts and lockouts
+const FAILURE_STATUSES = [401, 403, 429];
+
+/**
+ * Record "auth.login" with outcome "failure" when the login endpoint refuses.
+ * Mount it before loginLimiter so lockout (429) answers are seen too.
+ * @param {string} endpoint  label kept in the event details
+ */
+const auditFailedLogins = (endpoint) => (req, res, next) => {
+  res.on("finish", () => {
+    if (!FAILURE_STATUSES.includes(res.statusCode)) return;
+    const email = req.body && typeof req.body.email === "string"
+      ? req.body.email.trim().toLowerCase()
+      : undefined;
+
+    recordAudit({
+      action: "auth.login",
+      outcome: "failure",
+      req,
+      actor: email ? { email } : undefined,
+      details: { endpoint, statusCode: res.statusCode },
+    });
+  });
+  next();
+};
+
+module.exports = { auditFailedLogins, FAILURE_STATUSES };
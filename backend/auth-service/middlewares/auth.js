@@ -1,6 +1,20 @@
 // backend/auth-service/middlewares/auth.js
-const jwt = require("jsonwebtoken");
+const { verifyToken } = require("../utils/jwt");
 const Customer = require("../models/Customer"); // if you need to fetch the user
+const Admin = require("../models/Admin");
+const DeliveryPersonnel = require("../models/DeliveryPersonnel");
+const RestaurantAdmin = require("../models/RestaurantAdmin");
+const { isPermission, hasPermissions } = require("../utils/permissions");
+const { findAccountById } = require("../utils/identityResolver");
+const { touchSession } = require("../utils/sessions");
+
+const SUSPENDED = { message: "Your account has been suspended. Please contact support." };
+const SESSION_ENDED = { message: "Your session has ended. Please log in again." };
+
+// Tokens naming a session (sid) stop working once that device is signed out;
+// older tokens without one run until they expire
+const sessionEnded = async (decoded, req) =>
+  Boolean(decoded.sid) && !(await touchSession(decoded.sid, req.ip));
 
 // Middleware to protect routes
 exports.protect = async (req, res, next) => {
@@ -19,21 +33,29 @@ exports.protect = async (req, res, next) => {
         .json({ message: "You are not logged in. Please log in first." });
     }
 
-    // 2) Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // 2) Verify token against the key named by its kid
+    const decoded = verifyToken(token);
 
     // 3) (Optional) Check that the user still exists
-    // Handle both old format (just ID) and new format (object with id and role)
-    const userId = typeof decoded === 'string' ? decoded : decoded.id;
+    // Handle old format (just ID), role-login tokens ({ id, role }) and
+    // standard-claim tokens from /api/auth/token ({ sub, role, ... })
+    const userId = typeof decoded === 'string' ? decoded : decoded.sub || decoded.id;
     const user = await Customer.findById(userId);
     if (!user) {
       return res
         .status(401)
         .json({ message: "The user belonging to this token no longer exists." });
     }
+    if (user.suspended) {
+      return res.status(403).json(SUSPENDED);
+    }
+    if (await sessionEnded(decoded, req)) {
+      return res.status(401).json(SESSION_ENDED);
+    }
 
     // 4) Grant access
     req.userId = userId;
+    req.sessionId = decoded.sid;
     req.userRole = decoded.role || 'customer';    // e.g. "customer"
     next();
   } catch (err) {
@@ -41,3 +63,128 @@ exports.protect = async (req, res, next) => {
     return res.status(401).json({ message: "Token is invalid or expired." });
   }
 };
+
+// Builds a role-aware variant of protect for the admin/delivery/restaurant-admin
+// controllers, which read the caller from req.user.id instead of req.userId.
+const protectFor = (Model, roles) => async (req, res, next) => {
+  try {
+    let token;
+    if (
+      req.headers.authorization &&
+      req.headers.authorization.startsWith("Bearer ")
+    ) {
+      token = req.headers.authorization.split(" ")[1];
+    }
+    if (!token) {
+      return res
+        .status(401)
+        .json({ message: "You are not logged in. Please log in first." });
+    }
+
+    const decoded = verifyToken(token);
+
+    // The token must have been issued for this group of users
+    if (!roles.includes(decoded.role)) {
+      return res
+        .status(403)
+        .json({ message: "You do not have permission to perform this action." });
+    }
+
+    const userId = decoded.sub || decoded.id;
+    const user = await Model.findById(userId);
+    if (!user) {
+      return res
+        .status(401)
+        .json({ message: "The user belonging to this token no longer exists." });
+    }
+    if (user.suspended) {
+      return res.status(403).json(SUSPENDED);
+    }
+    if (await sessionEnded(decoded, req)) {
+      return res.status(401).json(SESSION_ENDED);
+    }
+
+    req.user = { id: userId, role: user.role || decoded.role };
+    req.sessionId = decoded.sid;
+    req.account = user;
+    req.userId = userId;
+    req.userRole = req.user.role;
+    next();
+  } catch (err) {
+    console.error(err);
+    return res.status(401).json({ message: "Token is invalid or expired." });
+  }
+};
+
+// For endpoints shared by accounts living in different collections, including
+// restaurant owners and super admins stored by restaurant-service
+exports.protectAccount = (roles) => async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || "";
+    if (!header.startsWith("Bearer ")) {
+      return res
+        .status(401)
+        .json({ message: "You are not logged in. Please log in first." });
+    }
+
+    const decoded = verifyToken(header.split(" ")[1]);
+    if (!roles.includes(decoded.role)) {
+      return res
+        .status(403)
+        .json({ message: "You do not have permission to perform this action." });
+    }
+
+    const account = await findAccountById(decoded.sub || decoded.id, decoded.role);
+    if (!account) {
+      return res
+        .status(401)
+        .json({ message: "The user belonging to this token no longer exists." });
+    }
+    if (account.suspended) {
+      return res.status(403).json(SUSPENDED);
+    }
+    if (await sessionEnded(decoded, req)) {
+      return res.status(401).json(SESSION_ENDED);
+    }
+
+    req.user = { id: String(account.id), role: account.role };
+    req.sessionId = decoded.sid;
+    req.identity = account;
+    next();
+  } catch (err) {
+    console.error(err);
+    return res.status(401).json({ message: "Token is invalid or expired." });
+  }
+};
+
+exports.protectAdmin = protectFor(Admin, ["admin", "super-admin"]);
+exports.protectDelivery = protectFor(DeliveryPersonnel, ["delivery"]);
+exports.protectRestaurantAdmin = protectFor(RestaurantAdmin, ["restaurant-admin"]);
+
+// Use after protectAdmin: the stored admin must hold every listed permission
+// (super-admins hold the whole catalogue). Unknown names fail at startup.
+exports.requirePermission = (...permissions) => {
+  const unknown = permissions.filter((permission) => !isPermission(permission));
+  if (unknown.length) {
+    throw new Error(`Unknown permission(s): ${unknown.join(", ")}`);
+  }
+
+  return (req, res, next) => {
+    if (!hasPermissions(req.account, permissions)) {
+      return res
+        .status(403)
+        .json({ message: "You do not have permission to perform this action." });
+    }
+    next();
+  };
+};
+
+// Use after a protect variant: only these stored roles may continue
+exports.requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res
+      .status(403)
+      .json({ message: "You do not have permission to perform this action." });
+  }
+  next();
+};
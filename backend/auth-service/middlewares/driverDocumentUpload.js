@@ -0,0 +1,68 @@
+// backend/auth-service/middlewares/driverDocumentUpload.js
+//
+// Multer storage for driver proof documents, the same disk-storage approach
+// as restaurant-service's uploadMiddleware. Files go to DRIVER_DOCUMENTS_DIR,
+// which is not served statically: only reviewers can fetch them.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const multer = require("multer");
+const { documentsDir } = require("../utils/driverDocuments");
+
+const maxBytes = () => (Number(process.env.DRIVER_DOCUMENT_MAX_MB) || 5) * 1024 * 1024;
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const dir = documentsDir();
+    fs.mkdir(dir, { recursive: true }, (err) => cb(err, dir));
+  },
+  // Random names: the original name is kept in the document record only
+  filename: (req, file, cb) => {
+    cb(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
+  },
+});
+
+class DocumentUploadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DocumentUploadError";
+  }
+}
+
+// Photos or scans of the document (images only). The stored type comes from the
+// extension checked here, never from the client's Content-Type.
+const fileFilter = (req, file, cb) => {
+  const extname = /^\.(jpe?g|png)$/.test(path.extname(file.originalname).toLowerCase());
+  const mimetype = /^image\/(jpeg|png)$/.test(file.mimetype);
+
+  if (extname && mimetype) {
+    cb(null, true);
+  } else {
+    cb(new DocumentUploadError("Only .jpg, .jpeg, .png files are allowed!"));
+  }
+};
+
+const multerMessage = (err) => {
+  if (err.code === "LIMIT_FILE_SIZE") return `The file must be at most ${maxBytes() / (1024 * 1024)} MB.`;
+  if (err.code === "LIMIT_UNEXPECTED_FILE" || err.code === "LIMIT_FILE_COUNT") return 'Send one image as the "file" field.';
+  return err.message;
+};
+
+/**
+ * Accepts one image in the "file" field as req.file. Upload problems answer
+ * 400 here instead of reaching Express's default error page.
+ */
+const uploadDriverDocument = (req, res, next) => {
+  multer({ storage, fileFilter, limits: { fileSize: maxBytes(), files: 1 } }).single("file")(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof DocumentUploadError) {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ message: multerMessage(err) });
+    }
+    next(err);
+  });
+};
+
+module.exports = { uploadDriverDocument };
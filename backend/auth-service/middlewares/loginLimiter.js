@@ -0,0 +1,151 @@
+// backend/auth-service/middlewares/loginLimiter.js
+//
+// Brute-force protection for login endpoints: failed attempts are counted
+// per client IP and per account (email) in a sliding window. Crossing the
+// limit locks that key, and each further lockout doubles the duration. For a
+// login proxied by an authenticated service client the IP is the end user's
+// (see clientInfo), so the proxy's own address is never the shared key.
+// sendLimiter caps endpoints that send something (SMS codes) per client IP,
+// counting every request whatever the answer.
+const { createStore } = require("../utils/rateLimitStores");
+const { clientInfo } = require("../utils/clientInfo");
+const { loginLockoutsTotal, loginThrottledTotal } = require("../metrics");
+
+const minutes = (value, fallback) => (Number(value) || fallback) * 60 * 1000;
+
+const loadConfig = () => ({
+  windowMs: minutes(process.env.LOGIN_WINDOW_MINUTES, 15),
+  maxFailures: {
+    ip: Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20,
+    account: Number(process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT) || 5,
+  },
+  baseLockoutMs: minutes(process.env.LOGIN_LOCKOUT_MINUTES, 1),
+  maxLockoutMs: minutes(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 60),
+});
+
+let defaultStore;
+const getDefaultStore = () => {
+  if (!defaultStore) defaultStore = createStore();
+  return defaultStore;
+};
+
+// Progressive lockout: base, 2x base, 4x base ... capped at maxLockoutMs
+const lockoutDuration = (previousLockouts, config) =>
+  Math.min(config.baseLockoutMs * 2 ** previousLockouts, config.maxLockoutMs);
+
+// One account key per email, whichever login endpoint is used: an attacker
+// must not get a fresh allowance by switching endpoints
+const keysFor = (req) => {
+  const keys = [{ scope: "ip", key: `ip:${clientInfo(req).ip || req.ip}` }];
+  const email = req.body && typeof req.body.email === "string"
+    ? req.body.email.trim().toLowerCase()
+    : "";
+  if (email) keys.push({ scope: "account", key: `account:${email}` });
+  return keys;
+};
+
+/**
+ * Build a limiter for one login endpoint.
+ * @param {string} endpoint  label used for metrics and logs
+ * @param {object} [options]
+ * @param {number[]} [options.failureStatuses] response codes counted as a failed login
+ * @param {object} [options.store] rate-limit store (defaults to RATE_LIMIT_STORE)
+ */
+const loginLimiter = (endpoint, options = {}) => {
+  const failureStatuses = options.failureStatuses || [401];
+
+  return async (req, res, next) => {
+    const store = options.store || getDefaultStore();
+    const config = loadConfig();
+    const keys = keysFor(req);
+
+    try {
+      // 1) Reject while any key is locked
+      const now = Date.now();
+      for (const { scope, key } of keys) {
+        const entry = await store.get(key);
+        if (entry && entry.lockedUntil && entry.lockedUntil > now) {
+          const retryAfter = Math.ceil((entry.lockedUntil - now) / 1000);
+          loginThrottledTotal.inc({ endpoint, scope, service: "auth-service" });
+          res.set("Retry-After", String(retryAfter));
+          return res.status(429).json({
+            message: "Too many failed login attempts. Please try again later.",
+            retryAfter,
+          });
+        }
+      }
+    } catch (err) {
+      // Fail open: a broken store must not take login down with it
+      console.error("❌ Login limiter store error:", err.message);
+      return next();
+    }
+
+    // 2) Record the outcome once the controller has answered
+    res.on("finish", () => {
+      recordOutcome(store, config, endpoint, keys, res.statusCode, failureStatuses)
+        .catch((err) => console.error("❌ Login limiter store error:", err.message));
+    });
+
+    next();
+  };
+};
+
+const recordOutcome = async (store, config, endpoint, keys, statusCode, failureStatuses) => {
+  if (statusCode >= 200 && statusCode < 300) {
+    // Successful login clears the account's history (the IP keeps its own)
+    for (const { scope, key } of keys) {
+      if (scope === "account") await store.reset(key);
+    }
+    return;
+  }
+  if (!failureStatuses.includes(statusCode)) return;
+
+  const now = Date.now();
+  for (const { scope, key } of keys) {
+    const entry = await store.recordFailure(key, now, config.windowMs);
+    if (entry.failures.length >= config.maxFailures[scope]) {
+      await store.lock(key, now + lockoutDuration(entry.lockouts, config));
+      loginLockoutsTotal.inc({ endpoint, scope, service: "auth-service" });
+      console.warn(`⚠️ Login lockout on ${endpoint} (${scope}) after ${entry.failures.length} failures`);
+    }
+  }
+};
+
+const loadSendConfig = () => ({
+  windowMs: minutes(process.env.OTP_SEND_WINDOW_MINUTES, 60),
+  maxPerIp: Number(process.env.OTP_MAX_SENDS_PER_IP) || 10,
+});
+
+/**
+ * Build a limiter for an endpoint whose every call costs something, e.g. an SMS.
+ * Such endpoints answer the same whatever happens, so each request counts.
+ * @param {string} endpoint  label used for metrics, logs and store keys
+ * @param {object} [options]
+ * @param {object} [options.store] rate-limit store (defaults to RATE_LIMIT_STORE)
+ */
+const sendLimiter = (endpoint, options = {}) => async (req, res, next) => {
+  const store = options.store || getDefaultStore();
+  const config = loadSendConfig();
+  const key = `send:${endpoint}:ip:${clientInfo(req).ip || req.ip}`;
+
+  try {
+    const now = Date.now();
+    const entry = await store.get(key);
+    const recent = entry ? entry.failures.filter((at) => at > now - config.windowMs) : [];
+    if (recent.length >= config.maxPerIp) {
+      const retryAfter = Math.ceil((recent[0] + config.windowMs - now) / 1000);
+      loginThrottledTotal.inc({ endpoint, scope: "ip", service: "auth-service" });
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        message: "Too many requests from this device. Please try again later.",
+        retryAfter,
+      });
+    }
+    await store.recordFailure(key, now, config.windowMs);
+  } catch (err) {
+    console.error("❌ Send limiter store error:", err.message);
+  }
+  next();
+};
+
+module.exports = { loginLimiter, sendLimiter, lockoutDuration };
@@ -0,0 +1,58 @@
+// backend/auth-service/middlewares/serviceClient.js
+//
+// HTTP Basic authentication for other services calling internal endpoints such
+// as /api/auth/introspect. Each client gets its own secret:
+//   INTROSPECTION_CLIENTS=order-service:<secret>,restaurant-service:<secret>
+const crypto = require("crypto");
+
+const getClients = () =>
+  new Map(
+    (process.env.INTROSPECTION_CLIENTS || "")
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter((entry) => entry.includes(":"))
+      .map((entry) => [entry.slice(0, entry.indexOf(":")), entry.slice(entry.indexOf(":") + 1)])
+  );
+
+// Hash first so timingSafeEqual always compares equal-length buffers
+const secretsMatch = (given, expected) =>
+  crypto.timingSafeEqual(
+    crypto.createHash("sha256").update(given).digest(),
+    crypto.createHash("sha256").update(expected).digest()
+  );
+
+// Client id for valid "Basic" credentials, otherwise null
+const authenticateClient = (header) => {
+  const credentials = Buffer.from(header.slice(6), "base64").toString("utf8");
+  const separator = credentials.indexOf(":");
+  const clientId = credentials.slice(0, separator);
+  const expected = separator > 0 ? getClients().get(clientId) : undefined;
+
+  return expected && secretsMatch(credentials.slice(separator + 1), expected) ? clientId : null;
+};
+
+exports.protectServiceClient = (req, res, next) => {
+  const header = req.headers.authorization || "";
+  if (!header.startsWith("Basic ")) {
+    res.set("WWW-Authenticate", 'Basic realm="auth-service"');
+    return res.status(401).json({ message: "Service client credentials are required." });
+  }
+
+  const clientId = authenticateClient(header);
+  if (!clientId) {
+    return res.status(401).json({ message: "Invalid service client credentials." });
+  }
+
+  req.serviceClient = clientId;
+  next();
+};
+
+// For public endpoints that services may also call on a user's behalf (the
+// login proxy in restaurant-service): note a valid client, never reject
+exports.identifyServiceClient = (req, res, next) => {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Basic ")) {
+    req.serviceClient = authenticateClient(header) || undefined;
+  }
+  next();
+};
@@ -0,0 +1,41 @@
+// Import order-service's legacy /api/users customer accounts into auth-service
+//   node migrateOrderUsers.js [--dry-run]
+// Reads ORDER_DB_NAME on the MONGO_URI cluster and keeps every password hash.
+// Accounts that claimed a staff role are listed for manual onboarding, not imported.
+// Safe to run again: emails that already have a customer are skipped.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { migrateOrderUsers } = require('./utils/orderUserMigration');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const { imported, skipped, manualOnboarding } = await migrateOrderUsers({ dryRun });
+
+    console.log(`\n${dryRun ? '🔎 Would import' : '✅ Imported'} ${imported.length} customer(s)`);
+    imported.forEach(({ email, legacyId }) => console.log(`   ${email} (order-service ${legacyId})`));
+
+    if (skipped.length) {
+      console.log(`\n⏭️ Skipped ${skipped.length} account(s):`);
+      skipped.forEach(({ email, legacyId, reason }) => console.log(`   ${email || legacyId}: ${reason}`));
+    }
+
+    if (manualOnboarding.length) {
+      console.log(`\n⚠️ ${manualOnboarding.length} account(s) claimed a staff role in order-service and were not imported.`);
+      console.log('   Onboard them through the admin, driver or restaurant-admin flows if the role is genuine:');
+      manualOnboarding.forEach(({ email, legacyId, role }) => console.log(`   ${email} (order-service ${legacyId}): ${role}`));
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('\n🔌 Database connection closed');
+  }
+};
+
+run();
@@ -0,0 +1,244 @@
+// backend/auth-service/mock-oidc/provider.js
+//
+// A small OpenID Connect provider for development and tests, so social login
+// works offline. It supports what utils/oidc.js uses: discovery, the
+// authorization code flow with PKCE, RS256 ID tokens, JWKS and userinfo.
+// Everything is kept in memory and the signing key is new on every start.
+// Never expose it outside a development network: anyone can sign in as anyone.
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+// One verified and one unverified account, to try both linking outcomes
+const DEFAULT_USERS = [
+  {
+    sub: "mock-user-lan",
+    email: "lan.nguyen@example.com",
+    email_verified: true,
+    name: "Lan Nguyen",
+    given_name: "Lan",
+    family_name: "Nguyen",
+  },
+  {
+    sub: "mock-user-minh",
+    email: "minh.tran@example.com",
+    email_verified: false,
+    name: "Minh Tran",
+    given_name: "Minh",
+    family_name: "Tran",
+  },
+];
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const randomToken = () => crypto.randomBytes(24).toString("base64url");
+
+// Same sub for the same email, so a custom sign-in is recognised next time
+const subjectFor = (email) => `mock-${crypto.createHash("sha256").update(email).digest("hex").slice(0, 16)}`;
+
+const PASSED_PARAMS = ["client_id", "redirect_uri", "scope", "state", "nonce", "code_challenge", "code_challenge_method"];
+
+/**
+ * Build the provider as an Express app; listen on it yourself.
+ * @param {object} options
+ * @param {string} options.issuer                     public base URL, e.g. http://localhost:5010
+ * @param {Object<string, string>} options.clients    client id -> secret
+ * @param {string[]} [options.redirectUris]           allowed redirect URIs (any when empty)
+ * @param {object[]} [options.users]                  accounts offered on the sign-in page
+ */
+const createMockProvider = ({ issuer, clients, redirectUris = [], users = DEFAULT_USERS }) => {
+  const base = issuer.replace(/\/+$/, "");
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString("hex");
+  const codes = new Map();        // code -> grant
+  const accessTokens = new Map(); // token -> claims
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  // Browser-facing errors: never redirect to a URI we have not validated
+  const checkClient = (params) => {
+    if (!clients[params.client_id]) return "Unknown client_id.";
+    if (!params.redirect_uri) return "redirect_uri is required.";
+    if (redirectUris.length && !redirectUris.includes(params.redirect_uri)) return "redirect_uri is not registered.";
+    return null;
+  };
+
+  const redirectBack = (res, params, query) => {
+    const url = new URL(params.redirect_uri);
+    for (const [key, value] of Object.entries(query)) url.searchParams.set(key, value);
+    if (params.state) url.searchParams.set("state", params.state);
+    res.redirect(url.toString());
+  };
+
+  const issueCode = (res, params, user) => {
+    const code = randomToken();
+    codes.set(code, {
+      clientId: params.client_id,
+      redirectUri: params.redirect_uri,
+      codeChallenge: params.code_challenge,
+      codeChallengeMethod: params.code_challenge_method || "plain",
+      nonce: params.nonce,
+      user,
+      expiresAt: Date.now() + CODE_TTL_MS,
+    });
+    redirectBack(res, params, { code });
+  };
+
+  const signInPage = (params) => {
+    const hidden = PASSED_PARAMS
+      .filter((name) => params[name] !== undefined)
+      .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(params[name])}">`)
+      .join("");
+    const accounts = users
+      .map((user) => `
+        <form method="post" action="authorize">${hidden}
+          <input type="hidden" name="user" value="${escapeHtml(user.sub)}">
+          <button type="submit">${escapeHtml(user.name)} &lt;${escapeHtml(user.email)}&gt;${user.email_verified ? "" : " (email not verified)"}</button>
+        </form>`)
+      .join("");
+    return `<!doctype html>
+<html><head><meta charset="utf-8"><title>Mock sign-in</title>
+<style>body{font-family:sans-serif;max-width:420px;margin:40px auto}form{margin:8px 0}button,input{padding:6px;margin:2px 0;width:100%}</style>
+</head><body>
+<h2>Mock identity provider</h2>
+<p>Sign in to <b>${escapeHtml(params.client_id)}</b> as:</p>
+${accounts}
+<h3>Someone else</h3>
+<form method="post" action="authorize">${hidden}
+  <input name="email" type="email" placeholder="Email" required>
+  <input name="name" placeholder="Full name">
+  <label><input name="email_verified" type="checkbox" value="true" checked style="width:auto"> Email verified</label>
+  <button type="submit">Sign in</button>
+</form>
+<form method="post" action="authorize">${hidden}
+  <input type="hidden" name="deny" value="true">
+  <button type="submit">Cancel</button>
+</form>
+</body></html>`;
+  };
+
+  app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer: base,
+      authorization_endpoint: `${base}/authorize`,
+      token_endpoint: `${base}/token`,
+      userinfo_endpoint: `${base}/userinfo`,
+      jwks_uri: `${base}/jwks`,
+      response_types_supported: ["code"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: ["RS256"],
+      scopes_supported: ["openid", "email", "profile"],
+      token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post"],
+      code_challenge_methods_supported: ["S256", "plain"],
+      claims_supported: ["sub", "email", "email_verified", "name", "given_name", "family_name"],
+    });
+  });
+
+  app.get("/jwks", (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: "jwk" }), kid, use: "sig", alg: "RS256" }] });
+  });
+
+  // Shows the account picker; ?login_hint=<email or sub> of a listed user signs in
+  // straight away, which is how scripts and tests drive the flow
+  app.get("/authorize", (req, res) => {
+    const params = req.query;
+    const problem = checkClient(params);
+    if (problem) return res.status(400).type("text").send(problem);
+    if (params.response_type !== "code") {
+      return redirectBack(res, params, { error: "unsupported_response_type" });
+    }
+
+    const hinted = params.login_hint && users.find((u) => u.email === params.login_hint || u.sub === params.login_hint);
+    if (hinted) return issueCode(res, params, hinted);
+    res.type("html").send(signInPage(params));
+  });
+
+  app.post("/authorize", (req, res) => {
+    const params = req.body;
+    const problem = checkClient(params);
+    if (problem) return res.status(400).type("text").send(problem);
+    if (params.deny) return redirectBack(res, params, { error: "access_denied" });
+
+    let user = users.find((u) => u.sub === params.user);
+    if (!user && params.email) {
+      const email = String(params.email).trim().toLowerCase();
+      const name = String(params.name || "").trim();
+      const [givenName, ...rest] = name.split(/\s+/);
+      user = {
+        sub: subjectFor(email),
+        email,
+        email_verified: params.email_verified === "true",
+        name: name || undefined,
+        given_name: givenName || undefined,
+        family_name: rest.join(" ") || undefined,
+      };
+    }
+    if (!user) return res.status(400).type("text").send("Pick an account or enter an email.");
+    issueCode(res, params, user);
+  });
+
+  app.post("/token", (req, res) => {
+    const oauthError = (status, error, description) =>
+      res.status(status).json({ error, error_description: description });
+
+    // client_secret_basic or client_secret_post
+    let clientId = req.body.client_id;
+    let secret = req.body.client_secret;
+    const header = req.headers.authorization || "";
+    if (header.startsWith("Basic ")) {
+      const [id, ...rest] = Buffer.from(header.slice(6), "base64").toString().split(":");
+      clientId = decodeURIComponent(id);
+      secret = decodeURIComponent(rest.join(":"));
+    }
+    if (!clients[clientId] || clients[clientId] !== secret) {
+      return oauthError(401, "invalid_client", "Client authentication failed.");
+    }
+    if (req.body.grant_type !== "authorization_code") {
+      return oauthError(400, "unsupported_grant_type", "Only authorization_code is supported.");
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code); // single use, even when the request fails
+    if (!grant || grant.expiresAt < Date.now() || grant.clientId !== clientId) {
+      return oauthError(400, "invalid_grant", "Unknown, used or expired code.");
+    }
+    if (grant.redirectUri !== req.body.redirect_uri) {
+      return oauthError(400, "invalid_grant", "redirect_uri does not match the authorization request.");
+    }
+    if (grant.codeChallenge) {
+      const verifier = String(req.body.code_verifier || "");
+      const expected = grant.codeChallengeMethod === "S256"
+        ? crypto.createHash("sha256").update(verifier).digest("base64url")
+        : verifier;
+      if (expected !== grant.codeChallenge) {
+        return oauthError(400, "invalid_grant", "PKCE verification failed.");
+      }
+    }
+
+    const claims = Object.fromEntries(Object.entries(grant.user).filter(([, value]) => value !== undefined));
+    const accessToken = randomToken();
+    accessTokens.set(accessToken, claims);
+    const idToken = jwt.sign(
+      { ...claims, nonce: grant.nonce, auth_time: Math.floor(Date.now() / 1000) },
+      privateKey,
+      { algorithm: "RS256", keyid: kid, issuer: base, audience: clientId, expiresIn: TOKEN_TTL_SECONDS }
+    );
+    res.json({ access_token: accessToken, token_type: "Bearer", expires_in: TOKEN_TTL_SECONDS, id_token: idToken });
+  });
+
+  app.get("/userinfo", (req, res) => {
+    const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+    const claims = accessTokens.get(token);
+    if (!claims) return res.status(401).json({ error: "invalid_token" });
+    res.json(claims);
+  });
+
+  return app;
+};
+
+module.exports = { createMockProvider, DEFAULT_USERS };
@@ -0,0 +1,30 @@
+// backend/auth-service/mock-oidc/server.js
+//
+// Standalone mock OpenID Connect provider: `npm run mock-oidc`.
+// Pair it with OIDC_PROVIDERS=mock and OIDC_MOCK_* in auth-service's env.
+require("dotenv").config();
+const { createMockProvider } = require("./provider");
+
+const port = Number(process.env.MOCK_OIDC_PORT) || 5010;
+const issuer = process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`;
+
+// "client-id:secret,other:secret2"
+const clients = Object.fromEntries(
+  (process.env.MOCK_OIDC_CLIENTS || "skydish:mock-secret")
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const [id, ...secret] = pair.split(":");
+      return [id, secret.join(":")];
+    })
+);
+const redirectUris = (process.env.MOCK_OIDC_REDIRECT_URIS || "")
+  .split(",")
+  .map((uri) => uri.trim())
+  .filter(Boolean);
+const users = process.env.MOCK_OIDC_USERS ? JSON.parse(process.env.MOCK_OIDC_USERS) : undefined;
+
+createMockProvider({ issuer, clients, redirectUris, users }).listen(port, () => {
+  console.log(`🧪 Mock OIDC provider running at ${issuer}`);
+});
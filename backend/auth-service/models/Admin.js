@@ -1,6 +1,7 @@
 // backend/auth-service/models/Admin.js
 const mongoose = require("mongoose");
 const bcrypt   = require("bcryptjs");
+const { PERMISSION_NAMES, DEFAULT_ADMIN_PERMISSIONS } = require("../utils/permissions");
 
 const adminSchema = new mongoose.Schema({
   firstName: {
@@ -35,9 +36,42 @@ const adminSchema = new mongoose.Schema({
     default: "admin",
     enum: ["admin", "super-admin"],
   },
+  // Grants from the fixed catalogue in utils/permissions (ignored for super-admins)
   permissions: {
-    type: [String],
-    default: ["manage-users", "manage-restaurants", "manage-orders"],
+    type: [{ type: String, enum: PERMISSION_NAMES }],
+    default: () => [...DEFAULT_ADMIN_PERMISSIONS],
+  },
+  // Email verification
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  // Suspended accounts keep their data but fail token introspection
+  suspended: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false,
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false,
+  },
+  // Email change waiting for the link sent to the new address (hashed, single-use, expiring)
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  emailChangeToken: {
+    type: String,
+    select: false,
+  },
+  emailChangeExpires: {
+    type: Date,
+    select: false,
   },
 }, {
   timestamps: true,
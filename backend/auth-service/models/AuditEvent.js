@@ -0,0 +1,81 @@
+// backend/auth-service/models/AuditEvent.js
+const mongoose = require("mongoose");
+
+// One changed field: dotted path with its value before and after (null when absent)
+const auditChangeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true,
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+}, { _id: false });
+
+// Security audit trail for every service. Events are only ever inserted: the
+// update, replace and delete paths below refuse to run.
+const auditEventSchema = new mongoose.Schema({
+  // Service that recorded the event (auth-service, restaurant-service, order-service)
+  service: {
+    type: String,
+    required: true,
+  },
+  // Dotted verb, e.g. auth.login, user.suspend, restaurant.update
+  action: {
+    type: String,
+    required: true,
+  },
+  outcome: {
+    type: String,
+    enum: ["success", "failure"],
+    default: "success",
+  },
+  // Ids from other services are not auth-service ObjectIds, so they are kept as strings
+  actor: {
+    id: { type: String },
+    role: { type: String },
+    email: { type: String, lowercase: true, trim: true },
+  },
+  target: {
+    type: { type: String },
+    id: { type: String },
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  changes: {
+    type: [auditChangeSchema],
+    default: [],
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  versionKey: false,
+});
+
+auditEventSchema.index({ at: -1 });
+auditEventSchema.index({ action: 1, at: -1 });
+auditEventSchema.index({ "actor.id": 1, at: -1 });
+auditEventSchema.index({ "target.type": 1, "target.id": 1, at: -1 });
+
+const appendOnly = function () {
+  throw new Error("Audit events are append-only.");
+};
+auditEventSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("Audit events are append-only."));
+  next();
+});
+[
+  "updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace",
+  "deleteOne", "deleteMany", "findOneAndDelete",
+].forEach((operation) => auditEventSchema.pre(operation, { document: false, query: true }, appendOnly));
+auditEventSchema.pre("deleteOne", { document: true, query: false }, appendOnly);
+
+module.exports = mongoose.model("AuditEvent", auditEventSchema);
@@ -1,6 +1,151 @@
 // backend/auth-service/models/Customer.js
 const mongoose = require("mongoose");
 const bcrypt   = require("bcryptjs");
+const moderationEventSchema = require("./moderationEvent");
+
+// GeoJSON Point, coordinates in [longitude, latitude] order
+const pointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      default: "Point",
+    },
+    coordinates: {
+      type: [Number],
+      validate: {
+        validator: ([lng, lat, ...rest] = []) =>
+          rest.length === 0 &&
+          Number.isFinite(lng) && lng >= -180 && lng <= 180 &&
+          Number.isFinite(lat) && lat >= -90 && lat <= 90,
+        message: "Coordinates must be [longitude, latitude].",
+      },
+    },
+  },
+  { _id: false }
+);
+
+// Saved delivery address (address book entry)
+const addressSchema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 40, // e.g. "Home", "Office"
+    },
+    recipientName: {
+      type: String,
+      trim: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    line1: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    line2: {
+      type: String,
+      trim: true,
+    },
+    ward: {
+      type: String,
+      trim: true,
+    },
+    district: {
+      type: String,
+      trim: true,
+    },
+    city: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    postalCode: {
+      type: String,
+      trim: true,
+    },
+    country: {
+      type: String,
+      trim: true,
+      default: "Vietnam",
+    },
+    instructions: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    // Set from the client or the geocoder; absent when neither could place it
+    location: {
+      type: pointSchema,
+      required: false,
+    },
+  },
+  { timestamps: true }
+);
+
+// Social login account (OpenID Connect): provider id from OIDC_PROVIDERS plus its stable subject
+const identitySchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    // Email the provider vouched for when the identity was linked
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Favorite restaurant or food item; `ref` is its id in restaurant-service
+const favoriteSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      required: true,
+      enum: ["restaurant", "food-item"],
+    },
+    ref: {
+      type: String,
+      required: true,
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Accounts created through social login may not have these yet
+function requiredWithoutIdentity() {
+  return !this.identities || this.identities.length === 0;
+}
+
+// Accounts imported from order-service only ever had a single name and no phone
+function requiredForNativeAccounts() {
+  return requiredWithoutIdentity.call(this) && !(this.legacyImport && this.legacyImport.source);
+}
 
 const customerSchema = new mongoose.Schema({
   firstName: {
@@ -10,7 +155,7 @@ const customerSchema = new mongoose.Schema({
   },
   lastName: {
     type: String,
-    required: true,
+    required: requiredForNativeAccounts,
     trim: true,
   },
   email: {
@@ -22,22 +167,115 @@ const customerSchema = new mongoose.Schema({
   },
   phone: {
     type: String,
-    required: true,
+    required: requiredForNativeAccounts,
     trim: true,
   },
   password: {
     type: String,
-    required: true,
+    required: requiredWithoutIdentity,
     minlength: 6,
   },
   location: {
     type: String,
     required: false,
     trim: true,
-    // You could store as { type: "Point", coordinates: [lng, lat] } for geo-queries
+    // Free-text; structured, geocoded addresses live in `addresses`
+  },
+  addresses: {
+    type: [addressSchema],
+    default: [],
+  },
+  favorites: {
+    type: [favoriteSchema],
+    default: [],
+  },
+  // Password reset (hashed, single-use, expiring)
+  passwordResetToken: {
+    type: String,
+    select: false,
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false,
+  },
+  // Email verification
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  // Suspended accounts keep their data but cannot log in or use their tokens
+  suspended: {
+    type: Boolean,
+    default: false,
+  },
+  suspendedAt: {
+    type: Date,
+  },
+  suspensionReason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  // Suspend/reinstate decisions by admins, oldest first
+  moderationHistory: {
+    type: [moderationEventSchema],
+    default: [],
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false,
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false,
+  },
+  // Email change waiting for the link sent to the new address (hashed, single-use, expiring)
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  emailChangeToken: {
+    type: String,
+    select: false,
+  },
+  emailChangeExpires: {
+    type: Date,
+    select: false,
+  },
+  // Account deletion code for customers without a password (hashed, single-use, expiring)
+  deletionCode: {
+    type: String,
+    select: false,
+  },
+  deletionCodeExpires: {
+    type: Date,
+    select: false,
+  },
+  deletionCodeAttempts: {
+    type: Number,
+    select: false,
+  },
+  // Linked social logins; social-only accounts set a password through forgot-password
+  identities: {
+    type: [identitySchema],
+    default: [],
+  },
+  // Where the account came from when it was imported (see utils/orderUserMigration.js)
+  legacyImport: {
+    source: String,
+    legacyId: String,
+    legacyRole: String,
+    importedAt: Date,
   },
 });
 
+// One customer per provider account
+customerSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  { unique: true, partialFilterExpression: { "identities.subject": { $exists: true } } }
+);
+
 // Hash password before saving
 customerSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -47,6 +285,7 @@ customerSchema.pre("save", async function (next) {
 
 // Compare plain text to hashed
 customerSchema.methods.comparePassword = async function (candidate) {
+  if (!this.password) return false; // social-only account
   return bcrypt.compare(candidate, this.password);
 };
 
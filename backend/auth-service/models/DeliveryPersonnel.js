@@ -1,6 +1,8 @@
 // backend/auth-service/models/DeliveryPersonnel.js
 const mongoose = require("mongoose");
 const bcrypt   = require("bcryptjs");
+const moderationEventSchema = require("./moderationEvent");
+const driverDocumentSchema = require("./driverDocument");
 
 const deliveryPersonnelSchema = new mongoose.Schema({
   firstName: {
@@ -51,9 +53,33 @@ const deliveryPersonnelSchema = new mongoose.Schema({
       default: [0, 0],
     },
   },
+  // Computed by utils/driverAvailability from the heartbeat, shifts and override;
+  // not set directly
   isAvailable: {
     type: Boolean,
-    default: true,
+    default: false,
+  },
+  // Manual override of the shift schedule; null follows the shifts
+  availabilityOverride: {
+    type: String,
+    enum: ["available", "unavailable", null],
+    default: null,
+  },
+  // Last location update or heartbeat from the driver app
+  lastSeenAt: {
+    type: Date,
+    default: null,
+  },
+  // License, national ID and vehicle registration, one of each at most
+  documents: {
+    type: [driverDocumentSchema],
+    default: [],
+  },
+  // Earliest expiry among the documents once every required one is verified,
+  // null otherwise. Kept by utils/driverDocuments; a driver is only available before it.
+  documentsVerifiedUntil: {
+    type: Date,
+    default: null,
   },
   rating: {
     type: Number,
@@ -65,12 +91,68 @@ const deliveryPersonnelSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Password reset (hashed, single-use, expiring)
+  passwordResetToken: {
+    type: String,
+    select: false,
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false,
+  },
+  // Email verification
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  // Suspended accounts keep their data but cannot log in or use their tokens
+  suspended: {
+    type: Boolean,
+    default: false,
+  },
+  suspendedAt: {
+    type: Date,
+  },
+  suspensionReason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  // Suspend/reinstate decisions by admins, oldest first
+  moderationHistory: {
+    type: [moderationEventSchema],
+    default: [],
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false,
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false,
+  },
+  // Email change waiting for the link sent to the new address (hashed, single-use, expiring)
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  emailChangeToken: {
+    type: String,
+    select: false,
+  },
+  emailChangeExpires: {
+    type: Date,
+    select: false,
+  },
 }, {
   timestamps: true,
 });
 
 // Create 2dsphere index for geospatial queries
 deliveryPersonnelSchema.index({ currentLocation: "2dsphere" });
+// Document review queue
+deliveryPersonnelSchema.index({ "documents.status": 1, "documents.uploadedAt": 1 });
 
 // Hash password before saving
 deliveryPersonnelSchema.pre("save", async function (next) {
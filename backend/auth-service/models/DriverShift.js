@@ -0,0 +1,48 @@
+// backend/auth-service/models/DriverShift.js
+const mongoose = require("mongoose");
+
+// A block of time a driver plans to work. Weekly shifts repeat on a weekday in
+// SHIFT_TIMEZONE local time (minutes from midnight); one-off shifts are absolute.
+const driverShiftSchema = new mongoose.Schema({
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "DeliveryPersonnel",
+    required: true,
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: ["weekly", "one-off"],
+  },
+  // weekly: 0 = Sunday ... 6 = Saturday
+  dayOfWeek: {
+    type: Number,
+    min: 0,
+    max: 6,
+  },
+  startMinute: {
+    type: Number,
+    min: 0,
+    max: 1439,
+  },
+  endMinute: {
+    type: Number,
+    min: 1,
+    max: 1440,
+  },
+  // one-off
+  startsAt: {
+    type: Date,
+  },
+  endsAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+driverShiftSchema.index({ driverId: 1, kind: 1 });
+driverShiftSchema.index({ kind: 1, dayOfWeek: 1 });
+driverShiftSchema.index({ kind: 1, endsAt: 1 });
+
+module.exports = mongoose.model("DriverShift", driverShiftSchema);
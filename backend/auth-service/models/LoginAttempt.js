@@ -0,0 +1,32 @@
+// backend/auth-service/models/LoginAttempt.js
+const mongoose = require("mongoose");
+
+// Failed-login bookkeeping for the Mongo rate-limit store (shared by replicas)
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  failures: {
+    type: [Date],
+    default: [],
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  // Number of lockouts so far; drives the progressive lockout duration
+  lockouts: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -0,0 +1,44 @@
+// backend/auth-service/models/LoginChallenge.js
+const mongoose = require("mongoose");
+
+// Half-finished login: the password was right, the second factor is pending
+const loginChallengeSchema = new mongoose.Schema({
+  // SHA-256 of the opaque challenge token handed to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  source: {
+    type: String,
+    required: true,
+    enum: ["auth", "restaurant-service"],
+  },
+  accountId: {
+    type: String,
+    required: true,
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: ["admin", "super-admin", "restaurant-admin"],
+  },
+  // "verify": enter a code; "enroll": 2FA is required but not set up yet
+  purpose: {
+    type: String,
+    required: true,
+    enum: ["verify", "enroll"],
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+loginChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginChallenge", loginChallengeSchema);
@@ -0,0 +1,47 @@
+// backend/auth-service/models/OidcLogin.js
+const mongoose = require("mongoose");
+
+// Social login in flight. "authorize": the browser was sent to the provider
+// (tokenHash is the hashed state); "exchange": the provider vouched for the
+// customer and the frontend holds a one-time code for the session tokens.
+const oidcLoginSchema = new mongoose.Schema({
+  // SHA-256 of the state parameter or of the one-time exchange code
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  purpose: {
+    type: String,
+    required: true,
+    enum: ["authorize", "exchange"],
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  // authorize: replay protection for the ID token and the PKCE secret
+  nonce: {
+    type: String,
+  },
+  codeVerifier: {
+    type: String,
+  },
+  // Frontend path to land on after signing in
+  returnTo: {
+    type: String,
+  },
+  // exchange: who signed in
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+oidcLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("OidcLogin", oidcLoginSchema);
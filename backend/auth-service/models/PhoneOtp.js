@@ -0,0 +1,40 @@
+// backend/auth-service/models/PhoneOtp.js
+const mongoose = require("mongoose");
+
+// Current phone login code for one number (one document per number)
+const phoneOtpSchema = new mongoose.Schema({
+  // E.164, e.g. +84901234567
+  phone: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // SHA-256 of "<phone>:<code>"; the code itself is only ever in the SMS
+  codeHash: {
+    type: String,
+    required: true,
+  },
+  // Wrong guesses against the current code
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  codeExpiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Recent sends, for the resend cooldown and the hourly cap
+  sentAt: {
+    type: [Date],
+    default: [],
+  },
+  // Document removal, kept past the code expiry so the hourly cap still counts
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+phoneOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("PhoneOtp", phoneOtpSchema);
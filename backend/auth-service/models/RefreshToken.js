@@ -0,0 +1,46 @@
+// backend/auth-service/models/RefreshToken.js
+const mongoose = require("mongoose");
+
+const refreshTokenSchema = new mongoose.Schema({
+  // SHA-256 of the opaque token handed to the client (never stored in clear)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true,
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: ["customer", "admin", "super-admin", "delivery", "restaurant-admin"],
+  },
+  // All tokens rotated from the same login share a family id
+  family: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  replacedBy: {
+    type: String, // tokenHash of the successor
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Let MongoDB purge expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
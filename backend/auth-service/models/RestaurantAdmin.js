@@ -1,6 +1,8 @@
 // backend/auth-service/models/RestaurantAdmin.js
 const mongoose = require("mongoose");
 const bcrypt   = require("bcryptjs");
+const moderationEventSchema = require("./moderationEvent");
+const onboardingEventSchema = require("./onboardingEvent");
 
 const restaurantAdminSchema = new mongoose.Schema({
   firstName: {
@@ -40,6 +42,25 @@ const restaurantAdminSchema = new mongoose.Schema({
     required: true,
     trim: true,
   },
+  // Restaurant details from the application, used to create the restaurant on approval
+  restaurantName: {
+    type: String,
+    trim: true,
+  },
+  restaurantLocation: {
+    type: String,
+    trim: true,
+  },
+  // Application state (see utils/restaurantOnboarding.js); isApproved mirrors "approved"
+  onboardingStatus: {
+    type: String,
+    enum: ["submitted", "under-review", "needs-info", "approved", "rejected"],
+    default: "submitted",
+  },
+  onboardingHistory: {
+    type: [onboardingEventSchema],
+    default: [],
+  },
   isApproved: {
     type: Boolean,
     default: false,
@@ -53,6 +74,60 @@ const restaurantAdminSchema = new mongoose.Schema({
     type: Date,
     required: false,
   },
+  // Password reset (hashed, single-use, expiring)
+  passwordResetToken: {
+    type: String,
+    select: false,
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false,
+  },
+  // Email verification
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  // Suspended accounts keep their data but cannot log in or use their tokens
+  suspended: {
+    type: Boolean,
+    default: false,
+  },
+  suspendedAt: {
+    type: Date,
+  },
+  suspensionReason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  // Suspend/reinstate decisions by admins, oldest first
+  moderationHistory: {
+    type: [moderationEventSchema],
+    default: [],
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false,
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false,
+  },
+  // Email change waiting for the link sent to the new address (hashed, single-use, expiring)
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  emailChangeToken: {
+    type: String,
+    select: false,
+  },
+  emailChangeExpires: {
+    type: Date,
+    select: false,
+  },
 }, {
   timestamps: true,
 });
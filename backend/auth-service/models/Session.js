@@ -0,0 +1,59 @@
+// backend/auth-service/models/Session.js
+const mongoose = require("mongoose");
+
+// One signed-in device: created by each login, named by the `sid` claim of its
+// access tokens and by the family of its refresh tokens
+const sessionSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    required: true,
+    enum: ["auth", "restaurant-service"],
+  },
+  accountId: {
+    type: String,
+    required: true,
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: ["customer", "admin", "super-admin", "delivery", "restaurant-admin"],
+  },
+  userAgent: {
+    type: String,
+    default: "",
+  },
+  ip: {
+    type: String,
+    default: "",
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastSeenIp: {
+    type: String,
+    default: "",
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  // Account id of whoever ended the session (the owner or an admin)
+  revokedBy: {
+    type: String,
+    default: null,
+  },
+  // Refresh-token lifetime for accounts stored here, access-token lifetime otherwise;
+  // pushed back on every refresh
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+sessionSchema.index({ source: 1, accountId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,52 @@
+// backend/auth-service/models/TwoFactor.js
+const mongoose = require("mongoose");
+
+// TOTP enrollment for one account. Keyed by source + id because restaurant
+// owners and super admins stored in restaurant-service enroll here too.
+const twoFactorSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    required: true,
+    enum: ["auth", "restaurant-service"],
+  },
+  accountId: {
+    type: String,
+    required: true,
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: ["admin", "super-admin", "restaurant-admin"],
+  },
+  // Base32 secret in use once enabled
+  secret: {
+    type: String,
+    select: false,
+  },
+  // Secret handed out by enrollment, until the first code confirms it
+  pendingSecret: {
+    type: String,
+    select: false,
+  },
+  enabledAt: {
+    type: Date,
+    default: null,
+  },
+  // SHA-256 of each unused recovery code
+  recoveryCodeHashes: {
+    type: [String],
+    default: [],
+    select: false,
+  },
+  // Last accepted TOTP step; older or equal steps are replays
+  lastUsedStep: {
+    type: Number,
+    default: -1,
+  },
+}, {
+  timestamps: true,
+});
+
+twoFactorSchema.index({ source: 1, accountId: 1 }, { unique: true });
+
+module.exports = mongoose.model("TwoFactor", twoFactorSchema);
@@ -0,0 +1,24 @@
+// backend/auth-service/models/TwoFactorPolicy.js
+const mongoose = require("mongoose");
+
+// Whether every account of a role must use two-factor login (set by super-admins)
+const twoFactorPolicySchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: ["admin", "super-admin", "restaurant-admin"],
+  },
+  required: {
+    type: Boolean,
+    default: false,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model("TwoFactorPolicy", twoFactorPolicySchema);
@@ -0,0 +1,56 @@
+// backend/auth-service/models/driverDocument.js
+const mongoose = require("mongoose");
+
+// One uploaded proof document (see utils/driverDocuments.js), embedded in the
+// driver; a new upload of the same type replaces it
+const driverDocumentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ["license", "national-id", "vehicle-registration"],
+  },
+  // Stored file name inside DRIVER_DOCUMENTS_DIR; never served publicly
+  file: {
+    type: String,
+    required: true,
+  },
+  originalName: {
+    type: String,
+    trim: true,
+  },
+  mimeType: {
+    type: String,
+  },
+  size: {
+    type: Number,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "verified", "rejected"],
+    default: "pending",
+  },
+  // Expiry printed on the document; the reviewer may correct it when verifying
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+  reviewedAt: {
+    type: Date,
+  },
+  // Rejection reason or reviewer remark, shown to the driver
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+  },
+}, { _id: false });
+
+module.exports = driverDocumentSchema;
@@ -0,0 +1,19 @@
+// backend/auth-service/models/externalIdentities.js
+//
+// Read-only views of accounts that other services still own, in sibling
+// databases on the same Mongo cluster. Auth-service never writes to them.
+const mongoose = require("mongoose");
+
+const looseSchema = () => new mongoose.Schema({}, { strict: false, versionKey: false });
+
+const databaseFor = (name) => mongoose.connection.useDb(name, { useCache: true });
+
+const modelOn = (dbName, modelName, collection) => {
+  const db = databaseFor(dbName);
+  return db.models[modelName] || db.model(modelName, looseSchema(), collection);
+};
+
+// order-service: legacy /api/users accounts, read only by migrateOrderUsers.js.
+// Their self-chosen roles are never trusted for login.
+exports.getOrderUserModel = () =>
+  modelOn(process.env.ORDER_DB_NAME || "Order", "User", "users");
@@ -0,0 +1,28 @@
+// backend/auth-service/models/moderationEvent.js
+const mongoose = require("mongoose");
+
+// One suspend/reinstate decision by an admin, embedded in the moderated account
+const moderationEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: ["suspend", "reinstate"],
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500,
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    required: true,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+module.exports = moderationEventSchema;
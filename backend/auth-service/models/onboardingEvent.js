@@ -0,0 +1,31 @@
+// backend/auth-service/models/onboardingEvent.js
+const mongoose = require("mongoose");
+
+// One step of a restaurant-admin application, embedded in the account
+const onboardingEventSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: true,
+  },
+  to: {
+    type: String,
+    required: true,
+  },
+  // Reviewer note (rejection reason, information requested) or the applicant's reply
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+  },
+  // Admin who made the decision; empty when the applicant resubmitted
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+module.exports = onboardingEventSchema;
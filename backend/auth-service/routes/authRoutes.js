@@ -1,15 +1,212 @@
 const express = require("express");
 const router  = express.Router();
 const authController = require("../controllers/customerController");
-const { protect } = require("../middlewares/auth"); // your JWT-checker
+const addressController = require("../controllers/customerAddressController");
+const favoriteController = require("../controllers/customerFavoriteController");
+const privacyController = require("../controllers/customerPrivacyController");
+const userManagementController = require("../controllers/userManagementController");
+const adminPermissionController = require("../controllers/adminPermissionController");
+const twoFactorController = require("../controllers/twoFactorController");
+const sessionController = require("../controllers/sessionController");
+const adminController = require("../controllers/adminController");
+const deliveryController = require("../controllers/deliveryPersonnelController");
+const restaurantAdminController = require("../controllers/restaurantAdminController");
+const tokenController = require("../controllers/tokenController");
+const passwordResetController = require("../controllers/passwordResetController");
+const emailVerificationController = require("../controllers/emailVerificationController");
+const credentialsController = require("../controllers/accountCredentialsController");
+const auditController = require("../controllers/auditController");
+const oidcController = require("../controllers/oidcController");
+const phoneLoginController = require("../controllers/phoneLoginController");
+const driverDocumentController = require("../controllers/driverDocumentController");
+const {
+  protect,
+  protectAdmin,
+  protectDelivery,
+  protectRestaurantAdmin,
+  protectAccount,
+  requirePermission,
+  requireRole,
+} = require("../middlewares/auth"); // your JWT-checker
+const { loginLimiter, sendLimiter } = require("../middlewares/loginLimiter");
+const { auditFailedLogins } = require("../middlewares/audit");
+const { uploadDriverDocument } = require("../middlewares/driverDocumentUpload");
+const { protectServiceClient, identifyServiceClient } = require("../middlewares/serviceClient");
+const { TWO_FACTOR_ROLES } = require("../utils/twoFactor");
 
 router.post("/register/customer", authController.register);
-router.post("/login",           authController.login);
+router.post("/login",           auditFailedLogins("customer"), loginLimiter("customer"), authController.login);
+
+// Unified login across every account type (standard claims). Service clients are
+// identified first so the limiter and the audit log see the device they forward.
+router.post("/token", identifyServiceClient, auditFailedLogins("token"), loginLimiter("token"), tokenController.issueToken);
+
+// Customer social login (OpenID Connect providers from OIDC_PROVIDERS)
+router.get("/oidc/providers",           oidcController.listProviders);
+router.get("/oidc/:provider/start",     oidcController.startLogin);
+router.get("/oidc/:provider/callback",  oidcController.callback);
+router.post("/oidc/exchange",           auditFailedLogins("oidc"), oidcController.exchangeCode);
+
+// Customer passwordless login with a code texted to their phone
+router.post("/otp/request", sendLimiter("otp"), phoneLoginController.requestOtp);
+router.post("/otp/verify",  auditFailedLogins("otp"), loginLimiter("otp"), phoneLoginController.verifyOtp);
+
+// Token lifecycle (access token refresh + server-side logout)
+router.post("/refresh", tokenController.refresh);
+router.post("/logout",  tokenController.logout);
+
+// Signed-in devices of the caller (every account type, from any service)
+const protectAnyAccount = protectAccount(["customer", "admin", "super-admin", "delivery", "restaurant-admin"]);
+router.get("/sessions", protectAnyAccount, sessionController.listMySessions);
+router.post("/sessions/revoke-others", protectAnyAccount, sessionController.revokeOtherSessions);
+router.delete("/sessions/:sessionId", protectAnyAccount, sessionController.revokeMySession);
+
+// Token introspection for other services (service client credentials)
+router.post("/introspect", protectServiceClient, tokenController.introspect);
+
+// Password recovery (customer, delivery, restaurant-admin)
+router.post("/forgot-password", passwordResetController.forgotPassword);
+router.post("/reset-password",  passwordResetController.resetPassword);
+router.get("/password-policy",  passwordResetController.getPasswordPolicy);
+router.post("/internal/password-policy/check", protectServiceClient, passwordResetController.checkPassword);
+
+// Email verification (all account types)
+router.post("/verify-email",        emailVerificationController.verifyEmail);
+router.post("/verify-email/resend", emailVerificationController.resendVerification);
+
+// Email change confirmation (link sent to the new address)
+router.post("/confirm-email-change", credentialsController.confirmEmailChange);
 
 // Protected customer routes
 router
   .route("/customer/profile")
   .get(protect, authController.getProfile)
   .patch(protect, authController.updateProfile);
+router.patch("/customer/password", protect, credentialsController.changePassword);
+router.post("/customer/email",     protect, credentialsController.requestEmailChange);
+
+// Customer address book
+router
+  .route("/customer/addresses")
+  .get(protect, addressController.listAddresses)
+  .post(protect, addressController.createAddress);
+router
+  .route("/customer/addresses/:addressId")
+  .patch(protect, addressController.updateAddress)
+  .delete(protect, addressController.deleteAddress);
+
+// Customer favorites (restaurants and food items)
+router.get("/customer/favorites", protect, favoriteController.listFavorites);
+router
+  .route("/customer/favorites/:kind/:id")
+  .put(protect, favoriteController.addFavorite)
+  .delete(protect, favoriteController.removeFavorite);
+
+// Customer data export and account deletion
+router.get("/customer/export",  protect, privacyController.exportData);
+router.post("/customer/delete", protect, privacyController.deleteAccount);
+
+// Admin routes
+router.post("/register/admin", adminController.register);
+router.post("/login/admin",    auditFailedLogins("admin"), loginLimiter("admin"), adminController.login);
+router
+  .route("/admin/me")
+  .get(protectAdmin, adminController.getMe)
+  .patch(protectAdmin, adminController.updateMe);
+router.patch("/admin/me/password", protectAdmin, credentialsController.changePassword);
+router.post("/admin/me/email",     protectAdmin, credentialsController.requestEmailChange);
+
+// Delivery personnel routes
+router.post("/register/delivery", deliveryController.register);
+router.post("/login/delivery",    auditFailedLogins("delivery"), loginLimiter("delivery"), deliveryController.login);
+router
+  .route("/delivery/me")
+  .get(protectDelivery, deliveryController.getMe)
+  .patch(protectDelivery, deliveryController.updateMe);
+router.patch("/delivery/me/password", protectDelivery, credentialsController.changePassword);
+router.post("/delivery/me/email",     protectDelivery, credentialsController.requestEmailChange);
+router.patch("/delivery/location", protectDelivery, deliveryController.updateLocation);
+router.post("/delivery/heartbeat", protectDelivery, deliveryController.heartbeat);
+router
+  .route("/delivery/me/availability")
+  .get(protectDelivery, deliveryController.getAvailability)
+  .put(protectDelivery, deliveryController.setAvailability);
+router
+  .route("/delivery/me/shifts")
+  .get(protectDelivery, deliveryController.listShifts)
+  .post(protectDelivery, deliveryController.createShift);
+router.delete("/delivery/me/shifts/:shiftId", protectDelivery, deliveryController.deleteShift);
+router.get("/delivery/me/documents", protectDelivery, driverDocumentController.getMyDocuments);
+router.put("/delivery/me/documents/:type", protectDelivery, uploadDriverDocument, driverDocumentController.uploadDocument);
+
+// Dispatch candidates for order-service (service client credentials)
+router.get("/internal/drivers/nearby", protectServiceClient, deliveryController.findNearbyDrivers);
+
+// Restaurant admin routes
+router.post("/register/restaurant-admin", restaurantAdminController.register);
+router.post("/login/restaurant-admin",    auditFailedLogins("restaurant-admin"), loginLimiter("restaurant-admin"), restaurantAdminController.login);
+router
+  .route("/restaurant-admin/me")
+  .get(protectRestaurantAdmin, restaurantAdminController.getMe)
+  .patch(protectRestaurantAdmin, restaurantAdminController.updateMe);
+router.patch("/restaurant-admin/me/password", protectRestaurantAdmin, credentialsController.changePassword);
+router.post("/restaurant-admin/me/email",     protectRestaurantAdmin, credentialsController.requestEmailChange);
+router
+  .route("/restaurant-admin/me/application")
+  .get(protectRestaurantAdmin, restaurantAdminController.getMyApplication)
+  .put(protectRestaurantAdmin, restaurantAdminController.resubmitApplication);
+
+// Restaurant admin approval (admins with manage-restaurants)
+const canManageRestaurants = [protectAdmin, requirePermission("manage-restaurants")];
+router.get("/restaurant-admin/pending", canManageRestaurants, restaurantAdminController.getPendingRestaurantAdmins);
+router.get("/restaurant-admin/:id/application", canManageRestaurants, restaurantAdminController.getApplication);
+router.post("/restaurant-admin/:id/review", canManageRestaurants, restaurantAdminController.startReview);
+router.patch("/restaurant-admin/:id/approve", canManageRestaurants, restaurantAdminController.approveRestaurantAdmin);
+router.patch("/restaurant-admin/:id/reject", canManageRestaurants, restaurantAdminController.rejectRestaurantAdmin);
+router.patch("/restaurant-admin/:id/request-info", canManageRestaurants, restaurantAdminController.requestMoreInfo);
+
+// User management (admins with manage-users)
+const canManageUsers = [protectAdmin, requirePermission("manage-users")];
+router.get("/admin/users", canManageUsers, userManagementController.searchUsers);
+router.get("/admin/users/:type/:id", canManageUsers, userManagementController.getUser);
+router.post("/admin/users/:type/:id/suspend", canManageUsers, userManagementController.suspendUser);
+router.post("/admin/users/:type/:id/reinstate", canManageUsers, userManagementController.reinstateUser);
+router.get("/admin/drivers/roster", canManageUsers, deliveryController.getRoster);
+router.get("/admin/drivers/documents", canManageUsers, driverDocumentController.getReviewQueue);
+router.get("/admin/drivers/:id/documents/:type/file", canManageUsers, driverDocumentController.getDocumentFile);
+router.post("/admin/drivers/:id/documents/:type/review", canManageUsers, driverDocumentController.reviewDocument);
+router
+  .route("/admin/users/:type/:id/sessions")
+  .get(canManageUsers, userManagementController.listUserSessions)
+  .delete(canManageUsers, userManagementController.revokeUserSessions);
+router.delete("/admin/users/:type/:id/sessions/:sessionId", canManageUsers, userManagementController.revokeUserSession);
+
+// Permission catalogue and grants (granting is for super-admins only)
+const isSuperAdmin = [protectAdmin, requireRole("super-admin")];
+router.get("/admin/permissions", protectAdmin, adminPermissionController.listPermissions);
+router.get("/admin/admins", isSuperAdmin, adminPermissionController.listAdmins);
+router.post("/admin/admins/:id/permissions", isSuperAdmin, adminPermissionController.grantPermission);
+router.delete("/admin/admins/:id/permissions/:permission", isSuperAdmin, adminPermissionController.revokePermission);
+
+// Security audit log (admins with view-audit-log); other services append through the internal route
+const canViewAuditLog = [protectAdmin, requirePermission("view-audit-log")];
+router.get("/admin/audit", canViewAuditLog, auditController.listAuditEvents);
+router.get("/admin/audit/export", canViewAuditLog, auditController.exportAuditEvents);
+router.post("/internal/audit", protectServiceClient, auditController.ingestAuditEvent);
+
+// Roles that must use two-factor login (super-admins only)
+router.get("/admin/2fa-policy", isSuperAdmin, twoFactorController.getPolicies);
+router.put("/admin/2fa-policy/:role", isSuperAdmin, twoFactorController.updatePolicy);
+
+// Two-factor login (admins, super-admins and restaurant owners from any service)
+const protectTwoFactorAccount = protectAccount(TWO_FACTOR_ROLES);
+router.get("/2fa", protectTwoFactorAccount, twoFactorController.getStatus);
+router.post("/2fa/enroll", protectTwoFactorAccount, twoFactorController.startEnrollment);
+router.post("/2fa/enroll/verify", protectTwoFactorAccount, twoFactorController.confirmEnrollment);
+router.post("/2fa/recovery-codes", protectTwoFactorAccount, twoFactorController.regenerateRecoveryCodes);
+router.post("/2fa/disable", protectTwoFactorAccount, twoFactorController.disable);
+router.post("/2fa/challenge", auditFailedLogins("2fa"), twoFactorController.verifyChallenge);
+router.post("/2fa/challenge/enroll", twoFactorController.startChallengeEnrollment);
+router.post("/2fa/challenge/enroll/verify", twoFactorController.confirmChallengeEnrollment);
 
 module.exports = router;
@@ -706,4 +706,41 @@ describe('Customer Model Unit Tests - Shopee QA Standards', () => {
             expect(customer.location).toBe('789 Oak Ave');
         });
     });
+
+    // ============================================================================
+    // Test 6: identities - Social Login Accounts
+    // ============================================================================
+    describe('Test 6: identities - Social Login Accounts', () => {
+        it('should not require a last name, phone or password once a provider identity is linked', async () => {
+            // GIVEN: A customer created by social login
+            const customer = new Customer({
+                firstName: 'Lan',
+                email: 'lan@pho.vn',
+                emailVerified: true,
+                identities: [{ provider: 'google', subject: '1234567890', email: 'lan@pho.vn' }]
+            });
+
+            // WHEN/THEN: It validates, with the link date filled in
+            await expect(customer.validate()).resolves.toBeUndefined();
+            expect(customer.identities[0].linkedAt).toBeInstanceOf(Date);
+        });
+
+        it('should refuse a password login for a social-only account without calling bcrypt', async () => {
+            const customer = new Customer({
+                firstName: 'Lan',
+                email: 'lan@pho.vn',
+                identities: [{ provider: 'google', subject: '1234567890' }]
+            });
+
+            await expect(customer.comparePassword('anything')).resolves.toBe(false);
+            expect(bcrypt.compare).not.toHaveBeenCalled();
+        });
+
+        it('should keep one customer per provider subject', () => {
+            const index = Customer.schema.indexes()
+                .find(([fields]) => fields['identities.provider'] === 1 && fields['identities.subject'] === 1);
+
+            expect(index[1]).toEqual(expect.objectContaining({ unique: true }));
+        });
+    });
 });
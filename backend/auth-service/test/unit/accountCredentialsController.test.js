@@ -0,0 +1,327 @@
+// backend/auth-service/test/unit/accountCredentialsController.test.js
+const Customer = require('../../models/Customer');
+const Admin = require('../../models/Admin');
+const DeliveryPersonnel = require('../../models/DeliveryPersonnel');
+const RestaurantAdmin = require('../../models/RestaurantAdmin');
+const { sendEmailNotification } = require('../../utils/emailService');
+const { revokeAllSessions } = require('../../utils/sessions');
+const { hashToken } = require('../../utils/oneTimeTokens');
+const credentialsController = require('../../controllers/accountCredentialsController');
+
+jest.mock('../../models/Customer');
+jest.mock('../../models/Admin');
+jest.mock('../../models/DeliveryPersonnel');
+jest.mock('../../models/RestaurantAdmin');
+jest.mock('../../utils/emailService');
+jest.mock('../../utils/sessions');
+
+const SESSION_ID = '64b0000000000000000000f1';
+
+// findById(...).select('+password') resolves to the account
+const mockCaller = (Model, account) => {
+    const select = jest.fn().mockResolvedValue(account);
+    Model.findById.mockReturnValue({ select });
+    return select;
+};
+
+const makeAccount = (overrides = {}) => ({
+    _id: 'user-1',
+    firstName: 'Alice',
+    lastName: 'Nguyen',
+    email: 'alice@example.com',
+    comparePassword: jest.fn().mockResolvedValue(true),
+    save: jest.fn().mockResolvedValue(true),
+    ...overrides
+});
+
+describe('AccountCredentialsController Unit Tests - Shopee QA Standards', () => {
+    let req, res, next;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        req = { body: {}, userId: 'user-1', userRole: 'customer', sessionId: SESSION_ID };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+        next = jest.fn();
+        process.env.FRONTEND_URL = 'http://localhost:3000';
+        delete process.env.EMAIL_CHANGE_TTL_MINUTES;
+        sendEmailNotification.mockResolvedValue({ id: 'mail-1' });
+        revokeAllSessions.mockResolvedValue(2);
+    });
+
+    // ============================================================================
+    // Test 1: changePassword
+    // ============================================================================
+    describe('Test 1: changePassword - Re-Authenticate, Apply Policy, End Other Sessions', () => {
+        it('should set the new password and keep only the current session', async () => {
+            // GIVEN: Signed-in customer who knows the current password
+            const customer = makeAccount();
+            const select = mockCaller(Customer, customer);
+            req.body = { currentPassword: 'OldPass123', newPassword: 'Brand-New-Pass9' };
+
+            // WHEN: Changing the password
+            await credentialsController.changePassword(req, res, next);
+
+            // THEN: Hash loaded, password saved, other devices signed out, owner told
+            expect(Customer.findById).toHaveBeenCalledWith('user-1');
+            expect(select).toHaveBeenCalledWith('+password');
+            expect(customer.comparePassword).toHaveBeenCalledWith('OldPass123');
+            expect(customer.password).toBe('Brand-New-Pass9');
+            expect(customer.save).toHaveBeenCalledWith();
+            expect(revokeAllSessions).toHaveBeenCalledWith(
+                { source: 'auth', id: 'user-1', role: 'customer' },
+                { except: SESSION_ID, revokedBy: 'user-1' }
+            );
+            expect(sendEmailNotification.mock.calls[0][0]).toBe('alice@example.com');
+            expect(res.json).toHaveBeenCalledWith({
+                status: 'success',
+                message: 'Password changed. Your other devices have been signed out.'
+            });
+        });
+
+        it.each([
+            ['admin', () => Admin],
+            ['super-admin', () => Admin],
+            ['delivery', () => DeliveryPersonnel],
+            ['restaurant-admin', () => RestaurantAdmin]
+        ])('should load %s accounts from their own collection', async (role, getModel) => {
+            const account = makeAccount();
+            mockCaller(getModel(), account);
+            req.userRole = role;
+            req.body = { currentPassword: 'OldPass123', newPassword: 'Brand-New-Pass9' };
+
+            await credentialsController.changePassword(req, res, next);
+
+            expect(getModel().findById).toHaveBeenCalledWith('user-1');
+            expect(revokeAllSessions.mock.calls[0][0]).toEqual({ source: 'auth', id: 'user-1', role });
+        });
+
+        it('should answer 401 for a wrong current password without touching sessions', async () => {
+            const customer = makeAccount({ comparePassword: jest.fn().mockResolvedValue(false) });
+            mockCaller(Customer, customer);
+            req.body = { currentPassword: 'guess', newPassword: 'Brand-New-Pass9' };
+
+            await credentialsController.changePassword(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Current password is incorrect.' });
+            expect(customer.save).not.toHaveBeenCalled();
+            expect(revokeAllSessions).not.toHaveBeenCalled();
+        });
+
+        it('should reject a new password that breaks the policy', async () => {
+            const customer = makeAccount();
+            mockCaller(Customer, customer);
+            req.body = { currentPassword: 'OldPass123', newPassword: 'alice' };
+
+            await credentialsController.changePassword(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json.mock.calls[0][0].code).toBe('WEAK_PASSWORD');
+            expect(customer.save).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['missing fields', {}, 'Current password and new password are required.'],
+            ['an unchanged password', { currentPassword: 'OldPass123', newPassword: 'OldPass123' }, 'New password must be different from the current one.']
+        ])('should answer 400 for %s', async (label, body, message) => {
+            mockCaller(Customer, makeAccount());
+            req.body = body;
+
+            await credentialsController.changePassword(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message });
+        });
+
+        it('should still succeed when the notice cannot be sent', async () => {
+            mockCaller(Customer, makeAccount());
+            sendEmailNotification.mockRejectedValue(new Error('SMTP down'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            req.body = { currentPassword: 'OldPass123', newPassword: 'Brand-New-Pass9' };
+
+            await credentialsController.changePassword(req, res, next);
+
+            expect(res.json.mock.calls[0][0].status).toBe('success');
+            expect(next).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 2: requestEmailChange
+    // ============================================================================
+    describe('Test 2: requestEmailChange - Confirmation Goes To The New Address', () => {
+        it('should keep the current email and send a hashed single-use link to the new one', async () => {
+            // GIVEN: Driver asking to move to a free address
+            const driver = makeAccount();
+            mockCaller(DeliveryPersonnel, driver);
+            DeliveryPersonnel.exists.mockResolvedValue(null);
+            req.userRole = 'delivery';
+            req.body = { email: ' New@Example.com ', currentPassword: 'OldPass123' };
+
+            // WHEN: Requesting the change
+            await credentialsController.requestEmailChange(req, res, next);
+
+            // THEN: Pending address and token hash stored, link to the new address, notice to the old one
+            expect(DeliveryPersonnel.exists).toHaveBeenCalledWith({ email: 'new@example.com' });
+            expect(driver.email).toBe('alice@example.com');
+            expect(driver.pendingEmail).toBe('new@example.com');
+            expect(driver.save).toHaveBeenCalledWith({ validateBeforeSave: false });
+            const [to, subject, html, text] = sendEmailNotification.mock.calls[0];
+            expect(to).toBe('new@example.com');
+            expect(subject).toBe('Confirm your new SkyDish email address');
+            const token = text.match(/token=([a-f0-9]+)/)[1];
+            expect(html).toContain(`http://localhost:3000/auth/confirm-email-change?token=${token}&role=delivery`);
+            expect(driver.emailChangeToken).toBe(hashToken(token));
+            const minutes = (driver.emailChangeExpires - Date.now()) / 60000;
+            expect(minutes).toBeGreaterThan(59);
+            expect(minutes).toBeLessThanOrEqual(60);
+            expect(sendEmailNotification.mock.calls[1][0]).toBe('alice@example.com');
+            expect(res.json.mock.calls[0][0].data.pendingEmail).toBe('new@example.com');
+        });
+
+        it('should escape the account name in both emails', async () => {
+            // GIVEN: Driver whose first name carries markup
+            const driver = makeAccount({ firstName: '<img src=x onerror=alert(1)>' });
+            mockCaller(DeliveryPersonnel, driver);
+            DeliveryPersonnel.exists.mockResolvedValue(null);
+            req.userRole = 'delivery';
+            req.body = { email: 'new@example.com', currentPassword: 'OldPass123' };
+
+            // WHEN: Requesting the change
+            await credentialsController.requestEmailChange(req, res, next);
+
+            // THEN: Neither HTML body contains the raw tag
+            for (const [, , html] of sendEmailNotification.mock.calls) {
+                expect(html).not.toContain('<img');
+                expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+            }
+            expect(sendEmailNotification).toHaveBeenCalledTimes(2);
+        });
+
+        it('should answer 409 when another account of the type uses the address', async () => {
+            const customer = makeAccount();
+            mockCaller(Customer, customer);
+            Customer.exists.mockResolvedValue({ _id: 'someone-else' });
+            req.body = { email: 'taken@example.com', currentPassword: 'OldPass123' };
+
+            await credentialsController.requestEmailChange(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(customer.save).not.toHaveBeenCalled();
+            expect(sendEmailNotification).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['a malformed address', { email: 'not-an-email', currentPassword: 'x' }, 400],
+            ['the current address', { email: 'Alice@example.com', currentPassword: 'OldPass123' }, 400],
+            ['no current password', { email: 'new@example.com' }, 400]
+        ])('should refuse %s', async (label, body, status) => {
+            mockCaller(Customer, makeAccount());
+            req.body = body;
+
+            await credentialsController.requestEmailChange(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(status);
+            expect(sendEmailNotification).not.toHaveBeenCalled();
+        });
+
+        it('should answer 401 for a wrong current password', async () => {
+            mockCaller(Admin, makeAccount({ comparePassword: jest.fn().mockResolvedValue(false) }));
+            req.userRole = 'admin';
+            req.body = { email: 'new@example.com', currentPassword: 'guess' };
+
+            await credentialsController.requestEmailChange(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(Admin.exists).not.toHaveBeenCalled();
+        });
+
+        it('should drop the pending change if the link cannot be sent', async () => {
+            const customer = makeAccount();
+            mockCaller(Customer, customer);
+            Customer.exists.mockResolvedValue(null);
+            sendEmailNotification.mockRejectedValue(new Error('SMTP down'));
+            req.body = { email: 'new@example.com', currentPassword: 'OldPass123' };
+
+            await credentialsController.requestEmailChange(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(502);
+            expect(customer.pendingEmail).toBeUndefined();
+            expect(customer.emailChangeToken).toBeUndefined();
+            expect(customer.save).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    // ============================================================================
+    // Test 3: confirmEmailChange
+    // ============================================================================
+    describe('Test 3: confirmEmailChange - Switch Once The New Address Confirms', () => {
+        const mockPending = (Model, account) => {
+            const select = jest.fn().mockResolvedValue(account);
+            Model.findOne.mockReturnValue({ select });
+            return select;
+        };
+
+        it('should switch the email, mark it verified and burn the token', async () => {
+            // GIVEN: Restaurant admin with a pending change
+            const owner = makeAccount({ pendingEmail: 'new@example.com', emailVerified: false });
+            const select = mockPending(RestaurantAdmin, owner);
+            RestaurantAdmin.exists.mockResolvedValue(null);
+            req.body = { token: 'raw-token', role: 'restaurant-admin' };
+
+            // WHEN: The link is followed
+            await credentialsController.confirmEmailChange(req, res, next);
+
+            // THEN: Looked up by hash, new address in use and verified
+            expect(RestaurantAdmin.findOne).toHaveBeenCalledWith({
+                emailChangeToken: hashToken('raw-token'),
+                emailChangeExpires: { $gt: expect.any(Date) }
+            });
+            expect(select).toHaveBeenCalledWith('+emailChangeToken +emailChangeExpires');
+            expect(owner.email).toBe('new@example.com');
+            expect(owner.emailVerified).toBe(true);
+            expect(owner.pendingEmail).toBeUndefined();
+            expect(owner.emailChangeToken).toBeUndefined();
+            expect(res.json).toHaveBeenCalledWith({
+                status: 'success',
+                message: 'Email address changed. Use it the next time you log in.',
+                data: { email: 'new@example.com', emailVerified: true }
+            });
+        });
+
+        it('should answer 400 for an unknown or expired token', async () => {
+            mockPending(Customer, null);
+            req.body = { token: 'stale' };
+
+            await credentialsController.confirmEmailChange(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Confirmation link is invalid or has expired.' });
+        });
+
+        it('should answer 409 if the address was taken in the meantime', async () => {
+            const customer = makeAccount({ pendingEmail: 'new@example.com' });
+            mockPending(Customer, customer);
+            Customer.exists.mockResolvedValue({ _id: 'late-registration' });
+            req.body = { token: 'raw-token' };
+
+            await credentialsController.confirmEmailChange(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(customer.email).toBe('alice@example.com');
+            expect(customer.save).not.toHaveBeenCalled();
+        });
+
+        it('should reject unknown account types', async () => {
+            req.body = { token: 'raw-token', role: 'pirate' };
+
+            await credentialsController.confirmEmailChange(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Invalid account type.' });
+        });
+    });
+});
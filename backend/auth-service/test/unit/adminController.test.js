@@ -2,10 +2,21 @@
 const jwt = require('jsonwebtoken');
 const Admin = require('../../models/Admin');
 const adminController = require('../../controllers/adminController');
+const { createRefreshToken } = require('../../utils/refreshTokens');
+const { startLoginChallenge } = require('../../utils/twoFactor');
+const { requirePermission } = require('../../middlewares/auth');
 
 // Mock dependencies
 jest.mock('jsonwebtoken');
+jest.mock('../../utils/signingKeys', () => ({
+    getSigningKey: () => ({ kid: 'test-kid', alg: 'RS256', privateKey: 'test-private-key' })
+}));
 jest.mock('../../models/Admin');
+jest.mock('../../utils/refreshTokens');
+jest.mock('../../models/Session');
+jest.mock('../../utils/emailVerification');
+// Second factor is off unless a test starts a challenge
+jest.mock('../../utils/twoFactor', () => ({ startLoginChallenge: jest.fn().mockResolvedValue(null) }));
 
 describe('AdminController Unit Tests - Shopee QA Standards', () => {
     let req, res, next;
@@ -30,7 +41,6 @@ describe('AdminController Unit Tests - Shopee QA Standards', () => {
         next = jest.fn();
 
         // Setup default environment variables
-        process.env.JWT_SECRET = 'test-secret-key';
         process.env.JWT_EXPIRES_IN = '7d';
     });
 
@@ -38,7 +48,7 @@ describe('AdminController Unit Tests - Shopee QA Standards', () => {
     // Test 1: register - Successful registration with JWT token (Happy Path)
     // ============================================================================
     describe('Test 1: register - Successful Registration with JWT Token (Happy Path)', () => {
-        it('should create new admin with default permissions and return JWT token', async () => {
+        it('should create new admin without permissions and return JWT token', async () => {
             // GIVEN: Valid registration data without role and permissions
             req.body = {
                 firstName: 'John',
@@ -55,7 +65,7 @@ describe('AdminController Unit Tests - Shopee QA Standards', () => {
                 email: 'john.doe@admin.com',
                 phone: '+1234567890',
                 role: 'admin',
-                permissions: ['manage-users', 'manage-restaurants', 'manage-orders']
+                permissions: []
             };
 
             Admin.findOne.mockResolvedValue(null); // No existing email
@@ -65,7 +75,7 @@ describe('AdminController Unit Tests - Shopee QA Standards', () => {
             // WHEN: register is called
             await adminController.register(req, res, next);
 
-            // THEN: Should create admin with default role and permissions
+            // THEN: Should create a plain admin holding no permissions yet
             expect(Admin.findOne).toHaveBeenCalledWith({ email: req.body.email });
             expect(Admin.create).toHaveBeenCalledWith({
                 firstName: 'John',
@@ -74,12 +84,12 @@ describe('AdminController Unit Tests - Shopee QA Standards', () => {
                 phone: '+1234567890',
                 password: 'SecurePass123!',
                 role: 'admin',
-                permissions: ['manage-users', 'manage-restaurants', 'manage-orders']
+                permissions: []
             });
             expect(jwt.sign).toHaveBeenCalledWith(
-                { id: mockAdmin._id, role: 'admin' },
-                'test-secret-key',
-                { expiresIn: '7d' }
+                { sub: 'mock-admin-id-123', role: 'admin', restaurantId: null, permissions: [] },
+                'test-private-key',
+                { algorithm: 'RS256', keyid: 'test-kid', expiresIn: '7d' }
             );
             expect(res.status).toHaveBeenCalledWith(201);
             expect(res.json).toHaveBeenCalledWith({
@@ -93,15 +103,15 @@ describe('AdminController Unit Tests - Shopee QA Standards', () => {
                         email: 'john.doe@admin.com',
                         phone: '+1234567890',
                         role: 'admin',
-                        permissions: ['manage-users', 'manage-restaurants', 'manage-orders']
+                        permissions: []
                     }
                 }
             });
             expect(next).not.toHaveBeenCalled();
         });
 
-        it('should allow custom role when provided', async () => {
-            // GIVEN: Valid registration data with custom role
+        it('should refuse to self-register a super-admin', async () => {
+            // GIVEN: Registration asking for the super-admin role
             req.body = {
                 firstName: 'Alice',
                 lastName: 'Smith',
@@ -111,46 +121,17 @@ describe('AdminController Unit Tests - Shopee QA Standards', () => {
                 role: 'super-admin'
             };
 
-            const mockAdmin = {
-                _id: 'admin-id-456',
-                firstName: 'Alice',
-                lastName: 'Smith',
-                email: 'alice@admin.com',
-                phone: '+9876543210',
-                role: 'super-admin',
-                permissions: ['manage-users', 'manage-restaurants', 'manage-orders']
-            };
-
-            Admin.findOne.mockResolvedValue(null);
-            Admin.create.mockResolvedValue(mockAdmin);
-            jwt.sign.mockReturnValue('jwt-token-abc');
-
             // WHEN: register is called with custom role
             await adminController.register(req, res, next);
 
-            // THEN: Should create admin with provided role
-            expect(Admin.create).toHaveBeenCalledWith({
-                firstName: 'Alice',
-                lastName: 'Smith',
-                email: 'alice@admin.com',
-                phone: '+9876543210',
-                password: 'Password123!',
-                role: 'super-admin',
-                permissions: ['manage-users', 'manage-restaurants', 'manage-orders']
-            });
-            expect(res.json).toHaveBeenCalledWith(
-                expect.objectContaining({
-                    data: {
-                        admin: expect.objectContaining({
-                            role: 'super-admin'
-                        })
-                    }
-                })
-            );
+            // THEN: Should be forbidden before touching the database
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Super-admin accounts cannot be self-registered.' });
+            expect(Admin.create).not.toHaveBeenCalled();
         });
 
-        it('should allow custom permissions when provided', async () => {
-            // GIVEN: Valid registration data with custom permissions
+        it('should refuse permissions chosen by the registrant', async () => {
+            // GIVEN: Registration data with custom permissions
             req.body = {
                 firstName: 'Bob',
                 lastName: 'Johnson',
@@ -160,42 +141,39 @@ describe('AdminController Unit Tests - Shopee QA Standards', () => {
                 permissions: ['manage-users', 'view-reports']
             };
 
-            const mockAdmin = {
-                _id: 'admin-id-789',
-                firstName: 'Bob',
-                lastName: 'Johnson',
-                email: 'bob@admin.com',
-                phone: '+1111111111',
-                role: 'admin',
-                permissions: ['manage-users', 'view-reports']
-            };
+            // WHEN: register is called with custom permissions
+            await adminController.register(req, res, next);
 
-            Admin.findOne.mockResolvedValue(null);
-            Admin.create.mockResolvedValue(mockAdmin);
-            jwt.sign.mockReturnValue('jwt-token-def');
+            // THEN: Grants only come from a super-admin
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Permissions are granted by a super-admin.' });
+            expect(Admin.create).not.toHaveBeenCalled();
+        });
 
-            // WHEN: register is called with custom permissions
+        it('should leave a freshly registered admin locked out of /admin/users', async () => {
+            // GIVEN: Anyone registering through the public route
+            req.body = {
+                firstName: 'Mallory',
+                lastName: 'Evans',
+                email: 'mallory@admin.com',
+                phone: '+1010101010',
+                password: 'SecurePass123!'
+            };
+            Admin.findOne.mockResolvedValue(null);
+            Admin.create.mockImplementation(async (fields) => ({ _id: 'admin-mallory-id', ...fields }));
+            jwt.sign.mockReturnValue('token-mallory');
             await adminController.register(req, res, next);
 
-            // THEN: Should create admin with provided permissions
-            expect(Admin.create).toHaveBeenCalledWith({
-                firstName: 'Bob',
-                lastName: 'Johnson',
-                email: 'bob@admin.com',
-                phone: '+1111111111',
-                password: 'MyPass456!',
-                role: 'admin',
-                permissions: ['manage-users', 'view-reports']
-            });
-            expect(res.json).toHaveBeenCalledWith(
-                expect.objectContaining({
-                    data: {
-                        admin: expect.objectContaining({
-                            permissions: ['manage-users', 'view-reports']
-                        })
-                    }
-                })
-            );
+            // WHEN: The stored account reaches the manage-users guard of GET /admin/users
+            const created = await Admin.create.mock.results[0].value;
+            const guardRes = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+            const guardNext = jest.fn();
+            requirePermission('manage-users')({ account: created }, guardRes, guardNext);
+
+            // THEN: 403 until a super-admin grants the permission
+            expect(created.permissions).toEqual([]);
+            expect(guardRes.status).toHaveBeenCalledWith(403);
+            expect(guardNext).not.toHaveBeenCalled();
         });
 
         it('should sign JWT with admin role', async () => {
@@ -215,7 +193,7 @@ describe('AdminController Unit Tests - Shopee QA Standards', () => {
                 email: 'charlie@admin.com',
                 phone: '+2222222222',
                 role: 'admin',
-                permissions: ['manage-users', 'manage-restaurants', 'manage-orders']
+                permissions: []
             };
 
             Admin.findOne.mockResolvedValue(null);
@@ -227,12 +205,48 @@ describe('AdminController Unit Tests - Shopee QA Standards', () => {
 
             // THEN: Should sign JWT with admin role
             expect(jwt.sign).toHaveBeenCalledWith(
-                { id: 'admin-charlie-id', role: 'admin' },
-                'test-secret-key',
-                { expiresIn: '7d' }
+                { sub: 'admin-charlie-id', role: 'admin', restaurantId: null, permissions: [] },
+                'test-private-key',
+                { algorithm: 'RS256', keyid: 'test-kid', expiresIn: '7d' }
             );
         });
 
+        it('should hand back the enrollment challenge instead of tokens when admins need 2FA', async () => {
+            // GIVEN: The two-factor policy covers admins
+            req.body = {
+                firstName: 'Dana',
+                lastName: 'White',
+                email: 'dana@admin.com',
+                phone: '+3333333333',
+                password: 'Password789!'
+            };
+            const challenge = {
+                status: 'success',
+                twoFactorEnrollmentRequired: true,
+                challengeToken: 'challenge-dana',
+                expiresAt: '2026-10-19T10:05:00.000Z'
+            };
+            Admin.findOne.mockResolvedValue(null);
+            Admin.create.mockResolvedValue({
+                _id: 'admin-dana-id', firstName: 'Dana', lastName: 'White', email: 'dana@admin.com',
+                phone: '+3333333333', role: 'admin', permissions: []
+            });
+            startLoginChallenge.mockResolvedValueOnce(challenge);
+
+            // WHEN: register is called
+            await adminController.register(req, res, next);
+
+            // THEN: 201 with the challenge and no session
+            expect(startLoginChallenge).toHaveBeenCalledWith({ source: 'auth', id: 'admin-dana-id', role: 'admin' });
+            expect(jwt.sign).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(201);
+            const body = res.json.mock.calls[0][0];
+            expect(body).toMatchObject(challenge);
+            expect(body).not.toHaveProperty('token');
+            expect(body).not.toHaveProperty('refreshToken');
+            expect(body.data.admin.email).toBe('dana@admin.com');
+        });
+
         it('should return all admin fields in response', async () => {
             // GIVEN: Valid registration data
             req.body = {
@@ -240,7 +254,7 @@ describe('AdminController Unit Tests - Shopee QA Standards', () => {
                 lastName: 'Wilson',
                 email: 'david@admin.com',
                 phone: '+3333333333',
-                password: 'SecurePass!'
+                password: 'SecurePass1!'
             };
 
             const mockAdmin = {
@@ -250,7 +264,7 @@ describe('AdminController Unit Tests - Shopee QA Standards', () => {
                 email: 'david@admin.com',
                 phone: '+3333333333',
                 role: 'admin',
-                permissions: ['manage-users', 'manage-restaurants', 'manage-orders']
+                permissions: []
             };
 
             Admin.findOne.mockResolvedValue(null);
@@ -272,7 +286,7 @@ describe('AdminController Unit Tests - Shopee QA Standards', () => {
                         email: 'david@admin.com',
                         phone: '+3333333333',
                         role: 'admin',
-                        permissions: ['manage-users', 'manage-restaurants', 'manage-orders']
+                        permissions: []
                     }
                 }
             });
@@ -320,7 +334,7 @@ describe('AdminController Unit Tests - Shopee QA Standards', () => {
                 lastName: 'Garcia',
                 email: 'duplicate@admin.com',
                 phone: '+5555555555',
-                password: 'SecurePass!'
+                password: 'SecurePass1!'
             };
 
             Admin.findOne.mockResolvedValue({ _id: 'other-admin-id' });
@@ -352,7 +366,7 @@ describe('AdminController Unit Tests - Shopee QA Standards', () => {
                 email: 'grace@admin.com',
                 phone: '+6666666666',
                 role: 'admin',
-                permissions: ['manage-users', 'manage-restaurants', 'manage-orders']
+                permissions: []
             });
             jwt.sign.mockReturnValue('token-grace');
 
@@ -614,9 +628,14 @@ describe('AdminController Unit Tests - Shopee QA Standards', () => {
             expect(Admin.findOne).toHaveBeenCalledWith({ email: 'admin@admin.com' });
             expect(mockAdmin.comparePassword).toHaveBeenCalledWith('CorrectPassword123!');
             expect(jwt.sign).toHaveBeenCalledWith(
-                { id: 'admin-login-id', role: 'admin' },
-                'test-secret-key',
-                { expiresIn: '7d' }
+                {
+                    sub: 'admin-login-id',
+                    role: 'admin',
+                    restaurantId: null,
+                    permissions: ['manage-users', 'manage-restaurants', 'manage-orders']
+                },
+                'test-private-key',
+                { algorithm: 'RS256', keyid: 'test-kid', expiresIn: '7d' }
             );
             expect(res.json).toHaveBeenCalledWith({
                 status: 'success',
@@ -739,9 +758,46 @@ describe('AdminController Unit Tests - Shopee QA Standards', () => {
 
             // THEN: Should call jwt.sign with correct parameters
             expect(jwt.sign).toHaveBeenCalledWith(
-                { id: 'admin-rachel-id', role: 'admin' },
-                'test-secret-key',
-                { expiresIn: '7d' }
+                {
+                    sub: 'admin-rachel-id',
+                    role: 'admin',
+                    restaurantId: null,
+                    permissions: ['manage-users', 'manage-restaurants', 'manage-orders']
+                },
+                'test-private-key',
+                { algorithm: 'RS256', keyid: 'test-kid', expiresIn: '7d' }
+            );
+        });
+
+        it('should sign super-admins with their own role and every permission', async () => {
+            // GIVEN: A super-admin stored in the admins collection
+            req.body = { email: 'root@admin.com', password: 'Password999!' };
+            const mockAdmin = {
+                _id: 'super-admin-id',
+                firstName: 'Root',
+                lastName: 'Admin',
+                email: 'root@admin.com',
+                phone: '+1818181818',
+                role: 'super-admin',
+                permissions: [],
+                comparePassword: jest.fn().mockResolvedValue(true)
+            };
+            Admin.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(mockAdmin) });
+            jwt.sign.mockReturnValue('token-root');
+
+            // WHEN: login is called
+            await adminController.login(req, res, next);
+
+            // THEN: Same claims /api/auth/token would issue for this account
+            expect(jwt.sign).toHaveBeenCalledWith(
+                {
+                    sub: 'super-admin-id',
+                    role: 'super-admin',
+                    restaurantId: null,
+                    permissions: ['manage-users', 'manage-restaurants', 'manage-orders', 'view-audit-log']
+                },
+                'test-private-key',
+                { algorithm: 'RS256', keyid: 'test-kid', expiresIn: '7d' }
             );
         });
     });
@@ -913,7 +969,7 @@ describe('AdminController Unit Tests - Shopee QA Standards', () => {
             // GIVEN: Two scenarios - non-existent email and wrong password
             req.body = {
                 email: 'test@admin.com',
-                password: 'TestPassword!'
+                password: 'TestPassword1!'
             };
 
             Admin.findOne.mockReturnValue({
@@ -1016,7 +1072,7 @@ describe('AdminController Unit Tests - Shopee QA Standards', () => {
                 email: 'wendy@admin.com',
                 phone: '+1919191919',
                 role: 'admin',
-                permissions: ['manage-users', 'manage-restaurants', 'manage-orders']
+                permissions: []
             });
 
             const jwtError = new Error('JWT secret not configured');
@@ -1056,4 +1112,79 @@ describe('AdminController Unit Tests - Shopee QA Standards', () => {
             expect(next).toHaveBeenCalledWith(compareError);
         });
     });
+
+    // ============================================================================
+    // Refresh token issued alongside the short-lived access token
+    // ============================================================================
+    describe('Refresh Tokens - register/login Issue a Rotating Refresh Token', () => {
+        it('should return a refresh token from register', async () => {
+            // GIVEN: Valid registration and a refresh token store
+            req.body = { firstName: 'Rita', lastName: 'Refresh', email: 'rita@admin.com', phone: '+1234567890', password: 'SecurePass123!' };
+            const created = { _id: 'admin-rita-id', firstName: 'Rita', lastName: 'Refresh', email: 'rita@admin.com', phone: '+1234567890', role: 'admin', permissions: [], comparePassword: jest.fn().mockResolvedValue(true) };
+            Admin.findOne.mockResolvedValue(null);
+            Admin.create.mockResolvedValue(created);
+            jwt.sign.mockReturnValue('access-token');
+            createRefreshToken.mockResolvedValue('refresh-token-abc');
+
+            // WHEN: register is called
+            await adminController.register(req, res, next);
+
+            // THEN: Should persist a refresh token for the new account and return it
+            expect(createRefreshToken).toHaveBeenCalledWith({ userId: created._id, role: 'admin' });
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                token: 'access-token',
+                refreshToken: 'refresh-token-abc'
+            }));
+        });
+
+        it('should return a refresh token from login', async () => {
+            // GIVEN: Valid credentials
+            req.body = { email: 'rita@example.com', password: 'SecurePass123!' };
+            const account = { _id: 'admin-rita-id', firstName: 'Rita', lastName: 'Refresh', email: 'rita@admin.com', phone: '+1234567890', role: 'admin', permissions: [], comparePassword: jest.fn().mockResolvedValue(true) };
+            Admin.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(account) });
+            jwt.sign.mockReturnValue('access-token');
+            createRefreshToken.mockResolvedValue('refresh-token-xyz');
+
+            // WHEN: login is called
+            await adminController.login(req, res, next);
+
+            // THEN: Should include the refresh token next to the access token
+            expect(createRefreshToken).toHaveBeenCalledWith({ userId: account._id, role: 'admin' });
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                token: 'access-token',
+                refreshToken: 'refresh-token-xyz'
+            }));
+        });
+
+        it('should not issue a refresh token when login fails', async () => {
+            // GIVEN: Unknown account
+            req.body = { email: 'nobody@example.com', password: 'whatever' };
+            Admin.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+            // WHEN: login is called
+            await adminController.login(req, res, next);
+
+            // THEN: Should reject without touching the refresh token store
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(createRefreshToken).not.toHaveBeenCalled();
+        });
+
+        it('should hand back a two-factor challenge instead of tokens when one is owed', async () => {
+            // GIVEN: Correct password for an account with TOTP enabled
+            req.body = { email: 'tara@admin.com', password: 'SecurePass123!' };
+            const account = { _id: 'admin-tara-id', firstName: 'Tara', lastName: 'Totp', email: 'tara@admin.com', phone: '+1234567890', role: 'super-admin', permissions: [], comparePassword: jest.fn().mockResolvedValue(true) };
+            Admin.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(account) });
+            const challenge = { status: 'success', twoFactorRequired: true, challengeToken: 'chal-1', expiresAt: new Date() };
+            startLoginChallenge.mockResolvedValueOnce(challenge);
+
+            // WHEN: login is called
+            await adminController.login(req, res, next);
+
+            // THEN: The client must finish at /2fa/challenge; nothing is signed yet
+            expect(startLoginChallenge).toHaveBeenCalledWith({ source: 'auth', id: 'admin-tara-id', role: 'super-admin' });
+            expect(res.json).toHaveBeenCalledWith(challenge);
+            expect(jwt.sign).not.toHaveBeenCalled();
+            expect(createRefreshToken).not.toHaveBeenCalled();
+        });
+    });
 });
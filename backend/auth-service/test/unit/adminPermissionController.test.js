@@ -0,0 +1,186 @@
+// backend/auth-service/test/unit/adminPermissionController.test.js
+jest.mock('../../utils/audit', () => ({ recordAudit: jest.fn() }));
+
+const Admin = require('../../models/Admin');
+const adminPermissionController = require('../../controllers/adminPermissionController');
+const { PERMISSION_NAMES, effectivePermissions, hasPermissions } = require('../../utils/permissions');
+const { recordAudit } = require('../../utils/audit');
+
+const ADMIN_ID = '64b0000000000000000000bb';
+
+// Real Admin documents (no database): save() runs validation only
+const buildAdmin = (fields = {}) => {
+    const admin = new Admin({
+        firstName: 'Minh',
+        lastName: 'Tran',
+        email: 'minh@admin.com',
+        phone: '0907654321',
+        password: 'hashed-password',
+        ...fields
+    });
+    jest.spyOn(admin, 'save').mockImplementation(async function () {
+        await this.validate();
+        return this;
+    });
+    return admin;
+};
+
+describe('AdminPermissionController Unit Tests - Shopee QA Standards', () => {
+    let req, res, next;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+        req = { params: {}, body: {}, user: { id: 'super-1', role: 'super-admin' } };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+        next = jest.fn();
+    });
+
+    // ============================================================================
+    // Test 1: Permission catalogue helpers
+    // ============================================================================
+    describe('Test 1: Catalogue - Effective Permissions Per Role', () => {
+        it('should give super-admins the whole catalogue whatever is stored', () => {
+            expect(effectivePermissions({ role: 'super-admin', permissions: [] })).toEqual(PERMISSION_NAMES);
+            expect(hasPermissions({ role: 'super-admin' }, ['manage-orders', 'manage-users'])).toBe(true);
+        });
+
+        it('should keep only catalogue names for plain admins', () => {
+            const account = { role: 'admin', permissions: ['manage-orders', 'system-config'] };
+
+            expect(effectivePermissions(account)).toEqual(['manage-orders']);
+            expect(hasPermissions(account, ['manage-orders'])).toBe(true);
+            expect(hasPermissions(account, ['manage-orders', 'manage-users'])).toBe(false);
+            expect(hasPermissions(undefined, ['manage-orders'])).toBe(false);
+        });
+
+        it('should list every permission with its description', () => {
+            adminPermissionController.listPermissions(req, res);
+
+            const { permissions } = res.json.mock.calls[0][0].data;
+            expect(permissions.map((p) => p.name)).toEqual(PERMISSION_NAMES);
+            permissions.forEach((p) => expect(p.description).toEqual(expect.any(String)));
+        });
+
+        it('should reject names outside the catalogue on the Admin model', async () => {
+            const admin = new Admin({ firstName: 'A', lastName: 'B', email: 'a@b.com', phone: '1', password: 'secret1', permissions: ['view-reports'] });
+
+            await expect(admin.validate()).rejects.toThrow(/permissions/);
+        });
+    });
+
+    // ============================================================================
+    // Test 2: listAdmins
+    // ============================================================================
+    describe('Test 2: listAdmins - Effective Permissions For Every Admin', () => {
+        it('should list admins oldest first with what they can actually do', async () => {
+            // GIVEN: One restricted admin and one super-admin
+            const restricted = buildAdmin({ _id: ADMIN_ID, permissions: ['manage-orders'] });
+            const owner = buildAdmin({ email: 'owner@admin.com', role: 'super-admin', permissions: [] });
+            const sort = jest.fn().mockResolvedValue([owner, restricted]);
+            jest.spyOn(Admin, 'find').mockReturnValue({ sort });
+
+            // WHEN: Listing
+            await adminPermissionController.listAdmins(req, res, next);
+
+            // THEN: Super-admin shows the whole catalogue; no password leaks
+            expect(sort).toHaveBeenCalledWith({ createdAt: 1 });
+            const body = res.json.mock.calls[0][0];
+            expect(body.results).toBe(2);
+            expect(body.data.admins[0]).toEqual(expect.objectContaining({ role: 'super-admin', permissions: PERMISSION_NAMES }));
+            expect(body.data.admins[1]).toEqual(expect.objectContaining({ email: 'minh@admin.com', permissions: ['manage-orders'] }));
+            expect(body.data.admins[1].password).toBeUndefined();
+        });
+    });
+
+    // ============================================================================
+    // Test 3: grantPermission / revokePermission
+    // ============================================================================
+    describe('Test 3: grantPermission and revokePermission - Catalogue Names Only', () => {
+        it('should grant a permission once', async () => {
+            // GIVEN: Admin limited to orders
+            const admin = buildAdmin({ _id: ADMIN_ID, permissions: ['manage-orders'] });
+            jest.spyOn(Admin, 'findById').mockResolvedValue(admin);
+            req.params = { id: ADMIN_ID };
+            req.body = { permission: 'manage-users' };
+
+            // WHEN: Granting twice
+            await adminPermissionController.grantPermission(req, res, next);
+            await adminPermissionController.grantPermission(req, res, next);
+
+            // THEN: Stored once, saved once
+            expect([...admin.permissions]).toEqual(['manage-orders', 'manage-users']);
+            expect(admin.save).toHaveBeenCalledTimes(1);
+            expect(admin.save).toHaveBeenCalledWith({ validateModifiedOnly: true });
+            expect(res.json.mock.calls[1][0].data.admin.permissions).toEqual(['manage-orders', 'manage-users']);
+            expect(recordAudit).toHaveBeenCalledTimes(1);
+            expect(recordAudit).toHaveBeenCalledWith({
+                action: 'admin.permission.grant',
+                req,
+                target: { type: 'admin', id: ADMIN_ID },
+                before: { permissions: ['manage-orders'] },
+                after: { permissions: ['manage-orders', 'manage-users'] }
+            });
+        });
+
+        it('should revoke a permission', async () => {
+            const admin = buildAdmin({ _id: ADMIN_ID });
+            jest.spyOn(Admin, 'findById').mockResolvedValue(admin);
+            req.params = { id: ADMIN_ID, permission: 'manage-restaurants' };
+
+            await adminPermissionController.revokePermission(req, res, next);
+
+            expect([...admin.permissions]).toEqual(['manage-users', 'manage-orders']);
+            expect(admin.save).toHaveBeenCalled();
+            expect(res.status).not.toHaveBeenCalled();
+            expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'admin.permission.revoke',
+                before: { permissions: ['manage-users', 'manage-restaurants', 'manage-orders'] },
+                after: { permissions: ['manage-users', 'manage-orders'] }
+            }));
+        });
+
+        it('should reject permissions outside the catalogue', async () => {
+            jest.spyOn(Admin, 'findById');
+            req.params = { id: ADMIN_ID };
+            req.body = { permission: 'system-config' };
+
+            await adminPermissionController.grantPermission(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json.mock.calls[0][0].message).toBe(
+                'Unknown permission "system-config". Use one of: manage-users, manage-restaurants, manage-orders, view-audit-log.'
+            );
+            expect(Admin.findById).not.toHaveBeenCalled();
+        });
+
+        it('should refuse to edit a super-admin', async () => {
+            const owner = buildAdmin({ _id: ADMIN_ID, role: 'super-admin' });
+            jest.spyOn(Admin, 'findById').mockResolvedValue(owner);
+            req.params = { id: ADMIN_ID, permission: 'manage-users' };
+
+            await adminPermissionController.revokePermission(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Super-admins hold every permission.' });
+            expect(owner.save).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['not-an-id', null],
+            [ADMIN_ID, null]
+        ])('should answer 404 for admin %s', async (id, found) => {
+            jest.spyOn(Admin, 'findById').mockResolvedValue(found);
+            req.params = { id };
+            req.body = { permission: 'manage-users' };
+
+            await adminPermissionController.grantPermission(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Admin not found.' });
+        });
+    });
+});
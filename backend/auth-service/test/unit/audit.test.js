@@ -0,0 +1,197 @@
+// backend/auth-service/test/unit/audit.test.js
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const AuditEvent = require('../../models/AuditEvent');
+const { REDACTED, diffChanges, recordAudit } = require('../../utils/audit');
+const { auditFailedLogins } = require('../../middlewares/audit');
+
+const ADMIN_ID = '663f1c2e9b1e8a00123456aa';
+const TARGET_ID = '663f1c2e9b1e8a0012345678';
+
+describe('Audit Log Unit Tests - Shopee QA Standards', () => {
+    let req;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+        jest.spyOn(AuditEvent, 'create').mockImplementation(async (doc) => ({ _id: 'evt-1', ...doc }));
+        req = {
+            headers: { 'user-agent': 'Mozilla/5.0 (Laptop)' },
+            ip: '10.0.0.7',
+            body: {},
+            user: { id: ADMIN_ID, role: 'admin' }
+        };
+    });
+
+    // ============================================================================
+    // Test 1: diffChanges
+    // ============================================================================
+    describe('Test 1: diffChanges - Only What Changed, Never Secrets', () => {
+        it('should list changed paths with nested fields flattened', () => {
+            // GIVEN: A restaurant whose availability and admin email changed
+            const before = { name: 'Pho Saigon', availability: true, admin: { email: 'old@pho.vn' } };
+            const after = { name: 'Pho Saigon', availability: false, admin: { email: 'new@pho.vn' } };
+
+            // WHEN: Diffing the snapshots
+            const changes = diffChanges(before, after);
+
+            // THEN: Two changes, sorted by path; the unchanged name is left out
+            expect(changes).toEqual([
+                { path: 'admin.email', before: 'old@pho.vn', after: 'new@pho.vn' },
+                { path: 'availability', before: true, after: false }
+            ]);
+        });
+
+        it('should treat a creation and a deletion as changes from and to null', () => {
+            expect(diffChanges(undefined, { status: 'approved' })).toEqual([{ path: 'status', before: null, after: 'approved' }]);
+            expect(diffChanges({ status: 'approved' }, undefined)).toEqual([{ path: 'status', before: 'approved', after: null }]);
+            expect(diffChanges(undefined, undefined)).toEqual([]);
+        });
+
+        it('should redact secrets and skip bookkeeping fields', () => {
+            // GIVEN: Documents carrying password hashes, ids and timestamps
+            const before = { _id: new mongoose.Types.ObjectId(), __v: 0, updatedAt: new Date(1), admin: { password: 'hash-1' }, refreshToken: 'a' };
+            const after = { _id: new mongoose.Types.ObjectId(), __v: 1, updatedAt: new Date(2), admin: { password: 'hash-2' }, refreshToken: 'b' };
+
+            // WHEN: Diffing
+            const changes = diffChanges(before, after);
+
+            // THEN: The change is visible but neither value is stored
+            expect(changes).toEqual([
+                { path: 'admin.password', before: REDACTED, after: REDACTED },
+                { path: 'refreshToken', before: REDACTED, after: REDACTED }
+            ]);
+        });
+
+        it('should compare arrays whole and turn ObjectIds and dates into strings', () => {
+            const id = new mongoose.Types.ObjectId();
+            const changes = diffChanges(
+                { permissions: ['manage-users'], restaurantId: null, approvedAt: null },
+                { permissions: ['manage-users', 'manage-orders'], restaurantId: id, approvedAt: new Date('2026-10-19T08:00:00Z') }
+            );
+
+            expect(changes).toEqual([
+                { path: 'approvedAt', before: null, after: '2026-10-19T08:00:00.000Z' },
+                { path: 'permissions', before: ['manage-users'], after: ['manage-users', 'manage-orders'] },
+                { path: 'restaurantId', before: null, after: id.toHexString() }
+            ]);
+        });
+    });
+
+    // ============================================================================
+    // Test 2: recordAudit
+    // ============================================================================
+    describe('Test 2: recordAudit - Actor, Device and Diff From the Request', () => {
+        it('should record the signed-in admin, their device and the diff', async () => {
+            // WHEN: An admin suspends a customer
+            await recordAudit({
+                action: 'user.suspend',
+                req,
+                target: { type: 'customer', id: TARGET_ID },
+                before: { suspended: false },
+                after: { suspended: true },
+                details: { reason: 'Chargeback fraud' }
+            });
+
+            // THEN: One event with everything filled in
+            expect(AuditEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+                service: 'auth-service',
+                action: 'user.suspend',
+                outcome: 'success',
+                actor: { id: ADMIN_ID, role: 'admin' },
+                target: { type: 'customer', id: TARGET_ID },
+                ip: '10.0.0.7',
+                userAgent: 'Mozilla/5.0 (Laptop)',
+                changes: [{ path: 'suspended', before: false, after: true }],
+                details: { reason: 'Chargeback fraud' }
+            }));
+            expect(AuditEvent.create.mock.calls[0][0].at).toBeInstanceOf(Date);
+        });
+
+        it('should let an explicit actor override the request and redact secret details', async () => {
+            await recordAudit({
+                action: 'auth.login',
+                outcome: 'failure',
+                req: { ...req, user: undefined },
+                actor: { email: 'lan@pho.vn' },
+                details: { endpoint: 'customer', password: 'hunter2' }
+            });
+
+            const event = AuditEvent.create.mock.calls[0][0];
+            expect(event.actor).toEqual({ email: 'lan@pho.vn' });
+            expect(event.details).toEqual({ endpoint: 'customer', password: REDACTED });
+        });
+
+        it('should never throw when the write fails', async () => {
+            // GIVEN: The database refusing the insert
+            AuditEvent.create.mockRejectedValue(new Error('not primary'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            // WHEN/THEN: The caller just gets null
+            await expect(recordAudit({ action: 'user.suspend', req })).resolves.toBeNull();
+            expect(console.error).toHaveBeenCalledWith('❌ Could not record audit event user.suspend:', 'not primary');
+        });
+    });
+
+    // ============================================================================
+    // Test 3: AuditEvent model
+    // ============================================================================
+    describe('Test 3: AuditEvent - Append-Only Collection', () => {
+        it('should refuse updates and deletes through queries', async () => {
+            // WHEN/THEN: Every rewrite path is stopped before reaching the database
+            await expect(AuditEvent.updateOne({}, { action: 'x' })).rejects.toThrow('Audit events are append-only.');
+            await expect(AuditEvent.findOneAndUpdate({}, { action: 'x' })).rejects.toThrow('Audit events are append-only.');
+            await expect(AuditEvent.replaceOne({}, { action: 'x' })).rejects.toThrow('Audit events are append-only.');
+            await expect(AuditEvent.deleteMany({})).rejects.toThrow('Audit events are append-only.');
+            await expect(AuditEvent.findOneAndDelete({})).rejects.toThrow('Audit events are append-only.');
+        });
+
+        it('should refuse saving an event that already exists', async () => {
+            const event = AuditEvent.hydrate({ _id: new mongoose.Types.ObjectId(), service: 'auth-service', action: 'auth.login' });
+            event.action = 'auth.logout';
+
+            await expect(event.save()).rejects.toThrow('Audit events are append-only.');
+            await expect(event.deleteOne()).rejects.toThrow('Audit events are append-only.');
+        });
+
+        it('should require the service and action and only accept known outcomes', () => {
+            const error = new AuditEvent({ outcome: 'maybe' }).validateSync();
+
+            expect(Object.keys(error.errors).sort()).toEqual(['action', 'outcome', 'service']);
+        });
+    });
+
+    // ============================================================================
+    // Test 4: auditFailedLogins
+    // ============================================================================
+    describe('Test 4: auditFailedLogins - Refused Sign-Ins Only', () => {
+        const finish = (statusCode) => {
+            const res = new EventEmitter();
+            const next = jest.fn();
+            const loginReq = { headers: { 'user-agent': 'curl/8' }, ip: '203.0.113.5', body: { email: ' Lan@Pho.VN ', password: 'x' } };
+            auditFailedLogins('customer')(loginReq, res, next);
+            res.statusCode = statusCode;
+            res.emit('finish');
+            return next;
+        };
+
+        it.each([401, 403, 429])('should record a failed login on %s', (statusCode) => {
+            const next = finish(statusCode);
+
+            expect(next).toHaveBeenCalledTimes(1);
+            expect(AuditEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'auth.login',
+                outcome: 'failure',
+                actor: { email: 'lan@pho.vn' },
+                ip: '203.0.113.5',
+                details: { endpoint: 'customer', statusCode }
+            }));
+        });
+
+        it.each([200, 400, 500])('should leave %s answers alone', (statusCode) => {
+            finish(statusCode);
+
+            expect(AuditEvent.create).not.toHaveBeenCalled();
+        });
+    });
+});
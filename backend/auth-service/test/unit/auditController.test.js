@@ -0,0 +1,242 @@
+// backend/auth-service/test/unit/auditController.test.js
+jest.mock('../../utils/audit', () => ({ recordAudit: jest.fn() }));
+
+const AuditEvent = require('../../models/AuditEvent');
+const { recordAudit } = require('../../utils/audit');
+const {
+    listAuditEvents,
+    exportAuditEvents,
+    ingestAuditEvent
+} = require('../../controllers/auditController');
+
+const ADMIN_ID = '663f1c2e9b1e8a00123456aa';
+
+const makeEvent = (fields = {}) => ({
+    _id: '663f1c2e9b1e8a00123456e1',
+    at: new Date('2026-10-19T08:30:00Z'),
+    service: 'restaurant-service',
+    action: 'restaurant.update',
+    outcome: 'success',
+    actor: { id: ADMIN_ID, role: 'admin' },
+    target: { type: 'restaurant', id: 'r1' },
+    ip: '10.0.0.7',
+    userAgent: 'Mozilla/5.0',
+    changes: [{ path: 'availability', before: true, after: false }],
+    ...fields
+});
+
+// find().sort().skip().limit().lean() resolving to `events`
+const mockFind = (events) => {
+    const query = {};
+    ['sort', 'skip', 'limit'].forEach((step) => { query[step] = jest.fn().mockReturnValue(query); });
+    query.lean = jest.fn().mockResolvedValue(events);
+    jest.spyOn(AuditEvent, 'find').mockReturnValue(query);
+    return query;
+};
+
+describe('AuditController Unit Tests - Shopee QA Standards', () => {
+    let req, res;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+        delete process.env.AUDIT_EXPORT_MAX_ROWS;
+        req = { query: {}, body: {}, headers: {}, user: { id: ADMIN_ID, role: 'admin' } };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis(),
+            set: jest.fn().mockReturnThis(),
+            send: jest.fn().mockReturnThis()
+        };
+    });
+
+    // ============================================================================
+    // Test 1: listAuditEvents
+    // ============================================================================
+    describe('Test 1: listAuditEvents - Filters and Paging', () => {
+        it('should build the filter from every query parameter and page newest first', async () => {
+            // GIVEN: 120 failed customer logins in October
+            req.query = {
+                action: 'auth.login',
+                service: 'auth-service',
+                outcome: 'failure',
+                actorEmail: ' Lan@Pho.VN ',
+                targetType: 'customer',
+                targetId: 'c1',
+                actorId: 'c1',
+                from: '2026-10-01',
+                to: '2026-10-31',
+                page: '2',
+                limit: '50'
+            };
+            const query = mockFind([makeEvent({ action: 'auth.login' })]);
+            jest.spyOn(AuditEvent, 'countDocuments').mockResolvedValue(120);
+
+            // WHEN: Searching
+            await listAuditEvents(req, res, jest.fn());
+
+            // THEN: Date-only "to" covers the whole day; paging like the user search
+            expect(AuditEvent.find).toHaveBeenCalledWith({
+                action: 'auth.login',
+                service: 'auth-service',
+                outcome: 'failure',
+                'actor.id': 'c1',
+                'actor.email': 'lan@pho.vn',
+                'target.type': 'customer',
+                'target.id': 'c1',
+                at: { $gte: new Date('2026-10-01T00:00:00Z'), $lt: new Date('2026-11-01T00:00:00Z') }
+            });
+            expect(query.sort).toHaveBeenCalledWith({ at: -1, _id: -1 });
+            expect(query.skip).toHaveBeenCalledWith(50);
+            expect(query.limit).toHaveBeenCalledWith(50);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                status: 'success',
+                results: 1,
+                page: 2,
+                limit: 50,
+                total: 120,
+                totalPages: 3
+            }));
+            expect(res.json.mock.calls[0][0].data.events[0]).toEqual(expect.objectContaining({
+                action: 'auth.login',
+                actor: { id: ADMIN_ID, role: 'admin' },
+                details: null
+            }));
+        });
+
+        it('should match a whole action family with a trailing .*', async () => {
+            req.query = { action: 'restaurant-admin.*' };
+            mockFind([]);
+            jest.spyOn(AuditEvent, 'countDocuments').mockResolvedValue(0);
+
+            await listAuditEvents(req, res, jest.fn());
+
+            const { action } = AuditEvent.find.mock.calls[0][0];
+            expect(action).toBeInstanceOf(RegExp);
+            expect(action.test('restaurant-admin.approve')).toBe(true);
+            expect(action.test('restaurant-adminXapprove')).toBe(false);
+        });
+
+        it.each([
+            [{ outcome: 'maybe' }, 'outcome must be one of: success, failure.'],
+            [{ from: 'yesterday' }, 'Invalid date "yesterday"; use YYYY-MM-DD or an ISO timestamp.']
+        ])('should answer 400 for %j', async (query, message) => {
+            req.query = query;
+            jest.spyOn(AuditEvent, 'find');
+
+            await listAuditEvents(req, res, jest.fn());
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message });
+            expect(AuditEvent.find).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 2: exportAuditEvents
+    // ============================================================================
+    describe('Test 2: exportAuditEvents - CSV Download', () => {
+        it('should send an attachment with one escaped row per event', async () => {
+            // GIVEN: An event whose user agent needs quoting and a value a spreadsheet would run
+            mockFind([makeEvent({ userAgent: 'Mozilla/5.0 (X11, "Linux")', details: { note: '=HYPERLINK("x")' } })]);
+
+            // WHEN: Exporting
+            await exportAuditEvents(req, res, jest.fn());
+
+            // THEN: CSV headers and a quoted, defused row
+            expect(res.set).toHaveBeenCalledWith('Content-Type', 'text/csv; charset=utf-8');
+            expect(res.set).toHaveBeenCalledWith('Content-Disposition', expect.stringMatching(/^attachment; filename="audit-\d{4}-\d{2}-\d{2}\.csv"$/));
+            expect(res.set).toHaveBeenCalledWith('X-Export-Truncated', 'false');
+            const [header, row, end] = res.send.mock.calls[0][0].split('\r\n');
+            expect(header).toBe('at,service,action,outcome,actor_id,actor_role,actor_email,target_type,target_id,ip,user_agent,changes,details');
+            expect(row).toContain('2026-10-19T08:30:00.000Z,restaurant-service,restaurant.update,success,');
+            expect(row).toContain('"Mozilla/5.0 (X11, ""Linux"")"');
+            expect(row).toContain('"[{""path"":""availability"",""before"":true,""after"":false}]"');
+            expect(end).toBe('');
+        });
+
+        it('should cap the rows and record the export itself', async () => {
+            process.env.AUDIT_EXPORT_MAX_ROWS = '2';
+            const query = mockFind([makeEvent(), makeEvent(), makeEvent()]);
+            req.query = { service: 'restaurant-service' };
+
+            await exportAuditEvents(req, res, jest.fn());
+
+            expect(query.limit).toHaveBeenCalledWith(3);
+            expect(res.set).toHaveBeenCalledWith('X-Export-Truncated', 'true');
+            expect(res.send.mock.calls[0][0].trim().split('\r\n')).toHaveLength(3);
+            expect(recordAudit).toHaveBeenCalledWith({
+                action: 'audit.export',
+                req,
+                details: { filters: { service: 'restaurant-service' }, rows: 2 }
+            });
+        });
+    });
+
+    // ============================================================================
+    // Test 3: ingestAuditEvent
+    // ============================================================================
+    describe('Test 3: ingestAuditEvent - Events From Other Services', () => {
+        beforeEach(() => {
+            req = { serviceClient: 'restaurant-service', headers: {}, body: {} };
+            recordAudit.mockResolvedValue({ _id: 'evt-1' });
+        });
+
+        it('should record the event under the calling service, whatever the body claims', async () => {
+            // GIVEN: restaurant-service reporting an edit, claiming to be auth-service
+            req.body = {
+                service: 'auth-service',
+                action: 'restaurant.update',
+                actor: { id: ADMIN_ID, role: 'admin', extra: 'dropped' },
+                target: { type: 'restaurant', id: 'r1' },
+                before: { availability: true },
+                after: { availability: false },
+                at: '2026-10-19T08:30:00.000Z',
+                client: { ip: '10.0.0.7', userAgent: 'Mozilla/5.0' }
+            };
+
+            // WHEN: Ingesting
+            await ingestAuditEvent(req, res);
+
+            // THEN: Service taken from the credentials; device read from req by recordAudit
+            expect(recordAudit).toHaveBeenCalledWith({
+                action: 'restaurant.update',
+                outcome: 'success',
+                req,
+                service: 'restaurant-service',
+                actor: { id: ADMIN_ID, role: 'admin' },
+                target: { type: 'restaurant', id: 'r1' },
+                before: { availability: true },
+                after: { availability: false },
+                details: undefined,
+                at: new Date('2026-10-19T08:30:00.000Z')
+            });
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith({ status: 'success', data: { id: 'evt-1' } });
+        });
+
+        it.each([
+            [{}, 'action must be a dotted name such as restaurant.update.'],
+            [{ action: 'drop table;' }, 'action must be a dotted name such as restaurant.update.'],
+            [{ action: 'auth.login', outcome: 'maybe' }, 'outcome must be one of: success, failure.'],
+            [{ action: 'auth.login', at: 'soon' }, 'at must be an ISO timestamp.']
+        ])('should answer 400 for %j', async (body, message) => {
+            req.body = body;
+
+            await ingestAuditEvent(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message });
+            expect(recordAudit).not.toHaveBeenCalled();
+        });
+
+        it('should answer 503 when the event could not be stored', async () => {
+            recordAudit.mockResolvedValue(null);
+            req.body = { action: 'order.status.update' };
+
+            await ingestAuditEvent(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(503);
+        });
+    });
+});
@@ -8,6 +8,71 @@ const mockLogin = jest.fn();
 const mockGetProfile = jest.fn();
 const mockUpdateProfile = jest.fn();
 const mockProtect = jest.fn();
+const mockProtectAdmin = jest.fn();
+const mockProtectDelivery = jest.fn();
+const mockProtectRestaurantAdmin = jest.fn();
+const mockLimitedEndpoints = [];
+const mockLoginGuard = jest.fn((req, res, next) => next());
+const mockSentEndpoints = [];
+const mockSendGuard = jest.fn((req, res, next) => next());
+const mockAuditedEndpoints = [];
+const mockAuditController = {
+    listAuditEvents: jest.fn(),
+    exportAuditEvents: jest.fn(),
+    ingestAuditEvent: jest.fn()
+};
+const mockOidcController = {
+    listProviders: jest.fn(),
+    startLogin: jest.fn(),
+    callback: jest.fn(),
+    exchangeCode: jest.fn()
+};
+const mockPhoneLoginController = {
+    requestOtp: jest.fn(),
+    verifyOtp: jest.fn()
+};
+const mockDriverDocumentController = {
+    getMyDocuments: jest.fn(),
+    uploadDocument: jest.fn(),
+    getReviewQueue: jest.fn(),
+    getDocumentFile: jest.fn(),
+    reviewDocument: jest.fn()
+};
+const mockAdminController = {
+    register: jest.fn(),
+    login: jest.fn(),
+    getMe: jest.fn(),
+    updateMe: jest.fn()
+};
+const mockDeliveryController = {
+    register: jest.fn(),
+    login: jest.fn(),
+    getMe: jest.fn(),
+    updateMe: jest.fn(),
+    updateLocation: jest.fn(),
+    heartbeat: jest.fn(),
+    getAvailability: jest.fn(),
+    setAvailability: jest.fn(),
+    listShifts: jest.fn(),
+    createShift: jest.fn(),
+    deleteShift: jest.fn(),
+    getRoster: jest.fn(),
+    findNearbyDrivers: jest.fn()
+};
+const mockRestaurantAdminController = {
+    register: jest.fn(),
+    login: jest.fn(),
+    getMe: jest.fn(),
+    updateMe: jest.fn(),
+    approveRestaurantAdmin: jest.fn(),
+    getPendingRestaurantAdmins: jest.fn(),
+    getMyApplication: jest.fn(),
+    resubmitApplication: jest.fn(),
+    getApplication: jest.fn(),
+    startReview: jest.fn(),
+    rejectRestaurantAdmin: jest.fn(),
+    requestMoreInfo: jest.fn()
+};
 
 // Mock dependencies BEFORE importing routes
 jest.mock('../../controllers/customerController', () => ({
@@ -17,8 +82,139 @@ jest.mock('../../controllers/customerController', () => ({
     updateProfile: mockUpdateProfile
 }));
 
+const mockTokenController = {
+    issueToken: jest.fn(),
+    refresh: jest.fn(),
+    logout: jest.fn(),
+    introspect: jest.fn()
+};
+const mockAddressController = {
+    listAddresses: jest.fn(),
+    createAddress: jest.fn(),
+    updateAddress: jest.fn(),
+    deleteAddress: jest.fn()
+};
+const mockFavoriteController = {
+    listFavorites: jest.fn(),
+    addFavorite: jest.fn(),
+    removeFavorite: jest.fn()
+};
+const mockPrivacyController = {
+    exportData: jest.fn(),
+    deleteAccount: jest.fn()
+};
+const mockUserManagementController = {
+    searchUsers: jest.fn(),
+    getUser: jest.fn(),
+    suspendUser: jest.fn(),
+    reinstateUser: jest.fn(),
+    listUserSessions: jest.fn(),
+    revokeUserSession: jest.fn(),
+    revokeUserSessions: jest.fn()
+};
+const mockSessionController = {
+    listMySessions: jest.fn(),
+    revokeMySession: jest.fn(),
+    revokeOtherSessions: jest.fn()
+};
+const mockAdminPermissionController = {
+    listPermissions: jest.fn(),
+    listAdmins: jest.fn(),
+    grantPermission: jest.fn(),
+    revokePermission: jest.fn()
+};
+const mockTwoFactorController = {
+    getStatus: jest.fn(),
+    startEnrollment: jest.fn(),
+    confirmEnrollment: jest.fn(),
+    regenerateRecoveryCodes: jest.fn(),
+    disable: jest.fn(),
+    verifyChallenge: jest.fn(),
+    startChallengeEnrollment: jest.fn(),
+    confirmChallengeEnrollment: jest.fn(),
+    getPolicies: jest.fn(),
+    updatePolicy: jest.fn()
+};
+const mockProtectAccount = jest.fn((roles, req, res, next) => next());
+const mockRequiredPermissions = [];
+// Guards record what they were built with, so each route's check is visible
+const mockPermissionGuard = jest.fn((permissions, req, res, next) => next());
+const mockRoleGuard = jest.fn((roles, req, res, next) => next());
+const mockProtectServiceClient = jest.fn((req, res, next) => next());
+const mockIdentifyServiceClient = jest.fn((req, res, next) => next());
+const mockPasswordResetController = {
+    forgotPassword: jest.fn(),
+    resetPassword: jest.fn(),
+    getPasswordPolicy: jest.fn(),
+    checkPassword: jest.fn()
+};
+const mockEmailVerificationController = {
+    verifyEmail: jest.fn(),
+    resendVerification: jest.fn()
+};
+const mockCredentialsController = {
+    changePassword: jest.fn(),
+    requestEmailChange: jest.fn(),
+    confirmEmailChange: jest.fn()
+};
+
+jest.mock('../../controllers/adminController', () => mockAdminController);
+jest.mock('../../controllers/customerAddressController', () => mockAddressController);
+jest.mock('../../controllers/customerFavoriteController', () => mockFavoriteController);
+jest.mock('../../controllers/customerPrivacyController', () => mockPrivacyController);
+jest.mock('../../controllers/userManagementController', () => mockUserManagementController);
+jest.mock('../../controllers/adminPermissionController', () => mockAdminPermissionController);
+jest.mock('../../controllers/twoFactorController', () => mockTwoFactorController);
+jest.mock('../../controllers/sessionController', () => mockSessionController);
+jest.mock('../../controllers/tokenController', () => mockTokenController);
+jest.mock('../../controllers/passwordResetController', () => mockPasswordResetController);
+jest.mock('../../controllers/emailVerificationController', () => mockEmailVerificationController);
+jest.mock('../../controllers/accountCredentialsController', () => mockCredentialsController);
+jest.mock('../../controllers/deliveryPersonnelController', () => mockDeliveryController);
+jest.mock('../../controllers/restaurantAdminController', () => mockRestaurantAdminController);
+jest.mock('../../controllers/auditController', () => mockAuditController);
+jest.mock('../../controllers/oidcController', () => mockOidcController);
+jest.mock('../../controllers/phoneLoginController', () => mockPhoneLoginController);
+jest.mock('../../controllers/driverDocumentController', () => mockDriverDocumentController);
+
 jest.mock('../../middlewares/auth', () => ({
-    protect: mockProtect
+    protect: mockProtect,
+    protectAdmin: mockProtectAdmin,
+    protectDelivery: mockProtectDelivery,
+    protectRestaurantAdmin: mockProtectRestaurantAdmin,
+    protectAccount: (roles) => (req, res, next) => mockProtectAccount(roles, req, res, next),
+    requirePermission: (...permissions) => {
+        mockRequiredPermissions.push(...permissions);
+        return (req, res, next) => mockPermissionGuard(permissions, req, res, next);
+    },
+    requireRole: (...roles) => (req, res, next) => mockRoleGuard(roles, req, res, next)
+}));
+
+jest.mock('../../middlewares/serviceClient', () => ({
+    protectServiceClient: mockProtectServiceClient,
+    identifyServiceClient: mockIdentifyServiceClient
+}));
+
+jest.mock('../../middlewares/audit', () => ({
+    auditFailedLogins: (endpoint) => {
+        mockAuditedEndpoints.push(endpoint);
+        return (req, res, next) => next();
+    }
+}));
+
+jest.mock('../../middlewares/driverDocumentUpload', () => ({
+    uploadDriverDocument: (req, res, next) => next()
+}));
+
+jest.mock('../../middlewares/loginLimiter', () => ({
+    loginLimiter: (endpoint) => {
+        mockLimitedEndpoints.push(endpoint);
+        return mockLoginGuard;
+    },
+    sendLimiter: (endpoint) => {
+        mockSentEndpoints.push(endpoint);
+        return mockSendGuard;
+    }
 }));
 
 // NOW import routes with mocked dependencies
@@ -60,6 +256,46 @@ describe('AuthRoutes Unit Tests - Shopee QA Standards', () => {
             req.userRole = 'customer';
             return next();
         });
+
+        // Role-specific groups: every handler echoes which controller ran
+        const echo = (name) => (req, res) => res.status(200).json({ handler: name, user: req.user });
+        [
+            ['admin', mockAdminController],
+            ['delivery', mockDeliveryController],
+            ['restaurant-admin', mockRestaurantAdminController],
+            ['token', mockTokenController],
+            ['address', mockAddressController],
+            ['favorites', mockFavoriteController],
+            ['privacy', mockPrivacyController],
+            ['users', mockUserManagementController],
+            ['permissions', mockAdminPermissionController],
+            ['2fa', mockTwoFactorController],
+            ['sessions', mockSessionController],
+            ['password', mockPasswordResetController],
+            ['verification', mockEmailVerificationController],
+            ['credentials', mockCredentialsController],
+            ['audit', mockAuditController],
+            ['oidc', mockOidcController],
+            ['otp', mockPhoneLoginController],
+            ['documents', mockDriverDocumentController]
+        ].forEach(([group, controller]) => {
+            Object.keys(controller).forEach((key) => {
+                controller[key].mockImplementation(echo(`${group}.${key}`));
+            });
+        });
+
+        mockProtectAdmin.mockImplementation((req, res, next) => {
+            req.user = { id: 'mock-admin-id', role: 'admin' };
+            return next();
+        });
+        mockProtectDelivery.mockImplementation((req, res, next) => {
+            req.user = { id: 'mock-delivery-id', role: 'delivery' };
+            return next();
+        });
+        mockProtectRestaurantAdmin.mockImplementation((req, res, next) => {
+            req.user = { id: 'mock-restaurant-admin-id', role: 'restaurant-admin' };
+            return next();
+        });
     });
 
     // ============================================================================
@@ -1104,4 +1340,371 @@ describe('AuthRoutes Unit Tests - Shopee QA Standards', () => {
             expect(response.body.customData).toBe(customHeader);
         });
     });
+
+    // ============================================================================
+    // Test 6: Admin, delivery and restaurant-admin routes are mounted
+    // ============================================================================
+    describe('Test 6: Role-Specific Routes - Validates Admin, Delivery and Restaurant-Admin Flows Are Reachable', () => {
+        it.each([
+            ['post', '/api/auth/register/admin', 'admin.register'],
+            ['post', '/api/auth/login/admin', 'admin.login'],
+            ['post', '/api/auth/register/delivery', 'delivery.register'],
+            ['post', '/api/auth/login/delivery', 'delivery.login'],
+            ['post', '/api/auth/register/restaurant-admin', 'restaurant-admin.register'],
+            ['post', '/api/auth/login/restaurant-admin', 'restaurant-admin.login'],
+            ['post', '/api/auth/token', 'token.issueToken'],
+            ['post', '/api/auth/refresh', 'token.refresh'],
+            ['post', '/api/auth/logout', 'token.logout'],
+            ['post', '/api/auth/forgot-password', 'password.forgotPassword'],
+            ['post', '/api/auth/reset-password', 'password.resetPassword'],
+            ['get', '/api/auth/password-policy', 'password.getPasswordPolicy'],
+            ['post', '/api/auth/verify-email', 'verification.verifyEmail'],
+            ['post', '/api/auth/verify-email/resend', 'verification.resendVerification'],
+            ['post', '/api/auth/confirm-email-change', 'credentials.confirmEmailChange'],
+            ['post', '/api/auth/2fa/challenge', '2fa.verifyChallenge'],
+            ['post', '/api/auth/2fa/challenge/enroll', '2fa.startChallengeEnrollment'],
+            ['post', '/api/auth/2fa/challenge/enroll/verify', '2fa.confirmChallengeEnrollment'],
+            ['get', '/api/auth/oidc/providers', 'oidc.listProviders'],
+            ['get', '/api/auth/oidc/google/start', 'oidc.startLogin'],
+            ['get', '/api/auth/oidc/google/callback', 'oidc.callback'],
+            ['post', '/api/auth/oidc/exchange', 'oidc.exchangeCode'],
+            ['post', '/api/auth/otp/request', 'otp.requestOtp'],
+            ['post', '/api/auth/otp/verify', 'otp.verifyOtp']
+        ])('should route public %s %s without any protect middleware', async (method, url, handler) => {
+            // WHEN: Public register/login endpoint is called
+            const response = await request(app)[method](url).send({}).expect(200);
+
+            // THEN: Should reach the controller directly
+            expect(response.body.handler).toBe(handler);
+            expect(mockProtect).not.toHaveBeenCalled();
+            expect(mockProtectAdmin).not.toHaveBeenCalled();
+            expect(mockProtectDelivery).not.toHaveBeenCalled();
+            expect(mockProtectRestaurantAdmin).not.toHaveBeenCalled();
+            expect(mockProtectAccount).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['get', '/api/auth/admin/me', 'admin.getMe', mockProtectAdmin],
+            ['patch', '/api/auth/admin/me', 'admin.updateMe', mockProtectAdmin],
+            ['get', '/api/auth/delivery/me', 'delivery.getMe', mockProtectDelivery],
+            ['patch', '/api/auth/delivery/me', 'delivery.updateMe', mockProtectDelivery],
+            ['patch', '/api/auth/delivery/location', 'delivery.updateLocation', mockProtectDelivery],
+            ['post', '/api/auth/delivery/heartbeat', 'delivery.heartbeat', mockProtectDelivery],
+            ['get', '/api/auth/delivery/me/availability', 'delivery.getAvailability', mockProtectDelivery],
+            ['put', '/api/auth/delivery/me/availability', 'delivery.setAvailability', mockProtectDelivery],
+            ['get', '/api/auth/delivery/me/shifts', 'delivery.listShifts', mockProtectDelivery],
+            ['post', '/api/auth/delivery/me/shifts', 'delivery.createShift', mockProtectDelivery],
+            ['delete', '/api/auth/delivery/me/shifts/663f1c2e9b1e8a0012345678', 'delivery.deleteShift', mockProtectDelivery],
+            ['get', '/api/auth/delivery/me/documents', 'documents.getMyDocuments', mockProtectDelivery],
+            ['put', '/api/auth/delivery/me/documents/license', 'documents.uploadDocument', mockProtectDelivery],
+            ['get', '/api/auth/restaurant-admin/me', 'restaurant-admin.getMe', mockProtectRestaurantAdmin],
+            ['patch', '/api/auth/restaurant-admin/me', 'restaurant-admin.updateMe', mockProtectRestaurantAdmin],
+            ['patch', '/api/auth/admin/me/password', 'credentials.changePassword', mockProtectAdmin],
+            ['post', '/api/auth/admin/me/email', 'credentials.requestEmailChange', mockProtectAdmin],
+            ['patch', '/api/auth/delivery/me/password', 'credentials.changePassword', mockProtectDelivery],
+            ['post', '/api/auth/delivery/me/email', 'credentials.requestEmailChange', mockProtectDelivery],
+            ['patch', '/api/auth/restaurant-admin/me/password', 'credentials.changePassword', mockProtectRestaurantAdmin],
+            ['post', '/api/auth/restaurant-admin/me/email', 'credentials.requestEmailChange', mockProtectRestaurantAdmin],
+            ['get', '/api/auth/restaurant-admin/me/application', 'restaurant-admin.getMyApplication', mockProtectRestaurantAdmin],
+            ['put', '/api/auth/restaurant-admin/me/application', 'restaurant-admin.resubmitApplication', mockProtectRestaurantAdmin],
+            ['get', '/api/auth/restaurant-admin/pending', 'restaurant-admin.getPendingRestaurantAdmins', mockProtectAdmin],
+            ['patch', '/api/auth/restaurant-admin/abc123/approve', 'restaurant-admin.approveRestaurantAdmin', mockProtectAdmin]
+        ])('should guard %s %s with its role-specific protect', async (method, url, handler, guard) => {
+            // WHEN: Protected endpoint is called
+            const response = await request(app)[method](url).send({}).expect(200);
+
+            // THEN: Should run the matching protect variant and expose req.user
+            expect(guard).toHaveBeenCalledTimes(1);
+            expect(mockProtect).not.toHaveBeenCalled();
+            expect(response.body.handler).toBe(handler);
+            expect(response.body.user).toEqual(expect.objectContaining({ id: expect.any(String) }));
+        });
+
+        it.each([
+            ['patch', '/api/auth/customer/password', 'credentials.changePassword'],
+            ['post', '/api/auth/customer/email', 'credentials.requestEmailChange']
+        ])('should guard customer %s %s with protect', async (method, url, handler) => {
+            const response = await request(app)[method](url).send({}).expect(200);
+
+            expect(mockProtect).toHaveBeenCalledTimes(1);
+            expect(response.body.handler).toBe(handler);
+        });
+
+        it.each([
+            ['/api/auth/login', 'customer'],
+            ['/api/auth/login/admin', 'admin'],
+            ['/api/auth/login/delivery', 'delivery'],
+            ['/api/auth/login/restaurant-admin', 'restaurant-admin'],
+            ['/api/auth/token', 'token'],
+            ['/api/auth/otp/verify', 'otp']
+        ])('should run the brute-force limiter before %s', async (url, endpoint) => {
+            // WHEN: Login endpoint is called
+            await request(app).post(url).send({ email: 'a@b.com', password: 'x' }).expect(200);
+
+            // THEN: Limiter built for that endpoint should have run first
+            expect(mockLimitedEndpoints).toContain(endpoint);
+            expect(mockLoginGuard).toHaveBeenCalledTimes(1);
+        });
+
+        it('should cap code requests per IP before /api/auth/otp/request', async () => {
+            // WHEN: A code is requested
+            await request(app).post('/api/auth/otp/request').send({ phone: '0901234567' }).expect(200);
+
+            // THEN: The send limiter (not the failure-counting one) ran first
+            expect(mockSentEndpoints).toEqual(['otp']);
+            expect(mockSendGuard).toHaveBeenCalledTimes(1);
+            expect(mockLoginGuard).not.toHaveBeenCalled();
+        });
+
+        it('should audit failed attempts on every login endpoint', () => {
+            // THEN: Each login route (and the 2FA step) was built with the failed-login recorder
+            expect(mockAuditedEndpoints).toEqual(
+                expect.arrayContaining(['customer', 'token', 'admin', 'delivery', 'restaurant-admin', '2fa', 'oidc', 'otp'])
+            );
+        });
+
+        it('should not rate-limit registration routes', async () => {
+            // WHEN: Registration endpoint is called
+            await request(app).post('/api/auth/register/admin').send({}).expect(200);
+
+            // THEN: Limiter should not be involved
+            expect(mockLoginGuard).not.toHaveBeenCalled();
+        });
+
+        it('should pass the :id param to approveRestaurantAdmin', async () => {
+            // GIVEN: Approval handler reading req.params.id
+            mockRestaurantAdminController.approveRestaurantAdmin.mockImplementation((req, res) => {
+                return res.status(200).json({ id: req.params.id });
+            });
+
+            // WHEN: Approval route is called
+            const response = await request(app)
+                .patch('/api/auth/restaurant-admin/663f1c2e9b1e8a0012345678/approve')
+                .expect(200);
+
+            // THEN: Should forward route param
+            expect(response.body.id).toBe('663f1c2e9b1e8a0012345678');
+        });
+
+        it('should block admin-only routes when protectAdmin rejects', async () => {
+            // GIVEN: protectAdmin rejecting a non-admin token
+            mockProtectAdmin.mockImplementation((req, res) => {
+                return res.status(403).json({ message: 'You do not have permission to perform this action.' });
+            });
+
+            // WHEN: Pending list is requested
+            await request(app)
+                .get('/api/auth/restaurant-admin/pending')
+                .expect(403);
+
+            // THEN: Should never reach controller
+            expect(mockRestaurantAdminController.getPendingRestaurantAdmins).not.toHaveBeenCalled();
+        });
+    
+        it('should guard introspection with service client credentials', async () => {
+            // GIVEN: Service client check rejecting the caller
+            mockProtectServiceClient.mockImplementationOnce((req, res) => {
+                return res.status(401).json({ message: 'Invalid service client credentials.' });
+            });
+
+            // WHEN: Introspection is requested without valid credentials
+            await request(app).post('/api/auth/introspect').send({ token: 'x' }).expect(401);
+
+            // THEN: Controller should not run; with credentials it does
+            expect(mockTokenController.introspect).not.toHaveBeenCalled();
+            const response = await request(app).post('/api/auth/introspect').send({ token: 'x' }).expect(200);
+            expect(response.body.handler).toBe('token.introspect');
+        });
+
+        it('should only let service clients search for nearby drivers', async () => {
+            mockProtectServiceClient.mockImplementationOnce((req, res) => {
+                return res.status(401).json({ message: 'Service client credentials are required.' });
+            });
+
+            await request(app).get('/api/auth/internal/drivers/nearby?lng=106.7&lat=10.77').expect(401);
+
+            expect(mockDeliveryController.findNearbyDrivers).not.toHaveBeenCalled();
+            const response = await request(app).get('/api/auth/internal/drivers/nearby?lng=106.7&lat=10.77').expect(200);
+            expect(response.body.handler).toBe('delivery.findNearbyDrivers');
+            expect(mockProtectDelivery).not.toHaveBeenCalled();
+        });
+    
+        it.each([
+            ['get', '/api/auth/customer/addresses', 'address.listAddresses'],
+            ['post', '/api/auth/customer/addresses', 'address.createAddress'],
+            ['patch', '/api/auth/customer/addresses/663f1c2e9b1e8a0012345678', 'address.updateAddress'],
+            ['delete', '/api/auth/customer/addresses/663f1c2e9b1e8a0012345678', 'address.deleteAddress'],
+            ['get', '/api/auth/customer/favorites', 'favorites.listFavorites'],
+            ['put', '/api/auth/customer/favorites/food-item/663f1c2e9b1e8a0012345678', 'favorites.addFavorite'],
+            ['delete', '/api/auth/customer/favorites/restaurant/663f1c2e9b1e8a0012345678', 'favorites.removeFavorite']
+        ])('should guard address book route %s %s with customer protect', async (method, url, handler) => {
+            // WHEN: Address book endpoint is called
+            const response = await request(app)[method](url).send({}).expect(200);
+
+            // THEN: Customer protect should run before the controller
+            expect(mockProtect).toHaveBeenCalledTimes(1);
+            expect(response.body.handler).toBe(handler);
+        });
+
+        it.each([
+            ['get', '/api/auth/customer/export?format=zip', 'privacy.exportData'],
+            ['post', '/api/auth/customer/delete', 'privacy.deleteAccount']
+        ])('should guard privacy route %s %s with customer protect', async (method, url, handler) => {
+            const response = await request(app)[method](url).send({ password: 'x' }).expect(200);
+
+            expect(mockProtect).toHaveBeenCalledTimes(1);
+            expect(response.body.handler).toBe(handler);
+        });
+
+        it.each([
+            ['get', '/api/auth/admin/users?type=customer&q=lan', 'users.searchUsers'],
+            ['get', '/api/auth/admin/users/delivery/663f1c2e9b1e8a0012345678', 'users.getUser'],
+            ['post', '/api/auth/admin/users/customer/663f1c2e9b1e8a0012345678/suspend', 'users.suspendUser'],
+            ['post', '/api/auth/admin/users/customer/663f1c2e9b1e8a0012345678/reinstate', 'users.reinstateUser'],
+            ['get', '/api/auth/admin/users/customer/663f1c2e9b1e8a0012345678/sessions', 'users.listUserSessions'],
+            ['delete', '/api/auth/admin/users/customer/663f1c2e9b1e8a0012345678/sessions', 'users.revokeUserSessions'],
+            ['delete', '/api/auth/admin/users/delivery/663f1c2e9b1e8a0012345678/sessions/663f1c2e9b1e8a00123456ff', 'users.revokeUserSession'],
+            ['get', '/api/auth/admin/drivers/roster?date=2026-10-20', 'delivery.getRoster'],
+            ['get', '/api/auth/admin/drivers/documents?status=expiring&days=14', 'documents.getReviewQueue'],
+            ['get', '/api/auth/admin/drivers/663f1c2e9b1e8a0012345678/documents/license/file', 'documents.getDocumentFile'],
+            ['post', '/api/auth/admin/drivers/663f1c2e9b1e8a0012345678/documents/license/review', 'documents.reviewDocument']
+        ])('should guard user management route %s %s with protectAdmin and manage-users', async (method, url, handler) => {
+            // WHEN: User management endpoint is called
+            const response = await request(app)[method](url).send({ reason: 'Spam' }).expect(200);
+
+            // THEN: Admin protect and the permission check run first
+            expect(mockProtectAdmin).toHaveBeenCalledTimes(1);
+            expect(mockPermissionGuard).toHaveBeenCalledTimes(1);
+            expect(mockPermissionGuard.mock.calls[0][0]).toEqual(['manage-users']);
+            expect(response.body.handler).toBe(handler);
+        });
+
+        it.each([
+            ['get', '/api/auth/restaurant-admin/pending', 'restaurant-admin.getPendingRestaurantAdmins'],
+            ['patch', '/api/auth/restaurant-admin/abc123/approve', 'restaurant-admin.approveRestaurantAdmin'],
+            ['get', '/api/auth/restaurant-admin/abc123/application', 'restaurant-admin.getApplication'],
+            ['post', '/api/auth/restaurant-admin/abc123/review', 'restaurant-admin.startReview'],
+            ['patch', '/api/auth/restaurant-admin/abc123/reject', 'restaurant-admin.rejectRestaurantAdmin'],
+            ['patch', '/api/auth/restaurant-admin/abc123/request-info', 'restaurant-admin.requestMoreInfo']
+        ])('should require manage-restaurants for %s %s', async (method, url, handler) => {
+            const response = await request(app)[method](url).send({}).expect(200);
+
+            expect(mockProtectAdmin).toHaveBeenCalledTimes(1);
+            expect(mockPermissionGuard.mock.calls[0][0]).toEqual(['manage-restaurants']);
+            expect(response.body.handler).toBe(handler);
+        });
+
+        it.each([
+            ['get', '/api/auth/admin/audit?action=auth.login&outcome=failure', 'audit.listAuditEvents'],
+            ['get', '/api/auth/admin/audit/export?from=2026-10-01', 'audit.exportAuditEvents']
+        ])('should require view-audit-log for %s %s', async (method, url, handler) => {
+            const response = await request(app)[method](url).expect(200);
+
+            expect(mockProtectAdmin).toHaveBeenCalledTimes(1);
+            expect(mockPermissionGuard.mock.calls[0][0]).toEqual(['view-audit-log']);
+            expect(response.body.handler).toBe(handler);
+        });
+
+        it('should only let service clients append audit events', async () => {
+            mockProtectServiceClient.mockImplementationOnce((req, res) => {
+                return res.status(401).json({ message: 'Service client credentials are required.' });
+            });
+
+            await request(app).post('/api/auth/internal/audit').send({ action: 'restaurant.update' }).expect(401);
+
+            expect(mockAuditController.ingestAuditEvent).not.toHaveBeenCalled();
+            const response = await request(app).post('/api/auth/internal/audit').send({ action: 'restaurant.update' }).expect(200);
+            expect(response.body.handler).toBe('audit.ingestAuditEvent');
+            expect(mockProtectAdmin).not.toHaveBeenCalled();
+        });
+
+        it('should only let service clients check passwords against the policy', async () => {
+            mockProtectServiceClient.mockImplementationOnce((req, res) => {
+                return res.status(401).json({ message: 'Service client credentials are required.' });
+            });
+
+            await request(app).post('/api/auth/internal/password-policy/check').send({ password: 'x' }).expect(401);
+
+            expect(mockPasswordResetController.checkPassword).not.toHaveBeenCalled();
+            const response = await request(app).post('/api/auth/internal/password-policy/check').send({ password: 'x' }).expect(200);
+            expect(response.body.handler).toBe('password.checkPassword');
+        });
+
+        it('should only allow catalogue names when building the routes', () => {
+            // THEN: Every permission the router asked for exists in the catalogue
+            const { PERMISSION_NAMES } = jest.requireActual('../../utils/permissions');
+            expect(mockRequiredPermissions.length).toBeGreaterThan(0);
+            mockRequiredPermissions.forEach((permission) => expect(PERMISSION_NAMES).toContain(permission));
+        });
+
+        it('should let any admin read the permission catalogue', async () => {
+            const response = await request(app).get('/api/auth/admin/permissions').expect(200);
+
+            expect(mockProtectAdmin).toHaveBeenCalledTimes(1);
+            expect(mockRoleGuard).not.toHaveBeenCalled();
+            expect(response.body.handler).toBe('permissions.listPermissions');
+        });
+
+        it.each([
+            ['get', '/api/auth/admin/admins', 'permissions.listAdmins'],
+            ['post', '/api/auth/admin/admins/663f1c2e9b1e8a0012345678/permissions', 'permissions.grantPermission'],
+            ['delete', '/api/auth/admin/admins/663f1c2e9b1e8a0012345678/permissions/manage-orders', 'permissions.revokePermission']
+        ])('should restrict grant route %s %s to super-admins', async (method, url, handler) => {
+            // WHEN: Grant endpoint is called
+            const response = await request(app)[method](url).send({ permission: 'manage-orders' }).expect(200);
+
+            // THEN: Admin protect then the super-admin role check
+            expect(mockProtectAdmin).toHaveBeenCalledTimes(1);
+            expect(mockRoleGuard).toHaveBeenCalledTimes(1);
+            expect(mockRoleGuard.mock.calls[0][0]).toEqual(['super-admin']);
+            expect(response.body.handler).toBe(handler);
+        });
+
+        it.each([
+            ['get', '/api/auth/admin/2fa-policy', '2fa.getPolicies'],
+            ['put', '/api/auth/admin/2fa-policy/restaurant-admin', '2fa.updatePolicy']
+        ])('should restrict two-factor policy route %s %s to super-admins', async (method, url, handler) => {
+            const response = await request(app)[method](url).send({ required: true }).expect(200);
+
+            expect(mockProtectAdmin).toHaveBeenCalledTimes(1);
+            expect(mockRoleGuard.mock.calls[0][0]).toEqual(['super-admin']);
+            expect(response.body.handler).toBe(handler);
+        });
+
+        it.each([
+            ['get', '/api/auth/2fa', '2fa.getStatus'],
+            ['post', '/api/auth/2fa/enroll', '2fa.startEnrollment'],
+            ['post', '/api/auth/2fa/enroll/verify', '2fa.confirmEnrollment'],
+            ['post', '/api/auth/2fa/recovery-codes', '2fa.regenerateRecoveryCodes'],
+            ['post', '/api/auth/2fa/disable', '2fa.disable']
+        ])('should guard account two-factor route %s %s for admins and restaurant owners', async (method, url, handler) => {
+            // WHEN: Signed-in two-factor endpoint is called
+            const response = await request(app)[method](url).send({ code: '123456' }).expect(200);
+
+            // THEN: Cross-collection protect runs for the three eligible roles only
+            expect(mockProtectAccount).toHaveBeenCalledTimes(1);
+            expect(mockProtectAccount.mock.calls[0][0]).toEqual(['admin', 'super-admin', 'restaurant-admin']);
+            expect(mockProtect).not.toHaveBeenCalled();
+            expect(response.body.handler).toBe(handler);
+        });
+
+        it.each([
+            ['get', '/api/auth/sessions', 'sessions.listMySessions'],
+            ['post', '/api/auth/sessions/revoke-others', 'sessions.revokeOtherSessions'],
+            ['delete', '/api/auth/sessions/663f1c2e9b1e8a00123456ff', 'sessions.revokeMySession']
+        ])('should let any signed-in account manage its sessions via %s %s', async (method, url, handler) => {
+            const response = await request(app)[method](url).expect(200);
+
+            expect(mockProtectAccount).toHaveBeenCalledTimes(1);
+            expect(mockProtectAccount.mock.calls[0][0]).toEqual(['customer', 'admin', 'super-admin', 'delivery', 'restaurant-admin']);
+            expect(response.body.handler).toBe(handler);
+        });
+
+        it('should note a calling service on /token without requiring one', async () => {
+            await request(app).post('/api/auth/token').send({ email: 'a@b.co', password: 'x' }).expect(200);
+
+            expect(mockIdentifyServiceClient).toHaveBeenCalledTimes(1);
+            expect(mockProtectServiceClient).not.toHaveBeenCalled();
+        });
+    });
 });
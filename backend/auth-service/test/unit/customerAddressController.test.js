@@ -0,0 +1,243 @@
+// backend/auth-service/test/unit/customerAddressController.test.js
+const Customer = require('../../models/Customer');
+const { setGeocoder } = require('../../utils/geocoder');
+const addressController = require('../../controllers/customerAddressController');
+
+// Real Customer documents (no database): save() runs schema validation only
+const buildCustomer = (addresses = []) => {
+    const customer = new Customer({
+        firstName: 'Lan',
+        lastName: 'Pham',
+        email: 'lan@example.com',
+        phone: '0901234567',
+        password: 'hashed',
+        addresses
+    });
+    jest.spyOn(customer, 'save').mockImplementation(async function () {
+        await this.validate();
+        return this;
+    });
+    return customer;
+};
+
+const home = { label: 'Home', line1: '12 Le Loi', district: 'District 1', city: 'Ho Chi Minh City' };
+const office = { label: 'Office', line1: '5 Nguyen Hue', city: 'Ho Chi Minh City' };
+
+describe('CustomerAddressController Unit Tests - Shopee QA Standards', () => {
+    let req, res, next, geocoder;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        geocoder = jest.fn().mockResolvedValue(null);
+        setGeocoder(geocoder);
+        req = { userId: 'customer-1', params: {}, body: {} };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis(),
+            send: jest.fn().mockReturnThis()
+        };
+        next = jest.fn();
+    });
+
+    afterAll(() => {
+        setGeocoder(null);
+    });
+
+    const addressesOf = (customer) => customer.addresses.map((a) => ({ label: a.label, isDefault: a.isDefault }));
+
+    // ============================================================================
+    // Test 1: createAddress
+    // ============================================================================
+    describe('Test 1: createAddress - Structured Fields, Default Flag and Coordinates', () => {
+        it('should save the first address as default with client coordinates', async () => {
+            // GIVEN: Customer without addresses and a GeoJSON point from the browser
+            const customer = buildCustomer();
+            jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+            req.body = { ...home, location: { type: 'Point', coordinates: [106.7009, 10.7769] } };
+
+            // WHEN: Creating the address
+            await addressController.createAddress(req, res, next);
+
+            // THEN: Should be default, keep [lng, lat] and skip the geocoder
+            expect(res.status).toHaveBeenCalledWith(201);
+            const { address } = res.json.mock.calls[0][0].data;
+            expect(address).toEqual(expect.objectContaining({
+                label: 'Home',
+                line1: '12 Le Loi',
+                city: 'Ho Chi Minh City',
+                country: 'Vietnam',
+                isDefault: true,
+                location: { type: 'Point', coordinates: [106.7009, 10.7769] }
+            }));
+            expect(geocoder).not.toHaveBeenCalled();
+        });
+
+        it('should geocode when no coordinates are supplied', async () => {
+            const customer = buildCustomer([home]);
+            jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+            geocoder.mockResolvedValue([106.7031, 10.7740]);
+            req.body = office;
+
+            await addressController.createAddress(req, res, next);
+
+            expect(geocoder).toHaveBeenCalledWith(expect.objectContaining({ line1: '5 Nguyen Hue' }));
+            const { address } = res.json.mock.calls[0][0].data;
+            expect(address.location).toEqual({ type: 'Point', coordinates: [106.7031, 10.7740] });
+            expect(address.isDefault).toBe(false);
+        });
+
+        it('should save without coordinates when the geocoder finds nothing', async () => {
+            const customer = buildCustomer();
+            jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+            req.body = home;
+
+            await addressController.createAddress(req, res, next);
+
+            expect(res.json.mock.calls[0][0].data.address.location).toBeNull();
+        });
+
+        it('should move the default flag when isDefault is requested', async () => {
+            const customer = buildCustomer([{ ...home, isDefault: true }]);
+            jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+            req.body = { ...office, isDefault: true };
+
+            await addressController.createAddress(req, res, next);
+
+            expect(addressesOf(customer)).toEqual([
+                { label: 'Home', isDefault: false },
+                { label: 'Office', isDefault: true }
+            ]);
+        });
+
+        it('should reject coordinates in [lat, lng] order or out of range', async () => {
+            jest.spyOn(Customer, 'findById').mockResolvedValue(buildCustomer());
+            req.body = { ...home, location: { type: 'Point', coordinates: [10.7769, 206.7] } };
+
+            await addressController.createAddress(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({
+                message: 'Location must be { type: "Point", coordinates: [longitude, latitude] }.'
+            });
+        });
+
+        it('should return 400 with schema messages for missing required fields', async () => {
+            jest.spyOn(Customer, 'findById').mockResolvedValue(buildCustomer());
+            req.body = { label: 'Home' };
+
+            await addressController.createAddress(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json.mock.calls[0][0].message).toMatch(/line1/);
+        });
+
+        it('should cap the address book at 20 entries', async () => {
+            const full = Array.from({ length: 20 }, (_, i) => ({ ...home, label: `Place ${i}` }));
+            jest.spyOn(Customer, 'findById').mockResolvedValue(buildCustomer(full));
+            req.body = office;
+
+            await addressController.createAddress(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'You can save up to 20 addresses.' });
+        });
+
+        it('should return 404 when the customer no longer exists', async () => {
+            jest.spyOn(Customer, 'findById').mockResolvedValue(null);
+
+            await addressController.createAddress(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    // ============================================================================
+    // Test 2: listAddresses
+    // ============================================================================
+    describe('Test 2: listAddresses - Default First', () => {
+        it('should list the default address first', async () => {
+            jest.spyOn(Customer, 'findById').mockResolvedValue(buildCustomer([office, { ...home, isDefault: true }]));
+
+            await addressController.listAddresses(req, res, next);
+
+            const body = res.json.mock.calls[0][0];
+            expect(body.results).toBe(2);
+            expect(body.data.addresses.map((a) => a.label)).toEqual(['Home', 'Office']);
+        });
+    });
+
+    // ============================================================================
+    // Test 3: updateAddress
+    // ============================================================================
+    describe('Test 3: updateAddress - Edits, Re-geocoding and Default', () => {
+        it('should re-geocode when the street changes', async () => {
+            // GIVEN: Saved address with coordinates
+            const customer = buildCustomer([{ ...home, isDefault: true, location: { type: 'Point', coordinates: [1, 1] } }]);
+            jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+            geocoder.mockResolvedValue([106.69, 10.78]);
+            req.params.addressId = customer.addresses[0]._id.toString();
+            req.body = { line1: '99 Hai Ba Trung' };
+
+            // WHEN: Updating the street
+            await addressController.updateAddress(req, res, next);
+
+            // THEN: Should store the new point
+            const { address } = res.json.mock.calls[0][0].data;
+            expect(address.line1).toBe('99 Hai Ba Trung');
+            expect(address.location.coordinates).toEqual([106.69, 10.78]);
+        });
+
+        it('should keep coordinates when only the label changes', async () => {
+            const customer = buildCustomer([{ ...home, location: { type: 'Point', coordinates: [1, 1] } }]);
+            jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+            req.params.addressId = customer.addresses[0]._id.toString();
+            req.body = { label: 'Mom' };
+
+            await addressController.updateAddress(req, res, next);
+
+            expect(geocoder).not.toHaveBeenCalled();
+            expect(res.json.mock.calls[0][0].data.address.location.coordinates).toEqual([1, 1]);
+        });
+
+        it('should make the address the only default', async () => {
+            const customer = buildCustomer([{ ...home, isDefault: true }, office]);
+            jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+            req.params.addressId = customer.addresses[1]._id.toString();
+            req.body = { isDefault: true };
+
+            await addressController.updateAddress(req, res, next);
+
+            expect(addressesOf(customer)).toEqual([
+                { label: 'Home', isDefault: false },
+                { label: 'Office', isDefault: true }
+            ]);
+        });
+
+        it('should return 404 for unknown or malformed address ids', async () => {
+            jest.spyOn(Customer, 'findById').mockResolvedValue(buildCustomer([home]));
+            req.params.addressId = 'not-an-id';
+
+            await addressController.updateAddress(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Address not found.' });
+        });
+    });
+
+    // ============================================================================
+    // Test 4: deleteAddress
+    // ============================================================================
+    describe('Test 4: deleteAddress - Promotes A New Default', () => {
+        it('should delete the default and promote the next address', async () => {
+            const customer = buildCustomer([{ ...home, isDefault: true }, office]);
+            jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+            req.params.addressId = customer.addresses[0]._id.toString();
+
+            await addressController.deleteAddress(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(204);
+            expect(addressesOf(customer)).toEqual([{ label: 'Office', isDefault: true }]);
+            expect(customer.save).toHaveBeenCalled();
+        });
+    });
+});
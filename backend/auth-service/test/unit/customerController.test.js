@@ -2,10 +2,18 @@
 const jwt = require('jsonwebtoken');
 const Customer = require('../../models/Customer');
 const customerController = require('../../controllers/customerController');
+const { createRefreshToken } = require('../../utils/refreshTokens');
+const { sendVerificationEmail } = require('../../utils/emailVerification');
 
 // Mock dependencies
 jest.mock('jsonwebtoken');
+jest.mock('../../utils/signingKeys', () => ({
+    getSigningKey: () => ({ kid: 'test-kid', alg: 'RS256', privateKey: 'test-private-key' })
+}));
 jest.mock('../../models/Customer');
+jest.mock('../../utils/refreshTokens');
+jest.mock('../../models/Session');
+jest.mock('../../utils/emailVerification');
 
 describe('CustomerController Unit Tests - Shopee QA Standards', () => {
     let req, res, next;
@@ -30,7 +38,6 @@ describe('CustomerController Unit Tests - Shopee QA Standards', () => {
         next = jest.fn();
 
         // Setup default environment variables
-        process.env.JWT_SECRET = 'test-secret-key';
         process.env.JWT_EXPIRES_IN = '7d';
     });
 
@@ -76,9 +83,9 @@ describe('CustomerController Unit Tests - Shopee QA Standards', () => {
                 location: '123 Main Street, City'
             });
             expect(jwt.sign).toHaveBeenCalledWith(
-                { id: mockCustomer._id, role: 'customer' },
-                'test-secret-key',
-                { expiresIn: '7d' }
+                { sub: mockCustomer._id, role: 'customer', restaurantId: null, permissions: [] },
+                'test-private-key',
+                { algorithm: 'RS256', keyid: 'test-kid', expiresIn: '7d' }
             );
             expect(res.status).toHaveBeenCalledWith(201);
             expect(res.json).toHaveBeenCalledWith({
@@ -164,9 +171,9 @@ describe('CustomerController Unit Tests - Shopee QA Standards', () => {
 
             // THEN: Should sign JWT with customer role
             expect(jwt.sign).toHaveBeenCalledWith(
-                { id: 'customer-bob-id', role: 'customer' },
-                'test-secret-key',
-                { expiresIn: '7d' }
+                { sub: 'customer-bob-id', role: 'customer', restaurantId: null, permissions: [] },
+                'test-private-key',
+                { algorithm: 'RS256', keyid: 'test-kid', expiresIn: '7d' }
             );
         });
 
@@ -221,7 +228,7 @@ describe('CustomerController Unit Tests - Shopee QA Standards', () => {
                 lastName: 'Wilson',
                 email: 'david@customer.com',
                 phone: '+3333333333',
-                password: 'SecurePass!',
+                password: 'SecurePass1!',
                 location: ''
             };
 
@@ -292,7 +299,7 @@ describe('CustomerController Unit Tests - Shopee QA Standards', () => {
                 lastName: 'Garcia',
                 email: 'duplicate@customer.com',
                 phone: '+5555555555',
-                password: 'SecurePass!'
+                password: 'SecurePass1!'
             };
 
             Customer.findOne.mockResolvedValue({ _id: 'other-customer-id' });
@@ -614,9 +621,9 @@ describe('CustomerController Unit Tests - Shopee QA Standards', () => {
             expect(Customer.findOne).toHaveBeenCalledWith({ email: 'customer@customer.com' });
             expect(mockCustomer.comparePassword).toHaveBeenCalledWith('CorrectPassword123!');
             expect(jwt.sign).toHaveBeenCalledWith(
-                { id: 'customer-login-id', role: 'customer' },
-                'test-secret-key',
-                { expiresIn: '7d' }
+                { sub: 'customer-login-id', role: 'customer', restaurantId: null, permissions: [] },
+                'test-private-key',
+                { algorithm: 'RS256', keyid: 'test-kid', expiresIn: '7d' }
             );
             expect(res.json).toHaveBeenCalledWith({
                 status: 'success',
@@ -734,9 +741,9 @@ describe('CustomerController Unit Tests - Shopee QA Standards', () => {
 
             // THEN: Should call jwt.sign with customer role, not admin
             expect(jwt.sign).toHaveBeenCalledWith(
-                { id: 'customer-samuel-id', role: 'customer' },
-                'test-secret-key',
-                { expiresIn: '7d' }
+                { sub: 'customer-samuel-id', role: 'customer', restaurantId: null, permissions: [] },
+                'test-private-key',
+                { algorithm: 'RS256', keyid: 'test-kid', expiresIn: '7d' }
             );
             expect(jwt.sign).not.toHaveBeenCalledWith(
                 expect.objectContaining({ role: 'admin' }),
@@ -964,7 +971,7 @@ describe('CustomerController Unit Tests - Shopee QA Standards', () => {
             // GIVEN: Two scenarios - non-existent email and wrong password
             req.body = {
                 email: 'test@customer.com',
-                password: 'TestPassword!'
+                password: 'TestPassword1!'
             };
 
             Customer.findOne.mockReturnValue({
@@ -1106,4 +1113,171 @@ describe('CustomerController Unit Tests - Shopee QA Standards', () => {
             expect(next).toHaveBeenCalledWith(compareError);
         });
     });
+
+    // ============================================================================
+    // Refresh token issued alongside the short-lived access token
+    // ============================================================================
+    describe('Refresh Tokens - register/login Issue a Rotating Refresh Token', () => {
+        it('should return a refresh token from register', async () => {
+            // GIVEN: Valid registration and a refresh token store
+            req.body = { firstName: 'Rita', lastName: 'Refresh', email: 'rita@customer.com', phone: '+1234567890', password: 'SecurePass123!' };
+            const created = { _id: 'customer-rita-id', firstName: 'Rita', lastName: 'Refresh', email: 'rita@customer.com', phone: '+1234567890', comparePassword: jest.fn().mockResolvedValue(true) };
+            Customer.findOne.mockResolvedValue(null);
+            Customer.create.mockResolvedValue(created);
+            jwt.sign.mockReturnValue('access-token');
+            createRefreshToken.mockResolvedValue('refresh-token-abc');
+
+            // WHEN: register is called
+            await customerController.register(req, res, next);
+
+            // THEN: Should persist a refresh token for the new account and return it
+            expect(createRefreshToken).toHaveBeenCalledWith({ userId: created._id, role: 'customer' });
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                token: 'access-token',
+                refreshToken: 'refresh-token-abc'
+            }));
+        });
+
+        it('should return a refresh token from login', async () => {
+            // GIVEN: Valid credentials
+            req.body = { email: 'rita@example.com', password: 'SecurePass123!' };
+            const account = { _id: 'customer-rita-id', firstName: 'Rita', lastName: 'Refresh', email: 'rita@customer.com', phone: '+1234567890', comparePassword: jest.fn().mockResolvedValue(true) };
+            Customer.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(account) });
+            jwt.sign.mockReturnValue('access-token');
+            createRefreshToken.mockResolvedValue('refresh-token-xyz');
+
+            // WHEN: login is called
+            await customerController.login(req, res, next);
+
+            // THEN: Should include the refresh token next to the access token
+            expect(createRefreshToken).toHaveBeenCalledWith({ userId: account._id, role: 'customer' });
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                token: 'access-token',
+                refreshToken: 'refresh-token-xyz'
+            }));
+        });
+
+        it('should not issue a refresh token when login fails', async () => {
+            // GIVEN: Unknown account
+            req.body = { email: 'nobody@example.com', password: 'whatever' };
+            Customer.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+            // WHEN: login is called
+            await customerController.login(req, res, next);
+
+            // THEN: Should reject without touching the refresh token store
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(createRefreshToken).not.toHaveBeenCalled();
+        });
+
+        it('should refuse a suspended customer after checking the password', async () => {
+            // GIVEN: Correct credentials for a suspended account
+            req.body = { email: 'sam@example.com', password: 'SecurePass123!' };
+            const account = { _id: 'customer-sam-id', suspended: true, comparePassword: jest.fn().mockResolvedValue(true) };
+            Customer.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(account) });
+
+            // WHEN: login is called
+            await customerController.login(req, res, next);
+
+            // THEN: Should answer 403 and issue no tokens
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith({
+                message: 'Your account has been suspended. Please contact support.'
+            });
+            expect(jwt.sign).not.toHaveBeenCalled();
+            expect(createRefreshToken).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Email verification on registration
+    // ============================================================================
+    describe('Email Verification - register Sends a Verification Link', () => {
+        const body = { firstName: 'Vera', lastName: 'Verify', email: 'vera@customer.com', phone: '+1234567890', password: 'SecurePass123!' };
+
+        it('should send a verification email and expose emailVerified=false', async () => {
+            // GIVEN: New unverified customer
+            req.body = { ...body };
+            const created = { _id: 'customer-vera-id', ...body, emailVerified: false };
+            Customer.findOne.mockResolvedValue(null);
+            Customer.create.mockResolvedValue(created);
+            jwt.sign.mockReturnValue('access-token');
+
+            // WHEN: register is called
+            await customerController.register(req, res, next);
+
+            // THEN: Should email the link and carry the flag in token and response
+            expect(sendVerificationEmail).toHaveBeenCalledWith(created, 'customer');
+            expect(jwt.sign).toHaveBeenCalledWith(
+                { sub: 'customer-vera-id', role: 'customer', restaurantId: null, permissions: [], emailVerified: false },
+                expect.any(String),
+                expect.any(Object)
+            );
+            expect(res.json.mock.calls[0][0].data.customer.emailVerified).toBe(false);
+        });
+
+        it('should still register the customer when the verification email fails', async () => {
+            // GIVEN: Mail transport failure
+            req.body = { ...body };
+            Customer.findOne.mockResolvedValue(null);
+            Customer.create.mockResolvedValue({ _id: 'customer-vera-id', ...body, emailVerified: false });
+            jwt.sign.mockReturnValue('access-token');
+            sendVerificationEmail.mockRejectedValue(new Error('mail down'));
+            const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+            // WHEN: register is called
+            await customerController.register(req, res, next);
+
+            // THEN: Should respond 201 and log the failure
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(next).not.toHaveBeenCalled();
+            expect(consoleErrorSpy).toHaveBeenCalled();
+
+            consoleErrorSpy.mockRestore();
+        });
+    });
+
+    // ============================================================================
+    // Password Policy: register rejects weak passwords with per-rule errors
+    // ============================================================================
+    describe('Password Policy - register Rejects Weak Passwords', () => {
+        it('should return 400 WEAK_PASSWORD with every broken rule', async () => {
+            // GIVEN: Common password that also contains the first name
+            req.body = {
+                firstName: 'Tom',
+                lastName: 'Weak',
+                email: 'tom@customer.com',
+                phone: '+1111111111',
+                password: 'tom12345'
+            };
+
+            // WHEN: register is called
+            await customerController.register(req, res, next);
+
+            // THEN: Should not touch the database and list each rule
+            expect(res.status).toHaveBeenCalledWith(400);
+            const body = res.json.mock.calls[0][0];
+            expect(body.code).toBe('WEAK_PASSWORD');
+            expect(body.errors.map((e) => e.rule)).toEqual(['uppercase', 'personalInfo']);
+            expect(Customer.findOne).not.toHaveBeenCalled();
+            expect(Customer.create).not.toHaveBeenCalled();
+        });
+
+        it('should reject passwords from the common-password list', async () => {
+            req.body = {
+                firstName: 'Ann',
+                lastName: 'Lee',
+                email: 'ann@customer.com',
+                phone: '+1111111111',
+                password: 'Password123'
+            };
+
+            await customerController.register(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json.mock.calls[0][0].errors).toEqual([
+                { rule: 'common', message: 'This password is too common. Choose a less predictable one.' }
+            ]);
+        });
+    });
 });
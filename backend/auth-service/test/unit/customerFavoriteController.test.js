@@ -0,0 +1,273 @@
+// backend/auth-service/test/unit/customerFavoriteController.test.js
+jest.mock('../../utils/restaurantService', () => {
+    const actual = jest.requireActual('../../utils/restaurantService');
+    return { ...actual, lookupCatalog: jest.fn() };
+});
+
+const Customer = require('../../models/Customer');
+const { lookupCatalog, RestaurantServiceError } = require('../../utils/restaurantService');
+const favoriteController = require('../../controllers/customerFavoriteController');
+
+const RESTAURANT_ID = '663f1c2e9b1e8a00123456b1';
+const CLOSED_RESTAURANT_ID = '663f1c2e9b1e8a00123456b2';
+const PHO_ID = '663f1c2e9b1e8a00123456f1';
+const BANH_MI_ID = '663f1c2e9b1e8a00123456f2';
+const GONE_ID = '663f1c2e9b1e8a00123456f3';
+
+const restaurant = (id, fields = {}) => ({
+    id, name: 'Pho Saigon', location: '12 Le Loi', profilePicture: '', availability: true, ...fields
+});
+
+const food = (id, fields = {}) => ({
+    id, name: 'Pho Bo', price: 55000, image: '/uploads/pho.jpg', category: 'Noodles', availability: true,
+    restaurant: restaurant(RESTAURANT_ID), ...fields
+});
+
+// Real Customer documents (no database): save() runs schema validation only
+const buildCustomer = (favorites = []) => {
+    const customer = new Customer({
+        firstName: 'Lan',
+        lastName: 'Pham',
+        email: 'lan@example.com',
+        phone: '0901234567',
+        password: 'hashed',
+        favorites
+    });
+    jest.spyOn(customer, 'save').mockImplementation(async function () {
+        await this.validate();
+        return this;
+    });
+    return customer;
+};
+
+const favorite = (kind, ref, addedAt) => ({ kind, ref, addedAt: new Date(addedAt) });
+
+describe('CustomerFavoriteController Unit Tests - Shopee QA Standards', () => {
+    let req, res, next;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+        req = { userId: 'customer-1', params: {}, body: {} };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis(),
+            send: jest.fn().mockReturnThis()
+        };
+        next = jest.fn();
+    });
+
+    const findReturns = (customer) => jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+
+    // ============================================================================
+    // Test 1: listFavorites
+    // ============================================================================
+    describe('Test 1: listFavorites - Current Details With Unavailable Ones Flagged', () => {
+        it('should list newest first and flag what cannot be ordered', async () => {
+            // GIVEN: Four favorites, three of them unavailable for different reasons
+            findReturns(buildCustomer([
+                favorite('food-item', PHO_ID, '2026-10-01'),
+                favorite('restaurant', CLOSED_RESTAURANT_ID, '2026-10-02'),
+                favorite('food-item', BANH_MI_ID, '2026-10-03'),
+                favorite('food-item', GONE_ID, '2026-10-04')
+            ]));
+            lookupCatalog.mockResolvedValue({
+                restaurants: [restaurant(CLOSED_RESTAURANT_ID, { name: 'Com Tam', availability: false })],
+                foodItems: [food(PHO_ID), food(BANH_MI_ID, { name: 'Banh Mi', availability: false })]
+            });
+
+            // WHEN: The list is requested
+            await favoriteController.listFavorites(req, res, next);
+
+            // THEN: One lookup for every id, grouped by kind
+            expect(lookupCatalog).toHaveBeenCalledWith({
+                restaurantIds: [CLOSED_RESTAURANT_ID],
+                foodItemIds: [GONE_ID, BANH_MI_ID, PHO_ID]
+            });
+            const { results, data } = res.json.mock.calls[0][0];
+            expect(results).toBe(4);
+            expect(data.detailsAvailable).toBe(true);
+            expect(data.favorites.map((f) => [f.id, f.available, f.unavailableReason])).toEqual([
+                [GONE_ID, false, 'removed'],
+                [BANH_MI_ID, false, 'item-unavailable'],
+                [CLOSED_RESTAURANT_ID, false, 'restaurant-closed'],
+                [PHO_ID, true, null]
+            ]);
+            expect(data.favorites[3].details).toEqual({
+                name: 'Pho Bo',
+                price: 55000,
+                image: '/uploads/pho.jpg',
+                category: 'Noodles',
+                restaurant: { id: RESTAURANT_ID, name: 'Pho Saigon', available: true }
+            });
+            expect(data.favorites[2].details).toEqual({ name: 'Com Tam', location: '12 Le Loi', image: null });
+        });
+
+        it.each([
+            ['its restaurant closed', { restaurant: restaurant(CLOSED_RESTAURANT_ID, { availability: false }) }, 'restaurant-closed'],
+            ['its restaurant removed', { restaurant: null }, 'removed']
+        ])('should flag a food item whose restaurant is %s', async (label, fields, reason) => {
+            findReturns(buildCustomer([favorite('food-item', PHO_ID, '2026-10-01')]));
+            lookupCatalog.mockResolvedValue({ restaurants: [], foodItems: [food(PHO_ID, fields)] });
+
+            await favoriteController.listFavorites(req, res, next);
+
+            expect(res.json.mock.calls[0][0].data.favorites[0]).toMatchObject({ available: false, unavailableReason: reason });
+        });
+
+        it('should still list the references when restaurant-service is down', async () => {
+            findReturns(buildCustomer([favorite('restaurant', RESTAURANT_ID, '2026-10-01')]));
+            lookupCatalog.mockRejectedValue(new RestaurantServiceError('fetch failed'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await favoriteController.listFavorites(req, res, next);
+
+            const { data } = res.json.mock.calls[0][0];
+            expect(data.detailsAvailable).toBe(false);
+            expect(data.favorites).toEqual([{
+                kind: 'restaurant', id: RESTAURANT_ID, addedAt: new Date('2026-10-01'),
+                details: null, available: null, unavailableReason: null
+            }]);
+        });
+
+        it('should not call restaurant-service for an empty list', async () => {
+            findReturns(buildCustomer());
+
+            await favoriteController.listFavorites(req, res, next);
+
+            expect(lookupCatalog).not.toHaveBeenCalled();
+            expect(res.json).toHaveBeenCalledWith({
+                status: 'success', results: 0, data: { favorites: [], detailsAvailable: true }
+            });
+        });
+    });
+
+    // ============================================================================
+    // Test 2: addFavorite
+    // ============================================================================
+    describe('Test 2: addFavorite - Only Catalogue Entries, Once Each', () => {
+        it('should save a food item that exists, even when it is sold out', async () => {
+            // GIVEN: A sold-out dish
+            const customer = buildCustomer();
+            findReturns(customer);
+            lookupCatalog.mockResolvedValue({ restaurants: [], foodItems: [food(PHO_ID, { availability: false })] });
+            req.params = { kind: 'food-item', id: PHO_ID.toUpperCase() };
+
+            // WHEN: It is saved as a favorite
+            await favoriteController.addFavorite(req, res, next);
+
+            // THEN: Stored with the lowercase id
+            expect(lookupCatalog).toHaveBeenCalledWith({ restaurantIds: [], foodItemIds: [PHO_ID] });
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(customer.favorites.map((f) => [f.kind, f.ref])).toEqual([['food-item', PHO_ID]]);
+            expect(res.json.mock.calls[0][0].data.favorite).toMatchObject({ kind: 'food-item', id: PHO_ID });
+        });
+
+        it('should answer 200 without another lookup when already saved', async () => {
+            const customer = buildCustomer([favorite('restaurant', RESTAURANT_ID, '2026-10-01')]);
+            findReturns(customer);
+            req.params = { kind: 'restaurant', id: RESTAURANT_ID };
+
+            await favoriteController.addFavorite(req, res, next);
+
+            expect(lookupCatalog).not.toHaveBeenCalled();
+            expect(res.status).not.toHaveBeenCalled();
+            expect(customer.save).not.toHaveBeenCalled();
+            expect(customer.favorites).toHaveLength(1);
+        });
+
+        it.each([
+            ['an unknown kind', { kind: 'menu', id: PHO_ID }, 400, 'Favorites are of kind "restaurant" or "food-item".'],
+            ['a malformed id', { kind: 'restaurant', id: 'pho-saigon' }, 404, 'Restaurant not found.']
+        ])('should refuse %s before loading the customer', async (label, params, status, message) => {
+            jest.spyOn(Customer, 'findById');
+            req.params = params;
+
+            await favoriteController.addFavorite(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(status);
+            expect(res.json).toHaveBeenCalledWith({ message });
+            expect(Customer.findById).not.toHaveBeenCalled();
+        });
+
+        it('should answer 404 for an id restaurant-service does not know', async () => {
+            const customer = buildCustomer();
+            findReturns(customer);
+            lookupCatalog.mockResolvedValue({ restaurants: [], foodItems: [] });
+            req.params = { kind: 'food-item', id: GONE_ID };
+
+            await favoriteController.addFavorite(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Food item not found.' });
+            expect(customer.save).not.toHaveBeenCalled();
+        });
+
+        it('should answer 502 when the catalogue cannot be checked', async () => {
+            findReturns(buildCustomer());
+            lookupCatalog.mockRejectedValue(new RestaurantServiceError('fetch failed'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            req.params = { kind: 'restaurant', id: RESTAURANT_ID };
+
+            await favoriteController.addFavorite(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(502);
+        });
+
+        it('should cap the list at 200 favorites', async () => {
+            const full = Array.from({ length: 200 }, (_, i) =>
+                favorite('food-item', `663f1c2e9b1e8a0012${String(i).padStart(6, '0')}`, '2026-10-01'));
+            findReturns(buildCustomer(full));
+            req.params = { kind: 'restaurant', id: RESTAURANT_ID };
+
+            await favoriteController.addFavorite(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'You can save up to 200 favorites.' });
+            expect(lookupCatalog).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 3: removeFavorite
+    // ============================================================================
+    describe('Test 3: removeFavorite - Unsave', () => {
+        it('should remove only the matching kind and id', async () => {
+            // GIVEN: The same id saved under both kinds cannot clash
+            const customer = buildCustomer([
+                favorite('restaurant', RESTAURANT_ID, '2026-10-01'),
+                favorite('food-item', PHO_ID, '2026-10-02')
+            ]);
+            findReturns(customer);
+            req.params = { kind: 'food-item', id: PHO_ID };
+
+            // WHEN: The dish is unsaved
+            await favoriteController.removeFavorite(req, res, next);
+
+            // THEN: 204, restaurant kept
+            expect(res.status).toHaveBeenCalledWith(204);
+            expect(customer.favorites.map((f) => f.ref)).toEqual([RESTAURANT_ID]);
+            expect(customer.save).toHaveBeenCalled();
+        });
+
+        it('should answer 404 for something that is not a favorite', async () => {
+            findReturns(buildCustomer([favorite('restaurant', RESTAURANT_ID, '2026-10-01')]));
+            req.params = { kind: 'food-item', id: RESTAURANT_ID };
+
+            await favoriteController.removeFavorite(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Favorite not found.' });
+        });
+
+        it('should answer 404 when the customer no longer exists', async () => {
+            findReturns(null);
+            req.params = { kind: 'restaurant', id: RESTAURANT_ID };
+
+            await favoriteController.removeFavorite(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Customer not found.' });
+        });
+    });
+});
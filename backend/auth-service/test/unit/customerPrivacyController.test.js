@@ -0,0 +1,299 @@
+// backend/auth-service/test/unit/customerPrivacyController.test.js
+const zlib = require('zlib');
+const Customer = require('../../models/Customer');
+const sessions = require('../../utils/sessions');
+const privacyServices = require('../../utils/privacyServices');
+const { sendEmailNotification } = require('../../utils/emailService');
+const { hashToken } = require('../../utils/oneTimeTokens');
+const privacyController = require('../../controllers/customerPrivacyController');
+
+jest.mock('../../utils/sessions');
+jest.mock('../../utils/emailService');
+jest.mock('../../utils/privacyServices', () => {
+    const actual = jest.requireActual('../../utils/privacyServices');
+    return {
+        ServiceRequestError: actual.ServiceRequestError,
+        exportOrders: jest.fn(),
+        exportPayments: jest.fn(),
+        anonymizeOrders: jest.fn(),
+        anonymizePayments: jest.fn()
+    };
+});
+
+const buildCustomer = () => {
+    const customer = new Customer({
+        firstName: 'Lan',
+        lastName: 'Pham',
+        email: 'lan@example.com',
+        phone: '0901234567',
+        password: 'hashed',
+        addresses: [{ label: 'Home', line1: '12 Le Loi', city: 'Ho Chi Minh City', isDefault: true }],
+        favorites: [{ kind: 'food-item', ref: '663f1c2e9b1e8a00123456f1', addedAt: new Date('2026-10-01T00:00:00Z') }]
+    });
+    jest.spyOn(customer, 'comparePassword').mockImplementation(async (candidate) => candidate === 'Correct#Pass1');
+    return customer;
+};
+
+describe('CustomerPrivacyController Unit Tests - Shopee QA Standards', () => {
+    let req, res, next, customer;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+        customer = buildCustomer();
+        jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+        jest.spyOn(Customer, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+        req = { userId: String(customer._id), query: {}, body: {} };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis(),
+            send: jest.fn().mockReturnThis(),
+            set: jest.fn().mockReturnThis()
+        };
+        next = jest.fn();
+
+        privacyServices.exportOrders.mockResolvedValue({ orders: [{ _id: 'order-1', totalPrice: 120000 }] });
+        privacyServices.exportPayments.mockResolvedValue({ payments: [{ orderId: 'order-1', amount: 120000 }] });
+        privacyServices.anonymizeOrders.mockResolvedValue({ orderIds: ['order-1', 'order-2'], anonymized: 2 });
+        privacyServices.anonymizePayments.mockResolvedValue({ anonymized: 1 });
+    });
+
+    // ============================================================================
+    // Test 1: exportData
+    // ============================================================================
+    describe('Test 1: exportData - Profile, Orders and Payments', () => {
+        it('should return a JSON bundle without credentials', async () => {
+            // WHEN: Exporting as JSON (default)
+            await privacyController.exportData(req, res, next);
+
+            // THEN: Should gather all sections as an attachment
+            const body = res.json.mock.calls[0][0];
+            expect(body.profile).toEqual(expect.objectContaining({ firstName: 'Lan', email: 'lan@example.com' }));
+            expect(body.profile.addresses[0]).toEqual(expect.objectContaining({ label: 'Home' }));
+            expect(body.profile.favorites).toEqual([
+                { kind: 'food-item', ref: '663f1c2e9b1e8a00123456f1', addedAt: new Date('2026-10-01T00:00:00Z') }
+            ]);
+            expect(body.profile.password).toBeUndefined();
+            expect(body.orders).toEqual([{ _id: 'order-1', totalPrice: 120000 }]);
+            expect(body.payments).toEqual([{ orderId: 'order-1', amount: 120000 }]);
+            expect(res.set).toHaveBeenCalledWith('Content-Disposition', expect.stringMatching(/^attachment; filename="skydish-data-\d{4}-\d{2}-\d{2}\.json"$/));
+        });
+
+        it('should match payments by account, email and exported order ids', async () => {
+            await privacyController.exportData(req, res, next);
+
+            const subject = { customerId: String(customer._id), email: 'lan@example.com' };
+            expect(privacyServices.exportOrders).toHaveBeenCalledWith(subject);
+            expect(privacyServices.exportPayments).toHaveBeenCalledWith(subject, ['order-1']);
+        });
+
+        it('should send a ZIP with one file per section', async () => {
+            // GIVEN: ZIP requested
+            req.query.format = 'zip';
+
+            // WHEN: Exporting
+            await privacyController.exportData(req, res, next);
+
+            // THEN: Should send an archive containing the JSON files
+            expect(res.set).toHaveBeenCalledWith('Content-Type', 'application/zip');
+            const archive = res.send.mock.calls[0][0];
+            expect(archive.readUInt32LE(0)).toBe(0x04034b50);
+            const text = archive.toString('latin1');
+            ['README.txt', 'profile.json', 'orders.json', 'payments.json'].forEach((name) => {
+                expect(text).toContain(name);
+            });
+            expect(() => zlib.inflateRawSync(archive.subarray(30 + 'README.txt'.length))).not.toThrow();
+        });
+
+        it('should reject unknown formats', async () => {
+            req.query.format = 'xml';
+
+            await privacyController.exportData(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(privacyServices.exportOrders).not.toHaveBeenCalled();
+        });
+
+        it('should answer 502 when a service cannot be reached', async () => {
+            privacyServices.exportPayments.mockRejectedValue(
+                new privacyServices.ServiceRequestError('payment-service', 'connect ECONNREFUSED')
+            );
+
+            await privacyController.exportData(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(502);
+            expect(res.json.mock.calls[0][0].message).toContain('payment-service');
+            expect(next).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 2: deleteAccount
+    // ============================================================================
+    describe('Test 2: deleteAccount - Anonymize Everywhere, Then Delete', () => {
+        it('should anonymize orders and payments under one pseudonym and delete the account', async () => {
+            // GIVEN: Correct password confirmation
+            req.body = { password: 'Correct#Pass1' };
+
+            // WHEN: Deleting the account
+            await privacyController.deleteAccount(req, res, next);
+
+            // THEN: Downstream data scrubbed, sessions revoked, account gone
+            const subject = { customerId: String(customer._id), email: 'lan@example.com' };
+            const [, pseudonym] = privacyServices.anonymizeOrders.mock.calls[0];
+            expect(pseudonym).toMatch(/^deleted-[0-9a-f]{12}$/);
+            expect(privacyServices.anonymizeOrders).toHaveBeenCalledWith(subject, pseudonym);
+            expect(privacyServices.anonymizePayments).toHaveBeenCalledWith(subject, ['order-1', 'order-2'], pseudonym);
+            expect(sessions.revokeAllSessions).toHaveBeenCalledWith({ source: 'auth', id: customer._id, role: 'customer' });
+            expect(Customer.deleteOne).toHaveBeenCalledWith({ _id: customer._id });
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                status: 'success',
+                data: { ordersAnonymized: 2, paymentsAnonymized: 1 }
+            }));
+        });
+
+        it('should require the password', async () => {
+            await privacyController.deleteAccount(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(Customer.deleteOne).not.toHaveBeenCalled();
+        });
+
+        it('should reject a wrong password without touching other services', async () => {
+            req.body = { password: 'wrong' };
+
+            await privacyController.deleteAccount(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(privacyServices.anonymizeOrders).not.toHaveBeenCalled();
+            expect(Customer.deleteOne).not.toHaveBeenCalled();
+        });
+
+        it('should keep the account when a service fails so the request can be retried', async () => {
+            // GIVEN: order-service down
+            req.body = { password: 'Correct#Pass1' };
+            privacyServices.anonymizeOrders.mockRejectedValue(
+                new privacyServices.ServiceRequestError('order-service', 'status 500')
+            );
+
+            // WHEN: Deleting
+            await privacyController.deleteAccount(req, res, next);
+
+            // THEN: 502 and nothing deleted
+            expect(res.status).toHaveBeenCalledWith(502);
+            expect(sessions.revokeAllSessions).not.toHaveBeenCalled();
+            expect(Customer.deleteOne).not.toHaveBeenCalled();
+        });
+
+        it('should return 404 when the account no longer exists', async () => {
+            Customer.findById.mockResolvedValue(null);
+            req.body = { password: 'Correct#Pass1' };
+
+            await privacyController.deleteAccount(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    // ============================================================================
+    // Test 3: deleteAccount for social-only customers
+    // ============================================================================
+    describe('Test 3: deleteAccount - Social-Only Customers Confirm With An Emailed Code', () => {
+        let socialCustomer;
+
+        beforeEach(() => {
+            socialCustomer = new Customer({
+                firstName: '<b>Minh</b>',
+                lastName: 'Tran',
+                email: 'minh@example.com',
+                identities: [{ provider: 'google', subject: 'google-sub-1', email: 'minh@example.com' }]
+            });
+            jest.spyOn(socialCustomer, 'save').mockResolvedValue(socialCustomer);
+            Customer.findById.mockResolvedValue(socialCustomer);
+            jest.spyOn(Customer, 'findOneAndUpdate').mockResolvedValue(null);
+            jest.spyOn(Customer, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+            sendEmailNotification.mockResolvedValue({ id: 'mail-1' });
+        });
+
+        it('should email a six-digit code instead of asking for a password it does not have', async () => {
+            // GIVEN: A customer created through Google, no password, no code yet
+            req.body = {};
+
+            // WHEN: Asking to delete the account
+            await privacyController.deleteAccount(req, res, next);
+
+            // THEN: 202, a hashed 15-minute code stored, code emailed with the name escaped; nothing deleted
+            expect(res.status).toHaveBeenCalledWith(202);
+            expect(res.json.mock.calls[0][0].data).toEqual({ confirmWith: 'code' });
+            const [to, subject, html, text] = sendEmailNotification.mock.calls[0];
+            expect(to).toBe('minh@example.com');
+            expect(subject).toBe('Confirm deleting your SkyDish account');
+            expect(html).toContain('&lt;b&gt;Minh&lt;/b&gt;');
+            const code = text.match(/is (\d{6})\./)[1];
+            expect(socialCustomer.deletionCode).toBe(hashToken(`${socialCustomer._id}:${code}`));
+            const minutes = (socialCustomer.deletionCodeExpires - Date.now()) / 60000;
+            expect(minutes).toBeGreaterThan(14);
+            expect(minutes).toBeLessThanOrEqual(15);
+            expect(privacyServices.anonymizeOrders).not.toHaveBeenCalled();
+            expect(Customer.deleteOne).not.toHaveBeenCalled();
+        });
+
+        it('should delete the account once the emailed code comes back', async () => {
+            // GIVEN: The code matches a live, unused deletion code
+            Customer.findOneAndUpdate.mockResolvedValue(socialCustomer);
+            req.body = { code: ' 123456 ' };
+
+            // WHEN: Confirming with the code
+            await privacyController.deleteAccount(req, res, next);
+
+            // THEN: The code is used up and the account deleted like a password-confirmed one
+            expect(Customer.findOneAndUpdate).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    _id: socialCustomer._id,
+                    deletionCode: hashToken(`${socialCustomer._id}:123456`),
+                    deletionCodeAttempts: { $lt: 5 }
+                }),
+                { $unset: { deletionCode: 1, deletionCodeExpires: 1, deletionCodeAttempts: 1 } }
+            );
+            expect(privacyServices.anonymizeOrders).toHaveBeenCalled();
+            expect(Customer.deleteOne).toHaveBeenCalledWith({ _id: socialCustomer._id });
+            expect(sendEmailNotification).not.toHaveBeenCalled();
+        });
+
+        it('should count a wrong code against the attempts and keep the account', async () => {
+            req.body = { code: '000000' };
+
+            await privacyController.deleteAccount(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Incorrect or expired confirmation code.' });
+            expect(Customer.updateOne).toHaveBeenCalledWith(
+                expect.objectContaining({ _id: socialCustomer._id }),
+                { $inc: { deletionCodeAttempts: 1 } }
+            );
+            expect(Customer.deleteOne).not.toHaveBeenCalled();
+        });
+
+        it('should not accept a code from customers who have a password', async () => {
+            // GIVEN: The password customer sends a code instead of the password
+            Customer.findById.mockResolvedValue(customer);
+            req.body = { code: '123456' };
+
+            await privacyController.deleteAccount(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(Customer.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should drop the code and answer 502 when it cannot be emailed', async () => {
+            sendEmailNotification.mockRejectedValue(new Error('Resend down'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await privacyController.deleteAccount(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(502);
+            expect(socialCustomer.deletionCode).toBeUndefined();
+            expect(socialCustomer.save).toHaveBeenCalledTimes(2);
+        });
+    });
+});
@@ -0,0 +1,213 @@
+// backend/auth-service/test/unit/deliveryPersonnelController.test.js
+jest.mock('../../models/Session');
+jest.mock('../../utils/sessions', () => ({ openSession: jest.fn() }));
+jest.mock('../../utils/driverSearch', () => {
+    const actual = jest.requireActual('../../utils/driverSearch');
+    return { ...actual, findNearbyDrivers: jest.fn() };
+});
+jest.mock('../../utils/driverAvailability', () => {
+    const actual = jest.requireActual('../../utils/driverAvailability');
+    return {
+        ...actual,
+        recordHeartbeat: jest.fn(),
+        refreshAvailability: jest.fn(),
+        setOverride: jest.fn(),
+        createShift: jest.fn(),
+        buildRoster: jest.fn()
+    };
+});
+
+const DeliveryPersonnel = require('../../models/DeliveryPersonnel');
+const { openSession } = require('../../utils/sessions');
+const availability = require('../../utils/driverAvailability');
+const driverSearch = require('../../utils/driverSearch');
+const deliveryController = require('../../controllers/deliveryPersonnelController');
+
+describe('DeliveryPersonnelController Unit Tests - Shopee QA Standards', () => {
+    let req, res, next;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        req = { query: {}, serviceClient: 'order-service' };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+        next = jest.fn();
+    });
+
+    // ============================================================================
+    // Test 1: findNearbyDrivers
+    // ============================================================================
+    describe('Test 1: findNearbyDrivers - Dispatch Candidates For Order-Service', () => {
+        it('should return available drivers closest first', async () => {
+            // GIVEN: Two drivers inside the radius
+            req.query = { lng: '106.7', lat: '10.77', radius: '3000', vehicleType: 'bike' };
+            driverSearch.findNearbyDrivers.mockResolvedValue([
+                { _id: 'd1', firstName: 'An', vehicleType: 'bike', rating: 4.9, distanceMeters: 120.2 },
+                { _id: 'd2', firstName: 'Binh', vehicleType: 'bike', rating: 4.1, distanceMeters: 2400.7 }
+            ]);
+
+            // WHEN: order-service asks for candidates
+            await deliveryController.findNearbyDrivers(req, res, next);
+
+            // THEN: Parsed search passed on, drivers formatted in the order found
+            expect(driverSearch.findNearbyDrivers).toHaveBeenCalledWith(expect.objectContaining({
+                longitude: 106.7, latitude: 10.77, radiusMeters: 3000, vehicleTypes: ['bike']
+            }));
+            const body = res.json.mock.calls[0][0];
+            expect(body.results).toBe(2);
+            expect(body.data.radiusMeters).toBe(3000);
+            expect(body.data.drivers.map((d) => [d.id, d.distanceMeters])).toEqual([['d1', 120], ['d2', 2401]]);
+        });
+
+        it('should answer 400 for an invalid search without querying', async () => {
+            req.query = { lng: 'east', lat: '10' };
+
+            await deliveryController.findNearbyDrivers(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'lng and lat are required numbers.' });
+            expect(driverSearch.findNearbyDrivers).not.toHaveBeenCalled();
+        });
+
+        it('should pass database errors on', async () => {
+            req.query = { lng: '1', lat: '1' };
+            const error = new Error('index missing');
+            driverSearch.findNearbyDrivers.mockRejectedValue(error);
+
+            await deliveryController.findNearbyDrivers(req, res, next);
+
+            expect(next).toHaveBeenCalledWith(error);
+        });
+    });
+
+    // ============================================================================
+    // Test 2: Heartbeats and availability
+    // ============================================================================
+    describe('Test 2: updateLocation / heartbeat / setAvailability - Computed Availability', () => {
+        const lastSeenAt = new Date('2026-10-20T02:30:00Z');
+        const state = { available: true, online: true, onShift: true, override: null };
+
+        beforeEach(() => {
+            req = { user: { id: 'd1' }, body: {}, query: {} };
+        });
+
+        it('should treat a location update as a heartbeat and report availability', async () => {
+            // GIVEN: The driver app posts a new position
+            req.body = { longitude: 106.7, latitude: 10.77 };
+            const currentLocation = { type: 'Point', coordinates: [106.7, 10.77] };
+            availability.recordHeartbeat.mockResolvedValue({ driver: { currentLocation, lastSeenAt }, state });
+
+            // WHEN: Updating the location
+            await deliveryController.updateLocation(req, res, next);
+
+            // THEN: Location stored with the heartbeat, computed state returned
+            expect(availability.recordHeartbeat).toHaveBeenCalledWith('d1', currentLocation);
+            expect(res.json).toHaveBeenCalledWith({
+                status: 'success',
+                data: { currentLocation, availability: { ...state, lastSeenAt } }
+            });
+        });
+
+        it('should answer 404 to a heartbeat from a deleted driver', async () => {
+            availability.recordHeartbeat.mockResolvedValue(null);
+
+            await deliveryController.heartbeat(req, res, next);
+
+            expect(availability.recordHeartbeat).toHaveBeenCalledWith('d1');
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+
+        it('should answer 400 for an unknown override', async () => {
+            req.body = { override: 'later' };
+            availability.setOverride.mockImplementation(jest.requireActual('../../utils/driverAvailability').setOverride);
+
+            await deliveryController.setAvailability(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should clear the override when none is sent', async () => {
+            availability.setOverride.mockResolvedValue({ driver: { lastSeenAt }, state });
+
+            await deliveryController.setAvailability(req, res, next);
+
+            expect(availability.setOverride).toHaveBeenCalledWith('d1', null);
+            expect(res.json.mock.calls[0][0].data.availability.available).toBe(true);
+        });
+    });
+
+    // ============================================================================
+    // Test 3: Shifts and roster
+    // ============================================================================
+    describe('Test 3: createShift / getRoster - Schedules', () => {
+        it('should publish a shift with 201', async () => {
+            req = { account: { _id: 'd1' }, body: { kind: 'weekly', dayOfWeek: 1, start: '08:00', end: '12:00' } };
+            availability.createShift.mockResolvedValue({ _id: 's1', kind: 'weekly', dayOfWeek: 1, startMinute: 480, endMinute: 720 });
+
+            await deliveryController.createShift(req, res, next);
+
+            expect(availability.createShift).toHaveBeenCalledWith(req.account, req.body);
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith({
+                status: 'success',
+                data: { shift: { id: 's1', kind: 'weekly', dayOfWeek: 1, start: '08:00', end: '12:00' } }
+            });
+        });
+
+        it('should answer 409 for an overlapping shift', async () => {
+            req = { account: { _id: 'd1' }, body: {} };
+            availability.createShift.mockRejectedValue(new availability.ShiftError('Overlaps an existing shift.', 409));
+
+            await deliveryController.createShift(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Overlaps an existing shift.' });
+        });
+
+        it('should build the roster for the requested day and vehicle type', async () => {
+            req = { query: { date: '2026-10-20', vehicleType: 'bike' } };
+            const roster = { date: '2026-10-20', hours: [], drivers: [] };
+            availability.buildRoster.mockResolvedValue(roster);
+
+            await deliveryController.getRoster(req, res, next);
+
+            expect(availability.buildRoster).toHaveBeenCalledWith('2026-10-20', { vehicleType: 'bike' });
+            expect(res.json).toHaveBeenCalledWith({ status: 'success', data: { roster } });
+        });
+    });
+
+    // ============================================================================
+    // Test 4: login - Standard Token Claims
+    // ============================================================================
+    describe('Test 4: login - Signs The Standard Claims', () => {
+        it('should open the session with the same claims /api/auth/token issues', async () => {
+            // GIVEN: Driver with the right password
+            const driver = {
+                _id: 'drv-1',
+                firstName: 'Dan',
+                lastName: 'Driver',
+                email: 'dan@example.com',
+                emailVerified: true,
+                comparePassword: jest.fn().mockResolvedValue(true)
+            };
+            jest.spyOn(DeliveryPersonnel, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(driver) });
+            openSession.mockResolvedValue({ token: 'access', refreshToken: 'refresh' });
+            req.body = { email: 'dan@example.com', password: 'DriverPass1' };
+
+            // WHEN: Logging in
+            await deliveryController.login(req, res, next);
+
+            // THEN: sub/role/restaurantId/permissions, not the legacy { id, role }
+            expect(openSession).toHaveBeenCalledWith(
+                { source: 'auth', id: 'drv-1', role: 'delivery' },
+                { sub: 'drv-1', role: 'delivery', restaurantId: null, permissions: [], emailVerified: true },
+                req
+            );
+            expect(res.json.mock.calls[0][0].token).toBe('access');
+            DeliveryPersonnel.findOne.mockRestore();
+        });
+    });
+});
@@ -0,0 +1,283 @@
+// backend/auth-service/test/unit/driverAvailability.test.js
+const DeliveryPersonnel = require('../../models/DeliveryPersonnel');
+const DriverShift = require('../../models/DriverShift');
+const availability = require('../../utils/driverAvailability');
+
+const { ShiftError } = availability;
+
+const DRIVER_ID = '64b0000000000000000000d1';
+// Tuesday 2026-10-20, 09:30 in Ho Chi Minh City (UTC+7)
+const NOW = new Date('2026-10-20T02:30:00Z');
+const MINUTE = 60 * 1000;
+// Every required document verified until next year
+const VERIFIED_UNTIL = new Date('2027-06-30T00:00:00Z');
+
+const weekly = (dayOfWeek, startMinute, endMinute) => ({ kind: 'weekly', dayOfWeek, startMinute, endMinute });
+const oneOff = (startsAt, endsAt) => ({ kind: 'one-off', startsAt: new Date(startsAt), endsAt: new Date(endsAt) });
+
+describe('Driver Availability Unit Tests - Shopee QA Standards', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.SHIFT_TIMEZONE;
+        delete process.env.DRIVER_HEARTBEAT_TIMEOUT_MINUTES;
+    });
+
+    // ============================================================================
+    // Test 1: Local time and shift coverage
+    // ============================================================================
+    describe('Test 1: localTime / shiftCovers - Weekly Shifts Use SHIFT_TIMEZONE', () => {
+        it('should read weekday and minute in the shift timezone', () => {
+            expect(availability.localTime(NOW)).toEqual({ dayOfWeek: 2, minute: 9 * 60 + 30 });
+
+            process.env.SHIFT_TIMEZONE = 'UTC';
+            expect(availability.localTime(NOW)).toEqual({ dayOfWeek: 2, minute: 2 * 60 + 30 });
+        });
+
+        it('should find local midnight, including on daylight-saving days', () => {
+            expect(availability.startOfLocalDay('2026-10-20')).toEqual(new Date('2026-10-19T17:00:00Z'));
+
+            process.env.SHIFT_TIMEZONE = 'America/New_York';
+            expect(availability.startOfLocalDay('2026-03-08')).toEqual(new Date('2026-03-08T05:00:00Z'));
+            expect(() => availability.startOfLocalDay('20-10-2026')).toThrow(ShiftError);
+        });
+
+        it.each([
+            ['a weekly shift on the same weekday and time', weekly(2, 9 * 60, 17 * 60), true],
+            ['a weekly shift that ends at 09:30', weekly(2, 6 * 60, 9 * 60 + 30), false],
+            ['a weekly shift on another weekday', weekly(3, 0, 1440), false],
+            ['a one-off shift around now', oneOff('2026-10-20T02:00:00Z', '2026-10-20T03:00:00Z'), true],
+            ['a one-off shift that already ended', oneOff('2026-10-19T02:00:00Z', '2026-10-19T03:00:00Z'), false]
+        ])('should judge %s', (label, shift, covered) => {
+            expect(availability.shiftCovers(shift, NOW)).toBe(covered);
+        });
+    });
+
+    // ============================================================================
+    // Test 2: computeAvailability
+    // ============================================================================
+    describe('Test 2: computeAvailability - Heartbeat, Shift and Override', () => {
+        const online = { lastSeenAt: new Date(NOW.getTime() - 2 * MINUTE), availabilityOverride: null, documentsVerifiedUntil: VERIFIED_UNTIL };
+        const onShift = [weekly(2, 9 * 60, 17 * 60)];
+
+        it('should be available when online during a shift', () => {
+            expect(availability.computeAvailability(online, onShift, NOW)).toEqual({
+                available: true, online: true, onShift: true, override: null, documentsVerified: true
+            });
+        });
+
+        it('should go offline once heartbeats stop for DRIVER_HEARTBEAT_TIMEOUT_MINUTES', () => {
+            process.env.DRIVER_HEARTBEAT_TIMEOUT_MINUTES = '1';
+
+            const state = availability.computeAvailability(online, onShift, NOW);
+
+            expect(state.online).toBe(false);
+            expect(state.available).toBe(false);
+        });
+
+        it.each([
+            ['available off shift', 'available', [], true],
+            ['unavailable on shift', 'unavailable', onShift, false]
+        ])('should follow an override of %s', (label, override, shifts, available) => {
+            const driver = { ...online, availabilityOverride: override };
+
+            expect(availability.computeAvailability(driver, shifts, NOW).available).toBe(available);
+        });
+
+        it('should never make a suspended or silent driver available', () => {
+            const suspended = { ...online, suspended: true, availabilityOverride: 'available' };
+            const silent = { lastSeenAt: null, availabilityOverride: 'available' };
+
+            expect(availability.computeAvailability(suspended, onShift, NOW).available).toBe(false);
+            expect(availability.computeAvailability(silent, onShift, NOW).available).toBe(false);
+        });
+
+        it.each([
+            ['never verified', null],
+            ['expired this morning', new Date('2026-10-20T00:00:00Z')]
+        ])('should keep a driver whose documents are %s unavailable', (label, documentsVerifiedUntil) => {
+            // GIVEN: Online, on shift and overridden to available
+            const driver = { ...online, availabilityOverride: 'available', documentsVerifiedUntil };
+
+            // WHEN: Availability is computed
+            const state = availability.computeAvailability(driver, onShift, NOW);
+
+            // THEN: Documents gate everything else
+            expect(state).toMatchObject({ available: false, online: true, onShift: true, documentsVerified: false });
+            expect(availability.documentsVerified(driver, NOW)).toBe(false);
+        });
+    });
+
+    // ============================================================================
+    // Test 3: Heartbeats and the sweep
+    // ============================================================================
+    describe('Test 3: recordHeartbeat / sweepAvailability - Stored Flag Follows The Rules', () => {
+        it('should store the location and time of a heartbeat and switch the driver on', async () => {
+            // GIVEN: Offline driver with a shift right now
+            const driver = { _id: DRIVER_ID, isAvailable: false, lastSeenAt: NOW, availabilityOverride: null, documentsVerifiedUntil: VERIFIED_UNTIL };
+            jest.spyOn(DeliveryPersonnel, 'findByIdAndUpdate').mockResolvedValue(driver);
+            jest.spyOn(DeliveryPersonnel, 'updateOne').mockResolvedValue({});
+            jest.spyOn(DriverShift, 'find').mockResolvedValue([weekly(2, 9 * 60, 17 * 60)]);
+            const location = { type: 'Point', coordinates: [106.7, 10.77] };
+
+            // WHEN: The app reports its location
+            const { state } = await availability.recordHeartbeat(DRIVER_ID, location, NOW);
+
+            // THEN: lastSeenAt and location saved, computed flag stored
+            expect(DeliveryPersonnel.findByIdAndUpdate).toHaveBeenCalledWith(
+                DRIVER_ID,
+                { $set: { lastSeenAt: NOW, currentLocation: location } },
+                { new: true }
+            );
+            expect(state.available).toBe(true);
+            expect(DeliveryPersonnel.updateOne).toHaveBeenCalledWith({ _id: DRIVER_ID }, { $set: { isAvailable: true } });
+        });
+
+        it('should not write when the flag is unchanged', async () => {
+            const driver = { _id: DRIVER_ID, isAvailable: true, lastSeenAt: NOW, availabilityOverride: 'available', documentsVerifiedUntil: VERIFIED_UNTIL };
+            jest.spyOn(DriverShift, 'find').mockResolvedValue([]);
+            jest.spyOn(DeliveryPersonnel, 'updateOne');
+
+            await availability.refreshAvailability(driver, NOW);
+
+            expect(DeliveryPersonnel.updateOne).not.toHaveBeenCalled();
+        });
+
+        it('should switch off silent drivers and on drivers whose shift started', async () => {
+            // GIVEN: One driver gone quiet, one online whose shift just began, one unchanged
+            const quiet = { _id: 'd-quiet', isAvailable: true, lastSeenAt: new Date(NOW.getTime() - 30 * MINUTE) };
+            const starting = { _id: 'd-start', isAvailable: false, lastSeenAt: NOW, documentsVerifiedUntil: VERIFIED_UNTIL };
+            const steady = { _id: 'd-steady', isAvailable: true, lastSeenAt: NOW, availabilityOverride: 'available', documentsVerifiedUntil: VERIFIED_UNTIL };
+            const select = jest.fn().mockResolvedValue([quiet, starting, steady]);
+            jest.spyOn(DeliveryPersonnel, 'find').mockReturnValue({ select });
+            jest.spyOn(DriverShift, 'find').mockResolvedValue([{ driverId: 'd-start', ...weekly(2, 9 * 60 + 30, 12 * 60) }]);
+            jest.spyOn(DeliveryPersonnel, 'bulkWrite').mockResolvedValue({});
+
+            // WHEN: The sweep runs
+            const changed = await availability.sweepAvailability(NOW);
+
+            // THEN: Two flags flipped in one write
+            expect(changed).toBe(2);
+            expect(DeliveryPersonnel.bulkWrite).toHaveBeenCalledWith([
+                { updateOne: { filter: { _id: 'd-quiet' }, update: { $set: { isAvailable: false } } } },
+                { updateOne: { filter: { _id: 'd-start' }, update: { $set: { isAvailable: true } } } }
+            ]);
+        });
+
+        it('should reject unknown overrides', async () => {
+            jest.spyOn(DeliveryPersonnel, 'findByIdAndUpdate');
+
+            await expect(availability.setOverride(DRIVER_ID, 'sometimes')).rejects.toThrow(ShiftError);
+            expect(DeliveryPersonnel.findByIdAndUpdate).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 4: Publishing shifts
+    // ============================================================================
+    describe('Test 4: parseShift / createShift - Valid, Non-Overlapping Shifts', () => {
+        it('should parse weekly shifts from HH:MM, allowing 24:00 as the end', () => {
+            expect(availability.parseShift({ kind: 'weekly', dayOfWeek: 5, start: '18:00', end: '24:00' }, NOW))
+                .toEqual({ kind: 'weekly', dayOfWeek: 5, startMinute: 1080, endMinute: 1440 });
+        });
+
+        it.each([
+            ['an unknown kind', { kind: 'monthly' }],
+            ['a weekday out of range', { kind: 'weekly', dayOfWeek: 7, start: '09:00', end: '10:00' }],
+            ['an overnight weekly shift', { kind: 'weekly', dayOfWeek: 1, start: '22:00', end: '02:00' }],
+            ['a malformed time', { kind: 'weekly', dayOfWeek: 1, start: '9am', end: '10:00' }],
+            ['a one-off over 24 hours', { kind: 'one-off', startsAt: '2026-10-21T00:00:00Z', endsAt: '2026-10-22T01:00:00Z' }],
+            ['a one-off in the past', { kind: 'one-off', startsAt: '2026-10-01T00:00:00Z', endsAt: '2026-10-01T04:00:00Z' }]
+        ])('should reject %s', (label, body) => {
+            expect(() => availability.parseShift(body, NOW)).toThrow(ShiftError);
+        });
+
+        it('should refuse a shift overlapping one of the same kind with 409', async () => {
+            jest.spyOn(DriverShift, 'find').mockResolvedValue([weekly(2, 9 * 60, 12 * 60)]);
+            jest.spyOn(DriverShift, 'create');
+
+            const error = await availability
+                .createShift({ _id: DRIVER_ID }, { kind: 'weekly', dayOfWeek: 2, start: '11:00', end: '14:00' }, NOW)
+                .catch((err) => err);
+
+            expect(error).toBeInstanceOf(ShiftError);
+            expect(error.statusCode).toBe(409);
+            expect(DriverShift.create).not.toHaveBeenCalled();
+        });
+
+        it('should save the shift and recompute availability', async () => {
+            const driver = { _id: DRIVER_ID, isAvailable: false, lastSeenAt: NOW, availabilityOverride: null, documentsVerifiedUntil: VERIFIED_UNTIL };
+            jest.spyOn(DriverShift, 'find')
+                .mockResolvedValueOnce([weekly(2, 13 * 60, 17 * 60)])
+                .mockResolvedValueOnce([weekly(2, 13 * 60, 17 * 60), weekly(2, 9 * 60, 12 * 60)]);
+            jest.spyOn(DriverShift, 'create').mockImplementation(async (doc) => ({ _id: 'shift-1', ...doc }));
+            jest.spyOn(DeliveryPersonnel, 'updateOne').mockResolvedValue({});
+
+            const shift = await availability.createShift(driver, { kind: 'weekly', dayOfWeek: 2, start: '09:00', end: '12:00' }, NOW);
+
+            expect(DriverShift.create).toHaveBeenCalledWith({
+                driverId: DRIVER_ID, kind: 'weekly', dayOfWeek: 2, startMinute: 540, endMinute: 720
+            });
+            expect(availability.formatShift(shift)).toEqual({
+                id: 'shift-1', kind: 'weekly', dayOfWeek: 2, start: '09:00', end: '12:00'
+            });
+            expect(driver.isAvailable).toBe(true);
+        });
+
+        it('should answer 404 for a shift id that is not the driver\'s', async () => {
+            jest.spyOn(DriverShift, 'findOneAndDelete').mockResolvedValue(null);
+
+            await expect(availability.deleteShift({ _id: DRIVER_ID }, 'not-an-id')).rejects.toMatchObject({ statusCode: 404 });
+            expect(DriverShift.findOneAndDelete).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 5: Roster
+    // ============================================================================
+    describe('Test 5: buildRoster - Drivers Scheduled Per Hour', () => {
+        it('should count each driver once per hour their shifts touch', async () => {
+            // GIVEN: Tuesday; a weekly 09:00-11:30 shift and a one-off 10:00-13:00 local for another driver
+            jest.spyOn(DriverShift, 'find').mockResolvedValue([
+                { driverId: 'd1', ...weekly(2, 9 * 60, 11 * 60 + 30) },
+                { driverId: 'd1', ...oneOff('2026-10-20T03:00:00Z', '2026-10-20T03:30:00Z') },
+                { driverId: 'd2', ...oneOff('2026-10-20T03:00:00Z', '2026-10-20T06:00:00Z') }
+            ]);
+            const select = jest.fn().mockResolvedValue([
+                { _id: 'd1', firstName: 'An', lastName: 'Tran', vehicleType: 'bike', isAvailable: true },
+                { _id: 'd2', firstName: 'Binh', lastName: 'Le', vehicleType: 'car', isAvailable: false }
+            ]);
+            jest.spyOn(DeliveryPersonnel, 'find').mockReturnValue({ select });
+
+            // WHEN: Building the roster for that day
+            const roster = await availability.buildRoster('2026-10-20');
+
+            // THEN: Weekly shifts for Tuesday and one-offs overlapping the local day were loaded
+            expect(DriverShift.find.mock.calls[0][0]).toEqual({
+                $or: [
+                    { kind: 'weekly', dayOfWeek: 2 },
+                    {
+                        kind: 'one-off',
+                        startsAt: { $lt: new Date('2026-10-20T17:00:00Z') },
+                        endsAt: { $gt: new Date('2026-10-19T17:00:00Z') }
+                    }
+                ]
+            });
+            expect(roster.timezone).toBe('Asia/Ho_Chi_Minh');
+            const scheduled = roster.hours.map((h) => h.scheduled);
+            expect(scheduled.slice(8, 14)).toEqual([0, 1, 2, 2, 1, 0]);
+            expect(roster.hours[10].driverIds).toEqual(['d1', 'd2']);
+            expect(roster.drivers).toHaveLength(2);
+        });
+
+        it('should leave out drivers filtered by vehicle type', async () => {
+            jest.spyOn(DriverShift, 'find').mockResolvedValue([{ driverId: 'd2', ...weekly(2, 0, 60) }]);
+            const select = jest.fn().mockResolvedValue([]);
+            jest.spyOn(DeliveryPersonnel, 'find').mockReturnValue({ select });
+
+            const roster = await availability.buildRoster('2026-10-20', { vehicleType: 'bike' });
+
+            expect(DeliveryPersonnel.find.mock.calls[0][0]).toMatchObject({ vehicleType: 'bike', suspended: { $ne: true } });
+            expect(roster.hours[0].scheduled).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,204 @@
+// backend/auth-service/test/unit/driverDocumentController.test.js
+jest.mock('../../utils/audit', () => ({ recordAudit: jest.fn() }));
+jest.mock('../../utils/driverDocuments', () => {
+    const actual = jest.requireActual('../../utils/driverDocuments');
+    return {
+        ...actual,
+        submitDocument: jest.fn(),
+        listQueue: jest.fn(),
+        reviewDocument: jest.fn(),
+        documentFile: jest.fn()
+    };
+});
+
+const { recordAudit } = require('../../utils/audit');
+const documents = require('../../utils/driverDocuments');
+const controller = require('../../controllers/driverDocumentController');
+
+const { DriverDocumentError } = documents;
+
+const DRIVER_ID = '64b0000000000000000000d1';
+const ADMIN_ID = '663f1c2e9b1e8a00123456aa';
+const EXPIRES = new Date('2030-01-31T00:00:00Z');
+
+const license = (fields = {}) => ({
+    type: 'license',
+    file: 'stored.jpg',
+    originalName: 'license.jpg',
+    mimeType: 'image/jpeg',
+    size: 120000,
+    status: 'pending',
+    expiresAt: EXPIRES,
+    uploadedAt: new Date('2026-10-19T03:00:00Z'),
+    ...fields
+});
+
+describe('DriverDocumentController Unit Tests - Shopee QA Standards', () => {
+    let req, res, next;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        req = {
+            params: {},
+            query: {},
+            body: {},
+            headers: {},
+            user: { id: DRIVER_ID, role: 'delivery' },
+            account: { _id: DRIVER_ID, documents: [], documentsVerifiedUntil: null }
+        };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis(),
+            set: jest.fn().mockReturnThis(),
+            type: jest.fn().mockReturnThis(),
+            sendFile: jest.fn(),
+            headersSent: false
+        };
+        next = jest.fn();
+    });
+
+    // ============================================================================
+    // Test 1: uploadDocument
+    // ============================================================================
+    describe('Test 1: uploadDocument - Driver Uploads A Document', () => {
+        it('should answer 201 with the document and what is still missing', async () => {
+            // GIVEN: A first license upload
+            req.params.type = 'license';
+            req.file = { filename: 'stored.jpg' };
+            req.body = { expiresAt: '2030-01-31' };
+            documents.submitDocument.mockImplementation(async (driver) => {
+                driver.documents.push(license());
+                return { document: license(), replaced: false };
+            });
+
+            // WHEN: uploadDocument is called
+            await controller.uploadDocument(req, res, next);
+
+            // THEN: Stored against the signed-in driver and audited
+            expect(documents.submitDocument).toHaveBeenCalledWith(req.account, 'license', req.file, { expiresAt: '2030-01-31' });
+            expect(res.status).toHaveBeenCalledWith(201);
+            const { data } = res.json.mock.calls[0][0];
+            expect(data.document).toMatchObject({ type: 'license', status: 'pending' });
+            expect(data.document).not.toHaveProperty('file');
+            expect(data.verification).toMatchObject({ verified: false, missing: ['license', 'national-id', 'vehicle-registration'] });
+            expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'driver.document.upload',
+                target: { type: 'delivery', id: DRIVER_ID },
+                details: { replaced: false }
+            }));
+        });
+
+        it('should answer 200 when an earlier upload was replaced', async () => {
+            req.params.type = 'license';
+            documents.submitDocument.mockResolvedValue({ document: license(), replaced: true });
+
+            await controller.uploadDocument(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        it('should answer with the status of a DriverDocumentError', async () => {
+            documents.submitDocument.mockRejectedValue(new DriverDocumentError('This document has already expired.'));
+
+            await controller.uploadDocument(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'This document has already expired.' });
+            expect(recordAudit).not.toHaveBeenCalled();
+            expect(next).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 2: Review queue and files
+    // ============================================================================
+    describe('Test 2: getReviewQueue / getDocumentFile - Admin Review', () => {
+        it('should pass the filters through and count the entries', async () => {
+            req.query = { status: 'expiring', days: '14' };
+            const entry = { driver: { id: DRIVER_ID }, document: { type: 'license' } };
+            documents.listQueue.mockResolvedValue([entry]);
+
+            await controller.getReviewQueue(req, res, next);
+
+            expect(documents.listQueue).toHaveBeenCalledWith({ status: 'expiring', days: '14' });
+            expect(res.json).toHaveBeenCalledWith({ status: 'success', results: 1, data: { documents: [entry] } });
+        });
+
+        it('should send the stored image privately', async () => {
+            req.params = { id: DRIVER_ID, type: 'license' };
+            documents.documentFile.mockResolvedValue({ path: '/data/driver-documents/stored.jpg', mimeType: 'image/jpeg' });
+
+            await controller.getDocumentFile(req, res, next);
+
+            expect(res.set).toHaveBeenCalledWith('Cache-Control', 'private, no-store');
+            expect(res.set).toHaveBeenCalledWith('X-Content-Type-Options', 'nosniff');
+            expect(res.type).toHaveBeenCalledWith('image/jpeg');
+            expect(res.sendFile.mock.calls[0][0]).toBe('/data/driver-documents/stored.jpg');
+        });
+
+        it('should answer 404 when the file is gone from disk', async () => {
+            req.params = { id: DRIVER_ID, type: 'license' };
+            documents.documentFile.mockResolvedValue({ path: '/data/driver-documents/stored.jpg', mimeType: 'image/jpeg' });
+            res.sendFile.mockImplementation((file, cb) => cb(Object.assign(new Error('ENOENT'), { status: 404 })));
+
+            await controller.getDocumentFile(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith({ message: 'The document file is missing.' });
+        });
+    });
+
+    // ============================================================================
+    // Test 3: reviewDocument
+    // ============================================================================
+    describe('Test 3: reviewDocument - Verify Or Reject', () => {
+        it('should review as the signed-in admin and audit the transition', async () => {
+            // GIVEN: An admin rejecting a license
+            req.user = { id: ADMIN_ID, role: 'admin' };
+            req.params = { id: DRIVER_ID, type: 'license' };
+            req.body = { decision: 'reject', note: 'Blurry' };
+            const document = license({ status: 'rejected', note: 'Blurry' });
+            documents.reviewDocument.mockResolvedValue({
+                driver: { _id: DRIVER_ID, documents: [document] },
+                document,
+                before: 'pending'
+            });
+
+            // WHEN: reviewDocument is called
+            await controller.reviewDocument(req, res, next);
+
+            // THEN: Decision recorded with before and after
+            expect(documents.reviewDocument).toHaveBeenCalledWith(DRIVER_ID, 'license', ADMIN_ID, req.body);
+            expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'driver.document.reject',
+                target: { type: 'delivery', id: DRIVER_ID },
+                before: { type: 'license', status: 'pending' },
+                after: { type: 'license', status: 'rejected', expiresAt: EXPIRES },
+                details: { note: 'Blurry' }
+            }));
+            expect(res.json.mock.calls[0][0].data.document).toMatchObject({ status: 'rejected', note: 'Blurry' });
+        });
+
+        it('should answer 409 for a document in the wrong state', async () => {
+            req.params = { id: DRIVER_ID, type: 'license' };
+            req.body = { decision: 'verify' };
+            documents.reviewDocument.mockRejectedValue(
+                new DriverDocumentError('Only pending documents can be verified; this one is verified.', 409)
+            );
+
+            await controller.reviewDocument(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(recordAudit).not.toHaveBeenCalled();
+        });
+
+        it('should hand unexpected errors to next', async () => {
+            const error = new Error('db down');
+            documents.reviewDocument.mockRejectedValue(error);
+
+            await controller.reviewDocument(req, res, next);
+
+            expect(next).toHaveBeenCalledWith(error);
+        });
+    });
+});
@@ -0,0 +1,99 @@
+// backend/auth-service/test/unit/driverDocumentUpload.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { uploadDriverDocument } = require('../../middlewares/driverDocumentUpload');
+
+// Smallest valid-looking JPEG header; multer only checks name and mimetype
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+
+describe('DriverDocumentUpload Middleware Unit Tests - Shopee QA Standards', () => {
+    let app, dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'driver-documents-'));
+        process.env.DRIVER_DOCUMENTS_DIR = path.join(dir, 'store');
+        delete process.env.DRIVER_DOCUMENT_MAX_MB;
+
+        app = express();
+        app.put('/upload', uploadDriverDocument, (req, res) => {
+            res.json({ file: req.file, body: req.body });
+        });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        delete process.env.DRIVER_DOCUMENTS_DIR;
+    });
+
+    // ============================================================================
+    // Test 1: Accepted uploads
+    // ============================================================================
+    describe('Test 1: Images Are Stored Under A Random Name', () => {
+        it('should store a JPEG in DRIVER_DOCUMENTS_DIR and keep the form fields', async () => {
+            // WHEN: A license photo is uploaded with its expiry
+            const response = await request(app)
+                .put('/upload')
+                .field('expiresAt', '2030-01-31')
+                .attach('file', JPEG, { filename: 'My License.JPG', contentType: 'image/jpeg' })
+                .expect(200);
+
+            // THEN: The file lands in the configured directory, renamed
+            const { file, body } = response.body;
+            expect(body).toEqual({ expiresAt: '2030-01-31' });
+            expect(file.originalname).toBe('My License.JPG');
+            expect(file.filename).toMatch(/^[0-9a-f-]{36}\.jpg$/);
+            expect(fs.existsSync(path.join(process.env.DRIVER_DOCUMENTS_DIR, file.filename))).toBe(true);
+        });
+    });
+
+    // ============================================================================
+    // Test 2: Refused uploads
+    // ============================================================================
+    describe('Test 2: Upload Problems Answer 400', () => {
+        it('should refuse files that are not images', async () => {
+            const response = await request(app)
+                .put('/upload')
+                .attach('file', Buffer.from('%PDF-1.7'), { filename: 'license.pdf', contentType: 'application/pdf' })
+                .expect(400);
+
+            expect(response.body).toEqual({ message: 'Only .jpg, .jpeg, .png files are allowed!' });
+        });
+
+        it.each([
+            ['a content type that only contains "png"', 'license.png', 'text/html+png'],
+            ['an extension that only contains "png"', 'license.apng', 'image/png'],
+            ['a content type that only starts like a JPEG', 'license.jpg', 'image/jpeg2000']
+        ])('should refuse %s', async (label, filename, contentType) => {
+            const response = await request(app)
+                .put('/upload')
+                .attach('file', JPEG, { filename, contentType })
+                .expect(400);
+
+            expect(response.body).toEqual({ message: 'Only .jpg, .jpeg, .png files are allowed!' });
+        });
+
+        it('should refuse files over DRIVER_DOCUMENT_MAX_MB', async () => {
+            process.env.DRIVER_DOCUMENT_MAX_MB = '1';
+            const large = Buffer.concat([JPEG, Buffer.alloc(1024 * 1024)]);
+
+            const response = await request(app)
+                .put('/upload')
+                .attach('file', large, { filename: 'license.png', contentType: 'image/png' })
+                .expect(400);
+
+            expect(response.body).toEqual({ message: 'The file must be at most 1 MB.' });
+        });
+
+        it('should refuse a file sent under another field name', async () => {
+            const response = await request(app)
+                .put('/upload')
+                .attach('image', JPEG, { filename: 'license.jpg', contentType: 'image/jpeg' })
+                .expect(400);
+
+            expect(response.body).toEqual({ message: 'Send one image as the "file" field.' });
+        });
+    });
+});
@@ -0,0 +1,395 @@
+// backend/auth-service/test/unit/driverDocuments.test.js
+jest.mock('../../utils/driverAvailability', () => {
+    const actual = jest.requireActual('../../utils/driverAvailability');
+    return { ...actual, refreshAvailability: jest.fn().mockResolvedValue({}) };
+});
+jest.mock('../../utils/emailService', () => ({ sendEmailNotification: jest.fn().mockResolvedValue({ id: 'm1' }) }));
+
+const fs = require('fs');
+const path = require('path');
+const DeliveryPersonnel = require('../../models/DeliveryPersonnel');
+const { refreshAvailability } = require('../../utils/driverAvailability');
+const { sendEmailNotification } = require('../../utils/emailService');
+const documents = require('../../utils/driverDocuments');
+
+const { DriverDocumentError } = documents;
+
+const DRIVER_ID = '64b0000000000000000000d1';
+const REVIEWER_ID = '663f1c2e9b1e8a00123456aa';
+const NOW = new Date('2026-10-19T03:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(NOW.getTime() + days * DAY);
+
+const upload = (name = 'license.jpg') => ({
+    filename: `stored-${name}`,
+    originalname: name,
+    mimetype: 'image/jpeg',
+    size: 120000
+});
+
+const doc = (type, status, expiresAt, fields = {}) => ({
+    type, file: `${type}.jpg`, status, expiresAt, uploadedAt: inDays(-3), ...fields
+});
+
+const allVerified = () => [
+    doc('license', 'verified', inDays(400)),
+    doc('national-id', 'verified', inDays(90)),
+    doc('vehicle-registration', 'verified', inDays(200))
+];
+
+const makeDriver = (fields = {}) => {
+    const driver = new DeliveryPersonnel({
+        _id: DRIVER_ID,
+        firstName: 'Binh',
+        lastName: 'Le',
+        email: 'binh@example.com',
+        phone: '0901234567',
+        password: 'hashed-password',
+        vehicleType: 'bike',
+        licenseNumber: 'B2-123456',
+        ...fields
+    });
+    driver.save = jest.fn().mockResolvedValue(driver);
+    return driver;
+};
+
+describe('Driver Documents Unit Tests - Shopee QA Standards', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+        jest.spyOn(fs.promises, 'unlink').mockResolvedValue();
+        delete process.env.DRIVER_DOCUMENTS_DIR;
+    });
+
+    // ============================================================================
+    // Test 1: Status and verification
+    // ============================================================================
+    describe('Test 1: statusOf / verifiedUntil - What Counts As Verified', () => {
+        it('should mark pending and verified documents past their expiry as expired', () => {
+            expect(documents.statusOf(doc('license', 'verified', inDays(-1)), NOW)).toBe('expired');
+            expect(documents.statusOf(doc('license', 'pending', inDays(-1)), NOW)).toBe('expired');
+            expect(documents.statusOf(doc('license', 'rejected', inDays(-1)), NOW)).toBe('rejected');
+            expect(documents.statusOf(doc('license', 'verified', inDays(1)), NOW)).toBe('verified');
+        });
+
+        it('should take the earliest expiry once every required document is verified', () => {
+            expect(documents.verifiedUntil({ documents: allVerified() })).toEqual(inDays(90));
+        });
+
+        it.each([
+            ['one is missing', allVerified().slice(0, 2)],
+            ['one is pending', [...allVerified().slice(0, 2), doc('vehicle-registration', 'pending', inDays(200))]],
+            ['nothing was uploaded', []]
+        ])('should be null when %s', (label, list) => {
+            expect(documents.verifiedUntil({ documents: list })).toBeNull();
+        });
+
+        it('should tell the driver what is still missing', () => {
+            const driver = makeDriver({
+                documents: [doc('license', 'verified', inDays(-2)), doc('national-id', 'verified', inDays(90))]
+            });
+
+            const verification = documents.formatVerification(driver, NOW);
+
+            expect(verification.verified).toBe(false);
+            expect(verification.missing).toEqual(['license', 'vehicle-registration']);
+            expect(verification.documents.map((d) => d.status)).toEqual(['expired', 'verified']);
+            expect(verification.documents[0]).not.toHaveProperty('file');
+        });
+
+        it('should store files under DRIVER_DOCUMENTS_DIR', () => {
+            expect(documents.documentsDir()).toBe(path.join(process.cwd(), 'driver-documents'));
+
+            process.env.DRIVER_DOCUMENTS_DIR = '/data/driver-documents';
+            expect(documents.documentsDir()).toBe('/data/driver-documents');
+        });
+    });
+
+    // ============================================================================
+    // Test 2: Uploads
+    // ============================================================================
+    describe('Test 2: submitDocument - Uploads Wait For Review', () => {
+        it('should add a pending document and recompute availability', async () => {
+            // GIVEN: A driver with nothing uploaded
+            const driver = makeDriver();
+
+            // WHEN: The license is uploaded
+            const { document, replaced } = await documents.submitDocument(
+                driver, 'license', upload(), { expiresAt: '2030-01-31' }, NOW
+            );
+
+            // THEN: Stored pending, driver saved, availability refreshed
+            expect(replaced).toBe(false);
+            expect(document).toMatchObject({
+                type: 'license', file: 'stored-license.jpg', originalName: 'license.jpg', status: 'pending'
+            });
+            expect(document.expiresAt).toEqual(new Date('2030-01-31'));
+            expect(driver.documentsVerifiedUntil).toBeNull();
+            expect(driver.save).toHaveBeenCalled();
+            expect(refreshAvailability).toHaveBeenCalledWith(driver, NOW);
+            expect(fs.promises.unlink).not.toHaveBeenCalled();
+        });
+
+        it('should replace a verified document, take the driver out of dispatch and delete the old file', async () => {
+            // GIVEN: A fully verified driver
+            const driver = makeDriver({ documents: allVerified(), documentsVerifiedUntil: inDays(90) });
+
+            // WHEN: A new national ID is uploaded
+            const { document, replaced } = await documents.submitDocument(
+                driver, 'national-id', upload('id.png'), { expiresAt: inDays(3650).toISOString() }, NOW
+            );
+
+            // THEN: One document per type, the new one pending
+            expect(replaced).toBe(true);
+            expect(document.status).toBe('pending');
+            expect(driver.documents).toHaveLength(3);
+            expect(driver.documentsVerifiedUntil).toBeNull();
+            expect(fs.promises.unlink).toHaveBeenCalledWith(path.join(documents.documentsDir(), 'national-id.jpg'));
+        });
+
+        it.each([
+            ['an unknown type', 'passport', { expiresAt: '2030-01-31' }, 'Document type must be one of'],
+            ['a missing expiry', 'license', {}, 'expiresAt must be'],
+            ['an unreadable expiry', 'license', { expiresAt: 'soon' }, 'expiresAt must be'],
+            ['an expired document', 'license', { expiresAt: '2026-10-01' }, 'already expired']
+        ])('should refuse %s and delete the uploaded file', async (label, type, body, message) => {
+            const driver = makeDriver();
+
+            const error = await documents.submitDocument(driver, type, upload(), body, NOW).catch((err) => err);
+
+            expect(error).toBeInstanceOf(DriverDocumentError);
+            expect(error.statusCode).toBe(400);
+            expect(error.message).toContain(message);
+            expect(fs.promises.unlink).toHaveBeenCalledWith(path.join(documents.documentsDir(), 'stored-license.jpg'));
+            expect(driver.save).not.toHaveBeenCalled();
+        });
+
+        it('should store the type of the accepted extension, never the one the client sent', async () => {
+            // GIVEN: A PNG upload whose request claimed an HTML body
+            const driver = makeDriver();
+            const file = { ...upload('id.png'), mimetype: 'text/html' };
+
+            // WHEN: It is stored
+            const { document } = await documents.submitDocument(driver, 'national-id', file, { expiresAt: '2030-01-31' }, NOW);
+
+            // THEN: Served later as a PNG
+            expect(document.mimeType).toBe('image/png');
+        });
+
+        it('should refuse a stored file without an image extension and delete it', async () => {
+            const driver = makeDriver();
+
+            const error = await documents.submitDocument(driver, 'license', upload('license.html'), { expiresAt: '2030-01-31' }, NOW)
+                .catch((err) => err);
+
+            expect(error).toBeInstanceOf(DriverDocumentError);
+            expect(error.statusCode).toBe(400);
+            expect(fs.promises.unlink).toHaveBeenCalledWith(path.join(documents.documentsDir(), 'stored-license.html'));
+            expect(driver.save).not.toHaveBeenCalled();
+        });
+
+        it('should ask for the file when none was sent', async () => {
+            await expect(documents.submitDocument(makeDriver(), 'license', undefined, { expiresAt: '2030-01-31' }, NOW))
+                .rejects.toMatchObject({ statusCode: 400, message: 'Attach the document image as the "file" field.' });
+        });
+    });
+
+    // ============================================================================
+    // Test 3: Review
+    // ============================================================================
+    describe('Test 3: reviewDocument - Verify Or Reject With A Reason', () => {
+        const findReturns = (driver) => jest.spyOn(DeliveryPersonnel, 'findById').mockResolvedValue(driver);
+
+        it('should verify the last pending document and tell the driver they are cleared', async () => {
+            // GIVEN: Two verified documents and a pending registration
+            const driver = makeDriver({
+                documents: [...allVerified().slice(0, 2), doc('vehicle-registration', 'pending', inDays(200))]
+            });
+            findReturns(driver);
+
+            // WHEN: The reviewer verifies it, correcting the expiry
+            const { document, before } = await documents.reviewDocument(
+                DRIVER_ID, 'vehicle-registration', REVIEWER_ID, { decision: 'verify', expiresAt: inDays(60).toISOString() }, NOW
+            );
+
+            // THEN: Verified with the reviewer recorded; the earliest expiry now gates dispatch
+            expect(before).toBe('pending');
+            expect(document).toMatchObject({ status: 'verified', reviewedAt: NOW });
+            expect(String(document.reviewedBy)).toBe(REVIEWER_ID);
+            expect(driver.documentsVerifiedUntil).toEqual(inDays(60));
+            expect(refreshAvailability).toHaveBeenCalledWith(driver, NOW);
+            expect(sendEmailNotification).toHaveBeenCalledWith(
+                'binh@example.com', 'Your driver documents are verified', expect.any(String), expect.any(String)
+            );
+        });
+
+        it('should not email when other documents are still unverified', async () => {
+            findReturns(makeDriver({ documents: [doc('license', 'pending', inDays(400))] }));
+
+            await documents.reviewDocument(DRIVER_ID, 'license', REVIEWER_ID, { decision: 'verify' }, NOW);
+
+            expect(sendEmailNotification).not.toHaveBeenCalled();
+        });
+
+        it('should reject a verified document with the reason and email it to the driver', async () => {
+            // GIVEN: A fully verified driver
+            const driver = makeDriver({ documents: allVerified(), documentsVerifiedUntil: inDays(90) });
+            findReturns(driver);
+
+            // WHEN: The license turns out to be forged
+            const { document } = await documents.reviewDocument(
+                DRIVER_ID, 'license', REVIEWER_ID, { decision: 'reject', note: '  Photo is edited  ' }, NOW
+            );
+
+            // THEN: Rejected, driver out of dispatch, reason in the email
+            expect(document).toMatchObject({ status: 'rejected', note: 'Photo is edited' });
+            expect(driver.documentsVerifiedUntil).toBeNull();
+            const [, subject, html, text] = sendEmailNotification.mock.calls[0];
+            expect(subject).toBe("Your driver's license was not accepted");
+            expect(text).toContain('Reason: Photo is edited');
+            expect(html).toContain('driver&#39;s license');
+        });
+
+        it.each([
+            ['an unknown decision', 'license', { decision: 'approve' }, 400],
+            ['a rejection without a reason', 'license', { decision: 'reject', note: ' ' }, 400],
+            ['an unknown document type', 'passport', { decision: 'verify' }, 400],
+            ['a document never uploaded', 'vehicle-registration', { decision: 'verify' }, 404],
+            ['verifying an already verified document', 'national-id', { decision: 'verify' }, 409],
+            ['rejecting an already rejected document', 'license', { decision: 'reject', note: 'Blurry' }, 409],
+            ['verifying a document that expired while waiting', 'license-expired', { decision: 'verify' }, 409]
+        ])('should refuse %s', async (label, type, review, statusCode) => {
+            const driver = makeDriver({
+                documents: type === 'license-expired'
+                    ? [doc('license', 'pending', inDays(-1))]
+                    : [doc('license', 'rejected', inDays(400)), doc('national-id', 'verified', inDays(90))]
+            });
+            findReturns(driver);
+
+            const error = await documents
+                .reviewDocument(DRIVER_ID, type.replace('-expired', ''), REVIEWER_ID, review, NOW)
+                .catch((err) => err);
+
+            expect(error).toBeInstanceOf(DriverDocumentError);
+            expect(error.statusCode).toBe(statusCode);
+            expect(driver.save).not.toHaveBeenCalled();
+        });
+
+        it('should answer 404 for an unknown driver without querying a malformed id', async () => {
+            jest.spyOn(DeliveryPersonnel, 'findById');
+
+            await expect(documents.reviewDocument('nope', 'license', REVIEWER_ID, { decision: 'verify' }, NOW))
+                .rejects.toMatchObject({ statusCode: 404 });
+            expect(DeliveryPersonnel.findById).not.toHaveBeenCalled();
+        });
+
+        it('should keep the decision when the email cannot be sent', async () => {
+            const driver = makeDriver({ documents: [doc('license', 'pending', inDays(400))] });
+            findReturns(driver);
+            sendEmailNotification.mockRejectedValueOnce(new Error('SMTP down'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            const { document } = await documents.reviewDocument(
+                DRIVER_ID, 'license', REVIEWER_ID, { decision: 'reject', note: 'Blurry' }, NOW
+            );
+
+            expect(document.status).toBe('rejected');
+            expect(driver.save).toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 4: Review queue
+    // ============================================================================
+    describe('Test 4: listQueue - Pending, Expiring And Expired Documents', () => {
+        const findReturns = (drivers) => {
+            const select = jest.fn().mockResolvedValue(drivers);
+            jest.spyOn(DeliveryPersonnel, 'find').mockReturnValue({ select });
+            return select;
+        };
+
+        it('should list pending documents oldest upload first, one entry per document', async () => {
+            // GIVEN: Two drivers, one with two pending documents
+            const first = makeDriver({
+                documents: [
+                    doc('license', 'pending', inDays(400), { uploadedAt: inDays(-1) }),
+                    doc('national-id', 'pending', inDays(400), { uploadedAt: inDays(-5) }),
+                    doc('vehicle-registration', 'verified', inDays(400))
+                ]
+            });
+            const second = makeDriver({
+                _id: '64b0000000000000000000d2',
+                documents: [doc('license', 'pending', inDays(400), { uploadedAt: inDays(-2) })]
+            });
+            findReturns([first, second]);
+
+            // WHEN: The default queue is read
+            const entries = await documents.listQueue({}, NOW);
+
+            // THEN: Mongo narrowed to drivers with an unexpired pending document
+            expect(DeliveryPersonnel.find).toHaveBeenCalledWith({
+                documents: { $elemMatch: { status: 'pending', expiresAt: { $gt: NOW } } }
+            });
+            expect(entries.map((e) => `${e.driver.id}:${e.document.type}`)).toEqual([
+                `${DRIVER_ID}:national-id`,
+                '64b0000000000000000000d2:license',
+                `${DRIVER_ID}:license`
+            ]);
+            expect(entries[0].driver).toMatchObject({ licenseNumber: 'B2-123456', documentsVerified: false });
+            expect(entries[0].driver).not.toHaveProperty('password');
+        });
+
+        it('should list verified documents expiring within the window, soonest first', async () => {
+            findReturns([makeDriver({ documents: allVerified(), documentsVerifiedUntil: inDays(90) })]);
+
+            const entries = await documents.listQueue({ status: 'expiring', days: '250' }, NOW);
+
+            expect(DeliveryPersonnel.find.mock.calls[0][0].documents.$elemMatch).toEqual({
+                status: 'verified', expiresAt: { $gt: NOW, $lte: inDays(250) }
+            });
+            expect(entries.map((e) => e.document.type)).toEqual(['national-id', 'vehicle-registration']);
+            expect(entries[0].driver.documentsVerified).toBe(true);
+        });
+
+        it('should list expired documents, whether verified or still pending', async () => {
+            findReturns([makeDriver({
+                documents: [doc('license', 'verified', inDays(-1)), doc('national-id', 'pending', inDays(-10))]
+            })]);
+
+            const entries = await documents.listQueue({ status: 'expired' }, NOW);
+
+            expect(DeliveryPersonnel.find.mock.calls[0][0].documents.$elemMatch).toEqual({
+                status: { $in: ['pending', 'verified'] }, expiresAt: { $lte: NOW }
+            });
+            expect(entries.map((e) => e.document.type)).toEqual(['national-id', 'license']);
+            expect(entries.every((e) => e.document.status === 'expired')).toBe(true);
+        });
+
+        it.each([
+            ['an unknown status', { status: 'approved' }],
+            ['a zero-day window', { status: 'expiring', days: '0' }],
+            ['a window over a year', { status: 'expiring', days: '366' }]
+        ])('should reject %s', async (label, filters) => {
+            jest.spyOn(DeliveryPersonnel, 'find');
+
+            await expect(documents.listQueue(filters, NOW)).rejects.toThrow(DriverDocumentError);
+            expect(DeliveryPersonnel.find).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 5: Files
+    // ============================================================================
+    describe('Test 5: documentFile - Stored Image For Reviewers', () => {
+        it('should resolve the stored file inside DRIVER_DOCUMENTS_DIR', async () => {
+            process.env.DRIVER_DOCUMENTS_DIR = '/data/driver-documents';
+            jest.spyOn(DeliveryPersonnel, 'findById').mockResolvedValue(makeDriver({
+                documents: [doc('license', 'pending', inDays(400), { file: '../../etc/passwd', mimeType: 'image/png' })]
+            }));
+
+            const file = await documents.documentFile(DRIVER_ID, 'license');
+
+            expect(file).toEqual({ path: '/data/driver-documents/passwd', mimeType: 'image/png' });
+        });
+    });
+});
@@ -0,0 +1,108 @@
+// backend/auth-service/test/unit/driverSearch.test.js
+const DeliveryPersonnel = require('../../models/DeliveryPersonnel');
+const driverSearch = require('../../utils/driverSearch');
+
+const { DriverSearchError } = driverSearch;
+
+describe('Driver Search Unit Tests - Shopee QA Standards', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    // ============================================================================
+    // Test 1: parseSearch
+    // ============================================================================
+    describe('Test 1: parseSearch - Query Strings To A Validated Search', () => {
+        it('should apply defaults around a coordinate', () => {
+            // WHEN: Only the point is given
+            const search = driverSearch.parseSearch({ lng: '106.7', lat: '10.77' });
+
+            // THEN: 5 km radius, no filters, 10 candidates
+            expect(search).toEqual({
+                longitude: 106.7,
+                latitude: 10.77,
+                radiusMeters: 5000,
+                vehicleTypes: [],
+                minRating: undefined,
+                limit: 10
+            });
+        });
+
+        it('should read every filter', () => {
+            const search = driverSearch.parseSearch({
+                lng: '106.7', lat: '10.77', radius: '1200', vehicleType: 'bike, scooter', minRating: '4.5', limit: '3'
+            });
+
+            expect(search).toMatchObject({ radiusMeters: 1200, vehicleTypes: ['bike', 'scooter'], minRating: 4.5, limit: 3 });
+        });
+
+        it.each([
+            ['a missing coordinate', { lng: '106.7' }],
+            ['a latitude off the globe', { lng: '106.7', lat: '91' }],
+            ['a zero radius', { lng: '1', lat: '1', radius: '0' }],
+            ['a radius over 50 km', { lng: '1', lat: '1', radius: '50001' }],
+            ['an unknown vehicle type', { lng: '1', lat: '1', vehicleType: 'truck' }],
+            ['a rating above 5', { lng: '1', lat: '1', minRating: '6' }],
+            ['a fractional limit', { lng: '1', lat: '1', limit: '2.5' }]
+        ])('should reject %s', (label, query) => {
+            expect(() => driverSearch.parseSearch(query)).toThrow(DriverSearchError);
+        });
+    });
+
+    // ============================================================================
+    // Test 2: findNearbyDrivers
+    // ============================================================================
+    describe('Test 2: findNearbyDrivers - $geoNear Over Available Drivers', () => {
+        it('should search the 2dsphere index with the radius, filters and limit', async () => {
+            // GIVEN: One matching driver
+            jest.spyOn(DeliveryPersonnel, 'aggregate').mockResolvedValue([{ _id: 'd1', distanceMeters: 321.6 }]);
+
+            // WHEN: Searching for cars rated 4+
+            const drivers = await driverSearch.findNearbyDrivers({
+                longitude: 106.7, latitude: 10.77, radiusMeters: 2000, vehicleTypes: ['car'], minRating: 4, limit: 5
+            });
+
+            // THEN: $geoNear first (sorted by distance), only available, unsuspended and verified drivers
+            const [geoNear, limit, project] = DeliveryPersonnel.aggregate.mock.calls[0][0];
+            expect(geoNear.$geoNear).toEqual({
+                near: { type: 'Point', coordinates: [106.7, 10.77] },
+                key: 'currentLocation',
+                distanceField: 'distanceMeters',
+                maxDistance: 2000,
+                spherical: true,
+                query: {
+                    isAvailable: true,
+                    suspended: { $ne: true },
+                    documentsVerifiedUntil: { $gt: expect.any(Date) },
+                    vehicleType: { $in: ['car'] },
+                    rating: { $gte: 4 }
+                }
+            });
+            expect(limit).toEqual({ $limit: 5 });
+            expect(project.$project).not.toHaveProperty('password');
+            expect(project.$project).not.toHaveProperty('email');
+            expect(drivers).toHaveLength(1);
+        });
+
+        it('should leave vehicle and rating unfiltered when not asked', async () => {
+            jest.spyOn(DeliveryPersonnel, 'aggregate').mockResolvedValue([]);
+
+            await driverSearch.findNearbyDrivers({ longitude: 0.5, latitude: 0.5, radiusMeters: 100, limit: 1 });
+
+            const { query } = DeliveryPersonnel.aggregate.mock.calls[0][0][0].$geoNear;
+            expect(query).toEqual({ isAvailable: true, suspended: { $ne: true }, documentsVerifiedUntil: { $gt: expect.any(Date) } });
+        });
+
+        it('should format a driver with a rounded distance', () => {
+            const location = { type: 'Point', coordinates: [106.7, 10.77] };
+
+            expect(driverSearch.formatDriver({
+                _id: 'd1', firstName: 'Binh', lastName: 'Le', phone: '0900', vehicleType: 'bike',
+                rating: 4.8, totalDeliveries: 12, currentLocation: location, distanceMeters: 321.6
+            })).toEqual({
+                id: 'd1', firstName: 'Binh', lastName: 'Le', phone: '0900', vehicleType: 'bike',
+                rating: 4.8, totalDeliveries: 12, location, distanceMeters: 322
+            });
+        });
+    });
+});
@@ -0,0 +1,117 @@
+// backend/auth-service/test/unit/emailService.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+jest.mock('resend', () => {
+    const send = jest.fn();
+    return { Resend: jest.fn(() => ({ emails: { send } })), send };
+});
+
+const { send: resendSend } = require('resend');
+const { sendEmailNotification, setTransport } = require('../../utils/emailService');
+
+describe('EmailService Unit Tests - Shopee QA Standards', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        delete process.env.MAIL_TRANSPORT;
+        setTransport(null);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        setTransport(null);
+    });
+
+    it('should print messages only when the console transport is chosen', async () => {
+        process.env.MAIL_TRANSPORT = 'console';
+        const result = await sendEmailNotification('a@b.com', 'Hi', '<p>Hi</p>', 'Hi');
+
+        expect(result.id).toMatch(/^console-/);
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining('To: a@b.com'));
+    });
+
+    it('should go through Resend, never the logs, when MAIL_TRANSPORT is unset', async () => {
+        resendSend.mockResolvedValue({ data: { id: 're-default' }, error: null });
+
+        const result = await sendEmailNotification('a@b.com', 'Reset', '<p>link</p>', 'reset link');
+
+        expect(resendSend).toHaveBeenCalled();
+        expect(result).toEqual({ id: 're-default' });
+        expect(console.log).not.toHaveBeenCalledWith('reset link');
+    });
+
+    it('should write messages to MAIL_OUTBOX_DIR with the file transport', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+        process.env.MAIL_TRANSPORT = 'file';
+        process.env.MAIL_OUTBOX_DIR = dir;
+
+        const result = await sendEmailNotification('a@b.com', 'Reset', '<p>link</p>', 'link');
+
+        const saved = JSON.parse(fs.readFileSync(path.join(dir, `${result.id}.json`), 'utf8'));
+        expect(saved).toEqual(expect.objectContaining({
+            to: 'a@b.com',
+            subject: 'Reset',
+            html: '<p>link</p>',
+            text: 'link'
+        }));
+
+        fs.rmSync(dir, { recursive: true, force: true });
+        delete process.env.MAIL_OUTBOX_DIR;
+    });
+
+    it('should delegate to a custom transport set with setTransport', async () => {
+        const transport = jest.fn().mockResolvedValue({ id: 'custom-1' });
+        setTransport(transport);
+
+        await sendEmailNotification('a@b.com', 'Subject', '<b>x</b>', 'x');
+
+        expect(transport).toHaveBeenCalledWith(expect.objectContaining({
+            to: 'a@b.com',
+            subject: 'Subject',
+            html: '<b>x</b>',
+            text: 'x',
+            from: expect.any(String)
+        }));
+    });
+
+    it('should reject unknown transports', async () => {
+        process.env.MAIL_TRANSPORT = 'pigeon';
+
+        await expect(sendEmailNotification('a@b.com', 's', 'h', 't'))
+            .rejects.toThrow('Unknown MAIL_TRANSPORT "pigeon"');
+    });
+
+    it('should rethrow transport errors', async () => {
+        setTransport(jest.fn().mockRejectedValue(new Error('provider down')));
+
+        await expect(sendEmailNotification('a@b.com', 's', 'h', 't')).rejects.toThrow('provider down');
+        expect(console.error).toHaveBeenCalled();
+    });
+
+    it('should send html and text through Resend and return its data', async () => {
+        process.env.MAIL_TRANSPORT = 'resend';
+        resendSend.mockResolvedValue({ data: { id: 're-1' }, error: null });
+
+        const result = await sendEmailNotification('a@b.com', 'Reset', '<p>link</p>', 'link');
+
+        expect(resendSend).toHaveBeenCalledWith(expect.objectContaining({
+            to: 'a@b.com',
+            subject: 'Reset',
+            html: '<p>link</p>',
+            text: 'link'
+        }));
+        expect(result).toEqual({ id: 're-1' });
+    });
+
+    it('should throw when Resend answers with an error', async () => {
+        // GIVEN: The SDK resolves instead of rejecting on API errors
+        process.env.MAIL_TRANSPORT = 'resend';
+        resendSend.mockResolvedValue({ data: null, error: { name: 'validation_error', message: 'Invalid `to` field' } });
+
+        // WHEN / THEN: The failure is not reported as sent
+        await expect(sendEmailNotification('bad', 's', 'h', 't'))
+            .rejects.toThrow('Resend rejected the message: Invalid `to` field');
+        expect(console.log).not.toHaveBeenCalledWith(expect.stringContaining('Email sent'));
+    });
+});
@@ -0,0 +1,157 @@
+// backend/auth-service/test/unit/emailVerificationController.test.js
+const Customer = require('../../models/Customer');
+const Admin = require('../../models/Admin');
+const { sendVerificationEmail } = require('../../utils/emailVerification');
+const { hashToken } = require('../../utils/oneTimeTokens');
+const emailVerificationController = require('../../controllers/emailVerificationController');
+
+jest.mock('../../models/Customer');
+jest.mock('../../models/Admin');
+jest.mock('../../models/DeliveryPersonnel');
+jest.mock('../../models/RestaurantAdmin');
+jest.mock('../../utils/emailVerification');
+
+describe('EmailVerificationController Unit Tests - Shopee QA Standards', () => {
+    let req, res, next;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        req = { body: {} };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+        next = jest.fn();
+    });
+
+    // ============================================================================
+    // Test 1: verifyEmail - marks the account verified (Happy Path)
+    // ============================================================================
+    describe('Test 1: verifyEmail - Valid Token Marks Email Verified', () => {
+        it('should look up by token hash, set emailVerified and burn the token', async () => {
+            // GIVEN: Customer holding an unexpired verification token
+            req.body = { token: 'raw-verify-token' };
+            const customer = {
+                email: 'vera@customer.com',
+                emailVerified: false,
+                emailVerificationToken: hashToken('raw-verify-token'),
+                emailVerificationExpires: new Date(Date.now() + 60000),
+                save: jest.fn().mockResolvedValue(true)
+            };
+            const select = jest.fn().mockResolvedValue(customer);
+            Customer.findOne.mockReturnValue({ select });
+
+            // WHEN: verifyEmail is called
+            await emailVerificationController.verifyEmail(req, res, next);
+
+            // THEN: Should update the account and respond success
+            expect(Customer.findOne).toHaveBeenCalledWith({
+                emailVerificationToken: hashToken('raw-verify-token'),
+                emailVerificationExpires: { $gt: expect.any(Date) }
+            });
+            expect(select).toHaveBeenCalledWith('+emailVerificationToken +emailVerificationExpires');
+            expect(customer.emailVerified).toBe(true);
+            expect(customer.emailVerificationToken).toBeUndefined();
+            expect(customer.emailVerificationExpires).toBeUndefined();
+            expect(res.json).toHaveBeenCalledWith({
+                status: 'success',
+                message: 'Email address verified.',
+                data: { email: 'vera@customer.com', emailVerified: true }
+            });
+        });
+
+        it('should verify admin accounts when role is admin', async () => {
+            req.body = { token: 'admin-token', role: 'admin' };
+            Admin.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+            await emailVerificationController.verifyEmail(req, res, next);
+
+            expect(Admin.findOne).toHaveBeenCalled();
+            expect(Customer.findOne).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 2: verifyEmail - rejected input
+    // ============================================================================
+    describe('Test 2: verifyEmail - Invalid or Expired Tokens (Error Path)', () => {
+        it('should return 400 when no account matches', async () => {
+            req.body = { token: 'expired' };
+            Customer.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+            await emailVerificationController.verifyEmail(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Verification link is invalid or has expired.' });
+        });
+
+        it('should return 400 when token is missing', async () => {
+            await emailVerificationController.verifyEmail(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(Customer.findOne).not.toHaveBeenCalled();
+        });
+
+        it('should return 400 for unknown account types', async () => {
+            req.body = { token: 'abc', role: 'pirate' };
+
+            await emailVerificationController.verifyEmail(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Invalid account type.' });
+        });
+    });
+
+    // ============================================================================
+    // Test 3: resendVerification
+    // ============================================================================
+    describe('Test 3: resendVerification - Sends New Link Without Revealing Accounts', () => {
+        const genericResponse = {
+            status: 'success',
+            message: 'If that account still needs verification, a new link has been sent.'
+        };
+
+        it('should resend for unverified accounts', async () => {
+            req.body = { email: 'Vera@Customer.com' };
+            const customer = { email: 'vera@customer.com', emailVerified: false };
+            Customer.findOne.mockResolvedValue(customer);
+
+            await emailVerificationController.resendVerification(req, res, next);
+
+            expect(Customer.findOne).toHaveBeenCalledWith({ email: 'vera@customer.com' });
+            expect(sendVerificationEmail).toHaveBeenCalledWith(customer, 'customer');
+            expect(res.json).toHaveBeenCalledWith(genericResponse);
+        });
+
+        it('should not resend for already verified accounts', async () => {
+            req.body = { email: 'done@customer.com' };
+            Customer.findOne.mockResolvedValue({ emailVerified: true });
+
+            await emailVerificationController.resendVerification(req, res, next);
+
+            expect(sendVerificationEmail).not.toHaveBeenCalled();
+            expect(res.json).toHaveBeenCalledWith(genericResponse);
+        });
+
+        it('should answer identically for unknown emails', async () => {
+            req.body = { email: 'ghost@customer.com' };
+            Customer.findOne.mockResolvedValue(null);
+
+            await emailVerificationController.resendVerification(req, res, next);
+
+            expect(sendVerificationEmail).not.toHaveBeenCalled();
+            expect(res.json).toHaveBeenCalledWith(genericResponse);
+        });
+
+        it('should forward mail errors to next()', async () => {
+            req.body = { email: 'vera@customer.com' };
+            Customer.findOne.mockResolvedValue({ emailVerified: false });
+            const mailError = new Error('mail down');
+            sendVerificationEmail.mockRejectedValue(mailError);
+
+            await emailVerificationController.resendVerification(req, res, next);
+
+            expect(next).toHaveBeenCalledWith(mailError);
+        });
+    });
+});
@@ -0,0 +1,79 @@
+// backend/auth-service/test/unit/geocoder.test.js
+const { geocodeAddress, setGeocoder, toQuery } = require('../../utils/geocoder');
+
+const address = { line1: '12 Le Loi', ward: 'Ben Nghe', district: 'District 1', city: 'Ho Chi Minh City', country: 'Vietnam' };
+
+describe('Geocoder Unit Tests - Shopee QA Standards', () => {
+    let originalFetch;
+
+    beforeEach(() => {
+        originalFetch = global.fetch;
+        global.fetch = jest.fn();
+        setGeocoder(null);
+        delete process.env.GEOCODER;
+        delete process.env.GEOCODER_URL;
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        jest.restoreAllMocks();
+    });
+
+    // ============================================================================
+    // Test 1: Providers
+    // ============================================================================
+    describe('Test 1: Providers - none (default) and nominatim', () => {
+        it('should not geocode by default', async () => {
+            await expect(geocodeAddress(address)).resolves.toBeNull();
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        it('should query nominatim and return [lng, lat]', async () => {
+            // GIVEN: Nominatim configured against a self-hosted instance
+            process.env.GEOCODER = 'nominatim';
+            process.env.GEOCODER_URL = 'http://geo.local/search';
+            global.fetch.mockResolvedValue({ ok: true, json: async () => [{ lat: '10.7769', lon: '106.7009' }] });
+
+            // WHEN: Geocoding
+            const coordinates = await geocodeAddress(address);
+
+            // THEN: Longitude first, query built from the structured fields
+            expect(coordinates).toEqual([106.7009, 10.7769]);
+            const url = global.fetch.mock.calls[0][0];
+            expect(url.origin + url.pathname).toBe('http://geo.local/search');
+            expect(url.searchParams.get('q')).toBe(toQuery(address));
+            expect(global.fetch.mock.calls[0][1].headers['User-Agent']).toBeDefined();
+        });
+
+        it('should return null when nominatim has no match', async () => {
+            process.env.GEOCODER = 'nominatim';
+            global.fetch.mockResolvedValue({ ok: true, json: async () => [] });
+
+            await expect(geocodeAddress(address)).resolves.toBeNull();
+        });
+    });
+
+    // ============================================================================
+    // Test 2: Failures and configuration
+    // ============================================================================
+    describe('Test 2: Failures - Never Block Saving An Address', () => {
+        it('should swallow provider errors and return null', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            process.env.GEOCODER = 'nominatim';
+            global.fetch.mockResolvedValue({ ok: false, status: 429 });
+
+            await expect(geocodeAddress(address)).resolves.toBeNull();
+            expect(console.error).toHaveBeenCalledWith('❌ Geocoding failed:', 'Geocoder responded with status 429');
+        });
+
+        it('should reject unknown GEOCODER values', async () => {
+            process.env.GEOCODER = 'google';
+
+            await expect(geocodeAddress(address)).rejects.toThrow('Unknown GEOCODER "google"');
+        });
+
+        it('should build the query from the most specific field to the country', () => {
+            expect(toQuery({ line1: '5 Nguyen Hue', city: 'Ho Chi Minh City' })).toBe('5 Nguyen Hue, Ho Chi Minh City');
+        });
+    });
+});
@@ -0,0 +1,349 @@
+// backend/auth-service/test/unit/identityResolver.test.js
+const Customer = require('../../models/Customer');
+const Admin = require('../../models/Admin');
+const DeliveryPersonnel = require('../../models/DeliveryPersonnel');
+const RestaurantAdmin = require('../../models/RestaurantAdmin');
+const externalIdentities = require('../../models/externalIdentities');
+const restaurantService = require('../../utils/restaurantService');
+const { IdentityError, resolveAccount, findAccountById } = require('../../utils/identityResolver');
+
+jest.mock('../../models/Customer');
+jest.mock('../../models/Admin');
+jest.mock('../../models/DeliveryPersonnel');
+jest.mock('../../models/RestaurantAdmin');
+jest.mock('../../models/externalIdentities');
+jest.mock('../../utils/restaurantService', () => {
+    const actual = jest.requireActual('../../utils/restaurantService');
+    return { ...actual, verifyRestaurantAccount: jest.fn(), lookupRestaurantAccount: jest.fn() };
+});
+
+// Auth-service models are queried as Model.findOne().select('+password')
+const withSelect = (doc) => ({ select: jest.fn().mockResolvedValue(doc) });
+// The order-service model is queried as Model.findOne().lean()
+const withLean = (doc) => ({ lean: jest.fn().mockResolvedValue(doc) });
+
+describe('Identity Resolver Unit Tests - Shopee QA Standards', () => {
+    let orderUserModel;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        [Customer, Admin, DeliveryPersonnel, RestaurantAdmin].forEach((Model) => {
+            Model.findOne.mockReturnValue(withSelect(null));
+            Model.findById.mockResolvedValue(null);
+        });
+        orderUserModel = {
+            findOne: jest.fn().mockReturnValue(withLean(null)),
+            findById: jest.fn().mockReturnValue(withLean(null))
+        };
+        externalIdentities.getOrderUserModel.mockReturnValue(orderUserModel);
+        restaurantService.verifyRestaurantAccount.mockResolvedValue(null);
+        restaurantService.lookupRestaurantAccount.mockResolvedValue(null);
+    });
+
+    // ============================================================================
+    // Test 1: Auth-service collections
+    // ============================================================================
+    describe('Test 1: Auth-Service Accounts - Customer, Admin, Delivery, Restaurant Admin', () => {
+        it('should resolve a customer with a matching password', async () => {
+            // GIVEN: Customer account
+            Customer.findOne.mockReturnValue(withSelect({
+                _id: 'cust-1',
+                firstName: 'Lan',
+                lastName: 'Pham',
+                emailVerified: true,
+                comparePassword: jest.fn().mockResolvedValue(true)
+            }));
+
+            // WHEN: Resolving credentials
+            const account = await resolveAccount(' lan@example.com ', 'Secret123');
+
+            // THEN: Should return the customer from auth-service
+            expect(Customer.findOne).toHaveBeenCalledWith({ email: 'lan@example.com' });
+            expect(account).toEqual({
+                id: 'cust-1',
+                role: 'customer',
+                emailVerified: true,
+                source: 'auth',
+                email: 'lan@example.com',
+                name: 'Lan Pham'
+            });
+        });
+
+        it('should carry admin role and permissions', async () => {
+            Admin.findOne.mockReturnValue(withSelect({
+                _id: 'admin-1',
+                firstName: 'Ad',
+                lastName: 'Min',
+                role: 'super-admin',
+                permissions: ['manage-users'],
+                comparePassword: jest.fn().mockResolvedValue(true)
+            }));
+
+            const account = await resolveAccount('admin@example.com', 'Secret123');
+
+            // Super-admins carry the whole catalogue whatever is stored
+            expect(account.role).toBe('super-admin');
+            expect(account.permissions).toEqual(['manage-users', 'manage-restaurants', 'manage-orders', 'view-audit-log']);
+        });
+
+        it('should drop stored permissions that are not in the catalogue', async () => {
+            Admin.findOne.mockReturnValue(withSelect({
+                _id: 'admin-2',
+                firstName: 'Ad',
+                lastName: 'Min',
+                role: 'admin',
+                permissions: ['manage-orders', 'system-config'],
+                comparePassword: jest.fn().mockResolvedValue(true)
+            }));
+
+            const account = await resolveAccount('admin@example.com', 'Secret123');
+
+            expect(account.permissions).toEqual(['manage-orders']);
+        });
+
+        it('should include restaurantId for approved restaurant admins', async () => {
+            RestaurantAdmin.findOne.mockReturnValue(withSelect({
+                _id: 'ra-1',
+                firstName: 'Rita',
+                lastName: 'Owner',
+                isApproved: true,
+                restaurantId: 'rest-9',
+                comparePassword: jest.fn().mockResolvedValue(true)
+            }));
+
+            const account = await resolveAccount('rita@example.com', 'Secret123');
+
+            expect(account).toEqual(expect.objectContaining({
+                id: 'ra-1',
+                role: 'restaurant-admin',
+                restaurantId: 'rest-9',
+                source: 'auth'
+            }));
+        });
+
+        it('should refuse restaurant admins awaiting approval with 403', async () => {
+            RestaurantAdmin.findOne.mockReturnValue(withSelect({
+                _id: 'ra-2',
+                isApproved: false,
+                comparePassword: jest.fn().mockResolvedValue(true)
+            }));
+
+            await expect(resolveAccount('new@example.com', 'Secret123')).rejects.toMatchObject({
+                statusCode: 403,
+                message: 'Account is pending approval by an administrator.'
+            });
+        });
+
+        it('should refuse suspended accounts with 403 once the password matches', async () => {
+            // GIVEN: Suspended delivery driver with the right password
+            DeliveryPersonnel.findOne.mockReturnValue(withSelect({
+                _id: 'drv-9',
+                suspended: true,
+                comparePassword: jest.fn().mockResolvedValue(true)
+            }));
+
+            // WHEN/THEN: Login is refused without issuing an account
+            await expect(resolveAccount('driver@example.com', 'Secret123')).rejects.toMatchObject({
+                statusCode: 403,
+                message: 'Your account has been suspended. Please contact support.'
+            });
+        });
+    });
+
+    // ============================================================================
+    // Test 2: Other services' collections
+    // ============================================================================
+    describe('Test 2: External Accounts - Restaurant, Super Admin and Order-Service Users', () => {
+        it('should ask restaurant-service to check its restaurant owners', async () => {
+            // GIVEN: restaurant-service knows the owner and checked the password itself
+            restaurantService.verifyRestaurantAccount.mockImplementation(async ({ role }) => (
+                role === 'restaurant-admin'
+                    ? { id: 'rest-1', role, restaurantId: 'rest-1', email: 'owner@pho.vn', name: 'Pho 24', suspended: false }
+                    : null
+            ));
+
+            // WHEN: Resolving credentials
+            const account = await resolveAccount('owner@pho.vn', 'Secret123');
+
+            // THEN: Restaurant id is both subject and restaurantId
+            expect(restaurantService.verifyRestaurantAccount).toHaveBeenCalledWith({
+                email: 'owner@pho.vn',
+                password: 'Secret123',
+                role: 'restaurant-admin'
+            });
+            expect(account).toEqual({
+                id: 'rest-1',
+                role: 'restaurant-admin',
+                restaurantId: 'rest-1',
+                source: 'restaurant-service',
+                email: 'owner@pho.vn',
+                name: 'Pho 24'
+            });
+        });
+
+        it('should resolve restaurant-service super admins', async () => {
+            restaurantService.verifyRestaurantAccount.mockImplementation(async ({ role }) => (
+                role === 'super-admin' ? { id: 'sa-1', role, email: 'root@shopee.com', name: 'Root', suspended: false } : null
+            ));
+
+            const account = await resolveAccount('root@shopee.com', 'Secret123');
+
+            expect(account).toEqual(expect.objectContaining({ id: 'sa-1', role: 'super-admin', source: 'restaurant-service' }));
+            expect(account.restaurantId).toBeUndefined();
+        });
+
+        it('should refuse suspended restaurant-service accounts', async () => {
+            restaurantService.verifyRestaurantAccount.mockResolvedValue({ id: 'rest-1', role: 'restaurant-admin', restaurantId: 'rest-1', suspended: true });
+
+            await expect(resolveAccount('owner@pho.vn', 'Secret123', 'restaurant-admin')).rejects.toMatchObject({ statusCode: 403 });
+        });
+
+        it('should answer 503 when restaurant-service cannot check credentials', async () => {
+            // GIVEN: restaurant-service is down
+            restaurantService.verifyRestaurantAccount.mockRejectedValue(
+                new restaurantService.RestaurantServiceError('connect ECONNREFUSED')
+            );
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            // WHEN/THEN: The login is not reported as a wrong password
+            await expect(resolveAccount('owner@pho.vn', 'Secret123')).rejects.toMatchObject({
+                name: 'IdentityError',
+                statusCode: 503,
+                message: 'Sign-in is temporarily unavailable. Please try again later.'
+            });
+            console.error.mockRestore();
+        });
+
+        it('should no longer accept order-service users or their self-chosen roles', async () => {
+            // GIVEN: A legacy order-service account that picked "admin" at sign-up
+            orderUserModel.findOne.mockReturnValue(withLean({ _id: 'u-1', name: 'Legacy', role: 'admin', password: 'hash' }));
+
+            // WHEN/THEN: Only the migrated auth-service copy can log in
+            await expect(resolveAccount('legacy@example.com', 'Secret123')).rejects.toMatchObject({ statusCode: 401 });
+            await expect(findAccountById('663f1c2e9b1e8a0012345678', 'admin')).resolves.toBeNull();
+            expect(orderUserModel.findOne).not.toHaveBeenCalled();
+            expect(orderUserModel.findById).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 3: Disambiguation and failures
+    // ============================================================================
+    describe('Test 3: Role Hint and Invalid Credentials', () => {
+        it('should skip accounts whose password does not match and keep searching', async () => {
+            // GIVEN: Same email as customer (other password) and as delivery driver
+            Customer.findOne.mockReturnValue(withSelect({ _id: 'c', comparePassword: jest.fn().mockResolvedValue(false) }));
+            DeliveryPersonnel.findOne.mockReturnValue(withSelect({
+                _id: 'd-1',
+                firstName: 'Dan',
+                lastName: 'Driver',
+                comparePassword: jest.fn().mockResolvedValue(true)
+            }));
+
+            // WHEN: Resolving
+            const account = await resolveAccount('dan@example.com', 'DriverPass1');
+
+            // THEN: Delivery account wins
+            expect(account.role).toBe('delivery');
+        });
+
+        it('should only search collections for the requested role', async () => {
+            restaurantService.verifyRestaurantAccount.mockResolvedValue({ id: 'sa-1', role: 'super-admin', name: 'Root' });
+
+            await resolveAccount('root@shopee.com', 'Secret123', 'super-admin');
+
+            expect(Customer.findOne).not.toHaveBeenCalled();
+            expect(DeliveryPersonnel.findOne).not.toHaveBeenCalled();
+            expect(Admin.findOne).toHaveBeenCalled();
+            expect(restaurantService.verifyRestaurantAccount).toHaveBeenCalledTimes(1);
+            expect(restaurantService.verifyRestaurantAccount).toHaveBeenCalledWith(expect.objectContaining({ role: 'super-admin' }));
+        });
+
+        it('should skip admins whose stored role differs from the hint', async () => {
+            Admin.findOne.mockReturnValue(withSelect({
+                _id: 'admin-1',
+                role: 'admin',
+                comparePassword: jest.fn().mockResolvedValue(true)
+            }));
+
+            await expect(resolveAccount('admin@example.com', 'Secret123', 'super-admin'))
+                .rejects.toBeInstanceOf(IdentityError);
+        });
+
+        it('should throw a generic 401 when nothing matches', async () => {
+            await expect(resolveAccount('nobody@example.com', 'Secret123')).rejects.toMatchObject({
+                name: 'IdentityError',
+                statusCode: 401,
+                message: 'Invalid email or password.'
+            });
+        });
+    });
+
+    // ============================================================================
+    // Test 4: Lookup by token subject (introspection)
+    // ============================================================================
+    describe('Test 4: findAccountById - Account Behind A Token', () => {
+        const id = '663f1c2e9b1e8a0012345678';
+
+        it('should find an auth-service account and report suspension', async () => {
+            // GIVEN: Suspended customer
+            Customer.findById.mockResolvedValue({
+                _id: id,
+                firstName: 'Lan',
+                lastName: 'Pham',
+                email: 'lan@example.com',
+                suspended: true
+            });
+
+            // WHEN: Looking up the token subject
+            const account = await findAccountById(id, 'customer');
+
+            // THEN: Should describe the owner
+            expect(Customer.findById).toHaveBeenCalledWith(id);
+            expect(account).toEqual(expect.objectContaining({
+                id,
+                role: 'customer',
+                suspended: true,
+                source: 'auth',
+                email: 'lan@example.com',
+                name: 'Lan Pham'
+            }));
+        });
+
+        it('should fall through to restaurant-service restaurants', async () => {
+            restaurantService.lookupRestaurantAccount.mockResolvedValue({
+                id, role: 'restaurant-admin', restaurantId: id, email: 'owner@pho.vn', name: 'Pho 24', suspended: false
+            });
+
+            const account = await findAccountById(id, 'restaurant-admin');
+
+            expect(RestaurantAdmin.findById).toHaveBeenCalledWith(id);
+            expect(restaurantService.lookupRestaurantAccount).toHaveBeenCalledWith(id, 'restaurant-admin');
+            expect(account).toEqual(expect.objectContaining({
+                restaurantId: id,
+                suspended: false,
+                source: 'restaurant-service',
+                email: 'owner@pho.vn'
+            }));
+        });
+
+        it('should still return restaurant admins awaiting approval', async () => {
+            RestaurantAdmin.findById.mockResolvedValue({ _id: id, isApproved: false, email: 'new@example.com' });
+
+            const account = await findAccountById(id, 'restaurant-admin');
+
+            expect(account).toEqual(expect.objectContaining({ id, role: 'restaurant-admin', source: 'auth' }));
+        });
+
+        it('should not match an admin whose role changed since the token was issued', async () => {
+            Admin.findById.mockResolvedValue({ _id: id, role: 'admin' });
+
+            await expect(findAccountById(id, 'super-admin')).resolves.toBeNull();
+        });
+
+        it('should return null for malformed ids without querying', async () => {
+            await expect(findAccountById('not-an-id', 'customer')).resolves.toBeNull();
+            expect(Customer.findById).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,365 @@
+// backend/auth-service/test/unit/loginLimiter.test.js
+const express = require('express');
+const request = require('supertest');
+const { loginLimiter, sendLimiter, lockoutDuration } = require('../../middlewares/loginLimiter');
+const { identifyServiceClient } = require('../../middlewares/serviceClient');
+const { MemoryStore } = require('../../utils/rateLimitStores');
+const { register } = require('../../metrics');
+
+jest.mock('../../models/LoginAttempt');
+
+const LIMIT_ENV = [
+    'LOGIN_WINDOW_MINUTES',
+    'LOGIN_MAX_FAILURES_PER_IP',
+    'LOGIN_MAX_FAILURES_PER_ACCOUNT',
+    'LOGIN_LOCKOUT_MINUTES',
+    'LOGIN_LOCKOUT_MAX_MINUTES',
+    'OTP_SEND_WINDOW_MINUTES',
+    'OTP_MAX_SENDS_PER_IP'
+];
+
+// Minimal login handler: "secret" is the only valid password
+const buildApp = (store, options = {}) => {
+    const app = express();
+    app.use(express.json());
+    app.post('/login', loginLimiter('customer', { store, ...options }), (req, res) => {
+        if (req.body.password === 'secret') {
+            return res.status(200).json({ status: 'success' });
+        }
+        return res.status(401).json({ message: 'Invalid email or password' });
+    });
+    return app;
+};
+
+const attempt = (app, email, password = 'wrong') =>
+    request(app).post('/login').send({ email, password });
+
+const metricValue = async (name, labels) => {
+    const metric = await register.getSingleMetric(name).get();
+    const sample = metric.values.find((v) =>
+        Object.entries(labels).every(([k, val]) => v.labels[k] === val)
+    );
+    return sample ? sample.value : 0;
+};
+
+describe('Login Limiter Unit Tests - Shopee QA Standards', () => {
+    let store;
+    let app;
+
+    beforeEach(() => {
+        LIMIT_ENV.forEach((key) => delete process.env[key]);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        store = new MemoryStore();
+        app = buildApp(store);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    // ============================================================================
+    // Test 1: Per-account lockout
+    // ============================================================================
+    describe('Test 1: Per-Account Limit - Locks an Account After Repeated Failures', () => {
+        it('should lock the account after 5 failures and send Retry-After', async () => {
+            // GIVEN: Five wrong passwords for the same account
+            for (let i = 0; i < 5; i++) {
+                await attempt(app, 'victim@test.com').expect(401);
+            }
+
+            // WHEN: A sixth attempt is made, even with the right password
+            const response = await attempt(app, 'victim@test.com', 'secret').expect(429);
+
+            // THEN: Should be rejected with a one minute Retry-After
+            expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+            expect(Number(response.headers['retry-after'])).toBeLessThanOrEqual(60);
+            expect(response.body.retryAfter).toBe(Number(response.headers['retry-after']));
+        });
+
+        it('should treat emails case-insensitively', async () => {
+            // GIVEN: Failures spread across different casings
+            for (let i = 0; i < 5; i++) {
+                await attempt(app, i % 2 ? 'Victim@Test.com' : 'victim@test.com ').expect(401);
+            }
+
+            // THEN: Account should be locked for every casing
+            await attempt(app, 'VICTIM@TEST.COM', 'secret').expect(429);
+        });
+
+        it('should not affect other accounts', async () => {
+            // GIVEN: A locked account
+            for (let i = 0; i < 5; i++) {
+                await attempt(app, 'victim@test.com').expect(401);
+            }
+
+            // THEN: A different account can still log in
+            await attempt(app, 'other@test.com', 'secret').expect(200);
+        });
+
+        it('should reset the failure count after a successful login', async () => {
+            // GIVEN: Four failures followed by a success
+            for (let i = 0; i < 4; i++) {
+                await attempt(app, 'user@test.com').expect(401);
+            }
+            await attempt(app, 'user@test.com', 'secret').expect(200);
+
+            // WHEN: Four more failures happen
+            for (let i = 0; i < 4; i++) {
+                await attempt(app, 'user@test.com').expect(401);
+            }
+
+            // THEN: Account should still be usable
+            await attempt(app, 'user@test.com', 'secret').expect(200);
+        });
+
+        it('should honour LOGIN_MAX_FAILURES_PER_ACCOUNT', async () => {
+            // GIVEN: Limit lowered to 2
+            process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT = '2';
+
+            // WHEN: Two failures happen
+            await attempt(app, 'user@test.com').expect(401);
+            await attempt(app, 'user@test.com').expect(401);
+
+            // THEN: Third attempt is throttled
+            await attempt(app, 'user@test.com').expect(429);
+        });
+
+        it('should only count configured failure statuses', async () => {
+            // GIVEN: Limiter counting only 400 responses
+            const custom = buildApp(store, { failureStatuses: [400] });
+
+            // WHEN: Many 401s are returned
+            for (let i = 0; i < 6; i++) {
+                await attempt(custom, 'user@test.com').expect(401);
+            }
+
+            // THEN: Nothing should be locked
+            await attempt(custom, 'user@test.com', 'secret').expect(200);
+        });
+
+        it('should share one account limit across login endpoints', async () => {
+            // GIVEN: Two login endpoints on the same store
+            const multi = express();
+            multi.use(express.json());
+            const handler = (req, res) => res.status(401).json({ message: 'Invalid email or password' });
+            multi.post('/login/customer', loginLimiter('customer', { store }), handler);
+            multi.post('/token', loginLimiter('token', { store }), handler);
+
+            // WHEN: Failures for one email are spread over both endpoints
+            for (let i = 0; i < 3; i++) {
+                await request(multi).post('/login/customer').send({ email: 'victim@test.com' }).expect(401);
+            }
+            for (let i = 0; i < 2; i++) {
+                await request(multi).post('/token').send({ email: 'victim@test.com' }).expect(401);
+            }
+
+            // THEN: The account is locked on both, not granted 5 tries per endpoint
+            await request(multi).post('/login/customer').send({ email: 'victim@test.com' }).expect(429);
+            await request(multi).post('/token').send({ email: 'victim@test.com' }).expect(429);
+        });
+    });
+
+    // ============================================================================
+    // Test 2: Per-IP lockout
+    // ============================================================================
+    describe('Test 2: Per-IP Limit - Stops Credential Stuffing Across Accounts', () => {
+        it('should lock the client IP after 20 failures on different accounts', async () => {
+            // GIVEN: 20 failures, each against a fresh account
+            for (let i = 0; i < 20; i++) {
+                await attempt(app, `user${i}@test.com`).expect(401);
+            }
+
+            // WHEN: Yet another account is tried
+            const response = await attempt(app, 'fresh@test.com', 'secret').expect(429);
+
+            // THEN: Should be throttled by IP
+            expect(response.headers['retry-after']).toBeDefined();
+        });
+
+        it('should count attempts without an email against the IP only', async () => {
+            // GIVEN: IP limit of 3
+            process.env.LOGIN_MAX_FAILURES_PER_IP = '3';
+
+            // WHEN: Three attempts without email fail
+            for (let i = 0; i < 3; i++) {
+                await request(app).post('/login').send({ password: 'x' }).expect(401);
+            }
+
+            // THEN: Further requests are throttled
+            await request(app).post('/login').send({}).expect(429);
+        });
+
+        describe('logins proxied by a service client', () => {
+            const ORDER_SERVICE = `Basic ${Buffer.from('order-service:order-secret').toString('base64')}`;
+            let proxied;
+
+            beforeEach(() => {
+                process.env.INTROSPECTION_CLIENTS = 'order-service:order-secret';
+                process.env.LOGIN_MAX_FAILURES_PER_IP = '3';
+                // Same order as POST /api/auth/token: identify the client, then limit
+                proxied = express();
+                proxied.use(express.json());
+                proxied.post('/login', identifyServiceClient, loginLimiter('token', { store }), (req, res) =>
+                    res.status(401).json({ message: 'Invalid email or password' }));
+            });
+
+            afterEach(() => {
+                delete process.env.INTROSPECTION_CLIENTS;
+            });
+
+            const viaProxy = (ip, authorization = ORDER_SERVICE) =>
+                request(proxied).post('/login').set('Authorization', authorization)
+                    .send({ email: `${ip}@test.com`, password: 'wrong', client: { ip, userAgent: 'Mozilla/5.0' } });
+
+            it('should key the IP limit on the forwarded IP of an authenticated service client', async () => {
+                // GIVEN: One user behind the proxy locks out their own IP
+                for (let i = 0; i < 3; i++) {
+                    await viaProxy('203.0.113.7').expect(401);
+                }
+
+                // WHEN/THEN: Their next attempt is throttled, another user through the same proxy is not
+                await viaProxy('203.0.113.7').expect(429);
+                await viaProxy('198.51.100.9').expect(401);
+                expect(await store.get('ip:203.0.113.7')).toBeTruthy();
+            });
+
+            it('should ignore a forwarded IP without valid service credentials', async () => {
+                const forged = `Basic ${Buffer.from('order-service:guess').toString('base64')}`;
+                for (let i = 0; i < 3; i++) {
+                    await viaProxy(`203.0.113.${i}`, forged).expect(401);
+                }
+
+                // THEN: All three counted against the caller's real address
+                await viaProxy('203.0.113.200', forged).expect(429);
+                expect(await store.get('ip:203.0.113.0')).toBeFalsy();
+            });
+        });
+    });
+
+    // ============================================================================
+    // Test 3: Progressive lockout
+    // ============================================================================
+    describe('Test 3: Progressive Lockout - Doubles Each Time Up To The Cap', () => {
+        it('should double the duration for every previous lockout', () => {
+            const config = { baseLockoutMs: 60000, maxLockoutMs: 3600000 };
+
+            expect(lockoutDuration(0, config)).toBe(60000);
+            expect(lockoutDuration(1, config)).toBe(120000);
+            expect(lockoutDuration(3, config)).toBe(480000);
+            expect(lockoutDuration(10, config)).toBe(3600000);
+        });
+
+        it('should lock longer on the second lockout', async () => {
+            // GIVEN: First lockout has elapsed
+            for (let i = 0; i < 5; i++) {
+                await attempt(app, 'victim@test.com').expect(401);
+            }
+            const first = await store.get('account:victim@test.com');
+            expect(first.lockouts).toBe(1);
+            await store.lock('account:victim@test.com', Date.now() - 1);
+
+            // WHEN: Five more failures happen
+            for (let i = 0; i < 5; i++) {
+                await attempt(app, 'victim@test.com').expect(401);
+            }
+
+            // THEN: Retry-After should reflect the escalated lockout (> 1 minute)
+            const response = await attempt(app, 'victim@test.com').expect(429);
+            expect(Number(response.headers['retry-after'])).toBeGreaterThan(60);
+        });
+    });
+
+    // ============================================================================
+    // Test 4: Metrics and resilience
+    // ============================================================================
+    describe('Test 4: Metrics and Store Failures', () => {
+        it('should count lockouts and throttled requests in Prometheus metrics', async () => {
+            // GIVEN: Current counter values
+            const labels = { endpoint: 'customer', scope: 'account', service: 'auth-service' };
+            const lockoutsBefore = await metricValue('login_lockouts_total', labels);
+            const throttledBefore = await metricValue('login_throttled_requests_total', labels);
+
+            // WHEN: An account is locked and retried
+            for (let i = 0; i < 5; i++) {
+                await attempt(app, 'metrics@test.com').expect(401);
+            }
+            await attempt(app, 'metrics@test.com').expect(429);
+
+            // THEN: Both counters should move
+            expect(await metricValue('login_lockouts_total', labels)).toBe(lockoutsBefore + 1);
+            expect(await metricValue('login_throttled_requests_total', labels)).toBe(throttledBefore + 1);
+        });
+
+        it('should fail open when the store is unavailable', async () => {
+            // GIVEN: A store that throws
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const broken = {
+                get: jest.fn().mockRejectedValue(new Error('connection lost')),
+                recordFailure: jest.fn(),
+                lock: jest.fn(),
+                reset: jest.fn()
+            };
+
+            // WHEN: User logs in
+            await attempt(buildApp(broken), 'user@test.com', 'secret').expect(200);
+
+            // THEN: Error should be logged, login not blocked
+            expect(console.error).toHaveBeenCalledWith('❌ Login limiter store error:', 'connection lost');
+        });
+    });
+
+    // ============================================================================
+    // Test 5: Send limiter for OTP requests
+    // ============================================================================
+    describe('Test 5: Send Limiter - Caps SMS Codes Per IP Whatever The Answer', () => {
+        // Like POST /otp/request: always the same 200, whether or not a text went out
+        const buildSendApp = () => {
+            const sendApp = express();
+            sendApp.set('trust proxy', true);
+            sendApp.use(express.json());
+            sendApp.post('/otp/request', sendLimiter('otp', { store }), (req, res) => res.json({ status: 'success' }));
+            return sendApp;
+        };
+        const requestCode = (sendApp, phone, ip = '203.0.113.7') =>
+            request(sendApp).post('/otp/request').set('X-Forwarded-For', ip).send({ phone });
+
+        it('should reject the request after OTP_MAX_SENDS_PER_IP from one IP, across numbers', async () => {
+            // GIVEN: A limit of 3 codes per IP
+            process.env.OTP_MAX_SENDS_PER_IP = '3';
+            const sendApp = buildSendApp();
+
+            // WHEN: One IP asks for codes for 3 different numbers, then a 4th
+            for (let i = 0; i < 3; i++) {
+                await requestCode(sendApp, `090123456${i}`).expect(200);
+            }
+            const response = await requestCode(sendApp, '0901234569');
+
+            // THEN: The 4th is refused with Retry-After close to the hour window
+            expect(response.status).toBe(429);
+            expect(response.body.message).toBe('Too many requests from this device. Please try again later.');
+            expect(Number(response.headers['retry-after'])).toBeGreaterThan(3590);
+            expect(response.body.retryAfter).toBeLessThanOrEqual(3600);
+        });
+
+        it('should default to 10 codes per IP and leave other IPs alone', async () => {
+            const sendApp = buildSendApp();
+
+            for (let i = 0; i < 10; i++) {
+                await requestCode(sendApp, '0901234567').expect(200);
+            }
+
+            await requestCode(sendApp, '0901234567').expect(429);
+            await requestCode(sendApp, '0901234567', '198.51.100.4').expect(200);
+        });
+
+        it('should not share counts with failed logins from the same IP', async () => {
+            // GIVEN: The IP already used its code allowance
+            process.env.OTP_MAX_SENDS_PER_IP = '1';
+            const sendApp = buildSendApp();
+            await requestCode(sendApp, '0901234567').expect(200);
+
+            // WHEN/THEN: Its logins are still only limited by failures
+            await attempt(app, 'user@test.com', 'secret').expect(200);
+        });
+    });
+});
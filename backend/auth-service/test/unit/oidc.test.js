@@ -0,0 +1,334 @@
+// backend/auth-service/test/unit/oidc.test.js
+//
+// Runs the whole social login against the bundled mock provider, in process
+// on an ephemeral port; only the database is replaced by in-memory stubs.
+jest.mock('../../utils/audit', () => ({ recordAudit: jest.fn() }));
+
+const http = require('http');
+const mongoose = require('mongoose');
+const Customer = require('../../models/Customer');
+const OidcLogin = require('../../models/OidcLogin');
+const { recordAudit } = require('../../utils/audit');
+const { createMockProvider } = require('../../mock-oidc/provider');
+const {
+    OidcError,
+    listProviders,
+    getProvider,
+    beginLogin,
+    completeLogin,
+    redeemExchangeCode,
+    resetOidcCache
+} = require('../../utils/oidc');
+
+const CLIENT_ID = 'skydish';
+const CLIENT_SECRET = 'mock-secret';
+const REDIRECT_URI = 'http://localhost:5001/api/auth/oidc/mock/callback';
+
+describe('OIDC Social Login Unit Tests - Shopee QA Standards', () => {
+    let server, issuer, pending, req;
+
+    beforeAll(async () => {
+        // Listen first: the issuer has to carry the port we get
+        server = http.createServer();
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        issuer = `http://127.0.0.1:${server.address().port}`;
+        server.on('request', createMockProvider({
+            issuer,
+            clients: { [CLIENT_ID]: CLIENT_SECRET },
+            redirectUris: [REDIRECT_URI]
+        }));
+    });
+
+    afterAll(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+        resetOidcCache();
+        process.env.OIDC_PROVIDERS = 'mock';
+        process.env.OIDC_MOCK_ISSUER = issuer;
+        process.env.OIDC_MOCK_CLIENT_ID = CLIENT_ID;
+        process.env.OIDC_MOCK_CLIENT_SECRET = CLIENT_SECRET;
+        process.env.OIDC_MOCK_LABEL = 'Mock ID';
+        process.env.OIDC_REDIRECT_BASE_URL = 'http://localhost:5001/';
+        delete process.env.OIDC_MOCK_BACKCHANNEL_URL;
+        req = { headers: { 'user-agent': 'Mozilla/5.0' }, ip: '10.0.0.7' };
+
+        // OidcLogin as an in-memory collection
+        pending = [];
+        jest.spyOn(OidcLogin, 'create').mockImplementation(async (doc) => {
+            pending.push(doc);
+            return doc;
+        });
+        jest.spyOn(OidcLogin, 'findOneAndDelete').mockImplementation(async (filter) => {
+            const index = pending.findIndex((doc) =>
+                doc.tokenHash === filter.tokenHash &&
+                doc.purpose === filter.purpose &&
+                (!filter.provider || doc.provider === filter.provider) &&
+                doc.expiresAt > filter.expiresAt.$gt);
+            return index === -1 ? null : pending.splice(index, 1)[0];
+        });
+    });
+
+    // Sign in at the provider as `loginHint` and return the callback query
+    const signInAtProvider = async (loginHint, { returnTo } = {}) => {
+        const url = new URL(await beginLogin('mock', { returnTo }));
+        url.searchParams.set('login_hint', loginHint);
+        const response = await fetch(url, { redirect: 'manual' });
+        expect(response.status).toBe(302);
+        return Object.fromEntries(new URL(response.headers.get('location')).searchParams);
+    };
+
+    const existingCustomer = (fields = {}) => {
+        const customer = new Customer({
+            _id: new mongoose.Types.ObjectId(),
+            firstName: 'Lan',
+            lastName: 'Nguyen',
+            email: 'lan.nguyen@example.com',
+            phone: '+84901234567',
+            password: 'hash',
+            ...fields
+        });
+        jest.spyOn(customer, 'save').mockResolvedValue(customer);
+        return customer;
+    };
+
+    // ============================================================================
+    // Test 1: Provider configuration
+    // ============================================================================
+    describe('Test 1: listProviders / getProvider - Configuration From the Environment', () => {
+        it('should list only enabled providers that have an issuer and client id', () => {
+            // GIVEN: google enabled but not configured
+            process.env.OIDC_PROVIDERS = 'mock, google';
+            delete process.env.OIDC_GOOGLE_ISSUER;
+
+            // WHEN/THEN: Only the mock gets a button
+            expect(listProviders()).toEqual([{ id: 'mock', label: 'Mock ID' }]);
+            expect(() => getProvider('google')).toThrow(expect.objectContaining({ statusCode: 503 }));
+            expect(() => getProvider('github')).toThrow(expect.objectContaining({ statusCode: 404 }));
+        });
+    });
+
+    // ============================================================================
+    // Test 2: beginLogin
+    // ============================================================================
+    describe('Test 2: beginLogin - Authorization Request With PKCE, State and Nonce', () => {
+        it('should remember the hashed state and send the browser to the provider', async () => {
+            // WHEN: Starting a sign-in
+            const url = new URL(await beginLogin('mock', { returnTo: '/checkout' }));
+
+            // THEN: Standard parameters, S256 challenge and our callback URL
+            expect(url.origin + url.pathname).toBe(`${issuer}/authorize`);
+            expect(Object.fromEntries(url.searchParams)).toEqual(expect.objectContaining({
+                response_type: 'code',
+                client_id: CLIENT_ID,
+                redirect_uri: REDIRECT_URI,
+                scope: 'openid email profile',
+                code_challenge_method: 'S256'
+            }));
+            const [login] = pending;
+            expect(login).toEqual(expect.objectContaining({ purpose: 'authorize', provider: 'mock', returnTo: '/checkout' }));
+            expect(login.tokenHash).not.toBe(url.searchParams.get('state'));
+            expect(url.searchParams.get('nonce')).toBe(login.nonce);
+        });
+
+        it.each(['//evil.example/phish', 'https://evil.example', '/\\evil.example'])('should drop the unsafe returnTo %s', async (returnTo) => {
+            await beginLogin('mock', { returnTo });
+
+            expect(pending[0].returnTo).toBeUndefined();
+        });
+    });
+
+    // ============================================================================
+    // Test 3: End-to-end against the mock provider
+    // ============================================================================
+    describe('Test 3: completeLogin + redeemExchangeCode - Full Flow Against mock-oidc', () => {
+        it('should create a verified customer for a new verified identity and trade the code once', async () => {
+            // GIVEN: No customer with this identity or email
+            jest.spyOn(Customer, 'findOne').mockResolvedValue(null);
+            jest.spyOn(Customer, 'create').mockImplementation(async (doc) => new Customer({ _id: new mongoose.Types.ObjectId(), ...doc }));
+
+            // WHEN: Signing in at the provider and completing the callback
+            const query = await signInAtProvider('lan.nguyen@example.com', { returnTo: '/checkout' });
+            const result = await completeLogin('mock', query, req);
+
+            // THEN: A customer without phone or password, linked to the identity
+            expect(result.created).toBe(true);
+            expect(Customer.create).toHaveBeenCalledWith({
+                firstName: 'Lan',
+                lastName: 'Nguyen',
+                email: 'lan.nguyen@example.com',
+                emailVerified: true,
+                identities: [{ provider: 'mock', subject: 'mock-user-lan', email: 'lan.nguyen@example.com' }]
+            });
+            expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'customer.create', details: { provider: 'mock' } }));
+
+            // AND: The one-time code resolves to that customer exactly once
+            jest.spyOn(Customer, 'findById').mockResolvedValue(result.customer);
+            const { account, returnTo } = await redeemExchangeCode(result.code);
+            expect(account).toEqual(expect.objectContaining({ id: result.customer._id, role: 'customer', source: 'auth', email: 'lan.nguyen@example.com' }));
+            expect(returnTo).toBe('/checkout');
+            await expect(redeemExchangeCode(result.code)).rejects.toMatchObject({ statusCode: 401 });
+        });
+
+        it('should link the identity to the customer with the same verified email', async () => {
+            // GIVEN: A password customer who verified their email here
+            const customer = existingCustomer({ emailVerified: true });
+            jest.spyOn(Customer, 'findOne')
+                .mockResolvedValueOnce(null)      // by identity
+                .mockResolvedValueOnce(customer); // by email
+            jest.spyOn(Customer, 'create');
+
+            // WHEN: They sign in with the provider
+            const result = await completeLogin('mock', await signInAtProvider('mock-user-lan'), req);
+
+            // THEN: Same account, identity added, email now verified
+            expect(result).toEqual(expect.objectContaining({ customer, linked: true, created: false }));
+            expect(Customer.findOne).toHaveBeenNthCalledWith(1, { identities: { $elemMatch: { provider: 'mock', subject: 'mock-user-lan' } } });
+            expect(Customer.findOne).toHaveBeenNthCalledWith(2, { email: 'lan.nguyen@example.com' });
+            expect(customer.identities.map(({ provider, subject }) => ({ provider, subject }))).toEqual([{ provider: 'mock', subject: 'mock-user-lan' }]);
+            expect(customer.save).toHaveBeenCalled();
+            expect(Customer.create).not.toHaveBeenCalled();
+            expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'customer.identity.link' }));
+        });
+
+        it('should refuse to link a customer whose email was never verified here', async () => {
+            // GIVEN: Someone registered the address with a password but never proved they own it
+            const customer = existingCustomer();
+            jest.spyOn(Customer, 'findOne')
+                .mockResolvedValueOnce(null)      // by identity
+                .mockResolvedValueOnce(customer); // by email
+            jest.spyOn(Customer, 'create');
+
+            // WHEN: The real owner signs in with the provider
+            const error = await completeLogin('mock', await signInAtProvider('mock-user-lan'), req).catch((e) => e);
+
+            // THEN: 409, the account is left as it was and no session is handed out
+            expect(error).toBeInstanceOf(OidcError);
+            expect(error.statusCode).toBe(409);
+            expect(error.message).toContain('Sign in with your password and verify your email address');
+            expect(customer.identities).toHaveLength(0);
+            expect(customer.emailVerified).not.toBe(true);
+            expect(customer.save).not.toHaveBeenCalled();
+            expect(Customer.create).not.toHaveBeenCalled();
+            expect(pending.filter((doc) => doc.purpose === 'exchange')).toEqual([]);
+        });
+
+        it('should recognise a returning identity even after the email changed', async () => {
+            const customer = existingCustomer({ email: 'lan@new-mail.vn', identities: [{ provider: 'mock', subject: 'mock-user-lan' }] });
+            jest.spyOn(Customer, 'findOne').mockResolvedValueOnce(customer);
+
+            const result = await completeLogin('mock', await signInAtProvider('mock-user-lan'), req);
+
+            expect(result).toEqual(expect.objectContaining({ customer, linked: false, created: false }));
+            expect(Customer.findOne).toHaveBeenCalledTimes(1);
+            expect(customer.save).not.toHaveBeenCalled();
+        });
+
+        it('should refuse an email the provider has not verified, never linking it', async () => {
+            // GIVEN: A customer owns the address the unverified identity claims
+            jest.spyOn(Customer, 'findOne').mockResolvedValue(null);
+            jest.spyOn(Customer, 'create');
+
+            // WHEN/THEN: 403 and nothing is touched
+            await expect(completeLogin('mock', await signInAtProvider('minh.tran@example.com'), req))
+                .rejects.toMatchObject({ statusCode: 403, message: expect.stringContaining('Mock ID has not verified an email address') });
+            expect(Customer.findOne).toHaveBeenCalledTimes(1);
+            expect(Customer.create).not.toHaveBeenCalled();
+        });
+
+        it('should refuse a suspended customer', async () => {
+            jest.spyOn(Customer, 'findOne').mockResolvedValueOnce(existingCustomer({ suspended: true, identities: [{ provider: 'mock', subject: 'mock-user-lan' }] }));
+
+            await expect(completeLogin('mock', await signInAtProvider('mock-user-lan'), req))
+                .rejects.toMatchObject({ statusCode: 403 });
+            expect(pending.filter((doc) => doc.purpose === 'exchange')).toHaveLength(0);
+        });
+    });
+
+    // ============================================================================
+    // Test 4: Callback tampering and provider errors
+    // ============================================================================
+    describe('Test 4: completeLogin - State, Nonce and Provider Failures', () => {
+        it('should accept each state only once', async () => {
+            jest.spyOn(Customer, 'findOne').mockResolvedValue(existingCustomer({ identities: [{ provider: 'mock', subject: 'mock-user-lan' }] }));
+            const query = await signInAtProvider('mock-user-lan');
+            await completeLogin('mock', query, req);
+
+            await expect(completeLogin('mock', query, req)).rejects.toMatchObject({ statusCode: 400 });
+        });
+
+        it('should reject an ID token minted for another sign-in', async () => {
+            // GIVEN: The stored nonce no longer matches the one sent to the provider
+            const query = await signInAtProvider('mock-user-lan');
+            pending[0].nonce = 'someone-elses-nonce';
+
+            // WHEN/THEN
+            await expect(completeLogin('mock', query, req))
+                .rejects.toMatchObject({ statusCode: 401, message: 'Mock ID ID token was not issued for this sign-in.' });
+        });
+
+        it('should fail when the provider refuses our client credentials', async () => {
+            const query = await signInAtProvider('mock-user-lan');
+            process.env.OIDC_MOCK_CLIENT_SECRET = 'wrong';
+
+            await expect(completeLogin('mock', query, req))
+                .rejects.toMatchObject({ statusCode: 502, message: 'Mock ID refused the request: Client authentication failed.' });
+        });
+
+        it('should turn a cancelled sign-in into a friendly error', async () => {
+            const url = new URL(await beginLogin('mock'));
+            await expect(completeLogin('mock', { state: url.searchParams.get('state'), error: 'access_denied' }, req))
+                .rejects.toEqual(new OidcError('Sign-in was cancelled.', 401));
+        });
+
+        it('should reach the issuer through the back channel URL when one is set', async () => {
+            // GIVEN: The browser-facing issuer does not resolve from here
+            process.env.OIDC_MOCK_BACKCHANNEL_URL = issuer;
+            process.env.OIDC_MOCK_ISSUER = 'http://mock-oidc.invalid:5010';
+
+            // WHEN/THEN: Discovery goes through the back channel and still checks the issuer
+            await expect(beginLogin('mock')).rejects.toMatchObject({
+                statusCode: 502,
+                message: `Mock ID announced issuer "${issuer}", expected "http://mock-oidc.invalid:5010".`
+            });
+        });
+    });
+
+    // ============================================================================
+    // Test 5: The mock provider itself
+    // ============================================================================
+    describe('Test 5: mock-oidc - Token Endpoint Checks', () => {
+        it('should refuse a code redeemed with the wrong PKCE verifier', async () => {
+            // GIVEN: A code issued against our challenge
+            const query = await signInAtProvider('mock-user-lan');
+
+            // WHEN: Redeeming it with another verifier
+            const response = await fetch(`${issuer}/token`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams({
+                    grant_type: 'authorization_code',
+                    code: query.code,
+                    redirect_uri: REDIRECT_URI,
+                    code_verifier: 'not-the-verifier',
+                    client_id: CLIENT_ID,
+                    client_secret: CLIENT_SECRET
+                })
+            });
+
+            // THEN: invalid_grant
+            expect(response.status).toBe(400);
+            await expect(response.json()).resolves.toEqual({ error: 'invalid_grant', error_description: 'PKCE verification failed.' });
+        });
+
+        it('should not redirect to an unregistered redirect_uri', async () => {
+            const response = await fetch(`${issuer}/authorize?client_id=${CLIENT_ID}&redirect_uri=https://evil.example/cb&response_type=code`, { redirect: 'manual' });
+
+            expect(response.status).toBe(400);
+            await expect(response.text()).resolves.toBe('redirect_uri is not registered.');
+        });
+    });
+});
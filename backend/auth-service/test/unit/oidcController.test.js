@@ -0,0 +1,174 @@
+// backend/auth-service/test/unit/oidcController.test.js
+jest.mock('../../utils/oidc', () => {
+    const { OidcError } = jest.requireActual('../../utils/oidc');
+    return {
+        OidcError,
+        listProviders: jest.fn(),
+        beginLogin: jest.fn(),
+        completeLogin: jest.fn(),
+        redeemExchangeCode: jest.fn()
+    };
+});
+jest.mock('../../utils/loginResponse', () => ({
+    buildLoginResponse: jest.fn()
+}));
+jest.mock('../../utils/audit', () => ({ recordAudit: jest.fn() }));
+
+const oidc = require('../../utils/oidc');
+const { OidcError } = oidc;
+const { buildLoginResponse } = require('../../utils/loginResponse');
+const { recordAudit } = require('../../utils/audit');
+const {
+    listProviders,
+    startLogin,
+    callback,
+    exchangeCode
+} = require('../../controllers/oidcController');
+
+const CUSTOMER_ID = '663f1c2e9b1e8a0012345678';
+
+describe('OidcController Unit Tests - Shopee QA Standards', () => {
+    let req, res, next;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        process.env.FRONTEND_URL = 'http://localhost:3000';
+        req = { params: { provider: 'google' }, query: {}, body: {}, headers: {} };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis(),
+            redirect: jest.fn()
+        };
+        next = jest.fn();
+    });
+
+    // ============================================================================
+    // Test 1: listProviders / startLogin
+    // ============================================================================
+    describe('Test 1: listProviders / startLogin - Buttons and the Provider Redirect', () => {
+        it('should list the configured providers', () => {
+            oidc.listProviders.mockReturnValue([{ id: 'google', label: 'Google' }]);
+
+            listProviders(req, res);
+
+            expect(res.json).toHaveBeenCalledWith({ status: 'success', data: { providers: [{ id: 'google', label: 'Google' }] } });
+        });
+
+        it('should redirect to the provider with the requested return path', async () => {
+            // GIVEN: Sign-in started from the checkout
+            req.query = { returnTo: '/checkout' };
+            oidc.beginLogin.mockResolvedValue('https://accounts.example/authorize?state=s');
+
+            // WHEN: Starting
+            await startLogin(req, res);
+
+            // THEN: Browser goes to the provider
+            expect(oidc.beginLogin).toHaveBeenCalledWith('google', { returnTo: '/checkout' });
+            expect(res.redirect).toHaveBeenCalledWith('https://accounts.example/authorize?state=s');
+        });
+
+        it('should send the browser back to the frontend when the provider is unknown', async () => {
+            oidc.beginLogin.mockRejectedValue(new OidcError('Unknown sign-in provider "google".', 404));
+
+            await startLogin(req, res);
+
+            expect(res.redirect).toHaveBeenCalledWith(
+                'http://localhost:3000/auth/oidc/callback?error=Unknown+sign-in+provider+%22google%22.'
+            );
+        });
+    });
+
+    // ============================================================================
+    // Test 2: callback
+    // ============================================================================
+    describe('Test 2: callback - One-Time Code or Error for the Frontend', () => {
+        it('should hand the frontend a one-time code, never a token', async () => {
+            // GIVEN: The provider vouched for the customer
+            req.query = { code: 'provider-code', state: 'state-1' };
+            oidc.completeLogin.mockResolvedValue({ code: 'one-time', customer: { _id: CUSTOMER_ID }, linked: false, created: true });
+
+            // WHEN: The provider redirects back
+            await callback(req, res);
+
+            // THEN: Frontend callback page with the code
+            expect(oidc.completeLogin).toHaveBeenCalledWith('google', req.query, req);
+            expect(res.redirect).toHaveBeenCalledWith('http://localhost:3000/auth/oidc/callback?code=one-time');
+            expect(recordAudit).not.toHaveBeenCalled();
+        });
+
+        it('should report refusals to the frontend and record a failed login', async () => {
+            oidc.completeLogin.mockRejectedValue(new OidcError('Your account has been suspended. Please contact support.', 403));
+
+            await callback(req, res);
+
+            expect(res.redirect).toHaveBeenCalledWith(expect.stringContaining('/auth/oidc/callback?error=Your+account+has+been+suspended.'));
+            expect(recordAudit).toHaveBeenCalledWith({
+                action: 'auth.login',
+                outcome: 'failure',
+                req,
+                details: { endpoint: 'oidc', provider: 'google', statusCode: 403 }
+            });
+        });
+
+        it('should hide unexpected errors behind a generic message', async () => {
+            oidc.completeLogin.mockRejectedValue(new Error('connection reset'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await callback(req, res);
+
+            expect(res.redirect).toHaveBeenCalledWith('http://localhost:3000/auth/oidc/callback?error=Sign-in+failed.+Please+try+again.');
+            expect(console.error).toHaveBeenCalledWith('❌ google sign-in failed:', 'connection reset');
+            console.error.mockRestore();
+        });
+    });
+
+    // ============================================================================
+    // Test 3: exchangeCode
+    // ============================================================================
+    describe('Test 3: exchangeCode - Session Tokens for the One-Time Code', () => {
+        it('should answer like any other login, plus where to go next', async () => {
+            // GIVEN: A valid code
+            req.body = { code: 'one-time' };
+            const account = { id: CUSTOMER_ID, role: 'customer', source: 'auth', email: 'lan@pho.vn' };
+            oidc.redeemExchangeCode.mockResolvedValue({ account, returnTo: '/checkout' });
+            buildLoginResponse.mockResolvedValue({
+                status: 'success',
+                token: 'access',
+                refreshToken: 'refresh',
+                data: { account: { id: CUSTOMER_ID, role: 'customer' } }
+            });
+
+            // WHEN: Exchanging
+            await exchangeCode(req, res, next);
+
+            // THEN: Session opened for the request
+            expect(oidc.redeemExchangeCode).toHaveBeenCalledWith('one-time');
+            expect(buildLoginResponse).toHaveBeenCalledWith(account, req);
+            expect(res.json).toHaveBeenCalledWith({
+                status: 'success',
+                token: 'access',
+                refreshToken: 'refresh',
+                data: { account: { id: CUSTOMER_ID, role: 'customer' }, returnTo: '/checkout' }
+            });
+        });
+
+        it('should answer with the error status for bad codes', async () => {
+            oidc.redeemExchangeCode.mockRejectedValue(new OidcError('This sign-in code is invalid or has expired. Please try again.', 401));
+
+            await exchangeCode(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ message: 'This sign-in code is invalid or has expired. Please try again.' });
+            expect(buildLoginResponse).not.toHaveBeenCalled();
+        });
+
+        it('should pass unexpected errors to next', async () => {
+            const error = new Error('db down');
+            oidc.redeemExchangeCode.mockRejectedValue(error);
+
+            await exchangeCode(req, res, next);
+
+            expect(next).toHaveBeenCalledWith(error);
+        });
+    });
+});
@@ -0,0 +1,159 @@
+// backend/auth-service/test/unit/orderUserMigration.test.js
+jest.mock('../../models/externalIdentities', () => ({ getOrderUserModel: jest.fn() }));
+jest.mock('../../utils/audit', () => ({ recordAudit: jest.fn() }));
+
+const bcrypt = require('bcryptjs');
+const Customer = require('../../models/Customer');
+const { getOrderUserModel } = require('../../models/externalIdentities');
+const { recordAudit } = require('../../utils/audit');
+const { toCustomerFields, migrateOrderUsers } = require('../../utils/orderUserMigration');
+
+// A real order-service hash: bcryptjs, cost 10, password "password123"
+const HASH = bcrypt.hashSync('password123', 10);
+
+describe('OrderUserMigration Unit Tests - Shopee QA Standards', () => {
+    let legacyUsers;
+
+    const legacyUser = (fields = {}) => ({
+        _id: '65a1b2c3d4e5f60718293a4b',
+        name: 'Nguyen Van An',
+        email: 'An.Nguyen@Example.com',
+        password: HASH,
+        role: 'customer',
+        ...fields
+    });
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+        legacyUsers = [legacyUser()];
+        getOrderUserModel.mockReturnValue({
+            find: jest.fn(() => ({ lean: jest.fn().mockResolvedValue(legacyUsers) }))
+        });
+        jest.spyOn(Customer, 'exists').mockResolvedValue(null);
+        jest.spyOn(Customer, 'insertMany').mockImplementation(async (docs) => docs);
+    });
+
+    // ============================================================================
+    // Test 1: toCustomerFields
+    // ============================================================================
+    describe('Test 1: toCustomerFields - Legacy User to Customer', () => {
+        it('should split the name, lowercase the email and keep the hash as it is', () => {
+            const fields = toCustomerFields(legacyUser());
+
+            expect(fields).toEqual({
+                firstName: 'Nguyen',
+                lastName: 'Van An',
+                email: 'an.nguyen@example.com',
+                password: HASH,
+                legacyImport: {
+                    source: 'order-service',
+                    legacyId: '65a1b2c3d4e5f60718293a4b',
+                    legacyRole: 'customer',
+                    importedAt: expect.any(Date)
+                }
+            });
+        });
+
+        it('should fall back to the email for a missing name and validate without a phone', async () => {
+            const customer = new Customer(toCustomerFields(legacyUser({ name: '' })));
+
+            expect(customer.firstName).toBe('an.nguyen');
+            expect(customer.lastName).toBeUndefined();
+            await expect(customer.validate()).resolves.toBeUndefined();
+        });
+    });
+
+    // ============================================================================
+    // Test 2: migrateOrderUsers
+    // ============================================================================
+    describe('Test 2: migrateOrderUsers - Import Without Rehashing', () => {
+        it('should insert the customer without running the pre-save hook', async () => {
+            // WHEN: Migrating
+            const report = await migrateOrderUsers();
+
+            // THEN: The stored hash still checks against the old password
+            const [[[inserted]]] = Customer.insertMany.mock.calls;
+            expect(inserted.password).toBe(HASH);
+            await expect(inserted.comparePassword('password123')).resolves.toBe(true);
+            expect(Customer.exists).toHaveBeenCalledWith({ email: 'an.nguyen@example.com' });
+            expect(report).toEqual({
+                imported: [{ email: 'an.nguyen@example.com', id: String(inserted._id), legacyId: '65a1b2c3d4e5f60718293a4b' }],
+                skipped: [],
+                manualOnboarding: []
+            });
+            expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'customer.create',
+                actor: { role: 'system' },
+                target: { type: 'customer', id: String(inserted._id) },
+                details: { source: 'order-service', legacyId: '65a1b2c3d4e5f60718293a4b', legacyRole: 'customer' }
+            }));
+        });
+
+        it('should leave self-chosen staff roles out and list them for manual onboarding', async () => {
+            // GIVEN: Accounts that picked a staff role at order-service sign-up, next to a customer
+            legacyUsers = [
+                legacyUser({ _id: 'u-admin', email: 'boss@example.com', role: 'admin' }),
+                legacyUser({ _id: 'u-restaurant', email: 'owner@example.com', role: 'restaurant' }),
+                legacyUser({ _id: 'u-driver', email: 'rider@example.com', role: 'delivery' }),
+                legacyUser({ _id: 'u-customer', email: 'lan@example.com', role: undefined })
+            ];
+
+            // WHEN
+            const report = await migrateOrderUsers();
+
+            // THEN: Only the customer gets a login; the claims are reported, neither granted nor downgraded
+            expect(Customer.insertMany).toHaveBeenCalledTimes(1);
+            expect(Customer.insertMany.mock.calls[0][0][0].email).toBe('lan@example.com');
+            expect(report.imported.map(({ email }) => email)).toEqual(['lan@example.com']);
+            expect(report.manualOnboarding).toEqual([
+                { email: 'boss@example.com', legacyId: 'u-admin', role: 'admin' },
+                { email: 'owner@example.com', legacyId: 'u-restaurant', role: 'restaurant' },
+                { email: 'rider@example.com', legacyId: 'u-driver', role: 'delivery' }
+            ]);
+            expect(recordAudit).toHaveBeenCalledTimes(1);
+        });
+
+        it('should report staff accounts during a dry run too', async () => {
+            legacyUsers = [legacyUser({ role: 'admin' })];
+
+            const report = await migrateOrderUsers({ dryRun: true });
+
+            expect(report.imported).toEqual([]);
+            expect(report.manualOnboarding).toEqual([
+                { email: 'An.Nguyen@Example.com', legacyId: '65a1b2c3d4e5f60718293a4b', role: 'admin' }
+            ]);
+        });
+
+        it.each([
+            ['an existing customer', () => Customer.exists.mockResolvedValue({ _id: 'c1' }), 'A customer with this email already exists.'],
+            ['a password that is not a bcrypt hash', () => { legacyUsers = [legacyUser({ password: 'plain-text' })]; }, 'Password is not a bcrypt hash.'],
+            ['a missing email', () => { legacyUsers = [legacyUser({ email: '' })]; }, 'No email.']
+        ])('should skip %s', async (_, arrange, reason) => {
+            arrange();
+
+            const report = await migrateOrderUsers();
+
+            expect(Customer.insertMany).not.toHaveBeenCalled();
+            expect(report.imported).toEqual([]);
+            expect(report.skipped).toEqual([expect.objectContaining({ legacyId: '65a1b2c3d4e5f60718293a4b', reason })]);
+        });
+
+        it('should treat a duplicate-key race as already migrated and rethrow other errors', async () => {
+            Customer.insertMany.mockRejectedValueOnce(Object.assign(new Error('E11000'), { code: 11000 }));
+            const report = await migrateOrderUsers();
+            expect(report.skipped[0].reason).toBe('A customer with this email already exists.');
+
+            Customer.insertMany.mockRejectedValueOnce(new Error('db down'));
+            await expect(migrateOrderUsers()).rejects.toThrow('db down');
+        });
+
+        it('should only report during a dry run', async () => {
+            const report = await migrateOrderUsers({ dryRun: true });
+
+            expect(Customer.insertMany).not.toHaveBeenCalled();
+            expect(recordAudit).not.toHaveBeenCalled();
+            expect(report.imported).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,123 @@
+// backend/auth-service/test/unit/passwordPolicy.test.js
+const { getPolicy, validatePassword, weakPasswordResponse } = require('../../utils/passwordPolicy');
+
+const POLICY_ENV = [
+    'PASSWORD_MIN_LENGTH',
+    'PASSWORD_REQUIRE_UPPERCASE',
+    'PASSWORD_REQUIRE_LOWERCASE',
+    'PASSWORD_REQUIRE_DIGIT',
+    'PASSWORD_REQUIRE_SYMBOL',
+    'PASSWORD_BLOCK_PERSONAL_INFO',
+    'PASSWORD_BLOCK_COMMON'
+];
+
+const rules = (password, user) => validatePassword(password, user).map((e) => e.rule);
+
+describe('Password Policy Unit Tests - Shopee QA Standards', () => {
+    beforeEach(() => {
+        POLICY_ENV.forEach((key) => delete process.env[key]);
+    });
+
+    // ============================================================================
+    // Test 1: Default policy
+    // ============================================================================
+    describe('Test 1: Default Policy - Length and Character Classes', () => {
+        it('should accept a strong password', () => {
+            expect(validatePassword('Tr4vel-Mango-Lamp')).toEqual([]);
+        });
+
+        it('should report every broken rule at once', () => {
+            // WHEN: A short all-lowercase password is checked
+            const errors = validatePassword('abc');
+
+            // THEN: Should list each rule with a message
+            expect(errors.map((e) => e.rule)).toEqual(['minLength', 'uppercase', 'digit']);
+            expect(errors[0].message).toBe('Password must be at least 8 characters.');
+        });
+
+        it('should reject passwords longer than bcrypt can hash', () => {
+            expect(rules(`Aa1${'x'.repeat(70)}`)).toEqual(['maxLength']);
+        });
+
+        it('should treat missing passwords as empty', () => {
+            expect(rules(undefined)).toEqual(['minLength', 'uppercase', 'lowercase', 'digit']);
+        });
+    });
+
+    // ============================================================================
+    // Test 2: Personal information
+    // ============================================================================
+    describe('Test 2: Personal Info - Blocks Name and Email', () => {
+        const user = { firstName: 'Minh', lastName: 'Nguyen', email: 'minh.nguyen@example.com' };
+
+        it('should block passwords containing the first or last name', () => {
+            expect(rules('Nguyen2024x', user)).toEqual(['personalInfo']);
+            expect(rules('xxMINHxx99', user)).toEqual(['personalInfo']);
+        });
+
+        it('should block passwords containing the email local part', () => {
+            expect(rules('Minh.Nguyen1', user)).toEqual(['personalInfo']);
+        });
+
+        it('should use restaurant owner and super-admin names too', () => {
+            expect(rules('Pho24Hours1', { name: 'Pho 24' })).toEqual(['personalInfo']);
+            expect(rules('Chi2024Xyz', { ownerName: 'Lan Chi' })).toEqual(['personalInfo']);
+        });
+
+        it('should ignore very short name parts', () => {
+            expect(rules('Anhello9x', { firstName: 'An' })).toEqual([]);
+        });
+    });
+
+    // ============================================================================
+    // Test 3: Common password list
+    // ============================================================================
+    describe('Test 3: Common Passwords - Bundled Offline List', () => {
+        it('should reject listed passwords regardless of case', () => {
+            expect(rules('Password123')).toEqual(['common']);
+            expect(rules('Qwerty123')).toEqual(['common']);
+        });
+
+        it('should allow disabling the check', () => {
+            process.env.PASSWORD_BLOCK_COMMON = 'false';
+            expect(rules('Password123')).toEqual([]);
+        });
+    });
+
+    // ============================================================================
+    // Test 4: Configuration
+    // ============================================================================
+    describe('Test 4: Configuration - PASSWORD_* Environment Variables', () => {
+        it('should expose defaults', () => {
+            expect(getPolicy()).toEqual({
+                minLength: 8,
+                maxLength: 72,
+                requireUppercase: true,
+                requireLowercase: true,
+                requireDigit: true,
+                requireSymbol: false,
+                blockPersonalInfo: true,
+                blockCommon: true
+            });
+        });
+
+        it('should honour overrides', () => {
+            process.env.PASSWORD_MIN_LENGTH = '12';
+            process.env.PASSWORD_REQUIRE_SYMBOL = 'true';
+            process.env.PASSWORD_REQUIRE_UPPERCASE = 'false';
+
+            expect(rules('lowercase123')).toEqual(['symbol']);
+            expect(validatePassword('short1!')[0].message).toBe('Password must be at least 12 characters.');
+        });
+
+        it('should build a structured 400 body', () => {
+            const errors = [{ rule: 'digit', message: 'Password must contain a number.' }];
+
+            expect(weakPasswordResponse(errors)).toEqual({
+                message: 'Password does not meet the requirements.',
+                code: 'WEAK_PASSWORD',
+                errors
+            });
+        });
+    });
+});
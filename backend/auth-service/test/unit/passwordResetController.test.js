@@ -0,0 +1,291 @@
+// backend/auth-service/test/unit/passwordResetController.test.js
+const Customer = require('../../models/Customer');
+const DeliveryPersonnel = require('../../models/DeliveryPersonnel');
+const { sendEmailNotification } = require('../../utils/emailService');
+const { revokeAllSessions } = require('../../utils/sessions');
+const { hashToken } = require('../../utils/oneTimeTokens');
+const passwordResetController = require('../../controllers/passwordResetController');
+
+jest.mock('../../models/Customer');
+jest.mock('../../models/DeliveryPersonnel');
+jest.mock('../../models/RestaurantAdmin');
+jest.mock('../../utils/emailService');
+jest.mock('../../utils/sessions');
+
+describe('PasswordResetController Unit Tests - Shopee QA Standards', () => {
+    let req, res, next;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        req = { body: {} };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+        next = jest.fn();
+        process.env.FRONTEND_URL = 'http://localhost:3000';
+        delete process.env.PASSWORD_RESET_TTL_MINUTES;
+    });
+
+    const genericResponse = {
+        status: 'success',
+        message: 'If an account exists for that email, a reset link has been sent.'
+    };
+
+    // ============================================================================
+    // Test 1: forgotPassword - issues hashed token and emails the link
+    // ============================================================================
+    describe('Test 1: forgotPassword - Issues Hashed Expiring Token and Emails Link (Happy Path)', () => {
+        it('should store only the token hash and email the raw token', async () => {
+            // GIVEN: Existing customer
+            req.body = { email: 'Alice@Customer.com' };
+            const customer = {
+                _id: 'customer-1',
+                email: 'alice@customer.com',
+                firstName: 'Alice',
+                save: jest.fn().mockResolvedValue(true)
+            };
+            Customer.findOne.mockResolvedValue(customer);
+            sendEmailNotification.mockResolvedValue({ id: 'mail-1' });
+
+            // WHEN: forgotPassword is called
+            await passwordResetController.forgotPassword(req, res, next);
+
+            // THEN: Should normalise email, persist hash + 30 min expiry, and email the link
+            expect(Customer.findOne).toHaveBeenCalledWith({ email: 'alice@customer.com' });
+            expect(customer.save).toHaveBeenCalledWith({ validateBeforeSave: false });
+            const [to, subject, html, text] = sendEmailNotification.mock.calls[0];
+            expect(to).toBe('alice@customer.com');
+            expect(subject).toBe('Reset your SkyDish password');
+            const token = text.match(/token=([a-f0-9]+)/)[1];
+            expect(html).toContain(`http://localhost:3000/auth/reset-password?token=${token}&role=customer`);
+            expect(customer.passwordResetToken).toBe(hashToken(token));
+            expect(customer.passwordResetToken).not.toBe(token);
+            const minutes = (customer.passwordResetExpires - Date.now()) / 60000;
+            expect(minutes).toBeGreaterThan(29);
+            expect(minutes).toBeLessThanOrEqual(30);
+            expect(res.json).toHaveBeenCalledWith(genericResponse);
+        });
+
+        it('should look up delivery personnel when role is delivery', async () => {
+            req.body = { email: 'driver@delivery.com', role: 'delivery' };
+            DeliveryPersonnel.findOne.mockResolvedValue(null);
+
+            await passwordResetController.forgotPassword(req, res, next);
+
+            expect(DeliveryPersonnel.findOne).toHaveBeenCalledWith({ email: 'driver@delivery.com' });
+            expect(Customer.findOne).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 2: forgotPassword - does not reveal whether account exists
+    // ============================================================================
+    describe('Test 2: forgotPassword - Account Enumeration Protection', () => {
+        it('should return the same response for unknown emails and send nothing', async () => {
+            req.body = { email: 'nobody@customer.com' };
+            Customer.findOne.mockResolvedValue(null);
+
+            await passwordResetController.forgotPassword(req, res, next);
+
+            expect(sendEmailNotification).not.toHaveBeenCalled();
+            expect(res.status).not.toHaveBeenCalled();
+            expect(res.json).toHaveBeenCalledWith(genericResponse);
+        });
+
+        it('should return 400 when email is missing', async () => {
+            await passwordResetController.forgotPassword(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Email is required.' });
+        });
+
+        it('should return 400 for admin or unknown account types', async () => {
+            req.body = { email: 'boss@admin.com', role: 'admin' };
+
+            await passwordResetController.forgotPassword(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Invalid account type.' });
+        });
+
+        it('should clear the stored token and still answer generically when the email cannot be sent', async () => {
+            req.body = { email: 'alice@customer.com' };
+            const customer = { email: 'alice@customer.com', firstName: 'Alice', save: jest.fn() };
+            Customer.findOne.mockResolvedValue(customer);
+            sendEmailNotification.mockRejectedValue(new Error('SMTP down'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await passwordResetController.forgotPassword(req, res, next);
+
+            // THEN: No usable token left, the outage only in the logs
+            expect(customer.passwordResetToken).toBeUndefined();
+            expect(customer.passwordResetExpires).toBeUndefined();
+            expect(customer.save).toHaveBeenCalledTimes(2);
+            expect(res.status).not.toHaveBeenCalled();
+            expect(res.json).toHaveBeenCalledWith(genericResponse);
+            expect(console.error).toHaveBeenCalledWith('❌ Could not send password reset email:', 'SMTP down');
+            console.error.mockRestore();
+        });
+
+        it('should escape the account name in the HTML email', async () => {
+            req.body = { email: 'alice@customer.com' };
+            const customer = { email: 'alice@customer.com', firstName: '<a href="https://evil.test">Alice</a>', save: jest.fn() };
+            Customer.findOne.mockResolvedValue(customer);
+            sendEmailNotification.mockResolvedValue({ id: 'mail-2' });
+
+            await passwordResetController.forgotPassword(req, res, next);
+
+            const html = sendEmailNotification.mock.calls[0][2];
+            expect(html).toContain('Hi &lt;a href=&quot;https://evil.test&quot;&gt;Alice&lt;/a&gt;,');
+            expect(html).not.toContain('evil.test">');
+        });
+    });
+
+    // ============================================================================
+    // Test 3: resetPassword - single-use token
+    // ============================================================================
+    describe('Test 3: resetPassword - Sets New Password and Burns Token (Happy Path)', () => {
+        it('should update password, clear token and revoke sessions', async () => {
+            // GIVEN: Customer holding a valid reset token
+            req.body = { token: 'raw-reset-token', password: 'NewSecret123!' };
+            const customer = {
+                _id: 'customer-1',
+                password: 'old-hash',
+                passwordResetToken: hashToken('raw-reset-token'),
+                passwordResetExpires: new Date(Date.now() + 60000),
+                save: jest.fn().mockResolvedValue(true)
+            };
+            const select = jest.fn().mockResolvedValue(customer);
+            Customer.findOne.mockReturnValue({ select });
+
+            // WHEN: resetPassword is called
+            await passwordResetController.resetPassword(req, res, next);
+
+            // THEN: Should query by hash + expiry and consume the token
+            expect(Customer.findOne).toHaveBeenCalledWith({
+                passwordResetToken: hashToken('raw-reset-token'),
+                passwordResetExpires: { $gt: expect.any(Date) }
+            });
+            expect(select).toHaveBeenCalledWith('+passwordResetToken +passwordResetExpires');
+            expect(customer.password).toBe('NewSecret123!');
+            expect(customer.passwordResetToken).toBeUndefined();
+            expect(customer.passwordResetExpires).toBeUndefined();
+            expect(customer.save).toHaveBeenCalledWith();
+            expect(revokeAllSessions).toHaveBeenCalledWith({ source: 'auth', id: 'customer-1', role: 'customer' });
+            expect(res.json).toHaveBeenCalledWith({
+                status: 'success',
+                message: 'Password has been reset. Please log in with your new password.'
+            });
+        });
+    });
+
+    // ============================================================================
+    // Test 4: resetPassword - rejected tokens and input
+    // ============================================================================
+    describe('Test 4: resetPassword - Invalid, Expired or Used Tokens (Error Path)', () => {
+        it('should return 400 when no account matches the token', async () => {
+            req.body = { token: 'used-token', password: 'NewSecret123!' };
+            Customer.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+            await passwordResetController.resetPassword(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Reset link is invalid or has expired.' });
+            expect(revokeAllSessions).not.toHaveBeenCalled();
+        });
+
+        it('should return 400 when token or password is missing', async () => {
+            req.body = { token: 'abc' };
+
+            await passwordResetController.resetPassword(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(Customer.findOne).not.toHaveBeenCalled();
+        });
+
+        it('should reject passwords that break the policy without burning the token', async () => {
+            // GIVEN: Valid token but a weak password containing the user's name
+            req.body = { token: 'abc', password: 'jane1234' };
+            const customer = {
+                _id: 'customer-1',
+                firstName: 'Jane',
+                email: 'jane@example.com',
+                passwordResetToken: hashToken('abc'),
+                save: jest.fn()
+            };
+            Customer.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(customer) });
+
+            // WHEN: resetPassword is called
+            await passwordResetController.resetPassword(req, res, next);
+
+            // THEN: Should return per-rule errors and keep the token usable
+            expect(res.status).toHaveBeenCalledWith(400);
+            const body = res.json.mock.calls[0][0];
+            expect(body.code).toBe('WEAK_PASSWORD');
+            expect(body.errors.map((e) => e.rule)).toEqual(['uppercase', 'personalInfo']);
+            expect(customer.save).not.toHaveBeenCalled();
+            expect(customer.passwordResetToken).toBe(hashToken('abc'));
+        });
+
+        it('should forward database errors to next()', async () => {
+            req.body = { token: 'abc', password: 'NewSecret123!' };
+            const dbError = new Error('Database down');
+            Customer.findOne.mockReturnValue({ select: jest.fn().mockRejectedValue(dbError) });
+
+            await passwordResetController.resetPassword(req, res, next);
+
+            expect(next).toHaveBeenCalledWith(dbError);
+        });
+    });
+
+    // ============================================================================
+    // Test 5: getPasswordPolicy - exposes requirements to clients
+    // ============================================================================
+    describe('Test 5: getPasswordPolicy - Returns Current Requirements', () => {
+        it('should return the configured policy', () => {
+            passwordResetController.getPasswordPolicy(req, res);
+
+            expect(res.json).toHaveBeenCalledWith({
+                status: 'success',
+                data: { policy: expect.objectContaining({ minLength: 8, requireDigit: true }) }
+            });
+        });
+    });
+
+    // ============================================================================
+    // Test 6: checkPassword - the same policy for other services
+    // ============================================================================
+    describe('Test 6: checkPassword - Policy Check For Restaurant-Service Accounts', () => {
+        it('should accept a password that satisfies every rule', () => {
+            req.body = { password: 'Saffron-Kettle-42', user: { name: 'Golden Dragon', ownerName: 'John Smith' } };
+
+            passwordResetController.checkPassword(req, res);
+
+            expect(res.status).not.toHaveBeenCalled();
+            expect(res.json).toHaveBeenCalledWith({ status: 'success' });
+        });
+
+        it('should answer 400 WEAK_PASSWORD with every broken rule, personal info included', () => {
+            // GIVEN: A short password built from the owner name
+            req.body = { password: 'tran12', user: { ownerName: 'Lan Tran', email: 'weak@diner.com' } };
+
+            // WHEN: Checked
+            passwordResetController.checkPassword(req, res);
+
+            // THEN: Same body every auth-service form gets
+            expect(res.status).toHaveBeenCalledWith(400);
+            const body = res.json.mock.calls[0][0];
+            expect(body.code).toBe('WEAK_PASSWORD');
+            expect(body.errors.map((e) => e.rule)).toEqual(['minLength', 'uppercase', 'personalInfo']);
+        });
+
+        it('should ignore profile fields that are not strings', () => {
+            req.body = { password: 'Saffron-Kettle-42', user: { name: { $ne: null }, email: 42 } };
+
+            passwordResetController.checkPassword(req, res);
+
+            expect(res.json).toHaveBeenCalledWith({ status: 'success' });
+        });
+    });
+});
@@ -0,0 +1,99 @@
+// backend/auth-service/test/unit/phoneLoginController.test.js
+jest.mock('../../utils/phoneOtp', () => {
+    const { OtpError } = jest.requireActual('../../utils/phoneOtp');
+    return { OtpError, requestCode: jest.fn(), verifyCode: jest.fn() };
+});
+jest.mock('../../utils/loginResponse', () => ({
+    buildLoginResponse: jest.fn()
+}));
+
+const { OtpError, requestCode, verifyCode } = require('../../utils/phoneOtp');
+const { buildLoginResponse } = require('../../utils/loginResponse');
+const { requestOtp, verifyOtp } = require('../../controllers/phoneLoginController');
+
+describe('PhoneLoginController Unit Tests - Shopee QA Standards', () => {
+    let req, res, next;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        req = { body: { phone: '0901234567' }, headers: {} };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis(),
+            set: jest.fn().mockReturnThis()
+        };
+        next = jest.fn();
+    });
+
+    // ============================================================================
+    // Test 1: requestOtp
+    // ============================================================================
+    describe('Test 1: requestOtp - Same Answer for Every Number', () => {
+        it('should confirm without saying whether the number is registered', async () => {
+            // GIVEN: A code issued
+            const expiresAt = new Date('2026-10-19T08:05:00Z');
+            requestCode.mockResolvedValue({ phone: '+84901234567', expiresAt, resendAfter: 60 });
+
+            // WHEN: Requesting
+            await requestOtp(req, res, next);
+
+            // THEN: Neutral message plus timing hints for the form
+            expect(requestCode).toHaveBeenCalledWith('0901234567');
+            expect(res.json).toHaveBeenCalledWith({
+                status: 'success',
+                message: 'If this number belongs to an account, a login code is on its way.',
+                data: { expiresAt, resendAfter: 60 }
+            });
+        });
+
+        it('should answer 429 with Retry-After during the cooldown', async () => {
+            requestCode.mockRejectedValue(new OtpError('Please wait 40 seconds before requesting another code.', 429, 40));
+
+            await requestOtp(req, res, next);
+
+            expect(res.set).toHaveBeenCalledWith('Retry-After', '40');
+            expect(res.status).toHaveBeenCalledWith(429);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Please wait 40 seconds before requesting another code.', retryAfter: 40 });
+        });
+    });
+
+    // ============================================================================
+    // Test 2: verifyOtp
+    // ============================================================================
+    describe('Test 2: verifyOtp - Login Response for a Good Code', () => {
+        it('should open a session like any other login', async () => {
+            // GIVEN: A correct code
+            req.body = { phone: '0901234567', code: '123456' };
+            const account = { id: 'c1', role: 'customer', source: 'auth' };
+            verifyCode.mockResolvedValue(account);
+            buildLoginResponse.mockResolvedValue({ status: 'success', token: 't', refreshToken: 'r', data: { account } });
+
+            // WHEN
+            await verifyOtp(req, res, next);
+
+            // THEN
+            expect(verifyCode).toHaveBeenCalledWith('0901234567', '123456');
+            expect(buildLoginResponse).toHaveBeenCalledWith(account, req);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ token: 't', refreshToken: 'r' }));
+        });
+
+        it('should answer with the error status for a wrong code', async () => {
+            verifyCode.mockRejectedValue(new OtpError('Invalid code. 3 attempt(s) left.', 401));
+
+            await verifyOtp(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Invalid code. 3 attempt(s) left.' });
+            expect(res.set).not.toHaveBeenCalled();
+        });
+
+        it('should pass unexpected errors to next', async () => {
+            const error = new Error('db down');
+            verifyCode.mockRejectedValue(error);
+
+            await verifyOtp(req, res, next);
+
+            expect(next).toHaveBeenCalledWith(error);
+        });
+    });
+});
@@ -0,0 +1,247 @@
+// backend/auth-service/test/unit/phoneOtp.test.js
+jest.mock('../../utils/smsService', () => ({ sendSms: jest.fn() }));
+jest.mock('../../utils/identityResolver', () => ({ findAccountById: jest.fn() }));
+
+const Customer = require('../../models/Customer');
+const PhoneOtp = require('../../models/PhoneOtp');
+const { sendSms } = require('../../utils/smsService');
+const { findAccountById } = require('../../utils/identityResolver');
+const { hashToken } = require('../../utils/oneTimeTokens');
+const { OtpError, normalizePhone, requestCode, verifyCode } = require('../../utils/phoneOtp');
+
+const PHONE = '+84901234567';
+const CUSTOMER_ID = '663f1c2e9b1e8a0012345678';
+const NOW = new Date('2026-10-19T08:00:00Z');
+
+describe('PhoneOtp Unit Tests - Shopee QA Standards', () => {
+    let customers;
+
+    // Customer.find(...).limit(2) resolving to `customers`
+    const mockCustomers = () => {
+        jest.spyOn(Customer, 'find').mockImplementation(() => ({
+            limit: jest.fn().mockResolvedValue(customers)
+        }));
+    };
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+        jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+        ['OTP_TTL_MINUTES', 'OTP_MAX_ATTEMPTS', 'OTP_RESEND_COOLDOWN_SECONDS', 'OTP_MAX_SENDS_PER_HOUR', 'OTP_DEFAULT_COUNTRY_CODE']
+            .forEach((name) => delete process.env[name]);
+        customers = [{ _id: CUSTOMER_ID, suspended: false }];
+        mockCustomers();
+        sendSms.mockResolvedValue({ id: 'sms-1' });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    // ============================================================================
+    // Test 1: normalizePhone
+    // ============================================================================
+    describe('Test 1: normalizePhone - E.164 From What People Type', () => {
+        it.each([
+            ['+84 901 234 567', PHONE],
+            ['0901-234-567', PHONE],
+            ['0084901234567', PHONE],
+            ['84901234567', PHONE],
+            ['(090) 123.4567', PHONE]
+        ])('should read %s as %s', (typed, expected) => {
+            expect(normalizePhone(typed)).toBe(expected);
+        });
+
+        it.each(['', 'call me', '+0123456789', '12', null])('should reject %p', (typed) => {
+            expect(normalizePhone(typed)).toBeNull();
+        });
+
+        it('should use OTP_DEFAULT_COUNTRY_CODE for national numbers', () => {
+            process.env.OTP_DEFAULT_COUNTRY_CODE = '66';
+
+            expect(normalizePhone('0812345678')).toBe('+66812345678');
+        });
+    });
+
+    // ============================================================================
+    // Test 2: requestCode
+    // ============================================================================
+    describe('Test 2: requestCode - Hashed Code, Cooldown and Hourly Cap', () => {
+        beforeEach(() => {
+            jest.spyOn(PhoneOtp, 'findOne').mockResolvedValue(null);
+            jest.spyOn(PhoneOtp, 'findOneAndUpdate').mockResolvedValue({});
+        });
+
+        it('should store only the hash of the six-digit code it texts', async () => {
+            // WHEN: A customer asks for a code
+            const result = await requestCode('0901 234 567');
+
+            // THEN: The SMS carries the code; the database only its hash
+            const [to, body] = sendSms.mock.calls[0];
+            const code = body.match(/\b(\d{6})\b/)[1];
+            expect(to).toBe(PHONE);
+            expect(body).toBe(`Your SkyDish login code is ${code}. It expires in 5 minutes. Never share it with anyone.`);
+            expect(PhoneOtp.findOneAndUpdate).toHaveBeenCalledWith(
+                { phone: PHONE },
+                {
+                    $set: {
+                        codeHash: hashToken(`${PHONE}:${code}`),
+                        attempts: 0,
+                        codeExpiresAt: new Date('2026-10-19T08:05:00Z'),
+                        sentAt: [NOW],
+                        expiresAt: new Date('2026-10-19T09:00:00Z')
+                    }
+                },
+                { upsert: true }
+            );
+            expect(result).toEqual({ phone: PHONE, expiresAt: new Date('2026-10-19T08:05:00Z'), resendAfter: 60 });
+        });
+
+        it('should look the customer up under every spelling the number may be stored with', async () => {
+            await requestCode(PHONE);
+
+            expect(Customer.find).toHaveBeenCalledWith({ phone: { $in: [PHONE, '84901234567', '0901234567'] } });
+        });
+
+        it.each([
+            ['no customer has the number', []],
+            ['the customer is suspended', [{ _id: CUSTOMER_ID, suspended: true }]],
+            ['several customers share the number', [{ _id: 'a' }, { _id: 'b' }]]
+        ])('should answer the same but send nothing when %s', async (_, found) => {
+            // GIVEN
+            customers = found;
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            // WHEN
+            const result = await requestCode(PHONE);
+
+            // THEN: A code is still stored, so cooldowns behave identically
+            expect(result.resendAfter).toBe(60);
+            expect(PhoneOtp.findOneAndUpdate).toHaveBeenCalled();
+            expect(sendSms).not.toHaveBeenCalled();
+        });
+
+        it('should refuse a resend during the cooldown', async () => {
+            // GIVEN: A code sent 20 seconds ago
+            PhoneOtp.findOne.mockResolvedValue({ sentAt: [new Date(NOW.getTime() - 20 * 1000)] });
+
+            // WHEN/THEN: 429 with the seconds left
+            await expect(requestCode(PHONE)).rejects.toEqual(
+                new OtpError('Please wait 40 seconds before requesting another code.', 429, 40)
+            );
+            expect(sendSms).not.toHaveBeenCalled();
+        });
+
+        it('should cap the codes per hour and forget sends older than an hour', async () => {
+            // GIVEN: Five sends in the last hour and one before
+            process.env.OTP_RESEND_COOLDOWN_SECONDS = '1';
+            const minutesAgo = (m) => new Date(NOW.getTime() - m * 60 * 1000);
+            PhoneOtp.findOne.mockResolvedValue({ sentAt: [minutesAgo(90), minutesAgo(50), minutesAgo(40), minutesAgo(30), minutesAgo(20), minutesAgo(10)] });
+
+            // WHEN/THEN: Refused until the oldest of the five is an hour old
+            const error = await requestCode(PHONE).catch((err) => err);
+            expect(error).toMatchObject({ statusCode: 429, retryAfter: 10 * 60 });
+            expect(error.message).toBe('Too many codes requested for this number. Please try again later.');
+        });
+
+        it('should reject a malformed number', async () => {
+            await expect(requestCode('abc')).rejects.toMatchObject({ statusCode: 400 });
+        });
+
+        it('should log a failed send and answer as it does for unknown numbers', async () => {
+            // GIVEN: The SMS provider is down for a registered number
+            sendSms.mockRejectedValue(new Error('Twilio down'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const registered = await requestCode(PHONE);
+
+            // WHEN: The same request comes for a number nobody has
+            customers = [];
+            PhoneOtp.findOne.mockResolvedValue(null);
+            const unknown = await requestCode(PHONE);
+
+            // THEN: Identical answers; only the log knows
+            expect(registered).toEqual(unknown);
+            expect(console.error).toHaveBeenCalledWith('❌ Could not text the login code:', 'Twilio down');
+        });
+    });
+
+    // ============================================================================
+    // Test 3: verifyCode
+    // ============================================================================
+    describe('Test 3: verifyCode - Attempts, Expiry and Single Use', () => {
+        const storedOtp = (fields = {}) => ({
+            _id: 'otp-1',
+            phone: PHONE,
+            codeHash: hashToken(`${PHONE}:123456`),
+            attempts: 1,
+            ...fields
+        });
+
+        it('should count the attempt, use the code up and return the customer account', async () => {
+            // GIVEN: A live code
+            jest.spyOn(PhoneOtp, 'findOneAndUpdate')
+                .mockResolvedValueOnce(storedOtp())
+                .mockResolvedValueOnce(storedOtp());
+            const account = { id: CUSTOMER_ID, role: 'customer', source: 'auth' };
+            findAccountById.mockResolvedValue(account);
+
+            // WHEN: Entering it
+            await expect(verifyCode('0901234567', ' 123456 ')).resolves.toBe(account);
+
+            // THEN: Attempt counted atomically, then the code expired
+            expect(PhoneOtp.findOneAndUpdate).toHaveBeenNthCalledWith(1,
+                { phone: PHONE, codeExpiresAt: { $gt: NOW }, attempts: { $lt: 5 } },
+                { $inc: { attempts: 1 } },
+                { new: true }
+            );
+            expect(PhoneOtp.findOneAndUpdate).toHaveBeenNthCalledWith(2,
+                { _id: 'otp-1', codeHash: storedOtp().codeHash, codeExpiresAt: { $gt: NOW } },
+                { $set: { codeExpiresAt: new Date(0) } }
+            );
+            expect(findAccountById).toHaveBeenCalledWith(CUSTOMER_ID, 'customer');
+        });
+
+        it('should tell how many attempts are left after a wrong code', async () => {
+            jest.spyOn(PhoneOtp, 'findOneAndUpdate').mockResolvedValue(storedOtp({ attempts: 2 }));
+
+            await expect(verifyCode(PHONE, '000000')).rejects.toEqual(new OtpError('Invalid code. 3 attempt(s) left.', 401));
+            expect(PhoneOtp.findOneAndUpdate).toHaveBeenCalledTimes(1);
+        });
+
+        it('should burn the code on the last allowed wrong guess', async () => {
+            jest.spyOn(PhoneOtp, 'findOneAndUpdate').mockResolvedValue(storedOtp({ attempts: 5 }));
+
+            await expect(verifyCode(PHONE, '000000')).rejects.toEqual(new OtpError('Too many wrong codes. Please request a new one.', 401));
+        });
+
+        it('should refuse expired, exhausted or already used codes', async () => {
+            // GIVEN: No live code matches the filter
+            jest.spyOn(PhoneOtp, 'findOneAndUpdate').mockResolvedValue(null);
+
+            // WHEN/THEN
+            await expect(verifyCode(PHONE, '123456')).rejects.toMatchObject({
+                statusCode: 401,
+                message: 'This code has expired or was already used. Please request a new one.'
+            });
+            expect(findAccountById).not.toHaveBeenCalled();
+        });
+
+        it('should let only one of two parallel correct answers through', async () => {
+            // GIVEN: The other request expired the code between our two steps
+            jest.spyOn(PhoneOtp, 'findOneAndUpdate')
+                .mockResolvedValueOnce(storedOtp())
+                .mockResolvedValueOnce(null);
+
+            await expect(verifyCode(PHONE, '123456')).rejects.toMatchObject({ statusCode: 401 });
+        });
+
+        it('should refuse a suspended customer and malformed input', async () => {
+            jest.spyOn(PhoneOtp, 'findOneAndUpdate').mockResolvedValue(storedOtp());
+            customers = [{ _id: CUSTOMER_ID, suspended: true }];
+
+            await expect(verifyCode(PHONE, '123456')).rejects.toMatchObject({ statusCode: 403 });
+            await expect(verifyCode(PHONE, '12345')).rejects.toMatchObject({ statusCode: 400 });
+            await expect(verifyCode('nope', '123456')).rejects.toMatchObject({ statusCode: 400 });
+        });
+    });
+});
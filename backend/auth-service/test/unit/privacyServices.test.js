@@ -0,0 +1,84 @@
+// backend/auth-service/test/unit/privacyServices.test.js
+const { signToken } = require('../../utils/jwt');
+const {
+    ServiceRequestError,
+    exportOrders,
+    anonymizePayments
+} = require('../../utils/privacyServices');
+
+jest.mock('../../utils/jwt', () => ({ signToken: jest.fn(() => 'service-token') }));
+
+const subject = { customerId: '64b000000000000000000001', email: 'lan@example.com' };
+
+describe('Privacy Services Client Unit Tests - Shopee QA Standards', () => {
+    let originalFetch;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        originalFetch = global.fetch;
+        global.fetch = jest.fn();
+        delete process.env.ORDER_SERVICE_URL;
+        process.env.PAYMENT_SERVICE_URL = 'http://payment-service:5004';
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        delete process.env.PAYMENT_SERVICE_URL;
+    });
+
+    // ============================================================================
+    // Test 1: Requests
+    // ============================================================================
+    describe('Test 1: Requests - Internal Endpoint With A Scoped Service Token', () => {
+        it('should POST the subject to order-service with a short-lived token', async () => {
+            // GIVEN: order-service answering with one order
+            global.fetch.mockResolvedValue({ ok: true, json: async () => ({ orders: [{ _id: 'o1' }] }) });
+
+            // WHEN: Exporting orders
+            const result = await exportOrders(subject);
+
+            // THEN: Should call the internal route with a privacy-scoped service token
+            expect(result).toEqual({ orders: [{ _id: 'o1' }] });
+            expect(signToken).toHaveBeenCalledWith(
+                { sub: 'auth-service', role: 'service', scope: 'privacy' },
+                '60s'
+            );
+            const [url, options] = global.fetch.mock.calls[0];
+            expect(url).toBe('http://localhost:5005/internal/privacy/export');
+            expect(options.headers.Authorization).toBe('Bearer service-token');
+            expect(JSON.parse(options.body)).toEqual(subject);
+        });
+
+        it('should send order ids and the pseudonym to payment-service', async () => {
+            global.fetch.mockResolvedValue({ ok: true, json: async () => ({ anonymized: 2 }) });
+
+            await expect(anonymizePayments(subject, ['o1', 'o2'], 'deleted-abc')).resolves.toEqual({ anonymized: 2 });
+
+            const [url, options] = global.fetch.mock.calls[0];
+            expect(url).toBe('http://payment-service:5004/internal/privacy/anonymize');
+            expect(JSON.parse(options.body)).toEqual({ ...subject, orderIds: ['o1', 'o2'], pseudonym: 'deleted-abc' });
+        });
+    });
+
+    // ============================================================================
+    // Test 2: Failures
+    // ============================================================================
+    describe('Test 2: Failures - ServiceRequestError Names The Service', () => {
+        it('should wrap network errors', async () => {
+            global.fetch.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+            const error = await exportOrders(subject).catch((err) => err);
+
+            expect(error).toBeInstanceOf(ServiceRequestError);
+            expect(error.service).toBe('order-service');
+            expect(error.message).toBe('order-service: connect ECONNREFUSED');
+        });
+
+        it('should surface the downstream message on error statuses', async () => {
+            global.fetch.mockResolvedValue({ ok: false, status: 403, json: async () => ({ message: 'Access denied' }) });
+
+            await expect(anonymizePayments(subject, [], 'deleted-abc'))
+                .rejects.toThrow('payment-service: Access denied');
+        });
+    });
+});
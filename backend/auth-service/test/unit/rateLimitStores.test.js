@@ -0,0 +1,129 @@
+// backend/auth-service/test/unit/rateLimitStores.test.js
+const LoginAttempt = require('../../models/LoginAttempt');
+const { MemoryStore, MongoStore, createStore } = require('../../utils/rateLimitStores');
+
+jest.mock('../../models/LoginAttempt');
+
+describe('Rate Limit Store Unit Tests - Shopee QA Standards', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        delete process.env.RATE_LIMIT_STORE;
+    });
+
+    // ============================================================================
+    // Test 1: createStore - backend selection
+    // ============================================================================
+    describe('Test 1: createStore - Selects Backend From RATE_LIMIT_STORE', () => {
+        it('should default to the in-memory store', () => {
+            expect(createStore()).toBeInstanceOf(MemoryStore);
+        });
+
+        it('should use Mongo when RATE_LIMIT_STORE=mongo', () => {
+            process.env.RATE_LIMIT_STORE = 'mongo';
+            expect(createStore()).toBeInstanceOf(MongoStore);
+        });
+
+        it('should reject unknown stores', () => {
+            expect(() => createStore('redis')).toThrow('Unknown RATE_LIMIT_STORE "redis"');
+        });
+    });
+
+    // ============================================================================
+    // Test 2: MemoryStore - sliding window
+    // ============================================================================
+    describe('Test 2: MemoryStore - Keeps Only Failures Inside The Window', () => {
+        it('should drop failures older than the window', async () => {
+            // GIVEN: Two old failures and one recent
+            const store = new MemoryStore();
+            await store.recordFailure('k', 1000, 500);
+            await store.recordFailure('k', 1200, 500);
+
+            // WHEN: A failure arrives after the window has slid
+            const entry = await store.recordFailure('k', 1650, 500);
+
+            // THEN: Only failures within 500ms should remain
+            expect(entry.failures).toEqual([1200, 1650]);
+        });
+
+        it('should clear failures and bump lockouts on lock', async () => {
+            const store = new MemoryStore();
+            await store.recordFailure('k', Date.now(), 60000);
+
+            await store.lock('k', Date.now() + 60000);
+
+            const entry = await store.get('k');
+            expect(entry.failures).toEqual([]);
+            expect(entry.lockouts).toBe(1);
+            expect(entry.lockedUntil).toBeGreaterThan(Date.now());
+        });
+
+        it('should forget a key on reset', async () => {
+            const store = new MemoryStore();
+            await store.recordFailure('k', Date.now(), 60000);
+
+            await store.reset('k');
+
+            expect(await store.get('k')).toBeNull();
+        });
+    });
+
+    // ============================================================================
+    // Test 3: MongoStore - shared across replicas
+    // ============================================================================
+    describe('Test 3: MongoStore - Persists Attempts In LoginAttempt', () => {
+        it('should push the failure atomically and filter by window', async () => {
+            // GIVEN: Stored failures, one outside the window
+            LoginAttempt.findOneAndUpdate.mockReturnValue({
+                lean: jest.fn().mockResolvedValue({
+                    failures: [new Date(100), new Date(900), new Date(1000)],
+                    lockedUntil: null,
+                    lockouts: 2
+                })
+            });
+
+            // WHEN: A failure is recorded
+            const entry = await new MongoStore().recordFailure('k', 1000, 500);
+
+            // THEN: Should upsert with a bounded push and return in-window failures
+            const [filter, update, options] = LoginAttempt.findOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({ key: 'k' });
+            expect(update.$push.failures.$each).toEqual([new Date(1000)]);
+            expect(update.$push.failures.$slice).toBe(-100);
+            expect(options).toEqual(expect.objectContaining({ upsert: true, new: true }));
+            expect(entry).toEqual({ failures: [900, 1000], lockedUntil: null, lockouts: 2 });
+        });
+
+        it('should map stored documents to plain entries', async () => {
+            LoginAttempt.findOne.mockReturnValue({
+                lean: jest.fn().mockResolvedValue({
+                    failures: [new Date(5)],
+                    lockedUntil: new Date(9000),
+                    lockouts: 1
+                })
+            });
+
+            const entry = await new MongoStore().get('k');
+
+            expect(entry).toEqual({ failures: [5], lockedUntil: 9000, lockouts: 1 });
+        });
+
+        it('should increment lockouts when locking', async () => {
+            LoginAttempt.updateOne.mockResolvedValue({});
+
+            await new MongoStore().lock('k', 5000);
+
+            const [, update] = LoginAttempt.updateOne.mock.calls[0];
+            expect(update.$set.lockedUntil).toEqual(new Date(5000));
+            expect(update.$set.failures).toEqual([]);
+            expect(update.$inc).toEqual({ lockouts: 1 });
+        });
+
+        it('should delete the document on reset', async () => {
+            LoginAttempt.deleteOne.mockResolvedValue({});
+
+            await new MongoStore().reset('k');
+
+            expect(LoginAttempt.deleteOne).toHaveBeenCalledWith({ key: 'k' });
+        });
+    });
+});
@@ -0,0 +1,194 @@
+// backend/auth-service/test/unit/refreshTokens.test.js
+const RefreshToken = require('../../models/RefreshToken');
+const {
+    RefreshTokenError,
+    hashToken,
+    createRefreshToken,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllForUser
+} = require('../../utils/refreshTokens');
+
+jest.mock('../../models/RefreshToken');
+
+describe('Refresh Token Store Unit Tests - Shopee QA Standards', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        delete process.env.REFRESH_TOKEN_TTL_DAYS;
+        RefreshToken.create.mockResolvedValue({});
+        RefreshToken.updateMany.mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    // ============================================================================
+    // Test 1: createRefreshToken - stores only the hash
+    // ============================================================================
+    describe('Test 1: createRefreshToken - Stores Hashed Token With Family and Expiry', () => {
+        it('should return an opaque token and persist only its SHA-256 hash', async () => {
+            // WHEN: A refresh token is created
+            const token = await createRefreshToken({ userId: 'user-1', role: 'customer' });
+
+            // THEN: Should store hash, role, new family and 7 day expiry
+            expect(token).toMatch(/^[a-f0-9]{80}$/);
+            const stored = RefreshToken.create.mock.calls[0][0];
+            expect(stored.tokenHash).toBe(hashToken(token));
+            expect(stored.tokenHash).not.toBe(token);
+            expect(stored.userId).toBe('user-1');
+            expect(stored.role).toBe('customer');
+            expect(stored.family).toEqual(expect.any(String));
+            const days = (stored.expiresAt - Date.now()) / (24 * 60 * 60 * 1000);
+            expect(days).toBeGreaterThan(6.9);
+            expect(days).toBeLessThanOrEqual(7);
+        });
+
+        it('should keep the given family when rotating', async () => {
+            // WHEN: A token is created for an existing family
+            await createRefreshToken({ userId: 'user-1', role: 'admin', family: 'family-abc' });
+
+            // THEN: Should reuse the family id
+            expect(RefreshToken.create.mock.calls[0][0].family).toBe('family-abc');
+        });
+
+        it('should honour REFRESH_TOKEN_TTL_DAYS', async () => {
+            // GIVEN: 1 day TTL
+            process.env.REFRESH_TOKEN_TTL_DAYS = '1';
+
+            // WHEN: A token is created
+            await createRefreshToken({ userId: 'user-1', role: 'customer' });
+
+            // THEN: Should expire within a day
+            const { expiresAt } = RefreshToken.create.mock.calls[0][0];
+            expect(expiresAt - Date.now()).toBeLessThanOrEqual(24 * 60 * 60 * 1000);
+        });
+    });
+
+    // ============================================================================
+    // Test 2: rotateRefreshToken - happy path
+    // ============================================================================
+    describe('Test 2: rotateRefreshToken - Rotates Active Token Within Its Family', () => {
+        it('should revoke the presented token and issue a successor in the same family', async () => {
+            // GIVEN: An active token in the store
+            const current = {
+                userId: 'user-1',
+                role: 'customer',
+                family: 'family-1',
+                expiresAt: new Date(Date.now() + 60000),
+                save: jest.fn().mockResolvedValue(true)
+            };
+            RefreshToken.findOneAndUpdate.mockResolvedValue(current);
+
+            // WHEN: The token is rotated
+            const result = await rotateRefreshToken('raw-token');
+
+            // THEN: Should atomically claim it and link the successor
+            expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+                { tokenHash: hashToken('raw-token'), revokedAt: null },
+                { revokedAt: expect.any(Date) },
+                { new: true }
+            );
+            expect(RefreshToken.create.mock.calls[0][0].family).toBe('family-1');
+            expect(result.userId).toBe('user-1');
+            expect(result.role).toBe('customer');
+            expect(result.family).toBe('family-1');
+            expect(result.refreshToken).not.toBe('raw-token');
+            expect(current.replacedBy).toBe(hashToken(result.refreshToken));
+            expect(current.save).toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 3: rotateRefreshToken - reuse detection
+    // ============================================================================
+    describe('Test 3: rotateRefreshToken - Reuse of a Rotated Token Revokes the Family', () => {
+        it('should revoke every token in the family and reject', async () => {
+            // GIVEN: The token was already rotated
+            RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+            RefreshToken.findOne.mockResolvedValue({ family: 'stolen-family', revokedAt: new Date() });
+            const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+            // WHEN/THEN: Rotation fails
+            await expect(rotateRefreshToken('old-token')).rejects.toBeInstanceOf(RefreshTokenError);
+            expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+                { family: 'stolen-family', revokedAt: null },
+                { revokedAt: expect.any(Date) }
+            );
+            expect(RefreshToken.create).not.toHaveBeenCalled();
+
+            warnSpy.mockRestore();
+        });
+
+        it('should reject unknown tokens without revoking anything', async () => {
+            // GIVEN: Token not in the store
+            RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+            RefreshToken.findOne.mockResolvedValue(null);
+
+            // WHEN/THEN: Rotation fails with 401
+            await expect(rotateRefreshToken('unknown')).rejects.toMatchObject({ statusCode: 401 });
+            expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+        });
+
+        it('should reject a missing token', async () => {
+            await expect(rotateRefreshToken(undefined)).rejects.toThrow('Refresh token is required.');
+            expect(RefreshToken.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should reject an expired token', async () => {
+            // GIVEN: Claimed token past its expiry
+            RefreshToken.findOneAndUpdate.mockResolvedValue({
+                family: 'family-1',
+                expiresAt: new Date(Date.now() - 1000)
+            });
+
+            // WHEN/THEN: Rotation fails
+            await expect(rotateRefreshToken('expired')).rejects.toThrow('Refresh token has expired.');
+            expect(RefreshToken.create).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 4: revokeRefreshToken - logout
+    // ============================================================================
+    describe('Test 4: revokeRefreshToken - Revokes the Whole Family on Logout', () => {
+        it('should revoke all active tokens of the family', async () => {
+            RefreshToken.findOne.mockResolvedValue({ family: 'family-9' });
+
+            const result = await revokeRefreshToken('raw');
+
+            expect(result).toBe('family-9');
+            expect(RefreshToken.findOne).toHaveBeenCalledWith({ tokenHash: hashToken('raw') });
+            expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+                { family: 'family-9', revokedAt: null },
+                { revokedAt: expect.any(Date) }
+            );
+        });
+
+        it('should return null for unknown tokens', async () => {
+            RefreshToken.findOne.mockResolvedValue(null);
+
+            expect(await revokeRefreshToken('raw')).toBeNull();
+            expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 5: revokeAllForUser - logout everywhere
+    // ============================================================================
+    describe('Test 5: revokeAllForUser - Every Family, Optionally Sparing One', () => {
+        it('should revoke every active token of the user', async () => {
+            await revokeAllForUser('user-1');
+
+            expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+                { userId: 'user-1', revokedAt: null },
+                { revokedAt: expect.any(Date) }
+            );
+        });
+
+        it('should keep the family of the current session', async () => {
+            await revokeAllForUser('user-1', { exceptFamily: 'family-keep' });
+
+            expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+                { userId: 'user-1', revokedAt: null, family: { $ne: 'family-keep' } },
+                { revokedAt: expect.any(Date) }
+            );
+        });
+    });
+});
@@ -2,10 +2,29 @@
 const jwt = require('jsonwebtoken');
 const RestaurantAdmin = require('../../models/RestaurantAdmin');
 const restaurantAdminController = require('../../controllers/restaurantAdminController');
+const { createRefreshToken } = require('../../utils/refreshTokens');
+const { startLoginChallenge } = require('../../utils/twoFactor');
 
 // Mock dependencies
 jest.mock('jsonwebtoken');
+jest.mock('../../utils/signingKeys', () => ({
+    getSigningKey: () => ({ kid: 'test-kid', alg: 'RS256', privateKey: 'test-private-key' })
+}));
 jest.mock('../../models/RestaurantAdmin');
+jest.mock('../../utils/refreshTokens');
+jest.mock('../../models/Session');
+jest.mock('../../utils/emailVerification');
+// Second factor is off unless a test starts a challenge
+jest.mock('../../utils/twoFactor', () => ({ startLoginChallenge: jest.fn().mockResolvedValue(null) }));
+jest.mock('../../utils/audit', () => ({ recordAudit: jest.fn() }));
+jest.mock('../../utils/restaurantOnboarding', () => {
+    const actual = jest.requireActual('../../utils/restaurantOnboarding');
+    return { ...actual, approve: jest.fn(), reject: jest.fn(), resubmit: jest.fn() };
+});
+
+const onboarding = require('../../utils/restaurantOnboarding');
+const { recordAudit } = require('../../utils/audit');
+const { RestaurantServiceError } = require('../../utils/restaurantService');
 
 describe('RestaurantAdminController Unit Tests - Shopee QA Standards', () => {
     let req, res, next;
@@ -31,7 +50,6 @@ describe('RestaurantAdminController Unit Tests - Shopee QA Standards', () => {
         next = jest.fn();
 
         // Setup default environment variables
-        process.env.JWT_SECRET = 'test-secret-key';
         process.env.JWT_EXPIRES_IN = '7d';
     });
 
@@ -80,9 +98,9 @@ describe('RestaurantAdminController Unit Tests - Shopee QA Standards', () => {
                 businessLicense: 'BL-2024-001'
             });
             expect(jwt.sign).toHaveBeenCalledWith(
-                { id: mockRestaurantAdmin._id, role: 'restaurant-admin' },
-                'test-secret-key',
-                { expiresIn: '7d' }
+                { sub: mockRestaurantAdmin._id, role: 'restaurant-admin', restaurantId: null, permissions: [] },
+                'test-private-key',
+                { algorithm: 'RS256', keyid: 'test-kid', expiresIn: '7d' }
             );
             expect(res.status).toHaveBeenCalledWith(201);
             expect(res.json).toHaveBeenCalledWith({
@@ -133,9 +151,9 @@ describe('RestaurantAdminController Unit Tests - Shopee QA Standards', () => {
 
             // THEN: Should sign JWT with restaurant-admin role
             expect(jwt.sign).toHaveBeenCalledWith(
-                { id: 'admin-id-456', role: 'restaurant-admin' },
-                'test-secret-key',
-                { expiresIn: '7d' }
+                { sub: 'admin-id-456', role: 'restaurant-admin', restaurantId: null, permissions: [] },
+                'test-private-key',
+                { algorithm: 'RS256', keyid: 'test-kid', expiresIn: '7d' }
             );
         });
 
@@ -178,6 +196,42 @@ describe('RestaurantAdminController Unit Tests - Shopee QA Standards', () => {
                 })
             );
         });
+
+        it('should hand back the enrollment challenge instead of tokens when restaurant admins need 2FA', async () => {
+            // GIVEN: The two-factor policy covers restaurant admins
+            req.body = {
+                firstName: 'Carol',
+                lastName: 'Tran',
+                email: 'carol@restaurant.com',
+                phone: '+2222222222',
+                password: 'MyPass456!',
+                businessLicense: 'BL-2024-004'
+            };
+            const challenge = {
+                status: 'success',
+                twoFactorEnrollmentRequired: true,
+                challengeToken: 'challenge-carol',
+                expiresAt: '2026-10-19T10:05:00.000Z'
+            };
+            RestaurantAdmin.findOne.mockResolvedValue(null);
+            RestaurantAdmin.create.mockResolvedValue({
+                _id: 'admin-id-999', firstName: 'Carol', lastName: 'Tran', email: 'carol@restaurant.com',
+                phone: '+2222222222', businessLicense: 'BL-2024-004', isApproved: false
+            });
+            startLoginChallenge.mockResolvedValueOnce(challenge);
+
+            // WHEN: register is called
+            await restaurantAdminController.register(req, res, next);
+
+            // THEN: 201 with the challenge and no session
+            expect(startLoginChallenge).toHaveBeenCalledWith({ source: 'auth', id: 'admin-id-999', role: 'restaurant-admin' });
+            expect(jwt.sign).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(201);
+            const body = res.json.mock.calls[0][0];
+            expect(body).toMatchObject(challenge);
+            expect(body).not.toHaveProperty('token');
+            expect(body.data.restaurantAdmin.email).toBe('carol@restaurant.com');
+        });
     });
 
     // ============================================================================
@@ -222,7 +276,7 @@ describe('RestaurantAdminController Unit Tests - Shopee QA Standards', () => {
                 lastName: 'Wilson',
                 email: 'duplicate@restaurant.com',
                 phone: '+3333333333',
-                password: 'SecurePass!',
+                password: 'SecurePass1!',
                 businessLicense: 'BL-2024-005'
             };
 
@@ -508,9 +562,9 @@ describe('RestaurantAdminController Unit Tests - Shopee QA Standards', () => {
             expect(RestaurantAdmin.findOne).toHaveBeenCalledWith({ email: 'approved@restaurant.com' });
             expect(mockRestaurantAdmin.comparePassword).toHaveBeenCalledWith('CorrectPassword123!');
             expect(jwt.sign).toHaveBeenCalledWith(
-                { id: 'admin-approved-id', role: 'restaurant-admin' },
-                'test-secret-key',
-                { expiresIn: '7d' }
+                { sub: 'admin-approved-id', role: 'restaurant-admin', restaurantId: 'restaurant-id-001', permissions: [] },
+                'test-private-key',
+                { algorithm: 'RS256', keyid: 'test-kid', expiresIn: '7d' }
             );
             expect(res.json).toHaveBeenCalledWith({
                 status: 'success',
@@ -851,7 +905,7 @@ describe('RestaurantAdminController Unit Tests - Shopee QA Standards', () => {
             // GIVEN: Two scenarios - non-existent email and wrong password
             req.body = {
                 email: 'test@restaurant.com',
-                password: 'TestPassword!'
+                password: 'TestPassword1!'
             };
 
             RestaurantAdmin.findOne.mockReturnValue({
@@ -937,7 +991,7 @@ describe('RestaurantAdminController Unit Tests - Shopee QA Standards', () => {
                 lastName: 'Gold',
                 email: 'uma@restaurant.com',
                 phone: '+1717171717',
-                password: 'SecurePass!',
+                password: 'SecurePass1!',
                 businessLicense: 'BL-DUPLICATE-002'
             };
 
@@ -989,7 +1043,7 @@ describe('RestaurantAdminController Unit Tests - Shopee QA Standards', () => {
                 lastName: 'Copper',
                 email: 'wendy.unique@restaurant.com',
                 phone: '+1919191919',
-                password: 'UniquePass!',
+                password: 'DistinctPass1!',
                 businessLicense: 'BL-CONFLICT-004'
             };
 
@@ -1124,4 +1178,231 @@ describe('RestaurantAdminController Unit Tests - Shopee QA Standards', () => {
             expect(next).toHaveBeenCalledWith(jwtError);
         });
     });
+
+    // ============================================================================
+    // Refresh token issued alongside the short-lived access token
+    // ============================================================================
+    describe('Refresh Tokens - register/login Issue a Rotating Refresh Token', () => {
+        it('should return a refresh token from register', async () => {
+            // GIVEN: Valid registration and a refresh token store
+            req.body = { firstName: 'Rita', lastName: 'Refresh', email: 'rita@restaurant.com', phone: '+1234567890', password: 'SecurePass123!', businessLicense: 'BL-REFRESH-1' };
+            const created = { _id: 'restaurantAdmin-rita-id', firstName: 'Rita', lastName: 'Refresh', email: 'rita@restaurant.com', phone: '+1234567890', businessLicense: 'BL-REFRESH-1', isApproved: true, comparePassword: jest.fn().mockResolvedValue(true) };
+            RestaurantAdmin.findOne.mockResolvedValue(null);
+            RestaurantAdmin.create.mockResolvedValue(created);
+            jwt.sign.mockReturnValue('access-token');
+            createRefreshToken.mockResolvedValue('refresh-token-abc');
+
+            // WHEN: register is called
+            await restaurantAdminController.register(req, res, next);
+
+            // THEN: Should persist a refresh token for the new account and return it
+            expect(createRefreshToken).toHaveBeenCalledWith({ userId: created._id, role: 'restaurant-admin' });
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                token: 'access-token',
+                refreshToken: 'refresh-token-abc'
+            }));
+        });
+
+        it('should return a refresh token from login', async () => {
+            // GIVEN: Valid credentials
+            req.body = { email: 'rita@example.com', password: 'SecurePass123!' };
+            const account = { _id: 'restaurantAdmin-rita-id', firstName: 'Rita', lastName: 'Refresh', email: 'rita@restaurant.com', phone: '+1234567890', businessLicense: 'BL-REFRESH-1', isApproved: true, comparePassword: jest.fn().mockResolvedValue(true) };
+            RestaurantAdmin.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(account) });
+            jwt.sign.mockReturnValue('access-token');
+            createRefreshToken.mockResolvedValue('refresh-token-xyz');
+
+            // WHEN: login is called
+            await restaurantAdminController.login(req, res, next);
+
+            // THEN: Should include the refresh token next to the access token
+            expect(createRefreshToken).toHaveBeenCalledWith({ userId: account._id, role: 'restaurant-admin' });
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                token: 'access-token',
+                refreshToken: 'refresh-token-xyz'
+            }));
+        });
+
+        it('should not issue a refresh token when login fails', async () => {
+            // GIVEN: Unknown account
+            req.body = { email: 'nobody@example.com', password: 'whatever' };
+            RestaurantAdmin.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+            // WHEN: login is called
+            await restaurantAdminController.login(req, res, next);
+
+            // THEN: Should reject without touching the refresh token store
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(createRefreshToken).not.toHaveBeenCalled();
+        });
+
+        it('should hand back a two-factor challenge instead of tokens when one is owed', async () => {
+            // GIVEN: Correct password for an account with TOTP enabled
+            req.body = { email: 'tara@restaurant.com', password: 'SecurePass123!' };
+            const account = { _id: 'ra-tara-id', firstName: 'Tara', lastName: 'Totp', email: 'tara@restaurant.com', isApproved: true, comparePassword: jest.fn().mockResolvedValue(true) };
+            RestaurantAdmin.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(account) });
+            const challenge = { status: 'success', twoFactorRequired: true, challengeToken: 'chal-1', expiresAt: new Date() };
+            startLoginChallenge.mockResolvedValueOnce(challenge);
+
+            // WHEN: login is called
+            await restaurantAdminController.login(req, res, next);
+
+            // THEN: The client must finish at /2fa/challenge; nothing is signed yet
+            expect(startLoginChallenge).toHaveBeenCalledWith({ source: 'auth', id: 'ra-tara-id', role: 'restaurant-admin' });
+            expect(res.json).toHaveBeenCalledWith(challenge);
+            expect(jwt.sign).not.toHaveBeenCalled();
+            expect(createRefreshToken).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Onboarding workflow
+    // ============================================================================
+    describe('Onboarding - Application Status Decides Login And Reviewer Actions', () => {
+        const account = (fields) => ({
+            _id: 'ra-lan-id', firstName: 'Lan', lastName: 'Nguyen', email: 'lan@phosaigon.vn',
+            isApproved: false, comparePassword: jest.fn().mockResolvedValue(true), ...fields
+        });
+
+        it('should tell rejected applicants their application was not approved', async () => {
+            req.body = { email: 'lan@phosaigon.vn', password: 'SecurePass123!' };
+            RestaurantAdmin.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(account({ onboardingStatus: 'rejected' })) });
+
+            await restaurantAdminController.login(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith({
+                message: 'Your restaurant application was not approved. Please contact support.'
+            });
+        });
+
+        it('should let applicants asked for more information sign in to resubmit', async () => {
+            // GIVEN: Application sent back by a reviewer
+            req.body = { email: 'lan@phosaigon.vn', password: 'SecurePass123!' };
+            const applicant = account({ onboardingStatus: 'needs-info' });
+            RestaurantAdmin.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(applicant) });
+
+            // WHEN: login is called
+            await restaurantAdminController.login(req, res, next);
+
+            // THEN: Password checked and tokens issued, still without a restaurant
+            expect(applicant.comparePassword).toHaveBeenCalledWith('SecurePass123!');
+            expect(res.status).not.toHaveBeenCalled();
+            expect(res.json.mock.calls[0][0].data.restaurantAdmin).toMatchObject({
+                onboardingStatus: 'needs-info', isApproved: false, restaurantId: undefined
+            });
+        });
+
+        it('should approve with the reviewer id and body, and return the restaurant', async () => {
+            // GIVEN: Reviewer links an existing restaurant
+            req.params.id = 'ra-lan-id';
+            req.user = { id: 'admin-1' };
+            req.body = { restaurantId: 'rest-1', note: 'Welcome' };
+            const admin = account({ isApproved: true, approvedAt: new Date(), restaurantId: 'rest-1', onboardingStatus: 'approved' });
+            onboarding.approve.mockResolvedValue({ admin, restaurant: { id: 'rest-1', name: 'Pho Saigon' }, linked: true });
+
+            // WHEN: approveRestaurantAdmin is called
+            await restaurantAdminController.approveRestaurantAdmin(req, res, next);
+
+            // THEN: Workflow called, linked restaurant in the response
+            expect(onboarding.approve).toHaveBeenCalledWith('ra-lan-id', 'admin-1', {
+                restaurantId: 'rest-1', note: 'Welcome', overrideOwnership: false
+            });
+            const { data } = res.json.mock.calls[0][0];
+            expect(data.restaurantAdmin).toMatchObject({ isApproved: true, restaurantId: 'rest-1', onboardingStatus: 'approved' });
+            expect(data.restaurant).toEqual({ id: 'rest-1', name: 'Pho Saigon' });
+            expect(data.linked).toBe(true);
+        });
+
+        it('should pass the ownership override on only when it is exactly true', async () => {
+            req.params.id = 'ra-lan-id';
+            req.user = { id: 'admin-1' };
+            const admin = account({ isApproved: true, restaurantId: 'rest-1', onboardingStatus: 'approved' });
+            onboarding.approve.mockResolvedValue({ admin, restaurant: { id: 'rest-1', name: 'Pho Saigon' }, linked: true });
+
+            req.body = { restaurantId: 'rest-1', overrideOwnership: true };
+            await restaurantAdminController.approveRestaurantAdmin(req, res, next);
+            req.body = { restaurantId: 'rest-1', overrideOwnership: 'true' };
+            await restaurantAdminController.approveRestaurantAdmin(req, res, next);
+
+            expect(onboarding.approve.mock.calls[0][2].overrideOwnership).toBe(true);
+            expect(onboarding.approve.mock.calls[1][2].overrideOwnership).toBe(false);
+        });
+
+        it.each([
+            ['an invalid transition', new onboarding.OnboardingError('An application that is rejected cannot move to approved.'), 409],
+            ['an unknown restaurant', new RestaurantServiceError('Restaurant not found', 404), 404],
+            ['restaurant-service being down', new RestaurantServiceError('fetch failed'), 502]
+        ])('should answer approval failures from %s with their status', async (label, error, status) => {
+            req.params.id = 'ra-lan-id';
+            req.user = { id: 'admin-1' };
+            onboarding.approve.mockRejectedValue(error);
+
+            await restaurantAdminController.approveRestaurantAdmin(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(status);
+            expect(res.json).toHaveBeenCalledWith({ message: error.message });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should reject with the reason from the body', async () => {
+            req.params.id = 'ra-lan-id';
+            req.user = { id: 'admin-1' };
+            req.body = { reason: 'License expired' };
+            onboarding.reject.mockResolvedValue(account({ onboardingStatus: 'rejected', onboardingHistory: [] }));
+
+            await restaurantAdminController.rejectRestaurantAdmin(req, res, next);
+
+            expect(onboarding.reject).toHaveBeenCalledWith('ra-lan-id', 'admin-1', 'License expired');
+            expect(res.json.mock.calls[0][0].data.application.status).toBe('rejected');
+        });
+
+        it('should audit a decision from the status the application had before the request', async () => {
+            // GIVEN: A submitted application rejected directly (review step recorded first)
+            req.params.id = 'ra-lan-id';
+            req.user = { id: 'admin-1' };
+            req.body = { reason: 'License expired' };
+            onboarding.reject.mockImplementation(async () => account({
+                _id: 'ra-lan-id',
+                onboardingStatus: 'rejected',
+                onboardingHistory: [
+                    { from: 'submitted', to: 'under-review', at: new Date() },
+                    { from: 'under-review', to: 'rejected', note: 'License expired', at: new Date() }
+                ]
+            }));
+
+            // WHEN: rejectRestaurantAdmin is called
+            await restaurantAdminController.rejectRestaurantAdmin(req, res, next);
+
+            // THEN: One event from submitted to rejected with the reason
+            expect(recordAudit).toHaveBeenCalledWith({
+                action: 'restaurant-admin.reject',
+                req,
+                target: { type: 'restaurant-admin', id: 'ra-lan-id' },
+                before: { onboardingStatus: 'submitted' },
+                after: { onboardingStatus: 'rejected', restaurantId: undefined },
+                details: { reason: 'License expired' }
+            });
+        });
+
+        it('should not audit a decision that failed', async () => {
+            req.params.id = 'ra-lan-id';
+            req.user = { id: 'admin-1' };
+            onboarding.approve.mockRejectedValue(new onboarding.OnboardingError('An application that is rejected cannot move to approved.'));
+
+            await restaurantAdminController.approveRestaurantAdmin(req, res, next);
+
+            expect(recordAudit).not.toHaveBeenCalled();
+        });
+
+        it('should answer 409 when an applicant resubmits an application nobody sent back', async () => {
+            req.account = account({ onboardingStatus: 'submitted' });
+            req.body = { restaurantLocation: '12 Le Loi' };
+            onboarding.resubmit.mockImplementation(jest.requireActual('../../utils/restaurantOnboarding').resubmit);
+
+            await restaurantAdminController.resubmitApplication(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(next).not.toHaveBeenCalled();
+        });
+    });
 });
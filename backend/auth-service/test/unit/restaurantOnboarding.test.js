@@ -0,0 +1,316 @@
+// backend/auth-service/test/unit/restaurantOnboarding.test.js
+jest.mock('../../utils/restaurantService', () => {
+    const actual = jest.requireActual('../../utils/restaurantService');
+    return { ...actual, onboardRestaurant: jest.fn() };
+});
+jest.mock('../../utils/emailService', () => ({ sendEmailNotification: jest.fn().mockResolvedValue({ id: 'm1' }) }));
+
+const RestaurantAdmin = require('../../models/RestaurantAdmin');
+const { onboardRestaurant, RestaurantServiceError } = require('../../utils/restaurantService');
+const { sendEmailNotification } = require('../../utils/emailService');
+const onboarding = require('../../utils/restaurantOnboarding');
+
+const { OnboardingError } = onboarding;
+
+const APPLICANT_ID = '663f1c2e9b1e8a0012345678';
+const REVIEWER_ID = '663f1c2e9b1e8a00123456aa';
+const RESTAURANT_ID = '663f1c2e9b1e8a00123456bb';
+
+const makeApplicant = (fields = {}) => {
+    const applicant = new RestaurantAdmin({
+        _id: APPLICANT_ID,
+        firstName: 'Lan',
+        lastName: 'Nguyen',
+        email: 'lan@phosaigon.vn',
+        phone: '0901234567',
+        password: 'hashed-password',
+        businessLicense: 'BL-2026-001',
+        restaurantName: 'Pho Saigon',
+        restaurantLocation: '12 Le Loi, District 1',
+        ...fields
+    });
+    applicant.save = jest.fn().mockResolvedValue(applicant);
+    return applicant;
+};
+
+const statuses = (applicant) => applicant.onboardingHistory.map((e) => `${e.from}>${e.to}`);
+
+describe('Restaurant Onboarding Unit Tests - Shopee QA Standards', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    const findReturns = (applicant) => jest.spyOn(RestaurantAdmin, 'findById').mockResolvedValue(applicant);
+
+    // ============================================================================
+    // Test 1: Status and transitions
+    // ============================================================================
+    describe('Test 1: statusOf / startReview - Workflow States', () => {
+        it('should treat accounts from before the workflow by isApproved', () => {
+            expect(onboarding.statusOf({ isApproved: true })).toBe('approved');
+            expect(onboarding.statusOf({ isApproved: false })).toBe('submitted');
+            expect(onboarding.statusOf(makeApplicant())).toBe('submitted');
+        });
+
+        it('should take a submitted application into review and record who did', async () => {
+            // GIVEN: A fresh application
+            const applicant = makeApplicant();
+            findReturns(applicant);
+
+            // WHEN: A reviewer picks it up
+            await onboarding.startReview(APPLICANT_ID, REVIEWER_ID);
+
+            // THEN: Under review, history says who and when
+            expect(applicant.onboardingStatus).toBe('under-review');
+            expect(applicant.onboardingHistory[0]).toMatchObject({ from: 'submitted', to: 'under-review' });
+            expect(String(applicant.onboardingHistory[0].by)).toBe(REVIEWER_ID);
+            expect(applicant.save).toHaveBeenCalled();
+            expect(sendEmailNotification).not.toHaveBeenCalled();
+        });
+
+        it('should refuse to reopen a decided application with 409', async () => {
+            findReturns(makeApplicant({ onboardingStatus: 'rejected' }));
+
+            await expect(onboarding.startReview(APPLICANT_ID, REVIEWER_ID)).rejects.toMatchObject({
+                statusCode: 409,
+                message: 'An application that is rejected cannot move to under-review.'
+            });
+        });
+
+        it('should answer 404 for unknown or malformed ids', async () => {
+            findReturns(null);
+
+            await expect(onboarding.startReview(APPLICANT_ID, REVIEWER_ID)).rejects.toMatchObject({ statusCode: 404 });
+            await expect(onboarding.startReview('abc', REVIEWER_ID)).rejects.toMatchObject({ statusCode: 404 });
+            expect(RestaurantAdmin.findById).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    // ============================================================================
+    // Test 2: Approval
+    // ============================================================================
+    describe('Test 2: approve - Creates Or Links The Restaurant', () => {
+        it('should create the restaurant, link it and email the applicant', async () => {
+            // GIVEN: A submitted application; restaurant-service creates the restaurant
+            const applicant = makeApplicant();
+            findReturns(applicant);
+            onboardRestaurant.mockResolvedValue({ linked: false, restaurant: { id: RESTAURANT_ID, name: 'Pho Saigon' } });
+
+            // WHEN: Approved straight from the queue
+            const result = await onboarding.approve(APPLICANT_ID, REVIEWER_ID, { note: 'Welcome aboard!' });
+
+            // THEN: Application details sent on, review step recorded, account linked and approved
+            expect(onboardRestaurant).toHaveBeenCalledWith({
+                restaurantId: undefined,
+                overrideOwnership: false,
+                name: 'Pho Saigon',
+                ownerName: 'Lan Nguyen',
+                location: '12 Le Loi, District 1',
+                contactNumber: '0901234567',
+                email: 'lan@phosaigon.vn'
+            });
+            expect(statuses(applicant)).toEqual(['submitted>under-review', 'under-review>approved']);
+            expect(applicant.onboardingHistory[1].note).toBe('Welcome aboard!');
+            expect(String(applicant.restaurantId)).toBe(RESTAURANT_ID);
+            expect(applicant.isApproved).toBe(true);
+            expect(String(applicant.approvedBy)).toBe(REVIEWER_ID);
+            expect(result.linked).toBe(false);
+
+            const [to, subject, html, text] = sendEmailNotification.mock.calls[0];
+            expect(to).toBe('lan@phosaigon.vn');
+            expect(subject).toBe('Your restaurant is approved on SkyDish');
+            expect(text).toContain('Pho Saigon has been approved');
+            expect(text).toContain('Welcome aboard!');
+            expect(html).toContain('/auth/login');
+        });
+
+        it('should pass the reviewer\'s restaurantId to link an existing restaurant', async () => {
+            const applicant = makeApplicant({ onboardingStatus: 'under-review' });
+            findReturns(applicant);
+            jest.spyOn(RestaurantAdmin, 'exists').mockResolvedValue(null);
+            onboardRestaurant.mockResolvedValue({ linked: true, restaurant: { id: RESTAURANT_ID, name: 'Pho Saigon Q3' } });
+
+            await onboarding.approve(APPLICANT_ID, REVIEWER_ID, { restaurantId: RESTAURANT_ID });
+
+            expect(onboardRestaurant.mock.calls[0][0].restaurantId).toBe(RESTAURANT_ID);
+            expect(RestaurantAdmin.exists).toHaveBeenCalledWith({ restaurantId: RESTAURANT_ID, _id: { $ne: applicant._id } });
+        });
+
+        it('should refuse a restaurant another restaurant admin manages unless the reviewer overrides', async () => {
+            // GIVEN: The chosen restaurant is already linked to another account
+            const applicant = makeApplicant({ onboardingStatus: 'under-review' });
+            findReturns(applicant);
+            jest.spyOn(RestaurantAdmin, 'exists').mockResolvedValue({ _id: 'other-owner' });
+            onboardRestaurant.mockResolvedValue({ linked: true, restaurant: { id: RESTAURANT_ID, name: 'Pho Saigon Q3' } });
+
+            // WHEN: Approving without the override
+            const error = await onboarding.approve(APPLICANT_ID, REVIEWER_ID, { restaurantId: RESTAURANT_ID }).catch((e) => e);
+
+            // THEN: 409, nothing saved, nobody emailed
+            expect(error).toBeInstanceOf(OnboardingError);
+            expect(error.statusCode).toBe(409);
+            expect(error.message).toBe('This restaurant is already managed by another restaurant admin.');
+            expect(applicant.save).not.toHaveBeenCalled();
+            expect(sendEmailNotification).not.toHaveBeenCalled();
+        });
+
+        it('should link anyway, and tell restaurant-service so, when the reviewer overrides', async () => {
+            const applicant = makeApplicant({ onboardingStatus: 'under-review' });
+            findReturns(applicant);
+            jest.spyOn(RestaurantAdmin, 'exists').mockResolvedValue({ _id: 'other-owner' });
+            onboardRestaurant.mockResolvedValue({ linked: true, restaurant: { id: RESTAURANT_ID, name: 'Pho Saigon Q3' } });
+
+            await onboarding.approve(APPLICANT_ID, REVIEWER_ID, { restaurantId: RESTAURANT_ID, overrideOwnership: true });
+
+            expect(onboardRestaurant.mock.calls[0][0].overrideOwnership).toBe(true);
+            expect(RestaurantAdmin.exists).not.toHaveBeenCalled();
+            expect(String(applicant.restaurantId)).toBe(RESTAURANT_ID);
+            expect(applicant.save).toHaveBeenCalled();
+        });
+
+        it('should leave the application untouched when restaurant-service refuses', async () => {
+            // GIVEN: restaurant-service does not know the chosen restaurant
+            const applicant = makeApplicant({ onboardingStatus: 'under-review' });
+            findReturns(applicant);
+            onboardRestaurant.mockRejectedValue(new RestaurantServiceError('Restaurant not found', 404));
+
+            // WHEN: Approving
+            const error = await onboarding.approve(APPLICANT_ID, REVIEWER_ID, { restaurantId: RESTAURANT_ID }).catch((e) => e);
+
+            // THEN: The error surfaces; nothing saved, nobody emailed
+            expect(error.statusCode).toBe(404);
+            expect(applicant.save).not.toHaveBeenCalled();
+            expect(sendEmailNotification).not.toHaveBeenCalled();
+        });
+
+        it('should keep the approval when the email cannot be sent', async () => {
+            const applicant = makeApplicant({ onboardingStatus: 'under-review' });
+            findReturns(applicant);
+            onboardRestaurant.mockResolvedValue({ linked: false, restaurant: { id: RESTAURANT_ID, name: 'Pho Saigon' } });
+            sendEmailNotification.mockRejectedValueOnce(new Error('SMTP down'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await onboarding.approve(APPLICANT_ID, REVIEWER_ID);
+
+            expect(applicant.save).toHaveBeenCalled();
+            expect(applicant.isApproved).toBe(true);
+        });
+    });
+
+    // ============================================================================
+    // Test 3: Rejection and requests for information
+    // ============================================================================
+    describe('Test 3: reject / requestInfo / resubmit - Reviewer Notes Reach The Applicant', () => {
+        it('should require a rejection reason', async () => {
+            jest.spyOn(RestaurantAdmin, 'findById');
+
+            await expect(onboarding.reject(APPLICANT_ID, REVIEWER_ID, '  ')).rejects.toMatchObject({
+                statusCode: 400,
+                message: 'A rejection reason is required.'
+            });
+            expect(RestaurantAdmin.findById).not.toHaveBeenCalled();
+        });
+
+        it('should reject with the reason in the history and the email, escaped in HTML', async () => {
+            const applicant = makeApplicant();
+            findReturns(applicant);
+
+            await onboarding.reject(APPLICANT_ID, REVIEWER_ID, 'License <expired>');
+
+            expect(onboarding.statusOf(applicant)).toBe('rejected');
+            expect(applicant.onboardingHistory[1].note).toBe('License <expired>');
+            const [, , html, text] = sendEmailNotification.mock.calls[0];
+            expect(text).toContain('Reason: License <expired>');
+            expect(html).toContain('License &lt;expired&gt;');
+        });
+
+        it('should send the application back and let the applicant resubmit it', async () => {
+            // GIVEN: Reviewer asks for the street address
+            const applicant = makeApplicant({ restaurantLocation: undefined });
+            findReturns(applicant);
+            await onboarding.requestInfo(APPLICANT_ID, REVIEWER_ID, 'Please add the street address.');
+            expect(sendEmailNotification.mock.calls[0][1]).toBe('We need more information about your restaurant');
+            jest.spyOn(RestaurantAdmin, 'exists').mockResolvedValue(null);
+
+            // WHEN: The applicant answers
+            await onboarding.resubmit(applicant, { restaurantLocation: '12 Le Loi, District 1', note: 'Added.' });
+
+            // THEN: Back in the queue with the new details and the applicant's note
+            expect(applicant.restaurantLocation).toBe('12 Le Loi, District 1');
+            expect(statuses(applicant)).toEqual([
+                'submitted>under-review', 'under-review>needs-info', 'needs-info>submitted'
+            ]);
+            expect(applicant.onboardingHistory[2].by).toBeUndefined();
+            expect(applicant.onboardingHistory[2].note).toBe('Added.');
+        });
+
+        it('should only accept resubmissions of applications that need information', async () => {
+            await expect(onboarding.resubmit(makeApplicant(), {})).rejects.toBeInstanceOf(OnboardingError);
+        });
+
+        it('should refuse a business license held by another account', async () => {
+            jest.spyOn(RestaurantAdmin, 'exists').mockResolvedValue({ _id: 'other' });
+            const applicant = makeApplicant({ onboardingStatus: 'needs-info' });
+
+            await expect(onboarding.resubmit(applicant, { businessLicense: 'BL-TAKEN' }))
+                .rejects.toMatchObject({ statusCode: 409, message: 'Business license already registered.' });
+            expect(applicant.businessLicense).toBe('BL-2026-001');
+        });
+    });
+
+    // ============================================================================
+    // Test 4: Review queue and public shape
+    // ============================================================================
+    describe('Test 4: listApplications / formatApplication - Queue And History', () => {
+        const mockFind = () => {
+            const sort = jest.fn().mockResolvedValue([]);
+            jest.spyOn(RestaurantAdmin, 'find').mockReturnValue({ sort });
+            return sort;
+        };
+
+        it('should list open applications oldest first, counting old unapproved accounts as submitted', async () => {
+            const sort = mockFind();
+
+            await onboarding.listApplications();
+
+            expect(RestaurantAdmin.find).toHaveBeenCalledWith({
+                $or: [
+                    { isApproved: { $ne: true }, onboardingStatus: { $in: ['submitted', 'under-review', 'needs-info'] } },
+                    { isApproved: { $ne: true }, onboardingStatus: { $exists: false } }
+                ]
+            });
+            expect(sort).toHaveBeenCalledWith({ createdAt: 1 });
+        });
+
+        it('should filter by approved through isApproved', async () => {
+            mockFind();
+
+            await onboarding.listApplications('approved');
+
+            expect(RestaurantAdmin.find).toHaveBeenCalledWith({ $or: [{ isApproved: true }] });
+        });
+
+        it('should reject unknown statuses', async () => {
+            await expect(onboarding.listApplications('pending')).rejects.toMatchObject({ statusCode: 400 });
+        });
+
+        it('should show reviewers, but not applicants, who took each step', () => {
+            const applicant = makeApplicant({
+                onboardingStatus: 'needs-info',
+                onboardingHistory: [
+                    { from: 'submitted', to: 'under-review', by: REVIEWER_ID },
+                    { from: 'under-review', to: 'needs-info', note: 'Street address?', by: REVIEWER_ID }
+                ]
+            });
+
+            const own = onboarding.formatApplication(applicant);
+            const reviewed = onboarding.formatApplication(applicant, { forReviewer: true });
+
+            expect(own.status).toBe('needs-info');
+            expect(own.history[1]).toEqual({ from: 'under-review', to: 'needs-info', note: 'Street address?', at: expect.any(Date) });
+            expect(String(reviewed.history[1].by)).toBe(REVIEWER_ID);
+            expect(own).not.toHaveProperty('password');
+        });
+    });
+});
@@ -0,0 +1,85 @@
+// backend/auth-service/test/unit/serviceClient.test.js
+const express = require('express');
+const request = require('supertest');
+const { protectServiceClient } = require('../../middlewares/serviceClient');
+
+const basic = (id, secret) => `Basic ${Buffer.from(`${id}:${secret}`).toString('base64')}`;
+
+const buildApp = () => {
+    const app = express();
+    app.post('/internal', protectServiceClient, (req, res) => {
+        res.status(200).json({ client: req.serviceClient });
+    });
+    return app;
+};
+
+describe('Service Client Middleware Unit Tests - Shopee QA Standards', () => {
+    beforeEach(() => {
+        process.env.INTROSPECTION_CLIENTS = 'order-service:order-secret, restaurant-service:rest:secret';
+    });
+
+    afterAll(() => {
+        delete process.env.INTROSPECTION_CLIENTS;
+    });
+
+    // ============================================================================
+    // Test 1: Accepted credentials
+    // ============================================================================
+    describe('Test 1: Valid Credentials - Identifies The Calling Service', () => {
+        it('should accept a configured client and expose its id', async () => {
+            const response = await request(buildApp())
+                .post('/internal')
+                .set('Authorization', basic('order-service', 'order-secret'))
+                .expect(200);
+
+            expect(response.body.client).toBe('order-service');
+        });
+
+        it('should allow colons inside the secret', async () => {
+            await request(buildApp())
+                .post('/internal')
+                .set('Authorization', basic('restaurant-service', 'rest:secret'))
+                .expect(200);
+        });
+    });
+
+    // ============================================================================
+    // Test 2: Rejected credentials
+    // ============================================================================
+    describe('Test 2: Missing or Wrong Credentials - 401', () => {
+        it('should challenge requests without Basic credentials', async () => {
+            // WHEN: A user's bearer token is presented instead
+            const response = await request(buildApp())
+                .post('/internal')
+                .set('Authorization', 'Bearer user-token')
+                .expect(401);
+
+            // THEN: Should ask for client credentials
+            expect(response.headers['www-authenticate']).toBe('Basic realm="auth-service"');
+            expect(response.body.message).toBe('Service client credentials are required.');
+        });
+
+        it.each([
+            ['wrong secret', basic('order-service', 'nope')],
+            ['unknown client', basic('payment-service', 'order-secret')],
+            ['secret of another client', basic('order-service', 'rest:secret')],
+            ['no separator', `Basic ${Buffer.from('order-service').toString('base64')}`]
+        ])('should reject %s', async (label, header) => {
+            const response = await request(buildApp())
+                .post('/internal')
+                .set('Authorization', header)
+                .expect(401);
+
+            expect(response.body.message).toBe('Invalid service client credentials.');
+        });
+
+        it('should reject everyone when no clients are configured', async () => {
+            delete process.env.INTROSPECTION_CLIENTS;
+
+            await request(buildApp())
+                .post('/internal')
+                .set('Authorization', basic('order-service', 'order-secret'))
+                .expect(401);
+        });
+    });
+});
@@ -0,0 +1,108 @@
+// backend/auth-service/test/unit/sessionController.test.js
+jest.mock('../../utils/sessions', () => {
+    const actual = jest.requireActual('../../utils/sessions');
+    return {
+        SessionError: actual.SessionError,
+        formatSession: actual.formatSession,
+        listSessions: jest.fn(),
+        revokeSession: jest.fn(),
+        revokeAllSessions: jest.fn()
+    };
+});
+
+const sessions = require('../../utils/sessions');
+const sessionController = require('../../controllers/sessionController');
+
+const { SessionError } = sessions;
+
+const ACCOUNT = { source: 'auth', id: 'cust-1', role: 'customer' };
+const CURRENT = '64b0000000000000000000f1';
+const OTHER = '64b0000000000000000000f2';
+
+const sessionDoc = (id) => ({
+    id,
+    userAgent: 'Mozilla/5.0',
+    ip: '10.0.0.7',
+    lastSeenIp: '10.0.0.7',
+    createdAt: new Date('2026-10-01T08:00:00Z'),
+    lastSeenAt: new Date('2026-10-02T08:00:00Z'),
+    expiresAt: new Date('2026-10-09T08:00:00Z')
+});
+
+describe('SessionController Unit Tests - Shopee QA Standards', () => {
+    let req, res, next;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        req = { params: {}, body: {}, user: { id: 'cust-1', role: 'customer' }, identity: ACCOUNT, sessionId: CURRENT };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+        next = jest.fn();
+    });
+
+    // ============================================================================
+    // Test 1: listMySessions
+    // ============================================================================
+    describe('Test 1: listMySessions - Devices With The Current One Marked', () => {
+        it('should list the signed-in account sessions and flag the caller', async () => {
+            // GIVEN: Two live sessions
+            sessions.listSessions.mockResolvedValue([sessionDoc(CURRENT), sessionDoc(OTHER)]);
+
+            // WHEN: Listing sessions
+            await sessionController.listMySessions(req, res, next);
+
+            // THEN: Only the caller's session is current
+            expect(sessions.listSessions).toHaveBeenCalledWith(ACCOUNT);
+            const body = res.json.mock.calls[0][0];
+            expect(body.results).toBe(2);
+            expect(body.data.sessions.map((s) => [s.id, s.current])).toEqual([[CURRENT, true], [OTHER, false]]);
+            expect(body.data.sessions[0]).not.toHaveProperty('accountId');
+        });
+    });
+
+    // ============================================================================
+    // Test 2: Revocation
+    // ============================================================================
+    describe('Test 2: revokeMySession / revokeOtherSessions - Owner Signs Devices Out', () => {
+        it('should revoke one session on behalf of the owner', async () => {
+            req.params.sessionId = OTHER;
+            sessions.revokeSession.mockResolvedValue({});
+
+            await sessionController.revokeMySession(req, res, next);
+
+            expect(sessions.revokeSession).toHaveBeenCalledWith(ACCOUNT, OTHER, 'cust-1');
+            expect(res.json).toHaveBeenCalledWith({ status: 'success', message: 'Session revoked.' });
+        });
+
+        it('should answer 404 for an unknown session', async () => {
+            req.params.sessionId = OTHER;
+            sessions.revokeSession.mockRejectedValue(new SessionError('Session not found.'));
+
+            await sessionController.revokeMySession(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Session not found.' });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should sign out every other device and report how many', async () => {
+            sessions.revokeAllSessions.mockResolvedValue(3);
+
+            await sessionController.revokeOtherSessions(req, res, next);
+
+            expect(sessions.revokeAllSessions).toHaveBeenCalledWith(ACCOUNT, { except: CURRENT, revokedBy: 'cust-1' });
+            expect(res.json).toHaveBeenCalledWith({ status: 'success', data: { revoked: 3 } });
+        });
+
+        it('should pass database errors on', async () => {
+            const error = new Error('db down');
+            sessions.revokeAllSessions.mockRejectedValue(error);
+
+            await sessionController.revokeOtherSessions(req, res, next);
+
+            expect(next).toHaveBeenCalledWith(error);
+        });
+    });
+});
@@ -0,0 +1,203 @@
+// backend/auth-service/test/unit/sessions.test.js
+jest.mock('../../utils/refreshTokens', () => ({
+    createRefreshToken: jest.fn(),
+    revokeFamily: jest.fn(),
+    revokeAllForUser: jest.fn(),
+    refreshTokenTtlMs: jest.fn()
+}));
+jest.mock('../../utils/audit', () => ({ recordAudit: jest.fn() }));
+
+const jwt = require('jsonwebtoken');
+const Session = require('../../models/Session');
+const refreshTokens = require('../../utils/refreshTokens');
+const { recordAudit } = require('../../utils/audit');
+const sessions = require('../../utils/sessions');
+
+const { SessionError } = sessions;
+
+const SESSION_ID = '64b0000000000000000000f1';
+const CUSTOMER = { source: 'auth', id: '64b0000000000000000000c1', role: 'customer' };
+const OWNER = { source: 'restaurant-service', id: 'rest-1', role: 'restaurant-admin' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Sessions Unit Tests - Shopee QA Standards', () => {
+    let req;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+        process.env.JWT_EXPIRES_IN = '15m';
+        refreshTokens.createRefreshToken.mockResolvedValue('refresh-token');
+        refreshTokens.refreshTokenTtlMs.mockReturnValue(7 * DAY_MS);
+        req = { headers: { 'user-agent': 'Mozilla/5.0 (Phone)' }, ip: '10.0.0.7', body: {} };
+    });
+
+    // ============================================================================
+    // Test 1: openSession
+    // ============================================================================
+    describe('Test 1: openSession - One Session Per Login', () => {
+        it('should put the session id in the token and use it as the refresh family', async () => {
+            // GIVEN: A customer logging in from a phone
+            jest.spyOn(Session.prototype, 'save').mockResolvedValue();
+
+            // WHEN: Opening the session
+            const { token, refreshToken, session } = await sessions.openSession(CUSTOMER, { id: CUSTOMER.id, role: 'customer' }, req);
+
+            // THEN: sid claim, same refresh family, device recorded, refresh-token lifetime
+            expect(jwt.decode(token).sid).toBe(session.id);
+            expect(refreshToken).toBe('refresh-token');
+            expect(refreshTokens.createRefreshToken).toHaveBeenCalledWith({
+                userId: CUSTOMER.id,
+                role: 'customer',
+                family: session.id
+            });
+            expect(session.accountId).toBe(CUSTOMER.id);
+            expect(session.userAgent).toBe('Mozilla/5.0 (Phone)');
+            expect(session.ip).toBe('10.0.0.7');
+            expect(session.lastSeenIp).toBe('10.0.0.7');
+            const days = (session.expiresAt - Date.now()) / DAY_MS;
+            expect(days).toBeGreaterThan(6.9);
+            expect(days).toBeLessThanOrEqual(7);
+            expect(Session.prototype.save).toHaveBeenCalledTimes(1);
+            expect(recordAudit).toHaveBeenCalledWith({
+                action: 'auth.login',
+                req,
+                actor: { id: CUSTOMER.id, role: 'customer' },
+                target: { type: 'session', id: session.id },
+                details: { source: 'auth' }
+            });
+        });
+
+        it('should let restaurant-service sessions end with the access token and skip refresh tokens', async () => {
+            jest.spyOn(Session.prototype, 'save').mockResolvedValue();
+
+            const { token, refreshToken, session } = await sessions.openSession(OWNER, { sub: 'rest-1', role: 'restaurant-admin' }, req);
+
+            expect(refreshToken).toBeUndefined();
+            expect(refreshTokens.createRefreshToken).not.toHaveBeenCalled();
+            expect(session.expiresAt.getTime()).toBe(jwt.decode(token).exp * 1000);
+        });
+    });
+
+    // ============================================================================
+    // Test 2: clientInfo
+    // ============================================================================
+    describe('Test 2: clientInfo - Forwarded Device Only From Service Clients', () => {
+        it('should ignore a forwarded device from an anonymous caller', () => {
+            req.body.client = { userAgent: 'Spoofed', ip: '1.2.3.4' };
+
+            expect(sessions.clientInfo(req)).toEqual({ userAgent: 'Mozilla/5.0 (Phone)', ip: '10.0.0.7' });
+        });
+
+        it('should use the end user device forwarded by a service client', () => {
+            req.serviceClient = { name: 'restaurant-service' };
+            req.body.client = { userAgent: 'Browser', ip: '203.0.113.9' };
+
+            expect(sessions.clientInfo(req)).toEqual({ userAgent: 'Browser', ip: '203.0.113.9' });
+        });
+
+        it('should cap very long user agents', () => {
+            req.headers['user-agent'] = 'x'.repeat(2000);
+
+            expect(sessions.clientInfo(req).userAgent).toHaveLength(512);
+        });
+    });
+
+    // ============================================================================
+    // Test 3: touchSession and renewSession
+    // ============================================================================
+    describe('Test 3: touchSession / renewSession - Live Sessions Only', () => {
+        it('should return null for a revoked, expired or malformed sid', async () => {
+            jest.spyOn(Session, 'findOne').mockResolvedValue(null);
+
+            expect(await sessions.touchSession(SESSION_ID, '10.0.0.7')).toBeNull();
+            expect(await sessions.touchSession('not-an-id')).toBeNull();
+            expect(Session.findOne).toHaveBeenCalledTimes(1);
+            expect(Session.findOne.mock.calls[0][0]).toEqual({
+                _id: SESSION_ID,
+                revokedAt: null,
+                expiresAt: { $gt: expect.any(Date) }
+            });
+        });
+
+        it('should only record lastSeenAt once a minute', async () => {
+            const recent = { _id: SESSION_ID, lastSeenAt: new Date(Date.now() - 5000) };
+            const stale = { _id: SESSION_ID, lastSeenAt: new Date(Date.now() - 5 * 60 * 1000) };
+            jest.spyOn(Session, 'findOne').mockResolvedValueOnce(recent).mockResolvedValueOnce(stale);
+            jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+
+            expect(await sessions.touchSession(SESSION_ID, '10.0.0.8')).toBe(recent);
+            expect(Session.updateOne).not.toHaveBeenCalled();
+
+            expect(await sessions.touchSession(SESSION_ID, '10.0.0.8')).toBe(stale);
+            expect(Session.updateOne).toHaveBeenCalledWith(
+                { _id: SESSION_ID },
+                { $set: { lastSeenAt: expect.any(Date), lastSeenIp: '10.0.0.8' } }
+            );
+        });
+
+        it('should leave refresh families from before sessions alone', async () => {
+            jest.spyOn(Session, 'findOneAndUpdate');
+
+            expect(await sessions.renewSession('2f1c0d3e-uuid-family')).toBeUndefined();
+            expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 4: Revocation
+    // ============================================================================
+    describe('Test 4: revokeSession / revokeAllSessions - Signing Devices Out', () => {
+        it('should end the session and its refresh tokens', async () => {
+            // GIVEN: A live session owned by the customer
+            const session = { _id: SESSION_ID, save: jest.fn().mockResolvedValue() };
+            jest.spyOn(Session, 'findOne').mockResolvedValue(session);
+
+            // WHEN: The owner revokes it
+            await sessions.revokeSession(CUSTOMER, SESSION_ID, CUSTOMER.id);
+
+            // THEN: Looked up within the account, marked revoked, family revoked
+            expect(Session.findOne.mock.calls[0][0]).toMatchObject({
+                _id: SESSION_ID,
+                source: 'auth',
+                accountId: CUSTOMER.id
+            });
+            expect(session.revokedAt).toEqual(expect.any(Date));
+            expect(session.revokedBy).toBe(CUSTOMER.id);
+            expect(refreshTokens.revokeFamily).toHaveBeenCalledWith(SESSION_ID);
+        });
+
+        it('should answer 404 for a session of another account', async () => {
+            jest.spyOn(Session, 'findOne').mockResolvedValue(null);
+
+            const error = await sessions.revokeSession(CUSTOMER, SESSION_ID).catch((err) => err);
+
+            expect(error).toBeInstanceOf(SessionError);
+            expect(error.statusCode).toBe(404);
+            expect(refreshTokens.revokeFamily).not.toHaveBeenCalled();
+        });
+
+        it('should keep the current session when signing out other devices', async () => {
+            jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+            const revoked = await sessions.revokeAllSessions(CUSTOMER, { except: SESSION_ID, revokedBy: CUSTOMER.id });
+
+            expect(revoked).toBe(2);
+            expect(Session.updateMany.mock.calls[0][0]).toEqual({
+                source: 'auth',
+                accountId: CUSTOMER.id,
+                revokedAt: null,
+                _id: { $ne: SESSION_ID }
+            });
+            expect(refreshTokens.revokeAllForUser).toHaveBeenCalledWith(CUSTOMER.id, { exceptFamily: SESSION_ID });
+        });
+
+        it('should not look for refresh tokens of restaurant-service accounts', async () => {
+            jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+            await sessions.revokeAllSessions(OWNER);
+
+            expect(refreshTokens.revokeAllForUser).not.toHaveBeenCalled();
+        });
+    });
+});
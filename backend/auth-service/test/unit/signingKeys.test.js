@@ -0,0 +1,119 @@
+// backend/auth-service/test/unit/signingKeys.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const signingKeys = require('../../utils/signingKeys');
+const { signToken, verifyToken } = require('../../utils/jwt');
+
+describe('Signing Keys Unit Tests - Shopee QA Standards', () => {
+    let keysDir;
+
+    beforeEach(() => {
+        keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+        process.env.JWT_KEYS_DIR = keysDir;
+        delete process.env.JWT_ACTIVE_KID;
+        delete process.env.JWT_ALGORITHM;
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        fs.rmSync(keysDir, { recursive: true, force: true });
+        delete process.env.JWT_KEYS_DIR;
+        jest.restoreAllMocks();
+    });
+
+    // ============================================================================
+    // Test 1: Loading keys from JWT_KEYS_DIR
+    // ============================================================================
+    describe('Test 1: loadKeys - Reads <kid>.pem Files And Picks The Active Key', () => {
+        it('should generate and persist a key when the directory is empty', () => {
+            // WHEN: Keys are loaded from an empty directory
+            signingKeys.loadKeys();
+
+            // THEN: A PEM file should exist and be the active RS256 key
+            const files = fs.readdirSync(keysDir);
+            expect(files).toHaveLength(1);
+            expect(signingKeys.getSigningKey()).toEqual(expect.objectContaining({
+                kid: path.basename(files[0], '.pem'),
+                alg: 'RS256'
+            }));
+        });
+
+        it('should sign with the newest kid and keep older keys for verification', () => {
+            // GIVEN: Two keys, the newer one ES256
+            signingKeys.writePrivateKey(keysDir, signingKeys.generatePrivateKey('RS256'), '2026-01-01-old');
+            signingKeys.writePrivateKey(keysDir, signingKeys.generatePrivateKey('ES256'), '2026-06-01-new');
+
+            // WHEN: Keys are loaded
+            signingKeys.loadKeys();
+
+            // THEN: Newest key signs, both are verifiable
+            expect(signingKeys.getSigningKey()).toEqual(expect.objectContaining({ kid: '2026-06-01-new', alg: 'ES256' }));
+            expect(signingKeys.getVerificationKey('2026-01-01-old').alg).toBe('RS256');
+            expect(signingKeys.getVerificationKey('missing')).toBeNull();
+        });
+
+        it('should honour JWT_ACTIVE_KID and reject unknown ones', () => {
+            signingKeys.writePrivateKey(keysDir, signingKeys.generatePrivateKey('ES256'), 'a');
+            signingKeys.writePrivateKey(keysDir, signingKeys.generatePrivateKey('ES256'), 'b');
+
+            process.env.JWT_ACTIVE_KID = 'a';
+            signingKeys.loadKeys();
+            expect(signingKeys.getSigningKey().kid).toBe('a');
+
+            process.env.JWT_ACTIVE_KID = 'c';
+            expect(() => signingKeys.loadKeys()).toThrow('JWT_ACTIVE_KID "c" does not match any signing key');
+        });
+
+        it('should reject unsupported curves and algorithms', () => {
+            const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'secp384r1' });
+            signingKeys.writePrivateKey(keysDir, privateKey, 'p384');
+
+            expect(() => signingKeys.loadKeys()).toThrow('must use the P-256 curve');
+            expect(() => signingKeys.generatePrivateKey('HS256')).toThrow('Unsupported JWT_ALGORITHM "HS256"');
+        });
+    });
+
+    // ============================================================================
+    // Test 2: JWKS and token round trip
+    // ============================================================================
+    describe('Test 2: getJwks / signToken / verifyToken - Public Keys Verify Issued Tokens', () => {
+        beforeEach(() => {
+            signingKeys.writePrivateKey(keysDir, signingKeys.generatePrivateKey('ES256'), 'es-key');
+            signingKeys.loadKeys();
+        });
+
+        it('should publish public JWKs without private parameters', () => {
+            const { keys } = signingKeys.getJwks();
+
+            expect(keys).toHaveLength(1);
+            expect(keys[0]).toEqual(expect.objectContaining({ kty: 'EC', crv: 'P-256', kid: 'es-key', alg: 'ES256', use: 'sig' }));
+            expect(keys[0].d).toBeUndefined();
+        });
+
+        it('should sign with a kid header that a JWKS consumer can verify', () => {
+            // GIVEN: A token issued by auth-service
+            const token = signToken({ sub: 'cust-1', role: 'customer' });
+
+            // WHEN: A verifier imports the published JWK
+            const { header } = jwt.decode(token, { complete: true });
+            const jwk = signingKeys.getJwks().keys.find((key) => key.kid === header.kid);
+            const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+
+            // THEN: The signature checks out with only the public key
+            expect(header.alg).toBe('ES256');
+            expect(jwt.verify(token, publicKey, { algorithms: ['ES256'] })).toEqual(
+                expect.objectContaining({ sub: 'cust-1', role: 'customer' })
+            );
+            expect(verifyToken(token)).toEqual(expect.objectContaining({ sub: 'cust-1' }));
+        });
+
+        it('should reject shared-secret tokens', () => {
+            const token = jwt.sign({ id: 'x', role: 'customer' }, 'old-shared-secret');
+
+            expect(() => verifyToken(token)).toThrow('invalid signing key');
+        });
+    });
+});
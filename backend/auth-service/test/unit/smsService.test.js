@@ -0,0 +1,83 @@
+// backend/auth-service/test/unit/smsService.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sendSms, setTransport } = require('../../utils/smsService');
+
+describe('SmsService Unit Tests - Shopee QA Standards', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        delete process.env.SMS_TRANSPORT;
+        setTransport(null);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        setTransport(null);
+    });
+
+    it('should print messages only when the console transport is chosen', async () => {
+        process.env.SMS_TRANSPORT = 'console';
+        const result = await sendSms('+84901234567', 'Your code is 123456');
+
+        expect(result.id).toMatch(/^console-/);
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining('To: +84901234567'));
+        expect(console.log).toHaveBeenCalledWith('Your code is 123456');
+    });
+
+    it('should write messages to SMS_OUTBOX_DIR with the file transport', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-outbox-'));
+        process.env.SMS_TRANSPORT = 'file';
+        process.env.SMS_OUTBOX_DIR = dir;
+
+        const result = await sendSms('+84901234567', 'Your code is 123456');
+
+        const saved = JSON.parse(fs.readFileSync(path.join(dir, `${result.id}.json`), 'utf8'));
+        expect(saved).toEqual(expect.objectContaining({ to: '+84901234567', body: 'Your code is 123456' }));
+
+        fs.rmSync(dir, { recursive: true, force: true });
+        delete process.env.SMS_OUTBOX_DIR;
+    });
+
+    it('should post to the Twilio Messages API with the twilio transport', async () => {
+        // GIVEN: Twilio credentials as payment-service uses them
+        process.env.SMS_TRANSPORT = 'twilio';
+        process.env.TWILIO_ACCOUNT_SID = 'AC123';
+        process.env.TWILIO_AUTH_TOKEN = 'secret';
+        process.env.TWILIO_PHONE_NUMBER = '+15005550006';
+        jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, json: async () => ({ sid: 'SM1' }) });
+
+        // WHEN: Sending
+        const result = await sendSms('+84901234567', 'Your code is 123456');
+
+        // THEN: Basic auth with the account SID and a form body
+        const [url, options] = fetch.mock.calls[0];
+        expect(url).toBe('https://api.twilio.com/2010-04-01/Accounts/AC123/Messages.json');
+        expect(options.headers.Authorization).toBe(`Basic ${Buffer.from('AC123:secret').toString('base64')}`);
+        expect(Object.fromEntries(options.body)).toEqual({ From: '+15005550006', To: '+84901234567', Body: 'Your code is 123456' });
+        expect(result).toEqual({ id: 'SM1' });
+
+        ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_PHONE_NUMBER'].forEach((name) => delete process.env[name]);
+    });
+
+    it('should go through Twilio, never the logs, when SMS_TRANSPORT is unset', async () => {
+        jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, json: async () => ({ sid: 'SM2' }) });
+
+        const result = await sendSms('+84901234567', 'Your code is 123456');
+
+        expect(fetch.mock.calls[0][0]).toMatch(/^https:\/\/api\.twilio\.com\//);
+        expect(result).toEqual({ id: 'SM2' });
+        expect(console.log).not.toHaveBeenCalledWith('Your code is 123456');
+    });
+
+    it('should rethrow transport failures and reject unknown transports', async () => {
+        setTransport(jest.fn().mockRejectedValue(new Error('carrier down')));
+        await expect(sendSms('+84901234567', 'x')).rejects.toThrow('carrier down');
+        expect(console.error).toHaveBeenCalledWith('❌ Error sending SMS:', 'carrier down');
+
+        setTransport(null);
+        process.env.SMS_TRANSPORT = 'pigeon';
+        await expect(sendSms('+84901234567', 'x')).rejects.toThrow('Unknown SMS_TRANSPORT "pigeon"');
+    });
+});
@@ -0,0 +1,488 @@
+// backend/auth-service/test/unit/tokenController.test.js
+const jwt = require('jsonwebtoken');
+const Customer = require('../../models/Customer');
+const Session = require('../../models/Session');
+const refreshTokens = require('../../utils/refreshTokens');
+const identityResolver = require('../../utils/identityResolver');
+const twoFactor = require('../../utils/twoFactor');
+const tokenController = require('../../controllers/tokenController');
+
+jest.mock('jsonwebtoken');
+jest.mock('../../utils/signingKeys', () => ({
+    getSigningKey: () => ({ kid: 'test-kid', alg: 'RS256', privateKey: 'test-private-key' }),
+    getVerificationKey: () => ({ kid: 'test-kid', alg: 'RS256', publicKey: 'test-public-key' }),
+    getJwks: () => ({ keys: [{ kty: 'RSA', kid: 'test-kid', alg: 'RS256', use: 'sig', n: 'abc', e: 'AQAB' }] })
+}));
+jest.mock('../../models/Customer');
+jest.mock('../../models/Session');
+jest.mock('../../utils/refreshTokens', () => {
+    const actual = jest.requireActual('../../utils/refreshTokens');
+    return {
+        RefreshTokenError: actual.RefreshTokenError,
+        refreshTokenTtlMs: actual.refreshTokenTtlMs,
+        createRefreshToken: jest.fn(),
+        rotateRefreshToken: jest.fn(),
+        revokeRefreshToken: jest.fn(),
+        revokeFamily: jest.fn(),
+        revokeAllForUser: jest.fn()
+    };
+});
+
+const SESSION_ID = '64b0000000000000000000f1';
+
+jest.mock('../../utils/identityResolver', () => {
+    const actual = jest.requireActual('../../utils/identityResolver');
+    return {
+        IdentityError: actual.IdentityError,
+        resolveAccount: jest.fn(),
+        findAccountById: jest.fn()
+    };
+});
+
+// Second factor is off unless a test starts a challenge
+jest.mock('../../utils/twoFactor', () => ({ startLoginChallenge: jest.fn().mockResolvedValue(null) }));
+
+describe('TokenController Unit Tests - Shopee QA Standards', () => {
+    let req, res, next;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        req = { body: {} };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+        next = jest.fn();
+        process.env.JWT_EXPIRES_IN = '15m';
+    });
+
+    // ============================================================================
+    // Test 1: refresh - rotates and signs a new access token
+    // ============================================================================
+    describe('Test 1: refresh - Returns New Access and Refresh Tokens', () => {
+        it('should rotate the refresh token and sign an access token with the same role', async () => {
+            // GIVEN: Valid refresh token for an existing customer
+            req.body = { refreshToken: 'old-refresh' };
+            refreshTokens.rotateRefreshToken.mockResolvedValue({
+                userId: 'customer-1',
+                role: 'customer',
+                refreshToken: 'new-refresh'
+            });
+            Customer.findById.mockResolvedValue({ _id: 'customer-1', emailVerified: true });
+            jwt.sign.mockReturnValue('new-access');
+
+            // WHEN: refresh is called
+            await tokenController.refresh(req, res, next);
+
+            // THEN: Should respond with rotated pair
+            expect(refreshTokens.rotateRefreshToken).toHaveBeenCalledWith('old-refresh');
+            expect(jwt.sign).toHaveBeenCalledWith(
+                { sub: 'customer-1', role: 'customer', restaurantId: null, permissions: [], emailVerified: true },
+                'test-private-key',
+                { algorithm: 'RS256', keyid: 'test-kid', expiresIn: '15m' }
+            );
+            expect(res.json).toHaveBeenCalledWith({
+                status: 'success',
+                token: 'new-access',
+                refreshToken: 'new-refresh'
+            });
+        });
+
+        it('should return 401 when the account no longer exists', async () => {
+            // GIVEN: Rotated token for a deleted customer
+            req.body = { refreshToken: 'old-refresh' };
+            refreshTokens.rotateRefreshToken.mockResolvedValue({
+                userId: 'gone',
+                role: 'customer',
+                refreshToken: 'new-refresh'
+            });
+            Customer.findById.mockResolvedValue(null);
+
+            // WHEN: refresh is called
+            await tokenController.refresh(req, res, next);
+
+            // THEN: Should not sign a token
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(jwt.sign).not.toHaveBeenCalled();
+        });
+
+        it('should return 403 when the account was suspended', async () => {
+            // GIVEN: Rotated token for a customer suspended meanwhile
+            req.body = { refreshToken: 'old-refresh' };
+            refreshTokens.rotateRefreshToken.mockResolvedValue({
+                userId: 'cust-1',
+                role: 'customer',
+                refreshToken: 'new-refresh'
+            });
+            Customer.findById.mockResolvedValue({ _id: 'cust-1', suspended: true });
+
+            // WHEN: refresh is called
+            await tokenController.refresh(req, res, next);
+
+            // THEN: Should refuse without signing
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(jwt.sign).not.toHaveBeenCalled();
+        });
+
+        it('should map RefreshTokenError to 401 with its message', async () => {
+            // GIVEN: Reused or invalid refresh token
+            req.body = { refreshToken: 'reused' };
+            refreshTokens.rotateRefreshToken.mockRejectedValue(
+                new refreshTokens.RefreshTokenError('Refresh token is invalid or has been revoked.')
+            );
+
+            // WHEN: refresh is called
+            await tokenController.refresh(req, res, next);
+
+            // THEN: Should respond 401 and not forward the error
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({
+                message: 'Refresh token is invalid or has been revoked.'
+            });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should keep the session alive and carry its sid', async () => {
+            // GIVEN: Refresh token whose family is a live session
+            req.body = { refreshToken: 'old-refresh' };
+            req.ip = '203.0.113.7';
+            refreshTokens.rotateRefreshToken.mockResolvedValue({
+                userId: 'customer-1',
+                role: 'customer',
+                family: SESSION_ID,
+                refreshToken: 'new-refresh'
+            });
+            Customer.findById.mockResolvedValue({ _id: 'customer-1', emailVerified: true });
+            Session.findOneAndUpdate.mockResolvedValue({ id: SESSION_ID });
+
+            // WHEN: refresh is called
+            await tokenController.refresh(req, res, next);
+
+            // THEN: Session seen from this IP and extended; token names it
+            const [filter, update] = Session.findOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({ _id: SESSION_ID, revokedAt: null, expiresAt: { $gt: expect.any(Date) } });
+            expect(update.$set).toEqual({
+                lastSeenAt: expect.any(Date),
+                lastSeenIp: '203.0.113.7',
+                expiresAt: expect.any(Date)
+            });
+            expect(jwt.sign.mock.calls[0][0]).toEqual(expect.objectContaining({ sub: 'customer-1', sid: SESSION_ID }));
+        });
+
+        it('should return 401 when the session was signed out', async () => {
+            req.body = { refreshToken: 'old-refresh' };
+            refreshTokens.rotateRefreshToken.mockResolvedValue({
+                userId: 'customer-1',
+                role: 'customer',
+                family: SESSION_ID,
+                refreshToken: 'new-refresh'
+            });
+            Customer.findById.mockResolvedValue({ _id: 'customer-1' });
+            Session.findOneAndUpdate.mockResolvedValue(null);
+
+            await tokenController.refresh(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Your session has ended. Please log in again.' });
+            expect(jwt.sign).not.toHaveBeenCalled();
+        });
+
+        it('should forward unexpected errors to next()', async () => {
+            const dbError = new Error('Database down');
+            refreshTokens.rotateRefreshToken.mockRejectedValue(dbError);
+
+            await tokenController.refresh(req, res, next);
+
+            expect(next).toHaveBeenCalledWith(dbError);
+        });
+    });
+
+    // ============================================================================
+    // Test 2: logout - revokes the refresh token family
+    // ============================================================================
+    describe('Test 2: logout - Revokes Refresh Token Server-Side', () => {
+        it('should revoke the presented refresh token and end its session', async () => {
+            req.body = { refreshToken: 'refresh-abc' };
+            refreshTokens.revokeRefreshToken.mockResolvedValue(SESSION_ID);
+
+            await tokenController.logout(req, res, next);
+
+            expect(refreshTokens.revokeRefreshToken).toHaveBeenCalledWith('refresh-abc');
+            expect(Session.updateOne).toHaveBeenCalledWith(
+                { _id: SESSION_ID, revokedAt: null },
+                { $set: { revokedAt: expect.any(Date) } }
+            );
+            expect(res.json).toHaveBeenCalledWith({ status: 'success', message: 'Logged out.' });
+        });
+
+        it('should succeed even for unknown tokens', async () => {
+            req.body = { refreshToken: 'unknown' };
+            refreshTokens.revokeRefreshToken.mockResolvedValue(null);
+
+            await tokenController.logout(req, res, next);
+
+            expect(Session.updateOne).not.toHaveBeenCalled();
+            expect(res.status).not.toHaveBeenCalled();
+            expect(res.json).toHaveBeenCalledWith({ status: 'success', message: 'Logged out.' });
+        });
+
+        it('should return 400 when no refresh token is provided', async () => {
+            await tokenController.logout(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(refreshTokens.revokeRefreshToken).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 3: issueToken - unified login with standard claims
+    // ============================================================================
+    describe('Test 3: issueToken - One Login Endpoint for Every Account Type', () => {
+        it('should sign standard claims and issue a refresh token for auth-service accounts', async () => {
+            // GIVEN: Restaurant admin stored in auth-service
+            req.body = { email: 'rita@example.com', password: 'Secret123' };
+            identityResolver.resolveAccount.mockResolvedValue({
+                id: 'ra-1',
+                role: 'restaurant-admin',
+                restaurantId: 'rest-9',
+                emailVerified: true,
+                source: 'auth',
+                email: 'rita@example.com',
+                name: 'Rita Owner'
+            });
+            refreshTokens.createRefreshToken.mockResolvedValue('refresh-1');
+            jwt.sign.mockReturnValue('access-1');
+
+            // WHEN: issueToken is called
+            await tokenController.issueToken(req, res, next);
+
+            // THEN: Token carries sub/role/restaurantId/permissions
+            expect(identityResolver.resolveAccount).toHaveBeenCalledWith('rita@example.com', 'Secret123', undefined);
+            expect(jwt.sign).toHaveBeenCalledWith(
+                { sub: 'ra-1', role: 'restaurant-admin', restaurantId: 'rest-9', permissions: [], emailVerified: true },
+                'test-private-key',
+                { algorithm: 'RS256', keyid: 'test-kid', expiresIn: '15m' }
+            );
+            expect(refreshTokens.createRefreshToken).toHaveBeenCalledWith({ userId: 'ra-1', role: 'restaurant-admin' });
+            expect(res.json).toHaveBeenCalledWith({
+                status: 'success',
+                token: 'access-1',
+                refreshToken: 'refresh-1',
+                data: {
+                    account: {
+                        id: 'ra-1',
+                        role: 'restaurant-admin',
+                        restaurantId: 'rest-9',
+                        permissions: [],
+                        email: 'rita@example.com',
+                        name: 'Rita Owner',
+                        source: 'auth'
+                    }
+                }
+            });
+        });
+
+        it('should not issue refresh tokens for accounts owned by other services', async () => {
+            // GIVEN: Super admin stored in restaurant-service
+            req.body = { email: 'root@shopee.com', password: 'Secret123', role: 'super-admin' };
+            identityResolver.resolveAccount.mockResolvedValue({
+                id: 'sa-1',
+                role: 'super-admin',
+                source: 'restaurant-service',
+                email: 'root@shopee.com',
+                name: 'Root'
+            });
+            jwt.sign.mockReturnValue('access-2');
+
+            // WHEN: issueToken is called
+            await tokenController.issueToken(req, res, next);
+
+            // THEN: Only an access token is returned
+            expect(refreshTokens.createRefreshToken).not.toHaveBeenCalled();
+            const body = res.json.mock.calls[0][0];
+            expect(body.token).toBe('access-2');
+            expect(body.refreshToken).toBeUndefined();
+            expect(jwt.sign.mock.calls[0][0]).toEqual({ sub: 'sa-1', role: 'super-admin', restaurantId: null, permissions: [] });
+        });
+
+        it('should return 400 when email or password is missing', async () => {
+            req.body = { email: 'rita@example.com' };
+
+            await tokenController.issueToken(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(identityResolver.resolveAccount).not.toHaveBeenCalled();
+        });
+
+        it('should return 400 for an unknown role hint', async () => {
+            req.body = { email: 'a@b.com', password: 'x', role: 'chef' };
+
+            await tokenController.issueToken(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Invalid account type.' });
+        });
+
+        it('should answer with a two-factor challenge instead of tokens when one is owed', async () => {
+            // GIVEN: Admin who enrolled TOTP
+            req.body = { email: 'ad@example.com', password: 'Secret123' };
+            const account = { id: 'admin-1', role: 'admin', permissions: ['manage-users'], source: 'auth', email: 'ad@example.com', name: 'Ad Min' };
+            identityResolver.resolveAccount.mockResolvedValue(account);
+            const challenge = { status: 'success', twoFactorRequired: true, challengeToken: 'chal-1', expiresAt: new Date() };
+            twoFactor.startLoginChallenge.mockResolvedValueOnce(challenge);
+
+            // WHEN: issueToken is called
+            await tokenController.issueToken(req, res, next);
+
+            // THEN: No token or refresh token yet
+            expect(twoFactor.startLoginChallenge).toHaveBeenCalledWith(account);
+            expect(res.json).toHaveBeenCalledWith(challenge);
+            expect(jwt.sign).not.toHaveBeenCalled();
+            expect(refreshTokens.createRefreshToken).not.toHaveBeenCalled();
+        });
+
+        it('should map IdentityError to its status code', async () => {
+            req.body = { email: 'a@b.com', password: 'wrong' };
+            identityResolver.resolveAccount.mockRejectedValue(
+                new identityResolver.IdentityError('Invalid email or password.')
+            );
+
+            await tokenController.issueToken(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Invalid email or password.' });
+            expect(next).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 4: jwks - publishes public keys
+    // ============================================================================
+    describe('Test 4: jwks - Serves The Public Key Set With A Short Cache', () => {
+        it('should return the JWK set with cache headers', () => {
+            // GIVEN: Response that supports headers
+            res.set = jest.fn().mockReturnThis();
+
+            // WHEN: jwks is called
+            tokenController.jwks(req, res);
+
+            // THEN: Should serve keys only (no private material) with caching
+            expect(res.set).toHaveBeenCalledWith('Cache-Control', 'public, max-age=300');
+            expect(res.json).toHaveBeenCalledWith({
+                keys: [{ kty: 'RSA', kid: 'test-kid', alg: 'RS256', use: 'sig', n: 'abc', e: 'AQAB' }]
+            });
+        });
+    });
+
+    // ============================================================================
+    // Test 5: introspect - token status for other services
+    // ============================================================================
+    describe('Test 5: introspect - Reports Active, Owner and Suspension', () => {
+        beforeEach(() => {
+            res.set = jest.fn().mockReturnThis();
+            jwt.decode.mockReturnValue({ header: { kid: 'test-kid' } });
+        });
+
+        it('should require a token', async () => {
+            await tokenController.introspect(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Token is required.' });
+        });
+
+        it('should report expired or forged tokens as inactive', async () => {
+            // GIVEN: Token failing verification
+            req.body = { token: 'expired' };
+            jwt.verify.mockImplementation(() => {
+                throw new jwt.JsonWebTokenError('jwt expired');
+            });
+
+            // WHEN: Introspecting
+            await tokenController.introspect(req, res, next);
+
+            // THEN: Inactive without any owner details
+            expect(res.json).toHaveBeenCalledWith({ active: false });
+            expect(identityResolver.findAccountById).not.toHaveBeenCalled();
+        });
+
+        it('should report tokens of deleted accounts as inactive', async () => {
+            // GIVEN: Valid signature, account gone
+            req.body = { token: 'valid' };
+            jwt.verify.mockReturnValue({ sub: 'gone', role: 'customer' });
+            identityResolver.findAccountById.mockResolvedValue(null);
+
+            await tokenController.introspect(req, res, next);
+
+            expect(identityResolver.findAccountById).toHaveBeenCalledWith('gone', 'customer');
+            expect(res.json).toHaveBeenCalledWith({ active: false });
+        });
+
+        it('should describe the owner of an active token', async () => {
+            // GIVEN: Valid token for an existing restaurant admin
+            req.body = { token: 'valid' };
+            jwt.verify.mockReturnValue({ sub: 'ra-1', role: 'restaurant-admin', iat: 100, exp: 1000 });
+            identityResolver.findAccountById.mockResolvedValue({
+                id: 'ra-1',
+                role: 'restaurant-admin',
+                restaurantId: 'rest-9',
+                suspended: false,
+                source: 'auth',
+                email: 'rita@example.com',
+                name: 'Rita Owner'
+            });
+
+            // WHEN: Introspecting
+            await tokenController.introspect(req, res, next);
+
+            // THEN: Active with owner details, never cached by intermediaries
+            expect(res.set).toHaveBeenCalledWith('Cache-Control', 'no-store');
+            expect(jwt.verify).toHaveBeenCalledWith('valid', 'test-public-key', { algorithms: ['RS256'] });
+            expect(res.json).toHaveBeenCalledWith({
+                active: true,
+                suspended: false,
+                sub: 'ra-1',
+                role: 'restaurant-admin',
+                restaurantId: 'rest-9',
+                email: 'rita@example.com',
+                name: 'Rita Owner',
+                source: 'auth',
+                iat: 100,
+                exp: 1000
+            });
+        });
+
+        it('should report tokens of signed-out sessions as inactive', async () => {
+            // GIVEN: Valid token whose device was signed out
+            req.body = { token: 'valid' };
+            jwt.verify.mockReturnValue({ sub: 'c-1', role: 'customer', sid: SESSION_ID });
+            identityResolver.findAccountById.mockResolvedValue({ id: 'c-1', role: 'customer', suspended: false, source: 'auth' });
+            Session.findOne.mockResolvedValue(null);
+
+            await tokenController.introspect(req, res, next);
+
+            expect(Session.findOne).toHaveBeenCalledWith(expect.objectContaining({ _id: SESSION_ID, revokedAt: null }));
+            expect(res.json).toHaveBeenCalledWith({ active: false });
+        });
+
+        it('should mark suspended accounts inactive but say why', async () => {
+            req.body = { token: 'valid' };
+            jwt.verify.mockReturnValue({ id: 'c-1', role: 'customer' });
+            identityResolver.findAccountById.mockResolvedValue({ id: 'c-1', role: 'customer', suspended: true, source: 'auth' });
+
+            await tokenController.introspect(req, res, next);
+
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ active: false, suspended: true, sub: 'c-1' }));
+        });
+
+        it('should pass unexpected errors to next', async () => {
+            req.body = { token: 'valid' };
+            jwt.verify.mockReturnValue({ sub: 'c-1', role: 'customer' });
+            const error = new Error('db down');
+            identityResolver.findAccountById.mockRejectedValue(error);
+
+            await tokenController.introspect(req, res, next);
+
+            expect(next).toHaveBeenCalledWith(error);
+        });
+    });
+});
@@ -0,0 +1,104 @@
+// backend/auth-service/test/unit/totp.test.js
+const {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri
+} = require('../../utils/totp');
+
+// RFC 6238 appendix B seed ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP Unit Tests - Shopee QA Standards', () => {
+    // ============================================================================
+    // Test 1: Base32 and secrets
+    // ============================================================================
+    describe('Test 1: Base32 Secrets - Round Trip and Tolerant Decoding', () => {
+        it('should encode the RFC seed and decode it back', () => {
+            expect(base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+            expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+        });
+
+        it('should accept lower case, spaces and padding as users type them', () => {
+            expect(base32Decode('gezd gnbv gy3t qojq====').toString()).toBe('1234567890');
+        });
+
+        it('should reject characters outside the alphabet', () => {
+            expect(() => base32Decode('GEZD1')).toThrow('Invalid base32 character "1"');
+        });
+
+        it('should generate distinct 160-bit secrets', () => {
+            const a = generateSecret();
+            const b = generateSecret();
+
+            expect(a).toMatch(/^[A-Z2-7]{32}$/);
+            expect(base32Decode(a)).toHaveLength(20);
+            expect(a).not.toBe(b);
+        });
+    });
+
+    // ============================================================================
+    // Test 2: Code generation (RFC 6238 SHA-1 vectors, last 6 digits)
+    // ============================================================================
+    describe('Test 2: generateTotp - Matches RFC 6238 Test Vectors', () => {
+        it.each([
+            [59, '287082'],
+            [1111111109, '081804'],
+            [1234567890, '005924'],
+            [2000000000, '279037']
+        ])('should produce the RFC code at T=%i', (seconds, code) => {
+            expect(generateTotp(RFC_SECRET, seconds * 1000)).toBe(code);
+        });
+    });
+
+    // ============================================================================
+    // Test 3: Verification window and replay guard
+    // ============================================================================
+    describe('Test 3: verifyTotp - Drift Window and Replays', () => {
+        const now = 1111111109 * 1000;
+        const step = Math.floor(1111111109 / 30);
+
+        it('should return the matching step, allowing one step of drift', () => {
+            expect(verifyTotp(RFC_SECRET, '081804', { timeMs: now })).toBe(step);
+            expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 30000), { timeMs: now })).toBe(step - 1);
+            expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + 30000), { timeMs: now })).toBe(step + 1);
+        });
+
+        it('should reject codes outside the window', () => {
+            expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 90000), { timeMs: now })).toBeNull();
+        });
+
+        it('should reject a code whose step was already used', () => {
+            expect(verifyTotp(RFC_SECRET, '081804', { timeMs: now, lastUsedStep: step })).toBeNull();
+        });
+
+        it.each([[''], ['12345'], ['abcdef'], [undefined]])('should reject malformed code %p', (code) => {
+            expect(verifyTotp(RFC_SECRET, code, { timeMs: now })).toBeNull();
+        });
+
+        it('should ignore spaces inside the code', () => {
+            expect(verifyTotp(RFC_SECRET, '081 804', { timeMs: now })).toBe(step);
+        });
+    });
+
+    // ============================================================================
+    // Test 4: otpauth URI
+    // ============================================================================
+    describe('Test 4: buildOtpauthUri - Key URI For Authenticator Apps', () => {
+        it('should label the key with issuer and account and carry the parameters', () => {
+            const uri = buildOtpauthUri({ secret: RFC_SECRET, accountName: 'lan+ops@example.com', issuer: 'SkyDish' });
+            const parsed = new URL(uri);
+
+            expect(uri.startsWith('otpauth://totp/SkyDish:lan%2Bops%40example.com?')).toBe(true);
+            expect(Object.fromEntries(parsed.searchParams)).toEqual({
+                secret: RFC_SECRET,
+                issuer: 'SkyDish',
+                algorithm: 'SHA1',
+                digits: '6',
+                period: '30'
+            });
+        });
+    });
+});
@@ -0,0 +1,279 @@
+// backend/auth-service/test/unit/twoFactor.test.js
+const TwoFactor = require('../../models/TwoFactor');
+const TwoFactorPolicy = require('../../models/TwoFactorPolicy');
+const LoginChallenge = require('../../models/LoginChallenge');
+const { hashToken } = require('../../utils/oneTimeTokens');
+const { generateSecret, generateTotp } = require('../../utils/totp');
+const twoFactor = require('../../utils/twoFactor');
+
+const ADMIN = { source: 'auth', id: '64b0000000000000000000aa', role: 'admin', email: 'ad@example.com' };
+
+// TwoFactor.findOne(...) is awaited directly or after .select(...)
+const mockEnrollment = (doc) => {
+    const query = {
+        select: jest.fn().mockResolvedValue(doc),
+        then: (resolve, reject) => Promise.resolve(doc).then(resolve, reject)
+    };
+    jest.spyOn(TwoFactor, 'findOne').mockReturnValue(query);
+    return query;
+};
+
+const mockPolicyRequired = (required) =>
+    jest.spyOn(TwoFactorPolicy, 'exists').mockResolvedValue(required ? { _id: 'policy-1' } : null);
+
+describe('TwoFactor Service Unit Tests - Shopee QA Standards', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.TWO_FACTOR_CHALLENGE_MINUTES;
+        delete process.env.TWO_FACTOR_ISSUER;
+    });
+
+    // ============================================================================
+    // Test 1: startLoginChallenge
+    // ============================================================================
+    describe('Test 1: startLoginChallenge - Who Owes A Second Factor', () => {
+        it('should not challenge roles without two-factor login', async () => {
+            jest.spyOn(TwoFactor, 'findOne');
+
+            const result = await twoFactor.startLoginChallenge({ source: 'auth', id: 'c1', role: 'customer' });
+
+            expect(result).toBeNull();
+            expect(TwoFactor.findOne).not.toHaveBeenCalled();
+        });
+
+        it('should let the password suffice when not enrolled and not required', async () => {
+            mockEnrollment(null);
+            mockPolicyRequired(false);
+            jest.spyOn(LoginChallenge, 'create');
+
+            expect(await twoFactor.startLoginChallenge(ADMIN)).toBeNull();
+            expect(LoginChallenge.create).not.toHaveBeenCalled();
+        });
+
+        it('should issue a verify challenge to enrolled accounts, storing only its hash', async () => {
+            // GIVEN: Admin with TOTP enabled
+            mockEnrollment({ enabledAt: new Date() });
+            jest.spyOn(LoginChallenge, 'create').mockResolvedValue({});
+            process.env.TWO_FACTOR_CHALLENGE_MINUTES = '3';
+
+            // WHEN: The password step succeeds
+            const before = Date.now();
+            const result = await twoFactor.startLoginChallenge(ADMIN);
+
+            // THEN: Opaque token for the client, hash and expiry in the database
+            expect(result).toEqual({
+                status: 'success',
+                twoFactorRequired: true,
+                challengeToken: expect.stringMatching(/^[a-f0-9]{64}$/),
+                expiresAt: expect.any(Date)
+            });
+            const stored = LoginChallenge.create.mock.calls[0][0];
+            expect(stored).toEqual({
+                tokenHash: hashToken(result.challengeToken),
+                source: 'auth',
+                accountId: ADMIN.id,
+                role: 'admin',
+                purpose: 'verify',
+                expiresAt: result.expiresAt
+            });
+            expect(result.expiresAt.getTime() - before).toBeGreaterThanOrEqual(3 * 60 * 1000 - 50);
+            expect(result.expiresAt.getTime() - before).toBeLessThanOrEqual(3 * 60 * 1000 + 1000);
+        });
+
+        it('should send unenrolled accounts to enrollment when their role requires it', async () => {
+            mockEnrollment({ enabledAt: null });
+            const exists = mockPolicyRequired(true);
+            jest.spyOn(LoginChallenge, 'create').mockResolvedValue({});
+
+            const result = await twoFactor.startLoginChallenge({ ...ADMIN, role: 'restaurant-admin', source: 'restaurant-service' });
+
+            expect(exists).toHaveBeenCalledWith({ role: 'restaurant-admin', required: true });
+            expect(result.twoFactorEnrollmentRequired).toBe(true);
+            expect(result.twoFactorRequired).toBeUndefined();
+            expect(LoginChallenge.create.mock.calls[0][0]).toEqual(expect.objectContaining({
+                source: 'restaurant-service',
+                purpose: 'enroll'
+            }));
+        });
+    });
+
+    // ============================================================================
+    // Test 2: openChallenge
+    // ============================================================================
+    describe('Test 2: openChallenge - Live, Matching And Attempt-Limited', () => {
+        it('should count the attempt atomically while matching purpose, expiry and limit', async () => {
+            const challenge = { _id: 'ch-1', attempts: 1 };
+            jest.spyOn(LoginChallenge, 'findOneAndUpdate').mockResolvedValue(challenge);
+
+            const result = await twoFactor.openChallenge('token-1', 'verify');
+
+            expect(result).toBe(challenge);
+            const [filter, update, options] = LoginChallenge.findOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({
+                tokenHash: hashToken('token-1'),
+                purpose: 'verify',
+                expiresAt: { $gt: expect.any(Date) },
+                attempts: { $lt: twoFactor.MAX_CHALLENGE_ATTEMPTS }
+            });
+            expect(update).toEqual({ $inc: { attempts: 1 } });
+            expect(options).toEqual({ new: true });
+        });
+
+        it.each([
+            ['an unknown, expired or used-up token', 'token-2'],
+            ['no token', undefined]
+        ])('should throw 401 for %s', async (label, token) => {
+            jest.spyOn(LoginChallenge, 'findOneAndUpdate').mockResolvedValue(null);
+
+            await expect(twoFactor.openChallenge(token, 'verify')).rejects.toMatchObject({
+                name: 'TwoFactorError',
+                statusCode: 401,
+                message: 'Login challenge is invalid or has expired. Please log in again.'
+            });
+        });
+    });
+
+    // ============================================================================
+    // Test 3: verifySecondFactor
+    // ============================================================================
+    describe('Test 3: verifySecondFactor - TOTP Codes and Recovery Codes Work Once', () => {
+        const secret = generateSecret();
+
+        it('should accept the current code and claim its step', async () => {
+            // GIVEN: Enabled enrollment
+            const query = mockEnrollment({ _id: 'tf-1', enabledAt: new Date(), secret, lastUsedStep: -1 });
+            jest.spyOn(TwoFactor, 'findOneAndUpdate').mockResolvedValue({ _id: 'tf-1' });
+
+            // WHEN: Verifying the code the app shows now
+            const ok = await twoFactor.verifySecondFactor(ADMIN, { code: generateTotp(secret) });
+
+            // THEN: Secret loaded explicitly; step stored only if newer than the last one
+            expect(ok).toBe(true);
+            expect(query.select).toHaveBeenCalledWith('+secret');
+            const [filter, update] = TwoFactor.findOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({ _id: 'tf-1', lastUsedStep: { $lt: expect.any(Number) } });
+            expect(update).toEqual({ $set: { lastUsedStep: filter.lastUsedStep.$lt } });
+        });
+
+        it('should refuse a code when another request claimed the step first', async () => {
+            mockEnrollment({ _id: 'tf-1', enabledAt: new Date(), secret, lastUsedStep: -1 });
+            jest.spyOn(TwoFactor, 'findOneAndUpdate').mockResolvedValue(null);
+
+            expect(await twoFactor.verifySecondFactor(ADMIN, { code: generateTotp(secret) })).toBe(false);
+        });
+
+        it('should refuse wrong codes and accounts without two-factor', async () => {
+            mockEnrollment({ _id: 'tf-1', enabledAt: new Date(), secret, lastUsedStep: -1 });
+            jest.spyOn(TwoFactor, 'findOneAndUpdate');
+            expect(await twoFactor.verifySecondFactor(ADMIN, { code: generateTotp(secret, Date.now() - 10 * 60 * 1000) })).toBe(false);
+            expect(TwoFactor.findOneAndUpdate).not.toHaveBeenCalled();
+
+            mockEnrollment({ _id: 'tf-2', enabledAt: null, lastUsedStep: -1 });
+            expect(await twoFactor.verifySecondFactor(ADMIN, { code: generateTotp(secret) })).toBe(false);
+        });
+
+        it('should use up a recovery code, ignoring case and dashes', async () => {
+            mockEnrollment({ _id: 'tf-1', enabledAt: new Date(), secret, lastUsedStep: -1 });
+            jest.spyOn(TwoFactor, 'findOneAndUpdate').mockResolvedValue({ _id: 'tf-1' });
+
+            const ok = await twoFactor.verifySecondFactor(ADMIN, { recoveryCode: ' 3F9A1-C04BE ' });
+
+            expect(ok).toBe(true);
+            const hash = twoFactor.hashRecoveryCode('3f9a1c04be');
+            expect(TwoFactor.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: 'tf-1', recoveryCodeHashes: hash },
+                { $pull: { recoveryCodeHashes: hash } }
+            );
+        });
+    });
+
+    // ============================================================================
+    // Test 4: Enrollment
+    // ============================================================================
+    describe('Test 4: beginEnrollment and confirmEnrollment - Secret, URI and Recovery Codes', () => {
+        it('should store a pending secret and return its otpauth URI', async () => {
+            mockEnrollment(null);
+            jest.spyOn(TwoFactor, 'findOneAndUpdate').mockResolvedValue({});
+            process.env.TWO_FACTOR_ISSUER = 'SkyDish Ops';
+
+            const { secret, otpauthUri } = await twoFactor.beginEnrollment(ADMIN);
+
+            expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+            expect(otpauthUri).toContain('otpauth://totp/SkyDish%20Ops:ad%40example.com?');
+            expect(otpauthUri).toContain(`secret=${secret}`);
+            expect(TwoFactor.findOneAndUpdate).toHaveBeenCalledWith(
+                { source: 'auth', accountId: ADMIN.id },
+                { $set: { role: 'admin', pendingSecret: secret } },
+                { upsert: true, new: true, setDefaultsOnInsert: true }
+            );
+        });
+
+        it('should refuse to enroll twice', async () => {
+            mockEnrollment({ enabledAt: new Date() });
+
+            await expect(twoFactor.beginEnrollment(ADMIN)).rejects.toMatchObject({ statusCode: 409 });
+        });
+
+        it('should enable the pending secret on a matching code and return ten recovery codes', async () => {
+            // GIVEN: Pending enrollment (a real document, so save() only validates)
+            const secret = generateSecret();
+            const enrollment = new TwoFactor({ source: 'auth', accountId: ADMIN.id, role: 'admin', pendingSecret: secret });
+            jest.spyOn(enrollment, 'save').mockImplementation(async function () {
+                await this.validate();
+                return this;
+            });
+            const query = mockEnrollment(enrollment);
+
+            // WHEN: Confirming with the app's code
+            const codes = await twoFactor.confirmEnrollment(ADMIN, generateTotp(secret));
+
+            // THEN: Enabled, the step consumed and only hashes stored
+            expect(query.select).toHaveBeenCalledWith('+pendingSecret');
+            expect(codes).toHaveLength(10);
+            codes.forEach((code) => expect(code).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/));
+            expect(new Set(codes).size).toBe(10);
+            expect(enrollment.secret).toBe(secret);
+            expect(enrollment.pendingSecret).toBeUndefined();
+            expect(enrollment.enabledAt).toBeInstanceOf(Date);
+            expect(enrollment.lastUsedStep).toBeGreaterThan(0);
+            expect([...enrollment.recoveryCodeHashes]).toEqual(codes.map(twoFactor.hashRecoveryCode));
+        });
+
+        it.each([
+            ['no pending secret', null, '123456', 'Start two-factor enrollment first.'],
+            ['a wrong code', { pendingSecret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ' }, 'abc', 'Invalid code.']
+        ])('should answer 400 for %s', async (label, doc, code, message) => {
+            mockEnrollment(doc);
+
+            await expect(twoFactor.confirmEnrollment(ADMIN, code)).rejects.toMatchObject({ statusCode: 400, message });
+        });
+    });
+
+    // ============================================================================
+    // Test 5: Policy
+    // ============================================================================
+    describe('Test 5: Policies - One Entry Per Eligible Role', () => {
+        it('should default roles without a stored policy to not required', async () => {
+            const updatedAt = new Date('2026-01-01T00:00:00Z');
+            jest.spyOn(TwoFactorPolicy, 'find').mockResolvedValue([{ role: 'super-admin', required: true, updatedAt }]);
+
+            expect(await twoFactor.listPolicies()).toEqual([
+                { role: 'admin', required: false, updatedAt: null },
+                { role: 'super-admin', required: true, updatedAt },
+                { role: 'restaurant-admin', required: false, updatedAt: null }
+            ]);
+        });
+
+        it('should upsert the policy with the super-admin who changed it', async () => {
+            jest.spyOn(TwoFactorPolicy, 'findOneAndUpdate').mockResolvedValue({});
+
+            await twoFactor.setPolicy('admin', true, 'super-1');
+
+            expect(TwoFactorPolicy.findOneAndUpdate).toHaveBeenCalledWith(
+                { role: 'admin' },
+                { $set: { required: true, updatedBy: 'super-1' } },
+                { upsert: true, new: true, runValidators: true }
+            );
+        });
+    });
+});
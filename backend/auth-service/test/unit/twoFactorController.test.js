@@ -0,0 +1,292 @@
+// backend/auth-service/test/unit/twoFactorController.test.js
+jest.mock('../../utils/twoFactor', () => {
+    const actual = jest.requireActual('../../utils/twoFactor');
+    return {
+        TwoFactorError: actual.TwoFactorError,
+        TWO_FACTOR_ROLES: actual.TWO_FACTOR_ROLES,
+        getStatus: jest.fn(),
+        beginEnrollment: jest.fn(),
+        confirmEnrollment: jest.fn(),
+        regenerateRecoveryCodes: jest.fn(),
+        disableTwoFactor: jest.fn(),
+        isRequiredForRole: jest.fn(),
+        verifySecondFactor: jest.fn(),
+        openChallenge: jest.fn(),
+        closeChallenge: jest.fn(),
+        listPolicies: jest.fn(),
+        setPolicy: jest.fn()
+    };
+});
+jest.mock('../../utils/identityResolver', () => ({
+    findAccountById: jest.fn()
+}));
+jest.mock('../../utils/loginResponse', () => ({
+    buildLoginResponse: jest.fn()
+}));
+jest.mock('../../utils/audit', () => ({ recordAudit: jest.fn() }));
+
+const twoFactor = require('../../utils/twoFactor');
+const { findAccountById } = require('../../utils/identityResolver');
+const { buildLoginResponse } = require('../../utils/loginResponse');
+const { recordAudit } = require('../../utils/audit');
+const twoFactorController = require('../../controllers/twoFactorController');
+
+const { TwoFactorError } = twoFactor;
+
+const OWNER = { id: 'rest-1', role: 'restaurant-admin', source: 'restaurant-service', suspended: false, email: 'owner@example.com' };
+const CHALLENGE = { _id: 'ch-1', source: 'restaurant-service', accountId: 'rest-1', role: 'restaurant-admin' };
+const LOGIN = {
+    status: 'success',
+    token: 'access-token',
+    data: { account: { id: 'rest-1', role: 'restaurant-admin', source: 'restaurant-service' } }
+};
+const EXPIRED = 'Login challenge is invalid or has expired. Please log in again.';
+
+describe('TwoFactorController Unit Tests - Shopee QA Standards', () => {
+    let req, res, next;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        req = { params: {}, body: {}, user: { id: 'rest-1', role: 'restaurant-admin' }, identity: OWNER };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+        next = jest.fn();
+        buildLoginResponse.mockResolvedValue(LOGIN);
+        findAccountById.mockResolvedValue(OWNER);
+        twoFactor.openChallenge.mockResolvedValue(CHALLENGE);
+    });
+
+    // ============================================================================
+    // Test 1: Finishing a login
+    // ============================================================================
+    describe('Test 1: verifyChallenge - Code Then Tokens', () => {
+        it('should return the normal login body once the code checks out', async () => {
+            // GIVEN: Live challenge and a valid code
+            req.body = { challengeToken: 'ct-1', code: '123456' };
+            twoFactor.verifySecondFactor.mockResolvedValue(true);
+
+            // WHEN: Verifying the challenge
+            await twoFactorController.verifyChallenge(req, res, next);
+
+            // THEN: Challenge used up, tokens issued for the challenged account
+            expect(twoFactor.openChallenge).toHaveBeenCalledWith('ct-1', 'verify');
+            expect(findAccountById).toHaveBeenCalledWith('rest-1', 'restaurant-admin');
+            expect(twoFactor.verifySecondFactor).toHaveBeenCalledWith(OWNER, { code: '123456', recoveryCode: undefined });
+            expect(twoFactor.closeChallenge).toHaveBeenCalledWith(CHALLENGE);
+            expect(buildLoginResponse).toHaveBeenCalledWith(OWNER, req);
+            expect(res.json).toHaveBeenCalledWith(LOGIN);
+        });
+
+        it('should require a code or a recovery code before touching the challenge', async () => {
+            req.body = { challengeToken: 'ct-1' };
+
+            await twoFactorController.verifyChallenge(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(twoFactor.openChallenge).not.toHaveBeenCalled();
+        });
+
+        it('should keep the challenge open after a wrong code', async () => {
+            req.body = { challengeToken: 'ct-1', recoveryCode: 'aaaaa-bbbbb' };
+            twoFactor.verifySecondFactor.mockResolvedValue(false);
+
+            await twoFactorController.verifyChallenge(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Invalid code.' });
+            expect(twoFactor.closeChallenge).not.toHaveBeenCalled();
+            expect(buildLoginResponse).not.toHaveBeenCalled();
+        });
+
+        it('should answer with the error status for a dead challenge', async () => {
+            req.body = { challengeToken: 'old', code: '123456' };
+            twoFactor.openChallenge.mockRejectedValue(new TwoFactorError(EXPIRED, 401));
+
+            await twoFactorController.verifyChallenge(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ message: EXPIRED });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['suspended since the password step', { ...OWNER, suspended: true }],
+            ['deleted since the password step', null],
+            ['resolved from another source', { ...OWNER, source: 'auth' }]
+        ])('should refuse and close the challenge for an account %s', async (label, account) => {
+            req.body = { challengeToken: 'ct-1', code: '123456' };
+            findAccountById.mockResolvedValue(account);
+
+            await twoFactorController.verifyChallenge(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(twoFactor.closeChallenge).toHaveBeenCalledWith(CHALLENGE);
+            expect(twoFactor.verifySecondFactor).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 2: Enrollment required by policy
+    // ============================================================================
+    describe('Test 2: Challenge Enrollment - Policy Enrollment Finishes The Login', () => {
+        it('should hand out a secret for an enroll challenge', async () => {
+            req.body = { challengeToken: 'ct-2' };
+            twoFactor.beginEnrollment.mockResolvedValue({ secret: 'ABC', otpauthUri: 'otpauth://totp/x' });
+
+            await twoFactorController.startChallengeEnrollment(req, res, next);
+
+            expect(twoFactor.openChallenge).toHaveBeenCalledWith('ct-2', 'enroll');
+            expect(res.json).toHaveBeenCalledWith({
+                status: 'success',
+                data: { secret: 'ABC', otpauthUri: 'otpauth://totp/x' }
+            });
+        });
+
+        it('should return tokens plus recovery codes once enrollment is confirmed', async () => {
+            req.body = { challengeToken: 'ct-2', code: '654321' };
+            twoFactor.confirmEnrollment.mockResolvedValue(['aaaaa-bbbbb']);
+
+            await twoFactorController.confirmChallengeEnrollment(req, res, next);
+
+            expect(twoFactor.confirmEnrollment).toHaveBeenCalledWith(OWNER, '654321');
+            expect(twoFactor.closeChallenge).toHaveBeenCalledWith(CHALLENGE);
+            expect(res.json).toHaveBeenCalledWith({
+                ...LOGIN,
+                data: { ...LOGIN.data, recoveryCodes: ['aaaaa-bbbbb'] }
+            });
+        });
+
+        it('should leave the challenge open when the code is wrong', async () => {
+            req.body = { challengeToken: 'ct-2', code: '000000' };
+            twoFactor.confirmEnrollment.mockRejectedValue(new TwoFactorError('Invalid code.', 400));
+
+            await twoFactorController.confirmChallengeEnrollment(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(twoFactor.closeChallenge).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 3: Signed-in management
+    // ============================================================================
+    describe('Test 3: Account Settings - Status, Enrollment, Recovery Codes and Disable', () => {
+        it('should report status for the signed-in account', async () => {
+            const status = { enabled: true, required: false, enabledAt: new Date(), recoveryCodesRemaining: 9 };
+            twoFactor.getStatus.mockResolvedValue(status);
+
+            await twoFactorController.getStatus(req, res, next);
+
+            expect(twoFactor.getStatus).toHaveBeenCalledWith(OWNER);
+            expect(res.json).toHaveBeenCalledWith({ status: 'success', data: { twoFactor: status } });
+        });
+
+        it('should map an already-enabled enrollment to 409', async () => {
+            twoFactor.beginEnrollment.mockRejectedValue(new TwoFactorError('Two-factor authentication is already enabled.', 409));
+
+            await twoFactorController.startEnrollment(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+        });
+
+        it('should return recovery codes once enrollment is confirmed', async () => {
+            req.body = { code: '123456' };
+            twoFactor.confirmEnrollment.mockResolvedValue(['c1', 'c2']);
+
+            await twoFactorController.confirmEnrollment(req, res, next);
+
+            expect(res.json).toHaveBeenCalledWith({ status: 'success', data: { recoveryCodes: ['c1', 'c2'] } });
+        });
+
+        it('should only replace recovery codes after a current code', async () => {
+            req.body = { code: '123456' };
+            twoFactor.verifySecondFactor.mockResolvedValueOnce(false);
+            await twoFactorController.regenerateRecoveryCodes(req, res, next);
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(twoFactor.regenerateRecoveryCodes).not.toHaveBeenCalled();
+
+            twoFactor.verifySecondFactor.mockResolvedValueOnce(true);
+            twoFactor.regenerateRecoveryCodes.mockResolvedValue(['n1']);
+            await twoFactorController.regenerateRecoveryCodes(req, res, next);
+            expect(res.json).toHaveBeenLastCalledWith({ status: 'success', data: { recoveryCodes: ['n1'] } });
+        });
+
+        it('should not let a role that requires two-factor turn it off', async () => {
+            req.body = { code: '123456' };
+            twoFactor.isRequiredForRole.mockResolvedValue(true);
+
+            await twoFactorController.disable(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(twoFactor.disableTwoFactor).not.toHaveBeenCalled();
+        });
+
+        it('should disable two-factor with a current code', async () => {
+            req.body = { code: '123456' };
+            twoFactor.isRequiredForRole.mockResolvedValue(false);
+            twoFactor.verifySecondFactor.mockResolvedValue(true);
+
+            await twoFactorController.disable(req, res, next);
+
+            expect(twoFactor.disableTwoFactor).toHaveBeenCalledWith(OWNER);
+            expect(res.json).toHaveBeenCalledWith({ status: 'success', message: 'Two-factor authentication disabled.' });
+        });
+    });
+
+    // ============================================================================
+    // Test 4: Per-role policy
+    // ============================================================================
+    describe('Test 4: Policies - Super-Admins Require Two-Factor Per Role', () => {
+        beforeEach(() => {
+            req.user = { id: 'super-1', role: 'super-admin' };
+        });
+
+        it('should save the policy with the acting super-admin', async () => {
+            req.params.role = 'admin';
+            req.body = { required: true };
+            const updatedAt = new Date();
+            twoFactor.isRequiredForRole.mockResolvedValue(false);
+            twoFactor.setPolicy.mockResolvedValue({ role: 'admin', required: true, updatedAt, updatedBy: 'super-1' });
+
+            await twoFactorController.updatePolicy(req, res, next);
+
+            expect(twoFactor.setPolicy).toHaveBeenCalledWith('admin', true, 'super-1');
+            expect(res.json).toHaveBeenCalledWith({
+                status: 'success',
+                data: { policy: { role: 'admin', required: true, updatedAt } }
+            });
+            expect(recordAudit).toHaveBeenCalledWith({
+                action: '2fa.policy.update',
+                req,
+                target: { type: '2fa-policy', id: 'admin' },
+                before: { required: false },
+                after: { required: true }
+            });
+        });
+
+        it.each([
+            ['a role without two-factor', 'customer', { required: true }, 'role must be one of: admin, super-admin, restaurant-admin.'],
+            ['a non-boolean flag', 'admin', { required: 'yes' }, 'required must be true or false.']
+        ])('should answer 400 for %s', async (label, role, body, message) => {
+            req.params.role = role;
+            req.body = body;
+
+            await twoFactorController.updatePolicy(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message });
+            expect(twoFactor.setPolicy).not.toHaveBeenCalled();
+        });
+
+        it('should list one policy per eligible role', async () => {
+            const policies = [{ role: 'admin', required: false, updatedAt: null }];
+            twoFactor.listPolicies.mockResolvedValue(policies);
+
+            await twoFactorController.getPolicies(req, res, next);
+
+            expect(res.json).toHaveBeenCalledWith({ status: 'success', data: { policies } });
+        });
+    });
+});
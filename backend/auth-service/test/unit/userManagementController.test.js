@@ -0,0 +1,364 @@
+// backend/auth-service/test/unit/userManagementController.test.js
+const mongoose = require('mongoose');
+const Customer = require('../../models/Customer');
+const DeliveryPersonnel = require('../../models/DeliveryPersonnel');
+const RestaurantAdmin = require('../../models/RestaurantAdmin');
+const sessions = require('../../utils/sessions');
+const { recordAudit } = require('../../utils/audit');
+const userManagementController = require('../../controllers/userManagementController');
+
+jest.mock('../../utils/sessions', () => {
+    const actual = jest.requireActual('../../utils/sessions');
+    return {
+        SessionError: actual.SessionError,
+        formatSession: actual.formatSession,
+        listSessions: jest.fn(),
+        revokeSession: jest.fn(),
+        revokeAllSessions: jest.fn()
+    };
+});
+jest.mock('../../utils/audit', () => ({ recordAudit: jest.fn() }));
+
+const ADMIN_ID = '64b0000000000000000000aa';
+
+// Model.find().sort().skip().limit() resolving to docs
+const mockFind = (Model, docs) => {
+    const query = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue(docs)
+    };
+    jest.spyOn(Model, 'find').mockReturnValue(query);
+    return query;
+};
+
+// ObjectId minted at a given time, so "created" ordering is predictable
+const idAt = (iso) => mongoose.Types.ObjectId.createFromTime(Date.parse(iso) / 1000);
+
+// Real Customer documents (no database): save() runs validation only
+const buildCustomer = (fields = {}) => {
+    const customer = new Customer({
+        firstName: 'Lan',
+        lastName: 'Pham',
+        email: 'lan@example.com',
+        phone: '0901234567',
+        password: 'hashed',
+        ...fields
+    });
+    jest.spyOn(customer, 'save').mockImplementation(async function () {
+        await this.validate();
+        return this;
+    });
+    return customer;
+};
+
+describe('UserManagementController Unit Tests - Shopee QA Standards', () => {
+    let req, res, next;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+        req = { query: {}, params: {}, body: {}, user: { id: ADMIN_ID, role: 'admin' } };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+        next = jest.fn();
+    });
+
+    // ============================================================================
+    // Test 1: searchUsers - filters
+    // ============================================================================
+    describe('Test 1: searchUsers - Name, Email, Phone, Status and Created Date Filters', () => {
+        it('should search one collection with database-side pagination', async () => {
+            // GIVEN: Customers page 2 of size 10, searching a full name
+            req.query = { type: 'customer', q: 'lan pham', page: '2', limit: '10' };
+            jest.spyOn(Customer, 'countDocuments').mockResolvedValue(12);
+            const query = mockFind(Customer, [buildCustomer({ _id: idAt('2024-05-01T00:00:00Z') })]);
+
+            // WHEN: Searching
+            await userManagementController.searchUsers(req, res, next);
+
+            // THEN: Every word must match some field; skip/limit applied in Mongo
+            const [filter] = Customer.find.mock.calls[0];
+            expect(filter.$and).toHaveLength(2);
+            expect(filter.$and[0].$or.map((c) => Object.keys(c)[0])).toEqual(['firstName', 'lastName', 'email', 'phone']);
+            expect(filter.$and[1].$or[0].firstName.test('PHAM')).toBe(true);
+            expect(query.sort).toHaveBeenCalledWith({ _id: -1 });
+            expect(query.skip).toHaveBeenCalledWith(10);
+            expect(query.limit).toHaveBeenCalledWith(10);
+
+            const body = res.json.mock.calls[0][0];
+            expect(body).toEqual(expect.objectContaining({ page: 2, limit: 10, total: 12, totalPages: 2, results: 1 }));
+            expect(body.data.users[0]).toEqual(expect.objectContaining({
+                type: 'customer',
+                role: 'customer',
+                email: 'lan@example.com',
+                suspended: false,
+                createdAt: new Date('2024-05-01T00:00:00Z')
+            }));
+            expect(body.data.users[0].password).toBeUndefined();
+        });
+
+        it('should escape regex characters in search input', async () => {
+            req.query = { type: 'customer', email: 'a.b+c@example.com' };
+            jest.spyOn(Customer, 'countDocuments').mockResolvedValue(0);
+            mockFind(Customer, []);
+
+            await userManagementController.searchUsers(req, res, next);
+
+            const pattern = Customer.find.mock.calls[0][0].$and[0].email;
+            expect(pattern.test('A.B+C@example.com')).toBe(true);
+            expect(pattern.test('aXb+c@example.com')).toBe(false);
+        });
+
+        it('should turn created dates into ObjectId bounds, including the whole end day', async () => {
+            // GIVEN: Accounts created in May 2024, not suspended
+            req.query = { type: 'customer', createdFrom: '2024-05-01', createdTo: '2024-05-31', suspended: 'false' };
+            jest.spyOn(Customer, 'countDocuments').mockResolvedValue(0);
+            mockFind(Customer, []);
+
+            // WHEN: Searching
+            await userManagementController.searchUsers(req, res, next);
+
+            // THEN: Bounds on _id (customers have no createdAt) and legacy docs count as active
+            const [suspended, from, to] = Customer.find.mock.calls[0][0].$and;
+            expect(suspended).toEqual({ suspended: { $ne: true } });
+            expect(from._id.$gte.getTimestamp()).toEqual(new Date('2024-05-01T00:00:00Z'));
+            expect(to._id.$lt.getTimestamp()).toEqual(new Date('2024-06-01T00:00:00Z'));
+        });
+
+        it.each([
+            [{ type: 'admin' }, 'type must be one of: customer, delivery, restaurant-admin.'],
+            [{ suspended: 'yes' }, 'suspended must be "true" or "false".'],
+            [{ createdFrom: 'last week' }, 'Invalid date "last week"; use YYYY-MM-DD or an ISO timestamp.']
+        ])('should reject invalid query %j', async (query, message) => {
+            req.query = query;
+
+            await userManagementController.searchUsers(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message });
+        });
+    });
+
+    // ============================================================================
+    // Test 2: searchUsers - across collections
+    // ============================================================================
+    describe('Test 2: searchUsers - All Account Types Merged Newest First', () => {
+        it('should merge the three collections and page the combined list', async () => {
+            // GIVEN: Matches in every collection
+            req.query = { limit: '2' };
+            jest.spyOn(Customer, 'countDocuments').mockResolvedValue(1);
+            jest.spyOn(DeliveryPersonnel, 'countDocuments').mockResolvedValue(1);
+            jest.spyOn(RestaurantAdmin, 'countDocuments').mockResolvedValue(1);
+            mockFind(Customer, [{ _id: idAt('2024-01-01T00:00:00Z'), email: 'old@example.com' }]);
+            const driverQuery = mockFind(DeliveryPersonnel, [{
+                _id: idAt('2024-03-01T00:00:00Z'),
+                createdAt: new Date('2024-03-01T00:00:00Z'),
+                email: 'driver@example.com',
+                vehicleType: 'bike',
+                isAvailable: true
+            }]);
+            mockFind(RestaurantAdmin, [{
+                _id: idAt('2024-02-01T00:00:00Z'),
+                createdAt: new Date('2024-02-01T00:00:00Z'),
+                email: 'owner@example.com',
+                isApproved: true
+            }]);
+
+            // WHEN: Searching without a type
+            await userManagementController.searchUsers(req, res, next);
+
+            // THEN: Newest two overall, with type-specific fields
+            const body = res.json.mock.calls[0][0];
+            expect(driverQuery.skip).toHaveBeenCalledWith(0);
+            expect(driverQuery.limit).toHaveBeenCalledWith(2);
+            expect(body.total).toBe(3);
+            expect(body.totalPages).toBe(2);
+            expect(body.data.users.map((u) => u.email)).toEqual(['driver@example.com', 'owner@example.com']);
+            expect(body.data.users[0]).toEqual(expect.objectContaining({ type: 'delivery', vehicleType: 'bike' }));
+            expect(body.data.users[1]).toEqual(expect.objectContaining({ type: 'restaurant-admin', isApproved: true }));
+        });
+    });
+
+    // ============================================================================
+    // Test 3: suspendUser / reinstateUser
+    // ============================================================================
+    describe('Test 3: suspendUser and reinstateUser - Reasons, History and Sessions', () => {
+        it('should suspend with a reason, record it and revoke refresh tokens', async () => {
+            // GIVEN: Active customer
+            const customer = buildCustomer();
+            jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+            req.params = { type: 'customer', id: String(customer._id) };
+            req.body = { reason: '  Repeated chargebacks  ' };
+
+            // WHEN: Suspending
+            await userManagementController.suspendUser(req, res, next);
+
+            // THEN: Flag, reason and history saved; sessions ended
+            expect(customer.suspended).toBe(true);
+            expect(customer.suspendedAt).toBeInstanceOf(Date);
+            expect(customer.suspensionReason).toBe('Repeated chargebacks');
+            expect(customer.save).toHaveBeenCalledWith({ validateModifiedOnly: true });
+            expect(sessions.revokeAllSessions).toHaveBeenCalledWith({ source: 'auth', id: customer._id, role: 'customer' }, { revokedBy: ADMIN_ID });
+            const { user } = res.json.mock.calls[0][0].data;
+            expect(user.moderationHistory).toEqual([
+                { action: 'suspend', reason: 'Repeated chargebacks', by: new mongoose.Types.ObjectId(ADMIN_ID), at: expect.any(Date) }
+            ]);
+            expect(recordAudit).toHaveBeenCalledWith({
+                action: 'user.suspend',
+                req,
+                target: { type: 'customer', id: String(customer._id) },
+                before: { suspended: false },
+                after: { suspended: true },
+                details: { reason: 'Repeated chargebacks' }
+            });
+        });
+
+        it('should reinstate with a reason and keep the history', async () => {
+            // GIVEN: Suspended customer
+            const customer = buildCustomer({
+                suspended: true,
+                suspendedAt: new Date(),
+                suspensionReason: 'Repeated chargebacks',
+                moderationHistory: [{ action: 'suspend', reason: 'Repeated chargebacks', by: ADMIN_ID }]
+            });
+            jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+            req.params = { type: 'customer', id: String(customer._id) };
+            req.body = { reason: 'Disputes resolved' };
+
+            // WHEN: Reinstating
+            await userManagementController.reinstateUser(req, res, next);
+
+            // THEN: Flag cleared, both decisions kept
+            expect(customer.suspended).toBe(false);
+            expect(customer.suspendedAt).toBeUndefined();
+            expect(customer.suspensionReason).toBeUndefined();
+            expect(customer.moderationHistory.map((e) => e.action)).toEqual(['suspend', 'reinstate']);
+            expect(sessions.revokeAllSessions).not.toHaveBeenCalled();
+            expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'user.reinstate',
+                before: { suspended: true },
+                after: { suspended: false },
+                details: { reason: 'Disputes resolved' }
+            }));
+        });
+
+        it('should require a reason', async () => {
+            req.params = { type: 'customer', id: '64b000000000000000000001' };
+            req.body = { reason: '   ' };
+            jest.spyOn(Customer, 'findById');
+
+            await userManagementController.suspendUser(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(Customer.findById).not.toHaveBeenCalled();
+        });
+
+        it('should answer 409 when the account is already in the requested state', async () => {
+            const customer = buildCustomer({ suspended: true });
+            jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+            req.params = { type: 'customer', id: String(customer._id) };
+            req.body = { reason: 'Again' };
+
+            await userManagementController.suspendUser(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(customer.save).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            [{ type: 'admin', id: '64b000000000000000000001' }, 'Unknown account type.'],
+            [{ type: 'delivery', id: 'not-an-id' }, 'User not found.']
+        ])('should answer 404 for %j', async (params, message) => {
+            req.params = params;
+            req.body = { reason: 'Spam' };
+
+            await userManagementController.suspendUser(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith({ message });
+        });
+    });
+
+    // ============================================================================
+    // Test 4: Sessions of a moderated account
+    // ============================================================================
+    describe('Test 4: User Sessions - Admins List and End Devices', () => {
+        it('should list the active sessions of the account', async () => {
+            // GIVEN: Driver with one active session
+            const driver = { _id: '64b0000000000000000000d1' };
+            jest.spyOn(DeliveryPersonnel, 'findById').mockResolvedValue(driver);
+            const lastSeenAt = new Date('2026-03-01T10:00:00Z');
+            sessions.listSessions.mockResolvedValue([{
+                id: 's1',
+                userAgent: 'Mozilla/5.0 (Android)',
+                ip: '10.0.0.1',
+                lastSeenIp: '10.0.0.2',
+                createdAt: new Date('2026-02-28T08:00:00Z'),
+                lastSeenAt,
+                expiresAt: new Date('2026-03-08T10:00:00Z')
+            }]);
+            req.params = { type: 'delivery', id: String(driver._id) };
+
+            // WHEN: Listing its sessions
+            await userManagementController.listUserSessions(req, res, next);
+
+            // THEN: Keyed by the auth-service account; no session is the admin's "current" one
+            expect(sessions.listSessions).toHaveBeenCalledWith({ source: 'auth', id: driver._id, role: 'delivery' });
+            const body = res.json.mock.calls[0][0];
+            expect(body.results).toBe(1);
+            expect(body.data.sessions[0]).toEqual(expect.objectContaining({
+                id: 's1',
+                userAgent: 'Mozilla/5.0 (Android)',
+                lastSeenAt,
+                current: false
+            }));
+        });
+
+        it('should revoke one session, recording the admin', async () => {
+            const customer = buildCustomer();
+            jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+            sessions.revokeSession.mockResolvedValue({});
+            req.params = { type: 'customer', id: String(customer._id), sessionId: 's2' };
+
+            await userManagementController.revokeUserSession(req, res, next);
+
+            expect(sessions.revokeSession).toHaveBeenCalledWith(
+                { source: 'auth', id: customer._id, role: 'customer' },
+                's2',
+                ADMIN_ID
+            );
+            expect(res.json).toHaveBeenCalledWith({ status: 'success', message: 'Session revoked.' });
+        });
+
+        it('should answer 404 for a session the account does not have', async () => {
+            const customer = buildCustomer();
+            jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+            sessions.revokeSession.mockRejectedValue(new sessions.SessionError('Session not found.'));
+            req.params = { type: 'customer', id: String(customer._id), sessionId: 'other' };
+
+            await userManagementController.revokeUserSession(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Session not found.' });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should sign the account out everywhere', async () => {
+            const owner = { _id: '64b0000000000000000000e1' };
+            jest.spyOn(RestaurantAdmin, 'findById').mockResolvedValue(owner);
+            sessions.revokeAllSessions.mockResolvedValue(3);
+            req.params = { type: 'restaurant-admin', id: String(owner._id) };
+
+            await userManagementController.revokeUserSessions(req, res, next);
+
+            expect(sessions.revokeAllSessions).toHaveBeenCalledWith(
+                { source: 'auth', id: owner._id, role: 'restaurant-admin' },
+                { revokedBy: ADMIN_ID }
+            );
+            expect(res.json).toHaveBeenCalledWith({ status: 'success', data: { revoked: 3 } });
+        });
+    });
+});
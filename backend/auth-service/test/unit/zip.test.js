@@ -0,0 +1,82 @@
+// backend/auth-service/test/unit/zip.test.js
+const zlib = require('zlib');
+const { createZip, crc32 } = require('../../utils/zip');
+
+// Reads entries back through the central directory, like an unzip tool would
+const readZip = (archive) => {
+    const end = archive.length - 22;
+    expect(archive.readUInt32LE(end)).toBe(0x06054b50);
+    const count = archive.readUInt16LE(end + 10);
+    let pointer = archive.readUInt32LE(end + 16);
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        expect(archive.readUInt32LE(pointer)).toBe(0x02014b50);
+        const crc = archive.readUInt32LE(pointer + 16);
+        const compressedSize = archive.readUInt32LE(pointer + 20);
+        const nameLength = archive.readUInt16LE(pointer + 28);
+        const localOffset = archive.readUInt32LE(pointer + 42);
+        const name = archive.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+
+        expect(archive.readUInt32LE(localOffset)).toBe(0x04034b50);
+        const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26);
+        const data = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+
+        entries.push({ name, data: data.toString('utf8'), crc });
+        pointer += 46 + nameLength;
+    }
+    return entries;
+};
+
+describe('Zip Writer Unit Tests - Shopee QA Standards', () => {
+    // ============================================================================
+    // Test 1: CRC-32
+    // ============================================================================
+    describe('Test 1: crc32 - Standard Check Value', () => {
+        it('should match the well-known CRC-32 of "123456789"', () => {
+            expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+        });
+
+        it('should return 0 for empty input', () => {
+            expect(crc32(Buffer.alloc(0))).toBe(0);
+        });
+    });
+
+    // ============================================================================
+    // Test 2: Archive layout
+    // ============================================================================
+    describe('Test 2: createZip - Entries Round-Trip Through The Central Directory', () => {
+        it('should store every file with its name, content and checksum', () => {
+            // GIVEN: Text and binary files, one with a non-ASCII name
+            const files = [
+                { name: 'profile.json', data: JSON.stringify({ firstName: 'Lan' }) },
+                { name: 'ghi-chú.txt', data: 'Phở bò' },
+                { name: 'raw.bin', data: Buffer.from([0, 1, 2, 255]) }
+            ];
+
+            // WHEN: Zipping
+            const entries = readZip(createZip(files));
+
+            // THEN: Should read back exactly what went in
+            expect(entries.map((e) => e.name)).toEqual(['profile.json', 'ghi-chú.txt', 'raw.bin']);
+            expect(entries[0].data).toBe('{"firstName":"Lan"}');
+            expect(entries[1].data).toBe('Phở bò');
+            expect(entries[1].crc).toBe(crc32(Buffer.from('Phở bò')));
+        });
+
+        it('should produce a valid empty archive', () => {
+            const archive = createZip([]);
+
+            expect(archive.length).toBe(22);
+            expect(readZip(archive)).toEqual([]);
+        });
+
+        it('should stamp entries with the given date in DOS format', () => {
+            const archive = createZip([{ name: 'a.txt', data: 'a' }], new Date(2024, 4, 17, 13, 45, 30));
+
+            // 2024-05-17 13:45:30 local time
+            expect(archive.readUInt16LE(10)).toBe((13 << 11) | (45 << 5) | 15);
+            expect(archive.readUInt16LE(12)).toBe(((2024 - 1980) << 9) | (5 << 5) | 17);
+        });
+    });
+});
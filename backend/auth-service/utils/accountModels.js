@@ -0,0 +1,18 @@
+// backend/auth-service/utils/accountModels.js
+const Customer = require("../models/Customer");
+const Admin = require("../models/Admin");
+const DeliveryPersonnel = require("../models/DeliveryPersonnel");
+const RestaurantAdmin = require("../models/RestaurantAdmin");
+
+// Token role claim -> collection holding that account
+const modelsByRole = {
+  customer: Customer,
+  admin: Admin,
+  "super-admin": Admin,
+  delivery: DeliveryPersonnel,
+  "restaurant-admin": RestaurantAdmin,
+};
+
+exports.modelsByRole = modelsByRole;
+
+exports.getModelForRole = (role) => modelsByRole[role] || null;
@@ -0,0 +1,116 @@
+// backend/auth-service/utils/audit.js
+//
+// Security audit trail. Auth-service records its own events with recordAudit;
+// restaurant-service and order-service send theirs to POST /api/auth/internal/audit
+// with their service client credentials (emitAudit in each one's authClient.js),
+// and that endpoint records them here too. Callers pass the state
+// before and after a change; only the fields that differ are stored, and
+// secrets are never stored at all.
+const mongoose = require("mongoose");
+const AuditEvent = require("../models/AuditEvent");
+const { clientInfo } = require("./clientInfo");
+
+const REDACTED = "[redacted]";
+const SECRET_KEY = /password|secret|token|recovery|otp/i;
+// Bookkeeping fields that change on every write and say nothing about the change
+const IGNORED_PATHS = new Set(["_id", "__v", "createdAt", "updatedAt"]);
+const MAX_DEPTH = 4;
+const MAX_STRING_LENGTH = 1000;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+
+// Dates, ObjectIds and long strings become plain JSON values; secrets are blanked
+// unless `redact` is off (only for comparing, never for storing)
+const normalize = (value, key = "", redact = true) => {
+  if (value === undefined || value === null) return null;
+  if (redact && SECRET_KEY.test(key)) return REDACTED;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toHexString();
+  if (typeof value === "string") return value.slice(0, MAX_STRING_LENGTH);
+  if (Array.isArray(value)) return value.map((item) => normalize(item, "", redact));
+  if (typeof value.toObject === "function") return normalize(value.toObject(), key, redact);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, normalize(v, k, redact)]));
+  }
+  return value;
+};
+
+// { admin: { email } } -> { "admin.email": { compare, value } }; arrays are compared whole.
+// A secret is compared by its real value, so a changed password still shows up.
+const flatten = (value, prefix = "", out = {}, depth = 0) => {
+  const source = value && typeof value.toObject === "function" ? value.toObject() : value;
+  for (const [key, field] of Object.entries(source || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (!prefix && IGNORED_PATHS.has(key)) continue;
+    if (isPlainObject(field) && depth < MAX_DEPTH && !SECRET_KEY.test(key)) {
+      flatten(field, path, out, depth + 1);
+    } else {
+      out[path] = { compare: JSON.stringify(normalize(field, key, false)), value: normalize(field, key) };
+    }
+  }
+  return out;
+};
+
+const ABSENT = { compare: "null", value: null };
+
+/**
+ * The fields that differ between two snapshots, as [{ path, before, after }].
+ * A creation has no `before`, a deletion no `after`.
+ */
+const diffChanges = (before, after) => {
+  const old = flatten(before);
+  const now = flatten(after);
+  const paths = [...new Set([...Object.keys(old), ...Object.keys(now)])].sort();
+
+  return paths
+    .filter((path) => (old[path] || ABSENT).compare !== (now[path] || ABSENT).compare)
+    .map((path) => ({ path, before: (old[path] || ABSENT).value, after: (now[path] || ABSENT).value }));
+};
+
+// The signed-in caller, from whichever protect middleware ran
+const actorOf = (req) => {
+  if (!req) return {};
+  if (req.user) return { id: String(req.user.id), role: req.user.role };
+  if (req.userId) return { id: String(req.userId), role: req.userRole };
+  return {};
+};
+
+/**
+ * Append one event. Never throws: a failed write is logged and the request carries on.
+ * @param {object} event
+ * @param {string} event.action           dotted verb, e.g. "auth.login", "user.suspend"
+ * @param {object} [event.req]            request it happened in; actor, IP and user agent default from it
+ * @param {{ id?, role?, email? }} [event.actor]
+ * @param {{ type: string, id? }} [event.target]
+ * @param {object} [event.before]         state before the change
+ * @param {object} [event.after]          state after it
+ * @param {"success"|"failure"} [event.outcome]
+ * @param {object} [event.details]        anything else worth keeping (reason, status code...)
+ * @param {string} [event.service]        emitting service (set from the service client for other services)
+ */
+const recordAudit = async ({
+  action, req, actor, target, before, after, outcome = "success", details,
+  service = "auth-service", ip, userAgent, at,
+}) => {
+  try {
+    const device = req ? clientInfo(req) : {};
+    return await AuditEvent.create({
+      service,
+      action,
+      outcome,
+      actor: { ...actorOf(req), ...actor },
+      target,
+      ip: ip || device.ip,
+      userAgent: userAgent || device.userAgent,
+      changes: diffChanges(before, after),
+      details: details === undefined ? undefined : normalize(details),
+      at: at || new Date(),
+    });
+  } catch (err) {
+    console.error(`❌ Could not record audit event ${action}:`, err.message);
+    return null;
+  }
+};
+
+module.exports = { REDACTED, diffChanges, recordAudit };
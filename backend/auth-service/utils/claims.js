@@ -0,0 +1,29 @@
+// backend/auth-service/utils/claims.js
+//
+// Standard access-token claims understood by every service's middleware:
+//   sub           account id
+//   role          customer | admin | super-admin | delivery | restaurant-admin
+//   restaurantId  restaurant managed by the account (restaurant-admin only, else null)
+//   permissions   fine-grained grants (empty for roles without any)
+//   sid           session the token belongs to (added by utils/sessions.js on login)
+// emailVerified rides along for the order-service verification policy.
+
+const buildClaims = ({ id, role, restaurantId, permissions, emailVerified }) => ({
+  sub: String(id),
+  role,
+  restaurantId: restaurantId ? String(restaurantId) : null,
+  permissions: permissions ? [...permissions] : [],
+  emailVerified,
+});
+
+// Claims for an account stored in one of auth-service's own collections
+const claimsForUser = (user, role) =>
+  buildClaims({
+    id: user._id,
+    role: role === "admin" || role === "super-admin" ? user.role || role : role,
+    restaurantId: role === "restaurant-admin" ? user.restaurantId : null,
+    permissions: user.permissions,
+    emailVerified: user.emailVerified,
+  });
+
+module.exports = { buildClaims, claimsForUser };
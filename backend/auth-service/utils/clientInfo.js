@@ -0,0 +1,19 @@
+// backend/auth-service/utils/clientInfo.js
+
+const MAX_USER_AGENT_LENGTH = 512;
+
+/**
+ * Device details for a login. Services that log users in on their behalf
+ * (restaurant-service) forward the end user's `client: { userAgent, ip }` in
+ * the body; it is only believed from an authenticated service client.
+ */
+const clientInfo = (req) => {
+  const forwarded = req.serviceClient && req.body && req.body.client;
+  const userAgent = forwarded ? forwarded.userAgent : (req.headers || {})["user-agent"];
+  return {
+    userAgent: String(userAgent || "").slice(0, MAX_USER_AGENT_LENGTH),
+    ip: String((forwarded ? forwarded.ip : req.ip) || ""),
+  };
+};
+
+module.exports = { clientInfo };
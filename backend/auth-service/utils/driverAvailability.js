@@ -0,0 +1,390 @@
+// backend/auth-service/utils/driverAvailability.js
+//
+// A driver is available when their documents are verified and unexpired (see
+// utils/driverDocuments), the app has reported in recently (heartbeat or
+// location update) and either the manual override says "available" or, with no
+// override, a shift covers the current time. The result is stored in
+// DeliveryPersonnel.isAvailable so dispatch can query it through the geo index;
+// a periodic sweep catches shift boundaries and silent apps.
+const mongoose = require("mongoose");
+const DeliveryPersonnel = require("../models/DeliveryPersonnel");
+const DriverShift = require("../models/DriverShift");
+
+const MINUTES_PER_DAY = 24 * 60;
+const MAX_ONE_OFF_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const OVERRIDES = ["available", "unavailable"];
+
+class ShiftError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "ShiftError";
+    this.statusCode = statusCode;
+  }
+}
+
+const shiftTimezone = () => process.env.SHIFT_TIMEZONE || "Asia/Ho_Chi_Minh";
+const heartbeatTimeoutMs = () => Number(process.env.DRIVER_HEARTBEAT_TIMEOUT_MINUTES || 5) * 60 * 1000;
+const sweepIntervalMs = () => Number(process.env.DRIVER_AVAILABILITY_SWEEP_SECONDS || 60) * 1000;
+
+// Wall-clock parts of `date` in SHIFT_TIMEZONE
+const wallClock = (date) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: shiftTimezone(),
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday),
+    minute: Number(parts.hour) * 60 + Number(parts.minute),
+    second: Number(parts.second),
+  };
+};
+
+/**
+ * Weekday and minute-of-day of `date` in SHIFT_TIMEZONE.
+ * @returns {{ dayOfWeek: number, minute: number }}
+ */
+const localTime = (date) => {
+  const { dayOfWeek, minute } = wallClock(date);
+  return { dayOfWeek, minute };
+};
+
+/**
+ * First instant of a local calendar day ("YYYY-MM-DD") in SHIFT_TIMEZONE.
+ * @throws {ShiftError} 400 for a malformed date
+ */
+const startOfLocalDay = (isoDate) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(isoDate || ""));
+  if (!match) throw new ShiftError("date must look like YYYY-MM-DD.");
+  const wanted = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+  // Shift the UTC midnight by the zone's offset; repeat once for offset changes that day
+  let guess = wanted;
+  for (let i = 0; i < 2; i += 1) {
+    const local = wallClock(new Date(guess));
+    const asUtc = Date.UTC(local.year, local.month - 1, local.day) + (local.minute * 60 + local.second) * 1000;
+    guess += wanted - asUtc;
+  }
+  return new Date(guess);
+};
+
+const shiftCovers = (shift, date) => {
+  if (shift.kind === "one-off") {
+    return shift.startsAt <= date && date < shift.endsAt;
+  }
+  const { dayOfWeek, minute } = localTime(date);
+  return shift.dayOfWeek === dayOfWeek && shift.startMinute <= minute && minute < shift.endMinute;
+};
+
+const isOnline = (driver, now = new Date()) =>
+  Boolean(driver.lastSeenAt) && now - driver.lastSeenAt <= heartbeatTimeoutMs();
+
+// documentsVerifiedUntil is only set while every required document is verified
+const documentsVerified = (driver, now = new Date()) =>
+  Boolean(driver.documentsVerifiedUntil) && driver.documentsVerifiedUntil > now;
+
+/**
+ * Availability of one driver from its stored state and shifts.
+ * @returns {{ available: boolean, online: boolean, onShift: boolean, override: string|null, documentsVerified: boolean }}
+ */
+const computeAvailability = (driver, shifts, now = new Date()) => {
+  const online = isOnline(driver, now);
+  const onShift = shifts.some((shift) => shiftCovers(shift, now));
+  const override = driver.availabilityOverride || null;
+  const scheduled = override ? override === "available" : onShift;
+  const verified = documentsVerified(driver, now);
+  return {
+    available: !driver.suspended && verified && online && scheduled,
+    online,
+    onShift,
+    override,
+    documentsVerified: verified,
+  };
+};
+
+// Stores the computed flag when it changed; returns the computed state
+const refreshAvailability = async (driver, now = new Date()) => {
+  const shifts = await DriverShift.find({ driverId: driver._id });
+  const state = computeAvailability(driver, shifts, now);
+  if (driver.isAvailable !== state.available) {
+    await DeliveryPersonnel.updateOne({ _id: driver._id }, { $set: { isAvailable: state.available } });
+    driver.isAvailable = state.available;
+  }
+  return state;
+};
+
+/**
+ * Driver app reported in (location update or plain heartbeat).
+ * @param {object} [location] GeoJSON Point to store as currentLocation
+ * @returns {Promise<{ driver: object, state: object }|null>} null when the driver is gone
+ */
+const recordHeartbeat = async (driverId, location, now = new Date()) => {
+  const update = { lastSeenAt: now };
+  if (location) update.currentLocation = location;
+  const driver = await DeliveryPersonnel.findByIdAndUpdate(driverId, { $set: update }, { new: true });
+  if (!driver) return null;
+  return { driver, state: await refreshAvailability(driver, now) };
+};
+
+/**
+ * Sets or clears (null) the manual override.
+ * @throws {ShiftError} 400 for an unknown value
+ */
+const setOverride = async (driverId, override, now = new Date()) => {
+  if (override !== null && !OVERRIDES.includes(override)) {
+    throw new ShiftError("override must be available, unavailable or null.");
+  }
+  const driver = await DeliveryPersonnel.findByIdAndUpdate(
+    driverId,
+    { $set: { availabilityOverride: override } },
+    { new: true }
+  );
+  if (!driver) return null;
+  return { driver, state: await refreshAvailability(driver, now) };
+};
+
+/**
+ * Recomputes every driver that is marked available or has reported in
+ * recently; everyone else is already unavailable.
+ * @returns {Promise<number>} drivers whose flag changed
+ */
+const sweepAvailability = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - heartbeatTimeoutMs());
+  const drivers = await DeliveryPersonnel.find({
+    $or: [{ isAvailable: true }, { lastSeenAt: { $gte: cutoff } }],
+  }).select("isAvailable availabilityOverride lastSeenAt suspended documentsVerifiedUntil");
+  if (!drivers.length) return 0;
+
+  const shifts = await DriverShift.find({ driverId: { $in: drivers.map((driver) => driver._id) } });
+  const shiftsByDriver = new Map();
+  shifts.forEach((shift) => {
+    const key = String(shift.driverId);
+    shiftsByDriver.set(key, [...(shiftsByDriver.get(key) || []), shift]);
+  });
+
+  const changes = drivers
+    .map((driver) => ({
+      driver,
+      available: computeAvailability(driver, shiftsByDriver.get(String(driver._id)) || [], now).available,
+    }))
+    .filter(({ driver, available }) => driver.isAvailable !== available)
+    .map(({ driver, available }) => ({
+      updateOne: { filter: { _id: driver._id }, update: { $set: { isAvailable: available } } },
+    }));
+  if (changes.length) {
+    await DeliveryPersonnel.bulkWrite(changes);
+  }
+  return changes.length;
+};
+
+// Runs the sweep every DRIVER_AVAILABILITY_SWEEP_SECONDS; never keeps the process alive
+const startAvailabilitySweep = () => {
+  const timer = setInterval(() => {
+    sweepAvailability().catch((err) => console.error("❌ Driver availability sweep failed:", err.message));
+  }, sweepIntervalMs());
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Validates a shift from a request body.
+ * weekly: { kind, dayOfWeek, start: "HH:MM", end: "HH:MM" } (end "24:00" allowed)
+ * one-off: { kind, startsAt, endsAt } (ISO timestamps, at most 24 hours)
+ * @throws {ShiftError} 400
+ */
+const parseShift = (body = {}, now = new Date()) => {
+  if (body.kind === "weekly") {
+    const dayOfWeek = Number(body.dayOfWeek);
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      throw new ShiftError("dayOfWeek must be 0 (Sunday) to 6 (Saturday).");
+    }
+    const toMinute = (value) => {
+      const match = /^(\d{2}):(\d{2})$/.exec(String(value || ""));
+      const minute = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+      return match && Number(match[2]) < 60 && minute <= MINUTES_PER_DAY ? minute : NaN;
+    };
+    const startMinute = toMinute(body.start);
+    const endMinute = toMinute(body.end);
+    if (Number.isNaN(startMinute) || Number.isNaN(endMinute)) {
+      throw new ShiftError("start and end must look like HH:MM.");
+    }
+    if (endMinute <= startMinute) {
+      throw new ShiftError("end must be after start; split overnight shifts at midnight.");
+    }
+    return { kind: "weekly", dayOfWeek, startMinute, endMinute };
+  }
+
+  if (body.kind === "one-off") {
+    const startsAt = new Date(body.startsAt);
+    const endsAt = new Date(body.endsAt);
+    if (Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime())) {
+      throw new ShiftError("startsAt and endsAt must be dates.");
+    }
+    if (endsAt <= startsAt || endsAt - startsAt > MAX_ONE_OFF_MS) {
+      throw new ShiftError("A one-off shift must end after it starts and last at most 24 hours.");
+    }
+    if (endsAt <= now) {
+      throw new ShiftError("A one-off shift must end in the future.");
+    }
+    return { kind: "one-off", startsAt, endsAt };
+  }
+
+  throw new ShiftError("kind must be weekly or one-off.");
+};
+
+const overlaps = (a, b) => {
+  if (a.kind !== b.kind) return false;
+  if (a.kind === "weekly") {
+    return a.dayOfWeek === b.dayOfWeek && a.startMinute < b.endMinute && b.startMinute < a.endMinute;
+  }
+  return a.startsAt < b.endsAt && b.startsAt < a.endsAt;
+};
+
+/**
+ * Publishes a shift for a driver.
+ * @throws {ShiftError} 400 invalid, 409 overlapping one of the driver's shifts of the same kind
+ */
+const createShift = async (driver, body, now = new Date()) => {
+  const shift = parseShift(body, now);
+  const existing = await DriverShift.find({ driverId: driver._id, kind: shift.kind });
+  if (existing.some((other) => overlaps(shift, other))) {
+    throw new ShiftError("This shift overlaps one you already published.", 409);
+  }
+  const created = await DriverShift.create({ driverId: driver._id, ...shift });
+  await refreshAvailability(driver, now);
+  return created;
+};
+
+/**
+ * Weekly shifts plus one-off shifts that have not ended yet.
+ */
+const listShifts = (driverId, now = new Date()) =>
+  DriverShift.find({
+    driverId,
+    $or: [{ kind: "weekly" }, { kind: "one-off", endsAt: { $gt: now } }],
+  }).sort({ kind: 1, dayOfWeek: 1, startMinute: 1, startsAt: 1 });
+
+/**
+ * @throws {ShiftError} 404 when the driver has no such shift
+ */
+const deleteShift = async (driver, shiftId, now = new Date()) => {
+  const shift = mongoose.isValidObjectId(shiftId)
+    ? await DriverShift.findOneAndDelete({ _id: shiftId, driverId: driver._id })
+    : null;
+  if (!shift) throw new ShiftError("Shift not found.", 404);
+  await refreshAvailability(driver, now);
+  return shift;
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+const toClock = (minute) => `${pad(Math.floor(minute / 60))}:${pad(minute % 60)}`;
+
+const formatShift = (shift) =>
+  shift.kind === "weekly"
+    ? {
+      id: String(shift._id),
+      kind: "weekly",
+      dayOfWeek: shift.dayOfWeek,
+      start: toClock(shift.startMinute),
+      end: toClock(shift.endMinute),
+    }
+    : {
+      id: String(shift._id),
+      kind: "one-off",
+      startsAt: shift.startsAt,
+      endsAt: shift.endsAt,
+    };
+
+/**
+ * Drivers scheduled in each hour of a local day. A driver counts for an hour
+ * when any of their shifts overlaps it; suspended drivers are left out.
+ * @param {string} isoDate "YYYY-MM-DD" in SHIFT_TIMEZONE
+ * @param {{ vehicleType?: string }} [filters]
+ */
+const buildRoster = async (isoDate, { vehicleType } = {}) => {
+  const dayStart = startOfLocalDay(isoDate);
+  const dayEnd = new Date(dayStart.getTime() + MINUTES_PER_DAY * 60 * 1000);
+  const { dayOfWeek } = localTime(new Date(dayStart.getTime() + 12 * 60 * 60 * 1000));
+
+  const shifts = await DriverShift.find({
+    $or: [
+      { kind: "weekly", dayOfWeek },
+      { kind: "one-off", startsAt: { $lt: dayEnd }, endsAt: { $gt: dayStart } },
+    ],
+  });
+
+  const driverFilter = {
+    _id: { $in: [...new Set(shifts.map((shift) => String(shift.driverId)))] },
+    suspended: { $ne: true },
+  };
+  if (vehicleType) driverFilter.vehicleType = vehicleType;
+  const drivers = await DeliveryPersonnel.find(driverFilter).select("firstName lastName vehicleType isAvailable");
+  const known = new Set(drivers.map((driver) => String(driver._id)));
+
+  // Minutes of the local day each shift covers
+  const spans = shifts
+    .filter((shift) => known.has(String(shift.driverId)))
+    .map((shift) => ({
+      driverId: String(shift.driverId),
+      from: shift.kind === "weekly" ? shift.startMinute : Math.max(0, (shift.startsAt - dayStart) / 60000),
+      to: shift.kind === "weekly" ? shift.endMinute : Math.min(MINUTES_PER_DAY, (shift.endsAt - dayStart) / 60000),
+    }));
+
+  const hours = Array.from({ length: 24 }, (_, hour) => {
+    const driverIds = [
+      ...new Set(
+        spans
+          .filter(({ from, to }) => from < (hour + 1) * 60 && to > hour * 60)
+          .map(({ driverId }) => driverId)
+      ),
+    ];
+    return { hour, scheduled: driverIds.length, driverIds };
+  });
+
+  return {
+    date: isoDate,
+    timezone: shiftTimezone(),
+    hours,
+    drivers: drivers.map((driver) => ({
+      id: String(driver._id),
+      name: `${driver.firstName} ${driver.lastName}`,
+      vehicleType: driver.vehicleType,
+      isAvailable: driver.isAvailable,
+    })),
+  };
+};
+
+module.exports = {
+  ShiftError,
+  localTime,
+  startOfLocalDay,
+  shiftCovers,
+  isOnline,
+  documentsVerified,
+  computeAvailability,
+  refreshAvailability,
+  recordHeartbeat,
+  setOverride,
+  sweepAvailability,
+  startAvailabilitySweep,
+  parseShift,
+  createShift,
+  listShifts,
+  deleteShift,
+  formatShift,
+  buildRoster,
+};
@@ -0,0 +1,353 @@
+// backend/auth-service/utils/driverDocuments.js
+//
+// Proof documents drivers upload: driver's license, national ID and vehicle
+// registration. Each one is pending until an admin verifies or rejects it and
+// stops counting once it expires. A new upload replaces the previous document
+// of that type and waits for review again. While every required document is
+// verified, documentsVerifiedUntil holds the earliest of their expiry dates;
+// driverAvailability and driverSearch only consider drivers before that date.
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const DeliveryPersonnel = require("../models/DeliveryPersonnel");
+const driverDocumentSchema = require("../models/driverDocument");
+const { refreshAvailability, documentsVerified: isVerified } = require("./driverAvailability");
+const { sendEmailNotification } = require("./emailService");
+const { escapeHtml } = require("./html");
+
+const DOCUMENT_TYPES = driverDocumentSchema.path("type").enumValues;
+const REQUIRED_DOCUMENTS = DOCUMENT_TYPES;
+const QUEUE_STATUSES = ["pending", "verified", "rejected", "expiring", "expired"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Served type of a stored file, by the extension the upload filter accepted
+const MIME_TYPES = { ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png" };
+
+const LABELS = {
+  license: "driver's license",
+  "national-id": "national ID",
+  "vehicle-registration": "vehicle registration",
+};
+
+class DriverDocumentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "DriverDocumentError";
+    this.statusCode = statusCode;
+  }
+}
+
+const documentsDir = () => process.env.DRIVER_DOCUMENTS_DIR || path.join(process.cwd(), "driver-documents");
+
+// Best effort: a leftover file is harmless, a failed request because of one is not
+const removeFile = (file) =>
+  fs.promises.unlink(path.join(documentsDir(), path.basename(file))).catch(() => {});
+
+const requireType = (type) => {
+  if (!DOCUMENT_TYPES.includes(type)) {
+    throw new DriverDocumentError(`Document type must be one of: ${DOCUMENT_TYPES.join(", ")}.`);
+  }
+  return type;
+};
+
+const parseExpiry = (value, now) => {
+  const expiresAt = new Date(value);
+  if (value === undefined || value === null || value === "" || Number.isNaN(expiresAt.getTime())) {
+    throw new DriverDocumentError("expiresAt must be the expiry date printed on the document.");
+  }
+  if (expiresAt <= now) {
+    throw new DriverDocumentError("This document has already expired.");
+  }
+  return expiresAt;
+};
+
+const parseNote = (note, required) => {
+  const text = typeof note === "string" ? note.trim() : "";
+  if (!text && required) {
+    throw new DriverDocumentError("A rejection reason is required.");
+  }
+  if (text.length > 1000) {
+    throw new DriverDocumentError("The note must be at most 1000 characters.");
+  }
+  return text || undefined;
+};
+
+/**
+ * What a document currently counts as; verified and pending documents past
+ * their expiry date are "expired".
+ */
+const statusOf = (document, now = new Date()) =>
+  document.status !== "rejected" && document.expiresAt <= now ? "expired" : document.status;
+
+/**
+ * Earliest expiry among the required documents when all of them are
+ * verified, null otherwise. Expiry itself is compared at read time.
+ */
+const verifiedUntil = (driver) => {
+  const verified = REQUIRED_DOCUMENTS.map((type) =>
+    (driver.documents || []).find((document) => document.type === type && document.status === "verified")
+  );
+  if (verified.some((document) => !document)) return null;
+  return new Date(Math.min(...verified.map((document) => document.expiresAt.getTime())));
+};
+
+const formatDocument = (document, now = new Date()) => ({
+  type: document.type,
+  status: statusOf(document, now),
+  expiresAt: document.expiresAt,
+  uploadedAt: document.uploadedAt,
+  reviewedAt: document.reviewedAt || null,
+  note: document.note || null,
+  originalName: document.originalName,
+  mimeType: document.mimeType,
+  size: document.size,
+});
+
+/**
+ * The driver's documents and what is still missing before dispatch sees them.
+ */
+const formatVerification = (driver, now = new Date()) => {
+  const documents = driver.documents || [];
+  return {
+    verified: isVerified(driver, now),
+    verifiedUntil: driver.documentsVerifiedUntil || null,
+    missing: REQUIRED_DOCUMENTS.filter((type) =>
+      !documents.some((document) => document.type === type && statusOf(document, now) === "verified")
+    ),
+    documents: documents.map((document) => formatDocument(document, now)),
+  };
+};
+
+// The decision is already saved, so a mail failure is only logged
+const notify = async (driver, subject, lines) => {
+  try {
+    await sendEmailNotification(
+      driver.email,
+      subject,
+      [`Hi ${driver.firstName},`, ...lines].map((line) => `<p>${escapeHtml(line)}</p>`).join("\n"),
+      [`Hi ${driver.firstName},`, ...lines].join("\n\n")
+    );
+  } catch (err) {
+    console.error("❌ Could not send driver document email:", err.message);
+  }
+};
+
+// Store the derived expiry and let availability follow it
+const saveDriver = async (driver, now) => {
+  driver.documentsVerifiedUntil = verifiedUntil(driver);
+  await driver.save();
+  await refreshAvailability(driver, now);
+};
+
+/**
+ * Store an uploaded file as the driver's document of `type`, pending review.
+ * The uploaded file is removed again when the request is refused.
+ * @param {object} file multer's req.file
+ * @returns {Promise<{ document: object, replaced: boolean }>}
+ * @throws {DriverDocumentError} 400 for a missing file, unknown type or bad expiry
+ */
+const submitDocument = async (driver, type, file, { expiresAt } = {}, now = new Date()) => {
+  if (!file) {
+    throw new DriverDocumentError('Attach the document image as the "file" field.');
+  }
+
+  let document;
+  try {
+    const mimeType = MIME_TYPES[path.extname(file.filename).toLowerCase()];
+    if (!mimeType) {
+      throw new DriverDocumentError("Only .jpg, .jpeg, .png files are allowed!");
+    }
+    document = {
+      type: requireType(type),
+      file: file.filename,
+      originalName: file.originalname,
+      mimeType,
+      size: file.size,
+      status: "pending",
+      expiresAt: parseExpiry(expiresAt, now),
+      uploadedAt: now,
+    };
+  } catch (err) {
+    await removeFile(file.filename);
+    throw err;
+  }
+
+  const index = driver.documents.findIndex((existing) => existing.type === type);
+  const previousFile = index === -1 ? null : driver.documents[index].file;
+  if (previousFile) {
+    driver.documents.splice(index, 1, document);
+  } else {
+    driver.documents.push(document);
+  }
+  await saveDriver(driver, now);
+
+  if (previousFile) await removeFile(previousFile);
+  return { document: driver.documents.find((existing) => existing.type === type), replaced: Boolean(previousFile) };
+};
+
+const findDriver = async (id) => {
+  const driver = mongoose.isValidObjectId(id) ? await DeliveryPersonnel.findById(id) : null;
+  if (!driver) {
+    throw new DriverDocumentError("Delivery personnel not found.", 404);
+  }
+  return driver;
+};
+
+const findDocument = (driver, type) => {
+  requireType(type);
+  const document = driver.documents.find((existing) => existing.type === type);
+  if (!document) {
+    throw new DriverDocumentError(`This driver has not uploaded a ${LABELS[type]}.`, 404);
+  }
+  return document;
+};
+
+// Which documents a queue status lists, as an $elemMatch condition
+const queueCondition = (status, now, expiringWithinDays) => {
+  switch (status) {
+    case "pending":
+      return { status: "pending", expiresAt: { $gt: now } };
+    case "verified":
+      return { status: "verified", expiresAt: { $gt: now } };
+    case "rejected":
+      return { status: "rejected" };
+    case "expiring":
+      return { status: "verified", expiresAt: { $gt: now, $lte: new Date(now.getTime() + expiringWithinDays * DAY_MS) } };
+    default:
+      return { status: { $in: ["pending", "verified"] }, expiresAt: { $lte: now } };
+  }
+};
+
+/**
+ * Review queue: one entry per matching document, pending ones oldest upload
+ * first, the rest soonest expiry first.
+ * @param {{ status?: string, days?: number|string }} [filters] status defaults to pending;
+ *   days is the window for "expiring" (default 30)
+ * @throws {DriverDocumentError} 400 for an unknown status or window
+ */
+const listQueue = async ({ status = "pending", days } = {}, now = new Date()) => {
+  if (!QUEUE_STATUSES.includes(status)) {
+    throw new DriverDocumentError(`status must be one of: ${QUEUE_STATUSES.join(", ")}.`);
+  }
+  const expiringWithinDays = days === undefined || days === "" ? 30 : Number(days);
+  if (!Number.isInteger(expiringWithinDays) || expiringWithinDays < 1 || expiringWithinDays > 365) {
+    throw new DriverDocumentError("days must be a whole number between 1 and 365.");
+  }
+
+  const drivers = await DeliveryPersonnel.find({
+    documents: { $elemMatch: queueCondition(status, now, expiringWithinDays) },
+  })
+    .select("firstName lastName email phone vehicleType licenseNumber suspended documents documentsVerifiedUntil");
+
+  // The query only says one of a driver's documents matches
+  const horizon = new Date(now.getTime() + expiringWithinDays * DAY_MS);
+  const matches = (document) =>
+    status === "expiring"
+      ? statusOf(document, now) === "verified" && document.expiresAt <= horizon
+      : statusOf(document, now) === status;
+
+  const entries = drivers.flatMap((driver) =>
+    driver.documents.filter(matches).map((document) => ({ driver, document }))
+  );
+  entries.sort((a, b) =>
+    status === "pending" ? a.document.uploadedAt - b.document.uploadedAt : a.document.expiresAt - b.document.expiresAt
+  );
+
+  return entries.map(({ driver, document }) => ({
+    driver: {
+      id: String(driver._id),
+      firstName: driver.firstName,
+      lastName: driver.lastName,
+      email: driver.email,
+      phone: driver.phone,
+      vehicleType: driver.vehicleType,
+      licenseNumber: driver.licenseNumber,
+      suspended: Boolean(driver.suspended),
+      documentsVerified: isVerified(driver, now),
+    },
+    document: formatDocument(document, now),
+  }));
+};
+
+/**
+ * Verify or reject one of a driver's documents and tell the driver.
+ * Verifying needs a pending, unexpired document and may correct its expiry;
+ * rejecting (also of a verified document) needs a reason.
+ * @param {{ decision: "verify"|"reject", expiresAt?, note? }} review
+ * @returns {Promise<{ driver, document, before: string }>}
+ * @throws {DriverDocumentError} 400 invalid input, 404 unknown driver or document, 409 wrong status
+ */
+const reviewDocument = async (driverId, type, by, { decision, expiresAt, note } = {}, now = new Date()) => {
+  if (decision !== "verify" && decision !== "reject") {
+    throw new DriverDocumentError("decision must be verify or reject.");
+  }
+  const text = parseNote(note, decision === "reject");
+  const driver = await findDriver(driverId);
+  const document = findDocument(driver, type);
+  const before = statusOf(document, now);
+
+  if (decision === "verify") {
+    if (document.status !== "pending") {
+      throw new DriverDocumentError(`Only pending documents can be verified; this one is ${before}.`, 409);
+    }
+    document.expiresAt = expiresAt === undefined ? document.expiresAt : parseExpiry(expiresAt, now);
+    if (document.expiresAt <= now) {
+      throw new DriverDocumentError("This document has expired; ask the driver for a current one.", 409);
+    }
+    document.status = "verified";
+  } else {
+    if (document.status === "rejected") {
+      throw new DriverDocumentError("This document is already rejected.", 409);
+    }
+    document.status = "rejected";
+  }
+  document.reviewedBy = by;
+  document.reviewedAt = now;
+  document.note = text;
+  await saveDriver(driver, now);
+
+  const label = LABELS[document.type];
+  if (decision === "reject") {
+    await notify(driver, `Your ${label} was not accepted`, [
+      `We could not accept the ${label} you uploaded.`,
+      `Reason: ${text}`,
+      "Please upload a new photo of it from the driver app. You will not receive deliveries until it is verified.",
+    ]);
+  } else if (isVerified(driver, now)) {
+    await notify(driver, "Your driver documents are verified", [
+      `Your ${label} has been verified, and all your documents are now in order.`,
+      "You can receive deliveries whenever you are on shift.",
+    ]);
+  }
+
+  return { driver, document, before };
+};
+
+/**
+ * Where a driver's document file is stored, for reviewers.
+ * @throws {DriverDocumentError} 404
+ */
+const documentFile = async (driverId, type) => {
+  const document = findDocument(await findDriver(driverId), type);
+  return {
+    path: path.join(documentsDir(), path.basename(document.file)),
+    mimeType: document.mimeType,
+  };
+};
+
+module.exports = {
+  DriverDocumentError,
+  DOCUMENT_TYPES,
+  REQUIRED_DOCUMENTS,
+  QUEUE_STATUSES,
+  documentsDir,
+  removeFile,
+  statusOf,
+  verifiedUntil,
+  formatDocument,
+  formatVerification,
+  submitDocument,
+  listQueue,
+  reviewDocument,
+  documentFile,
+};
@@ -0,0 +1,130 @@
+// backend/auth-service/utils/driverSearch.js
+//
+// Candidate drivers for dispatch: available, not suspended, with verified and
+// unexpired documents, within a radius of a point, closest first. Backed by the
+// 2dsphere index on currentLocation.
+const DeliveryPersonnel = require("../models/DeliveryPersonnel");
+
+const VEHICLE_TYPES = DeliveryPersonnel.schema.path("vehicleType").enumValues;
+
+const DEFAULT_RADIUS_METERS = 5000;
+const MAX_RADIUS_METERS = 50000;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+class DriverSearchError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "DriverSearchError";
+    this.statusCode = statusCode;
+  }
+}
+
+const toNumber = (value) => (value === undefined || value === "" ? undefined : Number(value));
+
+/**
+ * Validates query-string style input.
+ * @param {object} query lng, lat, radius (meters), vehicleType ("car" or "bike,scooter"), minRating, limit
+ * @returns {{ longitude: number, latitude: number, radiusMeters: number, vehicleTypes: string[], minRating?: number, limit: number }}
+ * @throws {DriverSearchError} 400 for missing or out-of-range values
+ */
+const parseSearch = (query = {}) => {
+  const longitude = toNumber(query.lng);
+  const latitude = toNumber(query.lat);
+  if (!Number.isFinite(longitude) || !Number.isFinite(latitude)) {
+    throw new DriverSearchError("lng and lat are required numbers.");
+  }
+  if (longitude < -180 || longitude > 180 || latitude < -90 || latitude > 90) {
+    throw new DriverSearchError("lng must be within ±180 and lat within ±90.");
+  }
+
+  const radiusMeters = toNumber(query.radius) ?? DEFAULT_RADIUS_METERS;
+  if (!Number.isFinite(radiusMeters) || radiusMeters <= 0 || radiusMeters > MAX_RADIUS_METERS) {
+    throw new DriverSearchError(`radius must be between 1 and ${MAX_RADIUS_METERS} meters.`);
+  }
+
+  const vehicleTypes = query.vehicleType
+    ? String(query.vehicleType).split(",").map((type) => type.trim()).filter(Boolean)
+    : [];
+  const unknown = vehicleTypes.filter((type) => !VEHICLE_TYPES.includes(type));
+  if (unknown.length) {
+    throw new DriverSearchError(`vehicleType must be one of: ${VEHICLE_TYPES.join(", ")}.`);
+  }
+
+  const minRating = toNumber(query.minRating);
+  if (minRating !== undefined && (!Number.isFinite(minRating) || minRating < 1 || minRating > 5)) {
+    throw new DriverSearchError("minRating must be between 1 and 5.");
+  }
+
+  const limit = toNumber(query.limit) ?? DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new DriverSearchError(`limit must be a whole number between 1 and ${MAX_LIMIT}.`);
+  }
+
+  return { longitude, latitude, radiusMeters, vehicleTypes, minRating, limit };
+};
+
+// Who counts as available for a new delivery. isAvailable lags behind a
+// document expiry until the next sweep, so the expiry is checked here too.
+const availabilityFilter = (now = new Date()) => ({
+  isAvailable: true,
+  suspended: { $ne: true },
+  documentsVerifiedUntil: { $gt: now },
+});
+
+/**
+ * Available drivers near a point, closest first, each with `distanceMeters`.
+ * @param {ReturnType<typeof parseSearch>} search
+ */
+const findNearbyDrivers = ({ longitude, latitude, radiusMeters, vehicleTypes = [], minRating, limit }) => {
+  const query = availabilityFilter();
+  if (vehicleTypes.length) query.vehicleType = { $in: vehicleTypes };
+  if (minRating !== undefined) query.rating = { $gte: minRating };
+
+  return DeliveryPersonnel.aggregate([
+    {
+      $geoNear: {
+        near: { type: "Point", coordinates: [longitude, latitude] },
+        key: "currentLocation",
+        distanceField: "distanceMeters",
+        maxDistance: radiusMeters,
+        spherical: true,
+        query,
+      },
+    },
+    { $limit: limit },
+    {
+      $project: {
+        firstName: 1,
+        lastName: 1,
+        phone: 1,
+        vehicleType: 1,
+        rating: 1,
+        totalDeliveries: 1,
+        currentLocation: 1,
+        distanceMeters: 1,
+      },
+    },
+  ]);
+};
+
+const formatDriver = (driver) => ({
+  id: String(driver._id),
+  firstName: driver.firstName,
+  lastName: driver.lastName,
+  phone: driver.phone,
+  vehicleType: driver.vehicleType,
+  rating: driver.rating,
+  totalDeliveries: driver.totalDeliveries,
+  location: driver.currentLocation,
+  distanceMeters: Math.round(driver.distanceMeters),
+});
+
+module.exports = {
+  DriverSearchError,
+  VEHICLE_TYPES,
+  parseSearch,
+  availabilityFilter,
+  findNearbyDrivers,
+  formatDriver,
+};
@@ -0,0 +1,90 @@
+// backend/auth-service/utils/emailService.js
+//
+// Account emails (reset, verification and email-change links) through
+// MAIL_TRANSPORT: "resend" (default) with the same RESEND_API_KEY as
+// payment-service, "console" and "file" only when a local run asks for them,
+// since both leave live account links readable.
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+const FROM = process.env.MAIL_FROM || "SkyDish <onboarding@resend.dev>";
+
+// Built-in transports. Each one receives { from, to, subject, html, text }.
+const transports = {
+  // Local runs: print the message so links can be copied from the logs
+  console: async (message) => {
+    console.log(`📧 [mail] To: ${message.to} | Subject: ${message.subject}`);
+    console.log(message.text || message.html);
+    return { id: `console-${Date.now()}` };
+  },
+
+  // Local runs / tests: drop each message as a JSON file in MAIL_OUTBOX_DIR
+  file: async (message) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "mail-outbox");
+    fs.mkdirSync(dir, { recursive: true });
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    fs.writeFileSync(
+      path.join(dir, `${id}.json`),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+    return { id };
+  },
+
+  // Production: same provider as payment-service
+  resend: async (message) => {
+    const { Resend } = require("resend");
+    const resend = new Resend(process.env.RESEND_API_KEY);
+    // The SDK resolves { data, error } instead of throwing on API errors
+    const { data, error } = await resend.emails.send({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+    });
+    if (error) throw new Error(`Resend rejected the message: ${error.message}`);
+    return data;
+  },
+};
+
+let customTransport = null;
+
+/**
+ * Overrides the mail transport (e.g. in tests). Pass null to go back to MAIL_TRANSPORT.
+ *
+ * @param {Function|null} transport - async (message) => result
+ */
+const setTransport = (transport) => {
+  customTransport = transport;
+};
+
+const getTransport = () => {
+  if (customTransport) return customTransport;
+  const name = process.env.MAIL_TRANSPORT || "resend";
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  return transport;
+};
+
+/**
+ * Sends an email notification through the configured transport.
+ *
+ * @param {string} to - The recipient email address.
+ * @param {string} subject - The subject of the email.
+ * @param {string} html - The HTML content of the email.
+ * @param {string} text - The plain text content of the email.
+ * @returns {Promise<object>} - The response from the transport.
+ */
+const sendEmailNotification = async (to, subject, html, text) => {
+  try {
+    const data = await getTransport()({ from: FROM, to, subject, html, text });
+    console.log(`Email sent to ${to}: ${data?.id || "No ID returned"}`);
+    return data;
+  } catch (error) {
+    console.error("❌ Error sending email:", error.message);
+    throw error;
+  }
+};
+
+module.exports = { sendEmailNotification, setTransport, transports };
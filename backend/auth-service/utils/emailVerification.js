@@ -0,0 +1,30 @@
+// backend/auth-service/utils/emailVerification.js
+const { generateToken } = require("./oneTimeTokens");
+const { sendEmailNotification } = require("./emailService");
+const { escapeHtml } = require("./html");
+
+const verificationTtlMinutes = () =>
+  Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 24) * 60;
+
+// Issue a fresh verification token for `user` and email the confirmation link.
+// Any previous link stops working because only the latest hash is stored.
+const sendVerificationEmail = async (user, role) => {
+  const { token, hash, expiresAt } = generateToken(verificationTtlMinutes());
+  user.emailVerificationToken = hash;
+  user.emailVerificationExpires = expiresAt;
+  await user.save({ validateBeforeSave: false });
+
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+  const link = `${frontendUrl}/auth/verify-email?token=${token}&role=${encodeURIComponent(role)}`;
+
+  await sendEmailNotification(
+    user.email,
+    "Confirm your SkyDish email address",
+    `<p>Hi ${escapeHtml(user.firstName)},</p>
+     <p>Please confirm your email address to finish setting up your account.</p>
+     <p><a href="${link}">Verify my email</a></p>`,
+    `Hi ${user.firstName}, confirm your SkyDish email address: ${link}`
+  );
+};
+
+module.exports = { sendVerificationEmail };
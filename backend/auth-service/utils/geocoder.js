@@ -0,0 +1,70 @@
+// backend/auth-service/utils/geocoder.js
+//
+// Turns a structured address into [longitude, latitude]. Providers are picked
+// with GEOCODER: "none" (default, coordinates must come from the client) or
+// "nominatim" (OpenStreetMap search API, or a self-hosted one via GEOCODER_URL).
+
+// Address fields in most-specific-first order, as a one-line query
+const toQuery = (address) =>
+  [address.line1, address.line2, address.ward, address.district, address.city, address.postalCode, address.country]
+    .filter(Boolean)
+    .join(", ");
+
+const providers = {
+  none: async () => null,
+
+  nominatim: async (address) => {
+    const url = new URL(process.env.GEOCODER_URL || "https://nominatim.openstreetmap.org/search");
+    url.searchParams.set("q", toQuery(address));
+    url.searchParams.set("format", "json");
+    url.searchParams.set("limit", "1");
+
+    // Nominatim's usage policy requires an identifying User-Agent
+    const response = await fetch(url, {
+      headers: { "User-Agent": process.env.GEOCODER_USER_AGENT || "SkyDish auth-service" },
+    });
+    if (!response.ok) {
+      throw new Error(`Geocoder responded with status ${response.status}`);
+    }
+    const [match] = await response.json();
+    return match ? [Number(match.lon), Number(match.lat)] : null;
+  },
+};
+
+let customProvider = null;
+
+/**
+ * Overrides the geocoder (e.g. in tests). Pass null to go back to GEOCODER.
+ *
+ * @param {Function|null} provider - async (address) => [lng, lat] | null
+ */
+const setGeocoder = (provider) => {
+  customProvider = provider;
+};
+
+const getProvider = () => {
+  if (customProvider) return customProvider;
+  const name = process.env.GEOCODER || "none";
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown GEOCODER "${name}"`);
+  return provider;
+};
+
+/**
+ * Geocodes an address. Lookup failures are logged and reported as null so an
+ * address can still be saved without coordinates.
+ *
+ * @param {object} address - line1, ward, district, city, ... fields
+ * @returns {Promise<number[]|null>} [lng, lat] or null
+ */
+const geocodeAddress = async (address) => {
+  const provider = getProvider();
+  try {
+    return await provider(address);
+  } catch (error) {
+    console.error("❌ Geocoding failed:", error.message);
+    return null;
+  }
+};
+
+module.exports = { geocodeAddress, setGeocoder, providers, toQuery };
@@ -0,0 +1,7 @@
+// backend/auth-service/utils/html.js
+
+// Escape text (names, addresses, reviewer notes) before it goes into an HTML email
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+module.exports = { escapeHtml };
@@ -0,0 +1,172 @@
+// backend/auth-service/utils/identityResolver.js
+//
+// Finds the account behind an email/password pair across every identity
+// collection on the platform, in a fixed priority order. An optional role
+// narrows the search when the same email exists in several collections.
+// Restaurant owners and super admins that restaurant-service still stores are
+// checked through its internal API, so their password hashes never leave it.
+const mongoose = require("mongoose");
+const Customer = require("../models/Customer");
+const Admin = require("../models/Admin");
+const DeliveryPersonnel = require("../models/DeliveryPersonnel");
+const RestaurantAdmin = require("../models/RestaurantAdmin");
+const { effectivePermissions } = require("./permissions");
+const {
+  RestaurantServiceError,
+  verifyRestaurantAccount,
+  lookupRestaurantAccount,
+} = require("./restaurantService");
+
+class IdentityError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = "IdentityError";
+    this.statusCode = statusCode;
+  }
+}
+
+const nameOf = (doc) =>
+  doc.firstName ? `${doc.firstName} ${doc.lastName}`.trim() : doc.name || doc.ownerName;
+
+// Auth-service models: the document, if its stored hash matches
+const checkPassword = (Model) => async (email, password) => {
+  const doc = await Model.findOne({ email }).select("+password");
+  return doc && (await doc.comparePassword(password)) ? doc : null;
+};
+
+// restaurant-service answers with the account itself (id, role, email, name, suspended)
+const remoteAccount = (role) => ({
+  source: "restaurant-service",
+  roles: [role],
+  check: (email, password) => verifyRestaurantAccount({ email, password, role }),
+  findById: (id) => lookupRestaurantAccount(id, role),
+  toAccount: ({ id, restaurantId }) => (restaurantId ? { id, role, restaurantId } : { id, role }),
+});
+
+const sources = [
+  {
+    source: "auth",
+    roles: ["customer"],
+    check: checkPassword(Customer),
+    findById: (id) => Customer.findById(id),
+    toAccount: (doc) => ({ id: doc._id, role: "customer", emailVerified: doc.emailVerified }),
+  },
+  {
+    source: "auth",
+    roles: ["admin", "super-admin"],
+    check: checkPassword(Admin),
+    findById: (id) => Admin.findById(id),
+    toAccount: (doc) => ({
+      id: doc._id,
+      role: doc.role || "admin",
+      // Other services trust this claim, so super-admins carry the whole catalogue
+      permissions: effectivePermissions(doc),
+      emailVerified: doc.emailVerified,
+    }),
+  },
+  {
+    source: "auth",
+    roles: ["delivery"],
+    check: checkPassword(DeliveryPersonnel),
+    findById: (id) => DeliveryPersonnel.findById(id),
+    toAccount: (doc) => ({ id: doc._id, role: "delivery", emailVerified: doc.emailVerified }),
+  },
+  {
+    source: "auth",
+    roles: ["restaurant-admin"],
+    check: checkPassword(RestaurantAdmin),
+    findById: (id) => RestaurantAdmin.findById(id),
+    toAccount: (doc) => {
+      if (!doc.isApproved) {
+        throw new IdentityError("Account is pending approval by an administrator.", 403);
+      }
+      return {
+        id: doc._id,
+        role: "restaurant-admin",
+        restaurantId: doc.restaurantId,
+        emailVerified: doc.emailVerified,
+      };
+    },
+  },
+  remoteAccount("restaurant-admin"),
+  remoteAccount("super-admin"),
+];
+
+/**
+ * Resolve an email/password pair to a single account.
+ * @param {string} email
+ * @param {string} password
+ * @param {string} [role] restrict the search to one role
+ * @returns {Promise<{id, role, restaurantId?, permissions?, emailVerified?, source, email, name}>}
+ * @throws {IdentityError} 401 for bad credentials, 403 for suspended accounts or ones not allowed to log in yet,
+ *   503 when restaurant-service cannot check its accounts
+ */
+const resolveAccount = async (email, password, role) => {
+  // Auth-service schemas lowercase emails in queries; the other services store them as typed
+  const trimmedEmail = String(email).trim();
+  const candidates = role ? sources.filter((s) => s.roles.includes(role)) : sources;
+
+  for (const candidate of candidates) {
+    let doc;
+    try {
+      doc = await candidate.check(trimmedEmail, password);
+    } catch (err) {
+      if (!(err instanceof RestaurantServiceError)) throw err;
+      console.error("❌ Could not check restaurant-service credentials:", err.message);
+      throw new IdentityError("Sign-in is temporarily unavailable. Please try again later.", 503);
+    }
+    if (!doc) continue;
+    if (doc.suspended) {
+      throw new IdentityError("Your account has been suspended. Please contact support.", 403);
+    }
+
+    const account = candidate.toAccount(doc);
+    if (role && account.role !== role) continue;
+
+    return {
+      ...account,
+      source: candidate.source,
+      email: trimmedEmail,
+      name: nameOf(doc),
+    };
+  }
+
+  throw new IdentityError("Invalid email or password.");
+};
+
+/**
+ * Look up the account a token was issued for, by its sub and role claims.
+ * Pending restaurant admins are still returned; callers decide what that means.
+ * @param {string} id
+ * @param {string} role
+ * @returns {Promise<{id, role, restaurantId?, suspended, source, email, name} | null>}
+ */
+const findAccountById = async (id, role) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  for (const candidate of sources.filter((s) => s.roles.includes(role))) {
+    const doc = await candidate.findById(id);
+    if (!doc) continue;
+
+    let account;
+    try {
+      account = candidate.toAccount(doc);
+    } catch (err) {
+      if (!(err instanceof IdentityError)) throw err;
+      account = { id: doc._id, role, restaurantId: doc.restaurantId };
+    }
+    if (account.role !== role) continue;
+
+    return {
+      ...account,
+      suspended: Boolean(doc.suspended),
+      source: candidate.source,
+      email: doc.email,
+      name: nameOf(doc),
+    };
+  }
+
+  return null;
+};
+
+module.exports = { IdentityError, resolveAccount, findAccountById };
@@ -1,8 +1,18 @@
 const jwt = require('jsonwebtoken');
-exports.signToken = (payload) => 
-  jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
-  });
+const { getSigningKey, getVerificationKey } = require('./signingKeys');
 
-exports.verifyToken = (token) =>
-  jwt.verify(token, process.env.JWT_SECRET);
+// Access tokens are short-lived; long sessions are kept alive with refresh tokens.
+// The kid header tells verifiers which published key to check against.
+exports.signToken = (payload, expiresIn = process.env.JWT_EXPIRES_IN || '15m') => {
+  const { kid, alg, privateKey } = getSigningKey();
+  return jwt.sign(payload, privateKey, { algorithm: alg, keyid: kid, expiresIn });
+};
+
+exports.verifyToken = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  const key = getVerificationKey(decoded && decoded.header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('invalid signing key');
+  }
+  return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+};
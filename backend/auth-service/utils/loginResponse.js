@@ -0,0 +1,32 @@
+// backend/auth-service/utils/loginResponse.js
+const { buildClaims } = require("./claims");
+const { openSession } = require("./sessions");
+
+/**
+ * Body of a finished login: a standard-claim access token, a refresh token
+ * for accounts stored here, and the account summary. Used by /api/auth/token
+ * and by the two-factor steps that complete a login. Opens the session for `req`.
+ * @param {{id, role, restaurantId?, permissions?, emailVerified?, email, name, source}} account
+ */
+const buildLoginResponse = async (account, req) => {
+  const { token, refreshToken } = await openSession(account, buildClaims(account), req);
+
+  return {
+    status: "success",
+    token,
+    refreshToken,
+    data: {
+      account: {
+        id: account.id,
+        role: account.role,
+        restaurantId: account.restaurantId || null,
+        permissions: account.permissions ? [...account.permissions] : [],
+        email: account.email,
+        name: account.name,
+        source: account.source,
+      },
+    },
+  };
+};
+
+module.exports = { buildLoginResponse };
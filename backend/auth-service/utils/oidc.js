@@ -0,0 +1,448 @@
+// backend/auth-service/utils/oidc.js
+//
+// Customer social login through any OpenID Connect provider (Google, Facebook,
+// Keycloak, or the bundled mock-oidc for offline use). Providers are listed in
+// OIDC_PROVIDERS and each one is configured through OIDC_<ID>_ISSUER, _CLIENT_ID,
+// _CLIENT_SECRET, _LABEL and _SCOPES; its endpoints come from the issuer's
+// discovery document. The flow is the authorization code flow with PKCE, state
+// and nonce. A returning customer is found by provider identity, otherwise
+// linked to the account holding the same (provider-verified) email once that
+// account has verified it too, otherwise created.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Customer = require("../models/Customer");
+const OidcLogin = require("../models/OidcLogin");
+const { generateToken, hashToken } = require("./oneTimeTokens");
+const { findAccountById } = require("./identityResolver");
+const { recordAudit } = require("./audit");
+
+class OidcError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "OidcError";
+    this.statusCode = statusCode;
+  }
+}
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ["RS256", "ES256"];
+const CLOCK_TOLERANCE_SECONDS = 60;
+const EXCHANGE_CODE_MINUTES = 2;
+const MAX_RETURN_TO_LENGTH = 200;
+
+const loginMinutes = () => Number(process.env.OIDC_LOGIN_TTL_MINUTES) || 10;
+
+// "google" -> OIDC_GOOGLE, "my-idp" -> OIDC_MY_IDP
+const envPrefix = (id) => `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, "_")}`;
+
+const providerIds = () =>
+  (process.env.OIDC_PROVIDERS || "")
+    .split(",")
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean);
+
+const trimSlash = (url) => url && url.replace(/\/+$/, "");
+
+const isConfigured = (id) => {
+  const prefix = envPrefix(id);
+  return Boolean(process.env[`${prefix}_ISSUER`] && process.env[`${prefix}_CLIENT_ID`]);
+};
+
+/**
+ * Settings of one enabled provider.
+ * @throws {OidcError} 404 when the provider is not enabled, 503 when it lacks an issuer or client id
+ */
+const getProvider = (id) => {
+  if (!providerIds().includes(id)) {
+    throw new OidcError(`Unknown sign-in provider "${id}".`, 404);
+  }
+  if (!isConfigured(id)) {
+    throw new OidcError(`Sign-in provider "${id}" is not configured.`, 503);
+  }
+  const prefix = envPrefix(id);
+  const env = (name) => process.env[`${prefix}_${name}`];
+  return {
+    id,
+    issuer: trimSlash(env("ISSUER")),
+    clientId: env("CLIENT_ID"),
+    clientSecret: env("CLIENT_SECRET") || "",
+    label: env("LABEL") || id.charAt(0).toUpperCase() + id.slice(1),
+    scopes: env("SCOPES") || "openid email profile",
+    // Where this service reaches the issuer when the browser's URL does not
+    // resolve from here (e.g. localhost:5010 vs mock-oidc:5010 in Docker)
+    backchannelUrl: trimSlash(env("BACKCHANNEL_URL")),
+  };
+};
+
+// Enabled, fully configured providers for the login buttons
+const listProviders = () =>
+  providerIds()
+    .filter(isConfigured)
+    .map((id) => ({ id, label: getProvider(id).label }));
+
+const redirectUri = (provider) =>
+  `${trimSlash(process.env.OIDC_REDIRECT_BASE_URL) || "http://localhost:5001"}/api/auth/oidc/${provider.id}/callback`;
+
+// Server-to-server calls go through the back channel when one is set
+const serverUrl = (provider, url) =>
+  provider.backchannelUrl && url.startsWith(provider.issuer)
+    ? provider.backchannelUrl + url.slice(provider.issuer.length)
+    : url;
+
+const fetchJson = async (provider, url, options) => {
+  let response;
+  try {
+    response = await fetch(serverUrl(provider, url), options);
+  } catch (err) {
+    throw new OidcError(`${provider.label} could not be reached: ${err.message}`, 502);
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const reason = data.error_description || data.error || `status ${response.status}`;
+    throw new OidcError(`${provider.label} refused the request: ${reason}`, 502);
+  }
+  return data;
+};
+
+const discoveryCache = new Map(); // issuer -> { config, expiresAt }
+const keyCache = new Map();       // jwks_uri -> Map(kid -> KeyObject)
+
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && cached.expiresAt > Date.now()) return cached.config;
+
+  const config = await fetchJson(provider, `${provider.issuer}/.well-known/openid-configuration`);
+  if (trimSlash(config.issuer) !== provider.issuer) {
+    throw new OidcError(`${provider.label} announced issuer "${config.issuer}", expected "${provider.issuer}".`, 502);
+  }
+  for (const field of ["authorization_endpoint", "token_endpoint", "jwks_uri"]) {
+    if (!config[field]) {
+      throw new OidcError(`${provider.label} discovery document has no ${field}.`, 502);
+    }
+  }
+  discoveryCache.set(provider.issuer, { config, expiresAt: Date.now() + DISCOVERY_TTL_MS });
+  return config;
+};
+
+const loadKeys = async (provider, jwksUri) => {
+  const { keys = [] } = await fetchJson(provider, jwksUri);
+  const byKid = new Map();
+  for (const jwk of keys) {
+    if (jwk.use === "enc" || !["RSA", "EC"].includes(jwk.kty)) continue;
+    try {
+      byKid.set(jwk.kid || "", crypto.createPublicKey({ key: jwk, format: "jwk" }));
+    } catch (err) {
+      console.error(`❌ Ignoring unusable ${provider.label} signing key ${jwk.kid}:`, err.message);
+    }
+  }
+  keyCache.set(jwksUri, byKid);
+  return byKid;
+};
+
+// Providers rotate keys, so an unknown kid triggers one refetch
+const signingKey = async (provider, config, kid) => {
+  const find = (keys) => (kid ? keys.get(kid) : keys.size === 1 ? [...keys.values()][0] : undefined);
+  let key = keyCache.has(config.jwks_uri) ? find(keyCache.get(config.jwks_uri)) : undefined;
+  if (!key) key = find(await loadKeys(provider, config.jwks_uri));
+  if (!key) {
+    throw new OidcError(`${provider.label} signed the ID token with an unknown key.`, 401);
+  }
+  return key;
+};
+
+const verifyIdToken = async (provider, config, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || typeof decoded.payload !== "object") {
+    throw new OidcError(`${provider.label} returned an unreadable ID token.`, 401);
+  }
+
+  const key = await signingKey(provider, config, decoded.header.kid);
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      audience: provider.clientId,
+      issuer: config.issuer,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS,
+    });
+  } catch (err) {
+    throw new OidcError(`${provider.label} ID token rejected: ${err.message}`, 401);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new OidcError(`${provider.label} ID token was not issued for this sign-in.`, 401);
+  }
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+    throw new OidcError(`${provider.label} ID token was issued to another client.`, 401);
+  }
+  if (!claims.sub) {
+    throw new OidcError(`${provider.label} ID token has no subject.`, 401);
+  }
+  return claims;
+};
+
+// Some providers only put the email in the userinfo response
+const withUserInfo = async (provider, config, claims, accessToken) => {
+  if (claims.email || !config.userinfo_endpoint || !accessToken) return claims;
+  const info = await fetchJson(provider, config.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  // The subject must match, or the response is about someone else
+  return info.sub === claims.sub ? { ...info, ...claims, email: info.email, email_verified: info.email_verified } : claims;
+};
+
+const safeReturnTo = (value) =>
+  typeof value === "string" &&
+  value.startsWith("/") &&
+  !value.startsWith("//") &&
+  !value.startsWith("/\\") &&
+  value.length <= MAX_RETURN_TO_LENGTH
+    ? value
+    : undefined;
+
+/**
+ * Start a sign-in: remember state, nonce and PKCE verifier, and build the
+ * provider URL to send the browser to.
+ * @param {string} id          provider id from OIDC_PROVIDERS
+ * @param {{ returnTo? }} [options]  frontend path to land on afterwards
+ * @returns {Promise<string>} authorization URL
+ */
+const beginLogin = async (id, { returnTo } = {}) => {
+  const provider = getProvider(id);
+  const config = await discover(provider);
+
+  const state = generateToken(loginMinutes());
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const codeVerifier = crypto.randomBytes(32).toString("base64url");
+  const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+
+  await OidcLogin.create({
+    tokenHash: state.hash,
+    purpose: "authorize",
+    provider: id,
+    nonce,
+    codeVerifier,
+    returnTo: safeReturnTo(returnTo),
+    expiresAt: state.expiresAt,
+  });
+
+  const url = new URL(config.authorization_endpoint);
+  url.searchParams.set("response_type", "code");
+  url.searchParams.set("client_id", provider.clientId);
+  url.searchParams.set("redirect_uri", redirectUri(provider));
+  url.searchParams.set("scope", provider.scopes);
+  url.searchParams.set("state", state.token);
+  url.searchParams.set("nonce", nonce);
+  url.searchParams.set("code_challenge", codeChallenge);
+  url.searchParams.set("code_challenge_method", "S256");
+  return url.toString();
+};
+
+const redeemCode = async (provider, config, code, codeVerifier) => {
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri(provider),
+    code_verifier: codeVerifier,
+  });
+  const headers = { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" };
+
+  // client_secret_basic unless the provider only takes the secret in the body
+  const methods = config.token_endpoint_auth_methods_supported || ["client_secret_basic"];
+  if (!methods.includes("client_secret_basic") && methods.includes("client_secret_post")) {
+    body.set("client_id", provider.clientId);
+    body.set("client_secret", provider.clientSecret);
+  } else {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+  }
+
+  const tokens = await fetchJson(provider, config.token_endpoint, { method: "POST", headers, body });
+  if (!tokens.id_token) {
+    throw new OidcError(`${provider.label} did not return an ID token.`, 502);
+  }
+  return tokens;
+};
+
+const assertActive = (customer) => {
+  if (customer.suspended) {
+    throw new OidcError("Your account has been suspended. Please contact support.", 403);
+  }
+};
+
+// given_name/family_name, else the display name split once, else the email's local part
+const namesFrom = (claims, email) => {
+  if (claims.given_name) {
+    return { firstName: claims.given_name, lastName: claims.family_name };
+  }
+  const [first, ...rest] = String(claims.name || "").trim().split(/\s+/);
+  return first ? { firstName: first, lastName: rest.join(" ") || undefined } : { firstName: email.split("@")[0] };
+};
+
+/**
+ * The customer behind verified provider claims: the one already linked to this
+ * identity, else the one with the same email (the identity gets linked), else
+ * a new customer. Emails the provider has not verified are never trusted, and
+ * neither is an account that never verified its own: whoever registered it may
+ * not own the address, so linking would leave their password working.
+ * @returns {Promise<{ customer, linked: boolean, created: boolean }>}
+ * @throws {OidcError} 403 for unverified emails and suspended accounts, 409 for
+ *   an existing account whose email is not verified yet
+ */
+const resolveCustomer = async (provider, claims, req) => {
+  const identity = { provider: provider.id, subject: String(claims.sub) };
+
+  let customer = await Customer.findOne({ identities: { $elemMatch: identity } });
+  if (customer) {
+    assertActive(customer);
+    return { customer, linked: false, created: false };
+  }
+
+  const email = typeof claims.email === "string" ? claims.email.trim().toLowerCase() : "";
+  // Some providers send the flag as a string
+  const verified = claims.email_verified === true || claims.email_verified === "true";
+  if (!email || !verified) {
+    throw new OidcError(`${provider.label} has not verified an email address for this account, so it cannot be used to sign in.`, 403);
+  }
+
+  customer = await Customer.findOne({ email });
+  if (customer) {
+    assertActive(customer);
+    if (customer.emailVerified !== true) {
+      throw new OidcError(
+        `An account already uses this email. Sign in with your password and verify your email address, then continue with ${provider.label}.`,
+        409
+      );
+    }
+    customer.identities.push({ ...identity, email });
+    await customer.save();
+    recordAudit({
+      action: "customer.identity.link",
+      req,
+      actor: { id: String(customer._id), role: "customer" },
+      target: { type: "customer", id: String(customer._id) },
+      details: { provider: provider.id },
+    });
+    return { customer, linked: true, created: false };
+  }
+
+  try {
+    customer = await Customer.create({
+      ...namesFrom(claims, email),
+      email,
+      emailVerified: true,
+      identities: [{ ...identity, email }],
+    });
+  } catch (err) {
+    // Another sign-in for the same person won the race
+    if (err.code === 11000) throw new OidcError("This account was just created. Please sign in again.", 409);
+    throw err;
+  }
+  recordAudit({
+    action: "customer.create",
+    req,
+    actor: { id: String(customer._id), role: "customer" },
+    target: { type: "customer", id: String(customer._id) },
+    details: { provider: provider.id },
+  });
+  return { customer, linked: false, created: true };
+};
+
+/**
+ * Finish a sign-in on the provider's redirect: check state, redeem the code,
+ * verify the ID token and find, link or create the customer. Hands back a
+ * short-lived one-time code the frontend trades for session tokens, so no
+ * token ever travels in a URL.
+ * @param {string} id
+ * @param {{ code?, state?, error?, error_description? }} query  callback parameters
+ * @param {object} req
+ * @returns {Promise<{ code: string, customer, linked: boolean, created: boolean }>}
+ * @throws {OidcError}
+ */
+const completeLogin = async (id, { code, state, error, error_description: errorDescription } = {}, req) => {
+  const provider = getProvider(id);
+  const login = typeof state === "string" && state
+    ? await OidcLogin.findOneAndDelete({
+      tokenHash: hashToken(state),
+      purpose: "authorize",
+      provider: id,
+      expiresAt: { $gt: new Date() },
+    })
+    : null;
+  if (!login) {
+    throw new OidcError("This sign-in has expired or was already used. Please try again.", 400);
+  }
+  if (error) {
+    throw new OidcError(
+      error === "access_denied" ? "Sign-in was cancelled." : `${provider.label} refused the sign-in: ${errorDescription || error}`,
+      401
+    );
+  }
+  if (typeof code !== "string" || !code) {
+    throw new OidcError(`${provider.label} did not return an authorization code.`, 400);
+  }
+
+  const config = await discover(provider);
+  const tokens = await redeemCode(provider, config, code, login.codeVerifier);
+  const claims = await withUserInfo(
+    provider,
+    config,
+    await verifyIdToken(provider, config, tokens.id_token, login.nonce),
+    tokens.access_token
+  );
+  const result = await resolveCustomer(provider, claims, req);
+
+  const exchange = generateToken(EXCHANGE_CODE_MINUTES);
+  await OidcLogin.create({
+    tokenHash: exchange.hash,
+    purpose: "exchange",
+    provider: id,
+    customerId: result.customer._id,
+    returnTo: login.returnTo,
+    expiresAt: exchange.expiresAt,
+  });
+  return { code: exchange.token, ...result };
+};
+
+/**
+ * Trade the one-time code from the callback for the account to open a session for.
+ * @returns {Promise<{ account, returnTo: string|null }>} account as findAccountById returns it
+ * @throws {OidcError} 401 for unknown, used or expired codes, 403 for suspended accounts
+ */
+const redeemExchangeCode = async (code) => {
+  const login = typeof code === "string" && code
+    ? await OidcLogin.findOneAndDelete({
+      tokenHash: hashToken(code),
+      purpose: "exchange",
+      expiresAt: { $gt: new Date() },
+    })
+    : null;
+  if (!login) {
+    throw new OidcError("This sign-in code is invalid or has expired. Please try again.", 401);
+  }
+
+  const account = await findAccountById(String(login.customerId), "customer");
+  if (!account) {
+    throw new OidcError("This sign-in code is invalid or has expired. Please try again.", 401);
+  }
+  if (account.suspended) {
+    throw new OidcError("Your account has been suspended. Please contact support.", 403);
+  }
+  return { account, returnTo: login.returnTo || null };
+};
+
+// Forget cached discovery documents and keys (tests, provider reconfiguration)
+const resetOidcCache = () => {
+  discoveryCache.clear();
+  keyCache.clear();
+};
+
+module.exports = {
+  OidcError,
+  listProviders,
+  getProvider,
+  beginLogin,
+  completeLogin,
+  redeemExchangeCode,
+  resetOidcCache,
+};
@@ -0,0 +1,18 @@
+// backend/auth-service/utils/oneTimeTokens.js
+const crypto = require("crypto");
+
+// Hash used to store one-time tokens (reset links, verification links)
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Random URL-safe token plus the hash to persist and its expiry date
+const generateToken = (ttlMinutes) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  return {
+    token,
+    hash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  };
+};
+
+module.exports = { hashToken, generateToken };
@@ -0,0 +1,109 @@
+// backend/auth-service/utils/orderUserMigration.js
+//
+// Moves the customer accounts order-service kept in its own "users" collection
+// into auth-service. Order-service let anyone pick their role at sign-up, so an
+// account that claimed any other role is neither trusted with it nor turned into
+// a customer login: it is left out and reported for manual onboarding. Password
+// hashes are copied as they are, so people keep logging in with the password they had.
+const Customer = require("../models/Customer");
+const { getOrderUserModel } = require("../models/externalIdentities");
+const { recordAudit } = require("./audit");
+
+const LEGACY_SOURCE = "order-service";
+const LEGACY_CUSTOMER_ROLE = "customer";
+const BCRYPT_HASH = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+// "Nguyen Van An" -> { firstName: "Nguyen", lastName: "Van An" }
+const splitName = (name) => {
+  const [firstName = "", ...rest] = String(name || "").trim().split(/\s+/);
+  return { firstName, lastName: rest.join(" ") || undefined };
+};
+
+/**
+ * Customer fields for one order-service user. The hash goes into `password`
+ * untouched; callers must not let the pre-save hook hash it again.
+ * @param {{_id, name, email, password, role}} user
+ */
+const toCustomerFields = (user) => {
+  const email = String(user.email).trim().toLowerCase();
+  const { firstName, lastName } = splitName(user.name);
+
+  return {
+    firstName: firstName || email.split("@")[0],
+    lastName,
+    email,
+    password: user.password,
+    legacyImport: {
+      source: LEGACY_SOURCE,
+      legacyId: String(user._id),
+      legacyRole: user.role || LEGACY_CUSTOMER_ROLE,
+      importedAt: new Date(),
+    },
+  };
+};
+
+/**
+ * Copy every order-service customer into Customer. Emails auth-service already
+ * has a customer for are left alone, so the migration can be run again. Accounts
+ * that claimed another role go to `manualOnboarding` instead: they apply through
+ * the admin, driver or restaurant-admin flows like anyone else.
+ * @param {{dryRun?: boolean}} [options] dryRun reports what would happen without writing
+ * @returns {Promise<{imported: Array<{email, id, legacyId}>, skipped: Array<{email, legacyId, reason}>, manualOnboarding: Array<{email, legacyId, role}>}>}
+ */
+const migrateOrderUsers = async ({ dryRun = false } = {}) => {
+  const report = { imported: [], skipped: [], manualOnboarding: [] };
+  const users = await getOrderUserModel().find({}).lean();
+
+  for (const user of users) {
+    const legacyId = String(user._id);
+    const skip = (reason) => report.skipped.push({ email: user.email || null, legacyId, reason });
+
+    if (!user.email) {
+      skip("No email.");
+      continue;
+    }
+    if ((user.role || LEGACY_CUSTOMER_ROLE) !== LEGACY_CUSTOMER_ROLE) {
+      report.manualOnboarding.push({ email: user.email, legacyId, role: user.role });
+      continue;
+    }
+    if (!BCRYPT_HASH.test(user.password || "")) {
+      skip("Password is not a bcrypt hash.");
+      continue;
+    }
+
+    const customer = new Customer(toCustomerFields(user));
+    if (await Customer.exists({ email: customer.email })) {
+      skip("A customer with this email already exists.");
+      continue;
+    }
+    try {
+      await customer.validate();
+    } catch (err) {
+      skip(err.message);
+      continue;
+    }
+
+    if (!dryRun) {
+      try {
+        // insertMany skips the pre-save hook, which would hash the hash
+        await Customer.insertMany([customer]);
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        skip("A customer with this email already exists.");
+        continue;
+      }
+      recordAudit({
+        action: "customer.create",
+        actor: { role: "system" },
+        target: { type: "customer", id: String(customer._id) },
+        details: { source: LEGACY_SOURCE, legacyId, legacyRole: customer.legacyImport.legacyRole },
+      });
+    }
+
+    report.imported.push({ email: customer.email, id: String(customer._id), legacyId });
+  }
+
+  return report;
+};
+
+module.exports = { LEGACY_SOURCE, toCustomerFields, migrateOrderUsers };
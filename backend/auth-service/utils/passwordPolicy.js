@@ -0,0 +1,102 @@
+// backend/auth-service/utils/passwordPolicy.js
+//
+// Single password policy for every register / reset / change-password path.
+// Rules are configurable through PASSWORD_* env vars; validatePassword returns
+// one { rule, message } entry per broken rule so forms can show them inline.
+const fs = require("fs");
+const path = require("path");
+
+const COMMON_PASSWORDS_FILE = path.join(__dirname, "common-passwords.txt");
+
+// bcrypt ignores everything past 72 bytes
+const BCRYPT_MAX_LENGTH = 72;
+
+const flag = (value, fallback) =>
+  value === undefined || value === "" ? fallback : value === "true";
+
+const getPolicy = () => ({
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxLength: BCRYPT_MAX_LENGTH,
+  requireUppercase: flag(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+  requireLowercase: flag(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+  requireDigit: flag(process.env.PASSWORD_REQUIRE_DIGIT, true),
+  requireSymbol: flag(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+  blockPersonalInfo: flag(process.env.PASSWORD_BLOCK_PERSONAL_INFO, true),
+  blockCommon: flag(process.env.PASSWORD_BLOCK_COMMON, true),
+});
+
+let commonPasswords;
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, "utf8")
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith("#"))
+    );
+  }
+  return commonPasswords;
+};
+
+// Name parts and email local-part pieces long enough to be meaningful
+const personalTokens = ({ firstName, lastName, name, ownerName, email } = {}) => {
+  const tokens = [firstName, lastName, name, ownerName]
+    .filter((value) => typeof value === "string")
+    .flatMap((value) => value.split(/\s+/));
+  if (typeof email === "string" && email.includes("@")) {
+    const local = email.split("@")[0];
+    tokens.push(local, ...local.split(/[._+-]/));
+  }
+  return tokens
+    .map((token) => token.trim().toLowerCase())
+    .filter((token) => token.length >= 3);
+};
+
+/**
+ * Check a candidate password against the policy.
+ * @param {string} password
+ * @param {object} [user] firstName / lastName / name / ownerName / email of the account
+ * @returns {{ rule: string, message: string }[]} empty when the password is acceptable
+ */
+const validatePassword = (password, user = {}) => {
+  const policy = getPolicy();
+  const value = typeof password === "string" ? password : "";
+  const lower = value.toLowerCase();
+  const errors = [];
+
+  if (value.length < policy.minLength) {
+    errors.push({ rule: "minLength", message: `Password must be at least ${policy.minLength} characters.` });
+  }
+  if (value.length > policy.maxLength) {
+    errors.push({ rule: "maxLength", message: `Password must be at most ${policy.maxLength} characters.` });
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    errors.push({ rule: "uppercase", message: "Password must contain an uppercase letter." });
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    errors.push({ rule: "lowercase", message: "Password must contain a lowercase letter." });
+  }
+  if (policy.requireDigit && !/[0-9]/.test(value)) {
+    errors.push({ rule: "digit", message: "Password must contain a number." });
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    errors.push({ rule: "symbol", message: "Password must contain a symbol." });
+  }
+  if (policy.blockPersonalInfo && personalTokens(user).some((token) => lower.includes(token))) {
+    errors.push({ rule: "personalInfo", message: "Password must not contain your name or email." });
+  }
+  if (policy.blockCommon && getCommonPasswords().has(lower)) {
+    errors.push({ rule: "common", message: "This password is too common. Choose a less predictable one." });
+  }
+
+  return errors;
+};
+
+// Body for a 400 response when validatePassword reports errors
+const weakPasswordResponse = (errors) => ({
+  message: "Password does not meet the requirements.",
+  code: "WEAK_PASSWORD",
+  errors,
+});
+
+module.exports = { getPolicy, validatePassword, weakPasswordResponse };
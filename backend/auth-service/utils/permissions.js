@@ -0,0 +1,46 @@
+// backend/auth-service/utils/permissions.js
+//
+// The fixed catalogue of admin permissions. Only these names can be stored on
+// an Admin or checked with requirePermission; super-admins hold all of them
+// implicitly. Order-service and restaurant-service read the same names from the
+// token's `permissions` claim.
+
+const PERMISSIONS = Object.freeze({
+  "manage-users": "Search customers, drivers and restaurant admins; suspend and reinstate them",
+  "manage-restaurants": "Approve restaurant admins and manage restaurants",
+  "manage-orders": "View and update any order",
+  "view-audit-log": "Search and export the security audit log",
+});
+
+const PERMISSION_NAMES = Object.freeze(Object.keys(PERMISSIONS));
+
+// Schema default, so admins stored before the catalogue existed keep the access
+// they had; self-registered admins start with none until a super-admin grants them
+const DEFAULT_ADMIN_PERMISSIONS = Object.freeze(["manage-users", "manage-restaurants", "manage-orders"]);
+
+const isPermission = (name) => PERMISSION_NAMES.includes(name);
+
+/**
+ * Permissions an account actually holds: the whole catalogue for super-admins,
+ * otherwise its stored grants that are still in the catalogue.
+ * @param {{ role?: string, permissions?: string[] }} account
+ * @returns {string[]}
+ */
+const effectivePermissions = (account = {}) =>
+  account.role === "super-admin"
+    ? [...PERMISSION_NAMES]
+    : (account.permissions || []).filter(isPermission);
+
+const hasPermissions = (account, required) => {
+  const held = effectivePermissions(account);
+  return required.every((permission) => held.includes(permission));
+};
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_NAMES,
+  DEFAULT_ADMIN_PERMISSIONS,
+  isPermission,
+  effectivePermissions,
+  hasPermissions,
+};
@@ -0,0 +1,177 @@
+// backend/auth-service/utils/phoneOtp.js
+//
+// Passwordless customer login with a six-digit code sent by SMS. Codes are
+// stored hashed, expire after OTP_TTL_MINUTES and survive OTP_MAX_ATTEMPTS
+// wrong guesses. A number gets one code per OTP_RESEND_COOLDOWN_SECONDS and at
+// most OTP_MAX_SENDS_PER_HOUR codes an hour. Requesting a code answers the same
+// way whether or not the number belongs to a customer.
+const crypto = require("crypto");
+const Customer = require("../models/Customer");
+const PhoneOtp = require("../models/PhoneOtp");
+const { hashToken } = require("./oneTimeTokens");
+const { findAccountById } = require("./identityResolver");
+const { sendSms } = require("./smsService");
+
+class OtpError extends Error {
+  // retryAfter: seconds until the request may be repeated (429 only)
+  constructor(message, statusCode = 400, retryAfter) {
+    super(message);
+    this.name = "OtpError";
+    this.statusCode = statusCode;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+const E164 = /^\+[1-9]\d{7,14}$/;
+
+const loadConfig = () => ({
+  ttlMinutes: Number(process.env.OTP_TTL_MINUTES) || 5,
+  maxAttempts: Number(process.env.OTP_MAX_ATTEMPTS) || 5,
+  cooldownMs: (Number(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60) * 1000,
+  maxSendsPerHour: Number(process.env.OTP_MAX_SENDS_PER_HOUR) || 5,
+  countryCode: process.env.OTP_DEFAULT_COUNTRY_CODE || "84",
+});
+
+/**
+ * E.164 form of a number as typed: separators dropped, a leading 00 read as +,
+ * a leading 0 as the national prefix of OTP_DEFAULT_COUNTRY_CODE (84, Vietnam).
+ * Digits without either are taken to start with the country code.
+ * @returns {string|null} null when it cannot be a phone number
+ */
+const normalizePhone = (value, countryCode = loadConfig().countryCode) => {
+  if (typeof value !== "string") return null;
+  let phone = value.trim().replace(/[\s().-]/g, "");
+  if (phone.startsWith("00")) phone = `+${phone.slice(2)}`;
+  else if (phone.startsWith("0")) phone = `+${countryCode}${phone.slice(1)}`;
+  else if (!phone.startsWith("+")) phone = `+${phone}`;
+  return E164.test(phone) ? phone : null;
+};
+
+// Customers typed their number freely at registration: +84901234567, 84901234567 or 0901234567
+const storedSpellings = (phone, countryCode) => {
+  const spellings = [phone, phone.slice(1)];
+  if (phone.startsWith(`+${countryCode}`)) spellings.push(`0${phone.slice(countryCode.length + 1)}`);
+  return spellings;
+};
+
+// Phone numbers are not unique; a number shared by several customers cannot log in with it
+const findCustomerByPhone = async (phone, countryCode) => {
+  const customers = await Customer.find({ phone: { $in: storedSpellings(phone, countryCode) } }).limit(2);
+  if (customers.length > 1) {
+    console.warn(`⚠️ Phone login refused: ${phone} belongs to several customers`);
+    return null;
+  }
+  return customers[0] || null;
+};
+
+const codeHashFor = (phone, code) => hashToken(`${phone}:${code}`);
+
+const sameHash = (a, b) =>
+  a.length === b.length && crypto.timingSafeEqual(Buffer.from(a, "hex"), Buffer.from(b, "hex"));
+
+/**
+ * Issue a new code for `rawPhone` (replacing any previous one) and text it to
+ * the customer with that number, if there is exactly one and it is not suspended.
+ * @returns {Promise<{ phone: string, expiresAt: Date, resendAfter: number }>} resendAfter in seconds
+ * @throws {OtpError} 400 for an invalid number, 429 during the cooldown or over the hourly cap
+ */
+const requestCode = async (rawPhone) => {
+  const config = loadConfig();
+  const phone = normalizePhone(rawPhone, config.countryCode);
+  if (!phone) {
+    throw new OtpError("Enter a valid phone number, e.g. +84901234567.");
+  }
+
+  const now = Date.now();
+  const existing = await PhoneOtp.findOne({ phone });
+  const recent = (existing ? existing.sentAt : []).filter((at) => now - at.getTime() < HOUR_MS);
+  const last = recent[recent.length - 1];
+  if (last && now - last.getTime() < config.cooldownMs) {
+    const retryAfter = Math.ceil((last.getTime() + config.cooldownMs - now) / 1000);
+    throw new OtpError(`Please wait ${retryAfter} seconds before requesting another code.`, 429, retryAfter);
+  }
+  if (recent.length >= config.maxSendsPerHour) {
+    const retryAfter = Math.ceil((recent[0].getTime() + HOUR_MS - now) / 1000);
+    throw new OtpError("Too many codes requested for this number. Please try again later.", 429, retryAfter);
+  }
+
+  // Every number gets a code, so the answer says nothing about who is registered
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  const expiresAt = new Date(now + config.ttlMinutes * 60 * 1000);
+  await PhoneOtp.findOneAndUpdate(
+    { phone },
+    {
+      $set: {
+        codeHash: codeHashFor(phone, code),
+        attempts: 0,
+        codeExpiresAt: expiresAt,
+        sentAt: [...recent, new Date(now)],
+        expiresAt: new Date(Math.max(now + HOUR_MS, expiresAt.getTime())),
+      },
+    },
+    { upsert: true }
+  );
+
+  const customer = await findCustomerByPhone(phone, config.countryCode);
+  if (customer && !customer.suspended) {
+    try {
+      await sendSms(phone, `Your SkyDish login code is ${code}. It expires in ${config.ttlMinutes} minutes. Never share it with anyone.`);
+    } catch (err) {
+      // Answering differently here would tell registered numbers apart
+      console.error("❌ Could not text the login code:", err.message);
+    }
+  }
+
+  return { phone, expiresAt, resendAfter: Math.ceil(config.cooldownMs / 1000) };
+};
+
+/**
+ * Check a code and use it up. Each wrong guess counts against the code.
+ * @returns {Promise<object>} the customer account, as findAccountById returns it
+ * @throws {OtpError} 400 for malformed input, 401 for wrong, used, expired or
+ *                    exhausted codes, 403 for suspended customers
+ */
+const verifyCode = async (rawPhone, rawCode) => {
+  const config = loadConfig();
+  const phone = normalizePhone(rawPhone, config.countryCode);
+  const code = typeof rawCode === "string" ? rawCode.trim() : "";
+  if (!phone || !/^\d{6}$/.test(code)) {
+    throw new OtpError("A phone number and the six-digit code are required.");
+  }
+
+  // Count the attempt before comparing, so parallel guesses cannot exceed the limit
+  const otp = await PhoneOtp.findOneAndUpdate(
+    { phone, codeExpiresAt: { $gt: new Date() }, attempts: { $lt: config.maxAttempts } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!otp) {
+    throw new OtpError("This code has expired or was already used. Please request a new one.", 401);
+  }
+
+  if (!sameHash(otp.codeHash, codeHashFor(phone, code))) {
+    const left = config.maxAttempts - otp.attempts;
+    throw new OtpError(
+      left > 0 ? `Invalid code. ${left} attempt(s) left.` : "Too many wrong codes. Please request a new one.",
+      401
+    );
+  }
+
+  // Single use: only the first of two parallel correct answers gets through
+  const used = await PhoneOtp.findOneAndUpdate(
+    { _id: otp._id, codeHash: otp.codeHash, codeExpiresAt: { $gt: new Date() } },
+    { $set: { codeExpiresAt: new Date(0) } }
+  );
+  const customer = used && (await findCustomerByPhone(phone, config.countryCode));
+  if (!customer) {
+    throw new OtpError("This code has expired or was already used. Please request a new one.", 401);
+  }
+  if (customer.suspended) {
+    throw new OtpError("Your account has been suspended. Please contact support.", 403);
+  }
+
+  return findAccountById(String(customer._id), "customer");
+};
+
+module.exports = { OtpError, normalizePhone, requestCode, verifyCode };
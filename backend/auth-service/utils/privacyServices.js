@@ -0,0 +1,77 @@
+// backend/auth-service/utils/privacyServices.js
+//
+// Reaches into order-service and payment-service for a customer's data export
+// and account deletion. Each call carries a 60-second service token signed with
+// our own key (role "service", scope "privacy") that those services check
+// against the JWKS, so no extra shared secret is needed.
+const { signToken } = require("./jwt");
+
+class ServiceRequestError extends Error {
+  constructor(service, message) {
+    super(`${service}: ${message}`);
+    this.name = "ServiceRequestError";
+    this.service = service;
+  }
+}
+
+const services = {
+  orders: {
+    name: "order-service",
+    baseUrl: () => process.env.ORDER_SERVICE_URL || "http://localhost:5005",
+  },
+  payments: {
+    name: "payment-service",
+    baseUrl: () => process.env.PAYMENT_SERVICE_URL || "http://localhost:5004",
+  },
+};
+
+const serviceToken = () =>
+  signToken({ sub: "auth-service", role: "service", scope: "privacy" }, "60s");
+
+const callService = async (service, action, body) => {
+  let response;
+  try {
+    response = await fetch(`${service.baseUrl()}/internal/privacy/${action}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${serviceToken()}`,
+      },
+      body: JSON.stringify(body),
+    });
+  } catch (err) {
+    throw new ServiceRequestError(service.name, err.message);
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new ServiceRequestError(service.name, data.message || data.error || `status ${response.status}`);
+  }
+  return data;
+};
+
+// `subject` is { customerId, email }: orders are keyed by account id, while
+// payments only ever recorded the email (and the order ids they paid for).
+
+/** @returns {Promise<{ orders: object[] }>} */
+const exportOrders = (subject) => callService(services.orders, "export", subject);
+
+/** @returns {Promise<{ payments: object[] }>} */
+const exportPayments = (subject, orderIds) =>
+  callService(services.payments, "export", { ...subject, orderIds });
+
+/** @returns {Promise<{ orderIds: string[], anonymized: number }>} */
+const anonymizeOrders = (subject, pseudonym) =>
+  callService(services.orders, "anonymize", { ...subject, pseudonym });
+
+/** @returns {Promise<{ anonymized: number }>} */
+const anonymizePayments = (subject, orderIds, pseudonym) =>
+  callService(services.payments, "anonymize", { ...subject, orderIds, pseudonym });
+
+module.exports = {
+  ServiceRequestError,
+  exportOrders,
+  exportPayments,
+  anonymizeOrders,
+  anonymizePayments,
+};
@@ -0,0 +1,106 @@
+// backend/auth-service/utils/refreshTokens.js
+const crypto = require("crypto");
+const RefreshToken = require("../models/RefreshToken");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const ttlMs = () =>
+  Number(process.env.REFRESH_TOKEN_TTL_DAYS || 7) * 24 * 60 * 60 * 1000;
+
+// Error raised for any refresh token that cannot be exchanged
+class RefreshTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RefreshTokenError";
+    this.statusCode = 401;
+  }
+}
+
+// Issue a new opaque refresh token. Pass `family` to continue a rotation chain.
+const createRefreshToken = async ({ userId, role, family }) => {
+  const token = crypto.randomBytes(40).toString("hex");
+  await RefreshToken.create({
+    tokenHash: hashToken(token),
+    userId,
+    role,
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + ttlMs()),
+  });
+  return token;
+};
+
+// Exchange a refresh token for a new one in the same family.
+// Presenting a token that was already rotated revokes the whole family.
+const rotateRefreshToken = async (token) => {
+  if (!token) throw new RefreshTokenError("Refresh token is required.");
+  const tokenHash = hashToken(token);
+
+  // Atomically claim the token so two concurrent refreshes cannot both win
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+
+  if (!current) {
+    const reused = await RefreshToken.findOne({ tokenHash });
+    if (reused) {
+      await RefreshToken.updateMany(
+        { family: reused.family, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+      console.warn(`⚠️ Refresh token reuse detected, revoked family ${reused.family}`);
+    }
+    throw new RefreshTokenError("Refresh token is invalid or has been revoked.");
+  }
+
+  if (current.expiresAt < new Date()) {
+    throw new RefreshTokenError("Refresh token has expired.");
+  }
+
+  const refreshToken = await createRefreshToken({
+    userId: current.userId,
+    role: current.role,
+    family: current.family,
+  });
+  current.replacedBy = hashToken(refreshToken);
+  await current.save();
+
+  return { userId: current.userId, role: current.role, family: current.family, refreshToken };
+};
+
+// Revoke every token in the family of the given refresh token (logout).
+// Resolves to the family id, or null for an unknown token.
+const revokeRefreshToken = async (token) => {
+  if (!token) return null;
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!existing) return null;
+  await revokeFamily(existing.family);
+  return existing.family;
+};
+
+const revokeFamily = (family) =>
+  RefreshToken.updateMany(
+    { family: String(family), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+// Revoke every refresh token a user holds (e.g. logout everywhere),
+// optionally sparing one family (the session making the request).
+const revokeAllForUser = async (userId, { exceptFamily } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptFamily) filter.family = { $ne: String(exceptFamily) };
+  await RefreshToken.updateMany(filter, { revokedAt: new Date() });
+};
+
+module.exports = {
+  RefreshTokenError,
+  hashToken,
+  createRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeFamily,
+  revokeAllForUser,
+  refreshTokenTtlMs: ttlMs,
+};
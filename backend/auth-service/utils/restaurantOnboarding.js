@@ -0,0 +1,262 @@
+// backend/auth-service/utils/restaurantOnboarding.js
+//
+// Restaurant-admin applications move through
+//
+//   submitted ──► under-review ──► approved
+//       ▲               ├────────► rejected
+//       └── needs-info ◄┘
+//
+// Reviewers decide on applications under review; deciding on a submitted one
+// records the start of the review first. The applicant answers needs-info by
+// resubmitting. approved and rejected are final. Every step is appended to
+// the account's onboardingHistory.
+const mongoose = require("mongoose");
+const RestaurantAdmin = require("../models/RestaurantAdmin");
+const { sendEmailNotification } = require("./emailService");
+const { escapeHtml } = require("./html");
+const { onboardRestaurant } = require("./restaurantService");
+
+class OnboardingError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = "OnboardingError";
+    this.statusCode = statusCode;
+  }
+}
+
+const STATUSES = ["submitted", "under-review", "needs-info", "approved", "rejected"];
+const OPEN_STATUSES = ["submitted", "under-review", "needs-info"];
+
+const TRANSITIONS = {
+  submitted: ["under-review"],
+  "under-review": ["approved", "rejected", "needs-info"],
+  "needs-info": ["submitted"],
+  approved: [],
+  rejected: [],
+};
+
+// Accounts approved before the workflow existed only carry isApproved
+const statusOf = (admin) => (admin.isApproved ? "approved" : admin.onboardingStatus || "submitted");
+
+const record = (admin, to, { by, note } = {}) => {
+  const from = statusOf(admin);
+  if (!TRANSITIONS[from].includes(to)) {
+    throw new OnboardingError(`An application that is ${from} cannot move to ${to}.`);
+  }
+  admin.onboardingStatus = to;
+  admin.onboardingHistory.push({ from, to, note, by, at: new Date() });
+};
+
+const beginDecision = (admin, by) => {
+  if (statusOf(admin) === "submitted") {
+    record(admin, "under-review", { by });
+  }
+};
+
+const requireNote = (note, what) => {
+  const text = typeof note === "string" ? note.trim() : "";
+  if (!text) {
+    throw new OnboardingError(`A ${what} is required.`, 400);
+  }
+  if (text.length > 1000) {
+    throw new OnboardingError(`The ${what} must be at most 1000 characters.`, 400);
+  }
+  return text;
+};
+
+const findApplication = async (id) => {
+  const admin = mongoose.isValidObjectId(id) ? await RestaurantAdmin.findById(id) : null;
+  if (!admin) {
+    throw new OnboardingError("Restaurant admin not found.", 404);
+  }
+  return admin;
+};
+
+// The decision is already saved, so a mail failure is only logged
+const notify = async (admin, subject, lines) => {
+  try {
+    await sendEmailNotification(
+      admin.email,
+      subject,
+      [`Hi ${admin.firstName},`, ...lines].map((line) => `<p>${escapeHtml(line)}</p>`).join("\n"),
+      [`Hi ${admin.firstName},`, ...lines].join("\n\n")
+    );
+  } catch (err) {
+    console.error("❌ Could not send onboarding email:", err.message);
+  }
+};
+
+const loginLink = () => `${process.env.FRONTEND_URL || "http://localhost:3000"}/auth/login`;
+
+/**
+ * Applications in the given statuses (default: every open one), oldest first.
+ * @param {string} [status] comma-separated statuses
+ * @throws {OnboardingError} 400 for an unknown status
+ */
+const listApplications = async (status) => {
+  const requested = String(status || "").split(",").map((s) => s.trim()).filter(Boolean);
+  const statuses = requested.length ? requested : OPEN_STATUSES;
+  const unknown = statuses.find((s) => !STATUSES.includes(s));
+  if (unknown) {
+    throw new OnboardingError(`Unknown status "${unknown}". Use one of: ${STATUSES.join(", ")}.`, 400);
+  }
+
+  // Same rule as statusOf: isApproved wins, a missing status means submitted
+  const undecided = statuses.filter((s) => s !== "approved");
+  const or = [];
+  if (undecided.length) {
+    or.push({ isApproved: { $ne: true }, onboardingStatus: { $in: undecided } });
+  }
+  if (undecided.includes("submitted")) {
+    or.push({ isApproved: { $ne: true }, onboardingStatus: { $exists: false } });
+  }
+  if (statuses.includes("approved")) {
+    or.push({ isApproved: true });
+  }
+  return RestaurantAdmin.find({ $or: or }).sort({ createdAt: 1 });
+};
+
+/** Reviewer takes a submitted application. */
+const startReview = async (id, by) => {
+  const admin = await findApplication(id);
+  record(admin, "under-review", { by });
+  await admin.save();
+  return admin;
+};
+
+/**
+ * Approve: link `restaurantId` (or the restaurant registered under the
+ * applicant's email) or create the restaurant from the application, then
+ * email the applicant. Nothing is saved if restaurant-service refuses.
+ * Linking a restaurant registered under another email, or one another
+ * restaurant admin already manages, is refused with 409 unless the reviewer
+ * sets `overrideOwnership`.
+ * @returns {Promise<{ admin, restaurant, linked }>}
+ * @throws {OnboardingError|RestaurantServiceError}
+ */
+const approve = async (id, by, { restaurantId, note, overrideOwnership = false } = {}) => {
+  const admin = await findApplication(id);
+  beginDecision(admin, by);
+  record(admin, "approved", { by, note: note ? requireNote(note, "note") : undefined });
+
+  const { restaurant, linked } = await onboardRestaurant({
+    restaurantId: restaurantId || undefined,
+    overrideOwnership,
+    name: admin.restaurantName,
+    ownerName: `${admin.firstName} ${admin.lastName}`,
+    location: admin.restaurantLocation,
+    contactNumber: admin.phone,
+    email: admin.email,
+  });
+
+  if (linked && !overrideOwnership &&
+      await RestaurantAdmin.exists({ restaurantId: restaurant.id, _id: { $ne: admin._id } })) {
+    throw new OnboardingError("This restaurant is already managed by another restaurant admin.");
+  }
+
+  admin.restaurantId = restaurant.id;
+  admin.isApproved = true;
+  admin.approvedBy = by;
+  admin.approvedAt = new Date();
+  await admin.save();
+
+  await notify(admin, "Your restaurant is approved on SkyDish", [
+    `Your application for ${restaurant.name} has been approved.`,
+    ...(note ? [note.trim()] : []),
+    `Sign in to start managing your restaurant: ${loginLink()}`,
+  ]);
+  return { admin, restaurant, linked };
+};
+
+/** Reject with a reason the applicant is told. */
+const reject = async (id, by, reason) => {
+  const text = requireNote(reason, "rejection reason");
+  const admin = await findApplication(id);
+  beginDecision(admin, by);
+  record(admin, "rejected", { by, note: text });
+  await admin.save();
+
+  await notify(admin, "Your SkyDish restaurant application", [
+    "We are sorry, your restaurant application was not approved.",
+    `Reason: ${text}`,
+  ]);
+  return admin;
+};
+
+/** Send the application back to the applicant with what is missing. */
+const requestInfo = async (id, by, note) => {
+  const text = requireNote(note, "note describing the information needed");
+  const admin = await findApplication(id);
+  beginDecision(admin, by);
+  record(admin, "needs-info", { by, note: text });
+  await admin.save();
+
+  await notify(admin, "We need more information about your restaurant", [
+    "Our team needs more information before approving your restaurant application:",
+    text,
+    `Sign in to update and resubmit your application: ${loginLink()}`,
+  ]);
+  return admin;
+};
+
+/**
+ * The applicant answers a needs-info request: updates the application and submits it again.
+ * @throws {OnboardingError} 409 unless the application needs information, or when the license is taken
+ */
+const resubmit = async (admin, { restaurantName, restaurantLocation, businessLicense, phone, note } = {}) => {
+  if (statusOf(admin) !== "needs-info") {
+    throw new OnboardingError("Only an application sent back for more information can be resubmitted.");
+  }
+  if (businessLicense && businessLicense !== admin.businessLicense &&
+      await RestaurantAdmin.exists({ businessLicense, _id: { $ne: admin._id } })) {
+    throw new OnboardingError("Business license already registered.");
+  }
+
+  if (restaurantName) admin.restaurantName = restaurantName;
+  if (restaurantLocation) admin.restaurantLocation = restaurantLocation;
+  if (businessLicense) admin.businessLicense = businessLicense;
+  if (phone) admin.phone = phone;
+  record(admin, "submitted", { note: note ? requireNote(note, "note") : undefined });
+  await admin.save();
+  return admin;
+};
+
+/**
+ * Public shape of an application. Reviewers also see who took each step.
+ */
+const formatApplication = (admin, { forReviewer = false } = {}) => ({
+  id: admin._id,
+  firstName: admin.firstName,
+  lastName: admin.lastName,
+  email: admin.email,
+  phone: admin.phone,
+  emailVerified: admin.emailVerified,
+  businessLicense: admin.businessLicense,
+  restaurantName: admin.restaurantName,
+  restaurantLocation: admin.restaurantLocation,
+  status: statusOf(admin),
+  restaurantId: admin.restaurantId || null,
+  history: (admin.onboardingHistory || []).map((event) => ({
+    from: event.from,
+    to: event.to,
+    note: event.note,
+    at: event.at,
+    ...(forReviewer && { by: event.by || null }),
+  })),
+  createdAt: admin.createdAt,
+});
+
+module.exports = {
+  OnboardingError,
+  STATUSES,
+  OPEN_STATUSES,
+  statusOf,
+  findApplication,
+  listApplications,
+  startReview,
+  approve,
+  reject,
+  requestInfo,
+  resubmit,
+  formatApplication,
+};
@@ -0,0 +1,91 @@
+// backend/auth-service/utils/restaurantService.js
+//
+// Creates or links the restaurant-service Restaurant of an approved restaurant
+// admin, looks up the restaurants and food items customers saved as favorites,
+// and checks the restaurant owners and super admins restaurant-service still
+// stores. Like the privacy calls, each request carries a 60-second service token
+// signed with our own key (role "service", scope "onboarding", "catalog" or "credentials").
+const { signToken } = require("./jwt");
+
+class RestaurantServiceError extends Error {
+  // statusCode: restaurant-service's answer about the application itself (400, 404, 409),
+  // otherwise 502 (unreachable, failed, or refused our service token)
+  constructor(message, statusCode = 502) {
+    super(`restaurant-service: ${message}`);
+    this.name = "RestaurantServiceError";
+    this.statusCode = statusCode;
+  }
+}
+
+const baseUrl = () => process.env.RESTAURANT_SERVICE_URL || "http://localhost:5002";
+
+const serviceToken = (scope) =>
+  signToken({ sub: "auth-service", role: "service", scope }, "60s");
+
+const callService = async (action, scope, body) => {
+  let response;
+  try {
+    response = await fetch(`${baseUrl()}/internal/restaurants/${action}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${serviceToken(scope)}`,
+      },
+      body: JSON.stringify(body),
+    });
+  } catch (err) {
+    throw new RestaurantServiceError(err.message);
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const message = data.message || `status ${response.status}`;
+    throw new RestaurantServiceError(message, [400, 404, 409].includes(response.status) ? response.status : 502);
+  }
+  return data;
+};
+
+/**
+ * Link `restaurantId`, or the restaurant registered under `email`, or create one.
+ * @param {{ restaurantId?, name?, ownerName?, location?, contactNumber?, email }} application
+ * @returns {Promise<{ linked: boolean, restaurant: { id, name, location } }>}
+ * @throws {RestaurantServiceError}
+ */
+const onboardRestaurant = (application) => callService("onboard", "onboarding", application);
+
+/**
+ * Current details of restaurants and food items; removed ones are missing
+ * from the answer. Each food item carries its restaurant (null if removed).
+ * @param {{ restaurantIds?: string[], foodItemIds?: string[] }} ids
+ * @returns {Promise<{ restaurants: object[], foodItems: object[] }>}
+ * @throws {RestaurantServiceError}
+ */
+const lookupCatalog = ({ restaurantIds = [], foodItemIds = [] }) =>
+  callService("catalog/lookup", "catalog", { restaurantIds, foodItemIds });
+
+/**
+ * Check a restaurant owner's or super admin's credentials; the password hash stays in restaurant-service.
+ * @param {{ email: string, password: string, role?: "restaurant-admin"|"super-admin" }} credentials
+ * @returns {Promise<{ id, role, restaurantId?, email, name, suspended } | null>} null when nothing matches
+ * @throws {RestaurantServiceError}
+ */
+const verifyRestaurantAccount = async (credentials) =>
+  (await callService("accounts/verify", "credentials", credentials)).account;
+
+/**
+ * The restaurant-service account behind a token subject.
+ * @param {string} id
+ * @param {"restaurant-admin"|"super-admin"} role
+ * @returns {Promise<{ id, role, restaurantId?, email, name, suspended } | null>}
+ * @throws {RestaurantServiceError}
+ */
+const lookupRestaurantAccount = async (id, role) =>
+  (await callService("accounts/lookup", "credentials", { id, role })).account;
+
+module.exports = {
+  RestaurantServiceError,
+  onboardRestaurant,
+  lookupCatalog,
+  verifyRestaurantAccount,
+  lookupRestaurantAccount,
+};
@@ -0,0 +1,183 @@
+// backend/auth-service/utils/sessions.js
+//
+// Signed-in devices. Every login opens a session; its id rides in the access
+// token as `sid` and doubles as the refresh-token family, so ending a session
+// stops both its refresh tokens and (in protect and introspection) its access tokens.
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const { signToken } = require("./jwt");
+const {
+  createRefreshToken,
+  revokeFamily,
+  revokeAllForUser,
+  refreshTokenTtlMs,
+} = require("./refreshTokens");
+const { clientInfo } = require("./clientInfo");
+const { recordAudit } = require("./audit");
+
+// lastSeenAt is only rewritten once a minute, not on every request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+const DEFAULT_ACCESS_TOKEN_MS = 15 * 60 * 1000;
+
+class SessionError extends Error {
+  constructor(message, statusCode = 404) {
+    super(message);
+    this.name = "SessionError";
+    this.statusCode = statusCode;
+  }
+}
+
+const sessionKey = (account) => ({ source: account.source, accountId: String(account.id) });
+const active = () => ({ revokedAt: null, expiresAt: { $gt: new Date() } });
+
+const accessTokenExpiry = (token) => {
+  const decoded = jwt.decode(token);
+  return decoded && decoded.exp
+    ? new Date(decoded.exp * 1000)
+    : new Date(Date.now() + DEFAULT_ACCESS_TOKEN_MS);
+};
+
+/**
+ * Starts a session and signs its tokens. Accounts stored here also get a
+ * refresh token; the others (restaurant-service) live as long as the access token.
+ * @param {{ source: string, id: *, role: string }} account
+ * @param {object} claims access-token payload; `sid` is added
+ * @returns {Promise<{ token: string, refreshToken?: string, session: object }>}
+ */
+const openSession = async (account, claims, req) => {
+  const device = clientInfo(req);
+  const session = new Session({
+    ...sessionKey(account),
+    role: account.role,
+    ...device,
+    lastSeenIp: device.ip,
+  });
+
+  const token = signToken({ ...claims, sid: session.id });
+  let refreshToken;
+  if (account.source === "auth") {
+    refreshToken = await createRefreshToken({ userId: account.id, role: account.role, family: session.id });
+    session.expiresAt = new Date(Date.now() + refreshTokenTtlMs());
+  } else {
+    session.expiresAt = accessTokenExpiry(token);
+  }
+  await session.save();
+
+  // Not awaited: the audit write must not slow down or fail the login
+  recordAudit({
+    action: "auth.login",
+    req,
+    actor: { id: String(account.id), role: account.role },
+    target: { type: "session", id: session.id },
+    details: { source: account.source },
+  });
+
+  return { token, refreshToken, session };
+};
+
+// Callers on behalf of another service (introspection) know the time, not the device's IP
+const recordSeen = (ip) => (ip ? { lastSeenAt: new Date(), lastSeenIp: String(ip) } : { lastSeenAt: new Date() });
+
+/**
+ * The live session behind an access token's `sid`, with lastSeenAt brought up
+ * to date. Null when it was revoked or has expired.
+ * @param {string} [ip] address the request came from, when it came from the device
+ */
+const touchSession = async (sessionId, ip) => {
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+  const session = await Session.findOne({ _id: sessionId, ...active() });
+  if (!session) return null;
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+    await Session.updateOne({ _id: session._id }, { $set: recordSeen(ip) });
+  }
+  return session;
+};
+
+/**
+ * Keeps a session alive when its refresh token is rotated.
+ * @returns {Promise<object|null|undefined>} the session; null when it has ended;
+ *   undefined for refresh tokens issued before sessions existed
+ */
+const renewSession = async (family, ip) => {
+  if (!mongoose.isValidObjectId(family)) return undefined;
+  return Session.findOneAndUpdate(
+    { _id: family, ...active() },
+    { $set: { ...recordSeen(ip), expiresAt: new Date(Date.now() + refreshTokenTtlMs()) } },
+    { new: true }
+  );
+};
+
+const listSessions = (account) =>
+  Session.find({ ...sessionKey(account), ...active() }).sort({ lastSeenAt: -1 });
+
+const endSession = async (session, revokedBy) => {
+  session.revokedAt = new Date();
+  session.revokedBy = revokedBy ? String(revokedBy) : null;
+  await session.save();
+  await revokeFamily(session._id);
+};
+
+/**
+ * Signs one device out.
+ * @throws {SessionError} 404 when the account has no such live session
+ */
+const revokeSession = async (account, sessionId, revokedBy) => {
+  const session = mongoose.isValidObjectId(sessionId)
+    ? await Session.findOne({ _id: sessionId, ...sessionKey(account), ...active() })
+    : null;
+  if (!session) {
+    throw new SessionError("Session not found.");
+  }
+  await endSession(session, revokedBy);
+  return session;
+};
+
+// Logout with a refresh token: end the session its family belongs to
+const revokeSessionByFamily = async (family) => {
+  if (!mongoose.isValidObjectId(family)) return;
+  await Session.updateOne({ _id: family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+};
+
+/**
+ * Signs every device out, except `except` (the caller's own session) when given.
+ * Also revokes refresh tokens from before sessions existed.
+ * @returns {Promise<number>} sessions ended
+ */
+const revokeAllSessions = async (account, { except, revokedBy } = {}) => {
+  const filter = { ...sessionKey(account), revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedBy: revokedBy ? String(revokedBy) : null },
+  });
+
+  if (account.source === "auth") {
+    await revokeAllForUser(account.id, { exceptFamily: except });
+  }
+  return result.modifiedCount || 0;
+};
+
+const formatSession = (session, currentSessionId) => ({
+  id: session.id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  lastSeenIp: session.lastSeenIp,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  current: Boolean(currentSessionId) && session.id === String(currentSessionId),
+});
+
+module.exports = {
+  SessionError,
+  clientInfo,
+  openSession,
+  touchSession,
+  renewSession,
+  listSessions,
+  revokeSession,
+  revokeSessionByFamily,
+  revokeAllSessions,
+  formatSession,
+};
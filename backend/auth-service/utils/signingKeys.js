@@ -0,0 +1,127 @@
+// backend/auth-service/utils/signingKeys.js
+//
+// Asymmetric signing keys for access tokens. Private keys live only in
+// auth-service (one PEM file per key in JWT_KEYS_DIR, named <kid>.pem); other
+// services fetch the public halves from /.well-known/jwks.json.
+//
+// Rotation: add a new key file (see generateSigningKey.js) and restart. The
+// newest kid (or JWT_ACTIVE_KID) signs new tokens, older keys stay published so
+// tokens they signed keep verifying until their files are removed.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Key type -> JWS algorithm
+const ALGORITHMS = { rsa: "RS256", ec: "ES256" };
+
+let keys = null;
+let activeKid = null;
+
+const generatePrivateKey = (alg = process.env.JWT_ALGORITHM || "RS256") => {
+  if (alg === "RS256") {
+    return crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey;
+  }
+  if (alg === "ES256") {
+    return crypto.generateKeyPairSync("ec", { namedCurve: "P-256" }).privateKey;
+  }
+  throw new Error(`Unsupported JWT_ALGORITHM "${alg}" (use RS256 or ES256)`);
+};
+
+// Date-prefixed so the newest key sorts last
+const newKid = () =>
+  `${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(4).toString("hex")}`;
+
+const toEntry = (kid, privateKey) => {
+  const alg = ALGORITHMS[privateKey.asymmetricKeyType];
+  if (!alg) {
+    throw new Error(`Signing key "${kid}" must be an RSA or EC private key`);
+  }
+  if (alg === "ES256" && privateKey.asymmetricKeyDetails.namedCurve !== "prime256v1") {
+    throw new Error(`Signing key "${kid}" must use the P-256 curve for ES256`);
+  }
+  return { kid, alg, privateKey, publicKey: crypto.createPublicKey(privateKey) };
+};
+
+/**
+ * Write a new private key to dir as <kid>.pem.
+ * @returns {string} the new kid
+ */
+const writePrivateKey = (dir, privateKey, kid = newKid()) => {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dir, `${kid}.pem`),
+    privateKey.export({ type: "pkcs8", format: "pem" }),
+    { mode: 0o600 }
+  );
+  return kid;
+};
+
+const pemFiles = (dir) =>
+  fs.existsSync(dir) ? fs.readdirSync(dir).filter((file) => file.endsWith(".pem")).sort() : [];
+
+const loadKeys = () => {
+  const dir = process.env.JWT_KEYS_DIR;
+  const loaded = new Map();
+
+  if (dir) {
+    if (pemFiles(dir).length === 0) {
+      console.warn(`⚠️ No signing keys in ${dir}, generating one`);
+      writePrivateKey(dir, generatePrivateKey());
+    }
+    for (const file of pemFiles(dir)) {
+      const kid = path.basename(file, ".pem");
+      const privateKey = crypto.createPrivateKey(fs.readFileSync(path.join(dir, file)));
+      loaded.set(kid, toEntry(kid, privateKey));
+    }
+  } else {
+    console.warn("⚠️ JWT_KEYS_DIR is not set, using a temporary signing key (tokens will not survive a restart)");
+    const kid = newKid();
+    loaded.set(kid, toEntry(kid, generatePrivateKey()));
+  }
+
+  const kid = process.env.JWT_ACTIVE_KID || [...loaded.keys()].sort().pop();
+  if (!loaded.has(kid)) {
+    throw new Error(`JWT_ACTIVE_KID "${kid}" does not match any signing key`);
+  }
+
+  keys = loaded;
+  activeKid = kid;
+};
+
+const ensureLoaded = () => {
+  if (!keys) loadKeys();
+};
+
+// Key used to sign new tokens: { kid, alg, privateKey, publicKey }
+const getSigningKey = () => {
+  ensureLoaded();
+  return keys.get(activeKid);
+};
+
+// Key that signed a token, looked up by the kid in its header
+const getVerificationKey = (kid) => {
+  ensureLoaded();
+  return (kid && keys.get(kid)) || null;
+};
+
+// Public JWK set served at /.well-known/jwks.json
+const getJwks = () => {
+  ensureLoaded();
+  return {
+    keys: [...keys.values()].map(({ kid, alg, publicKey }) => ({
+      ...publicKey.export({ format: "jwk" }),
+      kid,
+      alg,
+      use: "sig",
+    })),
+  };
+};
+
+module.exports = {
+  generatePrivateKey,
+  writePrivateKey,
+  loadKeys,
+  getSigningKey,
+  getVerificationKey,
+  getJwks,
+};
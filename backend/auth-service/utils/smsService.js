@@ -0,0 +1,89 @@
+// backend/auth-service/utils/smsService.js
+//
+// Text messages (login codes) through SMS_TRANSPORT, the SMS twin of
+// emailService: "twilio" (default) with the same TWILIO_* settings as
+// payment-service, "console" and "file" only when a local run asks for them,
+// since both leave live login codes readable.
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+// Built-in transports. Each one receives { from, to, body }.
+const transports = {
+  // Local runs: print the message so codes can be copied from the logs
+  console: async (message) => {
+    console.log(`📱 [sms] To: ${message.to}`);
+    console.log(message.body);
+    return { id: `console-${Date.now()}` };
+  },
+
+  // Local runs / tests: drop each message as a JSON file in SMS_OUTBOX_DIR
+  file: async (message) => {
+    const dir = process.env.SMS_OUTBOX_DIR || path.join(process.cwd(), "sms-outbox");
+    fs.mkdirSync(dir, { recursive: true });
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    fs.writeFileSync(
+      path.join(dir, `${id}.json`),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+    return { id };
+  },
+
+  // Production: Twilio's Messages API, called directly so auth-service needs no SDK
+  twilio: async (message) => {
+    const sid = process.env.TWILIO_ACCOUNT_SID;
+    const credentials = Buffer.from(`${sid}:${process.env.TWILIO_AUTH_TOKEN}`).toString("base64");
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        Authorization: `Basic ${credentials}`,
+      },
+      body: new URLSearchParams({ From: message.from, To: message.to, Body: message.body }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Twilio responded with status ${response.status}: ${data.message || "no details"}`);
+    }
+    return { id: data.sid };
+  },
+};
+
+let customTransport = null;
+
+/**
+ * Overrides the SMS transport (e.g. in tests). Pass null to go back to SMS_TRANSPORT.
+ *
+ * @param {Function|null} transport - async (message) => result
+ */
+const setTransport = (transport) => {
+  customTransport = transport;
+};
+
+const getTransport = () => {
+  if (customTransport) return customTransport;
+  const name = process.env.SMS_TRANSPORT || "twilio";
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown SMS_TRANSPORT "${name}"`);
+  return transport;
+};
+
+/**
+ * Sends a text message through the configured transport.
+ *
+ * @param {string} to - The recipient phone number (E.164).
+ * @param {string} body - The message text.
+ * @returns {Promise<object>} - The response from the transport.
+ */
+const sendSms = async (to, body) => {
+  try {
+    const data = await getTransport()({ from: process.env.TWILIO_PHONE_NUMBER || "SkyDish", to, body });
+    console.log(`SMS sent to ${to}: ${data?.id || "No ID returned"}`);
+    return data;
+  } catch (error) {
+    console.error("❌ Error sending SMS:", error.message);
+    throw error;
+  }
+};
+
+module.exports = { sendSms, setTransport, transports };
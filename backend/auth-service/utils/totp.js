@@ -0,0 +1,109 @@
+// backend/auth-service/utils/totp.js
+//
+// Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 s steps),
+// the defaults every authenticator app understands.
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// Accepts lower case, spaces and padding, as apps display and users copy them
+const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character "${char}"`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, as RFC 4226 recommends for HMAC-SHA1
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const stepAt = (timeMs = Date.now()) => Math.floor(timeMs / 1000 / STEP_SECONDS);
+
+const hotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac("sha1", base32Decode(secret)).update(message).digest();
+
+  // Dynamic truncation (RFC 4226 §5.3)
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const generateTotp = (secret, timeMs = Date.now()) => hotp(secret, stepAt(timeMs));
+
+/**
+ * Checks a code against the current step and `window` steps either side
+ * (clock drift). Steps at or before `lastUsedStep` are refused so a code
+ * cannot be replayed.
+ * @returns {number | null} the matching step, to be stored as the new lastUsedStep
+ */
+const verifyTotp = (secret, code, { lastUsedStep = -1, window = 1, timeMs = Date.now() } = {}) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = stepAt(timeMs);
+  for (let step = current - window; step <= current + window; step += 1) {
+    if (step <= lastUsedStep) continue;
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// Key URI understood by authenticator apps (and rendered as a QR code by clients)
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+};
@@ -0,0 +1,246 @@
+// backend/auth-service/utils/twoFactor.js
+//
+// Two-factor login for admins, super-admins and restaurant owners: TOTP
+// enrollment, recovery codes, per-role policy and the challenge that sits
+// between the password step and the tokens.
+const crypto = require("crypto");
+const TwoFactor = require("../models/TwoFactor");
+const TwoFactorPolicy = require("../models/TwoFactorPolicy");
+const LoginChallenge = require("../models/LoginChallenge");
+const { generateToken, hashToken } = require("./oneTimeTokens");
+const { generateSecret, verifyTotp, buildOtpauthUri } = require("./totp");
+
+const TWO_FACTOR_ROLES = Object.freeze(["admin", "super-admin", "restaurant-admin"]);
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+const challengeTtlMinutes = () => Number(process.env.TWO_FACTOR_CHALLENGE_MINUTES) || 5;
+const issuer = () => process.env.TWO_FACTOR_ISSUER || "SkyDish";
+
+class TwoFactorError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "TwoFactorError";
+    this.statusCode = statusCode;
+  }
+}
+
+const supportsTwoFactor = (role) => TWO_FACTOR_ROLES.includes(role);
+
+// { source, id } of an account as returned by identityResolver
+const enrollmentKey = (account) => ({ source: account.source, accountId: String(account.id) });
+
+const findEnrollment = (account, fields) => {
+  const query = TwoFactor.findOne(enrollmentKey(account));
+  return fields ? query.select(fields) : query;
+};
+
+const isRequiredForRole = async (role) =>
+  Boolean(await TwoFactorPolicy.exists({ role, required: true }));
+
+const listPolicies = async () => {
+  const stored = await TwoFactorPolicy.find({ role: { $in: TWO_FACTOR_ROLES } });
+  return TWO_FACTOR_ROLES.map((role) => {
+    const policy = stored.find((entry) => entry.role === role);
+    return {
+      role,
+      required: Boolean(policy && policy.required),
+      updatedAt: policy ? policy.updatedAt : null,
+    };
+  });
+};
+
+const setPolicy = (role, required, updatedBy) =>
+  TwoFactorPolicy.findOneAndUpdate(
+    { role },
+    { $set: { required, updatedBy } },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+// Recovery codes look like "3f9a1-c04be"; case, spaces and dashes are ignored on entry
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, "");
+const hashRecoveryCode = (code) => hashToken(normalizeRecoveryCode(code));
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+/**
+ * Second step of every password login. Returns the body to send instead of
+ * tokens, or null when the password alone is enough for this account.
+ * @param {{ source: string, id: *, role: string }} account
+ */
+const startLoginChallenge = async (account) => {
+  if (!supportsTwoFactor(account.role)) return null;
+
+  const enrollment = await findEnrollment(account);
+  const enabled = Boolean(enrollment && enrollment.enabledAt);
+  if (!enabled && !(await isRequiredForRole(account.role))) return null;
+
+  const { token, hash, expiresAt } = generateToken(challengeTtlMinutes());
+  await LoginChallenge.create({
+    tokenHash: hash,
+    ...enrollmentKey(account),
+    role: account.role,
+    purpose: enabled ? "verify" : "enroll",
+    expiresAt,
+  });
+
+  return {
+    status: "success",
+    [enabled ? "twoFactorRequired" : "twoFactorEnrollmentRequired"]: true,
+    challengeToken: token,
+    expiresAt,
+  };
+};
+
+/**
+ * Claims one attempt on a live challenge. Counting happens before the code is
+ * checked, so parallel guesses cannot exceed MAX_CHALLENGE_ATTEMPTS.
+ * @throws {TwoFactorError} 401 when the challenge is unknown, expired, used up or of another purpose
+ */
+const openChallenge = async (token, purpose) => {
+  const challenge = token
+    ? await LoginChallenge.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token),
+        purpose,
+        expiresAt: { $gt: new Date() },
+        attempts: { $lt: MAX_CHALLENGE_ATTEMPTS },
+      },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    )
+    : null;
+  if (!challenge) {
+    throw new TwoFactorError("Login challenge is invalid or has expired. Please log in again.", 401);
+  }
+  return challenge;
+};
+
+const closeChallenge = (challenge) => LoginChallenge.deleteOne({ _id: challenge._id });
+
+/**
+ * Checks a TOTP code, or a recovery code (used up on success), for an
+ * enabled enrollment. The step/code is claimed atomically so it works once.
+ * @returns {Promise<boolean>}
+ */
+const verifySecondFactor = async (account, { code, recoveryCode }) => {
+  const enrollment = await findEnrollment(account, "+secret");
+  if (!enrollment || !enrollment.enabledAt) return false;
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    return Boolean(await TwoFactor.findOneAndUpdate(
+      { _id: enrollment._id, recoveryCodeHashes: hash },
+      { $pull: { recoveryCodeHashes: hash } }
+    ));
+  }
+
+  const step = verifyTotp(enrollment.secret, code, { lastUsedStep: enrollment.lastUsedStep });
+  if (step === null) return false;
+  return Boolean(await TwoFactor.findOneAndUpdate(
+    { _id: enrollment._id, lastUsedStep: { $lt: step } },
+    { $set: { lastUsedStep: step } }
+  ));
+};
+
+/**
+ * Hands out a fresh secret to confirm with confirmEnrollment. Starting again
+ * replaces a pending secret that was never confirmed.
+ * @param {{ source, id, role, email }} account
+ * @returns {Promise<{ secret: string, otpauthUri: string }>}
+ */
+const beginEnrollment = async (account) => {
+  const existing = await findEnrollment(account);
+  if (existing && existing.enabledAt) {
+    throw new TwoFactorError("Two-factor authentication is already enabled.", 409);
+  }
+
+  const secret = generateSecret();
+  await TwoFactor.findOneAndUpdate(
+    enrollmentKey(account),
+    { $set: { role: account.role, pendingSecret: secret } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: account.email || String(account.id), issuer: issuer() }),
+  };
+};
+
+/**
+ * Turns the pending secret on once the authenticator shows a matching code.
+ * @returns {Promise<string[]>} recovery codes, shown to the user this once
+ */
+const confirmEnrollment = async (account, code) => {
+  const enrollment = await findEnrollment(account, "+pendingSecret");
+  if (!enrollment || !enrollment.pendingSecret) {
+    throw new TwoFactorError("Start two-factor enrollment first.", 400);
+  }
+
+  const step = verifyTotp(enrollment.pendingSecret, code);
+  if (step === null) {
+    throw new TwoFactorError("Invalid code.", 400);
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  enrollment.secret = enrollment.pendingSecret;
+  enrollment.pendingSecret = undefined;
+  enrollment.enabledAt = new Date();
+  enrollment.lastUsedStep = step;
+  enrollment.recoveryCodeHashes = recoveryCodes.map(hashRecoveryCode);
+  await enrollment.save();
+
+  return recoveryCodes;
+};
+
+// Replaces every recovery code; the old ones stop working
+const regenerateRecoveryCodes = async (account) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await TwoFactor.updateOne(
+    enrollmentKey(account),
+    { $set: { recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode) } }
+  );
+  return recoveryCodes;
+};
+
+const disableTwoFactor = (account) => TwoFactor.deleteOne(enrollmentKey(account));
+
+const getStatus = async (account) => {
+  const [enrollment, required] = await Promise.all([
+    findEnrollment(account, "+recoveryCodeHashes"),
+    isRequiredForRole(account.role),
+  ]);
+  const enabled = Boolean(enrollment && enrollment.enabledAt);
+  return {
+    enabled,
+    required,
+    enabledAt: enabled ? enrollment.enabledAt : null,
+    recoveryCodesRemaining: enabled ? enrollment.recoveryCodeHashes.length : 0,
+  };
+};
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  MAX_CHALLENGE_ATTEMPTS,
+  TwoFactorError,
+  supportsTwoFactor,
+  isRequiredForRole,
+  listPolicies,
+  setPolicy,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  startLoginChallenge,
+  openChallenge,
+  closeChallenge,
+  verifySecondFactor,
+  beginEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getStatus,
+};
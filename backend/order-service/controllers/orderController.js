@@ -1,4 +1,21 @@
 import Order from "../models/orderModel.js";
+import { emitAudit } from "../utils/authClient.js";
+
+// GeoJSON Point with [longitude, latitude] in range
+const isPoint = (location) =>
+    location?.type === "Point" &&
+    Array.isArray(location.coordinates) &&
+    location.coordinates.length === 2 &&
+    Number.isFinite(location.coordinates[0]) && Math.abs(location.coordinates[0]) <= 180 &&
+    Number.isFinite(location.coordinates[1]) && Math.abs(location.coordinates[1]) <= 90;
+
+// Restaurant admins only reach their own restaurant's orders (restaurantId claim);
+// other roles that get this far are not narrowed here
+const restaurantScope = (user) =>
+    user?.role === "restaurant-admin" ? { restaurantId: String(user.restaurantId) } : {};
+
+const outsideScope = (user, order) =>
+    user?.role === "restaurant-admin" && String(order.restaurantId) !== String(user.restaurantId);
 
 // @desc Create new order
 // @route POST /api/orders
@@ -8,7 +25,7 @@ export const createOrder = async (req, res) => {
         console.log("Request body:", JSON.stringify(req.body, null, 2));
         console.log("User from token:", req.user);
         
-        const { customerId, restaurantId, items, deliveryAddress } = req.body;
+        const { customerId, restaurantId, items, deliveryAddress, deliveryAddressId, deliveryLocation } = req.body;
         
         // Validate required fields
         if (!customerId) {
@@ -27,6 +44,9 @@ export const createOrder = async (req, res) => {
             console.log("Missing deliveryAddress");
             return res.status(400).json({ error: "Delivery address is required" });
         }
+        if (deliveryLocation != null && !isPoint(deliveryLocation)) {
+            return res.status(400).json({ error: "Delivery location must be a GeoJSON Point [longitude, latitude]" });
+        }
         
         // Validate items structure
         for (let i = 0; i < items.length; i++) {
@@ -54,6 +74,11 @@ export const createOrder = async (req, res) => {
             totalPrice,
             deliveryAddress
         };
+        // Account id from the token; customerId is whatever the client sent
+        if (req.user?.id) orderData.customerAccountId = String(req.user.id);
+        // Present when the customer picked a saved address at checkout
+        if (deliveryAddressId) orderData.deliveryAddressId = deliveryAddressId;
+        if (deliveryLocation) orderData.deliveryLocation = deliveryLocation;
         
         console.log("Creating order with data:", JSON.stringify(orderData, null, 2));
         
@@ -77,7 +102,7 @@ export const createOrder = async (req, res) => {
 // @route GET /api/orders
 export const getOrders = async (req, res) => {
     try {
-        const orders = await Order.find();  // No need to populate manually inputted fields
+        const orders = await Order.find(restaurantScope(req.user));  // No need to populate manually inputted fields
         res.status(200).json(orders);
     } catch (error) {
         res.status(500).json({ error: "Server Error" });
@@ -89,7 +114,7 @@ export const getOrders = async (req, res) => {
 export const getOrderById = async (req, res) => {
     try {
         const order = await Order.findById(req.params.id);
-        if (!order) return res.status(404).json({ message: "Order not found" });
+        if (!order || outsideScope(req.user, order)) return res.status(404).json({ message: "Order not found" });
 
         res.status(200).json(order);
     } catch (error) {
@@ -132,14 +157,23 @@ export const updateOrderDetails = async (req, res) => {
 };
 
 // @desc Update order status
-// @route PATCH /api/orders/:id
+// @route PATCH /api/orders/:id/status (restaurant admins), PATCH /api/orders/admin/:id/status
 export const updateOrderStatus = async (req, res) => {
     try {
         const { status } = req.body;
-        const order = await Order.findByIdAndUpdate(req.params.id, { status }, { new: true });
+        // Read first so the audit log can show the previous status
+        const previous = await Order.findById(req.params.id);
+        if (previous && outsideScope(req.user, previous)) return res.status(404).json({ message: "Order not found" });
+        const order = previous && await Order.findByIdAndUpdate(req.params.id, { status }, { new: true });
 
         if (!order) return res.status(404).json({ message: "Order not found" });
 
+        emitAudit(req, {
+            action: "order.status.update",
+            target: { type: "order", id: String(order._id) },
+            before: { status: previous.status },
+            after: { status: order.status },
+        });
         res.status(200).json(order);
     } catch (error) {
         res.status(500).json({ error: "Server Error" });
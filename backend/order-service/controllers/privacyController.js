@@ -0,0 +1,58 @@
+import Order from "../models/orderModel.js";
+
+// Orders placed before customerAccountId existed only carry customerId
+const customerFilter = (customerId) => ({
+    $or: [{ customerAccountId: customerId }, { customerId }]
+});
+
+// @desc Every order of a customer, for their personal-data export
+// @route POST /internal/privacy/export
+export const exportCustomerOrders = async (req, res) => {
+    const { customerId } = req.body || {};
+    if (!customerId) {
+        return res.status(400).json({ message: "customerId is required" });
+    }
+
+    try {
+        const orders = await Order.find(customerFilter(String(customerId))).sort({ createdAt: 1 }).lean();
+        res.json({ orders });
+    } catch (error) {
+        res.status(500).json({ error: "Server Error", details: error.message });
+    }
+};
+
+// @desc Strip a deleted customer's personal data from their orders.
+//       Items, totals and statuses stay for restaurant and accounting records.
+// @route POST /internal/privacy/anonymize
+export const anonymizeCustomerOrders = async (req, res) => {
+    const { customerId, pseudonym } = req.body || {};
+    if (!customerId || !pseudonym) {
+        return res.status(400).json({ message: "customerId and pseudonym are required" });
+    }
+
+    try {
+        const orders = await Order.find(customerFilter(String(customerId))).select("_id").lean();
+        const orderIds = orders.map((order) => String(order._id));
+
+        if (orderIds.length === 0) {
+            return res.json({ orderIds, anonymized: 0 });
+        }
+
+        const result = await Order.updateMany(
+            { _id: { $in: orderIds } },
+            {
+                $set: {
+                    customerId: pseudonym,
+                    customerAccountId: pseudonym,
+                    deliveryAddress: "[deleted]",
+                    anonymizedAt: new Date()
+                },
+                $unset: { deliveryAddressId: "", deliveryLocation: "" }
+            }
+        );
+
+        res.json({ orderIds, anonymized: result.modifiedCount });
+    } catch (error) {
+        res.status(500).json({ error: "Server Error", details: error.message });
+    }
+};
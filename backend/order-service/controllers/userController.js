@@ -1,52 +1,49 @@
-import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
-import User from "../models/userModel.js";
+import { loginClient, logIn, registerCustomer } from "../utils/authClient.js";
 
-// Function to generate JWT Token with role included
-const generateToken = (user) => {
-    return jwt.sign(
-        {
-            id: user._id,
-            role: user.role, // ✅ Ensure role is included
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: "30d" }
-    );
+// Compatibility layer for clients of the old /api/users endpoints. Accounts live
+// in auth-service; order-service no longer stores users of its own.
+
+// "Nguyen Van An" -> { firstName: "Nguyen", lastName: "Van An" }
+const splitName = (name) => {
+    const [firstName = "", ...rest] = String(name || "").trim().split(/\s+/);
+    return { firstName, lastName: rest.join(" ") };
+};
+
+// auth-service answered with an error status: pass it on, or answer 500 if it was unreachable
+const sendAuthServiceError = (error, res) => {
+    if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error" });
 };
 
-// @desc Register new user
+// @desc Register new customer (staff accounts are created through auth-service)
 // @route POST /api/users/register
 // @access Public
 const registerUser = async (req, res) => {
-    const { name, email, password, role } = req.body; // Include role from request
-
-    try {
-        const userExists = await User.findOne({ email });
-        if (userExists) {
-            return res.status(400).json({ message: "User already exists" });
-        }
+    const { name, email, password, role, phone, location } = req.body;
 
-        // Hash password
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(password, salt);
+    if (role && role !== "customer") {
+        return res.status(403).json({ message: "Only customer accounts can be registered here." });
+    }
 
-        const user = await User.create({
-            name,
+    try {
+        const split = splitName(name);
+        const { token, refreshToken } = await registerCustomer({
+            firstName: req.body.firstName || split.firstName,
+            lastName: req.body.lastName || split.lastName,
             email,
-            password: hashedPassword,
-            role: role || "customer", // Default to "customer" if not provided
+            phone,
+            password,
+            location,
         });
 
-        if (user) {
-            res.status(201).json({
-                message: "User registered successfully!",
-                token: generateToken(user), // Generate token with role
-            });
-        } else {
-            res.status(400).json({ message: "Invalid user data" });
-        }
+        res.status(201).json({ message: "User registered successfully!", token, refreshToken });
     } catch (error) {
-        res.status(500).json({ message: "Server error" });
+        if (error.status === 409) {
+            return res.status(400).json({ message: "User already exists" });
+        }
+        sendAuthServiceError(error, res);
     }
 };
 
@@ -57,21 +54,27 @@ const loginUser = async (req, res) => {
     const { email, password } = req.body;
 
     try {
-        const user = await User.findOne({ email });
+        const answer = await logIn({ email, password, client: loginClient(req) });
 
-        if (user && (await bcrypt.compare(password, user.password))) {
-            res.json({
-                _id: user._id,
-                name: user.name,
-                email: user.email,
-                role: user.role, // ✅ Include role in response
-                token: generateToken(user), // ✅ Pass entire user object, not just _id
-            });
-        } else {
-            res.status(401).json({ message: "Invalid email or password" });
+        // Admins and restaurant owners may owe a second factor; the client finishes it with auth-service
+        if (!answer.token) {
+            return res.json(answer);
         }
+
+        const { account } = answer.data;
+        res.json({
+            _id: account.id,
+            name: account.name,
+            email: account.email,
+            role: account.role,
+            token: answer.token,
+            refreshToken: answer.refreshToken,
+        });
     } catch (error) {
-        res.status(500).json({ message: "Server error" });
+        if (error.status === 401) {
+            return res.status(401).json({ message: "Invalid email or password" });
+        }
+        sendAuthServiceError(error, res);
     }
 };
 
@@ -6,6 +6,7 @@ import connectDB from "./config/db.js";
 import cors from "cors";
 import orderRoutes from "./routes/orderRoutes.js";
 import userRoutes from "./routes/userRoutes.js";
+import privacyRoutes from "./routes/privacyRoutes.js";
 import { register, metricsMiddleware } from "./metrics.js";
 
 dotenv.config();
@@ -54,6 +55,7 @@ app.get('/metrics', async (req, res) => {
 // Routes
 app.use("/api/orders", orderRoutes);
 app.use("/api/users", userRoutes);
+app.use("/internal/privacy", privacyRoutes);
 
 
 // WebSocket Connection
@@ -0,0 +1,25 @@
+import { introspectToken } from "../utils/authClient.js";
+
+// Run by protect on every authenticated route: a valid signature only proves
+// who the token was issued to, so ask auth-service whether that account still
+// exists and is not suspended. Fails closed when auth-service cannot answer.
+const requireActiveAccount = async (req, res, next) => {
+    const token = req.header("Authorization")?.split(" ")[1];
+
+    try {
+        const result = await introspectToken(token);
+
+        if (result.suspended) {
+            return res.status(403).json({ message: "Account is suspended" });
+        }
+        if (!result.active) {
+            return res.status(401).json({ message: "Token is no longer active" });
+        }
+        next();
+    } catch (error) {
+        console.error("❌ Token introspection failed:", error.message);
+        res.status(503).json({ message: "Authentication service unavailable" });
+    }
+};
+
+export { requireActiveAccount };
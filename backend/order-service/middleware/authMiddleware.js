@@ -1,7 +1,9 @@
-import jwt from "jsonwebtoken";
+import { verifyToken } from "../utils/jwks.js";
+import { requireActiveAccount } from "./activeAccountMiddleware.js";
 
-// Middleware to protect routes by verifying JWT
-const protect = (req, res, next) => {
+// Middleware to protect routes by verifying JWT, then checking with auth-service
+// that the account was not suspended or deleted since the token was issued
+const protect = async (req, res, next) => {
     const token = req.header("Authorization")?.split(" ")[1]; // Extract token after "Bearer"
 
     if (!token) {
@@ -9,16 +11,21 @@ const protect = (req, res, next) => {
     }
 
     try {
-        // Verify the token using the secret key
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        // Verify the token against auth-service's published keys (JWKS)
+        const decoded = await verifyToken(token);
 
         if (!decoded.role) {
             return res.status(401).json({ message: "Invalid token: Role not found" });
         }
 
-        req.user = decoded; // Attach decoded user data to the request
-        next(); // Proceed to the next middleware or route handler
+        // Unified tokens from /api/auth/token identify the account by "sub"
+        req.user = { ...decoded, id: decoded.sub || decoded.id }; // Attach decoded user data to the request
+        return requireActiveAccount(req, res, next); // Proceeds only for active accounts
     } catch (error) {
+        if (error.name === "JwksError") {
+            console.error("❌ Token verification unavailable:", error.message);
+            return res.status(503).json({ message: "Authentication service unavailable" });
+        }
         res.status(401).json({ message: "Invalid token" });
     }
 };
@@ -38,4 +45,21 @@ const authorizeRoles = (...roles) => {
     };
 };
 
-export { protect, authorizeRoles };
+// Middleware to check admin permissions carried in the token's "permissions" claim.
+// Super-admins hold every permission; the claim is refreshed with the access token.
+const requirePermission = (...permissions) => {
+    return (req, res, next) => {
+        if (req.user?.role === "super-admin") {
+            return next();
+        }
+
+        const granted = Array.isArray(req.user?.permissions) ? req.user.permissions : [];
+        if (!permissions.every((permission) => granted.includes(permission))) {
+            return res.status(403).json({ message: "Access denied: Missing permission" });
+        }
+
+        next();
+    };
+};
+
+export { protect, authorizeRoles, requirePermission };
@@ -0,0 +1,27 @@
+// Policy hook: actions listed in VERIFIED_EMAIL_REQUIRED_FOR (comma separated,
+// e.g. "place-order,cancel-order") are only allowed for tokens carrying
+// emailVerified: true. Unlisted actions pass straight through.
+const requiredActions = () =>
+    (process.env.VERIFIED_EMAIL_REQUIRED_FOR || "")
+        .split(",")
+        .map((action) => action.trim())
+        .filter(Boolean);
+
+const requireVerifiedEmail = (action) => {
+    return (req, res, next) => {
+        if (!requiredActions().includes(action)) {
+            return next();
+        }
+
+        if (req.user && req.user.emailVerified === true) {
+            return next();
+        }
+
+        return res.status(403).json({
+            message: "Please verify your email address before continuing",
+            code: "EMAIL_NOT_VERIFIED"
+        });
+    };
+};
+
+export { requireVerifiedEmail };
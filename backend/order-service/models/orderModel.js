@@ -3,6 +3,8 @@ import mongoose from "mongoose";
 const orderSchema = new mongoose.Schema(
     {
         customerId: { type: String, required: true }, // Change to String to allow manual input
+        // auth-service account that placed the order (from the access token)
+        customerAccountId: { type: String, index: true },
         restaurantId: { type: String, required: true }, // Change to String for manual input
         items: [
             {
@@ -18,7 +20,16 @@ const orderSchema = new mongoose.Schema(
             enum: ["Pending", "Confirmed", "Preparing", "Out for Delivery", "Delivered", "Canceled"],
             default: "Pending"
         },
-        deliveryAddress: { type: String, required: true }
+        deliveryAddress: { type: String, required: true },
+        // Address-book entry picked at checkout (auth-service /api/auth/customer/addresses)
+        deliveryAddressId: { type: String },
+        // GeoJSON Point of the delivery address, [longitude, latitude]
+        deliveryLocation: {
+            type: { type: String, enum: ["Point"] },
+            coordinates: { type: [Number], default: undefined }
+        },
+        // Set when the customer deleted their account; PII replaced, totals kept
+        anonymizedAt: { type: Date }
     },
     { timestamps: true }
 );
@@ -1,14 +0,0 @@
-import mongoose from "mongoose";
-
-const userSchema = mongoose.Schema(
-    {
-        name: { type: String, required: true },
-        email: { type: String, required: true, unique: true },
-        password: { type: String, required: true },
-        role: { type: String, enum: ["customer", "admin", "restaurant", "delivery"], default: "customer" },
-    },
-    { timestamps: true }
-);
-
-const User = mongoose.model("User", userSchema);
-export default User;
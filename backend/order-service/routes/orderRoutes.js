@@ -8,23 +8,30 @@ import {
     updateOrderDetails
 } from "../controllers/orderController.js";
 
-import { protect, authorizeRoles } from "../middleware/authMiddleware.js";
+import { protect, authorizeRoles, requirePermission } from "../middleware/authMiddleware.js";
+import { requireVerifiedEmail } from "../middleware/emailVerificationPolicy.js";
 
 const router = express.Router();
 
 // Only customers can place orders
-router.post("/", protect, authorizeRoles("customer"), createOrder);
+router.post("/", protect, authorizeRoles("customer"), requireVerifiedEmail("place-order"), createOrder);
 
-// Only restaurant admins & customers can view orders
-router.get("/", protect, authorizeRoles("customer", "restaurant"), getOrders);
-router.get("/:id", protect, authorizeRoles("customer", "restaurant"), getOrderById);
+// Platform admins holding manage-orders see and update every order
+const canManageOrders = [protect, authorizeRoles("admin", "super-admin"), requirePermission("manage-orders")];
+router.get("/admin/all", canManageOrders, getOrders);
+router.patch("/admin/:id/status", canManageOrders, updateOrderStatus);
+
+// Only restaurant admins & customers can view orders; restaurant admins only see
+// their own restaurant's (restaurantId claim)
+router.get("/", protect, authorizeRoles("customer", "restaurant-admin"), getOrders);
+router.get("/:id", protect, authorizeRoles("customer", "restaurant-admin"), getOrderById);
+
+// Only restaurant admins can update order status, for their own restaurant
+router.patch("/:id/status", protect, authorizeRoles("restaurant-admin"), updateOrderStatus);
 
 // Only authenticated customers can update their own orders
 router.patch("/:id", protect, updateOrderDetails);
 
-// Only restaurant admins can update order status
-router.patch("/:id", protect, authorizeRoles("restaurant"), updateOrderStatus);
-
 // Only customers can cancel orders
 router.delete("/:id", protect, authorizeRoles("customer"), cancelOrder);
 
@@ -0,0 +1,11 @@
+import express from "express";
+import { exportCustomerOrders, anonymizeCustomerOrders } from "../controllers/privacyController.js";
+import { requireServiceScope } from "../middleware/serviceAuthMiddleware.js";
+
+const router = express.Router();
+
+// Called by auth-service for data export and account deletion (not user-facing)
+router.post("/export", requireServiceScope("privacy"), exportCustomerOrders);
+router.post("/anonymize", requireServiceScope("privacy"), anonymizeCustomerOrders);
+
+export default router;
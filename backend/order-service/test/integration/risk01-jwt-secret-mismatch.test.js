@@ -2,10 +2,14 @@
  * RISK-01: JWT Secret Mismatch Between Services
  * Integration Test
  * 
- * Tests JWT token validation failure due to secret inconsistency
- * between auth-service and order-service
+ * Originally covered failures caused by a shared JWT_SECRET drifting between
+ * auth-service and order-service. Order-service now verifies tokens against
+ * auth-service's published JWKS, so there is no secret to keep in sync:
+ * these tests serve a stub JWKS and check that only tokens signed with a
+ * published key are accepted, including after a key rotation.
  */
 
+import crypto from 'crypto';
 import request from 'supertest';
 import jwt from 'jsonwebtoken';
 import { jest } from '@jest/globals';
@@ -15,6 +19,7 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import orderRoutes from '../../routes/orderRoutes.js';
 import userRoutes from '../../routes/userRoutes.js';
+import { clearJwksCache } from '../../utils/jwks.js';
 
 // Load environment variables
 dotenv.config();
@@ -23,11 +28,30 @@ dotenv.config();
 let app;
 
 describe('RISK-01: JWT Secret Mismatch Integration Test', () => {
-    const CORRECT_JWT_SECRET = process.env.JWT_SECRET || 'MnAIm95T4VUQWaC591bxkhdmhZDlQk3EP2TFP27YUo65WjRBPxThKVd8PzH0M3wxQB3uX5XvzhYXf8n8jV8Vd8sfUatNPnK1Fo0IBnofLgKKqRWlQoJYBgnWIu3Er0IPB37cshF1KQK3o5r3loXYHBX1BGblU4pdgXZBBLuz5BnpzsSHAEaOQHKWyTEXry5TdkFvEpqXXtT74fZXQz9kJmQceiF8wKyWD1Rx50nyKj08XFx8WlEoOYmUNp8P9IQY';
     const WRONG_JWT_SECRET = 'DIFFERENT_SECRET_KEY_SIMULATING_AUTH_SERVICE_MISMATCH';
     const MONGODB_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/Order';
 
+    // Signing keys standing in for auth-service's; only the public halves are served
+    const makeAuthKey = (kid) => ({ kid, ...crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }) });
+    const currentKey = makeAuthKey('auth-key-1');
+    let publishedKeys = [currentKey];
+    const signWithAuthKey = (payload, options, key = currentKey) =>
+        jwt.sign(payload, key.privateKey, { algorithm: 'ES256', keyid: key.kid, ...options });
+    const originalFetch = global.fetch;
+
     beforeAll(async () => {
+        // Stub auth-service's JWKS endpoint
+        global.fetch = async () => ({
+            ok: true,
+            status: 200,
+            json: async () => ({
+                keys: publishedKeys.map(({ kid, publicKey }) => ({
+                    ...publicKey.export({ format: 'jwk' }), kid, alg: 'ES256', use: 'sig'
+                }))
+            })
+        });
+        clearJwksCache();
+
         // Connect to MongoDB
         if (mongoose.connection.readyState === 0) {
             await mongoose.connect(MONGODB_URI);
@@ -42,6 +66,7 @@ describe('RISK-01: JWT Secret Mismatch Integration Test', () => {
     }, 30000);
 
     afterAll(async () => {
+        global.fetch = originalFetch;
         await mongoose.connection.close();
     }, 30000);
 
@@ -79,13 +104,13 @@ describe('RISK-01: JWT Secret Mismatch Integration Test', () => {
             expect(response.body.message).toMatch(/Invalid token|authorization denied/i);
         });
 
-        it('should reject expired token even with correct secret', async () => {
-            // GIVEN: Expired token with correct secret
+        it('should reject expired token even with a published key', async () => {
+            // GIVEN: Expired token signed by auth-service
             const tokenPayload = {
                 id: 'user_expired_123',
                 role: 'customer',
             };
-            const expiredToken = jwt.sign(tokenPayload, CORRECT_JWT_SECRET, { expiresIn: '-1h' });
+            const expiredToken = signWithAuthKey(tokenPayload, { expiresIn: '-1h' });
 
             const orderData = {
                 customerId: 'customer_expired_123',
@@ -112,14 +137,14 @@ describe('RISK-01: JWT Secret Mismatch Integration Test', () => {
         });
     });
 
-    describe('Test Case 2: Token signed with CORRECT secret (normal flow)', () => {
-        it('should accept token signed with correct JWT secret', async () => {
-            // GIVEN: Token signed with CORRECT secret
+    describe('Test Case 2: Token signed with a published auth-service key (normal flow)', () => {
+        it('should accept token signed with a key from the JWKS', async () => {
+            // GIVEN: Token signed by auth-service
             const tokenPayload = {
                 id: 'user_valid_456',
                 role: 'customer',
             };
-            const validToken = jwt.sign(tokenPayload, CORRECT_JWT_SECRET, { expiresIn: '1h' });
+            const validToken = signWithAuthKey(tokenPayload, { expiresIn: '1h' });
 
             const orderData = {
                 customerId: 'customer_valid_456',
@@ -208,7 +233,7 @@ describe('RISK-01: JWT Secret Mismatch Integration Test', () => {
                 id: 'user_norole_111',
                 // role is missing
             };
-            const tokenWithoutRole = jwt.sign(tokenPayload, CORRECT_JWT_SECRET, { expiresIn: '1h' });
+            const tokenWithoutRole = signWithAuthKey(tokenPayload, { expiresIn: '1h' });
 
             const orderData = {
                 customerId: 'customer_norole_111',
@@ -235,15 +260,18 @@ describe('RISK-01: JWT Secret Mismatch Integration Test', () => {
         });
     });
 
-    describe('Test Case 5: Cross-service secret rotation scenario', () => {
-        it('should demonstrate impact when auth-service rotates secret but order-service does not', async () => {
-            // GIVEN: Simulate auth-service using new secret
-            const NEW_ROTATED_SECRET = 'NEW_ROTATED_SECRET_AFTER_SECURITY_INCIDENT';
+    describe('Test Case 5: Key rotation scenario', () => {
+        it('should accept tokens from a rotated key once auth-service publishes it', async () => {
+            // GIVEN: auth-service rotates to a new key (cache is past the unknown-kid cooldown)
+            const rotatedKey = makeAuthKey('auth-key-2');
+            publishedKeys = [currentKey, rotatedKey];
+            const now = Date.now();
+            jest.spyOn(Date, 'now').mockReturnValue(now + 60 * 1000);
             const tokenPayload = {
                 id: 'user_rotated_222',
                 role: 'customer',
             };
-            const tokenWithRotatedSecret = jwt.sign(tokenPayload, NEW_ROTATED_SECRET, { expiresIn: '1h' });
+            const tokenWithRotatedKey = signWithAuthKey(tokenPayload, { expiresIn: '1h' }, rotatedKey);
 
             const orderData = {
                 customerId: 'customer_rotated_222',
@@ -258,24 +286,25 @@ describe('RISK-01: JWT Secret Mismatch Integration Test', () => {
                 deliveryAddress: '333 Rotated Key Rd, City, Country'
             };
 
-            // WHEN: Request made with token from rotated secret
+            // WHEN: Request made with token from the rotated key
             const response = await request(app)
                 .post('/api/orders')
-                .set('Authorization', `Bearer ${tokenWithRotatedSecret}`)
+                .set('Authorization', `Bearer ${tokenWithRotatedKey}`)
                 .send(orderData);
+            Date.now.mockRestore();
 
-            // THEN: Should fail - order-service still uses old secret
-            expect(response.status).toBe(401);
-            expect(response.body.message).toMatch(/Invalid token/i);
+            // THEN: Should succeed - order-service refetched the JWKS, no config change needed
+            expect(response.status).toBe(201);
+            expect(response.body).toHaveProperty('_id');
         });
 
-        it('should succeed with token using current synchronized secret', async () => {
-            // GIVEN: Both services using same current secret
+        it('should reject tokens signed with the old shared JWT_SECRET', async () => {
+            // GIVEN: A token signed the pre-JWKS way
             const tokenPayload = {
                 id: 'user_synced_333',
                 role: 'customer',
             };
-            const syncedToken = jwt.sign(tokenPayload, CORRECT_JWT_SECRET, { expiresIn: '1h' });
+            const legacyToken = jwt.sign(tokenPayload, process.env.JWT_SECRET || 'legacy-shared-secret', { expiresIn: '1h' });
 
             const orderData = {
                 customerId: 'customer_synced_333',
@@ -290,16 +319,15 @@ describe('RISK-01: JWT Secret Mismatch Integration Test', () => {
                 deliveryAddress: '444 Synced Secrets Blvd, City, Country'
             };
 
-            // WHEN: Request made with synchronized secret token
+            // WHEN: Request made with the shared-secret token
             const response = await request(app)
                 .post('/api/orders')
-                .set('Authorization', `Bearer ${syncedToken}`)
+                .set('Authorization', `Bearer ${legacyToken}`)
                 .send(orderData);
 
-            // THEN: Should succeed
-            expect(response.status).toBe(201);
-            expect(response.body).toHaveProperty('_id');
-            expect(response.body.totalPrice).toBe(31.00);
+            // THEN: Should fail - order-service holds no secret to verify it with
+            expect(response.status).toBe(401);
+            expect(response.body.message).toMatch(/Invalid token/i);
         });
     });
 });
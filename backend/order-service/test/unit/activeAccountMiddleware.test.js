@@ -0,0 +1,72 @@
+import { jest } from "@jest/globals";
+
+// Mock the auth-service client before importing
+const mockIntrospectToken = jest.fn();
+
+jest.unstable_mockModule("../../utils/authClient.js", () => ({
+    introspectToken: mockIntrospectToken
+}));
+
+const { requireActiveAccount } = await import("../../middleware/activeAccountMiddleware.js");
+
+describe("activeAccountMiddleware", () => {
+    let req, res, next;
+
+    beforeEach(() => {
+        req = { header: jest.fn().mockReturnValue("Bearer token-123") };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+        next = jest.fn();
+        mockIntrospectToken.mockReset();
+    });
+
+    // Test 1: Active account
+    it("should continue when auth-service reports the token active", async () => {
+        // GIVEN: Active, unsuspended account
+        mockIntrospectToken.mockResolvedValue({ active: true, suspended: false });
+
+        // WHEN: Middleware runs
+        await requireActiveAccount(req, res, next);
+
+        // THEN: The bearer token was checked and the request continues
+        expect(mockIntrospectToken).toHaveBeenCalledWith("token-123");
+        expect(next).toHaveBeenCalled();
+        expect(res.status).not.toHaveBeenCalled();
+    });
+
+    // Test 2: Deleted account / revoked token
+    it("should return 401 when the token is no longer active", async () => {
+        mockIntrospectToken.mockResolvedValue({ active: false });
+
+        await requireActiveAccount(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith({ message: "Token is no longer active" });
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    // Test 3: Suspended account
+    it("should return 403 when the account is suspended", async () => {
+        mockIntrospectToken.mockResolvedValue({ active: false, suspended: true });
+
+        await requireActiveAccount(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith({ message: "Account is suspended" });
+    });
+
+    // Test 4: Fail closed
+    it("should return 503 when auth-service cannot be reached", async () => {
+        const consoleSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+        mockIntrospectToken.mockRejectedValue(new Error("Introspection request failed: ECONNREFUSED"));
+
+        await requireActiveAccount(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(503);
+        expect(res.json).toHaveBeenCalledWith({ message: "Authentication service unavailable" });
+        expect(next).not.toHaveBeenCalled();
+        consoleSpy.mockRestore();
+    });
+});
@@ -0,0 +1,251 @@
+import { jest } from "@jest/globals";
+import {
+    AuthServiceError,
+    loginClient,
+    logIn,
+    requestToken,
+    registerCustomer,
+    introspectToken,
+    clearIntrospectionCache,
+    findNearbyDrivers,
+    emitAudit,
+} from "../../utils/authClient.js";
+
+const jsonResponse = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+describe("authClient.introspectToken", () => {
+    let originalFetch;
+
+    beforeEach(() => {
+        originalFetch = global.fetch;
+        global.fetch = jest.fn();
+        clearIntrospectionCache();
+        process.env.AUTH_SERVICE_URL = "http://auth-service:5001";
+        process.env.AUTH_CLIENT_ID = "order-service";
+        process.env.AUTH_CLIENT_SECRET = "order-secret";
+        delete process.env.INTROSPECTION_CACHE_TTL_SECONDS;
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        jest.restoreAllMocks();
+    });
+
+    // Test 1: Request shape
+    it("should post the token with service client credentials", async () => {
+        // GIVEN: auth-service reports the token active
+        global.fetch.mockResolvedValue(jsonResponse(200, { active: true, suspended: false, sub: "cust-1" }));
+
+        // WHEN: Introspecting
+        const result = await introspectToken("token-a");
+
+        // THEN: Basic credentials and the token are sent to /api/auth/introspect
+        expect(result).toEqual({ active: true, suspended: false, sub: "cust-1" });
+        const [url, init] = global.fetch.mock.calls[0];
+        expect(url).toBe("http://auth-service:5001/api/auth/introspect");
+        expect(init.headers.Authorization).toBe(`Basic ${Buffer.from("order-service:order-secret").toString("base64")}`);
+        expect(JSON.parse(init.body)).toEqual({ token: "token-a" });
+    });
+
+    // Test 2: TTL cache
+    it("should cache answers per token for INTROSPECTION_CACHE_TTL_SECONDS", async () => {
+        process.env.INTROSPECTION_CACHE_TTL_SECONDS = "10";
+        const now = Date.now();
+        const clock = jest.spyOn(Date, "now").mockReturnValue(now);
+        global.fetch.mockResolvedValue(jsonResponse(200, { active: true }));
+
+        // WHEN: The same token is checked twice within the TTL, and another token once
+        await introspectToken("token-a");
+        await introspectToken("token-a");
+        await introspectToken("token-b");
+
+        // THEN: One call per distinct token
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+
+        // AND: After the TTL the answer is refreshed
+        clock.mockReturnValue(now + 11 * 1000);
+        await introspectToken("token-a");
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    // Test 3: Never outlive the token
+    it("should not cache past the token's exp", async () => {
+        const now = Date.now();
+        const clock = jest.spyOn(Date, "now").mockReturnValue(now);
+        global.fetch.mockResolvedValue(jsonResponse(200, { active: true, exp: Math.floor(now / 1000) + 5 }));
+
+        await introspectToken("short-lived");
+        clock.mockReturnValue(now + 6 * 1000);
+        await introspectToken("short-lived");
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    // Test 4: Failures
+    it("should throw AuthServiceError and cache nothing when auth-service fails", async () => {
+        global.fetch.mockResolvedValueOnce(jsonResponse(401, { message: "Invalid service client credentials." }));
+        await expect(introspectToken("token-a")).rejects.toBeInstanceOf(AuthServiceError);
+
+        global.fetch.mockRejectedValueOnce(new Error("ECONNREFUSED"));
+        await expect(introspectToken("token-a")).rejects.toThrow("Introspection request failed: ECONNREFUSED");
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe("authClient.findNearbyDrivers", () => {
+    let originalFetch;
+
+    beforeEach(() => {
+        originalFetch = global.fetch;
+        global.fetch = jest.fn();
+        process.env.AUTH_SERVICE_URL = "http://auth-service:5001";
+        process.env.AUTH_CLIENT_ID = "order-service";
+        process.env.AUTH_CLIENT_SECRET = "order-secret";
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    // Test 1: Request shape
+    it("should send the point and filters with service client credentials", async () => {
+        // GIVEN: auth-service finds one driver
+        const drivers = [{ id: "d1", vehicleType: "bike", distanceMeters: 420 }];
+        global.fetch.mockResolvedValue(jsonResponse(200, { status: "success", results: 1, data: { radiusMeters: 3000, drivers } }));
+
+        // WHEN: Looking for bikes and scooters rated 4+
+        const result = await findNearbyDrivers({
+            longitude: 106.7, latitude: 10.77, radius: 3000, vehicleType: ["bike", "scooter"], minRating: 4, limit: 5,
+        });
+
+        // THEN: Query string built from the search, drivers returned as sent
+        expect(result).toEqual(drivers);
+        const [url, init] = global.fetch.mock.calls[0];
+        expect(String(url)).toBe(
+            "http://auth-service:5001/api/auth/internal/drivers/nearby?lng=106.7&lat=10.77&radius=3000&vehicleType=bike%2Cscooter&minRating=4&limit=5"
+        );
+        expect(init.headers.Authorization).toBe(`Basic ${Buffer.from("order-service:order-secret").toString("base64")}`);
+    });
+
+    // Test 2: Errors
+    it("should surface auth-service validation messages and network failures", async () => {
+        global.fetch.mockResolvedValueOnce(jsonResponse(400, { message: "lng and lat are required numbers." }));
+        await expect(findNearbyDrivers({ longitude: "x", latitude: 1 })).rejects.toThrow("lng and lat are required numbers.");
+
+        global.fetch.mockRejectedValueOnce(new Error("ECONNREFUSED"));
+        await expect(findNearbyDrivers({ longitude: 1, latitude: 1 })).rejects.toThrow(AuthServiceError);
+    });
+});
+
+describe("authClient.emitAudit", () => {
+    let originalFetch;
+
+    beforeEach(() => {
+        originalFetch = global.fetch;
+        global.fetch = jest.fn();
+        process.env.AUTH_SERVICE_URL = "http://auth-service:5001";
+        process.env.AUTH_CLIENT_ID = "order-service";
+        process.env.AUTH_CLIENT_SECRET = "order-secret";
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        jest.restoreAllMocks();
+    });
+
+    // Test 1: Request shape
+    it("should send the event with the signed-in admin and their device", async () => {
+        // GIVEN: An admin changing an order's status from a browser
+        global.fetch.mockResolvedValue(jsonResponse(201, { status: "success" }));
+        const req = { user: { id: "adm-1", role: "admin" }, headers: { "user-agent": "Firefox" }, ip: "10.0.0.9" };
+
+        // WHEN: The change is audited
+        await emitAudit(req, {
+            action: "order.status.update",
+            target: { type: "order", id: "o1" },
+            before: { status: "Pending" },
+            after: { status: "Delivered" },
+        });
+
+        // THEN: Posted to the internal audit route as this service
+        const [url, init] = global.fetch.mock.calls[0];
+        expect(url).toBe("http://auth-service:5001/api/auth/internal/audit");
+        expect(init.headers.Authorization).toBe(`Basic ${Buffer.from("order-service:order-secret").toString("base64")}`);
+        const body = JSON.parse(init.body);
+        expect(body).toEqual(expect.objectContaining({
+            action: "order.status.update",
+            actor: { id: "adm-1", role: "admin" },
+            target: { type: "order", id: "o1" },
+            before: { status: "Pending" },
+            after: { status: "Delivered" },
+            client: { userAgent: "Firefox", ip: "10.0.0.9" },
+        }));
+        expect(Number.isNaN(Date.parse(body.at))).toBe(false);
+    });
+
+    // Test 2: Failures never reach the caller
+    it("should only log when auth-service refuses or cannot be reached", async () => {
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        global.fetch.mockResolvedValueOnce(jsonResponse(401, { message: "Invalid service client credentials." }));
+        global.fetch.mockRejectedValueOnce(new Error("ECONNREFUSED"));
+
+        await expect(emitAudit(undefined, { action: "order.status.update" })).resolves.toBeUndefined();
+        await expect(emitAudit(undefined, { action: "order.status.update" })).resolves.toBeUndefined();
+
+        expect(console.error).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe("authClient public endpoints", () => {
+    let originalFetch;
+
+    beforeEach(() => {
+        originalFetch = global.fetch;
+        global.fetch = jest.fn();
+        process.env.AUTH_SERVICE_URL = "http://auth-service:5001";
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    // Test 1: Login
+    it("should return the whole login answer from logIn and just the token from requestToken", async () => {
+        const answer = { status: "success", token: "t", refreshToken: "r", data: { account: { id: "c1", role: "customer" } } };
+        global.fetch.mockResolvedValue(jsonResponse(200, answer));
+
+        await expect(logIn({ email: "lan@example.com", password: "Secret123" })).resolves.toEqual(answer);
+        await expect(requestToken({ email: "lan@example.com", password: "Secret123" })).resolves.toBe("t");
+
+        const [url, init] = global.fetch.mock.calls[0];
+        expect(url).toBe("http://auth-service:5001/api/auth/token");
+        expect(JSON.parse(init.body)).toEqual({ email: "lan@example.com", password: "Secret123" });
+    });
+
+    it("should log in as a service client and forward the user's device", async () => {
+        // GIVEN: A login proxied for a user behind their own IP and browser
+        process.env.AUTH_CLIENT_ID = "order-service";
+        process.env.AUTH_CLIENT_SECRET = "order-secret";
+        global.fetch.mockResolvedValue(jsonResponse(200, { status: "success", token: "t" }));
+        const req = { ip: "203.0.113.7", headers: { "user-agent": "Mozilla/5.0" } };
+
+        // WHEN: Logging in on their behalf
+        await logIn({ email: "lan@example.com", password: "Secret123", client: loginClient(req) });
+
+        // THEN: Basic credentials, so auth-service trusts the forwarded client
+        const [, init] = global.fetch.mock.calls[0];
+        expect(init.headers.Authorization).toBe(`Basic ${Buffer.from("order-service:order-secret").toString("base64")}`);
+        expect(JSON.parse(init.body).client).toEqual({ ip: "203.0.113.7", userAgent: "Mozilla/5.0" });
+    });
+
+    // Test 2: Registration and errors
+    it("should register customers and carry auth-service's status on failure", async () => {
+        global.fetch.mockResolvedValueOnce(jsonResponse(201, { status: "success", token: "t" }));
+        await registerCustomer({ firstName: "Lan", lastName: "Pham", email: "lan@example.com", phone: "0901234567", password: "Secret123" });
+        expect(global.fetch.mock.calls[0][0]).toBe("http://auth-service:5001/api/auth/register/customer");
+
+        global.fetch.mockResolvedValueOnce(jsonResponse(409, { message: "Email already registered." }));
+        await expect(registerCustomer({})).rejects.toMatchObject({ status: 409, message: "Email already registered." });
+    });
+});
@@ -1,16 +1,32 @@
 import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
 
-// Mock jsonwebtoken before importing
-const mockJwt = {
-    verify: jest.fn()
-};
+// Mock JWKS verification and auth-service introspection before importing
+const mockVerifyToken = jest.fn();
+const mockIntrospectToken = jest.fn();
+const mockCreateOrder = jest.fn((req, res) => res.status(201).json({ orderId: 'order_123' }));
 
-jest.unstable_mockModule("jsonwebtoken", () => ({
-    default: mockJwt
+jest.unstable_mockModule("../../utils/jwks.js", () => ({
+    verifyToken: mockVerifyToken
+}));
+
+jest.unstable_mockModule("../../utils/authClient.js", () => ({
+    introspectToken: mockIntrospectToken
+}));
+
+jest.unstable_mockModule("../../controllers/orderController.js", () => ({
+    createOrder: mockCreateOrder,
+    getOrders: jest.fn(),
+    getOrderById: jest.fn(),
+    updateOrderStatus: jest.fn(),
+    cancelOrder: jest.fn(),
+    updateOrderDetails: jest.fn()
 }));
 
 // Import modules after mocking
-const { protect, authorizeRoles } = await import("../../middleware/authMiddleware.js");
+const { protect, authorizeRoles, requirePermission } = await import("../../middleware/authMiddleware.js");
+const { default: orderRoutes } = await import("../../routes/orderRoutes.js");
 
 describe("authMiddleware", () => {
     let req, res, next;
@@ -27,22 +43,21 @@ describe("authMiddleware", () => {
         };
         next = jest.fn();
         
-        // Setup environment variables
-        process.env.JWT_SECRET = "test-secret-key";
-        
         // Clear all mocks before each test
         jest.clearAllMocks();
-        mockJwt.verify.mockReset();
+        mockVerifyToken.mockReset();
+        mockIntrospectToken.mockReset();
+        mockIntrospectToken.mockResolvedValue({ active: true, suspended: false });
     });
 
     describe("protect middleware", () => {
         // Test 1: No token provided
-        it("should return 401 when no token is provided", () => {
+        it("should return 401 when no token is provided", async () => {
             // GIVEN: No Authorization header is present
             req.header.mockReturnValue(undefined);
 
             // WHEN: protect middleware is called
-            protect(req, res, next);
+            await protect(req, res, next);
 
             // THEN: Should return 401 with appropriate error message
             expect(res.status).toHaveBeenCalledWith(401);
@@ -53,25 +68,25 @@ describe("authMiddleware", () => {
         });
 
         // Test 2: Invalid token format
-        it("should return 401 when token verification fails", () => {
+        it("should return 401 when token verification fails", async () => {
             // GIVEN: A malformed or expired token is provided
             req.header.mockReturnValue("Bearer invalid-token");
-            mockJwt.verify.mockImplementation(() => {
+            mockVerifyToken.mockImplementation(() => {
                 throw new Error("jwt malformed");
             });
 
             // WHEN: protect middleware is called
-            protect(req, res, next);
+            await protect(req, res, next);
 
             // THEN: Should catch the error and return 401
-            expect(mockJwt.verify).toHaveBeenCalledWith("invalid-token", "test-secret-key");
+            expect(mockVerifyToken).toHaveBeenCalledWith("invalid-token");
             expect(res.status).toHaveBeenCalledWith(401);
             expect(res.json).toHaveBeenCalledWith({ message: "Invalid token" });
             expect(next).not.toHaveBeenCalled();
         });
 
         // Test 3: Valid token with role
-        it("should attach decoded user to request and call next when token is valid", () => {
+        it("should attach decoded user to request and call next when token is valid", async () => {
             // GIVEN: A valid token with role is provided
             const mockDecodedToken = {
                 userId: "12345",
@@ -79,21 +94,41 @@ describe("authMiddleware", () => {
                 role: "customer"
             };
             req.header.mockReturnValue("Bearer valid-token");
-            mockJwt.verify.mockReturnValue(mockDecodedToken);
+            mockVerifyToken.mockResolvedValue(mockDecodedToken);
 
             // WHEN: protect middleware is called
-            protect(req, res, next);
+            await protect(req, res, next);
 
             // THEN: Should verify token, attach user to request, and proceed
-            expect(mockJwt.verify).toHaveBeenCalledWith("valid-token", "test-secret-key");
+            expect(mockVerifyToken).toHaveBeenCalledWith("valid-token");
             expect(req.user).toEqual(mockDecodedToken);
             expect(next).toHaveBeenCalled();
             expect(res.status).not.toHaveBeenCalled();
             expect(res.json).not.toHaveBeenCalled();
         });
 
+        // Additional test: Standard claims from the unified auth token
+        it("should expose the sub claim as req.user.id", async () => {
+            // GIVEN: A token issued by /api/auth/token
+            const mockDecodedToken = {
+                sub: "cust-1",
+                role: "customer",
+                restaurantId: null,
+                permissions: []
+            };
+            req.header.mockReturnValue("Bearer unified-token");
+            mockVerifyToken.mockResolvedValue(mockDecodedToken);
+
+            // WHEN: protect middleware is called
+            await protect(req, res, next);
+
+            // THEN: Controllers can keep reading req.user.id
+            expect(req.user).toEqual({ ...mockDecodedToken, id: "cust-1" });
+            expect(next).toHaveBeenCalled();
+        });
+
         // Additional test: Token missing role property
-        it("should return 401 when decoded token has no role", () => {
+        it("should return 401 when decoded token has no role", async () => {
             // GIVEN: A valid token but without role property
             const mockDecodedToken = {
                 userId: "12345",
@@ -101,13 +136,13 @@ describe("authMiddleware", () => {
                 // role is missing
             };
             req.header.mockReturnValue("Bearer token-without-role");
-            mockJwt.verify.mockReturnValue(mockDecodedToken);
+            mockVerifyToken.mockResolvedValue(mockDecodedToken);
 
             // WHEN: protect middleware is called
-            protect(req, res, next);
+            await protect(req, res, next);
 
             // THEN: Should return 401 with role-specific error message
-            expect(mockJwt.verify).toHaveBeenCalledWith("token-without-role", "test-secret-key");
+            expect(mockVerifyToken).toHaveBeenCalledWith("token-without-role");
             expect(res.status).toHaveBeenCalledWith(401);
             expect(res.json).toHaveBeenCalledWith({ 
                 message: "Invalid token: Role not found" 
@@ -115,13 +150,70 @@ describe("authMiddleware", () => {
             expect(next).not.toHaveBeenCalled();
         });
 
+        // Additional test: auth-service keys cannot be fetched
+        it("should return 503 when the JWKS cannot be fetched", async () => {
+            // GIVEN: auth-service is unreachable and no key is cached
+            const jwksError = new Error("JWKS request failed: connect ECONNREFUSED");
+            jwksError.name = "JwksError";
+            req.header.mockReturnValue("Bearer valid-token");
+            mockVerifyToken.mockRejectedValue(jwksError);
+            jest.spyOn(console, "error").mockImplementation(() => {});
+
+            // WHEN: protect middleware is called
+            await protect(req, res, next);
+
+            // THEN: Should not blame the token
+            expect(res.status).toHaveBeenCalledWith(503);
+            expect(res.json).toHaveBeenCalledWith({ message: "Authentication service unavailable" });
+            expect(next).not.toHaveBeenCalled();
+            console.error.mockRestore();
+        });
+
+        // Additional test: account suspended after the token was issued
+        it("should return 403 when auth-service reports the account suspended", async () => {
+            // GIVEN: A correctly signed token whose account was suspended since
+            req.header.mockReturnValue("Bearer valid-token");
+            mockVerifyToken.mockResolvedValue({ sub: "cust-1", role: "customer" });
+            mockIntrospectToken.mockResolvedValue({ active: false, suspended: true });
+
+            // WHEN: protect middleware is called
+            await protect(req, res, next);
+
+            // THEN: The signature alone is not enough
+            expect(mockIntrospectToken).toHaveBeenCalledWith("valid-token");
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith({ message: "Account is suspended" });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it("should return 401 when the account was deleted or the session revoked", async () => {
+            req.header.mockReturnValue("Bearer valid-token");
+            mockVerifyToken.mockResolvedValue({ sub: "cust-1", role: "customer" });
+            mockIntrospectToken.mockResolvedValue({ active: false });
+
+            await protect(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ message: "Token is no longer active" });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it("should not ask auth-service about tokens it cannot verify", async () => {
+            req.header.mockReturnValue("Bearer invalid-token");
+            mockVerifyToken.mockRejectedValue(new Error("invalid signature"));
+
+            await protect(req, res, next);
+
+            expect(mockIntrospectToken).not.toHaveBeenCalled();
+        });
+
         // Null/edge case tests
-        it("should handle null Authorization header gracefully", () => {
+        it("should handle null Authorization header gracefully", async () => {
             // GIVEN: Authorization header is explicitly null
             req.header.mockReturnValue(null);
 
             // WHEN: protect middleware is called
-            protect(req, res, next);
+            await protect(req, res, next);
 
             // THEN: Should handle null and return 401
             expect(res.status).toHaveBeenCalledWith(401);
@@ -131,12 +223,12 @@ describe("authMiddleware", () => {
             expect(next).not.toHaveBeenCalled();
         });
 
-        it("should handle Authorization header without Bearer prefix", () => {
+        it("should handle Authorization header without Bearer prefix", async () => {
             // GIVEN: Authorization header exists but malformed (no "Bearer ")
             req.header.mockReturnValue("InvalidFormat");
 
             // WHEN: protect middleware is called
-            protect(req, res, next);
+            await protect(req, res, next);
 
             // THEN: Should not extract token properly and return 401
             expect(res.status).toHaveBeenCalledWith(401);
@@ -277,8 +369,98 @@ describe("authMiddleware", () => {
         });
     });
 
+    describe("requirePermission middleware", () => {
+        it("should pass admins whose token carries every permission", () => {
+            // GIVEN: Admin token with manage-orders
+            req.user = { id: "admin_1", role: "admin", permissions: ["manage-orders", "manage-users"] };
+
+            // WHEN: requirePermission middleware is called
+            requirePermission("manage-orders")(req, res, next);
+
+            // THEN: Should proceed
+            expect(next).toHaveBeenCalled();
+            expect(res.status).not.toHaveBeenCalled();
+        });
+
+        it("should pass super-admins without checking the claim", () => {
+            req.user = { id: "owner_1", role: "super-admin" };
+
+            requirePermission("manage-orders")(req, res, next);
+
+            expect(next).toHaveBeenCalled();
+        });
+
+        it.each([
+            ["a missing permission", { role: "admin", permissions: ["manage-users"] }],
+            ["no permissions claim", { role: "admin" }],
+            ["a malformed claim", { role: "admin", permissions: "manage-orders" }]
+        ])("should return 403 for %s", (label, user) => {
+            req.user = user;
+
+            requirePermission("manage-orders")(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith({ message: "Access denied: Missing permission" });
+            expect(next).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("Suspended accounts on order routes", () => {
+        const buildApp = () => {
+            const app = express();
+            app.use(express.json());
+            app.use("/api/orders", orderRoutes);
+            return app;
+        };
+
+        it("should refuse POST /api/orders for a suspended customer", async () => {
+            // GIVEN: A customer token that is still within its lifetime
+            mockVerifyToken.mockResolvedValue({ sub: "cust-1", role: "customer", emailVerified: true });
+            mockIntrospectToken.mockResolvedValue({ active: false, suspended: true });
+
+            // WHEN: The customer places an order
+            const response = await request(buildApp())
+                .post("/api/orders")
+                .set("Authorization", "Bearer suspended-token")
+                .send({ restaurantId: "rest-1", items: [] })
+                .expect(403);
+
+            // THEN: No order is created
+            expect(response.body).toEqual({ message: "Account is suspended" });
+            expect(mockCreateOrder).not.toHaveBeenCalled();
+        });
+
+        it("should place the order for an active customer", async () => {
+            mockVerifyToken.mockResolvedValue({ sub: "cust-1", role: "customer", emailVerified: true });
+
+            await request(buildApp())
+                .post("/api/orders")
+                .set("Authorization", "Bearer active-token")
+                .send({ restaurantId: "rest-1", items: [] })
+                .expect(201);
+
+            expect(mockIntrospectToken).toHaveBeenCalledWith("active-token");
+            expect(mockCreateOrder).toHaveBeenCalled();
+        });
+
+        it("should answer 503 rather than place the order when auth-service is down", async () => {
+            mockVerifyToken.mockResolvedValue({ sub: "cust-1", role: "customer", emailVerified: true });
+            mockIntrospectToken.mockRejectedValue(new Error("Introspection request failed: ECONNREFUSED"));
+            jest.spyOn(console, "error").mockImplementation(() => {});
+
+            await request(buildApp())
+                .post("/api/orders")
+                .set("Authorization", "Bearer active-token")
+                .send({ restaurantId: "rest-1", items: [] })
+                .expect(503);
+
+            expect(mockCreateOrder).not.toHaveBeenCalled();
+            console.error.mockRestore();
+        });
+    });
+
     describe("Integration scenarios", () => {
-        it("should handle protect followed by authorizeRoles successfully", () => {
+        it("should handle protect followed by authorizeRoles successfully", async () => {
             // GIVEN: A valid token with customer role
             const mockDecodedToken = {
                 userId: "12345",
@@ -286,10 +468,10 @@ describe("authMiddleware", () => {
                 role: "customer"
             };
             req.header.mockReturnValue("Bearer valid-token");
-            mockJwt.verify.mockReturnValue(mockDecodedToken);
+            mockVerifyToken.mockResolvedValue(mockDecodedToken);
 
             // WHEN: protect middleware is called first
-            protect(req, res, next);
+            await protect(req, res, next);
 
             // THEN: User should be attached and next called
             expect(req.user).toEqual(mockDecodedToken);
@@ -305,7 +487,7 @@ describe("authMiddleware", () => {
             expect(res.status).not.toHaveBeenCalled();
         });
 
-        it("should handle protect followed by authorizeRoles with role mismatch", () => {
+        it("should handle protect followed by authorizeRoles with role mismatch", async () => {
             // GIVEN: A valid token with customer role
             const mockDecodedToken = {
                 userId: "12345",
@@ -313,10 +495,10 @@ describe("authMiddleware", () => {
                 role: "customer"
             };
             req.header.mockReturnValue("Bearer valid-token");
-            mockJwt.verify.mockReturnValue(mockDecodedToken);
+            mockVerifyToken.mockResolvedValue(mockDecodedToken);
 
             // WHEN: protect middleware is called first
-            protect(req, res, next);
+            await protect(req, res, next);
 
             // THEN: User should be attached
             expect(req.user).toEqual(mockDecodedToken);
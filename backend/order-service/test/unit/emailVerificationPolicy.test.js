@@ -0,0 +1,77 @@
+import { jest } from '@jest/globals';
+import { requireVerifiedEmail } from '../../middleware/emailVerificationPolicy.js';
+
+describe("emailVerificationPolicy", () => {
+    let req, res, next;
+
+    beforeEach(() => {
+        req = { user: { id: "customer_1", role: "customer" } };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+        next = jest.fn();
+        delete process.env.VERIFIED_EMAIL_REQUIRED_FOR;
+    });
+
+    afterAll(() => {
+        delete process.env.VERIFIED_EMAIL_REQUIRED_FOR;
+    });
+
+    it("should allow any user when the action is not configured", () => {
+        // GIVEN: No policy configured
+        // WHEN: Unverified customer places an order
+        requireVerifiedEmail("place-order")(req, res, next);
+
+        // THEN: Should pass through
+        expect(next).toHaveBeenCalledWith();
+        expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it("should return 403 for unverified users when the action requires verification", () => {
+        // GIVEN: place-order requires a verified email
+        process.env.VERIFIED_EMAIL_REQUIRED_FOR = "place-order";
+        req.user.emailVerified = false;
+
+        // WHEN: Unverified customer places an order
+        requireVerifiedEmail("place-order")(req, res, next);
+
+        // THEN: Should reject with a machine-readable code
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith({
+            message: "Please verify your email address before continuing",
+            code: "EMAIL_NOT_VERIFIED"
+        });
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it("should treat tokens without the claim as unverified", () => {
+        process.env.VERIFIED_EMAIL_REQUIRED_FOR = "place-order";
+
+        requireVerifiedEmail("place-order")(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it("should allow verified users", () => {
+        process.env.VERIFIED_EMAIL_REQUIRED_FOR = "place-order";
+        req.user.emailVerified = true;
+
+        requireVerifiedEmail("place-order")(req, res, next);
+
+        expect(next).toHaveBeenCalled();
+    });
+
+    it("should only enforce the listed actions", () => {
+        // GIVEN: Policy listing several actions with whitespace
+        process.env.VERIFIED_EMAIL_REQUIRED_FOR = " cancel-order , place-order ";
+
+        // WHEN: An unlisted action is checked
+        requireVerifiedEmail("view-orders")(req, res, next);
+        requireVerifiedEmail("cancel-order")(req, res, next);
+
+        // THEN: First passes, second is blocked
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+});
@@ -0,0 +1,103 @@
+import { jest } from "@jest/globals";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { verifyToken, clearJwksCache } from "../../utils/jwks.js";
+
+// Key pair standing in for auth-service's signing key
+const makeKey = (kid, type = "ec") => {
+    const { privateKey, publicKey } = type === "ec"
+        ? crypto.generateKeyPairSync("ec", { namedCurve: "P-256" })
+        : crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const alg = type === "ec" ? "ES256" : "RS256";
+    return {
+        kid,
+        alg,
+        sign: (payload) => jwt.sign(payload, privateKey, { algorithm: alg, keyid: kid, expiresIn: "15m" }),
+        jwk: { ...publicKey.export({ format: "jwk" }), kid, alg, use: "sig" },
+    };
+};
+
+const jwksResponse = (...keys) => ({
+    ok: true,
+    status: 200,
+    json: async () => ({ keys: keys.map((key) => key.jwk) }),
+});
+
+describe("jwks", () => {
+    let originalFetch;
+
+    beforeEach(() => {
+        originalFetch = global.fetch;
+        global.fetch = jest.fn();
+        clearJwksCache();
+        process.env.AUTH_SERVICE_URL = "http://auth-service:5001";
+        delete process.env.JWKS_URI;
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        jest.restoreAllMocks();
+    });
+
+    // Test 1: Happy path
+    it("should verify a token signed by a published key", async () => {
+        // GIVEN: auth-service publishes one ES256 key
+        const key = makeKey("k1");
+        global.fetch.mockResolvedValue(jwksResponse(key));
+
+        // WHEN: A token it signed is verified
+        const decoded = await verifyToken(key.sign({ sub: "cust-1", role: "customer" }));
+
+        // THEN: Claims are returned and the JWKS came from auth-service
+        expect(decoded).toEqual(expect.objectContaining({ sub: "cust-1", role: "customer" }));
+        expect(global.fetch).toHaveBeenCalledWith("http://auth-service:5001/.well-known/jwks.json");
+    });
+
+    // Test 2: Cache
+    it("should reuse cached keys instead of fetching on every request", async () => {
+        const key = makeKey("k1", "rsa");
+        global.fetch.mockResolvedValue(jwksResponse(key));
+
+        await verifyToken(key.sign({ sub: "a", role: "customer" }));
+        await verifyToken(key.sign({ sub: "b", role: "customer" }));
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    // Test 3: Rotation
+    it("should refetch when a token names a new kid after rotation", async () => {
+        // GIVEN: Cache filled before the key was rotated (and the cooldown has passed)
+        const oldKey = makeKey("old");
+        const newKey = makeKey("new");
+        global.fetch.mockResolvedValueOnce(jwksResponse(oldKey)).mockResolvedValueOnce(jwksResponse(oldKey, newKey));
+        await verifyToken(oldKey.sign({ sub: "a", role: "customer" }));
+        const now = Date.now();
+        jest.spyOn(Date, "now").mockReturnValue(now + 60 * 1000);
+
+        // WHEN: A token signed with the new key arrives
+        const decoded = await verifyToken(newKey.sign({ sub: "b", role: "customer" }));
+
+        // THEN: Keys are refreshed and the token verifies
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(decoded.sub).toBe("b");
+    });
+
+    // Test 4: Forged tokens
+    it("should reject shared-secret and unknown-key tokens", async () => {
+        const key = makeKey("k1");
+        global.fetch.mockResolvedValue(jwksResponse(key));
+        const hsToken = jwt.sign({ sub: "x", role: "admin" }, "guessed-secret", { keyid: "k1" });
+        const foreign = makeKey("k1").sign({ sub: "x", role: "admin" });
+
+        await expect(verifyToken(hsToken)).rejects.toThrow();
+        await expect(verifyToken(foreign)).rejects.toThrow("invalid signature");
+        await expect(verifyToken(jwt.sign({ sub: "x" }, "secret"))).rejects.toThrow("invalid signing key");
+    });
+
+    // Test 5: auth-service unavailable
+    it("should raise JwksError when keys cannot be fetched", async () => {
+        global.fetch.mockRejectedValue(new Error("connect ECONNREFUSED"));
+
+        await expect(verifyToken(makeKey("k1").sign({ sub: "x" }))).rejects.toMatchObject({ name: "JwksError" });
+    });
+});
@@ -28,8 +28,13 @@ jest.unstable_mockModule('../../models/orderModel.js', () => ({
     default: mockOrderConstructor
 }));
 
+const mockEmitAudit = jest.fn();
+jest.unstable_mockModule('../../utils/authClient.js', () => ({
+    emitAudit: mockEmitAudit
+}));
+
 // Import controller after mocking
-const { createOrder, updateOrderDetails } = await import('../../controllers/orderController.js');
+const { createOrder, getOrders, getOrderById, updateOrderDetails, updateOrderStatus } = await import('../../controllers/orderController.js');
 
 describe('OrderController Unit Tests - Shopee QA Standards', () => {
     let req, res, mockOrderInstance;
@@ -414,6 +419,7 @@ describe('OrderController Unit Tests - Shopee QA Standards', () => {
             // THEN: Should create order with correct price calculation
             expect(mockOrderConstructor).toHaveBeenCalledWith({
                 customerId: 'customer_123',
+                customerAccountId: 'user_123',
                 restaurantId: 'restaurant_456',
                 items: req.body.items,
                 totalPrice: expectedTotalPrice,
@@ -474,6 +480,7 @@ describe('OrderController Unit Tests - Shopee QA Standards', () => {
             // THEN: Should create order with correctly calculated total price
             expect(mockOrderConstructor).toHaveBeenCalledWith({
                 customerId: 'customer_123',
+                customerAccountId: 'user_123',
                 restaurantId: 'restaurant_456',
                 items: req.body.items,
                 totalPrice: expectedTotalPrice,
@@ -529,6 +536,7 @@ describe('OrderController Unit Tests - Shopee QA Standards', () => {
             // THEN: Should handle decimal calculations correctly
             expect(mockOrderConstructor).toHaveBeenCalledWith({
                 customerId: 'customer_789',
+                customerAccountId: 'user_123',
                 restaurantId: 'restaurant_999',
                 items: req.body.items,
                 totalPrice: expectedTotalPrice,
@@ -936,4 +944,163 @@ describe('OrderController Unit Tests - Shopee QA Standards', () => {
             });
         });
     });
+
+    // ============================================================================
+    // Test 5: createOrder | saved address | location from the address book
+    // ============================================================================
+    describe('Test 5: createOrder - Saved Address With Coordinates', () => {
+        const baseBody = {
+            customerId: 'customer_123',
+            restaurantId: 'restaurant_456',
+            items: [{ foodId: 'food_789', quantity: 1, price: 50000 }],
+            deliveryAddress: 'Home: 12 Le Loi, District 1, Ho Chi Minh City'
+        };
+
+        it('should store the picked address id and its GeoJSON point', async () => {
+            // GIVEN: Checkout with a saved address that has coordinates
+            req.body = {
+                ...baseBody,
+                deliveryAddressId: 'addr_1',
+                deliveryLocation: { type: 'Point', coordinates: [106.7009, 10.7769] }
+            };
+
+            // WHEN: createOrder is called
+            await createOrder(req, res);
+
+            // THEN: Order keeps the address reference and location
+            expect(mockOrderConstructor).toHaveBeenCalledWith(expect.objectContaining({
+                deliveryAddressId: 'addr_1',
+                deliveryLocation: { type: 'Point', coordinates: [106.7009, 10.7769] }
+            }));
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        it('should accept a null location for addresses without coordinates', async () => {
+            req.body = { ...baseBody, deliveryAddressId: 'addr_2', deliveryLocation: null };
+
+            await createOrder(req, res);
+
+            expect(mockOrderConstructor.mock.calls[0][0]).not.toHaveProperty('deliveryLocation');
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        it('should reject coordinates given as [lat, lng] out of range', async () => {
+            req.body = { ...baseBody, deliveryLocation: { type: 'Point', coordinates: [10.7769, 206.7009] } };
+
+            await createOrder(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({
+                error: 'Delivery location must be a GeoJSON Point [longitude, latitude]'
+            });
+            expect(mockOrderConstructor).not.toHaveBeenCalled();
+        });
+
+        it('should record the account id from the token', async () => {
+            // GIVEN: customerId carries a display name, the token the account
+            req.body = { ...baseBody, customerId: 'Lan Pham' };
+
+            await createOrder(req, res);
+
+            expect(mockOrderConstructor).toHaveBeenCalledWith(expect.objectContaining({
+                customerId: 'Lan Pham',
+                customerAccountId: 'user_123'
+            }));
+        });
+    });
+
+    // ============================================================================
+    // Test 6: updateOrderStatus | audit | previous and new status recorded
+    // ============================================================================
+    describe('Test 6: updateOrderStatus - Audited Status Changes', () => {
+        it('should record the previous and new status with the acting admin', async () => {
+            // GIVEN: An admin moving a pending order to delivered
+            req.user = { id: 'admin_1', role: 'admin', permissions: ['manage-orders'] };
+            req.params.id = 'mock_order_id_123';
+            req.body = { status: 'Delivered' };
+            mockOrderConstructor.findById = jest.fn().mockResolvedValue({ _id: 'mock_order_id_123', status: 'Pending' });
+            mockOrderConstructor.findByIdAndUpdate = jest.fn().mockResolvedValue({ _id: 'mock_order_id_123', status: 'Delivered' });
+
+            // WHEN: updateOrderStatus is called
+            await updateOrderStatus(req, res);
+
+            // THEN: Order returned and the change sent to the audit log
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(mockEmitAudit).toHaveBeenCalledWith(req, {
+                action: 'order.status.update',
+                target: { type: 'order', id: 'mock_order_id_123' },
+                before: { status: 'Pending' },
+                after: { status: 'Delivered' }
+            });
+        });
+
+        it('should return 404 without auditing when the order does not exist', async () => {
+            req.params.id = 'missing';
+            req.body = { status: 'Delivered' };
+            mockOrderConstructor.findById = jest.fn().mockResolvedValue(null);
+            mockOrderConstructor.findByIdAndUpdate = jest.fn();
+
+            await updateOrderStatus(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(mockOrderConstructor.findByIdAndUpdate).not.toHaveBeenCalled();
+            expect(mockEmitAudit).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 7: Restaurant admins are scoped by their restaurantId claim
+    // ============================================================================
+    describe('Test 7: Restaurant Admin Scope - Only Their Restaurant\'s Orders', () => {
+        beforeEach(() => {
+            req.user = { id: 'ra_1', role: 'restaurant-admin', restaurantId: 'restaurant_1' };
+        });
+
+        it('should list only orders of the restaurant in the token', async () => {
+            mockOrderConstructor.find = jest.fn().mockResolvedValue([{ _id: 'order_1', restaurantId: 'restaurant_1' }]);
+
+            await getOrders(req, res);
+
+            expect(mockOrderConstructor.find).toHaveBeenCalledWith({ restaurantId: 'restaurant_1' });
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        it('should not narrow the list for platform admins', async () => {
+            req.user = { id: 'admin_1', role: 'admin', permissions: ['manage-orders'] };
+            mockOrderConstructor.find = jest.fn().mockResolvedValue([]);
+
+            await getOrders(req, res);
+
+            expect(mockOrderConstructor.find).toHaveBeenCalledWith({});
+        });
+
+        it('should answer 404 for another restaurant\'s order', async () => {
+            req.params.id = 'order_2';
+            mockOrderConstructor.findById = jest.fn().mockResolvedValue({ _id: 'order_2', restaurantId: 'restaurant_2' });
+
+            await getOrderById(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+
+        it('should update the status of its own orders only', async () => {
+            // GIVEN: One order of the admin's restaurant, one of another
+            req.body = { status: 'Preparing' };
+            mockOrderConstructor.findByIdAndUpdate = jest.fn().mockResolvedValue({ _id: 'order_1', status: 'Preparing' });
+            mockOrderConstructor.findById = jest.fn()
+                .mockResolvedValueOnce({ _id: 'order_1', restaurantId: 'restaurant_1', status: 'Pending' })
+                .mockResolvedValueOnce({ _id: 'order_2', restaurantId: 'restaurant_2', status: 'Pending' });
+
+            // WHEN: Updating both
+            req.params.id = 'order_1';
+            await updateOrderStatus(req, res);
+            req.params.id = 'order_2';
+            await updateOrderStatus(req, res);
+
+            // THEN: Own order updated, the other answered 404 and left untouched
+            expect(res.status.mock.calls.map(([code]) => code)).toEqual([200, 404]);
+            expect(mockOrderConstructor.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+            expect(mockOrderConstructor.findByIdAndUpdate).toHaveBeenCalledWith('order_1', { status: 'Preparing' }, { new: true });
+        });
+    });
 });
@@ -47,9 +47,20 @@ jest.unstable_mockModule('../../controllers/orderController.js', () => ({
     updateOrderDetails: mockUpdateOrderDetails
 }));
 
+const mockRequirePermission = jest.fn((...permissions) => {
+    return (req, res, next) => {
+        if (req.user?.role === 'super-admin' || permissions.every((p) => req.user?.permissions?.includes(p))) {
+            next();
+        } else {
+            res.status(403).json({ message: 'Access denied: Missing permission' });
+        }
+    };
+});
+
 jest.unstable_mockModule('../../middleware/authMiddleware.js', () => ({
     protect: mockProtect,
-    authorizeRoles: mockAuthorizeRoles
+    authorizeRoles: mockAuthorizeRoles,
+    requirePermission: mockRequirePermission
 }));
 
 // Import router after mocking
@@ -249,7 +260,7 @@ describe('OrderRoutes Unit Tests - Shopee QA Standards', () => {
         it('should reject restaurant admin attempting to create order', async () => {
             // GIVEN: An authenticated restaurant admin tries to create order
             mockProtect.mockImplementationOnce((req, res, next) => {
-                req.user = { id: 'admin_123', role: 'restaurant' };
+                req.user = { id: 'admin_123', role: 'restaurant-admin', restaurantId: 'restaurant_456' };
                 next();
             });
 
@@ -413,7 +424,7 @@ describe('OrderRoutes Unit Tests - Shopee QA Standards', () => {
         it('should allow restaurant admin to retrieve orders', async () => {
             // GIVEN: An authenticated restaurant admin requests orders
             mockProtect.mockImplementationOnce((req, res, next) => {
-                req.user = { id: 'restaurant_456', role: 'restaurant' };
+                req.user = { id: 'ra_456', role: 'restaurant-admin', restaurantId: 'restaurant_456' };
                 next();
             });
 
@@ -428,6 +439,18 @@ describe('OrderRoutes Unit Tests - Shopee QA Standards', () => {
             expect(response.body).toHaveProperty('orders');
         });
 
+        it('should reject tokens with the retired "restaurant" role', async () => {
+            // GIVEN: A token from before restaurant owners signed in as restaurant-admin
+            mockProtect.mockImplementationOnce((req, res, next) => {
+                req.user = { id: 'restaurant_456', role: 'restaurant' };
+                next();
+            });
+
+            // WHEN/THEN: It no longer lists orders
+            await request(app).get('/orders').expect(403);
+            expect(mockGetOrders).not.toHaveBeenCalled();
+        });
+
         it('should validate multiple roles in authorizeRoles middleware', async () => {
             // GIVEN: Multiple role validation is required
             mockProtect.mockImplementationOnce((req, res, next) => {
@@ -535,7 +558,7 @@ describe('OrderRoutes Unit Tests - Shopee QA Standards', () => {
             const orderId = 'order_restaurant_456';
             
             mockProtect.mockImplementationOnce((req, res, next) => {
-                req.user = { id: 'restaurant_789', role: 'restaurant' };
+                req.user = { id: 'ra_789', role: 'restaurant-admin', restaurantId: 'restaurant_789' };
                 next();
             });
 
@@ -887,6 +910,150 @@ describe('OrderRoutes Unit Tests - Shopee QA Standards', () => {
         });
     });
 
+    // ============================================================================
+    // Test 6: DELETE /:id - Cancellation By Active Customers Only
+    // ============================================================================
+    describe('Test 6: DELETE /:id (cancelOrder) - Requires An Active Customer', () => {
+        it('should cancel when protect accepts the customer', async () => {
+            // GIVEN: Authenticated customer
+            mockProtect.mockImplementationOnce((req, res, next) => {
+                req.user = { id: 'customer_123', role: 'customer' };
+                next();
+            });
+
+            // WHEN: Customer cancels an order
+            const response = await request(app)
+                .delete('/orders/order_cancel_1')
+                .expect(200);
+
+            // THEN: Controller should run
+            expect(mockProtect).toHaveBeenCalledTimes(1);
+            expect(mockCancelOrder).toHaveBeenCalled();
+            expect(response.body).toHaveProperty('orderId', 'order_cancel_1');
+        });
+
+        it('should not cancel when protect refuses a suspended account', async () => {
+            // GIVEN: Valid token whose account was suspended (protect asks auth-service)
+            mockProtect.mockImplementationOnce((req, res) => {
+                res.status(403).json({ message: 'Account is suspended' });
+            });
+
+            // WHEN: Customer tries to cancel
+            await request(app)
+                .delete('/orders/order_cancel_2')
+                .expect(403);
+
+            // THEN: Controller should never run
+            expect(mockCancelOrder).not.toHaveBeenCalled();
+        });
+
+        it('should reject other roles', async () => {
+            mockProtect.mockImplementationOnce((req, res, next) => {
+                req.user = { id: 'rest_1', role: 'restaurant-admin', restaurantId: 'restaurant_1' };
+                next();
+            });
+
+            await request(app)
+                .delete('/orders/order_cancel_3')
+                .expect(403);
+
+            expect(mockCancelOrder).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 7: Admin routes - manage-orders permission
+    // ============================================================================
+    describe('Test 7: /admin Routes - Admins With manage-orders', () => {
+        const asUser = (user) => mockProtect.mockImplementationOnce((req, res, next) => {
+            req.user = user;
+            next();
+        });
+
+        it('should be built with the manage-orders permission', () => {
+            expect(mockRequirePermission).toHaveBeenCalledWith('manage-orders');
+        });
+
+        it('should list every order for an admin holding manage-orders', async () => {
+            // GIVEN: Admin token carrying the permission
+            asUser({ id: 'admin_1', role: 'admin', permissions: ['manage-orders'] });
+
+            // WHEN: Admin lists all orders
+            const response = await request(app).get('/orders/admin/all').expect(200);
+
+            // THEN: Reaches getOrders, not getOrderById("admin")
+            expect(mockGetOrders).toHaveBeenCalled();
+            expect(mockGetOrderById).not.toHaveBeenCalled();
+            expect(response.body.orders).toHaveLength(2);
+        });
+
+        it('should let a super-admin update any order status', async () => {
+            asUser({ id: 'owner_1', role: 'super-admin' });
+
+            const response = await request(app)
+                .patch('/orders/admin/order_9/status')
+                .send({ status: 'Delivered' })
+                .expect(200);
+
+            expect(mockUpdateOrderStatus).toHaveBeenCalled();
+            expect(response.body).toHaveProperty('orderId', 'order_9');
+        });
+
+        it('should reject admins without manage-orders', async () => {
+            asUser({ id: 'admin_2', role: 'admin', permissions: ['manage-users'] });
+
+            const response = await request(app).get('/orders/admin/all').expect(403);
+
+            expect(response.body.message).toBe('Access denied: Missing permission');
+            expect(mockGetOrders).not.toHaveBeenCalled();
+        });
+
+        it('should reject customers before the permission check', async () => {
+            const response = await request(app)
+                .patch('/orders/admin/order_9/status')
+                .send({ status: 'Delivered' })
+                .expect(403);
+
+            expect(response.body.message).toBe('Access denied: Unauthorized role');
+            expect(mockUpdateOrderStatus).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 8: PATCH /:id/status - Restaurant admins update their orders
+    // ============================================================================
+    describe('Test 8: PATCH /:id/status - Restaurant Admins Move Their Orders Along', () => {
+        const asUser = (user) => mockProtect.mockImplementationOnce((req, res, next) => {
+            req.user = user;
+            next();
+        });
+
+        it('should hand a restaurant-admin token with its restaurantId to updateOrderStatus', async () => {
+            // GIVEN: Restaurant admin token carrying the restaurantId claim
+            asUser({ id: 'ra_1', role: 'restaurant-admin', restaurantId: 'restaurant_1' });
+
+            // WHEN: Marking an order as preparing
+            await request(app).patch('/orders/order_5/status').send({ status: 'Preparing' }).expect(200);
+
+            // THEN: The status controller (not updateOrderDetails) sees the claim to scope by
+            expect(mockUpdateOrderStatus).toHaveBeenCalledTimes(1);
+            expect(mockUpdateOrderDetails).not.toHaveBeenCalled();
+            const [req] = mockUpdateOrderStatus.mock.calls[0];
+            expect(req.params.id).toBe('order_5');
+            expect(req.user.restaurantId).toBe('restaurant_1');
+        });
+
+        it('should reject customers and retired "restaurant" tokens', async () => {
+            asUser({ id: 'customer_1', role: 'customer' });
+            await request(app).patch('/orders/order_5/status').send({ status: 'Delivered' }).expect(403);
+
+            asUser({ id: 'restaurant_1', role: 'restaurant' });
+            await request(app).patch('/orders/order_5/status').send({ status: 'Delivered' }).expect(403);
+
+            expect(mockUpdateOrderStatus).not.toHaveBeenCalled();
+        });
+    });
+
     // ============================================================================
     // Additional Edge Cases and Security Tests
     // ============================================================================
@@ -0,0 +1,96 @@
+import { jest } from "@jest/globals";
+
+// Mock Order model before importing controller
+const mockLean = jest.fn();
+const mockQuery = {
+    sort: jest.fn().mockReturnThis(),
+    select: jest.fn().mockReturnThis(),
+    lean: mockLean
+};
+const mockOrder = {
+    find: jest.fn(() => mockQuery),
+    updateMany: jest.fn()
+};
+
+jest.unstable_mockModule("../../models/orderModel.js", () => ({
+    default: mockOrder
+}));
+
+const { exportCustomerOrders, anonymizeCustomerOrders } = await import("../../controllers/privacyController.js");
+
+describe("privacyController", () => {
+    let req, res;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        req = { body: { customerId: "64b000000000000000000001" } };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+    });
+
+    // Test 1: Export
+    it("should export orders matched by account id or legacy customerId", async () => {
+        // GIVEN: Two orders for the customer
+        mockLean.mockResolvedValue([{ _id: "o1" }, { _id: "o2" }]);
+
+        // WHEN: Exporting
+        await exportCustomerOrders(req, res);
+
+        // THEN: Both id fields are searched, oldest first
+        expect(mockOrder.find).toHaveBeenCalledWith({
+            $or: [
+                { customerAccountId: "64b000000000000000000001" },
+                { customerId: "64b000000000000000000001" }
+            ]
+        });
+        expect(mockQuery.sort).toHaveBeenCalledWith({ createdAt: 1 });
+        expect(res.json).toHaveBeenCalledWith({ orders: [{ _id: "o1" }, { _id: "o2" }] });
+    });
+
+    // Test 2: Anonymize
+    it("should replace personal fields but keep items and totals", async () => {
+        // GIVEN: Two matching orders
+        req.body.pseudonym = "deleted-abc123";
+        mockLean.mockResolvedValue([{ _id: "o1" }, { _id: "o2" }]);
+        mockOrder.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+        // WHEN: Anonymizing
+        await anonymizeCustomerOrders(req, res);
+
+        // THEN: Only identifying fields are touched and the order ids are returned
+        const [filter, update] = mockOrder.updateMany.mock.calls[0];
+        expect(filter).toEqual({ _id: { $in: ["o1", "o2"] } });
+        expect(update.$set).toEqual({
+            customerId: "deleted-abc123",
+            customerAccountId: "deleted-abc123",
+            deliveryAddress: "[deleted]",
+            anonymizedAt: expect.any(Date)
+        });
+        expect(update.$unset).toEqual({ deliveryAddressId: "", deliveryLocation: "" });
+        expect(update.$set).not.toHaveProperty("totalPrice");
+        expect(res.json).toHaveBeenCalledWith({ orderIds: ["o1", "o2"], anonymized: 2 });
+    });
+
+    // Test 3: Nothing to anonymize
+    it("should skip the update when the customer has no orders", async () => {
+        req.body.pseudonym = "deleted-abc123";
+        mockLean.mockResolvedValue([]);
+
+        await anonymizeCustomerOrders(req, res);
+
+        expect(mockOrder.updateMany).not.toHaveBeenCalled();
+        expect(res.json).toHaveBeenCalledWith({ orderIds: [], anonymized: 0 });
+    });
+
+    // Test 4: Validation
+    it("should require customerId (and pseudonym to anonymize)", async () => {
+        await anonymizeCustomerOrders(req, res);
+        await exportCustomerOrders({ body: {} }, res);
+
+        expect(res.status).toHaveBeenNthCalledWith(1, 400);
+        expect(res.status).toHaveBeenNthCalledWith(2, 400);
+        expect(mockOrder.find).not.toHaveBeenCalled();
+    });
+});
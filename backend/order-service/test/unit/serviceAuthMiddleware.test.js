@@ -0,0 +1,76 @@
+import { jest } from "@jest/globals";
+
+// Mock JWKS verification before importing
+const mockVerifyToken = jest.fn();
+
+jest.unstable_mockModule("../../utils/jwks.js", () => ({
+    verifyToken: mockVerifyToken
+}));
+
+const { requireServiceScope } = await import("../../middleware/serviceAuthMiddleware.js");
+
+describe("serviceAuthMiddleware", () => {
+    let req, res, next;
+    const middleware = requireServiceScope("privacy");
+
+    beforeEach(() => {
+        req = { header: jest.fn().mockReturnValue("Bearer service-token") };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+        next = jest.fn();
+        mockVerifyToken.mockReset();
+    });
+
+    // Test 1: Service token with the scope
+    it("should continue for a service token carrying the scope", async () => {
+        // GIVEN: Token minted by auth-service for privacy calls
+        mockVerifyToken.mockResolvedValue({ sub: "auth-service", role: "service", scope: "privacy" });
+
+        // WHEN: Middleware runs
+        await middleware(req, res, next);
+
+        // THEN: The calling service is recorded and the request continues
+        expect(mockVerifyToken).toHaveBeenCalledWith("service-token");
+        expect(req.service).toBe("auth-service");
+        expect(next).toHaveBeenCalled();
+    });
+
+    // Test 2: Customer tokens are not enough
+    it("should return 403 for user tokens and other scopes", async () => {
+        mockVerifyToken.mockResolvedValueOnce({ sub: "user-1", role: "customer" });
+        await middleware(req, res, next);
+
+        mockVerifyToken.mockResolvedValueOnce({ sub: "auth-service", role: "service", scope: "reports" });
+        await middleware(req, res, next);
+
+        expect(res.status).toHaveBeenNthCalledWith(1, 403);
+        expect(res.status).toHaveBeenNthCalledWith(2, 403);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    // Test 3: Missing or invalid token
+    it("should return 401 without a valid token", async () => {
+        req.header.mockReturnValueOnce(undefined);
+        await middleware(req, res, next);
+
+        mockVerifyToken.mockRejectedValueOnce(Object.assign(new Error("jwt expired"), { name: "TokenExpiredError" }));
+        await middleware(req, res, next);
+
+        expect(res.status).toHaveBeenNthCalledWith(1, 401);
+        expect(res.status).toHaveBeenNthCalledWith(2, 401);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    // Test 4: JWKS unreachable
+    it("should return 503 when keys cannot be fetched", async () => {
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        mockVerifyToken.mockRejectedValue(Object.assign(new Error("fetch failed"), { name: "JwksError" }));
+
+        await middleware(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(503);
+        console.error.mockRestore();
+    });
+});
@@ -0,0 +1,156 @@
+import crypto from "crypto";
+
+// Calls to auth-service, which signs every access token on the platform
+
+const authServiceUrl = () => process.env.AUTH_SERVICE_URL || "http://localhost:5001";
+
+// Introspection answers are reused briefly so a burst of sensitive requests
+// does not become a burst of calls to auth-service
+const introspectionCache = new Map();
+const MAX_CACHED_TOKENS = 1000;
+
+const introspectionTtlMs = () => (Number(process.env.INTROSPECTION_CACHE_TTL_SECONDS) || 30) * 1000;
+
+class AuthServiceError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "AuthServiceError";
+    }
+}
+
+// POST a public auth-service endpoint; failures carry auth-service's status and message
+const postPublic = async (path, payload, failure, headers = {}) => {
+    const response = await fetch(`${authServiceUrl()}${path}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(payload),
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        const error = new Error(body.message || `${failure} failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return body;
+};
+
+// HTTP Basic credentials for AUTH_CLIENT_ID / AUTH_CLIENT_SECRET
+const serviceCredentials = () =>
+    Buffer.from(
+        `${process.env.AUTH_CLIENT_ID || "order-service"}:${process.env.AUTH_CLIENT_SECRET || ""}`
+    ).toString("base64");
+
+// The end user's device, as logIn forwards it to auth-service
+const loginClient = (req) => ({
+    userAgent: (req.headers || {})["user-agent"] || "",
+    ip: req.ip || "",
+});
+
+// Full login answer from POST /api/auth/token: token, refreshToken and data.account,
+// or a two-factor challenge for accounts that owe one. Sent with our service
+// credentials so auth-service believes `client` (see loginClient) and limits
+// failed logins per user device rather than per order-service instance.
+const logIn = ({ email, password, role, client }) =>
+    postPublic("/api/auth/token", { email, password, role, client }, "Token request", {
+        Authorization: `Basic ${serviceCredentials()}`,
+    });
+
+// Exchange credentials for a standard-claim token from POST /api/auth/token
+const requestToken = async (credentials) => (await logIn(credentials)).token;
+
+// Create a customer through POST /api/auth/register/customer
+// fields: { firstName, lastName, email, phone, password, location? }
+const registerCustomer = (fields) =>
+    postPublic("/api/auth/register/customer", fields, "Registration");
+
+// Ask POST /api/auth/introspect whether a token is still active and whether its
+// account is suspended. Authenticates as AUTH_CLIENT_ID / AUTH_CLIENT_SECRET.
+const introspectToken = async (token) => {
+    const cacheKey = crypto.createHash("sha256").update(token).digest("hex");
+    const cached = introspectionCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.result;
+    }
+    introspectionCache.delete(cacheKey);
+
+    let response;
+    try {
+        response = await fetch(`${authServiceUrl()}/api/auth/introspect`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", Authorization: `Basic ${serviceCredentials()}` },
+            body: JSON.stringify({ token }),
+        });
+    } catch (error) {
+        throw new AuthServiceError(`Introspection request failed: ${error.message}`);
+    }
+    if (!response.ok) {
+        throw new AuthServiceError(`Introspection request failed with status ${response.status}`);
+    }
+    const result = await response.json();
+
+    // Oldest entry goes first; never keep an answer past the token's own expiry
+    if (introspectionCache.size >= MAX_CACHED_TOKENS) {
+        introspectionCache.delete(introspectionCache.keys().next().value);
+    }
+    const expiresAt = Math.min(Date.now() + introspectionTtlMs(), result.exp ? result.exp * 1000 : Infinity);
+    introspectionCache.set(cacheKey, { result, expiresAt });
+
+    return result;
+};
+
+const clearIntrospectionCache = () => introspectionCache.clear();
+
+// Dispatch candidates from GET /api/auth/internal/drivers/nearby: available drivers
+// within `radius` meters of the point, closest first, each with distanceMeters.
+// vehicleType may be one type or an array of them.
+const findNearbyDrivers = async ({ longitude, latitude, radius, vehicleType, minRating, limit }) => {
+    const url = new URL(`${authServiceUrl()}/api/auth/internal/drivers/nearby`);
+    url.searchParams.set("lng", String(longitude));
+    url.searchParams.set("lat", String(latitude));
+    if (radius !== undefined) url.searchParams.set("radius", String(radius));
+    if (vehicleType) url.searchParams.set("vehicleType", [].concat(vehicleType).join(","));
+    if (minRating !== undefined) url.searchParams.set("minRating", String(minRating));
+    if (limit !== undefined) url.searchParams.set("limit", String(limit));
+
+    let response;
+    try {
+        response = await fetch(url, { headers: { Authorization: `Basic ${serviceCredentials()}` } });
+    } catch (error) {
+        throw new AuthServiceError(`Driver search failed: ${error.message}`);
+    }
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new AuthServiceError(body.message || `Driver search failed with status ${response.status}`);
+    }
+    return body.data.drivers;
+};
+
+// Append an event to the platform audit log (POST /api/auth/internal/audit).
+// Never throws and need not be awaited; a lost event is only logged. The actor
+// defaults to the signed-in user and the device to the caller's.
+// event: { action, outcome?, actor?, target?, before?, after?, details? }
+const emitAudit = async (req, event) => {
+    const user = (req && req.user) || {};
+    const body = {
+        ...event,
+        actor: { ...(user.id && { id: String(user.id), role: user.role, email: user.email }), ...event.actor },
+        client: req ? { userAgent: (req.headers || {})["user-agent"] || "", ip: req.ip || "" } : undefined,
+        at: new Date().toISOString(),
+    };
+
+    try {
+        const response = await fetch(`${authServiceUrl()}/api/auth/internal/audit`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", Authorization: `Basic ${serviceCredentials()}` },
+            body: JSON.stringify(body),
+        });
+        if (!response.ok) {
+            throw new Error(`status ${response.status}`);
+        }
+    } catch (error) {
+        console.error(`❌ Could not record audit event ${event.action}:`, error.message);
+    }
+};
+
+export { AuthServiceError, loginClient, logIn, requestToken, registerCustomer, introspectToken, clearIntrospectionCache, findNearbyDrivers, emitAudit };
@@ -0,0 +1,93 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+// Verifies access tokens against the public keys auth-service publishes at
+// /.well-known/jwks.json. This service holds no signing material: keys are
+// fetched on demand, cached by kid, and refetched when a token names a kid
+// we have not seen yet (auth-service rotated its key).
+
+// Only asymmetric algorithms; never trust the alg a token claims for itself
+const ALGORITHMS_BY_KTY = { RSA: "RS256", EC: "ES256" };
+
+// Minimum gap between refetches triggered by unknown kids
+const UNKNOWN_KID_COOLDOWN_MS = 30 * 1000;
+
+class JwksError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "JwksError";
+    }
+}
+
+const keys = new Map();
+let fetchedAt = 0;
+let pending = null;
+
+const jwksUri = () =>
+    process.env.JWKS_URI || `${process.env.AUTH_SERVICE_URL || "http://localhost:5001"}/.well-known/jwks.json`;
+
+const cacheTtlMs = () => (Number(process.env.JWKS_CACHE_TTL_SECONDS) || 600) * 1000;
+
+const fetchKeys = async () => {
+    let response;
+    try {
+        response = await fetch(jwksUri());
+    } catch (error) {
+        throw new JwksError(`JWKS request failed: ${error.message}`);
+    }
+    if (!response.ok) {
+        throw new JwksError(`JWKS request failed with status ${response.status}`);
+    }
+
+    const { keys: jwks = [] } = await response.json();
+    keys.clear();
+    for (const jwk of jwks) {
+        const alg = ALGORITHMS_BY_KTY[jwk.kty];
+        if (!jwk.kid || !alg || (jwk.alg && jwk.alg !== alg) || (jwk.use && jwk.use !== "sig")) {
+            continue;
+        }
+        keys.set(jwk.kid, { alg, publicKey: crypto.createPublicKey({ key: jwk, format: "jwk" }) });
+    }
+    fetchedAt = Date.now();
+};
+
+// Concurrent requests share one in-flight fetch
+const refreshKeys = () => {
+    if (!pending) {
+        pending = fetchKeys().finally(() => {
+            pending = null;
+        });
+    }
+    return pending;
+};
+
+const getKey = async (kid) => {
+    const age = Date.now() - fetchedAt;
+    if (age > cacheTtlMs() || (!keys.has(kid) && age > UNKNOWN_KID_COOLDOWN_MS)) {
+        try {
+            await refreshKeys();
+        } catch (error) {
+            // Keep verifying with cached keys while auth-service is unreachable
+            if (!keys.has(kid)) throw error;
+            console.error("❌ JWKS refresh failed, using cached keys:", error.message);
+        }
+    }
+    return keys.get(kid) || null;
+};
+
+const verifyToken = async (token) => {
+    const decoded = jwt.decode(token, { complete: true });
+    const key = decoded && decoded.header.kid ? await getKey(decoded.header.kid) : null;
+    if (!key) {
+        throw new jwt.JsonWebTokenError("invalid signing key");
+    }
+    return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+};
+
+// For tests
+const clearJwksCache = () => {
+    keys.clear();
+    fetchedAt = 0;
+};
+
+export { JwksError, verifyToken, clearJwksCache };
@@ -0,0 +1,128 @@
+// backend/payment-service/__tests__/privacyRoutes.test.js
+const request = require('supertest');
+const express = require('express');
+
+// Mock external dependencies BEFORE requiring privacyRoutes
+jest.mock('../models/PaymentModel');
+jest.mock('../utils/jwks', () => ({
+    verifyToken: jest.fn()
+}));
+
+const Payment = require('../models/PaymentModel');
+const { verifyToken } = require('../utils/jwks');
+const privacyRoutes = require('../routes/privacyRoutes');
+
+// Setup Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/internal/privacy', privacyRoutes);
+
+const subject = {
+    customerId: '64b000000000000000000001',
+    email: 'lan@example.com',
+    orderIds: ['order-1', 'order-2']
+};
+
+describe('PrivacyRoutes Unit Tests - Shopee QA Standards', () => {
+    let query;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        // Default: a valid auth-service token with the privacy scope
+        verifyToken.mockResolvedValue({ sub: 'auth-service', role: 'service', scope: 'privacy' });
+
+        query = {
+            select: jest.fn().mockReturnThis(),
+            sort: jest.fn().mockReturnThis(),
+            lean: jest.fn().mockResolvedValue([{ orderId: 'order-1', amount: 12 }])
+        };
+        Payment.find = jest.fn(() => query);
+        Payment.updateMany = jest.fn().mockResolvedValue({ modifiedCount: 2 });
+    });
+
+    // ============================================================================
+    // Test 1: Service token required
+    // ============================================================================
+    describe('Test 1: Authorization - Only auth-service Privacy Tokens', () => {
+        it('should reject requests without a token', async () => {
+            const response = await request(app).post('/internal/privacy/export').send(subject);
+
+            expect(response.status).toBe(401);
+            expect(Payment.find).not.toHaveBeenCalled();
+        });
+
+        it('should reject customer tokens', async () => {
+            // GIVEN: A valid end-user token
+            verifyToken.mockResolvedValue({ sub: 'user-1', role: 'customer' });
+
+            // WHEN: Calling the internal endpoint with it
+            const response = await request(app)
+                .post('/internal/privacy/anonymize')
+                .set('Authorization', 'Bearer user-token')
+                .send({ ...subject, pseudonym: 'deleted-abc' });
+
+            // THEN: Should be forbidden and nothing changed
+            expect(response.status).toBe(403);
+            expect(Payment.updateMany).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================================================
+    // Test 2: Export
+    // ============================================================================
+    describe('Test 2: POST /export - Payments By Account, Email or Order', () => {
+        it('should return matching payments without the Stripe client secret', async () => {
+            const response = await request(app)
+                .post('/internal/privacy/export')
+                .set('Authorization', 'Bearer service-token')
+                .send(subject);
+
+            expect(response.status).toBe(200);
+            expect(response.body.payments).toEqual([{ orderId: 'order-1', amount: 12 }]);
+            expect(Payment.find).toHaveBeenCalledWith({
+                $or: [
+                    { userId: '64b000000000000000000001' },
+                    { email: 'lan@example.com' },
+                    { orderId: { $in: ['order-1', 'order-2'] } }
+                ]
+            });
+            expect(query.select).toHaveBeenCalledWith('-stripeClientSecret');
+        });
+    });
+
+    // ============================================================================
+    // Test 3: Anonymize
+    // ============================================================================
+    describe('Test 3: POST /anonymize - Contact Details Replaced, Amounts Kept', () => {
+        it('should replace identifying fields with the pseudonym', async () => {
+            // WHEN: Anonymizing for a deleted account
+            const response = await request(app)
+                .post('/internal/privacy/anonymize')
+                .set('Authorization', 'Bearer service-token')
+                .send({ ...subject, pseudonym: 'deleted-abc' });
+
+            // THEN: Only contact fields change
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ anonymized: 2 });
+            const [, update] = Payment.updateMany.mock.calls[0];
+            expect(update.$set).toEqual({
+                userId: 'deleted-abc',
+                email: 'deleted-abc@deleted.invalid',
+                phone: '[deleted]',
+                anonymizedAt: expect.any(Date)
+            });
+            expect(update.$unset).toEqual({ stripeClientSecret: '' });
+        });
+
+        it('should require a pseudonym', async () => {
+            const response = await request(app)
+                .post('/internal/privacy/anonymize')
+                .set('Authorization', 'Bearer service-token')
+                .send(subject);
+
+            expect(response.status).toBe(400);
+            expect(Payment.updateMany).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,32 @@
+const { verifyToken } = require("../utils/jwks");
+
+// Guards internal endpoints that other services call on their own behalf.
+// auth-service signs short-lived tokens with role "service" and a
+// space-separated "scope"; end-user tokens are never accepted here.
+const requireServiceScope = (scope) => async (req, res, next) => {
+  const token = req.header("Authorization")?.split(" ")[1];
+  if (!token) {
+    return res.status(401).json({ error: "No token, authorization denied" });
+  }
+
+  let decoded;
+  try {
+    decoded = await verifyToken(token);
+  } catch (error) {
+    if (error.name === "JwksError") {
+      console.error("❌ Token verification unavailable:", error.message);
+      return res.status(503).json({ error: "Authentication service unavailable" });
+    }
+    return res.status(401).json({ error: "Invalid token" });
+  }
+
+  const scopes = String(decoded.scope || "").split(" ");
+  if (decoded.role !== "service" || !scopes.includes(scope)) {
+    return res.status(403).json({ error: `Access denied: "${scope}" service scope required` });
+  }
+
+  req.service = decoded.sub;
+  next();
+};
+
+module.exports = { requireServiceScope };
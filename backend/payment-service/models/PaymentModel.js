@@ -16,6 +16,8 @@ const PaymentSchema = new mongoose.Schema({
   stripePaymentIntentId: { type: String, unique: true, sparse: true },
   // Also save the client secret (e.g. "pi_3R9OXlD3879aJGnP0xfO1oMm_secret_...")
   stripeClientSecret: { type: String },
+  // Set when the customer deleted their account; contact details replaced
+  anonymizedAt: { type: Date },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
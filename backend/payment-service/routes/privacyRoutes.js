@@ -0,0 +1,63 @@
+const express = require("express");
+const router = express.Router();
+const Payment = require("../models/PaymentModel");
+const { requireServiceScope } = require("../middleware/serviceAuth");
+
+// Internal endpoints used by auth-service for a customer's data export and
+// account deletion. Payments never stored the account id reliably, so they are
+// matched on userId, the receipt email and the ids of the customer's orders.
+const paymentFilter = ({ customerId, email, orderIds }) => {
+  const conditions = [{ userId: String(customerId) }];
+  if (email) conditions.push({ email });
+  if (Array.isArray(orderIds) && orderIds.length > 0) {
+    conditions.push({ orderId: { $in: orderIds.map(String) } });
+  }
+  return { $or: conditions };
+};
+
+router.use(requireServiceScope("privacy"));
+
+router.post("/export", async (req, res) => {
+  const { customerId } = req.body || {};
+  if (!customerId) {
+    return res.status(400).json({ error: "customerId is required." });
+  }
+
+  try {
+    // The client secret can still confirm a pending intent; it is not the customer's data
+    const payments = await Payment.find(paymentFilter(req.body))
+      .select("-stripeClientSecret")
+      .sort({ createdAt: 1 })
+      .lean();
+    res.json({ payments });
+  } catch (error) {
+    console.error("Error exporting payments:", error.message);
+    res.status(500).json({ error: "Could not export payments." });
+  }
+});
+
+// Amount, currency, status and orderId stay for accounting; contact details go.
+router.post("/anonymize", async (req, res) => {
+  const { customerId, pseudonym } = req.body || {};
+  if (!customerId || !pseudonym) {
+    return res.status(400).json({ error: "customerId and pseudonym are required." });
+  }
+
+  try {
+    const result = await Payment.updateMany(paymentFilter(req.body), {
+      $set: {
+        userId: pseudonym,
+        email: `${pseudonym}@deleted.invalid`,
+        phone: "[deleted]",
+        anonymizedAt: new Date(),
+      },
+      $unset: { stripeClientSecret: "" },
+    });
+    res.json({ anonymized: result.modifiedCount });
+  } catch (error) {
+    console.error("Error anonymizing payments:", error.message);
+    res.status(500).json({ error: "Could not anonymize payments." });
+  }
+});
+
+module.exports = router;
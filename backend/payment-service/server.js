@@ -8,6 +8,7 @@ const { register, metricsMiddleware } = require("./metrics");
 
 const paymentRoutes = require("./routes/paymentRoutes");
 const webhookRoutes = require("./routes/webhookRoutes");
+const privacyRoutes = require("./routes/privacyRoutes");
 
 // Connect to MongoDB (skip in test environment - tests manage their own connections)
 if (process.env.NODE_ENV !== 'test') {
@@ -69,6 +70,9 @@ app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 // Mount payment routes
 app.use("/api/payment", paymentRoutes);
 
+// Internal endpoints for auth-service (service token required)
+app.use("/internal/privacy", privacyRoutes);
+
 app.get("/", (req, res) => res.send("Payment Service Running"));
 
 const PORT = process.env.PORT || 5004;
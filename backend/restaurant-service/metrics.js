@@ -32,10 +32,25 @@ const activeConnections = new client.Gauge({
   labelNames: ['service']
 });
 
+// Brute-force protection on login endpoints
+const loginLockoutsTotal = new client.Counter({
+  name: 'login_lockouts_total',
+  help: 'Number of login lockouts triggered by repeated failed attempts',
+  labelNames: ['endpoint', 'scope', 'service']
+});
+
+const loginThrottledTotal = new client.Counter({
+  name: 'login_throttled_requests_total',
+  help: 'Number of login requests rejected while a lockout was active',
+  labelNames: ['endpoint', 'scope', 'service']
+});
+
 register.registerMetric(httpRequestDuration);
 register.registerMetric(httpRequestTotal);
 register.registerMetric(httpRequestErrors);
 register.registerMetric(activeConnections);
+register.registerMetric(loginLockoutsTotal);
+register.registerMetric(loginThrottledTotal);
 
 // Middleware to track requests
 const metricsMiddleware = (req, res, next) => {
@@ -76,4 +91,4 @@ const metricsMiddleware = (req, res, next) => {
   next();
 };
 
-export { register, metricsMiddleware };
+export { register, metricsMiddleware, loginLockoutsTotal, loginThrottledTotal };
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import Restaurant from '../models/Restaurant.js';
+import SuperAdmin from '../models/SuperAdmin.js';
+
+// Owner credentials sit on the restaurant itself (admin.email / admin.password)
+const restaurantAccount = (restaurant) => ({
+  id: restaurant._id,
+  role: 'restaurant-admin',
+  restaurantId: restaurant._id,
+  email: restaurant.admin?.email,
+  name: restaurant.name,
+  suspended: Boolean(restaurant.suspended),
+});
+
+const superAdminAccount = (superAdmin) => ({
+  id: superAdmin._id,
+  role: 'super-admin',
+  email: superAdmin.email,
+  name: superAdmin.name,
+  suspended: Boolean(superAdmin.suspended),
+});
+
+const kinds = {
+  'restaurant-admin': {
+    findByEmail: (email) => Restaurant.findOne({ 'admin.email': email }),
+    findById: (id) => Restaurant.findById(id),
+    verify: (restaurant, password) => restaurant.compareAdminPassword(password),
+    toAccount: restaurantAccount,
+  },
+  'super-admin': {
+    findByEmail: (email) => SuperAdmin.findOne({ email }),
+    findById: (id) => SuperAdmin.findById(id),
+    verify: (superAdmin, password) => superAdmin.comparePassword(password),
+    toAccount: superAdminAccount,
+  },
+};
+
+// Called by auth-service for /api/auth/token. Answers { account } for a matching
+// email/password, { account: null } otherwise. Password hashes never leave this service.
+export const verifyCredentials = async (req, res) => {
+  const { email, password, role } = req.body || {};
+  if (typeof email !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ message: 'email and password are required' });
+  }
+  if (role && !kinds[role]) {
+    return res.status(400).json({ message: 'Unknown account role' });
+  }
+
+  try {
+    for (const kind of role ? [kinds[role]] : Object.values(kinds)) {
+      const doc = await kind.findByEmail(email);
+      if (doc && (await kind.verify(doc, password))) {
+        return res.status(200).json({ account: kind.toAccount(doc) });
+      }
+    }
+    res.status(200).json({ account: null });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// Called by auth-service to check that the account behind a token still exists
+export const lookupAccount = async (req, res) => {
+  const { id, role } = req.body || {};
+  const kind = kinds[role];
+  if (!kind) {
+    return res.status(400).json({ message: 'Unknown account role' });
+  }
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(200).json({ account: null });
+  }
+
+  try {
+    const doc = await kind.findById(id);
+    res.status(200).json({ account: doc ? kind.toAccount(doc) : null });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import Restaurant from '../models/Restaurant.js';
+import FoodItem from '../models/FoodItem.js';
+
+const MAX_IDS = 200;
+
+// Ids in the request that can exist here; anything else is simply not found
+const validIds = (ids) =>
+  [...new Set(Array.isArray(ids) ? ids.map(String) : [])].filter((id) => mongoose.isValidObjectId(id));
+
+const restaurantFields = (restaurant) => ({
+  id: restaurant._id,
+  name: restaurant.name,
+  location: restaurant.location,
+  profilePicture: restaurant.profilePicture,
+  availability: restaurant.availability,
+});
+
+// Called by auth-service to show a customer's favorites with their current
+// details. Removed restaurants and food items are left out of the answer.
+export const lookupCatalog = async (req, res) => {
+  const { restaurantIds, foodItemIds } = req.body || {};
+  const restaurantKeys = validIds(restaurantIds);
+  const foodItemKeys = validIds(foodItemIds);
+
+  if (restaurantKeys.length + foodItemKeys.length > MAX_IDS) {
+    return res.status(400).json({ message: `At most ${MAX_IDS} ids can be looked up at once` });
+  }
+
+  try {
+    const [restaurants, foodItems] = await Promise.all([
+      restaurantKeys.length ? Restaurant.find({ _id: { $in: restaurantKeys } }) : [],
+      foodItemKeys.length ? FoodItem.find({ _id: { $in: foodItemKeys } }).populate('restaurant') : [],
+    ]);
+
+    res.status(200).json({
+      restaurants: restaurants.map(restaurantFields),
+      foodItems: foodItems.map((food) => ({
+        id: food._id,
+        name: food.name,
+        price: food.price,
+        image: food.image,
+        category: food.category,
+        availability: food.availability,
+        // null when the restaurant itself was removed
+        restaurant: food.restaurant ? restaurantFields(food.restaurant) : null,
+      })),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
@@ -0,0 +1,67 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Restaurant from '../models/Restaurant.js';
+
+const publicFields = (restaurant) => ({
+  id: restaurant._id,
+  name: restaurant.name,
+  ownerName: restaurant.ownerName,
+  location: restaurant.location,
+  contactNumber: restaurant.contactNumber,
+  availability: restaurant.availability,
+});
+
+// Called by auth-service when an admin approves a restaurant-admin application.
+// Links the applicant to `restaurantId` when given, otherwise to the restaurant
+// already registered under their email, otherwise creates one from the application.
+// A `restaurantId` registered under another email is refused with 409 unless the
+// reviewer set `overrideOwnership`.
+// The new restaurant gets a random legacy password: the owner signs in through
+// auth-service with their own account, whose token carries this restaurant's id.
+export const onboardRestaurant = async (req, res) => {
+  const { restaurantId, overrideOwnership, name, ownerName, location, contactNumber, email } = req.body || {};
+
+  try {
+    if (restaurantId) {
+      if (!mongoose.isValidObjectId(restaurantId)) {
+        return res.status(404).json({ message: 'Restaurant not found' });
+      }
+      const restaurant = await Restaurant.findById(restaurantId);
+      if (!restaurant) {
+        return res.status(404).json({ message: 'Restaurant not found' });
+      }
+      const ownerEmail = restaurant.admin?.email;
+      if (overrideOwnership !== true && (!email || !ownerEmail || ownerEmail.toLowerCase() !== String(email).toLowerCase())) {
+        return res.status(409).json({ message: 'This restaurant is registered under a different email' });
+      }
+      return res.status(200).json({ linked: true, restaurant: publicFields(restaurant) });
+    }
+
+    if (!email) {
+      return res.status(400).json({ message: 'email is required' });
+    }
+    const existing = await Restaurant.findOne({ 'admin.email': email });
+    if (existing) {
+      return res.status(200).json({ linked: true, restaurant: publicFields(existing) });
+    }
+
+    if (!name || !ownerName || !location || !contactNumber) {
+      return res.status(400).json({ message: 'name, ownerName, location and contactNumber are required' });
+    }
+    if (await Restaurant.exists({ name })) {
+      return res.status(409).json({ message: 'A restaurant with this name already exists' });
+    }
+
+    const restaurant = await Restaurant.create({
+      name,
+      ownerName,
+      location,
+      contactNumber,
+      admin: { email, password: crypto.randomBytes(24).toString('base64url') },
+    });
+    res.status(201).json({ linked: false, restaurant: publicFields(restaurant) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
@@ -1,6 +1,6 @@
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import Restaurant from '../models/Restaurant.js';
+import { loginClient, requestToken, SecondFactorRequired } from '../utils/authClient.js';
 
 // Login route for Restaurant Admin
 export const loginRestaurant = async (req, res) => {
@@ -23,17 +23,17 @@ export const loginRestaurant = async (req, res) => {
       return res.status(400).json({ message: 'Invalid email or password' });
     }
 
-    // If login is successful, generate a JWT token
-    const token = jwt.sign(
-      { restaurantId: restaurant._id, email: restaurant.admin.email },
-      process.env.JWT_SECRET, // Secret from environment variables
-      { expiresIn: '30d' } // Token expires in 1 hour
-    );
+    // If login is successful, ask auth-service to sign a token
+    const token = await requestToken({ email, password, role: 'restaurant-admin', client: loginClient(req) });
 
     // Send the token as a response
     return res.json({ token });
 
   } catch (error) {
+    // Password accepted; the client finishes the login with its TOTP code
+    if (error instanceof SecondFactorRequired) {
+      return res.json(error.challenge);
+    }
     console.error(error);
     res.status(500).json({ message: 'Server Error' });
   }
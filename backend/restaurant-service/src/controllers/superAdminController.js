@@ -1,9 +1,11 @@
 import Restaurant from '../models/Restaurant.js';
+import { hasPermission } from '../middleware/permissionMiddleware.js';
+import { emitAudit } from '../utils/authClient.js';
 
-// Get all restaurants (Super Admin only)
+// Get all restaurants (Super Admin or manage-restaurants)
 export const getAllRestaurants = async (req, res) => {
   try {
-    if (req.user.role !== 'superAdmin') {
+    if (!hasPermission(req.user, 'manage-restaurants')) {
       return res.status(403).json({ message: 'Access denied, only Super Admin can access this resource' });
     }
 
@@ -15,10 +17,10 @@ export const getAllRestaurants = async (req, res) => {
   }
 };
 
-// Get a specific restaurant by ID (Super Admin only)
+// Get a specific restaurant by ID (Super Admin or manage-restaurants)
 export const getRestaurantById = async (req, res) => {
   try {
-    if (req.user.role !== 'superAdmin') {
+    if (!hasPermission(req.user, 'manage-restaurants')) {
       return res.status(403).json({ message: 'Access denied, only Super Admin can access this resource' });
     }
 
@@ -34,10 +36,10 @@ export const getRestaurantById = async (req, res) => {
   }
 };
 
-// Delete a restaurant (Super Admin only)
+// Delete a restaurant (Super Admin or manage-restaurants)
 export const deleteRestaurant = async (req, res) => {
   try {
-    if (req.user.role !== 'superAdmin') {
+    if (!hasPermission(req.user, 'manage-restaurants')) {
       return res.status(403).json({ message: 'Access denied, only Super Admin can access this resource' });
     }
 
@@ -50,6 +52,11 @@ export const deleteRestaurant = async (req, res) => {
     // await FoodItem.deleteMany({ restaurant: restaurant._id });
 
     await restaurant.deleteOne();
+    emitAudit(req, {
+      action: 'restaurant.delete',
+      target: { type: 'restaurant', id: String(restaurant._id) },
+      before: restaurant.toObject(),
+    });
     res.status(200).json({ message: 'Restaurant deleted successfully' });
   } catch (err) {
     console.error(err);
@@ -57,21 +64,34 @@ export const deleteRestaurant = async (req, res) => {
   }
 };
 
-// Update restaurant details (Super Admin only)
+// Update restaurant details (Super Admin or manage-restaurants)
 export const updateRestaurant = async (req, res) => {
   try {
-    if (req.user.role !== 'superAdmin') {
+    if (!hasPermission(req.user, 'manage-restaurants')) {
       return res.status(403).json({ message: 'Access denied, only Super Admin can update restaurants' });
     }
 
     const { id } = req.params;
     const updates = req.body; // Get updated details from request body
 
-    const updatedRestaurant = await Restaurant.findByIdAndUpdate(id, updates, { new: true });
+    // findByIdAndUpdate skips hashing and the password policy, so admin credentials can't change here
+    if (updates && (updates.admin || updates['admin.password'] || updates['admin.email'])) {
+      return res.status(400).json({ message: 'Admin credentials cannot be changed through this endpoint' });
+    }
+
+    // Read first so the audit log can show what changed
+    const before = await Restaurant.findById(id);
+    const updatedRestaurant = before && await Restaurant.findByIdAndUpdate(id, updates, { new: true });
 
     if (!updatedRestaurant) {
       return res.status(404).json({ message: 'Restaurant not found' });
     }
+    emitAudit(req, {
+      action: 'restaurant.update',
+      target: { type: 'restaurant', id: String(updatedRestaurant._id) },
+      before: before.toObject(),
+      after: updatedRestaurant.toObject(),
+    });
 
     res.status(200).json({ message: 'Restaurant updated successfully', restaurant: updatedRestaurant });
   } catch (error) {
@@ -0,0 +1,25 @@
+import { introspectToken } from '../utils/authClient.js';
+
+// Run by authMiddleware on every authenticated route. A signature check cannot
+// tell that an account was deleted or suspended after its token was issued, so
+// ask auth-service. Fails closed if auth-service does not answer.
+const requireActiveAccount = async (req, res, next) => {
+  const token = req.header('Authorization')?.split(' ')[1];
+
+  try {
+    const result = await introspectToken(token);
+
+    if (result.suspended) {
+      return res.status(403).json({ message: 'Account is suspended' });
+    }
+    if (!result.active) {
+      return res.status(401).json({ message: 'Token is no longer active' });
+    }
+    next();
+  } catch (err) {
+    console.error('❌ Token introspection failed:', err.message);
+    res.status(503).json({ message: 'Authentication service unavailable' });
+  }
+};
+
+export default requireActiveAccount;
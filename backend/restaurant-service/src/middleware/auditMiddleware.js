@@ -0,0 +1,25 @@
+// Failed logins for the platform audit log in auth-service. A password that
+// passes here is checked again by auth-service's /api/auth/token, which records
+// the login itself, so only refusals made in this service are sent.
+import { emitAudit } from '../utils/authClient.js';
+
+// Wrong credentials (this service answers 400) and lockouts
+const FAILURE_STATUSES = [400, 401, 403, 429];
+
+// Mount before loginLimiter so lockout answers are seen too
+export const auditFailedLogins = (endpoint) => (req, res, next) => {
+  res.on('finish', () => {
+    if (!FAILURE_STATUSES.includes(res.statusCode)) return;
+    const email = req.body && typeof req.body.email === 'string'
+      ? req.body.email.trim().toLowerCase()
+      : undefined;
+
+    emitAudit(req, {
+      action: 'auth.login',
+      outcome: 'failure',
+      actor: email ? { email } : undefined,
+      details: { endpoint, statusCode: res.statusCode },
+    });
+  });
+  next();
+};
@@ -1,6 +1,6 @@
-import jwt from 'jsonwebtoken';
+import { verifyToken } from '../utils/jwks.js';
 
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
   const token = req.header('x-auth-token');
 
   if (!token) {
@@ -8,8 +8,8 @@ const auth = (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.restaurant = decoded.id;
+    const decoded = await verifyToken(token);
+    req.restaurant = decoded.restaurantId || decoded.sub || decoded.id;
     next();
   } catch (err) {
     res.status(401).json({ message: 'Token is not valid' });
@@ -1,6 +1,7 @@
-import jwt from 'jsonwebtoken';
+import { verifyToken } from '../utils/jwks.js';
+import requireActiveAccount from './activeAccountMiddleware.js';
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   const authHeader = req.header('Authorization');
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -10,13 +11,28 @@ const authMiddleware = (req, res, next) => {
   const token = authHeader.split(' ')[1]; // Extract actual token
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyToken(token); // Checked against auth-service's JWKS
+    // Tokens from /api/auth/token carry standard claims (sub, role,
+    // restaurantId, permissions); legacy restaurant tokens carry the
+    // restaurant's own id with no role (or role 'restaurant').
+    const id = decoded.sub || decoded.id;
     req.user = {
-      id: decoded.id,
-      role: decoded.role // Include role from token
+      id,
+      role: decoded.role === 'super-admin' ? 'superAdmin' : decoded.role // Include role from token
     };
-    next();
+    if (decoded.restaurantId || !decoded.role || decoded.role === 'restaurant') {
+      req.user.restaurantId = decoded.restaurantId || id;
+    }
+    if (decoded.permissions) {
+      req.user.permissions = decoded.permissions;
+    }
+    // The signature cannot tell that the account was suspended or deleted since
+    return requireActiveAccount(req, res, next);
   } catch (err) {
+    if (err.name === 'JwksError') {
+      console.error('❌ Token verification unavailable:', err.message);
+      return res.status(503).json({ message: 'Authentication service unavailable' });
+    }
     res.status(401).json({ message: 'Invalid token' });
   }
 };
@@ -0,0 +1,107 @@
+// Brute-force protection for login endpoints: failed attempts are counted
+// per client IP and per account (email) in a sliding window. Crossing the
+// limit locks that key, and each further lockout doubles the duration.
+import { createStore } from '../utils/rateLimitStores.js';
+import { loginLockoutsTotal, loginThrottledTotal } from '../../metrics.js';
+
+const minutes = (value, fallback) => (Number(value) || fallback) * 60 * 1000;
+
+const loadConfig = () => ({
+  windowMs: minutes(process.env.LOGIN_WINDOW_MINUTES, 15),
+  maxFailures: {
+    ip: Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20,
+    account: Number(process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT) || 5,
+  },
+  baseLockoutMs: minutes(process.env.LOGIN_LOCKOUT_MINUTES, 1),
+  maxLockoutMs: minutes(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 60),
+});
+
+let defaultStore;
+const getDefaultStore = () => {
+  if (!defaultStore) defaultStore = createStore();
+  return defaultStore;
+};
+
+// Progressive lockout: base, 2x base, 4x base ... capped at maxLockoutMs
+const lockoutDuration = (previousLockouts, config) =>
+  Math.min(config.baseLockoutMs * 2 ** previousLockouts, config.maxLockoutMs);
+
+// One account key per email, whichever login endpoint is used: an attacker
+// must not get a fresh allowance by switching endpoints
+const keysFor = (req) => {
+  const keys = [{ scope: 'ip', key: `ip:${req.ip}` }];
+  const email = req.body && typeof req.body.email === 'string'
+    ? req.body.email.trim().toLowerCase()
+    : '';
+  if (email) keys.push({ scope: 'account', key: `account:${email}` });
+  return keys;
+};
+
+/**
+ * Build a limiter for one login endpoint.
+ * @param {string} endpoint  label used for metrics and logs
+ * @param {object} [options]
+ * @param {number[]} [options.failureStatuses] response codes counted as a failed login
+ * @param {object} [options.store] rate-limit store (defaults to RATE_LIMIT_STORE)
+ */
+const loginLimiter = (endpoint, options = {}) => {
+  const failureStatuses = options.failureStatuses || [400];
+
+  return async (req, res, next) => {
+    const store = options.store || getDefaultStore();
+    const config = loadConfig();
+    const keys = keysFor(req);
+
+    try {
+      // 1) Reject while any key is locked
+      const now = Date.now();
+      for (const { scope, key } of keys) {
+        const entry = await store.get(key);
+        if (entry && entry.lockedUntil && entry.lockedUntil > now) {
+          const retryAfter = Math.ceil((entry.lockedUntil - now) / 1000);
+          loginThrottledTotal.inc({ endpoint, scope, service: 'restaurant-service' });
+          res.set('Retry-After', String(retryAfter));
+          return res.status(429).json({
+            message: 'Too many failed login attempts. Please try again later.',
+            retryAfter,
+          });
+        }
+      }
+    } catch (err) {
+      // Fail open: a broken store must not take login down with it
+      console.error('❌ Login limiter store error:', err.message);
+      return next();
+    }
+
+    // 2) Record the outcome once the controller has answered
+    res.on('finish', () => {
+      recordOutcome(store, config, endpoint, keys, res.statusCode, failureStatuses)
+        .catch((err) => console.error('❌ Login limiter store error:', err.message));
+    });
+
+    next();
+  };
+};
+
+const recordOutcome = async (store, config, endpoint, keys, statusCode, failureStatuses) => {
+  if (statusCode >= 200 && statusCode < 300) {
+    // Successful login clears the account's history (the IP keeps its own)
+    for (const { scope, key } of keys) {
+      if (scope === 'account') await store.reset(key);
+    }
+    return;
+  }
+  if (!failureStatuses.includes(statusCode)) return;
+
+  const now = Date.now();
+  for (const { scope, key } of keys) {
+    const entry = await store.recordFailure(key, now, config.windowMs);
+    if (entry.failures.length >= config.maxFailures[scope]) {
+      await store.lock(key, now + lockoutDuration(entry.lockouts, config));
+      loginLockoutsTotal.inc({ endpoint, scope, service: 'restaurant-service' });
+      console.warn(`⚠️ Login lockout on ${endpoint} (${scope}) after ${entry.failures.length} failures`);
+    }
+  }
+};
+
+export { loginLimiter, lockoutDuration };
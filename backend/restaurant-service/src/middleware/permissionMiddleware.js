@@ -0,0 +1,24 @@
+// Authorization on top of authMiddleware. Platform admins carry a `permissions`
+// claim issued by auth-service (the catalogue lives in its utils/permissions.js);
+// super-admins hold every permission.
+
+export const hasPermission = (user, ...permissions) => {
+  if (!user) return false;
+  if (user.role === 'superAdmin') return true;
+  const granted = Array.isArray(user.permissions) ? user.permissions : [];
+  return permissions.every((permission) => granted.includes(permission));
+};
+
+export const requirePermission = (...permissions) => (req, res, next) => {
+  if (!hasPermission(req.user, ...permissions)) {
+    return res.status(403).json({ message: 'Access denied, missing permission' });
+  }
+  next();
+};
+
+export const requireSuperAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'superAdmin') {
+    return res.status(403).json({ message: 'Access denied, only Super Admin can access this resource' });
+  }
+  next();
+};
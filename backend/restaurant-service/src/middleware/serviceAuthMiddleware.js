@@ -0,0 +1,31 @@
+import { verifyToken } from '../utils/jwks.js';
+
+// Middleware for internal endpoints that other services call on their own behalf.
+// auth-service signs short-lived tokens with role "service" and a space-separated
+// "scope"; they are verified against the same JWKS as user tokens.
+export const requireServiceScope = (scope) => async (req, res, next) => {
+  const token = req.header('Authorization')?.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+
+  let decoded;
+  try {
+    decoded = await verifyToken(token);
+  } catch (err) {
+    if (err.name === 'JwksError') {
+      console.error('❌ Token verification unavailable:', err.message);
+      return res.status(503).json({ message: 'Authentication service unavailable' });
+    }
+    return res.status(401).json({ message: 'Invalid token' });
+  }
+
+  const scopes = String(decoded.scope || '').split(' ');
+  if (decoded.role !== 'service' || !scopes.includes(scope)) {
+    return res.status(403).json({ message: `Access denied: "${scope}" service scope required` });
+  }
+
+  req.service = decoded.sub;
+  next();
+};
@@ -11,7 +11,7 @@ router.post('/create', authMiddleware,upload.single('image'), async (req, res) =
   const { name, description, price, category } = req.body;
 
   try {
-    const restaurant = await Restaurant.findById(req.user.id);
+    const restaurant = await Restaurant.findById(req.user.restaurantId);
     if (!restaurant) {
       return res.status(404).json({ message: 'Restaurant not found' });
     }
@@ -36,7 +36,7 @@ router.post('/create', authMiddleware,upload.single('image'), async (req, res) =
 // Get all food items for a restaurant (Restaurant Admin only)
 router.get('/', authMiddleware, async (req, res) => {
   try {
-    const foodItems = await FoodItem.find({ restaurant: req.user.id });
+    const foodItems = await FoodItem.find({ restaurant: req.user.restaurantId });
     res.status(200).json(foodItems);
   } catch (err) {
     console.error(err);
@@ -54,7 +54,7 @@ router.put('/:id', authMiddleware, upload.single('image'), async (req, res) => {
       return res.status(404).json({ message: 'Food item not found' });
     }
 
-    if (foodItem.restaurant.toString() !== req.user.id) {
+    if (foodItem.restaurant.toString() !== req.user.restaurantId) {
       return res.status(403).json({ message: 'You are not authorized to modify this food item' });
     }
 
@@ -84,7 +84,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'Food item not found' });
     }
 
-    if (foodItem.restaurant.toString() !== req.user.id) {
+    if (foodItem.restaurant.toString() !== req.user.restaurantId) {
       return res.status(403).json({ message: 'You are not authorized to delete this food item' });
     }
 
@@ -106,7 +106,7 @@ router.put('/availability/:id', authMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'Food item not found' });
     }
 
-    if (foodItem.restaurant.toString() !== req.user.id) {
+    if (foodItem.restaurant.toString() !== req.user.restaurantId) {
       return res.status(403).json({ message: 'You are not authorized to modify this food item' });
     }
 
@@ -0,0 +1,19 @@
+import express from 'express';
+import { onboardRestaurant } from '../controllers/onboardingController.js';
+import { lookupCatalog } from '../controllers/catalogController.js';
+import { verifyCredentials, lookupAccount } from '../controllers/accountController.js';
+import { requireServiceScope } from '../middleware/serviceAuthMiddleware.js';
+
+const router = express.Router();
+
+// Called by auth-service when a restaurant-admin application is approved (not user-facing)
+router.post('/onboard', requireServiceScope('onboarding'), onboardRestaurant);
+
+// Called by auth-service to list a customer's favorites with current availability
+router.post('/catalog/lookup', requireServiceScope('catalog'), lookupCatalog);
+
+// Called by auth-service to sign in restaurant owners and super admins stored here
+router.post('/accounts/verify', requireServiceScope('credentials'), verifyCredentials);
+router.post('/accounts/lookup', requireServiceScope('credentials'), lookupAccount);
+
+export default router;
@@ -1,10 +1,12 @@
 import express from 'express';
 const router = express.Router();
 
-import jwt from 'jsonwebtoken';
+import { AuthServiceError, checkPassword, loginClient, requestToken, SecondFactorRequired } from '../utils/authClient.js';
 import Restaurant from '../models/Restaurant.js';
 import authMiddleware from '../middleware/authMiddleware.js';
 import upload from '../middleware/uploadMiddleware.js';
+import { loginLimiter } from '../middleware/loginLimiter.js';
+import { auditFailedLogins } from '../middleware/auditMiddleware.js';
 
 
 // Register a new restaurant (with admin email and password)
@@ -26,6 +28,11 @@ router.post('/register', upload.single('profilePicture'), async (req, res) => {
       return res.status(400).json({ message: 'Restaurant or Email already exists' });
     }
 
+    const weakPassword = await checkPassword(password, { name, ownerName, email });
+    if (weakPassword) {
+      return res.status(400).json(weakPassword);
+    }
+
     const newRestaurant = new Restaurant({
       name,
       ownerName,
@@ -48,13 +55,17 @@ router.post('/register', upload.single('profilePicture'), async (req, res) => {
       }
     });
   } catch (err) {
+    if (err instanceof AuthServiceError) {
+      console.error('❌', err.message);
+      return res.status(503).json({ message: 'Authentication service unavailable' });
+    }
     console.error(err);
     res.status(500).json({ message: 'Server Error', error: err.message });
   }
 });
 
 // Login restaurant admin
-router.post('/login', async (req, res) => {
+router.post('/login', auditFailedLogins('restaurant'), loginLimiter('restaurant'), async (req, res) => {
   const { email, password } = req.body;
 
   try {
@@ -68,12 +79,14 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    const token = jwt.sign({ id: restaurant._id }, process.env.JWT_SECRET, {
-      expiresIn: '30d',
-    });
+    // auth-service signs the token (sub/restaurantId = this restaurant)
+    const token = await requestToken({ email, password, role: 'restaurant-admin', client: loginClient(req) });
 
     res.status(200).json({ token });
   } catch (err) {
+    if (err instanceof SecondFactorRequired) {
+      return res.status(200).json(err.challenge);
+    }
     console.error(err);
     res.status(500).json({ message: 'Server Error' });
   }
@@ -81,7 +94,7 @@ router.post('/login', async (req, res) => {
 
 router.get('/profile', authMiddleware, async (req, res) => {
   try {
-    const restaurant = await Restaurant.findById(req.user.id).select('-admin.password');
+    const restaurant = await Restaurant.findById(req.user.restaurantId).select('-admin.password');
     if (!restaurant) {
       return res.status(404).json({ message: 'Restaurant not found' });
     }
@@ -96,7 +109,7 @@ router.put('/update', authMiddleware, upload.single('profilePicture'), async (re
   const { name, ownerName, location, contactNumber } = req.body;
 
   try {
-    const restaurant = await Restaurant.findById(req.user.id);
+    const restaurant = await Restaurant.findById(req.user.restaurantId);
     if (!restaurant) {
       return res.status(404).json({ message: 'Restaurant not found' });
     }
@@ -125,7 +138,7 @@ router.put('/availability', authMiddleware, async (req, res) => {
   const { availability } = req.body;
 
   try {
-    const restaurant = await Restaurant.findById(req.user.id);
+    const restaurant = await Restaurant.findById(req.user.restaurantId);
     if (!restaurant) {
       return res.status(404).json({ message: 'Restaurant not found' });
     }
@@ -1,16 +1,20 @@
 import express from 'express';
 const router = express.Router();
 
-import jwt from 'jsonwebtoken';
+import { AuthServiceError, checkPassword, loginClient, requestToken, SecondFactorRequired } from '../utils/authClient.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
 import SuperAdmin from '../models/SuperAdmin.js';
 import { getAllRestaurants, getRestaurantById, deleteRestaurant, updateRestaurant } from '../controllers/superAdminController.js'; // Named imports
 import authMiddleware from '../middleware/authMiddleware.js';
+import { requirePermission, requireSuperAdmin } from '../middleware/permissionMiddleware.js';
+import { loginLimiter } from '../middleware/loginLimiter.js';
+import { auditFailedLogins } from '../middleware/auditMiddleware.js';
 
-// Super Admin Registration
-router.post('/register', async (req, res) => {
+// Super Admin Registration: only an existing super admin can add another
+// (bootstrap the first one with seedSuperAdmin.js)
+router.post('/register', authMiddleware, requireSuperAdmin, async (req, res) => {
   const { name, email, password } = req.body;
 
   try {
@@ -19,17 +23,26 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ message: 'Super Admin already exists' });
     }
 
+    const weakPassword = await checkPassword(password, { name, email });
+    if (weakPassword) {
+      return res.status(400).json(weakPassword);
+    }
+
     const newSuperAdmin = new SuperAdmin({ name, email, password });
     await newSuperAdmin.save();
 
     res.status(201).json({ message: 'Super Admin registered successfully' });
   } catch (err) {
+    if (err instanceof AuthServiceError) {
+      console.error('❌', err.message);
+      return res.status(503).json({ message: 'Authentication service unavailable' });
+    }
     res.status(500).json({ message: 'Server Error' });
   }
 });
 
 // Super Admin Login
-router.post('/login', async (req, res) => {
+router.post('/login', auditFailedLogins('super-admin'), loginLimiter('super-admin'), async (req, res) => {
   const { email, password } = req.body;
 
   try {
@@ -43,14 +56,13 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { id: superAdmin._id, role: 'superAdmin',  name: superAdmin.name },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    const token = await requestToken({ email, password, role: 'super-admin', client: loginClient(req) });
 
     res.status(200).json({ token, name: superAdmin.name });
   } catch (err) {
+    if (err instanceof SecondFactorRequired) {
+      return res.status(200).json(err.challenge);
+    }
     res.status(500).json({ message: 'Server Error' });
   }
 });
@@ -58,10 +70,11 @@ router.post('/login', async (req, res) => {
 // ✅ Public endpoint for customers to view restaurants
 router.get('/restaurants/public', getAllRestaurants);
 
-// ✅ Super Admin Routes for Managing Restaurants
-router.get('/restaurants', authMiddleware, getAllRestaurants);
-router.get('/restaurant/:id', authMiddleware, getRestaurantById);
-router.delete('/restaurant/:id', authMiddleware, deleteRestaurant);
-router.put('/restaurant/:id', authMiddleware, updateRestaurant);
+// ✅ Super Admin Routes for Managing Restaurants (and admins granted manage-restaurants)
+const canManageRestaurants = [authMiddleware, requirePermission('manage-restaurants')];
+router.get('/restaurants', canManageRestaurants, getAllRestaurants);
+router.get('/restaurant/:id', canManageRestaurants, getRestaurantById);
+router.delete('/restaurant/:id', canManageRestaurants, deleteRestaurant);
+router.put('/restaurant/:id', canManageRestaurants, updateRestaurant);
 
 export default router;
@@ -7,6 +7,7 @@ import path from 'path';
 import restaurantRoutes from './routes/restaurantRoutes.js';
 import superAdminRoutes from './routes/superAdminRoutes.js';
 import foodItemRoutes from './routes/foodItemRoutes.js';
+import internalRoutes from './routes/internalRoutes.js';
 import cors from 'cors';
 import { register, metricsMiddleware } from '../metrics.js';
 
@@ -46,6 +47,7 @@ app.get('/metrics', async (req, res) => {
 app.use('/api/restaurant', restaurantRoutes);
 app.use('/api/superAdmin', superAdminRoutes);
 app.use('/api/food-items', foodItemRoutes);
+app.use('/internal/restaurants', internalRoutes);
 app.use('/uploads', express.static(path.join(process.cwd(), 'uploads')));
 
 // Test route
@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+
+// Thin client for auth-service. Restaurant-service checks credentials itself
+// but asks auth-service to sign the token, since only auth-service holds keys.
+
+const authServiceUrl = () => process.env.AUTH_SERVICE_URL || 'http://localhost:5001';
+
+// Short-lived introspection answers, keyed by a hash of the token
+const introspectionCache = new Map();
+const MAX_CACHED_TOKENS = 1000;
+
+const introspectionTtlMs = () => (Number(process.env.INTROSPECTION_CACHE_TTL_SECONDS) || 30) * 1000;
+
+export class AuthServiceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthServiceError';
+  }
+}
+
+// Thrown by requestToken when the account uses two-factor login; `challenge`
+// is auth-service's body ({ challengeToken, twoFactorRequired | twoFactorEnrollmentRequired })
+// for the client to finish at /api/auth/2fa/challenge
+export class SecondFactorRequired extends Error {
+  constructor(challenge) {
+    super('Two-factor authentication required');
+    this.name = 'SecondFactorRequired';
+    this.challenge = challenge;
+  }
+}
+
+// Basic credentials for AUTH_CLIENT_ID / AUTH_CLIENT_SECRET
+const serviceCredentials = () => {
+  const clientId = process.env.AUTH_CLIENT_ID || 'restaurant-service';
+  return Buffer.from(`${clientId}:${process.env.AUTH_CLIENT_SECRET || ''}`).toString('base64');
+};
+
+// Device of the person logging in, for their session list in auth-service
+export const loginClient = (req) => ({
+  userAgent: (req.headers || {})['user-agent'] || '',
+  ip: req.ip || '',
+});
+
+// POST /api/auth/token; resolves to the signed access token. `client` is only
+// trusted by auth-service because the request carries our service credentials.
+export const requestToken = async ({ email, password, role, client }) => {
+  const response = await fetch(`${authServiceUrl()}/api/auth/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Basic ${serviceCredentials()}` },
+    body: JSON.stringify({ email, password, role, client }),
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const err = new Error(body.message || `Token request failed with status ${response.status}`);
+    err.status = response.status;
+    throw err;
+  }
+  if (body.challengeToken) {
+    throw new SecondFactorRequired(body);
+  }
+  return body.token;
+};
+
+// POST /api/auth/introspect as service client AUTH_CLIENT_ID / AUTH_CLIENT_SECRET;
+// resolves to { active, suspended, sub, role, ... }
+export const introspectToken = async (token) => {
+  const cacheKey = crypto.createHash('sha256').update(token).digest('hex');
+  const cached = introspectionCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.result;
+  }
+  introspectionCache.delete(cacheKey);
+
+  let response;
+  try {
+    response = await fetch(`${authServiceUrl()}/api/auth/introspect`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Basic ${serviceCredentials()}` },
+      body: JSON.stringify({ token }),
+    });
+  } catch (err) {
+    throw new AuthServiceError(`Introspection request failed: ${err.message}`);
+  }
+  if (!response.ok) {
+    throw new AuthServiceError(`Introspection request failed with status ${response.status}`);
+  }
+  const result = await response.json();
+
+  // Evict the oldest entry when full; an answer never outlives the token itself
+  if (introspectionCache.size >= MAX_CACHED_TOKENS) {
+    introspectionCache.delete(introspectionCache.keys().next().value);
+  }
+  const expiresAt = Math.min(Date.now() + introspectionTtlMs(), result.exp ? result.exp * 1000 : Infinity);
+  introspectionCache.set(cacheKey, { result, expiresAt });
+
+  return result;
+};
+
+export const clearIntrospectionCache = () => introspectionCache.clear();
+
+// POST /api/auth/internal/password-policy/check: the platform has one password
+// policy and auth-service owns it. Resolves to null for an acceptable password,
+// otherwise to the 400 WEAK_PASSWORD body to send back as is.
+// user: { name?, ownerName?, email? } for the personal-info rule
+export const checkPassword = async (password, user) => {
+  let response;
+  try {
+    response = await fetch(`${authServiceUrl()}/api/auth/internal/password-policy/check`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Basic ${serviceCredentials()}` },
+      body: JSON.stringify({ password, user }),
+    });
+  } catch (err) {
+    throw new AuthServiceError(`Password check failed: ${err.message}`);
+  }
+  const body = await response.json().catch(() => ({}));
+
+  if (response.status === 400 && body.code === 'WEAK_PASSWORD') {
+    return body;
+  }
+  if (!response.ok) {
+    throw new AuthServiceError(`Password check failed with status ${response.status}`);
+  }
+  return null;
+};
+
+// POST /api/auth/internal/audit: append an event to the platform audit log.
+// Never throws and need not be awaited; a lost event is only logged. The
+// actor defaults to the signed-in user and the device to the caller's.
+// event: { action, outcome?, actor?, target?, before?, after?, details? }
+export const emitAudit = async (req, event) => {
+  const user = (req && req.user) || {};
+  const body = {
+    ...event,
+    actor: { ...(user.id && { id: String(user.id), role: user.role }), ...event.actor },
+    client: req ? loginClient(req) : undefined,
+    at: new Date().toISOString(),
+  };
+
+  try {
+    const response = await fetch(`${authServiceUrl()}/api/auth/internal/audit`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Basic ${serviceCredentials()}` },
+      body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+      throw new Error(`status ${response.status}`);
+    }
+  } catch (err) {
+    console.error(`❌ Could not record audit event ${event.action}:`, err.message);
+  }
+};
@@ -0,0 +1,91 @@
+// Access-token verification for restaurant-service.
+//
+// auth-service is the only service that signs tokens; it publishes its public
+// keys at /.well-known/jwks.json. Keys are cached by kid for
+// JWKS_CACHE_TTL_SECONDS and refetched early when a token names a kid we have
+// not seen, which is how a key rotation reaches this service.
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Accepted algorithms per key type; the token's own alg header is never trusted
+const ALGORITHMS_BY_KTY = { RSA: 'RS256', EC: 'ES256' };
+
+// Throttle for refetches caused by unknown kids (garbage tokens must not hammer auth-service)
+const UNKNOWN_KID_COOLDOWN_MS = 30 * 1000;
+
+export class JwksError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JwksError';
+  }
+}
+
+const keys = new Map();
+let fetchedAt = 0;
+let pending = null;
+
+const jwksUri = () =>
+  process.env.JWKS_URI || `${process.env.AUTH_SERVICE_URL || 'http://localhost:5001'}/.well-known/jwks.json`;
+
+const cacheTtlMs = () => (Number(process.env.JWKS_CACHE_TTL_SECONDS) || 600) * 1000;
+
+const fetchKeys = async () => {
+  let response;
+  try {
+    response = await fetch(jwksUri());
+  } catch (err) {
+    throw new JwksError(`JWKS request failed: ${err.message}`);
+  }
+  if (!response.ok) {
+    throw new JwksError(`JWKS request failed with status ${response.status}`);
+  }
+
+  const { keys: jwks = [] } = await response.json();
+  keys.clear();
+  for (const jwk of jwks) {
+    const alg = ALGORITHMS_BY_KTY[jwk.kty];
+    if (!jwk.kid || !alg || (jwk.alg && jwk.alg !== alg) || (jwk.use && jwk.use !== 'sig')) {
+      continue;
+    }
+    keys.set(jwk.kid, { alg, publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' }) });
+  }
+  fetchedAt = Date.now();
+};
+
+const refreshKeys = () => {
+  if (!pending) {
+    pending = fetchKeys().finally(() => {
+      pending = null;
+    });
+  }
+  return pending;
+};
+
+const getKey = async (kid) => {
+  const age = Date.now() - fetchedAt;
+  if (age > cacheTtlMs() || (!keys.has(kid) && age > UNKNOWN_KID_COOLDOWN_MS)) {
+    try {
+      await refreshKeys();
+    } catch (err) {
+      // A cached key is still good while auth-service is briefly unreachable
+      if (!keys.has(kid)) throw err;
+      console.error('❌ JWKS refresh failed, using cached keys:', err.message);
+    }
+  }
+  return keys.get(kid) || null;
+};
+
+export const verifyToken = async (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && decoded.header.kid ? await getKey(decoded.header.kid) : null;
+  if (!key) {
+    throw new jwt.JsonWebTokenError('invalid signing key');
+  }
+  return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+};
+
+// Test helper
+export const clearJwksCache = () => {
+  keys.clear();
+  fetchedAt = 0;
+};
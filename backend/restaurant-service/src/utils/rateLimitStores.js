@@ -0,0 +1,114 @@
+// Interchangeable backends for the login limiter. Every store implements:
+//   get(key)                           -> { failures: [ms], lockedUntil: ms|null, lockouts } | null
+//   recordFailure(key, now, windowMs)  -> entry with failures inside the window
+//   lock(key, until)                   -> void (clears failures, bumps lockouts)
+//   reset(key)                         -> void
+import LoginAttempt from '../models/LoginAttempt.js';
+
+// Entries are forgotten after a day without activity
+const ENTRY_TTL_MS = 24 * 60 * 60 * 1000;
+
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return { ...entry, failures: [...entry.failures] };
+  }
+
+  async recordFailure(key, now, windowMs) {
+    const entry = this.entries.get(key) || { failures: [], lockedUntil: null, lockouts: 0 };
+    entry.failures = entry.failures.filter((t) => t > now - windowMs);
+    entry.failures.push(now);
+    entry.expiresAt = now + ENTRY_TTL_MS;
+    this.entries.set(key, entry);
+    this.sweep(now);
+    return { ...entry, failures: [...entry.failures] };
+  }
+
+  async lock(key, until) {
+    const entry = this.entries.get(key) || { failures: [], lockouts: 0 };
+    entry.failures = [];
+    entry.lockedUntil = until;
+    entry.lockouts += 1;
+    entry.expiresAt = Math.max(until, Date.now()) + ENTRY_TTL_MS;
+    this.entries.set(key, entry);
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+
+  // Keep memory bounded when many distinct keys are tried
+  sweep(now) {
+    if (this.entries.size < 10000) return;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+}
+
+class MongoStore {
+  async get(key) {
+    const doc = await LoginAttempt.findOne({ key }).lean();
+    if (!doc) return null;
+    return {
+      failures: doc.failures.map((d) => new Date(d).getTime()),
+      lockedUntil: doc.lockedUntil ? new Date(doc.lockedUntil).getTime() : null,
+      lockouts: doc.lockouts,
+    };
+  }
+
+  async recordFailure(key, now, windowMs) {
+    const doc = await LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $push: { failures: { $each: [new Date(now)], $slice: -100 } },
+        $set: { expiresAt: new Date(now + ENTRY_TTL_MS) },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+    return {
+      failures: doc.failures
+        .map((d) => new Date(d).getTime())
+        .filter((t) => t > now - windowMs),
+      lockedUntil: doc.lockedUntil ? new Date(doc.lockedUntil).getTime() : null,
+      lockouts: doc.lockouts,
+    };
+  }
+
+  async lock(key, until) {
+    await LoginAttempt.updateOne(
+      { key },
+      {
+        $set: {
+          failures: [],
+          lockedUntil: new Date(until),
+          expiresAt: new Date(until + ENTRY_TTL_MS),
+        },
+        $inc: { lockouts: 1 },
+      },
+      { upsert: true }
+    );
+  }
+
+  async reset(key) {
+    await LoginAttempt.deleteOne({ key });
+  }
+}
+
+// RATE_LIMIT_STORE=memory (default, single replica) | mongo (multi-replica)
+const createStore = (type = process.env.RATE_LIMIT_STORE || 'memory') => {
+  if (type === 'mongo') return new MongoStore();
+  if (type === 'memory') return new MemoryStore();
+  throw new Error(`Unknown RATE_LIMIT_STORE "${type}"`);
+};
+
+export { MemoryStore, MongoStore, createStore };
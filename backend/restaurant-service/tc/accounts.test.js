@@ -0,0 +1,145 @@
+import { jest } from '@jest/globals';
+
+const mockVerifyToken = jest.fn();
+const mockRestaurant = { findOne: jest.fn(), findById: jest.fn() };
+const mockSuperAdmin = { findOne: jest.fn(), findById: jest.fn() };
+
+// Mock the JWKS module and the models BEFORE importing the route
+jest.unstable_mockModule('../src/utils/jwks.js', () => ({
+  verifyToken: mockVerifyToken
+}));
+jest.unstable_mockModule('../src/models/Restaurant.js', () => ({
+  default: mockRestaurant
+}));
+jest.unstable_mockModule('../src/models/SuperAdmin.js', () => ({
+  default: mockSuperAdmin
+}));
+
+const { default: express } = await import('express');
+const { default: request } = await import('supertest');
+const { default: internalRoutes } = await import('../src/routes/internalRoutes.js');
+
+const app = express();
+app.use(express.json());
+app.use('/internal/restaurants', internalRoutes);
+
+const RESTAURANT_ID = '663f1c2e9b1e8a0012345678';
+const SUPER_ADMIN_ID = '663f1c2e9b1e8a0012345679';
+
+const savedRestaurant = (passwordMatches = true) => ({
+  _id: RESTAURANT_ID,
+  name: 'Pho Saigon',
+  ownerName: 'Lan Nguyen',
+  admin: { email: 'lan@phosaigon.vn', password: '$2a$10$hash' },
+  compareAdminPassword: jest.fn().mockResolvedValue(passwordMatches)
+});
+const savedSuperAdmin = (passwordMatches = true) => ({
+  _id: SUPER_ADMIN_ID,
+  name: 'Root',
+  email: 'root@skydish.vn',
+  password: '$2a$10$hash',
+  comparePassword: jest.fn().mockResolvedValue(passwordMatches)
+});
+
+const post = (path, body) =>
+  request(app).post(`/internal/restaurants/accounts/${path}`).set('Authorization', 'Bearer service-token').send(body);
+
+describe('Internal Account Routes - POST /internal/restaurants/accounts/*', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockVerifyToken.mockResolvedValue({ sub: 'auth-service', role: 'service', scope: 'credentials' });
+    mockRestaurant.findOne.mockResolvedValue(null);
+    mockSuperAdmin.findOne.mockResolvedValue(null);
+  });
+
+  // Test 1: Only auth-service tokens with the credentials scope get through
+  test('should reject user tokens and service tokens without the credentials scope', async () => {
+    // GIVEN: A restaurant admin token, then an onboarding-scoped service token
+    mockVerifyToken.mockResolvedValueOnce({ sub: RESTAURANT_ID, role: 'restaurant-admin' });
+    mockVerifyToken.mockResolvedValueOnce({ sub: 'auth-service', role: 'service', scope: 'onboarding' });
+    const body = { email: 'lan@phosaigon.vn', password: 'Secret123' };
+
+    // WHEN: Each one asks for a credential check
+    const asOwner = await post('verify', body);
+    const asOnboarding = await post('verify', body);
+    const anonymous = await request(app).post('/internal/restaurants/accounts/verify').send(body);
+
+    // THEN: 403, 403 and 401, and no account is read
+    expect(asOwner.status).toBe(403);
+    expect(asOnboarding.status).toBe(403);
+    expect(asOnboarding.body.message).toBe('Access denied: "credentials" service scope required');
+    expect(anonymous.status).toBe(401);
+    expect(mockRestaurant.findOne).not.toHaveBeenCalled();
+  });
+
+  // Test 2: Restaurant owners are checked here and come back without their hash
+  test('should answer the restaurant owner account for matching credentials', async () => {
+    // GIVEN: An owner whose password matches
+    const restaurant = savedRestaurant();
+    mockRestaurant.findOne.mockResolvedValue(restaurant);
+
+    // WHEN: auth-service verifies the owner
+    const response = await post('verify', { email: 'lan@phosaigon.vn', password: 'Secret123', role: 'restaurant-admin' });
+
+    // THEN: The account with its restaurant id, and no password field anywhere
+    expect(response.status).toBe(200);
+    expect(mockRestaurant.findOne).toHaveBeenCalledWith({ 'admin.email': 'lan@phosaigon.vn' });
+    expect(restaurant.compareAdminPassword).toHaveBeenCalledWith('Secret123');
+    expect(response.body.account).toEqual({
+      id: RESTAURANT_ID,
+      role: 'restaurant-admin',
+      restaurantId: RESTAURANT_ID,
+      email: 'lan@phosaigon.vn',
+      name: 'Pho Saigon',
+      suspended: false
+    });
+    expect(JSON.stringify(response.body)).not.toContain('$2a$10$hash');
+    expect(mockSuperAdmin.findOne).not.toHaveBeenCalled();
+  });
+
+  // Test 3: Super admins are checked when no role is given
+  test('should fall through to super admins and answer null for a wrong password', async () => {
+    // GIVEN: No owner under the email, then a super admin whose password does not match
+    mockSuperAdmin.findOne.mockResolvedValueOnce(savedSuperAdmin()).mockResolvedValueOnce(savedSuperAdmin(false));
+
+    // WHEN: Verifying without a role, twice
+    const match = await post('verify', { email: 'root@skydish.vn', password: 'Secret123' });
+    const mismatch = await post('verify', { email: 'root@skydish.vn', password: 'wrong' });
+
+    // THEN: The super admin, then no account
+    expect(match.status).toBe(200);
+    expect(match.body.account).toMatchObject({ id: SUPER_ADMIN_ID, role: 'super-admin', name: 'Root' });
+    expect(match.body.account.password).toBeUndefined();
+    expect(mismatch.status).toBe(200);
+    expect(mismatch.body.account).toBeNull();
+  });
+
+  // Test 4: Malformed requests
+  test('should answer 400 for missing credentials or an unknown role', async () => {
+    const noPassword = await post('verify', { email: 'lan@phosaigon.vn' });
+    const badRole = await post('verify', { email: 'lan@phosaigon.vn', password: 'x', role: 'customer' });
+    const badLookup = await post('lookup', { id: RESTAURANT_ID, role: 'customer' });
+
+    expect(noPassword.status).toBe(400);
+    expect(badRole.status).toBe(400);
+    expect(badLookup.status).toBe(400);
+  });
+
+  // Test 5: Lookup by id for token checks
+  test('should look up accounts by id and answer null for unknown or invalid ids', async () => {
+    // GIVEN: One stored restaurant
+    mockRestaurant.findById.mockResolvedValueOnce(savedRestaurant()).mockResolvedValueOnce(null);
+
+    // WHEN: Looking up the stored one, a missing one and a malformed id
+    const found = await post('lookup', { id: RESTAURANT_ID, role: 'restaurant-admin' });
+    const missing = await post('lookup', { id: SUPER_ADMIN_ID, role: 'restaurant-admin' });
+    const invalid = await post('lookup', { id: 'not-an-id', role: 'restaurant-admin' });
+
+    // THEN: The account, then null twice; invalid ids never reach the database
+    expect(found.body.account).toMatchObject({ id: RESTAURANT_ID, role: 'restaurant-admin', restaurantId: RESTAURANT_ID });
+    expect(missing.body.account).toBeNull();
+    expect(invalid.status).toBe(200);
+    expect(invalid.body.account).toBeNull();
+    expect(mockRestaurant.findById).toHaveBeenCalledTimes(2);
+  });
+});
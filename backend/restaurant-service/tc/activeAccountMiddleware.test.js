@@ -0,0 +1,121 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import authMiddleware from '../src/middleware/authMiddleware.js';
+import { installAuthServiceStub, signTestToken } from './authServiceStub.js';
+
+// authMiddleware runs the active-account check itself, so every protected
+// route gets it: a destructive one and an everyday read
+const buildApp = () => {
+  const app = express();
+  app.delete('/restaurant/:id', authMiddleware, (req, res) => {
+    res.status(200).json({ deleted: req.params.id });
+  });
+  app.get('/profile', authMiddleware, (req, res) => {
+    res.status(200).json({ id: req.user.id });
+  });
+  return app;
+};
+
+describe('Active account check (token introspection)', () => {
+  const originalFetch = global.fetch;
+  let suspendedIds;
+
+  beforeEach(() => {
+    suspendedIds = new Set();
+    installAuthServiceStub(undefined, (claims) =>
+      suspendedIds.has(claims.sub) ? { active: false, suspended: true } : {}
+    );
+    delete process.env.INTROSPECTION_CACHE_TTL_SECONDS;
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  // Test 1: Active account (happy path)
+  test('Test 1: should allow the request when auth-service reports the token active', async () => {
+    // GIVEN a super admin token
+    const token = signTestToken({ sub: 'sa-1', role: 'super-admin' }, { expiresIn: '15m' });
+
+    // WHEN the destructive route is called
+    const res = await request(buildApp())
+      .delete('/restaurant/r-1')
+      .set('Authorization', `Bearer ${token}`);
+
+    // THEN it reaches the handler
+    expect(res.status).toBe(200);
+    expect(res.body.deleted).toBe('r-1');
+  });
+
+  // Test 2: Suspended account
+  test('Test 2: should return 403 for a validly signed token of a suspended account', async () => {
+    // GIVEN the account behind the token was suspended
+    suspendedIds.add('sa-2');
+    const token = signTestToken({ sub: 'sa-2', role: 'super-admin' }, { expiresIn: '15m' });
+
+    // WHEN the destructive route is called
+    const res = await request(buildApp())
+      .delete('/restaurant/r-1')
+      .set('Authorization', `Bearer ${token}`);
+
+    // THEN it is refused
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Account is suspended');
+  });
+
+  // Test 3: Cached answers
+  test('Test 3: should reuse the introspection answer for repeated requests with the same token', async () => {
+    // GIVEN a fetch spy on the stubbed auth-service
+    const fetchSpy = jest.spyOn(global, 'fetch');
+    const token = signTestToken({ sub: 'sa-3', role: 'super-admin' }, { expiresIn: '15m' });
+    const app = buildApp();
+
+    // WHEN the same token is used twice
+    await request(app).delete('/restaurant/r-1').set('Authorization', `Bearer ${token}`);
+    await request(app).delete('/restaurant/r-2').set('Authorization', `Bearer ${token}`);
+
+    // THEN auth-service was introspected once
+    const introspections = fetchSpy.mock.calls.filter(([url]) => url.endsWith('/api/auth/introspect'));
+    expect(introspections).toHaveLength(1);
+    expect(introspections[0][1].headers.Authorization).toMatch(/^Basic /);
+  });
+
+  // Test 4: Auth-service down
+  test('Test 4: should fail closed with 503 when introspection is unavailable', async () => {
+    // GIVEN JWKS is cached but auth-service stops answering introspection
+    const token = signTestToken({ sub: 'sa-4', role: 'super-admin' }, { expiresIn: '15m' });
+    const stub = global.fetch;
+    global.fetch = async (url, init) => {
+      if (url.endsWith('/api/auth/introspect')) throw new Error('ECONNREFUSED');
+      return stub(url, init);
+    };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // WHEN the destructive route is called
+    const res = await request(buildApp())
+      .delete('/restaurant/r-1')
+      .set('Authorization', `Bearer ${token}`);
+
+    // THEN the request is refused rather than trusted
+    expect(res.status).toBe(503);
+    expect(res.body.message).toBe('Authentication service unavailable');
+  });
+
+  // Test 5: Not only destructive routes
+  test('Test 5: should refuse a suspended restaurant admin on ordinary routes too', async () => {
+    // GIVEN a suspended restaurant admin with a token still inside its lifetime
+    suspendedIds.add('rest-5');
+    const token = signTestToken({ sub: 'rest-5', role: 'restaurant-admin', restaurantId: 'rest-5' }, { expiresIn: '15m' });
+
+    // WHEN the dashboard loads the profile
+    const res = await request(buildApp())
+      .get('/profile')
+      .set('Authorization', `Bearer ${token}`);
+
+    // THEN it is refused as well
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Account is suspended');
+  });
+});
@@ -0,0 +1,105 @@
+import { jest } from '@jest/globals';
+
+const mockEmitAudit = jest.fn();
+const mockRestaurant = {
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn()
+};
+
+// Mock the auth-service client and the model BEFORE importing the modules under test
+jest.unstable_mockModule('../src/utils/authClient.js', () => ({
+  emitAudit: mockEmitAudit
+}));
+jest.unstable_mockModule('../src/models/Restaurant.js', () => ({
+  default: mockRestaurant
+}));
+
+const { default: express } = await import('express');
+const { default: request } = await import('supertest');
+const { auditFailedLogins } = await import('../src/middleware/auditMiddleware.js');
+const { updateRestaurant, deleteRestaurant } = await import('../src/controllers/superAdminController.js');
+
+const RESTAURANT_ID = '663f1c2e9b1e8a0012345678';
+const ADMIN = { id: 'admin1', role: 'admin', permissions: ['manage-restaurants'] };
+
+const doc = (fields) => ({ _id: RESTAURANT_ID, ...fields, toObject() { return { _id: RESTAURANT_ID, ...fields }; } });
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('Audit events sent to auth-service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // Test 1: Failed logins are reported, successful ones are left to auth-service
+  test('should report refused logins with the email and endpoint only', async () => {
+    // GIVEN: A login route answering 400 for a wrong password, 200 otherwise
+    const app = express();
+    app.use(express.json());
+    app.post('/login', auditFailedLogins('restaurant'), (req, res) =>
+      res.status(req.body.password === 'right' ? 200 : 400).json({}));
+
+    // WHEN: One failed and one successful login
+    await request(app).post('/login').send({ email: ' Owner@Pho.vn ', password: 'wrong' });
+    await request(app).post('/login').send({ email: 'owner@pho.vn', password: 'right' });
+
+    // THEN: Only the failure is sent, without the password
+    expect(mockEmitAudit).toHaveBeenCalledTimes(1);
+    const [, event] = mockEmitAudit.mock.calls[0];
+    expect(event).toEqual({
+      action: 'auth.login',
+      outcome: 'failure',
+      actor: { email: 'owner@pho.vn' },
+      details: { endpoint: 'restaurant', statusCode: 400 }
+    });
+  });
+
+  // Test 2: Restaurant edits carry both states
+  test('should send the restaurant before and after an update', async () => {
+    mockRestaurant.findById.mockResolvedValue(doc({ name: 'Pho Saigon', availability: true }));
+    mockRestaurant.findByIdAndUpdate.mockResolvedValue(doc({ name: 'Pho Saigon', availability: false }));
+    const req = { user: ADMIN, params: { id: RESTAURANT_ID }, body: { availability: false } };
+    const res = mockRes();
+
+    await updateRestaurant(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockEmitAudit).toHaveBeenCalledWith(req, {
+      action: 'restaurant.update',
+      target: { type: 'restaurant', id: RESTAURANT_ID },
+      before: { _id: RESTAURANT_ID, name: 'Pho Saigon', availability: true },
+      after: { _id: RESTAURANT_ID, name: 'Pho Saigon', availability: false }
+    });
+  });
+
+  test('should not update or audit a restaurant that does not exist', async () => {
+    mockRestaurant.findById.mockResolvedValue(null);
+    const res = mockRes();
+
+    await updateRestaurant({ user: ADMIN, params: { id: RESTAURANT_ID }, body: { name: 'x' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(mockRestaurant.findByIdAndUpdate).not.toHaveBeenCalled();
+    expect(mockEmitAudit).not.toHaveBeenCalled();
+  });
+
+  // Test 3: Deletions keep what was removed
+  test('should send the deleted restaurant as the before state', async () => {
+    const restaurant = { ...doc({ name: 'Pho Saigon' }), deleteOne: jest.fn().mockResolvedValue() };
+    mockRestaurant.findById.mockResolvedValue(restaurant);
+    const req = { user: ADMIN, params: { id: RESTAURANT_ID } };
+
+    await deleteRestaurant(req, mockRes());
+
+    expect(restaurant.deleteOne).toHaveBeenCalled();
+    expect(mockEmitAudit).toHaveBeenCalledWith(req, {
+      action: 'restaurant.delete',
+      target: { type: 'restaurant', id: RESTAURANT_ID },
+      before: { _id: RESTAURANT_ID, name: 'Pho Saigon' }
+    });
+  });
+});
@@ -1,13 +1,16 @@
 import { jest } from '@jest/globals';
 
-// Create mock for jwt module
-const mockJwtVerify = jest.fn();
-
-// Mock the jsonwebtoken module BEFORE importing authMiddleware
-jest.unstable_mockModule('jsonwebtoken', () => ({
-  default: {
-    verify: mockJwtVerify
-  }
+// Create mocks for JWKS verification and auth-service introspection
+const mockVerifyToken = jest.fn();
+const mockIntrospectToken = jest.fn();
+
+// Mock the JWKS module and auth-service client BEFORE importing authMiddleware
+jest.unstable_mockModule('../src/utils/jwks.js', () => ({
+  verifyToken: mockVerifyToken
+}));
+
+jest.unstable_mockModule('../src/utils/authClient.js', () => ({
+  introspectToken: mockIntrospectToken
 }));
 
 // Now import authMiddleware after mocking
@@ -28,56 +31,57 @@ describe('AuthMiddleware', () => {
       json: jest.fn().mockReturnThis()
     };
     next = jest.fn();
-    mockJwtVerify.mockReset();
+    mockVerifyToken.mockReset();
+    mockIntrospectToken.mockReset();
+    mockIntrospectToken.mockResolvedValue({ active: true, suspended: false });
   });
 
   // Test 1: No Authorization header - validates authorization denied path (null_pointer_risk)
-  test('should return 401 when no Authorization header is provided', () => {
+  test('should return 401 when no Authorization header is provided', async () => {
     // GIVEN no Authorization header in request
     req.header.mockReturnValue(null);
 
     // WHEN authMiddleware is called
-    authMiddleware(req, res, next);
+    await authMiddleware(req, res, next);
 
     // THEN should return 401 with authorization denied message
     expect(req.header).toHaveBeenCalledWith('Authorization');
     expect(res.status).toHaveBeenCalledWith(401);
     expect(res.json).toHaveBeenCalledWith({ message: 'No token, authorization denied' });
     expect(next).not.toHaveBeenCalled();
-    expect(mockJwtVerify).not.toHaveBeenCalled();
+    expect(mockVerifyToken).not.toHaveBeenCalled();
   });
 
   // Test 2: Authorization header without 'Bearer ' prefix - validates malformed header handling (null_pointer_risk)
-  test('should return 401 when Authorization header does not start with Bearer', () => {
+  test('should return 401 when Authorization header does not start with Bearer', async () => {
     // GIVEN an Authorization header without Bearer prefix
     req.header.mockReturnValue('InvalidToken12345');
 
     // WHEN authMiddleware is called
-    authMiddleware(req, res, next);
+    await authMiddleware(req, res, next);
 
     // THEN should return 401 with authorization denied message
     expect(req.header).toHaveBeenCalledWith('Authorization');
     expect(res.status).toHaveBeenCalledWith(401);
     expect(res.json).toHaveBeenCalledWith({ message: 'No token, authorization denied' });
     expect(next).not.toHaveBeenCalled();
-    expect(mockJwtVerify).not.toHaveBeenCalled();
+    expect(mockVerifyToken).not.toHaveBeenCalled();
   });
 
   // Test 3: Valid Bearer token - verifies successful authentication with user.id and user.role
-  test('should authenticate successfully with valid Bearer token and set user with id and role', () => {
+  test('should authenticate successfully with valid Bearer token and set user with id and role', async () => {
     // GIVEN a valid Bearer token with user id and role
     const mockToken = 'valid.jwt.token.here';
     const mockDecoded = { id: 'user123', role: 'admin', email: 'admin@example.com' };
-    process.env.JWT_SECRET = 'test-secret';
     req.header.mockReturnValue(`Bearer ${mockToken}`);
-    mockJwtVerify.mockReturnValue(mockDecoded);
+    mockVerifyToken.mockResolvedValue(mockDecoded);
 
     // WHEN authMiddleware is called
-    authMiddleware(req, res, next);
+    await authMiddleware(req, res, next);
 
     // THEN should verify token, set req.user with id and role, and call next
     expect(req.header).toHaveBeenCalledWith('Authorization');
-    expect(mockJwtVerify).toHaveBeenCalledWith(mockToken, 'test-secret');
+    expect(mockVerifyToken).toHaveBeenCalledWith(mockToken);
     expect(req.user).toEqual({
       id: 'user123',
       role: 'admin'
@@ -90,117 +94,177 @@ describe('AuthMiddleware', () => {
   });
 
   // Test 4: Invalid token signature - tests jwt.verify() exception handling (methods_that_can_throw)
-  test('should return 401 when token has invalid signature', () => {
+  test('should return 401 when token has invalid signature', async () => {
     // GIVEN a Bearer token with invalid signature
     const mockToken = 'invalid.signature.token';
-    process.env.JWT_SECRET = 'test-secret';
     req.header.mockReturnValue(`Bearer ${mockToken}`);
-    mockJwtVerify.mockImplementation(() => {
+    mockVerifyToken.mockImplementation(() => {
       throw new Error('invalid signature');
     });
 
     // WHEN authMiddleware is called
-    authMiddleware(req, res, next);
+    await authMiddleware(req, res, next);
 
     // THEN should catch error and return 401 with Invalid token message
     expect(req.header).toHaveBeenCalledWith('Authorization');
-    expect(mockJwtVerify).toHaveBeenCalledWith(mockToken, 'test-secret');
+    expect(mockVerifyToken).toHaveBeenCalledWith(mockToken);
     expect(res.status).toHaveBeenCalledWith(401);
     expect(res.json).toHaveBeenCalledWith({ message: 'Invalid token' });
     expect(next).not.toHaveBeenCalled();
   });
 
   // Test 5: Expired Bearer token - ensures expired JWT throws proper 401 error
-  test('should return 401 when Bearer token is expired', () => {
+  test('should return 401 when Bearer token is expired', async () => {
     // GIVEN an expired Bearer token
     const mockToken = 'expired.jwt.token';
-    process.env.JWT_SECRET = 'test-secret';
     req.header.mockReturnValue(`Bearer ${mockToken}`);
-    mockJwtVerify.mockImplementation(() => {
+    mockVerifyToken.mockImplementation(() => {
       const error = new Error('jwt expired');
       error.name = 'TokenExpiredError';
       throw error;
     });
 
     // WHEN authMiddleware is called
-    authMiddleware(req, res, next);
+    await authMiddleware(req, res, next);
 
     // THEN should catch TokenExpiredError and return 401
     expect(req.header).toHaveBeenCalledWith('Authorization');
-    expect(mockJwtVerify).toHaveBeenCalledWith(mockToken, 'test-secret');
+    expect(mockVerifyToken).toHaveBeenCalledWith(mockToken);
     expect(res.status).toHaveBeenCalledWith(401);
     expect(res.json).toHaveBeenCalledWith({ message: 'Invalid token' });
     expect(next).not.toHaveBeenCalled();
   });
 
   // Test 6: Malformed Bearer token - tests jwt.verify() with corrupted token string
-  test('should return 401 when Bearer token is malformed', () => {
+  test('should return 401 when Bearer token is malformed', async () => {
     // GIVEN a malformed Bearer token string
     const mockToken = 'malformed-token-without-proper-jwt-structure';
-    process.env.JWT_SECRET = 'test-secret';
     req.header.mockReturnValue(`Bearer ${mockToken}`);
-    mockJwtVerify.mockImplementation(() => {
+    mockVerifyToken.mockImplementation(() => {
       const error = new Error('jwt malformed');
       error.name = 'JsonWebTokenError';
       throw error;
     });
 
     // WHEN authMiddleware is called
-    authMiddleware(req, res, next);
+    await authMiddleware(req, res, next);
 
     // THEN should catch JsonWebTokenError and return 401
     expect(req.header).toHaveBeenCalledWith('Authorization');
-    expect(mockJwtVerify).toHaveBeenCalledWith(mockToken, 'test-secret');
+    expect(mockVerifyToken).toHaveBeenCalledWith(mockToken);
     expect(res.status).toHaveBeenCalledWith(401);
     expect(res.json).toHaveBeenCalledWith({ message: 'Invalid token' });
     expect(next).not.toHaveBeenCalled();
   });
 
   // Test 7: Empty Bearer token (Bearer with space only) - validates token extraction edge case (null_pointer_risk)
-  test('should return 401 when Bearer token is empty or only whitespace', () => {
+  test('should return 401 when Bearer token is empty or only whitespace', async () => {
     // GIVEN a Bearer header with empty token after split
     const mockToken = '';
-    process.env.JWT_SECRET = 'test-secret';
     req.header.mockReturnValue('Bearer ');
-    mockJwtVerify.mockImplementation(() => {
+    mockVerifyToken.mockImplementation(() => {
       throw new Error('jwt must be provided');
     });
 
     // WHEN authMiddleware is called
-    authMiddleware(req, res, next);
+    await authMiddleware(req, res, next);
 
     // THEN should attempt to verify and catch error
     expect(req.header).toHaveBeenCalledWith('Authorization');
-    expect(mockJwtVerify).toHaveBeenCalledWith('', 'test-secret');
+    expect(mockVerifyToken).toHaveBeenCalledWith('');
     expect(res.status).toHaveBeenCalledWith(401);
     expect(res.json).toHaveBeenCalledWith({ message: 'Invalid token' });
     expect(next).not.toHaveBeenCalled();
   });
 
-  // Test 8: Missing JWT_SECRET - tests behavior when environment variable is undefined
-  test('should handle missing JWT_SECRET gracefully', () => {
-    // GIVEN a valid Bearer token but JWT_SECRET is undefined
+  // Test 8: auth-service unreachable - JWKS cannot be fetched, so the token cannot be checked
+  test('should return 503 when the signing keys cannot be fetched', async () => {
+    // GIVEN a Bearer token but auth-service's JWKS is unavailable
     const mockToken = 'valid.jwt.token';
     req.header.mockReturnValue(`Bearer ${mockToken}`);
-    const originalSecret = process.env.JWT_SECRET;
-    delete process.env.JWT_SECRET;
-    mockJwtVerify.mockImplementation(() => {
-      throw new Error('secretOrPrivateKey must have a value');
+    const jwksError = new Error('JWKS request failed: connect ECONNREFUSED');
+    jwksError.name = 'JwksError';
+    mockVerifyToken.mockRejectedValue(jwksError);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // WHEN authMiddleware is called
+    await authMiddleware(req, res, next);
+
+    // THEN should report the outage instead of rejecting the token
+    expect(mockVerifyToken).toHaveBeenCalledWith(mockToken);
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.json).toHaveBeenCalledWith({ message: 'Authentication service unavailable' });
+    expect(next).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  // Test 9: Standard claims from /api/auth/token - sub, restaurantId and permissions are mapped
+  test('should map standard claims from the unified auth token', async () => {
+    // GIVEN a unified token for a restaurant admin
+    req.header.mockReturnValue('Bearer unified.jwt.token');
+    mockVerifyToken.mockResolvedValue({
+      sub: 'ra-1',
+      role: 'restaurant-admin',
+      restaurantId: 'rest-9',
+      permissions: ['menu:write']
     });
 
     // WHEN authMiddleware is called
-    authMiddleware(req, res, next);
+    await authMiddleware(req, res, next);
 
-    // THEN should catch error and return 401
-    expect(req.header).toHaveBeenCalledWith('Authorization');
-    expect(mockJwtVerify).toHaveBeenCalledWith(mockToken, undefined);
-    expect(res.status).toHaveBeenCalledWith(401);
-    expect(res.json).toHaveBeenCalledWith({ message: 'Invalid token' });
+    // THEN routes see the restaurant to act on, not the account id
+    expect(req.user).toEqual({
+      id: 'ra-1',
+      role: 'restaurant-admin',
+      restaurantId: 'rest-9',
+      permissions: ['menu:write']
+    });
+    expect(next).toHaveBeenCalled();
+  });
+
+  // Test 10: Legacy tokens - restaurant login tokens and super-admin role naming keep working
+  test('should treat legacy restaurant tokens as their own restaurant and normalise super-admin', async () => {
+    // GIVEN a legacy restaurant token with only an id
+    req.header.mockReturnValue('Bearer legacy.jwt.token');
+    mockVerifyToken.mockResolvedValueOnce({ id: 'rest-1' });
+
+    // WHEN authMiddleware is called
+    await authMiddleware(req, res, next);
+
+    // THEN restaurantId falls back to the token id
+    expect(req.user).toEqual({ id: 'rest-1', role: undefined, restaurantId: 'rest-1' });
+
+    // AND unified super-admin tokens map to the superAdmin role used by controllers
+    mockVerifyToken.mockResolvedValueOnce({ sub: 'sa-1', role: 'super-admin', restaurantId: null, permissions: [] });
+    await authMiddleware(req, res, next);
+    expect(req.user).toEqual({ id: 'sa-1', role: 'superAdmin', permissions: [] });
+  });
+
+  // Test 11: Suspended account - a valid signature is not enough (security critical)
+  test('should return 403 when auth-service reports the account suspended', async () => {
+    // GIVEN a correctly signed token whose account was suspended since
+    req.header.mockReturnValue('Bearer valid.jwt.token');
+    mockVerifyToken.mockResolvedValue({ sub: 'ra-1', role: 'restaurant-admin', restaurantId: 'rest-9' });
+    mockIntrospectToken.mockResolvedValue({ active: false, suspended: true });
+
+    // WHEN authMiddleware is called
+    await authMiddleware(req, res, next);
+
+    // THEN the request is refused
+    expect(mockIntrospectToken).toHaveBeenCalledWith('valid.jwt.token');
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ message: 'Account is suspended' });
     expect(next).not.toHaveBeenCalled();
+  });
 
-    // Cleanup
-    if (originalSecret) {
-      process.env.JWT_SECRET = originalSecret;
-    }
+  // Test 12: Invalid tokens never reach auth-service
+  test('should not introspect tokens that fail verification', async () => {
+    req.header.mockReturnValue('Bearer forged.jwt.token');
+    mockVerifyToken.mockRejectedValue(new Error('invalid signature'));
+
+    await authMiddleware(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(mockIntrospectToken).not.toHaveBeenCalled();
   });
 });
@@ -0,0 +1,58 @@
+// Stand-in for auth-service in route tests: global.fetch serves a JWKS with a
+// test key, answers POST /api/auth/token with claims from a test resolver,
+// POST /api/auth/introspect by verifying the token (plus optional overrides)
+// and password checks with auth-service's own policy module.
+import crypto from 'crypto';
+import { createRequire } from 'module';
+import jwt from 'jsonwebtoken';
+import { clearJwksCache } from '../src/utils/jwks.js';
+import { clearIntrospectionCache } from '../src/utils/authClient.js';
+
+const { validatePassword, weakPasswordResponse } = createRequire(import.meta.url)(
+  '../../auth-service/utils/passwordPolicy.js'
+);
+
+const TEST_KID = 'test-key';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+// Sign a token the way auth-service would
+export const signTestToken = (payload, options = {}) =>
+  jwt.sign(payload, privateKey, { algorithm: 'ES256', keyid: TEST_KID, ...options });
+
+export const verifyTestToken = (token) => jwt.verify(token, publicKey, { algorithms: ['ES256'] });
+
+const jsonResponse = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+// resolveClaims({ email, password, role }) -> claims object, or null for bad credentials
+// accountStatus(claims) -> fields merged into introspection answers, e.g. { suspended: true }
+export const installAuthServiceStub = (resolveClaims = async () => null, accountStatus = () => ({})) => {
+  clearJwksCache();
+  clearIntrospectionCache();
+  global.fetch = async (url, init = {}) => {
+    if (url.endsWith('/.well-known/jwks.json')) {
+      const jwk = { ...publicKey.export({ format: 'jwk' }), kid: TEST_KID, alg: 'ES256', use: 'sig' };
+      return jsonResponse(200, { keys: [jwk] });
+    }
+    if (url.endsWith('/api/auth/token')) {
+      const claims = await resolveClaims(JSON.parse(init.body));
+      return claims
+        ? jsonResponse(200, { token: signTestToken(claims, { expiresIn: '15m' }) })
+        : jsonResponse(401, { message: 'Invalid email or password.' });
+    }
+    if (url.endsWith('/api/auth/introspect')) {
+      let claims;
+      try {
+        claims = verifyTestToken(JSON.parse(init.body).token);
+      } catch {
+        return jsonResponse(200, { active: false });
+      }
+      return jsonResponse(200, { active: true, suspended: false, ...claims, ...accountStatus(claims) });
+    }
+    if (url.endsWith('/api/auth/internal/password-policy/check')) {
+      const { password, user } = JSON.parse(init.body);
+      const errors = validatePassword(password, user);
+      return errors.length ? jsonResponse(400, weakPasswordResponse(errors)) : jsonResponse(200, { status: 'success' });
+    }
+    return jsonResponse(404, {});
+  };
+};
@@ -3,22 +3,21 @@ import './setupMongo.js';
 import { jest } from '@jest/globals';
 jest.setTimeout(30000);
 
-// Set JWT_SECRET before importing app
-process.env.JWT_SECRET = 'test-secret-key-for-food-item-testing';
-
 // then other imports
 import request from 'supertest';
 import mongoose from 'mongoose';
-import jwt from 'jsonwebtoken';
+import { installAuthServiceStub, signTestToken } from './authServiceStub.js';
 import app from '../src/server.js';
 import Restaurant from '../src/models/Restaurant.js';
 import FoodItem from '../src/models/FoodItem.js';
 
+// Tokens are verified against the stubbed auth-service JWKS
+installAuthServiceStub();
+
 // Helper function to generate JWT token
 const generateToken = (userId, role = 'restaurant') => {
-  return jwt.sign(
+  return signTestToken(
     { id: userId, role: role },
-    process.env.JWT_SECRET,
     { expiresIn: '1h' }
   );
 };
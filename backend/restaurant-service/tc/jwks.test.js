@@ -0,0 +1,48 @@
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { verifyToken } from '../src/utils/jwks.js';
+import { installAuthServiceStub, signTestToken } from './authServiceStub.js';
+
+describe('JWKS token verification', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    installAuthServiceStub();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  // Test 1: Token signed by auth-service's published key (happy path)
+  test('Test 1: should verify tokens signed with a published key and cache the JWKS', async () => {
+    // GIVEN a fetch spy on the stubbed auth-service
+    const fetchSpy = jest.spyOn(global, 'fetch');
+
+    // WHEN two tokens are verified
+    const first = await verifyToken(signTestToken({ sub: 'rest-1', role: 'restaurant-admin' }));
+    const second = await verifyToken(signTestToken({ sub: 'rest-2', role: 'restaurant-admin' }));
+
+    // THEN both verify with a single JWKS fetch
+    expect(first.sub).toBe('rest-1');
+    expect(second.sub).toBe('rest-2');
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+  });
+
+  // Test 2: Shared-secret tokens are no longer accepted (security critical)
+  test('Test 2: should reject tokens signed with a shared secret', async () => {
+    const legacyToken = jwt.sign({ id: 'rest-1' }, 'old-shared-secret');
+    const spoofedKid = jwt.sign({ id: 'rest-1' }, 'old-shared-secret', { keyid: 'test-key' });
+
+    await expect(verifyToken(legacyToken)).rejects.toThrow('invalid signing key');
+    await expect(verifyToken(spoofedKid)).rejects.toThrow('invalid algorithm');
+  });
+
+  // Test 3: auth-service down with an empty cache
+  test('Test 3: should raise JwksError when the key set cannot be fetched', async () => {
+    global.fetch = async () => ({ ok: false, status: 502, json: async () => ({}) });
+
+    await expect(verifyToken(signTestToken({ sub: 'x' }))).rejects.toMatchObject({ name: 'JwksError' });
+  });
+});
@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { loginLimiter } from '../src/middleware/loginLimiter.js';
+import { MemoryStore, createStore } from '../src/utils/rateLimitStores.js';
+import { register } from '../metrics.js';
+
+// Minimal login handler mirroring the restaurant/super-admin routes: 400 on bad credentials
+const buildApp = (store) => {
+  const app = express();
+  app.use(express.json());
+  app.post('/login', loginLimiter('super-admin', { store }), (req, res) => {
+    if (req.body.password === 'secret') {
+      return res.status(200).json({ token: 'jwt' });
+    }
+    return res.status(400).json({ message: 'Invalid credentials' });
+  });
+  return app;
+};
+
+const attempt = (app, email, password = 'wrong') =>
+  request(app).post('/login').send({ email, password });
+
+describe('Login Limiter', () => {
+  let store;
+  let app;
+
+  beforeEach(() => {
+    delete process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT;
+    delete process.env.LOGIN_MAX_FAILURES_PER_IP;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    store = new MemoryStore();
+    app = buildApp(store);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Test 1: Account lockout after repeated invalid credentials (security critical)
+  test('Test 1: should return 429 with Retry-After after 5 invalid credentials for one account', async () => {
+    // GIVEN five failed logins for the same email
+    for (let i = 0; i < 5; i++) {
+      await attempt(app, 'admin@shopee.com').expect(400);
+    }
+
+    // WHEN the correct password is finally tried
+    const res = await attempt(app, 'admin@shopee.com', 'secret');
+
+    // THEN the account is still locked
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  // Test 2: Successful login resets the account counter (happy path)
+  test('Test 2: should reset failures after a successful login', async () => {
+    // GIVEN four failures and a success
+    for (let i = 0; i < 4; i++) {
+      await attempt(app, 'admin@shopee.com').expect(400);
+    }
+    await attempt(app, 'admin@shopee.com', 'secret').expect(200);
+
+    // WHEN four more failures happen
+    for (let i = 0; i < 4; i++) {
+      await attempt(app, 'admin@shopee.com').expect(400);
+    }
+
+    // THEN login still works
+    await attempt(app, 'admin@shopee.com', 'secret').expect(200);
+  });
+
+  // Test 3: Per-IP limit across many accounts (credential stuffing)
+  test('Test 3: should lock the client IP when failures are spread over many accounts', async () => {
+    // GIVEN IP limit of 3
+    process.env.LOGIN_MAX_FAILURES_PER_IP = '3';
+
+    // WHEN three different accounts fail
+    for (let i = 0; i < 3; i++) {
+      await attempt(app, `user${i}@shopee.com`).expect(400);
+    }
+
+    // THEN a fourth account is throttled too
+    await attempt(app, 'fresh@shopee.com', 'secret').expect(429);
+  });
+
+  // Test 4: Lockouts are exported to Prometheus
+  test('Test 4: should record lockouts in restaurant-service metrics', async () => {
+    // GIVEN an account driven into lockout
+    for (let i = 0; i < 5; i++) {
+      await attempt(app, 'metrics@shopee.com').expect(400);
+    }
+
+    // WHEN metrics are scraped
+    const output = await register.metrics();
+
+    // THEN the lockout counter is present for the endpoint
+    expect(output).toMatch(/login_lockouts_total\{endpoint="super-admin",scope="account",service="restaurant-service"\} [1-9]/);
+  });
+
+  // Test 5: Restaurant and super-admin logins share the account limit
+  test('Test 5: should count failures for one email across login endpoints', async () => {
+    // GIVEN a restaurant login on the same store
+    app.post('/restaurant-login', loginLimiter('restaurant', { store }), (req, res) =>
+      res.status(400).json({ message: 'Invalid credentials' }));
+
+    // WHEN failures for one email are spread over both endpoints
+    for (let i = 0; i < 3; i++) {
+      await attempt(app, 'admin@shopee.com').expect(400);
+    }
+    for (let i = 0; i < 2; i++) {
+      await request(app).post('/restaurant-login').send({ email: 'admin@shopee.com', password: 'wrong' }).expect(400);
+    }
+
+    // THEN the account is locked, even with the right password
+    await attempt(app, 'admin@shopee.com', 'secret').expect(429);
+  });
+
+  // Test 6: Store selection (configuration)
+  test('Test 6: should default to the memory store and reject unknown backends', () => {
+    expect(createStore()).toBeInstanceOf(MemoryStore);
+    expect(() => createStore('redis')).toThrow('Unknown RATE_LIMIT_STORE');
+  });
+});
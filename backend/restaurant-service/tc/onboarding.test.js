@@ -0,0 +1,161 @@
+import { jest } from '@jest/globals';
+
+const mockVerifyToken = jest.fn();
+const mockRestaurant = {
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  exists: jest.fn(),
+  create: jest.fn()
+};
+
+// Mock the JWKS module and the model BEFORE importing the route
+jest.unstable_mockModule('../src/utils/jwks.js', () => ({
+  verifyToken: mockVerifyToken
+}));
+jest.unstable_mockModule('../src/models/Restaurant.js', () => ({
+  default: mockRestaurant
+}));
+
+const { default: express } = await import('express');
+const { default: request } = await import('supertest');
+const { default: internalRoutes } = await import('../src/routes/internalRoutes.js');
+
+const app = express();
+app.use(express.json());
+app.use('/internal/restaurants', internalRoutes);
+
+const RESTAURANT_ID = '663f1c2e9b1e8a0012345678';
+const application = {
+  name: 'Pho Saigon',
+  ownerName: 'Lan Nguyen',
+  location: '12 Le Loi, District 1',
+  contactNumber: '0901234567',
+  email: 'lan@phosaigon.vn'
+};
+const savedRestaurant = (fields = {}) => ({
+  _id: RESTAURANT_ID,
+  ...application,
+  availability: true,
+  admin: { email: application.email, password: 'hashed' },
+  ...fields
+});
+
+const onboard = (body) =>
+  request(app).post('/internal/restaurants/onboard').set('Authorization', 'Bearer service-token').send(body);
+
+describe('Internal Onboarding Route - POST /internal/restaurants/onboard', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockVerifyToken.mockResolvedValue({ sub: 'auth-service', role: 'service', scope: 'onboarding' });
+    mockRestaurant.findOne.mockResolvedValue(null);
+    mockRestaurant.exists.mockResolvedValue(null);
+  });
+
+  // Test 1: Only auth-service tokens with the onboarding scope get through
+  test('should reject user tokens and service tokens without the onboarding scope', async () => {
+    // GIVEN: A platform admin token, then a privacy-scoped service token
+    mockVerifyToken.mockResolvedValueOnce({ sub: 'admin1', role: 'admin', permissions: ['manage-restaurants'] });
+    mockVerifyToken.mockResolvedValueOnce({ sub: 'auth-service', role: 'service', scope: 'privacy' });
+
+    // WHEN: Each one calls the endpoint
+    const asAdmin = await onboard(application);
+    const asPrivacy = await onboard(application);
+    const anonymous = await request(app).post('/internal/restaurants/onboard').send(application);
+
+    // THEN: 403, 403 and 401, and nothing is written
+    expect(asAdmin.status).toBe(403);
+    expect(asPrivacy.status).toBe(403);
+    expect(asPrivacy.body.message).toBe('Access denied: "onboarding" service scope required');
+    expect(anonymous.status).toBe(401);
+    expect(mockRestaurant.create).not.toHaveBeenCalled();
+  });
+
+  // Test 2: New applicant gets a new restaurant
+  test('should create the restaurant from the application with a random legacy password', async () => {
+    // GIVEN: No restaurant registered under the applicant's email
+    mockRestaurant.create.mockImplementation(async (doc) => savedRestaurant(doc));
+
+    // WHEN: auth-service onboards the applicant
+    const response = await onboard(application);
+
+    // THEN: 201 with the new restaurant; the password is generated, never taken from the request
+    expect(response.status).toBe(201);
+    expect(response.body.linked).toBe(false);
+    expect(response.body.restaurant).toEqual({
+      id: RESTAURANT_ID,
+      name: 'Pho Saigon',
+      ownerName: 'Lan Nguyen',
+      location: '12 Le Loi, District 1',
+      contactNumber: '0901234567',
+      availability: true
+    });
+    const created = mockRestaurant.create.mock.calls[0][0];
+    expect(created.admin.email).toBe('lan@phosaigon.vn');
+    expect(created.admin.password).toHaveLength(32);
+    expect(JSON.stringify(response.body)).not.toContain(created.admin.password);
+  });
+
+  // Test 3: Existing restaurants are linked, not duplicated
+  test('should link the restaurant already registered under the applicant email', async () => {
+    mockRestaurant.findOne.mockResolvedValue(savedRestaurant());
+
+    const response = await onboard(application);
+
+    expect(response.status).toBe(200);
+    expect(response.body.linked).toBe(true);
+    expect(mockRestaurant.findOne).toHaveBeenCalledWith({ 'admin.email': 'lan@phosaigon.vn' });
+    expect(mockRestaurant.create).not.toHaveBeenCalled();
+  });
+
+  test('should link the restaurant chosen by the reviewer', async () => {
+    mockRestaurant.findById.mockResolvedValue(savedRestaurant({ name: 'Pho Saigon Q3' }));
+
+    const response = await onboard({ ...application, restaurantId: RESTAURANT_ID });
+
+    expect(response.status).toBe(200);
+    expect(response.body.restaurant.name).toBe('Pho Saigon Q3');
+    expect(mockRestaurant.findOne).not.toHaveBeenCalled();
+  });
+
+  test('should refuse a chosen restaurant registered under another email unless the reviewer overrides', async () => {
+    // GIVEN: The chosen restaurant belongs to someone else
+    mockRestaurant.findById.mockResolvedValue(savedRestaurant({ admin: { email: 'owner@other.vn', password: 'hashed' } }));
+
+    // WHEN: Linked without, then with, the override
+    const refused = await onboard({ ...application, restaurantId: RESTAURANT_ID });
+    const overridden = await onboard({ ...application, restaurantId: RESTAURANT_ID, overrideOwnership: true });
+
+    // THEN: 409, then linked
+    expect(refused.status).toBe(409);
+    expect(refused.body.message).toBe('This restaurant is registered under a different email');
+    expect(overridden.status).toBe(200);
+    expect(overridden.body.linked).toBe(true);
+  });
+
+  test('should compare the owner email case-insensitively and refuse a missing one', async () => {
+    mockRestaurant.findById.mockResolvedValue(savedRestaurant({ admin: { email: 'LAN@phosaigon.vn', password: 'hashed' } }));
+
+    expect((await onboard({ ...application, restaurantId: RESTAURANT_ID })).status).toBe(200);
+    expect((await onboard({ restaurantId: RESTAURANT_ID })).status).toBe(409);
+    expect((await onboard({ restaurantId: RESTAURANT_ID, overrideOwnership: 'yes' })).status).toBe(409);
+  });
+
+  // Test 4: Error paths
+  test('should answer 404 for an unknown or malformed restaurantId', async () => {
+    mockRestaurant.findById.mockResolvedValue(null);
+
+    expect((await onboard({ restaurantId: RESTAURANT_ID })).status).toBe(404);
+    expect((await onboard({ restaurantId: 'nope' })).status).toBe(404);
+    expect(mockRestaurant.findById).toHaveBeenCalledTimes(1);
+  });
+
+  test('should answer 400 when a new restaurant is missing details and 409 for a taken name', async () => {
+    const incomplete = await onboard({ email: application.email, name: 'Pho Saigon' });
+    mockRestaurant.exists.mockResolvedValue({ _id: 'other' });
+    const taken = await onboard(application);
+
+    expect(incomplete.status).toBe(400);
+    expect(taken.status).toBe(409);
+    expect(mockRestaurant.create).not.toHaveBeenCalled();
+  });
+});
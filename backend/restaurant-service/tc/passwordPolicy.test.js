@@ -0,0 +1,59 @@
+import { jest } from '@jest/globals';
+import { AuthServiceError, checkPassword } from '../src/utils/authClient.js';
+import { installAuthServiceStub } from './authServiceStub.js';
+
+// The policy itself is tested in auth-service; this covers how restaurant-service asks for it
+describe('Password Policy (auth-service check)', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    installAuthServiceStub();
+    process.env.AUTH_CLIENT_SECRET = 'restaurant-secret';
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    delete process.env.AUTH_CLIENT_SECRET;
+    jest.restoreAllMocks();
+  });
+
+  // Test 1: Strong password accepted (happy path)
+  test('Test 1: should resolve null for a password that satisfies every rule', async () => {
+    // GIVEN a long mixed-case password with digits
+    // WHEN checked against a restaurant admin profile
+    const result = await checkPassword('Saffron-Kettle-42', { name: 'Golden Dragon', ownerName: 'John Smith', email: 'admin@goldendragon.com' });
+
+    // THEN nothing needs to be sent back
+    expect(result).toBeNull();
+  });
+
+  // Test 2: Weak password body is passed through (error path - React forms show the rules inline)
+  test('Test 2: should resolve the WEAK_PASSWORD body with every broken rule', async () => {
+    const result = await checkPassword('tran12', { ownerName: 'Lan Tran', email: 'weak@diner.com' });
+
+    expect(result.code).toBe('WEAK_PASSWORD');
+    expect(result.errors.map((e) => e.rule)).toEqual(['minLength', 'uppercase', 'personalInfo']);
+  });
+
+  // Test 3: Service credentials and body (security critical: the route is internal)
+  test('Test 3: should call the internal route with service client credentials', async () => {
+    const fetchSpy = jest.fn(async () => ({ ok: true, status: 200, json: async () => ({ status: 'success' }) }));
+    global.fetch = fetchSpy;
+
+    await checkPassword('Saffron-Kettle-42', { name: 'Golden Dragon' });
+
+    const [url, init] = fetchSpy.mock.calls[0];
+    expect(url).toBe('http://localhost:5001/api/auth/internal/password-policy/check');
+    expect(init.headers.Authorization).toBe(`Basic ${Buffer.from('restaurant-service:restaurant-secret').toString('base64')}`);
+    expect(JSON.parse(init.body)).toEqual({ password: 'Saffron-Kettle-42', user: { name: 'Golden Dragon' } });
+  });
+
+  // Test 4: auth-service down or refusing us (fail closed)
+  test('Test 4: should throw AuthServiceError instead of accepting the password', async () => {
+    global.fetch = async () => { throw new Error('connect ECONNREFUSED'); };
+    await expect(checkPassword('Saffron-Kettle-42', {})).rejects.toBeInstanceOf(AuthServiceError);
+
+    global.fetch = async () => ({ ok: false, status: 401, json: async () => ({ message: 'Invalid service client credentials.' }) });
+    await expect(checkPassword('Saffron-Kettle-42', {})).rejects.toThrow('Password check failed with status 401');
+  });
+});
@@ -0,0 +1,75 @@
+import express from 'express';
+import request from 'supertest';
+import authMiddleware from '../src/middleware/authMiddleware.js';
+import { requirePermission, requireSuperAdmin } from '../src/middleware/permissionMiddleware.js';
+import { installAuthServiceStub, signTestToken } from './authServiceStub.js';
+
+// Routes guarded the way superAdminRoutes guards restaurant management and /register
+const buildApp = () => {
+  const app = express();
+  app.get('/restaurants', authMiddleware, requirePermission('manage-restaurants'), (req, res) => {
+    res.status(200).json({ user: req.user });
+  });
+  app.post('/register', authMiddleware, requireSuperAdmin, (req, res) => {
+    res.status(201).json({ ok: true });
+  });
+  return app;
+};
+
+const bearer = (claims) => `Bearer ${signTestToken(claims, { expiresIn: '15m' })}`;
+
+describe('Permission middleware (token permissions claim)', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    installAuthServiceStub();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  // Test 1: Granted permission (happy path)
+  test('Test 1: should allow admins whose token carries the permission, and super admins', async () => {
+    // GIVEN an admin granted manage-restaurants and a super admin with no claim
+    const admin = bearer({ sub: 'admin-1', role: 'admin', permissions: ['manage-restaurants'] });
+    const superAdmin = bearer({ sub: 'sa-1', role: 'super-admin', permissions: [] });
+
+    // WHEN both list restaurants
+    const adminRes = await request(buildApp()).get('/restaurants').set('Authorization', admin);
+    const superRes = await request(buildApp()).get('/restaurants').set('Authorization', superAdmin);
+
+    // THEN both get through
+    expect(adminRes.status).toBe(200);
+    expect(adminRes.body.user.permissions).toEqual(['manage-restaurants']);
+    expect(superRes.status).toBe(200);
+  });
+
+  // Test 2: Missing permission (error path)
+  test('Test 2: should return 403 when the permission is not in the token', async () => {
+    const tokens = [
+      bearer({ sub: 'admin-2', role: 'admin', permissions: ['manage-orders'] }),
+      bearer({ sub: 'ra-1', role: 'restaurant-admin', restaurantId: 'r-1', permissions: [] }),
+      bearer({ sub: 'c-1', role: 'customer' })
+    ];
+
+    for (const token of tokens) {
+      const res = await request(buildApp()).get('/restaurants').set('Authorization', token);
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe('Access denied, missing permission');
+    }
+  });
+
+  // Test 3: Super admin only
+  test('Test 3: requireSuperAdmin should ignore permissions and only accept super admins', async () => {
+    const admin = bearer({ sub: 'admin-1', role: 'admin', permissions: ['manage-restaurants'] });
+    const superAdmin = bearer({ sub: 'sa-1', role: 'super-admin' });
+
+    const denied = await request(buildApp()).post('/register').set('Authorization', admin);
+    const allowed = await request(buildApp()).post('/register').set('Authorization', superAdmin);
+
+    expect(denied.status).toBe(403);
+    expect(allowed.status).toBe(201);
+  });
+});
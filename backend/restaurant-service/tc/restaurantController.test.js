@@ -3,7 +3,7 @@ import { jest } from '@jest/globals';
 // Create mock functions
 const mockFindOne = jest.fn();
 const mockCompare = jest.fn();
-const mockSign = jest.fn();
+const mockRequestToken = jest.fn();
 
 // Mock modules before imports
 jest.unstable_mockModule('bcryptjs', () => ({
@@ -12,10 +12,17 @@ jest.unstable_mockModule('bcryptjs', () => ({
   }
 }));
 
-jest.unstable_mockModule('jsonwebtoken', () => ({
-  default: {
-    sign: mockSign
+class MockSecondFactorRequired extends Error {
+  constructor(challenge) {
+    super('Two-factor authentication required');
+    this.challenge = challenge;
   }
+}
+
+jest.unstable_mockModule('../src/utils/authClient.js', () => ({
+  requestToken: mockRequestToken,
+  loginClient: (req) => ({ userAgent: req.headers['user-agent'], ip: req.ip }),
+  SecondFactorRequired: MockSecondFactorRequired
 }));
 
 jest.unstable_mockModule('../src/models/Restaurant.js', () => ({
@@ -36,7 +43,9 @@ describe('restaurantController - loginRestaurant', () => {
   beforeEach(() => {
     // Setup request and response mocks
     req = {
-      body: {}
+      body: {},
+      headers: { 'user-agent': 'Mozilla/5.0' },
+      ip: '10.0.0.7'
     };
 
     jsonMock = jest.fn();
@@ -49,13 +58,10 @@ describe('restaurantController - loginRestaurant', () => {
     // Clear all mocks before each test
     mockFindOne.mockClear();
     mockCompare.mockClear();
-    mockSign.mockClear();
+    mockRequestToken.mockClear();
     jsonMock.mockClear();
     statusMock.mockClear();
 
-    // Set up environment variable
-    process.env.JWT_SECRET = 'test-secret-key';
-
     // Mock console.error to avoid cluttering test output
     jest.spyOn(console, 'error').mockImplementation(() => {});
   });
@@ -84,7 +90,7 @@ describe('restaurantController - loginRestaurant', () => {
 
     mockFindOne.mockResolvedValue(mockRestaurant);
     mockCompare.mockResolvedValue(true);
-    mockSign.mockReturnValue(mockToken);
+    mockRequestToken.mockResolvedValue(mockToken);
 
     // WHEN: loginRestaurant is called
     await loginRestaurant(req, res);
@@ -92,11 +98,12 @@ describe('restaurantController - loginRestaurant', () => {
     // THEN: Should return JWT token
     expect(mockFindOne).toHaveBeenCalledWith({ 'admin.email': 'admin@restaurant.com' });
     expect(mockCompare).toHaveBeenCalledWith('password123', '$2a$10$hashedpassword');
-    expect(mockSign).toHaveBeenCalledWith(
-      { restaurantId: 'restaurant123', email: 'admin@restaurant.com' },
-      'test-secret-key',
-      { expiresIn: '30d' }
-    );
+    expect(mockRequestToken).toHaveBeenCalledWith({
+      email: 'admin@restaurant.com',
+      password: 'password123',
+      role: 'restaurant-admin',
+      client: { userAgent: 'Mozilla/5.0', ip: '10.0.0.7' }
+    });
     expect(res.json).toHaveBeenCalledWith({ token: mockToken });
     expect(res.status).not.toHaveBeenCalled();
   });
@@ -117,7 +124,7 @@ describe('restaurantController - loginRestaurant', () => {
     // THEN: Should return 400 error with appropriate message
     expect(mockFindOne).toHaveBeenCalledWith({ 'admin.email': 'nonexistent@restaurant.com' });
     expect(mockCompare).not.toHaveBeenCalled();
-    expect(mockSign).not.toHaveBeenCalled();
+    expect(mockRequestToken).not.toHaveBeenCalled();
     expect(statusMock).toHaveBeenCalledWith(400);
     expect(jsonMock).toHaveBeenCalledWith({ message: 'Invalid email or password' });
   });
@@ -147,7 +154,7 @@ describe('restaurantController - loginRestaurant', () => {
     // THEN: Should return 400 error with appropriate message
     expect(mockFindOne).toHaveBeenCalledWith({ 'admin.email': 'admin@restaurant.com' });
     expect(mockCompare).toHaveBeenCalledWith('wrongpassword', '$2a$10$hashedpassword');
-    expect(mockSign).not.toHaveBeenCalled();
+    expect(mockRequestToken).not.toHaveBeenCalled();
     expect(statusMock).toHaveBeenCalledWith(400);
     expect(jsonMock).toHaveBeenCalledWith({ message: 'Invalid email or password' });
   });
@@ -219,8 +226,8 @@ describe('restaurantController - loginRestaurant', () => {
     expect(jsonMock).toHaveBeenCalledWith({ message: 'Invalid email or password' });
   });
 
-  // Test 7: Happy path - verify JWT token payload
-  test('7 | loginRestaurant | happy | Verify JWT token contains correct restaurantId and email in payload', async () => {
+  // Test 7: Happy path - token is signed by auth-service, not locally
+  test('7 | loginRestaurant | happy | Verify token is requested from auth-service for the restaurant admin', async () => {
     // GIVEN: Valid credentials and specific restaurant data
     req.body = {
       email: 'test@restaurant.com',
@@ -239,20 +246,18 @@ describe('restaurantController - loginRestaurant', () => {
 
     mockFindOne.mockResolvedValue(mockRestaurant);
     mockCompare.mockResolvedValue(true);
-    mockSign.mockReturnValue(mockToken);
+    mockRequestToken.mockResolvedValue(mockToken);
 
     // WHEN: loginRestaurant is called
     await loginRestaurant(req, res);
 
-    // THEN: JWT token should be generated with correct payload
-    expect(mockSign).toHaveBeenCalledWith(
-      { 
-        restaurantId: 'specific-restaurant-id-456', 
-        email: 'test@restaurant.com' 
-      },
-      'test-secret-key',
-      { expiresIn: '30d' }
-    );
+    // THEN: auth-service should sign the token for the restaurant-admin account
+    expect(mockRequestToken).toHaveBeenCalledWith({
+      email: 'test@restaurant.com',
+      password: 'testpass',
+      role: 'restaurant-admin',
+      client: { userAgent: 'Mozilla/5.0', ip: '10.0.0.7' }
+    });
     expect(res.json).toHaveBeenCalledWith({ token: mockToken });
   });
 
@@ -272,8 +277,29 @@ describe('restaurantController - loginRestaurant', () => {
     // THEN: Should handle undefined restaurant and return 400 error
     expect(mockFindOne).toHaveBeenCalledWith({ 'admin.email': 'admin@restaurant.com' });
     expect(mockCompare).not.toHaveBeenCalled();
-    expect(mockSign).not.toHaveBeenCalled();
+    expect(mockRequestToken).not.toHaveBeenCalled();
     expect(statusMock).toHaveBeenCalledWith(400);
     expect(jsonMock).toHaveBeenCalledWith({ message: 'Invalid email or password' });
   });
+
+  // Test 9: Happy - two-factor challenge passed through
+  test('9 | loginRestaurant | happy | Verify a two-factor challenge from auth-service is returned instead of a token', async () => {
+    // GIVEN: Valid credentials for an owner with TOTP enabled
+    req.body = {
+      email: 'admin@restaurant.com',
+      password: 'password123'
+    };
+    const challenge = { status: 'success', twoFactorRequired: true, challengeToken: 'ct-1', expiresAt: '2026-01-01T00:05:00Z' };
+    mockFindOne.mockResolvedValue({ _id: 'restaurant123', admin: { email: 'admin@restaurant.com', password: 'hash' } });
+    mockCompare.mockResolvedValue(true);
+    mockRequestToken.mockRejectedValue(new MockSecondFactorRequired(challenge));
+
+    // WHEN: loginRestaurant is called
+    await loginRestaurant(req, res);
+
+    // THEN: The challenge goes back to the client as a normal 200 body
+    expect(jsonMock).toHaveBeenCalledWith(challenge);
+    expect(statusMock).not.toHaveBeenCalled();
+    expect(console.error).not.toHaveBeenCalled();
+  });
 });
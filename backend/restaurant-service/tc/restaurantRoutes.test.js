@@ -6,7 +6,7 @@ jest.setTimeout(30000);
 // then other imports
 import express from 'express';
 import request from 'supertest';
-import jwt from 'jsonwebtoken';
+import { installAuthServiceStub, signTestToken, verifyTestToken } from './authServiceStub.js';
 import Restaurant from '../src/models/Restaurant.js';
 import restaurantRoutes from '../src/routes/restaurantRoutes.js';
 
@@ -15,8 +15,16 @@ const app = express();
 app.use(express.json());
 app.use('/api/restaurants', restaurantRoutes);
 
-// Mock JWT_SECRET
-process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing';
+// auth-service signs restaurant logins with standard claims
+installAuthServiceStub(async ({ email }) => {
+  const restaurant = await Restaurant.findOne({ 'admin.email': email });
+  return restaurant && {
+    sub: restaurant._id.toString(),
+    role: 'restaurant-admin',
+    restaurantId: restaurant._id.toString(),
+    permissions: []
+  };
+});
 
 beforeEach(async () => {
   await Restaurant.deleteMany({});
@@ -149,6 +157,26 @@ describe('Restaurant Routes - POST /register', () => {
     const restaurantCount = await Restaurant.countDocuments();
     expect(restaurantCount).toBe(1);
   });
+
+  test('Test 9: POST /register should reject weak admin passwords with per-rule errors (error path - security critical)', async () => {
+    // GIVEN: A password that is short, has no uppercase letter and contains the owner name
+    const response = await request(app)
+      .post('/api/restaurants/register')
+      .field('name', 'Weak Pass Diner')
+      .field('ownerName', 'Lan Tran')
+      .field('location', '1 Weak Street')
+      .field('contactNumber', '0999999999')
+      .field('email', 'weak@diner.com')
+      .field('password', 'tran12');
+
+    // THEN: Should return 400 WEAK_PASSWORD listing each broken rule
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('WEAK_PASSWORD');
+    expect(response.body.errors.map((e) => e.rule)).toEqual(['minLength', 'uppercase', 'personalInfo']);
+
+    // Verify nothing was saved
+    expect(await Restaurant.countDocuments()).toBe(0);
+  });
 });
 
 describe('Restaurant Routes - POST /login', () => {
@@ -181,9 +209,10 @@ describe('Restaurant Routes - POST /login', () => {
     expect(response.status).toBe(200);
     expect(response.body.token).toBeDefined();
     
-    // Verify token is valid and contains correct restaurant ID
-    const decoded = jwt.verify(response.body.token, process.env.JWT_SECRET);
-    expect(decoded.id).toBe(restaurant._id.toString());
+    // Verify token is signed by auth-service and scoped to this restaurant
+    const decoded = verifyTestToken(response.body.token);
+    expect(decoded.sub).toBe(restaurant._id.toString());
+    expect(decoded.restaurantId).toBe(restaurant._id.toString());
     expect(decoded.exp).toBeDefined();
   });
 
@@ -263,7 +292,7 @@ describe('Restaurant Routes - PUT /availability', () => {
     await restaurant.save();
     
     // Generate valid JWT token
-    const token = jwt.sign({ id: restaurant._id }, process.env.JWT_SECRET);
+    const token = signTestToken({ id: restaurant._id });
     
     // WHEN: Setting availability to false (closing restaurant)
     const responseClose = await request(app)
@@ -401,7 +430,7 @@ describe('Restaurant Routes - PUT /update', () => {
     await restaurant.save();
     
     // Generate valid JWT token
-    const token = jwt.sign({ id: restaurant._id }, process.env.JWT_SECRET);
+    const token = signTestToken({ id: restaurant._id });
     
     // WHEN: Updating only name (partial update without file)
     const responsePartialName = await request(app)
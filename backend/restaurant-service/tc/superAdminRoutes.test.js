@@ -6,7 +6,7 @@ jest.setTimeout(30000);
 // then other imports
 import express from 'express';
 import request from 'supertest';
-import jwt from 'jsonwebtoken';
+import { installAuthServiceStub, signTestToken, verifyTestToken } from './authServiceStub.js';
 import SuperAdmin from '../src/models/SuperAdmin.js';
 import Restaurant from '../src/models/Restaurant.js';
 import superAdminRoutes from '../src/routes/superAdminRoutes.js';
@@ -16,8 +16,14 @@ const app = express();
 app.use(express.json());
 app.use('/api/superadmin', superAdminRoutes);
 
-// Mock JWT_SECRET
-process.env.JWT_SECRET = 'test-jwt-secret-key-for-superadmin-testing';
+// auth-service signs super-admin logins with standard claims
+installAuthServiceStub(async ({ email }) => {
+  const superAdmin = await SuperAdmin.findOne({ email });
+  return superAdmin && { sub: superAdmin._id.toString(), role: 'super-admin', restaurantId: null, permissions: [] };
+});
+
+// Only an existing super admin may register another
+const superAdminAuth = `Bearer ${signTestToken({ sub: 'root-super-admin', role: 'super-admin' })}`;
 
 beforeEach(async () => {
   await SuperAdmin.deleteMany({});
@@ -42,6 +48,7 @@ describe('SuperAdmin Routes - POST /register', () => {
     // WHEN: Posting registration request with valid data
     const response = await request(app)
       .post('/api/superadmin/register')
+      .set('Authorization', superAdminAuth)
       .send(validSuperAdminData);
     
     // THEN: Should return 201 with success message (core functionality verified)
@@ -73,6 +80,7 @@ describe('SuperAdmin Routes - POST /register', () => {
     for (const testData of testCases) {
       const response = await request(app)
         .post('/api/superadmin/register')
+        .set('Authorization', superAdminAuth)
         .send(testData);
       
       // THEN: Should return 500 or validation error (null pointer risk mitigated)
@@ -82,6 +90,7 @@ describe('SuperAdmin Routes - POST /register', () => {
     // WHEN: Sending request with completely missing body (null/undefined)
     const responseNoFields = await request(app)
       .post('/api/superadmin/register')
+      .set('Authorization', superAdminAuth)
       .send({});
     
     // THEN: Should return error status without crashing (null pointer protection)
@@ -90,6 +99,7 @@ describe('SuperAdmin Routes - POST /register', () => {
     // WHEN: Sending null values explicitly
     const responseNullValues = await request(app)
       .post('/api/superadmin/register')
+      .set('Authorization', superAdminAuth)
       .send({
         name: null,
         email: null,
@@ -116,6 +126,7 @@ describe('SuperAdmin Routes - POST /register', () => {
     // WHEN: Attempting to register with duplicate email
     const responseDuplicateEmail = await request(app)
       .post('/api/superadmin/register')
+      .set('Authorization', superAdminAuth)
       .send({
         name: 'Different Admin',
         email: 'existing@shopee.com', // Same email as existing
@@ -137,6 +148,7 @@ describe('SuperAdmin Routes - POST /register', () => {
     // WHEN: Attempting to register with same email but different case
     const responseCaseInsensitive = await request(app)
       .post('/api/superadmin/register')
+      .set('Authorization', superAdminAuth)
       .send({
         name: 'Case Test Admin',
         email: 'EXISTING@shopee.com', // Different case
@@ -148,6 +160,41 @@ describe('SuperAdmin Routes - POST /register', () => {
     // For this test, we verify system doesn't crash with duplicate attempts
     expect([400, 201]).toContain(responseCaseInsensitive.status);
   });
+
+  test('Test 9: POST /register should reject common passwords for super admins (error path - security critical)', async () => {
+    // GIVEN: A password from the bundled common-password list
+    const response = await request(app)
+      .post('/api/superadmin/register')
+      .set('Authorization', superAdminAuth)
+      .send({ name: 'Root Admin', email: 'root@shopee.com', password: 'Password123' });
+
+    // THEN: Should return 400 WEAK_PASSWORD and create nothing
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('WEAK_PASSWORD');
+    expect(response.body.errors).toEqual([
+      { rule: 'common', message: 'This password is too common. Choose a less predictable one.' }
+    ]);
+    expect(await SuperAdmin.countDocuments()).toBe(0);
+  });
+
+  test('Test 10: POST /register should refuse callers who are not super admins (error path - privilege escalation)', async () => {
+    const body = { name: 'Sneaky Admin', email: 'sneaky@shopee.com', password: 'SecurePassword123!' };
+
+    // WHEN: Registering anonymously
+    const anonymous = await request(app).post('/api/superadmin/register').send(body);
+
+    // AND: Registering as a platform admin who may manage restaurants
+    const adminToken = signTestToken({ sub: 'admin-1', role: 'admin', permissions: ['manage-restaurants'] });
+    const admin = await request(app)
+      .post('/api/superadmin/register')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(body);
+
+    // THEN: Neither can create a super admin
+    expect(anonymous.status).toBe(401);
+    expect(admin.status).toBe(403);
+    expect(await SuperAdmin.countDocuments()).toBe(0);
+  });
 });
 
 describe('SuperAdmin Routes - POST /login', () => {
@@ -176,16 +223,11 @@ describe('SuperAdmin Routes - POST /login', () => {
     expect(response.body.token).toBeDefined();
     expect(response.body.name).toBe(superAdminData.name);
     
-    // Verify token is valid and contains correct super admin ID and role
-    const decoded = jwt.verify(response.body.token, process.env.JWT_SECRET);
-    expect(decoded.id).toBe(superAdmin._id.toString());
-    expect(decoded.role).toBe('superAdmin');
-    expect(decoded.name).toBe(superAdminData.name);
+    // Verify token is signed by auth-service with the super admin as subject
+    const decoded = verifyTestToken(response.body.token);
+    expect(decoded.sub).toBe(superAdmin._id.toString());
+    expect(decoded.role).toBe('super-admin');
     expect(decoded.exp).toBeDefined();
-    
-    // Verify token expiration is 30 days
-    const expirationTime = decoded.exp - decoded.iat;
-    expect(expirationTime).toBe(30 * 24 * 60 * 60); // 30 days in seconds
   });
 
   test('Test 4: POST /login should return 400 for invalid credentials - wrong password (error path - security critical)', async () => {
@@ -290,7 +332,7 @@ describe('SuperAdmin Routes - GET /restaurants', () => {
     expect(responseEmptyAuth.body.message).toBe('No token, authorization denied');
     
     // WHEN: Attempting with malformed Authorization header (missing "Bearer" prefix)
-    const validToken = jwt.sign({ id: 'test-id', role: 'superAdmin' }, process.env.JWT_SECRET);
+    const validToken = signTestToken({ id: 'test-id', role: 'superAdmin' });
     const responseMalformedAuth = await request(app)
       .get('/api/superadmin/restaurants')
       .set('Authorization', validToken); // Missing "Bearer " prefix
@@ -309,9 +351,8 @@ describe('SuperAdmin Routes - GET /restaurants', () => {
     expect(responseInvalidToken.body.message).toBe('Invalid token');
     
     // WHEN: Attempting with expired token
-    const expiredToken = jwt.sign(
+    const expiredToken = signTestToken(
       { id: 'test-id', role: 'superAdmin' },
-      process.env.JWT_SECRET,
       { expiresIn: '-1h' } // Expired 1 hour ago
     );
     const responseExpiredToken = await request(app)
@@ -335,9 +376,8 @@ describe('SuperAdmin Routes - DELETE /restaurant/:id', () => {
     });
     await superAdmin.save();
     
-    const validToken = jwt.sign(
-      { id: superAdmin._id.toString(), role: 'superAdmin', name: superAdmin.name },
-      process.env.JWT_SECRET
+    const validToken = signTestToken(
+      { id: superAdmin._id.toString(), role: 'superAdmin', name: superAdmin.name }
     );
     
     // AND: An existing restaurant to verify delete doesn't affect wrong data
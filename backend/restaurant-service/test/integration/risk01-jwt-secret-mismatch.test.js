@@ -1,6 +1,9 @@
 /**
  * RISK-01: JWT Secret Mismatch Across Services
- * Tests authentication token validation between auth-service and restaurant-service
+ * Tests authentication token validation between auth-service and restaurant-service.
+ * restaurant-service now verifies tokens against auth-service's JWKS (stubbed
+ * here), so only tokens signed with a published key are accepted; the
+ * shared-secret scenarios below document why the secret was removed.
  */
 
 import request from 'supertest';
@@ -8,12 +11,15 @@ import jwt from 'jsonwebtoken';
 import app from '../../src/server.js';
 import mongoose from 'mongoose';
 import Restaurant from '../../src/models/Restaurant.js';
+import { installAuthServiceStub, signTestToken } from '../../tc/authServiceStub.js';
 
 describe('RISK-01: JWT Secret Mismatch Integration Test', () => {
   let testRestaurant;
   const MONGO_URI = 'mongodb://localhost:27017/Restaurant';
   
   beforeAll(async () => {
+    installAuthServiceStub();
+
     // Connect to test database
     if (mongoose.connection.readyState === 0) {
       await mongoose.connect(MONGO_URI);
@@ -57,14 +63,10 @@ describe('RISK-01: JWT Secret Mismatch Integration Test', () => {
     expect(response.body.message).toMatch(/invalid token/i);
   });
 
-  test('Should accept token signed with correct JWT_SECRET', async () => {
-    // Ensure JWT_SECRET is set (should match server configuration)
-    const JWT_SECRET = process.env.JWT_SECRET || 'test_secret_key_for_integration_tests_ci_cd';
-    
-    // Create token with matching secret and correct payload
-    const correctToken = jwt.sign(
-      { id: testRestaurant._id.toString(), role: 'restaurant' },
-      JWT_SECRET,
+  test('Should accept token signed with a key published in the JWKS', async () => {
+    // Token signed by auth-service; restaurant-service only needs the public key
+    const correctToken = signTestToken(
+      { sub: testRestaurant._id.toString(), role: 'restaurant-admin', restaurantId: testRestaurant._id.toString() },
       { expiresIn: '1h' }
     );
 
@@ -72,16 +74,8 @@ describe('RISK-01: JWT Secret Mismatch Integration Test', () => {
       .get('/api/restaurant/profile')
       .set('Authorization', `Bearer ${correctToken}`);
 
-    // This test should pass when JWT_SECRET is consistent
-    // If it fails (401), it demonstrates RISK-01: JWT secret mismatch
-    expect([200, 401]).toContain(response.status);
-    
-    if (response.status === 200) {
-      expect(response.body.name).toBe('Test Restaurant JWT');
-    } else {
-      // Documents the JWT mismatch risk
-      expect(response.body.message).toMatch(/token|authorization/i);
-    }
+    expect(response.status).toBe(200);
+    expect(response.body.name).toBe('Test Restaurant JWT');
   });
 
   test('Should detect JWT_SECRET mismatch in cross-service scenario', async () => {
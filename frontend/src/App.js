@@ -14,6 +14,11 @@ import ContactAndFeedback from "./pages/ContactAndFeedback";
 import AuthLogin from "./pages/auth/AuthLogin";
 import AuthRegister from "./pages/auth/AuthRegister";
 import CustomerProfile from "./pages/auth/CustomerProfile";
+import ForgotPassword from "./pages/auth/ForgotPassword";
+import ResetPassword from "./pages/auth/ResetPassword";
+import VerifyEmail from "./pages/auth/VerifyEmail";
+import ConfirmEmailChange from "./pages/auth/ConfirmEmailChange";
+import OidcCallback from "./pages/auth/OidcCallback";
 
 // payment management
 import Checkout from "./pages/payment/Checkout";
@@ -34,6 +39,7 @@ import FoodItemList from "./pages/customer/foodItemList";
 import AddToCartPage from "./pages/customer/AddToCartPage";
 import CustomerOrderHistory from "./pages/customer/CustomerOrderHistory";
 import CustomerOrderDetails from "./pages/customer/CustomerOrderDetails";
+import CustomerFavorites from "./pages/customer/CustomerFavorites";
 
 // restaurant management
 import SuperAdminRegister from './pages/restaurant/components/SuperAdminRegister';
@@ -67,6 +73,11 @@ function App() {
           <Route path="/auth/login" element={<AuthLogin />} />
           <Route path="/auth/register" element={<AuthRegister />} />
           <Route path="/customer/profile" element={<CustomerProfile />} />
+          <Route path="/auth/forgot-password" element={<ForgotPassword />} />
+          <Route path="/auth/reset-password" element={<ResetPassword />} />
+          <Route path="/auth/verify-email" element={<VerifyEmail />} />
+          <Route path="/auth/confirm-email-change" element={<ConfirmEmailChange />} />
+          <Route path="/auth/oidc/callback" element={<OidcCallback />} />
 
           {/* payment management */}
           <Route path="/checkout" element={<Checkout />} />
@@ -86,6 +97,7 @@ function App() {
           <Route path="/customer/cart" element={<AddToCartPage />} />
           <Route path="/customer/order-history" element={<CustomerOrderHistory />} />
           <Route path="/customer/order-details/:id" element={<CustomerOrderDetails />} />
+          <Route path="/customer/favorites" element={<CustomerFavorites />} />
 
           {/* restaurant management */}
           <Route path="/superadmin/register" element={<SuperAdminRegister />} />
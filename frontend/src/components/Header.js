@@ -5,6 +5,7 @@ import { Link, useNavigate } from "react-router-dom";
 import { FaUserCircle } from "react-icons/fa";      // profile icon
 import "../styles/header.css";
 import Sidebar from "./Sidebar";
+import { logout } from "../pages/auth/session";
 
 function Header() {
   const [isSidebarOpen, setSidebarOpen] = useState(false);
@@ -32,8 +33,8 @@ function Header() {
 
   const toggleSidebar = () => setSidebarOpen(open => !open);
 
-  const handleLogout = () => {
-    localStorage.removeItem("token");
+  const handleLogout = async () => {
+    await logout();
     setLoggedIn(false);
     setShowDropdown(false);
     navigate("/");  // redirect home
@@ -86,6 +87,9 @@ function Header() {
                   <Link to="/customer/profile" className="header_dropdown-item" onClick={() => setShowDropdown(false)}>
                     My Profile
                   </Link>
+                  <Link to="/customer/favorites" className="header_dropdown-item" onClick={() => setShowDropdown(false)}>
+                    My Favorites
+                  </Link>
                   <div className="header_dropdown-item logout" onClick={handleLogout}>
                     Logout
                   </div>
@@ -41,6 +41,7 @@ function Sidebar({ isOpen, onClose, isLoggedIn, onLogout }) {
 
             <div className="sidebar-links">
               <Link to="/customer/order-history" onClick={onClose}>Orders</Link>
+              <Link to="/customer/favorites" onClick={onClose}>My Favorites</Link>
               <Link to="/wallet" onClick={onClose}>Wallet</Link>
               <Link to="/restaurants" onClick={onClose}>Restaurants</Link>
             </div>
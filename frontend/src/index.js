@@ -1,9 +1,11 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { installRefreshInterceptor } from './pages/auth/session';
 import './index.css';
 import 'bootstrap/dist/css/bootstrap.min.css';
 
+installRefreshInterceptor();
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
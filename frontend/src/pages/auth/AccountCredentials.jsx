@@ -0,0 +1,84 @@
+// src/pages/auth/AccountCredentials.jsx
+import { useState } from "react";
+import axios from "axios";
+import PasswordRules from "./PasswordRules";
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem("token")}` });
+
+// Change-password and change-email forms for a signed-in customer; both ask for
+// the current password again
+export default function AccountCredentials() {
+  const [passwordForm, setPasswordForm] = useState({ currentPassword: "", newPassword: "" });
+  const [passwordMessage, setPasswordMessage] = useState("");
+  const [passwordErrors, setPasswordErrors] = useState([]);
+  const [emailForm, setEmailForm] = useState({ email: "", currentPassword: "" });
+  const [emailMessage, setEmailMessage] = useState("");
+
+  const changePassword = async (e) => {
+    e.preventDefault();
+    setPasswordErrors([]);
+    try {
+      const res = await axios.patch("/api/auth/customer/password", passwordForm, { headers: authHeaders() });
+      setPasswordMessage(res.data.message);
+      setPasswordForm({ currentPassword: "", newPassword: "" });
+    } catch (err) {
+      setPasswordErrors(err.response?.data?.errors || []);
+      setPasswordMessage(err.response?.data?.message || "Could not change password");
+    }
+  };
+
+  const changeEmail = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await axios.post("/api/auth/customer/email", emailForm, { headers: authHeaders() });
+      setEmailMessage(res.data.message);
+      setEmailForm({ email: "", currentPassword: "" });
+    } catch (err) {
+      setEmailMessage(err.response?.data?.message || "Could not start the email change");
+    }
+  };
+
+  return (
+    <section>
+      <h3>Change password</h3>
+      <form onSubmit={changePassword}>
+        <input
+          type="password"
+          placeholder="Current password"
+          autoComplete="current-password"
+          value={passwordForm.currentPassword}
+          onChange={(e) => setPasswordForm({ ...passwordForm, currentPassword: e.target.value })}
+        />
+        <input
+          type="password"
+          placeholder="New password"
+          autoComplete="new-password"
+          value={passwordForm.newPassword}
+          onChange={(e) => setPasswordForm({ ...passwordForm, newPassword: e.target.value })}
+        />
+        <button type="submit">Change password</button>
+      </form>
+      {passwordMessage && <p>{passwordMessage}</p>}
+      <PasswordRules errors={passwordErrors} />
+
+      <h3>Change email</h3>
+      <form onSubmit={changeEmail}>
+        <input
+          type="email"
+          placeholder="New email address"
+          value={emailForm.email}
+          onChange={(e) => setEmailForm({ ...emailForm, email: e.target.value })}
+        />
+        <input
+          type="password"
+          placeholder="Current password"
+          autoComplete="current-password"
+          value={emailForm.currentPassword}
+          onChange={(e) => setEmailForm({ ...emailForm, currentPassword: e.target.value })}
+        />
+        <button type="submit">Send confirmation link</button>
+      </form>
+      {emailMessage && <p>{emailMessage}</p>}
+    </section>
+  );
+}
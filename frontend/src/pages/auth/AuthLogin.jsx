@@ -4,9 +4,13 @@ import { useNavigate, Link } from "react-router-dom";
 import axios from "axios";
 import Header from "../../components/Header";
 import Footer from "../../components/Footer";
+import { saveSession } from "./session";
+import SocialLogin from "./SocialLogin";
+import PhoneLogin from "./PhoneLogin";
 import "../../styles/auth.css";
 
 export default function AuthLogin() {
+  const [method, setMethod] = useState("email");
   const [credentials, setCredentials] = useState({ email: "", password: "" });
   const [error, setError] = useState("");
   const navigate = useNavigate();
@@ -20,40 +24,62 @@ export default function AuthLogin() {
     setError("");
     try {
       const res = await axios.post("/api/auth/login", credentials);
-      localStorage.setItem("token", res.data.token);
-      navigate("/customer/profile");
+      handleLogin(res.data);
     } catch (err) {
       setError(err.response?.data?.message || "Login failed");
     }
   };
 
+  const handleLogin = (session) => {
+    saveSession(session);
+    navigate("/customer/profile");
+  };
+
   return (
     <div className="auth-form-main-container">
       <Header />
       <div className="auth-form-container">
         <h2>Customer Login</h2>
 
-        {error && <div className="error">{error}</div>}
-
-        <form onSubmit={handleSubmit}>
-          <input
-            name="email"
-            type="email"
-            placeholder="📧 Email Address"
-            onChange={handleChange}
-            value={credentials.email}
-            required
-          />
-          <input
-            name="password"
-            type="password"
-            placeholder="🔒 Password"
-            onChange={handleChange}
-            value={credentials.password}
-            required
-          />
-          <button type="submit">Login</button>
-        </form>
+        <div className="auth-tabs">
+          <button type="button" className={method === "email" ? "active" : ""} onClick={() => setMethod("email")}>
+            Email
+          </button>
+          <button type="button" className={method === "phone" ? "active" : ""} onClick={() => setMethod("phone")}>
+            Login with phone
+          </button>
+        </div>
+
+        {method === "phone" ? (
+          <PhoneLogin onLogin={handleLogin} />
+        ) : (
+          <>
+            {error && <div className="error">{error}</div>}
+
+            <form onSubmit={handleSubmit}>
+              <input
+                name="email"
+                type="email"
+                placeholder="📧 Email Address"
+                onChange={handleChange}
+                value={credentials.email}
+                required
+              />
+              <input
+                name="password"
+                type="password"
+                placeholder="🔒 Password"
+                onChange={handleChange}
+                value={credentials.password}
+                required
+              />
+              <p className="auth-forgot"><Link to="/auth/forgot-password">Forgot password?</Link></p>
+              <button type="submit">Login</button>
+            </form>
+          </>
+        )}
+
+        <SocialLogin />
 
         <p className="auth-alt"> Don't have an account? <Link to="/auth/register">Sign up here</Link> </p>
       </div>
@@ -4,6 +4,9 @@ import { useNavigate, Link } from "react-router-dom";
 import axios from "axios";
 import Header from "../../components/Header";
 import Footer from "../../components/Footer";
+import { saveSession } from "./session";
+import PasswordRules from "./PasswordRules";
+import SocialLogin from "./SocialLogin";
 import "../../styles/auth.css";
 
 export default function AuthRegister() {
@@ -13,6 +16,7 @@ export default function AuthRegister() {
     password: "", location: "",
   });
   const [error, setError] = useState("");
+  const [passwordErrors, setPasswordErrors] = useState([]);
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -22,12 +26,14 @@ export default function AuthRegister() {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError("");
+    setPasswordErrors([]);
     try {
       const res = await axios.post("/api/auth/register/customer", form);
-      localStorage.setItem("token", res.data.token);
+      saveSession(res.data);
       navigate("/customer/profile");
     } catch (err) {
       setError(err.response?.data?.message || "Registration failed");
+      setPasswordErrors(err.response?.data?.errors || []);
     }
   };
 
@@ -45,10 +51,13 @@ export default function AuthRegister() {
           <input name="email" type="email" placeholder="Email" onChange={handleChange} value={form.email} required />
           <input name="phone" placeholder="Phone Number" onChange={handleChange} value={form.phone} required />
           <input name="password" type="password" placeholder="Password" onChange={handleChange} value={form.password} required />
+          <PasswordRules errors={passwordErrors} />
           <input name="location" placeholder="Location" onChange={handleChange} value={form.location} />
           <button type="submit">Sign Up</button>
         </form>
 
+        <SocialLogin action="Sign up" />
+
         <p className="auth-alt"> Already have an account? <Link to="/auth/login">Login here</Link> </p>
 
       </div>
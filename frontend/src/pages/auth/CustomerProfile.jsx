@@ -2,10 +2,13 @@ import { useEffect, useState } from "react";
 import axios from "axios";
 import Header from "../../components/Header";
 import Footer from "../../components/Footer";
+import SessionList from "./SessionList";
+import AccountCredentials from "./AccountCredentials";
 
 export default function CustomerProfile() {
   const [profile, setProfile] = useState(null);
   const [error, setError] = useState("");
+  const [verifyMessage, setVerifyMessage] = useState("");
 
   useEffect(() => {
     (async () => {
@@ -21,6 +24,15 @@ export default function CustomerProfile() {
     })();
   }, []);
 
+  const resendVerification = async () => {
+    try {
+      const res = await axios.post("/api/auth/verify-email/resend", { email: profile.email });
+      setVerifyMessage(res.data.message);
+    } catch (err) {
+      setVerifyMessage(err.response?.data?.message || "Could not send verification email");
+    }
+  };
+
   if (error) return <p>{error}</p>;
   if (!profile) return <p>Loading…</p>;
 
@@ -28,11 +40,20 @@ export default function CustomerProfile() {
     <div>
       <Header />
       <h2>Welcome back, {profile.firstName}!</h2>
+      {!profile.emailVerified && (
+        <p>
+          Your email address is not verified yet.{" "}
+          <button type="button" onClick={resendVerification}>Resend verification email</button>
+          {verifyMessage && <span> {verifyMessage}</span>}
+        </p>
+      )}
       <p>
         <strong>Email:</strong> {profile.email}<br/>
         <strong>Phone:</strong> {profile.phone}<br/>
         <strong>Location:</strong> {profile.location || "N/A"}
       </p>
+      <AccountCredentials />
+      <SessionList />
       <Footer />
     </div>
   );
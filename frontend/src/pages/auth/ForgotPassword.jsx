@@ -0,0 +1,61 @@
+// src/pages/auth/ForgotPassword.jsx
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import axios from "axios";
+import Header from "../../components/Header";
+import Footer from "../../components/Footer";
+import "../../styles/auth.css";
+
+export default function ForgotPassword() {
+  const [form, setForm] = useState({ email: "", role: "customer" });
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  const handleChange = (e) => {
+    setForm(f => ({ ...f, [e.target.name]: e.target.value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+    try {
+      const res = await axios.post("/api/auth/forgot-password", form);
+      setMessage(res.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || "Could not send reset link");
+    }
+  };
+
+  return (
+    <div className="auth-form-main-container">
+      <Header />
+      <div className="auth-form-container">
+        <h2>Forgot Password</h2>
+
+        {error && <div className="error">{error}</div>}
+        {message && <div className="success">{message}</div>}
+
+        <form onSubmit={handleSubmit}>
+          <input
+            name="email"
+            type="email"
+            placeholder="📧 Email Address"
+            onChange={handleChange}
+            value={form.email}
+            required
+          />
+          <select name="role" onChange={handleChange} value={form.role}>
+            <option value="customer">Customer</option>
+            <option value="delivery">Delivery Personnel</option>
+            <option value="restaurant-admin">Restaurant Admin</option>
+          </select>
+          <button type="submit">Send Link</button>
+        </form>
+
+        <p className="auth-alt"> Remembered it? <Link to="/auth/login">Back to login</Link> </p>
+      </div>
+      <Footer />
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+// src/pages/auth/OidcCallback.jsx
+import { useEffect, useRef, useState } from "react";
+import { useSearchParams, useNavigate, Link } from "react-router-dom";
+import axios from "axios";
+import Header from "../../components/Header";
+import Footer from "../../components/Footer";
+import { saveSession } from "./session";
+import "../../styles/auth.css";
+
+// Landing page after a social sign-in: trades the one-time code for the session tokens
+export default function OidcCallback() {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const code = searchParams.get("code");
+  const [error, setError] = useState(
+    searchParams.get("error") || (code ? "" : "This sign-in link is missing its code.")
+  );
+  // The code works once; don't spend it twice when the effect re-runs
+  const exchanged = useRef(false);
+
+  useEffect(() => {
+    if (!code || exchanged.current) return;
+    exchanged.current = true;
+    (async () => {
+      try {
+        const res = await axios.post("/api/auth/oidc/exchange", { code });
+        saveSession(res.data);
+        navigate(res.data.data.returnTo || "/customer/profile", { replace: true });
+      } catch (err) {
+        setError(err.response?.data?.message || "Sign-in failed");
+      }
+    })();
+  }, [code, navigate]);
+
+  return (
+    <div className="auth-form-main-container">
+      <Header />
+      <div className="auth-form-container">
+        <h2>Signing You In</h2>
+
+        {error ? <div className="error">{error}</div> : <p>Finishing sign-in…</p>}
+
+        {error && <p className="auth-alt"><Link to="/auth/login">Back to login</Link></p>}
+      </div>
+      <Footer />
+    </div>
+  );
+}
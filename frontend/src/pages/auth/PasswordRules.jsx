@@ -0,0 +1,11 @@
+// src/pages/auth/PasswordRules.jsx
+
+// Lists the password policy rules the API rejected ({ rule, message } entries)
+export default function PasswordRules({ errors }) {
+  if (!errors || errors.length === 0) return null;
+  return (
+    <ul className="password-rules">
+      {errors.map(e => <li key={e.rule}>{e.message}</li>)}
+    </ul>
+  );
+}
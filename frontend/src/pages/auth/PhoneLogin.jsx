@@ -0,0 +1,90 @@
+// src/pages/auth/PhoneLogin.jsx
+import { useEffect, useState } from "react";
+import axios from "axios";
+
+// Passwordless login: text a six-digit code to the phone, then log in with it
+export default function PhoneLogin({ onLogin }) {
+  const [phone, setPhone] = useState("");
+  const [code, setCode] = useState("");
+  const [codeSent, setCodeSent] = useState(false);
+  const [resendIn, setResendIn] = useState(0);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  // Count down the resend cooldown the server told us about
+  useEffect(() => {
+    if (resendIn <= 0) return undefined;
+    const timer = setTimeout(() => setResendIn(s => s - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
+  const requestCode = async (e) => {
+    e?.preventDefault();
+    setError("");
+    try {
+      const res = await axios.post("/api/auth/otp/request", { phone });
+      setCodeSent(true);
+      setMessage(res.data.message);
+      setResendIn(res.data.data.resendAfter);
+    } catch (err) {
+      setError(err.response?.data?.message || "Could not send the code");
+      if (err.response?.data?.retryAfter) setResendIn(err.response.data.retryAfter);
+    }
+  };
+
+  const verifyCode = async (e) => {
+    e.preventDefault();
+    setError("");
+    try {
+      const res = await axios.post("/api/auth/otp/verify", { phone, code });
+      onLogin(res.data);
+    } catch (err) {
+      setError(err.response?.data?.message || "Login failed");
+    }
+  };
+
+  return (
+    <>
+      {error && <div className="error">{error}</div>}
+      {message && !error && <div className="success">{message}</div>}
+
+      {!codeSent ? (
+        <form onSubmit={requestCode}>
+          <input
+            name="phone"
+            type="tel"
+            placeholder="📱 Phone Number"
+            onChange={e => setPhone(e.target.value)}
+            value={phone}
+            required
+          />
+          <button type="submit" disabled={resendIn > 0}>Send code</button>
+        </form>
+      ) : (
+        <form onSubmit={verifyCode}>
+          <input
+            name="code"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            pattern="\d{6}"
+            maxLength={6}
+            placeholder="🔢 6-digit code"
+            onChange={e => setCode(e.target.value)}
+            value={code}
+            required
+          />
+          <p className="auth-forgot">
+            <button type="button" className="auth-link-button" onClick={requestCode} disabled={resendIn > 0}>
+              {resendIn > 0 ? `Resend code in ${resendIn}s` : "Resend code"}
+            </button>
+            {" · "}
+            <button type="button" className="auth-link-button" onClick={() => { setCodeSent(false); setCode(""); setMessage(""); }}>
+              Change number
+            </button>
+          </p>
+          <button type="submit">Login</button>
+        </form>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,96 @@
+// src/pages/auth/ResetPassword.jsx
+import { useState } from "react";
+import { useNavigate, useSearchParams, Link } from "react-router-dom";
+import axios from "axios";
+import Header from "../../components/Header";
+import Footer from "../../components/Footer";
+import PasswordRules from "./PasswordRules";
+import "../../styles/auth.css";
+
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const [form, setForm] = useState({ password: "", confirmPassword: "" });
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [passwordErrors, setPasswordErrors] = useState([]);
+  const navigate = useNavigate();
+
+  const token = searchParams.get("token");
+  const role = searchParams.get("role") || "customer";
+
+  const handleChange = (e) => {
+    setForm(f => ({ ...f, [e.target.name]: e.target.value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setPasswordErrors([]);
+    if (form.password !== form.confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+    try {
+      const res = await axios.post("/api/auth/reset-password", {
+        token,
+        role,
+        password: form.password,
+      });
+      setMessage(res.data.message);
+      setTimeout(() => navigate("/auth/login"), 2000);
+    } catch (err) {
+      setError(err.response?.data?.message || "Could not reset password");
+      setPasswordErrors(err.response?.data?.errors || []);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="auth-form-main-container">
+        <Header />
+        <div className="auth-form-container">
+          <h2>Reset Password</h2>
+          <div className="error">This reset link is missing its token.</div>
+          <p className="auth-alt"><Link to="/auth/forgot-password">Request a new link</Link></p>
+        </div>
+        <Footer />
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-form-main-container">
+      <Header />
+      <div className="auth-form-container">
+        <h2>Choose a New Password</h2>
+
+        {error && <div className="error">{error}</div>}
+        {message && <div className="success">{message}</div>}
+
+        <form onSubmit={handleSubmit}>
+          <input
+            name="password"
+            type="password"
+            placeholder="🔒 New Password"
+            onChange={handleChange}
+            value={form.password}
+            required
+          />
+          <PasswordRules errors={passwordErrors} />
+          <input
+            name="confirmPassword"
+            type="password"
+            placeholder="🔒 Confirm Password"
+            onChange={handleChange}
+            value={form.confirmPassword}
+            required
+          />
+          <button type="submit">Reset</button>
+        </form>
+
+        <p className="auth-alt"><Link to="/auth/forgot-password">Request a new link</Link></p>
+      </div>
+      <Footer />
+    </div>
+  );
+}
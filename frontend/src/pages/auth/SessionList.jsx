@@ -0,0 +1,70 @@
+// src/pages/auth/SessionList.jsx
+import { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem("token")}` });
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : "—");
+
+// Devices the signed-in account (any role) is logged in on, with sign-out controls
+export default function SessionList() {
+  const [sessions, setSessions] = useState([]);
+  const [message, setMessage] = useState("");
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const res = await axios.get("/api/auth/sessions", { headers: authHeaders() });
+      setSessions(res.data.data.sessions);
+    } catch (err) {
+      setMessage(err.response?.data?.message || "Could not load your devices");
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const revoke = async (sessionId) => {
+    try {
+      await axios.delete(`/api/auth/sessions/${sessionId}`, { headers: authHeaders() });
+      setMessage("Device signed out.");
+      loadSessions();
+    } catch (err) {
+      setMessage(err.response?.data?.message || "Could not sign that device out");
+    }
+  };
+
+  const revokeOthers = async () => {
+    try {
+      const res = await axios.post("/api/auth/sessions/revoke-others", {}, { headers: authHeaders() });
+      setMessage(`Signed out ${res.data.data.revoked} other device(s).`);
+      loadSessions();
+    } catch (err) {
+      setMessage(err.response?.data?.message || "Could not sign other devices out");
+    }
+  };
+
+  return (
+    <section>
+      <h3>Where you're signed in</h3>
+      <ul>
+        {sessions.map((session) => (
+          <li key={session.id}>
+            <strong>{session.userAgent || "Unknown device"}</strong>
+            {session.current && <em> (this device)</em>}
+            <br />
+            Signed in {formatTime(session.createdAt)} from {session.ip || "unknown address"}; last active{" "}
+            {formatTime(session.lastSeenAt)}
+            {!session.current && (
+              <button type="button" onClick={() => revoke(session.id)}>Sign out</button>
+            )}
+          </li>
+        ))}
+      </ul>
+      {sessions.length > 1 && (
+        <button type="button" onClick={revokeOthers}>Sign out all other devices</button>
+      )}
+      {message && <p>{message}</p>}
+    </section>
+  );
+}
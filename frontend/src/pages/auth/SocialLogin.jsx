@@ -0,0 +1,33 @@
+// src/pages/auth/SocialLogin.jsx
+import { useEffect, useState } from "react";
+import axios from "axios";
+
+// "Continue with Google"-style buttons for the OpenID Connect providers auth-service offers.
+// They are plain links: the browser leaves for the provider and comes back to /auth/oidc/callback.
+export default function SocialLogin({ action = "Continue", returnTo = "/customer/profile" }) {
+  const [providers, setProviders] = useState([]);
+
+  useEffect(() => {
+    axios
+      .get("/api/auth/oidc/providers")
+      .then(res => setProviders(res.data.data.providers))
+      .catch(() => setProviders([]));
+  }, []);
+
+  if (!providers.length) return null;
+
+  return (
+    <div className="auth-social">
+      <p className="auth-divider">or</p>
+      {providers.map(provider => (
+        <a
+          key={provider.id}
+          className="auth-social-button"
+          href={`/api/auth/oidc/${encodeURIComponent(provider.id)}/start?returnTo=${encodeURIComponent(returnTo)}`}
+        >
+          {action} with {provider.label}
+        </a>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+// src/pages/auth/VerifyEmail.jsx
+import { useEffect, useState } from "react";
+import { useSearchParams, Link } from "react-router-dom";
+import axios from "axios";
+import Header from "../../components/Header";
+import Footer from "../../components/Footer";
+import "../../styles/auth.css";
+
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState("pending");
+  const [message, setMessage] = useState("Verifying your email…");
+
+  const token = searchParams.get("token");
+  const role = searchParams.get("role") || "customer";
+
+  useEffect(() => {
+    if (!token) {
+      setStatus("error");
+      setMessage("This verification link is missing its token.");
+      return;
+    }
+    (async () => {
+      try {
+        const res = await axios.post("/api/auth/verify-email", { token, role });
+        setStatus("success");
+        setMessage(res.data.message);
+      } catch (err) {
+        setStatus("error");
+        setMessage(err.response?.data?.message || "Could not verify email");
+      }
+    })();
+  }, [token, role]);
+
+  return (
+    <div className="auth-form-main-container">
+      <Header />
+      <div className="auth-form-container">
+        <h2>Email Verification</h2>
+
+        {status === "error" && <div className="error">{message}</div>}
+        {status === "success" && <div className="success">{message}</div>}
+        {status === "pending" && <p>{message}</p>}
+
+        <p className="auth-alt"><Link to="/auth/login">Go to login</Link></p>
+      </div>
+      <Footer />
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+// src/pages/auth/session.js
+import axios from "axios";
+
+const TOKEN_KEY = "token";
+const REFRESH_KEY = "refreshToken";
+
+// Persist the access/refresh token pair returned by auth-service
+export function saveSession({ token, refreshToken }) {
+  localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_KEY, refreshToken);
+}
+
+export function clearSession() {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_KEY);
+}
+
+// Revoke the refresh token server-side, then forget the session locally
+export async function logout() {
+  const refreshToken = localStorage.getItem(REFRESH_KEY);
+  try {
+    if (refreshToken) await axios.post("/api/auth/logout", { refreshToken });
+  } catch (err) {
+    console.error("Logout request failed:", err);
+  } finally {
+    clearSession();
+  }
+}
+
+// Share one in-flight refresh between concurrent 401s
+let refreshing = null;
+
+function refreshSession() {
+  if (!refreshing) {
+    const refreshToken = localStorage.getItem(REFRESH_KEY);
+    refreshing = axios
+      .post("/api/auth/refresh", { refreshToken })
+      .then(res => {
+        saveSession(res.data);
+        return res.data.token;
+      })
+      .catch(err => {
+        clearSession();
+        throw err;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+}
+
+// Retry authenticated requests once after silently refreshing an expired access token
+export function installRefreshInterceptor() {
+  axios.interceptors.response.use(
+    response => response,
+    async error => {
+      const original = error.config;
+      const status = error.response?.status;
+      const hasAuthHeader = !!original?.headers?.Authorization;
+
+      if (
+        status !== 401 ||
+        !hasAuthHeader ||
+        original._retried ||
+        original.url?.includes("/api/auth/refresh") ||
+        !localStorage.getItem(REFRESH_KEY)
+      ) {
+        return Promise.reject(error);
+      }
+
+      original._retried = true;
+      const token = await refreshSession();
+      original.headers.Authorization = `Bearer ${token}`;
+      return axios(original);
+    }
+  );
+}
@@ -0,0 +1,273 @@
+import React, { useEffect, useState, useContext } from "react";
+import { useNavigate } from "react-router-dom";
+import { FaHome } from "react-icons/fa";
+import { CartContext } from "../contexts/CartContext";
+import Header from "../../components/Header";
+import Footer from "../../components/Footer";
+import { fetchFavorites, removeFavorite } from "./favoritesApi";
+
+const PLACEHOLDER = "https://placehold.co/300x180?text=Food+Image";
+
+// Why a favorite cannot be ordered, as sent by auth-service
+const UNAVAILABLE_LABELS = {
+  removed: "No longer on SkyDish",
+  "restaurant-closed": "Restaurant is closed",
+  "item-unavailable": "Currently unavailable",
+};
+
+const sectionTitle = {
+  fontSize: "24px",
+  fontWeight: "bold",
+  margin: "30px 0 20px",
+  textAlign: "center",
+  color: "#555",
+};
+
+function CustomerFavorites() {
+  const navigate = useNavigate();
+  const { addToCart } = useContext(CartContext);
+
+  const [favorites, setFavorites] = useState([]);
+  const [detailsAvailable, setDetailsAvailable] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!localStorage.getItem("token")) {
+      navigate("/auth/login");
+      return;
+    }
+    fetchFavorites()
+      .then((data) => {
+        setFavorites(data.favorites);
+        setDetailsAvailable(data.detailsAvailable);
+      })
+      .catch((err) => {
+        console.error(err);
+        setError(err.response?.data?.message || "Failed to load your favorites.");
+      })
+      .finally(() => setLoading(false));
+  }, [navigate]);
+
+  const handleRemove = async (favorite) => {
+    try {
+      await removeFavorite(favorite.kind, favorite.id);
+    } catch (err) {
+      if (err.response?.status !== 404) {
+        setError(err.response?.data?.message || "Could not remove the favorite.");
+        return;
+      }
+    }
+    setFavorites((prev) => prev.filter((other) => other !== favorite));
+  };
+
+  const handleAddToCart = (favorite) => {
+    const { name, price, image, category, restaurant } = favorite.details;
+    addToCart({ _id: favorite.id, name, price, image, category }, restaurant.id);
+    navigate("/customer/cart");
+  };
+
+  const restaurants = favorites.filter((favorite) => favorite.kind === "restaurant");
+  const foods = favorites.filter((favorite) => favorite.kind === "food-item");
+
+  const renderCard = (favorite) => {
+    const { details } = favorite;
+    const isFood = favorite.kind === "food-item";
+    const unavailable = favorite.available === false;
+    const restaurantId = isFood ? details?.restaurant?.id : favorite.id;
+
+    return (
+      <div
+        key={`${favorite.kind}:${favorite.id}`}
+        style={{
+          position: "relative",
+          width: "280px",
+          background: "#ffffff",
+          borderRadius: "12px",
+          boxShadow: "0 4px 12px rgba(0, 0, 0, 0.1)",
+          overflow: "hidden",
+          opacity: unavailable ? 0.6 : 1,
+        }}
+      >
+        <img
+          src={details?.image || PLACEHOLDER}
+          alt={details?.name || "Favorite"}
+          style={{
+            width: "100%",
+            height: "180px",
+            objectFit: "cover",
+            filter: unavailable ? "grayscale(100%)" : "none",
+          }}
+          onError={(e) => {
+            e.target.src = PLACEHOLDER;
+          }}
+        />
+        <div style={{ padding: "16px" }}>
+          <h5 style={{ fontSize: "18px", fontWeight: "600", color: "#222", marginBottom: "8px" }}>
+            {details?.name || (isFood ? "Food item" : "Restaurant")}
+          </h5>
+          {isFood && details && (
+            <>
+              <p style={{ fontWeight: "bold", fontSize: "16px", color: "#000", marginBottom: "4px" }}>
+                {details.price} VND
+              </p>
+              {details.restaurant && (
+                <p style={{ fontSize: "14px", color: "#666", marginBottom: "8px" }}>
+                  🍴 {details.restaurant.name}
+                </p>
+              )}
+            </>
+          )}
+          {!isFood && details && (
+            <p style={{ fontSize: "14px", color: "#666", marginBottom: "8px" }}>{details.location}</p>
+          )}
+
+          {unavailable && (
+            <p
+              style={{
+                display: "inline-block",
+                fontSize: "13px",
+                fontWeight: "bold",
+                color: "#fff",
+                backgroundColor: "#c0392b",
+                borderRadius: "6px",
+                padding: "4px 8px",
+              }}
+            >
+              {UNAVAILABLE_LABELS[favorite.unavailableReason] || "Unavailable"}
+            </p>
+          )}
+
+          <div style={{ display: "flex", gap: "10px", marginTop: "8px" }}>
+            {restaurantId && favorite.unavailableReason !== "removed" && (
+              <button
+                onClick={() => navigate(`/customer/restaurant/${restaurantId}/foods`)}
+                style={{
+                  backgroundColor: "#fff",
+                  border: "1px solid #ff6600",
+                  color: "#ff6600",
+                  borderRadius: "8px",
+                  padding: "6px 12px",
+                  cursor: "pointer",
+                }}
+              >
+                View menu
+              </button>
+            )}
+            {isFood && favorite.available && (
+              <button
+                onClick={() => handleAddToCart(favorite)}
+                style={{
+                  backgroundColor: "#ff6600",
+                  border: "none",
+                  color: "#fff",
+                  borderRadius: "8px",
+                  padding: "6px 12px",
+                  cursor: "pointer",
+                }}
+              >
+                Add to cart
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Remove from favorites */}
+        <div
+          onClick={() => handleRemove(favorite)}
+          title="Remove from favorites"
+          style={{
+            position: "absolute",
+            top: "10px",
+            right: "10px",
+            fontSize: "22px",
+            cursor: "pointer",
+            backgroundColor: "#ffffffcc",
+            borderRadius: "50%",
+            padding: "6px",
+          }}
+        >
+          ❤️
+        </div>
+      </div>
+    );
+  };
+
+  const renderSection = (title, items, emptyText) => (
+    <>
+      <h3 style={sectionTitle}>{title}</h3>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "30px", justifyContent: "center" }}>
+        {items.length === 0 ? (
+          <p style={{ fontSize: "18px", color: "#333" }}>{emptyText}</p>
+        ) : (
+          items.map(renderCard)
+        )}
+      </div>
+    </>
+  );
+
+  return (
+    <div style={{ minHeight: "100vh", display: "flex", flexDirection: "column" }}>
+      <Header />
+
+      <div
+        style={{
+          flex: 1,
+          padding: "30px",
+          background: "linear-gradient(to bottom right, #f0f4f8, #d9e2ec)",
+        }}
+      >
+        <div style={{ marginBottom: "20px" }}>
+          <button
+            onClick={() => navigate("/")}
+            style={{
+              backgroundColor: "transparent",
+              border: "none",
+              color: "#333",
+              fontSize: "28px",
+              cursor: "pointer",
+              display: "flex",
+              alignItems: "center",
+            }}
+          >
+            <FaHome />
+          </button>
+        </div>
+
+        <h2
+          style={{
+            fontSize: "36px",
+            fontWeight: "800",
+            textAlign: "center",
+            color: "#2c3e50",
+            marginBottom: "10px",
+          }}
+        >
+          ❤️ My Favorites
+        </h2>
+
+        {error && (
+          <p style={{ color: "red", textAlign: "center", fontWeight: "bold" }}>{error}</p>
+        )}
+        {!detailsAvailable && (
+          <p style={{ color: "#8a6d3b", textAlign: "center" }}>
+            Restaurant details are temporarily unavailable. Your favorites are safe; please check back shortly.
+          </p>
+        )}
+
+        {loading ? (
+          <p style={{ textAlign: "center", fontSize: "18px" }}>Loading...</p>
+        ) : (
+          <>
+            {renderSection("🍴 Restaurants", restaurants, "You have not saved any restaurants yet.")}
+            {renderSection("🍔 Food", foods, "Tap the heart on a dish to save it here.")}
+          </>
+        )}
+      </div>
+
+      <Footer />
+    </div>
+  );
+}
+
+export default CustomerFavorites;
@@ -0,0 +1,29 @@
+// src/pages/customer/favoritesApi.js
+import axios from "axios";
+
+// Favorites live in auth-service with the customer account; kind is
+// "restaurant" or "food-item" and id is the restaurant-service id
+const FAVORITES_URL = "/api/auth/customer/favorites";
+
+const authHeaders = () => ({
+  headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+});
+
+// [{ kind, id, addedAt, details, available, unavailableReason }], newest first
+export async function fetchFavorites() {
+  const res = await axios.get(FAVORITES_URL, authHeaders());
+  return res.data.data;
+}
+
+export function addFavorite(kind, id) {
+  return axios.put(`${FAVORITES_URL}/${kind}/${id}`, {}, authHeaders());
+}
+
+export function removeFavorite(kind, id) {
+  return axios.delete(`${FAVORITES_URL}/${kind}/${id}`, authHeaders());
+}
+
+// Set of "kind:id" keys, for quick "is this saved?" checks
+export function favoriteKeys(favorites) {
+  return new Set(favorites.map((favorite) => `${favorite.kind}:${favorite.id}`));
+}
@@ -2,6 +2,7 @@ import React, { useEffect, useState, useContext } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import axios from "axios";
 import { CartContext } from "../contexts/CartContext";
+import { fetchFavorites, addFavorite, removeFavorite, favoriteKeys } from "./favoritesApi";
 import { FaHome } from "react-icons/fa";
 import Header from "../../components/Header";
 import Footer from "../../components/Footer"; 
@@ -14,7 +15,8 @@ function FoodItemList() {
   const [foods, setFoods] = useState([]);
   const [restaurantName, setRestaurantName] = useState(""); 
   const [error, setError] = useState("");
-  const [favorites, setFavorites] = useState({});
+  // "kind:id" keys of the customer's saved restaurants and food items
+  const [favorites, setFavorites] = useState(new Set());
 
   useEffect(() => {
     const fetchRestaurantFoods = async () => {
@@ -49,11 +51,42 @@ function FoodItemList() {
     fetchRestaurantDetails(); //  Fetch restaurant name
   }, [restaurantId]);
 
-  const toggleFavorite = (foodId) => {
-    setFavorites((prev) => ({
-      ...prev,
-      [foodId]: !prev[foodId],
-    }));
+  // Saved favorites (logged-in customers only)
+  useEffect(() => {
+    if (!localStorage.getItem("token")) return;
+    fetchFavorites()
+      .then((data) => setFavorites(favoriteKeys(data.favorites)))
+      .catch((err) => console.error("Could not load favorites:", err.response?.status));
+  }, []);
+
+  const isFavorite = (kind, id) => favorites.has(`${kind}:${id}`);
+
+  const flipFavorite = (key) =>
+    setFavorites((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+
+  const toggleFavorite = async (kind, id) => {
+    if (!localStorage.getItem("token")) {
+      navigate("/auth/login");
+      return;
+    }
+    const key = `${kind}:${id}`;
+    const saved = favorites.has(key);
+
+    // Show the change right away and undo it if the request fails
+    flipFavorite(key);
+    try {
+      await (saved ? removeFavorite(kind, id) : addFavorite(kind, id));
+    } catch (err) {
+      // Already gone (e.g. removed in another tab) is what we wanted
+      if (saved && err.response?.status === 404) return;
+      console.error("Could not update favorites:", err.response?.status);
+      flipFavorite(key);
+    }
   };
 
   const handleAddToCart = (food) => {
@@ -108,6 +141,13 @@ function FoodItemList() {
         }}
       >
         🍴 {restaurantName}
+        <span
+          onClick={() => toggleFavorite("restaurant", restaurantId)}
+          title={isFavorite("restaurant", restaurantId) ? "Remove from favorites" : "Save to favorites"}
+          style={{ marginLeft: "16px", cursor: "pointer" }}
+        >
+          {isFavorite("restaurant", restaurantId) ? "❤️" : "🤍"}
+        </span>
       </h2>
 
       <h3
@@ -223,13 +263,14 @@ function FoodItemList() {
 
               {/* Favorite Button */}
               <div
-                onClick={() => toggleFavorite(food._id)}
+                onClick={() => toggleFavorite("food-item", food._id)}
+                title={isFavorite("food-item", food._id) ? "Remove from favorites" : "Save to favorites"}
                 style={{
                   position: "absolute",
                   top: "10px",
                   right: "10px",
                   fontSize: "22px",
-                  color: favorites[food._id] ? "red" : "#aaa",
+                  color: isFavorite("food-item", food._id) ? "red" : "#aaa",
                   cursor: "pointer",
                   transition: "color 0.3s",
                   backgroundColor: "#ffffffcc",
@@ -237,7 +278,7 @@ function FoodItemList() {
                   padding: "6px",
                 }}
               >
-                {favorites[food._id] ? "❤️" : "🤍"}
+                {isFavorite("food-item", food._id) ? "❤️" : "🤍"}
               </div>
 
               {/* Add to Cart Button */}
@@ -4,6 +4,37 @@ import { useNavigate } from "react-router-dom";
 import { BsArrowLeftCircle } from "react-icons/bs";
 import { CartContext } from "../contexts/CartContext";
 
+// Address-book API (auth-service)
+const ADDRESSES_URL = "/api/auth/customer/addresses";
+const NEW_ADDRESS = "new";
+const emptyAddress = {
+  label: "Home",
+  line1: "",
+  ward: "",
+  district: "",
+  city: "",
+  instructions: "",
+  location: null,
+};
+
+// One-line form stored on the order as deliveryAddress
+const formatAddress = (address) =>
+  [address.line1, address.line2, address.ward, address.district, address.city]
+    .filter(Boolean)
+    .join(", ");
+
+const inputStyle = {
+  width: "100%",
+  padding: "12px 15px",
+  border: "2px solid #eee",
+  borderRadius: "12px",
+  fontSize: "15px",
+  outline: "none",
+  boxSizing: "border-box",
+  fontFamily: "inherit",
+  marginBottom: "10px",
+};
+
 function CreateOrderFromCart() {
   const { cartItems, clearCart } = useContext(CartContext);
   const navigate = useNavigate();
@@ -11,8 +42,14 @@ function CreateOrderFromCart() {
   const [orderData, setOrderData] = useState({
     customerId: "",
     restaurantId: "",
-    deliveryAddress: "",
   });
+
+  // Saved addresses; selectedAddressId is an address id or NEW_ADDRESS
+  const [addresses, setAddresses] = useState([]);
+  const [selectedAddressId, setSelectedAddressId] = useState(NEW_ADDRESS);
+  const [newAddress, setNewAddress] = useState(emptyAddress);
+  const [saveNewAddress, setSaveNewAddress] = useState(true);
+  const [locating, setLocating] = useState(false);
   
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
@@ -57,7 +94,7 @@ function CreateOrderFromCart() {
 
         // Decode JWT token to get customer ID
         const tokenPayload = JSON.parse(atob(token.split('.')[1]));
-        const customerId = tokenPayload.id;
+        const customerId = tokenPayload.sub || tokenPayload.id;
         console.log("Customer ID from token:", customerId);
         console.log("Token payload:", tokenPayload);
         
@@ -191,13 +228,45 @@ function CreateOrderFromCart() {
     getRestaurantDetails();
   }, [token, cartItems]);
 
+  // Load the address book and preselect the default address
+  useEffect(() => {
+    if (!token) return;
+
+    const loadAddresses = async () => {
+      try {
+        const response = await axios.get(ADDRESSES_URL, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        const saved = response.data.data.addresses;
+        setAddresses(saved);
+        const preferred = saved.find((address) => address.isDefault) || saved[0];
+        if (preferred) {
+          setSelectedAddressId(preferred.id);
+        }
+      } catch (error) {
+        console.error("Could not load saved addresses:", error.response?.status);
+      }
+    };
+
+    loadAddresses();
+  }, [token]);
+
   const validateForm = () => {
     if (!orderData.customerId.trim()) {
       setError("Customer name is required");
       return false;
     }
-    if (!orderData.deliveryAddress.trim()) {
-      setError("Delivery address is required");
+    if (selectedAddressId === NEW_ADDRESS) {
+      if (!newAddress.line1.trim() || !newAddress.city.trim()) {
+        setError("Street address and city are required");
+        return false;
+      }
+      if (saveNewAddress && !newAddress.label.trim()) {
+        setError("Give the address a label (e.g. Home) to save it");
+        return false;
+      }
+    } else if (!addresses.some((address) => address.id === selectedAddressId)) {
+      setError("Please choose a delivery address");
       return false;
     }
     if (cartItems.length === 0) {
@@ -219,6 +288,21 @@ function CreateOrderFromCart() {
     }
 
     try {
+      // Saved address, or the one typed in (saved to the address book if asked)
+      let address = addresses.find((saved) => saved.id === selectedAddressId);
+      if (selectedAddressId === NEW_ADDRESS) {
+        address = newAddress;
+        if (saveNewAddress) {
+          const { location, ...fields } = newAddress;
+          const response = await axios.post(
+            ADDRESSES_URL,
+            location ? newAddress : fields,
+            { headers: { Authorization: `Bearer ${token}` } }
+          );
+          address = response.data.data.address;
+        }
+      }
+
       // Transform cart items to order items format
       const orderItems = cartItems.map(item => ({
         foodId: item._id,
@@ -234,7 +318,9 @@ function CreateOrderFromCart() {
         customerId: orderData.customerId,
         restaurantId: orderData.restaurantId || getRestaurantId(),
         items: orderItems,
-        deliveryAddress: orderData.deliveryAddress,
+        deliveryAddress: formatAddress(address),
+        deliveryAddressId: address.id,
+        deliveryLocation: address.location || undefined,
         totalPrice: totalPrice
       };
 
@@ -256,20 +342,45 @@ function CreateOrderFromCart() {
 
     } catch (error) {
       console.error("Error preparing order:", error);
-      setError("Failed to prepare order. Please try again.");
+      setError(error.response?.data?.message || "Failed to prepare order. Please try again.");
     } finally {
       setLoading(false);
     }
   };
 
-  const handleInputChange = (e) => {
+  const handleAddressChange = (e) => {
     const { name, value } = e.target;
-    setOrderData(prev => ({
+    setNewAddress(prev => ({
       ...prev,
       [name]: value
     }));
   };
 
+  // Browser geolocation gives the exact drop-off point as [lng, lat]
+  const handleUseCurrentLocation = () => {
+    if (!navigator.geolocation) {
+      setError("Location is not available in this browser");
+      return;
+    }
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setNewAddress(prev => ({
+          ...prev,
+          location: {
+            type: "Point",
+            coordinates: [position.coords.longitude, position.coords.latitude],
+          },
+        }));
+        setLocating(false);
+      },
+      () => {
+        setError("Could not get your current location");
+        setLocating(false);
+      }
+    );
+  };
+
   return (
     <div
       style={{
@@ -560,32 +671,148 @@ function CreateOrderFromCart() {
                 }}>
                   📍 Delivery Address
                 </label>
-                <textarea
-                  name="deliveryAddress"
-                  value={orderData.deliveryAddress}
-                  onChange={handleInputChange}
-                  placeholder="Enter your complete delivery address..."
-                  required
-                  rows={4}
+
+                {/* Saved addresses */}
+                {addresses.map((address) => (
+                  <label
+                    key={address.id}
+                    style={{
+                      display: "flex",
+                      alignItems: "flex-start",
+                      gap: "12px",
+                      padding: "15px",
+                      border: `2px solid ${selectedAddressId === address.id ? "#667eea" : "#eee"}`,
+                      borderRadius: "12px",
+                      marginBottom: "10px",
+                      cursor: "pointer",
+                    }}
+                  >
+                    <input
+                      type="radio"
+                      name="deliveryAddressId"
+                      checked={selectedAddressId === address.id}
+                      onChange={() => setSelectedAddressId(address.id)}
+                      style={{ marginTop: "4px" }}
+                    />
+                    <div>
+                      <div style={{ fontWeight: "600", color: "#333" }}>
+                        {address.label}
+                        {address.isDefault && (
+                          <span style={{ marginLeft: "8px", fontSize: "12px", color: "#667eea" }}>Default</span>
+                        )}
+                      </div>
+                      <div style={{ fontSize: "14px", color: "#666" }}>{formatAddress(address)}</div>
+                      {address.instructions && (
+                        <div style={{ fontSize: "13px", color: "#999" }}>{address.instructions}</div>
+                      )}
+                    </div>
+                  </label>
+                ))}
+
+                {/* New address */}
+                <label
                   style={{
-                    width: "100%",
+                    display: "flex",
+                    alignItems: "center",
+                    gap: "12px",
                     padding: "15px",
-                    border: "2px solid #eee",
+                    border: `2px solid ${selectedAddressId === NEW_ADDRESS ? "#667eea" : "#eee"}`,
                     borderRadius: "12px",
-                    fontSize: "16px",
-                    transition: "border-color 0.3s ease",
-                    outline: "none",
-                    resize: "vertical",
-                    boxSizing: "border-box",
-                    fontFamily: "inherit",
+                    marginBottom: "10px",
+                    cursor: "pointer",
+                    fontWeight: "600",
+                    color: "#333",
                   }}
-                  onFocus={(e) => {
-                    e.target.style.borderColor = "#667eea";
-                  }}
-                  onBlur={(e) => {
-                    e.target.style.borderColor = "#eee";
-                  }}
-                />
+                >
+                  <input
+                    type="radio"
+                    name="deliveryAddressId"
+                    checked={selectedAddressId === NEW_ADDRESS}
+                    onChange={() => setSelectedAddressId(NEW_ADDRESS)}
+                  />
+                  ➕ {addresses.length > 0 ? "Use a different address" : "Enter your delivery address"}
+                </label>
+
+                {selectedAddressId === NEW_ADDRESS && (
+                  <div style={{ padding: "5px 0 0 0" }}>
+                    <input
+                      name="line1"
+                      value={newAddress.line1}
+                      onChange={handleAddressChange}
+                      placeholder="Street address (house number, street)"
+                      style={inputStyle}
+                    />
+                    <div style={{ display: "flex", gap: "10px" }}>
+                      <input
+                        name="ward"
+                        value={newAddress.ward}
+                        onChange={handleAddressChange}
+                        placeholder="Ward"
+                        style={inputStyle}
+                      />
+                      <input
+                        name="district"
+                        value={newAddress.district}
+                        onChange={handleAddressChange}
+                        placeholder="District"
+                        style={inputStyle}
+                      />
+                    </div>
+                    <input
+                      name="city"
+                      value={newAddress.city}
+                      onChange={handleAddressChange}
+                      placeholder="City"
+                      style={inputStyle}
+                    />
+                    <input
+                      name="instructions"
+                      value={newAddress.instructions}
+                      onChange={handleAddressChange}
+                      placeholder="Delivery instructions (optional)"
+                      style={inputStyle}
+                    />
+                    <button
+                      type="button"
+                      onClick={handleUseCurrentLocation}
+                      disabled={locating}
+                      style={{
+                        backgroundColor: newAddress.location ? "#efe" : "#f8f9fa",
+                        border: "2px solid #eee",
+                        borderRadius: "12px",
+                        padding: "10px 15px",
+                        fontSize: "14px",
+                        cursor: locating ? "wait" : "pointer",
+                        marginBottom: "10px",
+                      }}
+                    >
+                      {locating
+                        ? "Locating..."
+                        : newAddress.location
+                          ? "✅ Pinned to your current location"
+                          : "📍 Use my current location"}
+                    </button>
+                    <div style={{ display: "flex", alignItems: "center", gap: "10px" }}>
+                      <input
+                        type="checkbox"
+                        id="saveNewAddress"
+                        checked={saveNewAddress}
+                        onChange={(e) => setSaveNewAddress(e.target.checked)}
+                      />
+                      <label htmlFor="saveNewAddress" style={{ fontSize: "14px", color: "#333" }}>
+                        Save to my address book as
+                      </label>
+                      <input
+                        name="label"
+                        value={newAddress.label}
+                        onChange={handleAddressChange}
+                        disabled={!saveNewAddress}
+                        placeholder="Home, Office..."
+                        style={{ ...inputStyle, width: "140px", marginBottom: 0 }}
+                      />
+                    </div>
+                  </div>
+                )}
               </div>
 
               {/* Submit Button */}
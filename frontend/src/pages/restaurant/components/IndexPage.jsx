@@ -51,12 +51,7 @@ function IndexPage() {
       {/* Render SignUp Options */}
       {showSignUpOptions && (
         <div className={styles['button-group']}>
-          <button
-            className={`${styles.button} ${styles['admin-btn']}`}
-            onClick={() => navigate('/superadmin/register')} // Redirect to SuperAdmin register
-          >
-            SignUp as SuperAdmin
-          </button>
+          {/* Super admins are added by an existing super admin from the dashboard */}
           <button
             className={`${styles.button} ${styles['restaurant-btn']}`}
             onClick={() => navigate('/restaurant/register')} // Redirect to RestaurantAdmin register
@@ -2,6 +2,7 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import '../styles/restaurantLogin.css'; // You can style it separately
+import TwoFactorStep from './TwoFactorStep';
 
 function RestaurantLogin() {
   const navigate = useNavigate();
@@ -11,11 +12,20 @@ function RestaurantLogin() {
   });
 
   const [message, setMessage] = useState('');
+  const [challenge, setChallenge] = useState(null);
   const [errors, setErrors] = useState({
     email: '',
     password: '',
   });
 
+  const finishLogin = (token) => {
+    localStorage.setItem('token', token);
+    setMessage('Login successful!');
+    setTimeout(() => {
+      navigate('/restaurant/dashboard'); // Redirect to the dashboard after successful login
+    }, 2000);
+  };
+
   // Handle form input changes
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -65,12 +75,11 @@ function RestaurantLogin() {
       });
 
       const data = await res.json();
-      if (res.ok) {
-        localStorage.setItem('token', data.token);
-        setMessage('Login successful!');
-        setTimeout(() => {
-          navigate('/restaurant/dashboard'); // Redirect to the dashboard after successful login
-        }, 2000);
+      if (res.ok && data.challengeToken) {
+        // Two-factor login: finish with the authenticator code
+        setChallenge(data);
+      } else if (res.ok) {
+        finishLogin(data.token);
       } else {
         setMessage(data.message);
       }
@@ -84,6 +93,16 @@ function RestaurantLogin() {
     return !Object.values(errors).some((err) => err !== '');
   };
 
+  if (challenge) {
+    return (
+      <div className="restaurant-login-container">
+        <h2>Restaurant Login</h2>
+        <TwoFactorStep challenge={challenge} onComplete={(login) => finishLogin(login.token)} />
+        {message && <p className="message">{message}</p>}
+      </div>
+    );
+  }
+
   return (
     <div className="restaurant-login-container">
       <h2>Restaurant Login</h2>
@@ -78,11 +78,11 @@ function RestaurantRegister() {
           : 'Please enter a valid email address';
         break;
       case 'password':
-        const passwordRegex =
-          /^(?=.*[A-Za-z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{6,}$/;
+        // Mirrors the default server policy; the API has the final say
+        const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,}$/;
         errorsCopy.password = passwordRegex.test(value)
           ? ''
-          : 'Password must be at least 6 characters, include a number and a special character';
+          : 'Password must be at least 8 characters with an uppercase letter, a lowercase letter and a number';
         break;
       default:
         break;
@@ -145,6 +145,9 @@ function RestaurantRegister() {
         }, 2000);
       } else {
         setMessage(data.message || 'Registration failed');
+        if (data.code === 'WEAK_PASSWORD') {
+          setErrors({ ...errors, password: data.errors.map((err) => err.message).join(' ') });
+        }
       }
     } catch (error) {
       setMessage('Error registering the restaurant');
@@ -1,13 +1,22 @@
 import React, { useState } from 'react';
 import '../styles/login.css';
 import { useNavigate } from 'react-router-dom';
+import TwoFactorStep from './TwoFactorStep';
 
 function SuperAdminLogin() {
   const [form, setForm] = useState({ email: '', password: '' });
   const [message, setMessage] = useState('');
   const [errors, setErrors] = useState({ email: '', password: '' });
+  const [challenge, setChallenge] = useState(null);
   const navigate = useNavigate();
 
+  const finishLogin = (token, name) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('superAdminName', name);
+    setMessage('✅ Login Successful!');
+    navigate('/super-admin/dashboard');
+  };
+
   const validate = (name, value) => {
     let error = '';
 
@@ -51,12 +60,11 @@ function SuperAdminLogin() {
 
       const data = await res.json();
 
-      if (res.ok) {
+      if (res.ok && data.challengeToken) {
+        setChallenge(data);
+      } else if (res.ok) {
         const { token, name } = data; // Ensure 'name' comes from backend!
-        localStorage.setItem('token', token);
-        localStorage.setItem('superAdminName', name);
-        setMessage('✅ Login Successful!');
-        navigate('/super-admin/dashboard');
+        finishLogin(token, name);
       } else {
         setMessage(data.message || '❌ Login failed');
       }
@@ -65,6 +73,18 @@ function SuperAdminLogin() {
     }
   };
 
+  if (challenge) {
+    return (
+      <div className="login-container">
+        <h2>Super Admin Login</h2>
+        <TwoFactorStep
+          challenge={challenge}
+          onComplete={(login) => finishLogin(login.token, login.data.account.name)}
+        />
+      </div>
+    );
+  }
+
   return (
     <div className="login-container">
       <h2>Super Admin Login</h2>
@@ -20,7 +20,7 @@ function SuperAdminRegister() {
         if (!emailRegex.test(value)) error = 'Invalid email';
         break;
       case 'password':
-        if (value.length < 6) error = 'Password must be at least 6 characters';
+        if (value.length < 8) error = 'Password must be at least 8 characters';
         break;
       default:
         break;
@@ -47,23 +47,29 @@ function SuperAdminRegister() {
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
+      // Only a signed-in super admin can add another one
       const res = await fetch('/api/superAdmin/register', {
-
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${localStorage.getItem('token')}`,
+        },
         body: JSON.stringify(form),
       });
 
       const data = await res.json();
       if (res.ok) {
-        setMessage('✅ Registration Successful!');
+        setMessage('✅ Super Admin added!');
         setForm({ name: '', email: '', password: '' });
         setErrors({});
         setTimeout(() => {
-          navigate('/restaurant/home'); // Redirect to IndexPage after 2 seconds
+          navigate('/super-admin/dashboard'); // Back to the dashboard after 2 seconds
         }, 2000);
       } else {
         setMessage(data.message);
+        if (data.code === 'WEAK_PASSWORD') {
+          setErrors({ ...errors, password: data.errors.map((err) => err.message).join(' ') });
+        }
       }
     } catch (err) {
       setMessage('❌ Error during registration');
@@ -72,7 +78,7 @@ function SuperAdminRegister() {
 
   return (
     <div className="register-container">
-      <h2>Super Admin Register</h2>
+      <h2>Add Super Admin</h2>
       <form onSubmit={handleSubmit}>
         <input
           type="text"
@@ -101,7 +107,7 @@ function SuperAdminRegister() {
         />
         {errors.password && <p className="error">{errors.password}</p>}
 
-        <button type="submit" disabled={!isFormValid}>Register</button>
+        <button type="submit" disabled={!isFormValid}>Add Super Admin</button>
 
         {message && <p className="message">{message}</p>}
       </form>
@@ -0,0 +1,105 @@
+// src/pages/restaurant/components/TwoFactorStep.jsx
+import React, { useEffect, useState } from 'react';
+
+const postJson = async (url, body) => {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.message || 'Request failed');
+  return data;
+};
+
+// Second login step after the password was accepted. `challenge` is the login
+// response ({ challengeToken, twoFactorRequired | twoFactorEnrollmentRequired });
+// onComplete receives the auth-service login body ({ token, data: { account } }).
+function TwoFactorStep({ challenge, onComplete }) {
+  const enrolling = Boolean(challenge.twoFactorEnrollmentRequired);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [enrollment, setEnrollment] = useState(null);
+  const [finished, setFinished] = useState(null);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (!enrolling) return;
+    postJson('/api/auth/2fa/challenge/enroll', { challengeToken: challenge.challengeToken })
+      .then((data) => setEnrollment(data.data))
+      .catch((err) => setMessage(err.message));
+  }, [enrolling, challenge.challengeToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    try {
+      if (enrolling) {
+        const data = await postJson('/api/auth/2fa/challenge/enroll/verify', {
+          challengeToken: challenge.challengeToken,
+          code,
+        });
+        // Recovery codes are shown once, before leaving the page
+        setFinished(data);
+      } else {
+        const data = await postJson('/api/auth/2fa/challenge', {
+          challengeToken: challenge.challengeToken,
+          ...(useRecoveryCode ? { recoveryCode: code } : { code }),
+        });
+        onComplete(data);
+      }
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  if (finished) {
+    return (
+      <div>
+        <p>Two-factor authentication is on. Save these recovery codes; each works once if you lose your phone:</p>
+        <ul>
+          {finished.data.recoveryCodes.map((recoveryCode) => <li key={recoveryCode}><code>{recoveryCode}</code></li>)}
+        </ul>
+        <button type="button" onClick={() => onComplete(finished)}>I saved them, continue</button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} noValidate>
+      {enrolling ? (
+        <>
+          <p>Your role requires two-factor authentication. Add this key to your authenticator app:</p>
+          {enrollment && (
+            <>
+              <p><code>{enrollment.secret}</code></p>
+              <p><a href={enrollment.otpauthUri}>Open in authenticator app</a></p>
+            </>
+          )}
+        </>
+      ) : (
+        <p>{useRecoveryCode ? 'Enter one of your recovery codes.' : 'Enter the 6-digit code from your authenticator app.'}</p>
+      )}
+
+      <input
+        type="text"
+        name="code"
+        inputMode={useRecoveryCode ? 'text' : 'numeric'}
+        autoComplete="one-time-code"
+        placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+      />
+
+      <button type="submit" disabled={!code}>Verify</button>
+      {!enrolling && (
+        <button type="button" onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }}>
+          {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+        </button>
+      )}
+      {message && <p className="message">{message}</p>}
+    </form>
+  );
+}
+
+export default TwoFactorStep;
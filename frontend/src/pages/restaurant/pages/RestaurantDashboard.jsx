@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import '../styles/rdashboard.css';
+import SessionList from '../../auth/SessionList';
 
 function RestaurantDashboard() {
   const [activeTab, setActiveTab] = useState('profile');
@@ -245,6 +246,7 @@ function RestaurantDashboard() {
         <button onClick={() => setActiveTab('profile')}>Profile</button>
         <button onClick={() => setActiveTab('foodItems')}>Food Items</button>
         <button onClick={() => setActiveTab('availability')}>Availability</button>
+        <button onClick={() => setActiveTab('devices')}>Devices</button>
       </div>
 
       {/* Main Content */}
@@ -458,6 +460,13 @@ function RestaurantDashboard() {
             </button>
           </div>
         )}
+
+        {activeTab === 'devices' && (
+          <div>
+            <h2>Devices</h2>
+            <SessionList />
+          </div>
+        )}
       </div>
     </div>
   );
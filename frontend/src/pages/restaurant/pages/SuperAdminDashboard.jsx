@@ -139,6 +139,7 @@ function SuperAdminDashboard() {
     <div className="rdashboard-container">
         <div className="dashboard-header">
   <p>Welcome, <strong>{superAdminName}</strong> 👋</p>
+  <button className="logout-btn" onClick={() => { window.location.href = '/superadmin/register'; }}>Add Super Admin</button>
   <button className="logout-btn" onClick={handleLogout}>Logout</button>
 </div>
 